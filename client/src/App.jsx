@@ -1,16 +1,29 @@
-import { Routes, Route, Navigate } from 'react-router-dom';
+import { Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import Login from './pages/Login';
 import TeacherDashboard from './pages/TeacherDashboard';
 import StudentDashboard from './pages/StudentDashboard';
+import GuardianDashboard from './pages/GuardianDashboard';
+import AdminDashboard from './pages/AdminDashboard';
+import AcceptInvite from './pages/AcceptInvite';
+import Account from './pages/Account';
+import StudentDetail from './pages/StudentDetail';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
 import { useAuth } from './context/AuthContext';
 
 const ProtectedRoute = ({ children, allowedRoles }) => {
   const { user, loading } = useAuth();
+  const location = useLocation();
 
   if (loading) return <div className="min-h-screen flex items-center justify-center bg-gray-900 text-white">Loading...</div>;
 
   if (!user) return <Navigate to="/" />;
 
+  // Temporary password → must choose a new one on the account page first
+  if (user.mustChangePassword && location.pathname !== '/account') {
+    return <Navigate to="/account" />;
+  }
+
   if (allowedRoles && !allowedRoles.includes(user.role)) {
     return <Navigate to="/" />; // Or unauthorized page
   }
@@ -22,16 +35,28 @@ function App() {
   return (
     <Routes>
       <Route path="/" element={<Login />} />
+      <Route path="/invite/:token" element={<AcceptInvite />} />
+      <Route path="/forgot-password" element={<ForgotPassword />} />
+      <Route path="/reset-password/:token" element={<ResetPassword />} />
 
       <Route
         path="/teacher"
         element={
-          <ProtectedRoute allowedRoles={['TEACHER']}>
+          <ProtectedRoute allowedRoles={['TEACHER', 'ADMIN']}>
             <TeacherDashboard />
           </ProtectedRoute>
         }
       />
 
+      <Route
+        path="/teacher/students/:id"
+        element={
+          <ProtectedRoute allowedRoles={['TEACHER', 'ADMIN']}>
+            <StudentDetail />
+          </ProtectedRoute>
+        }
+      />
+
       <Route
         path="/student"
         element={
@@ -41,6 +66,33 @@ function App() {
         }
       />
 
+      <Route
+        path="/guardian"
+        element={
+          <ProtectedRoute allowedRoles={['GUARDIAN']}>
+            <GuardianDashboard />
+          </ProtectedRoute>
+        }
+      />
+
+      <Route
+        path="/admin"
+        element={
+          <ProtectedRoute allowedRoles={['ADMIN']}>
+            <AdminDashboard />
+          </ProtectedRoute>
+        }
+      />
+
+      <Route
+        path="/account"
+        element={
+          <ProtectedRoute>
+            <Account />
+          </ProtectedRoute>
+        }
+      />
+
       {/* Redirect unknown routes */}
       <Route path="*" element={<Navigate to="/" />} />
     </Routes>
@@ -20,6 +20,7 @@
  */
 
 import axios from 'axios';
+import { clearOfflineData } from '../utils/serviceWorker';
 
 /**
  * CREATE API INSTANCE
@@ -78,26 +79,109 @@ api.interceptors.request.use(
 );
 
 /**
- * RESPONSE INTERCEPTOR (Optional - not implemented yet)
+ * RESPONSE INTERCEPTOR (Automatic token refresh)
  * 
- * You could add this to handle common response scenarios:
- * - Automatically log out user if token expires (401 error)
- * - Show error messages for failed requests
- * - Refresh expired tokens automatically
+ * Access tokens only live for 15 minutes. When one expires, the backend
+ * answers 401. Instead of logging the user out, we:
+ * 1. Send the refresh token to POST /auth/refresh
+ * 2. Save the new access token + refresh token
+ * 3. Retry the original request with the new access token
  * 
- * Example:
- * api.interceptors.response.use(
- *     (response) => response,
- *     (error) => {
- *         if (error.response?.status === 401) {
- *             // Token expired, log out user
- *             localStorage.removeItem('token');
- *             window.location.href = '/login';
- *         }
- *         return Promise.reject(error);
- *     }
- * );
+ * The user never notices. If the refresh itself fails (session revoked,
+ * refresh token expired, account disabled), we log out and go to the login page.
+ * 
+ * CONCURRENT REQUESTS:
+ * A dashboard often fires several requests at once, and they all get 401
+ * together. Refresh tokens work only ONCE, so only the first 401 starts a
+ * refresh; the others wait for the same promise (refreshPromise).
+ *
+ * OTHER TABS:
+ * All tabs share the tokens in localStorage, but not refreshPromise. Tabs
+ * take turns through a Web Lock (navigator.locks): a tab that gets the
+ * lock after another tab has refreshed finds a new refresh token in
+ * localStorage and uses the tokens saved with it instead of refreshing
+ * again. (Without the Locks API the server accepts the replaced token for
+ * a few seconds, see authController.js.)
+ */
+let refreshPromise = null;
+
+const REFRESH_LOCK = 'auth-refresh';
+
+const refreshAccessToken = async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!refreshToken) throw new Error('No refresh token');
+
+    const refresh = async () => {
+        const currentRefreshToken = localStorage.getItem('refreshToken');
+        if (!currentRefreshToken) throw new Error('No refresh token');
+        if (currentRefreshToken !== refreshToken) {
+            // Another tab refreshed while we waited for the lock
+            return localStorage.getItem('token');
+        }
+
+        // Plain axios (not "api") so this request doesn't go through the interceptors
+        const response = await axios.post(`${api.defaults.baseURL}/auth/refresh`, { refreshToken });
+
+        localStorage.setItem('token', response.data.token);
+        localStorage.setItem('refreshToken', response.data.refreshToken);
+        return response.data.token;
+    };
+
+    return navigator.locks ? navigator.locks.request(REFRESH_LOCK, refresh) : refresh();
+};
+
+/**
+ * Gets a new access token, sharing one refresh between everyone who asks
+ * at the same time. Also used by the live update stream (utils/liveUpdates.js),
+ * which doesn't go through axios.
+ *
+ * @returns {Promise<string>} the new access token
  */
+export const refreshSession = () => {
+    if (!refreshPromise) {
+        refreshPromise = refreshAccessToken().finally(() => {
+            refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+};
+
+api.interceptors.response.use(
+    (response) => response,  // Successful responses pass straight through
+    async (error) => {
+        const originalRequest = error.config;
+
+        // Only handle 401s, only retry once, and never for the auth endpoints themselves
+        // (a 401 from /auth/login just means wrong password)
+        if (
+            error.response?.status !== 401 ||
+            !originalRequest ||
+            originalRequest._retry ||
+            originalRequest.url?.startsWith('/auth/login') ||
+            !localStorage.getItem('refreshToken')
+        ) {
+            return Promise.reject(error);
+        }
+
+        originalRequest._retry = true;
+
+        try {
+            const token = await refreshSession();
+
+            originalRequest.headers['Authorization'] = `Bearer ${token}`;
+            return api(originalRequest);  // Retry with the fresh token
+
+        } catch (refreshError) {
+            // Session is gone → log out locally and go back to the login page
+            localStorage.removeItem('token');
+            localStorage.removeItem('refreshToken');
+            localStorage.removeItem('user');
+            clearOfflineData();
+            window.location.href = '/';
+            return Promise.reject(refreshError);
+        }
+    }
+);
 
 /**
  * EXPORT THE API INSTANCE
@@ -0,0 +1,311 @@
+import { useState, useEffect } from 'react';
+import api from '../api/axios';
+import { useToast } from '../context/ToastContext';
+import { GraduationCap, Plus, Trash2, Star, ArrowRight } from 'lucide-react';
+
+/**
+ * ACADEMIC YEARS
+ *
+ * Admin view of /api/admin/academic-years and /api/admin/rollover:
+ * - Add academic years ("2026-2027") and choose the current one
+ * - Split a year into terms (reports can cover one term)
+ * - Year-end rollover: preview what happens to every class, adjust it,
+ *   then promote (or graduate) all students at once
+ */
+
+const emptyYear = { name: '', start_date: '', end_date: '' };
+const emptyTerm = { name: '', start_date: '', end_date: '' };
+
+const inputClass = 'w-full bg-gray-950 border border-gray-800 rounded-lg p-2.5 text-sm focus:border-indigo-500 outline-none text-white transition-colors';
+const selectClass = 'bg-gray-950 border border-gray-700 text-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-1 focus:ring-indigo-500 outline-none';
+
+// Rollover choice of a previewed class: 'GRADUATE', 'class:9' (existing class), 'new' (suggested class) or '' (not chosen)
+const initialChoice = (c) => {
+    if (c.action === 'GRADUATE') return 'GRADUATE';
+    if (c.action === 'PROMOTE') return c.to_class_id ? `class:${c.to_class_id}` : 'new';
+    return '';
+};
+
+const AcademicYears = () => {
+    const { addToast } = useToast();
+    const [years, setYears] = useState([]);
+    const [newYear, setNewYear] = useState(emptyYear);
+    const [termForms, setTermForms] = useState({}); // { [yearId]: { name, start_date, end_date } }
+    const [reloadKey, setReloadKey] = useState(0); // bump to re-fetch the years
+
+    // Rollover wizard
+    const [fromYearId, setFromYearId] = useState('');
+    const [toYearId, setToYearId] = useState('');
+    const [plan, setPlan] = useState(null); // preview response, each class with a "choice"
+    const [rollingOver, setRollingOver] = useState(false);
+
+    useEffect(() => {
+        let ignore = false;
+        api.get('/admin/academic-years')
+            .then(res => { if (!ignore) setYears(res.data); })
+            .catch(() => { if (!ignore) addToast('Failed to load academic years', 'error'); });
+        return () => { ignore = true; };
+    }, [reloadKey, addToast]);
+
+    const reload = () => setReloadKey(k => k + 1);
+
+    const handleAddYear = async (e) => {
+        e.preventDefault();
+        try {
+            const res = await api.post('/admin/academic-years', {
+                name: newYear.name,
+                start_date: newYear.start_date || undefined,
+                end_date: newYear.end_date || undefined
+            });
+            addToast(res.data.message, 'success');
+            setNewYear(emptyYear);
+            reload();
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to add academic year', 'error');
+        }
+    };
+
+    const makeCurrent = async (year) => {
+        if (!window.confirm(`Make ${year.name} the current academic year? Reports will default to it.`)) return;
+        try {
+            await api.patch(`/admin/academic-years/${year.id}`, { is_current: true });
+            addToast(`${year.name} is now the current year`, 'success');
+            reload();
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to update academic year', 'error');
+        }
+    };
+
+    const deleteYear = async (year) => {
+        if (!window.confirm(`Delete academic year ${year.name} and its terms?`)) return;
+        try {
+            await api.delete(`/admin/academic-years/${year.id}`);
+            addToast('Academic year deleted', 'success');
+            reload();
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to delete academic year', 'error');
+        }
+    };
+
+    const termForm = (yearId) => termForms[yearId] || emptyTerm;
+    const setTermField = (yearId, field, value) => {
+        setTermForms({ ...termForms, [yearId]: { ...termForm(yearId), [field]: value } });
+    };
+
+    const handleAddTerm = async (e, year) => {
+        e.preventDefault();
+        try {
+            await api.post(`/admin/academic-years/${year.id}/terms`, termForm(year.id));
+            addToast('Term added', 'success');
+            setTermForms({ ...termForms, [year.id]: emptyTerm });
+            reload();
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to add term', 'error');
+        }
+    };
+
+    const deleteTerm = async (term) => {
+        if (!window.confirm(`Delete term ${term.name}?`)) return;
+        try {
+            await api.delete(`/admin/terms/${term.id}`);
+            addToast('Term deleted', 'success');
+            reload();
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to delete term', 'error');
+        }
+    };
+
+    const previewRollover = async () => {
+        try {
+            const res = await api.get('/admin/rollover', { params: { from_year_id: fromYearId, to_year_id: toYearId } });
+            setPlan({ ...res.data, classes: res.data.classes.map(c => ({ ...c, choice: initialChoice(c) })) });
+        } catch (err) {
+            setPlan(null);
+            addToast(err.response?.data?.error || 'Failed to preview rollover', 'error');
+        }
+    };
+
+    const setChoice = (fromClassId, choice) => {
+        setPlan({
+            ...plan,
+            classes: plan.classes.map(c => (c.from_class_id === fromClassId ? { ...c, choice } : c))
+        });
+    };
+
+    const runRollover = async () => {
+        const unchosen = plan.classes.find(c => !c.choice);
+        if (unchosen) {
+            addToast(`Choose what happens to ${unchosen.from_class_name}`, 'error');
+            return;
+        }
+        if (!window.confirm(`Move every student from ${plan.from_year} to ${plan.to_year}? Graduates lose access to the portal.`)) return;
+
+        const classes = plan.classes.map(c => {
+            if (c.choice === 'GRADUATE') return { from_class_id: c.from_class_id, action: 'GRADUATE' };
+            if (c.choice === 'new') return { from_class_id: c.from_class_id, action: 'PROMOTE', to_grade: c.to_grade, to_section: c.to_section };
+            return { from_class_id: c.from_class_id, action: 'PROMOTE', to_class_id: Number(c.choice.split(':')[1]) };
+        });
+
+        setRollingOver(true);
+        try {
+            const res = await api.post('/admin/rollover', { from_year_id: fromYearId, to_year_id: toYearId, classes });
+            addToast(res.data.message, 'success');
+            setPlan(null);
+            reload();
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Rollover failed', 'error');
+        } finally {
+            setRollingOver(false);
+        }
+    };
+
+    return (
+        <div className="space-y-6">
+            {/* Add a year */}
+            <div className="bg-gray-900 p-6 rounded-2xl border border-gray-800 shadow-sm">
+                <h2 className="text-xl font-bold mb-6 text-white flex items-center gap-2">
+                    <Plus size={20} className="text-indigo-400" /> Add Academic Year
+                </h2>
+                <form onSubmit={handleAddYear} className="grid grid-cols-2 md:grid-cols-4 gap-3 items-end">
+                    <div className="space-y-1.5">
+                        <label className="text-xs text-gray-400 font-medium">Name</label>
+                        <input type="text" required placeholder="2026-2027" className={inputClass}
+                            value={newYear.name} onChange={e => setNewYear({ ...newYear, name: e.target.value })} />
+                    </div>
+                    <div className="space-y-1.5">
+                        <label className="text-xs text-gray-400 font-medium">Starts</label>
+                        <input type="date" className={inputClass}
+                            value={newYear.start_date} onChange={e => setNewYear({ ...newYear, start_date: e.target.value })} />
+                    </div>
+                    <div className="space-y-1.5">
+                        <label className="text-xs text-gray-400 font-medium">Ends</label>
+                        <input type="date" min={newYear.start_date} className={inputClass}
+                            value={newYear.end_date} onChange={e => setNewYear({ ...newYear, end_date: e.target.value })} />
+                    </div>
+                    <button type="submit" className="w-full bg-white text-gray-900 font-semibold py-2.5 rounded-lg hover:bg-gray-100 transition-colors flex items-center justify-center gap-1">
+                        <Plus size={16} /> Add
+                    </button>
+                </form>
+                <p className="text-xs text-gray-500 mt-3">Leave the dates empty to use the school's usual start month.</p>
+            </div>
+
+            {/* Years and their terms */}
+            {years.map(year => (
+                <div key={year.id} className="bg-gray-900 rounded-2xl border border-gray-800 shadow-sm overflow-hidden">
+                    <div className="p-4 md:p-6 border-b border-gray-800 flex flex-col md:flex-row justify-between items-start md:items-center gap-4">
+                        <div>
+                            <h2 className="text-lg font-bold text-white flex items-center gap-2">
+                                <GraduationCap size={20} className="text-indigo-400" /> {year.name}
+                                {year.is_current && (
+                                    <span className="bg-emerald-500/10 text-emerald-400 border border-emerald-500/20 rounded-full px-2 py-0.5 text-xs font-medium">Current</span>
+                                )}
+                            </h2>
+                            <p className="text-sm text-gray-500 mt-1">
+                                {year.start_date} to {year.end_date} • {year.class_count} {year.class_count === 1 ? 'class' : 'classes'}
+                            </p>
+                        </div>
+                        <div className="flex items-center gap-2">
+                            {!year.is_current && (
+                                <button onClick={() => makeCurrent(year)} className="inline-flex items-center gap-1 px-3 py-2 rounded-lg text-sm border border-gray-700 text-gray-300 hover:bg-gray-800 transition-colors">
+                                    <Star size={14} /> Make current
+                                </button>
+                            )}
+                            <button onClick={() => deleteYear(year)} title="Delete year" className="p-2 rounded-lg text-gray-400 hover:text-red-400 hover:bg-red-500/10 transition-colors">
+                                <Trash2 size={16} />
+                            </button>
+                        </div>
+                    </div>
+
+                    <div className="divide-y divide-gray-800">
+                        {year.terms.map(term => (
+                            <div key={term.id} className="flex items-center justify-between gap-3 px-4 md:px-6 py-3 text-sm">
+                                <span className="text-white font-medium">{term.name}</span>
+                                <div className="flex items-center gap-4">
+                                    <span className="font-mono text-gray-400">{term.start_date} to {term.end_date}</span>
+                                    <button onClick={() => deleteTerm(term)} title="Delete term" className="p-2 rounded-lg text-gray-400 hover:text-red-400 hover:bg-red-500/10 transition-colors">
+                                        <Trash2 size={16} />
+                                    </button>
+                                </div>
+                            </div>
+                        ))}
+                        <form onSubmit={e => handleAddTerm(e, year)} className="grid grid-cols-2 md:grid-cols-4 gap-3 items-end px-4 md:px-6 py-4">
+                            <input type="text" required placeholder="Term 1" className={inputClass}
+                                value={termForm(year.id).name} onChange={e => setTermField(year.id, 'name', e.target.value)} />
+                            <input type="date" required min={year.start_date} max={year.end_date} className={inputClass}
+                                value={termForm(year.id).start_date} onChange={e => setTermField(year.id, 'start_date', e.target.value)} />
+                            <input type="date" required min={termForm(year.id).start_date || year.start_date} max={year.end_date} className={inputClass}
+                                value={termForm(year.id).end_date} onChange={e => setTermField(year.id, 'end_date', e.target.value)} />
+                            <button type="submit" className="w-full border border-gray-700 text-gray-300 font-medium py-2.5 rounded-lg hover:bg-gray-800 transition-colors flex items-center justify-center gap-1">
+                                <Plus size={16} /> Add Term
+                            </button>
+                        </form>
+                    </div>
+                </div>
+            ))}
+
+            {/* Year-end rollover */}
+            <div className="bg-gray-900 p-6 rounded-2xl border border-gray-800 shadow-sm">
+                <h2 className="text-xl font-bold text-white flex items-center gap-2">
+                    <ArrowRight size={20} className="text-indigo-400" /> Year-End Rollover
+                </h2>
+                <p className="text-sm text-gray-500 mt-1 mb-6">
+                    Promote every class to the next grade (roll numbers restart at 1) and graduate the final grade.
+                    Attendance history stays with the old year. Assign teachers to the new classes afterwards.
+                </p>
+                <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+                    <select value={fromYearId} onChange={e => { setFromYearId(e.target.value); setPlan(null); }} className={selectClass}>
+                        <option value="">From year...</option>
+                        {years.map(y => <option key={y.id} value={y.id}>{y.name}</option>)}
+                    </select>
+                    <ArrowRight size={16} className="text-gray-500 hidden sm:block" />
+                    <select value={toYearId} onChange={e => { setToYearId(e.target.value); setPlan(null); }} className={selectClass}>
+                        <option value="">To year...</option>
+                        {years.map(y => <option key={y.id} value={y.id}>{y.name}</option>)}
+                    </select>
+                    <button
+                        onClick={previewRollover}
+                        disabled={!fromYearId || !toYearId}
+                        className="px-4 py-2 rounded-lg text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-500 disabled:opacity-50 transition-colors"
+                    >
+                        Preview
+                    </button>
+                </div>
+
+                {plan && (
+                    <div className="mt-6">
+                        <div className="border border-gray-800 rounded-xl divide-y divide-gray-800">
+                            {plan.classes.map(c => (
+                                <div key={c.from_class_id} className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 px-4 py-3 text-sm">
+                                    <div>
+                                        <span className="text-white font-medium">{c.from_class_name}</span>
+                                        <span className="text-gray-500 ml-2">{c.student_count} students</span>
+                                    </div>
+                                    <select value={c.choice} onChange={e => setChoice(c.from_class_id, e.target.value)} className={selectClass}>
+                                        <option value="">Choose...</option>
+                                        {c.to_class_name && !c.to_class_id && <option value="new">Promote to {c.to_class_name} (new)</option>}
+                                        {plan.to_classes.map(tc => <option key={tc.id} value={`class:${tc.id}`}>Promote to {tc.name}</option>)}
+                                        <option value="GRADUATE">Graduate</option>
+                                    </select>
+                                </div>
+                            ))}
+                            {plan.classes.length === 0 && (
+                                <div className="p-6 text-center text-gray-500">No {plan.from_year} class has students.</div>
+                            )}
+                        </div>
+                        {plan.classes.length > 0 && (
+                            <button
+                                onClick={runRollover}
+                                disabled={rollingOver}
+                                className="mt-4 px-4 py-2.5 rounded-lg text-sm font-semibold bg-white text-gray-900 hover:bg-gray-100 disabled:opacity-50 transition-colors"
+                            >
+                                {rollingOver ? 'Rolling over...' : `Roll over to ${plan.to_year}`}
+                            </button>
+                        )}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default AcademicYears;
@@ -0,0 +1,95 @@
+import { useState, useEffect } from 'react';
+import api from '../api/axios';
+import { History, X } from 'lucide-react';
+
+/**
+ * ATTENDANCE HISTORY MODAL
+ *
+ * Shows every change made to one attendance cell (one student, one date,
+ * and optionally one lecture):
+ * who marked it, when, and what it was before.
+ * Data comes from the audit log (GET /api/teacher/attendance/history).
+ *
+ * @param {number} studentId - student to show
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} [periodId] - timetable period, for lecture marks
+ * @param {Function} onClose - called when the modal is dismissed
+ */
+
+const STATUS_STYLES = {
+    PRESENT: 'text-emerald-400',
+    ABSENT: 'text-red-400',
+    LATE: 'text-amber-400',
+    HALF_DAY: 'text-orange-400',
+    EXCUSED: 'text-sky-400',
+    MEDICAL: 'text-purple-400'
+};
+
+// value: { status, arrival_time? } from the audit log
+const StatusLabel = ({ value }) => (
+    value?.status
+        ? <span className={`font-semibold ${STATUS_STYLES[value.status] || 'text-gray-300'}`}>
+            {value.status}{value.arrival_time ? ` (${value.arrival_time})` : ''}
+        </span>
+        : <span className="text-gray-500">not marked</span>
+);
+
+const AttendanceHistoryModal = ({ studentId, date, periodId, onClose }) => {
+    const [data, setData] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let ignore = false;
+        api.get('/teacher/attendance/history', { params: { student_id: studentId, date, period_id: periodId } })
+            .then(res => { if (!ignore) setData(res.data); })
+            .catch(err => { if (!ignore) setError(err.response?.data?.error || 'Failed to load history'); });
+        return () => { ignore = true; };
+    }, [studentId, date, periodId]);
+
+    return (
+        <div className="fixed inset-0 bg-black/60 z-50 flex items-center justify-center p-4" onClick={onClose}>
+            <div className="w-full max-w-lg bg-gray-900 border border-gray-800 rounded-2xl shadow-xl overflow-hidden" onClick={e => e.stopPropagation()}>
+                <div className="p-5 border-b border-gray-800 flex items-center justify-between">
+                    <div>
+                        <h3 className="text-lg font-bold text-white flex items-center gap-2">
+                            <History size={18} className="text-indigo-400" /> Attendance History
+                        </h3>
+                        <p className="text-sm text-gray-400 mt-0.5">
+                            {data?.student ? `${data.student.name} (Roll ${data.student.roll_no})` : 'Loading...'} • {date}
+                        </p>
+                    </div>
+                    <button onClick={onClose} className="p-2 hover:bg-gray-800 rounded-full text-gray-400 hover:text-white transition-colors">
+                        <X size={18} />
+                    </button>
+                </div>
+
+                <div className="p-5 max-h-96 overflow-y-auto">
+                    {error ? (
+                        <div className="p-3 rounded-lg bg-red-500/10 border border-red-500/20 text-red-400 text-sm text-center">{error}</div>
+                    ) : !data ? (
+                        <div className="text-center text-gray-400 text-sm">Loading history...</div>
+                    ) : data.history.length === 0 ? (
+                        <div className="text-center text-gray-500 text-sm">No changes recorded for this day.</div>
+                    ) : (
+                        <ol className="space-y-4">
+                            {data.history.map(entry => (
+                                <li key={entry.id} className="border-l-2 border-gray-700 pl-4">
+                                    <div className="text-sm text-gray-200">
+                                        <StatusLabel value={entry.before_value} />
+                                        <span className="text-gray-500 mx-2">→</span>
+                                        <StatusLabel value={entry.after_value} />
+                                    </div>
+                                    <div className="text-xs text-gray-500 mt-1">
+                                        {entry.actor_name || 'Unknown user'}{entry.actor_role ? ` (${entry.actor_role.toLowerCase()})` : ''} • {new Date(entry.created_at).toLocaleString()}
+                                    </div>
+                                </li>
+                            ))}
+                        </ol>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default AttendanceHistoryModal;
@@ -0,0 +1,76 @@
+import api from '../api/axios';
+import { useToast } from '../context/ToastContext';
+import { Lock, LockOpen } from 'lucide-react';
+
+/**
+ * ATTENDANCE LOCK BANNER (Teacher Portal attendance sheet)
+ *
+ * One line per class whose register was submitted on the selected date
+ * (GET /api/teacher/attendance/locks): who submitted it and until when it
+ * can be changed, or that it is locked. Admins can reopen a locked day
+ * with a reason (POST /api/teacher/attendance/reopen).
+ *
+ * @param {Array} locks - rows from /teacher/attendance/locks
+ * @param {string} date - YYYY-MM-DD
+ * @param {boolean} isAdmin - show the "Reopen" button
+ * @param {Function} onReopened - called after a day was reopened
+ */
+
+const formatTime = (value) => new Date(value).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+
+const AttendanceLockBanner = ({ locks, date, isAdmin, onReopened }) => {
+    const { addToast } = useToast();
+
+    const handleReopen = async (lock) => {
+        const reason = window.prompt(`Reopen attendance of ${lock.class_name} on ${date}?\nReason (kept in the audit log):`);
+        if (reason === null) return;  // cancelled
+        if (!reason.trim()) {
+            addToast('Please give a reason for reopening', 'error');
+            return;
+        }
+        try {
+            await api.post('/teacher/attendance/reopen', { class_id: lock.class_id, date, reason });
+            addToast(`${lock.class_name} reopened`, 'success');
+            onReopened();
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to reopen attendance', 'error');
+        }
+    };
+
+    if (locks.length === 0) return null;
+
+    return (
+        <div className="border-b border-gray-800 divide-y divide-gray-800/60">
+            {locks.map(lock => (
+                <div
+                    key={lock.class_id}
+                    className={`px-4 md:px-6 py-3 text-sm flex flex-col sm:flex-row sm:items-center justify-between gap-2 ${lock.locked ? 'bg-red-500/10 text-red-300' : 'bg-gray-950/40 text-gray-400'}`}
+                >
+                    <div className="flex items-start gap-2">
+                        {lock.locked ? <Lock size={16} className="mt-0.5 shrink-0" /> : <LockOpen size={16} className="mt-0.5 shrink-0" />}
+                        <div>
+                            <span className="font-medium text-white">{lock.class_name}</span>
+                            {' • '}Submitted by {lock.submitted_by_name || 'a deleted user'} on {formatTime(lock.submitted_at)}
+                            {' • '}{lock.locked ? 'Locked' : `Can be changed until ${formatTime(lock.locks_at)}`}
+                            {lock.reopened_at && (
+                                <p className="text-xs text-gray-500 mt-0.5">
+                                    Reopened by {lock.reopened_by_name || 'a deleted user'} on {formatTime(lock.reopened_at)}: {lock.reopen_reason}
+                                </p>
+                            )}
+                        </div>
+                    </div>
+                    {lock.locked && isAdmin && (
+                        <button
+                            onClick={() => handleReopen(lock)}
+                            className="self-start sm:self-auto shrink-0 inline-flex items-center gap-1 px-3 py-1.5 rounded-lg text-xs font-medium bg-gray-800 text-gray-200 hover:bg-gray-700 transition-colors"
+                        >
+                            <LockOpen size={14} /> Reopen
+                        </button>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default AttendanceLockBanner;
@@ -0,0 +1,322 @@
+import { useState, useEffect } from 'react';
+import api from '../api/axios';
+import { useToast } from '../context/ToastContext';
+import { LEAVE_STATUS_STYLES } from '../utils/leave';
+import { useLiveEvent } from '../utils/liveUpdates';
+import DisputeDayModal from './DisputeDayModal';
+import { ChevronLeft, ChevronRight, MessageSquareWarning, CheckCircle, XCircle } from 'lucide-react';
+
+/**
+ * ATTENDANCE OVERVIEW
+ *
+ * A student's profile card, attendance percentage, per-subject summary
+ * and colour-coded attendance calendar. Shown in the Student Portal for
+ * the logged-in student and in the Guardian Portal for the chosen child.
+ *
+ * apiBase: where the data comes from
+ * - "/student"                  → GET /student/dashboard and /student/calendar
+ * - "/guardian/children/12"     → the same two responses for a guardian's child
+ *
+ * Days of a leave request (…/leave-requests) are outlined on the calendar:
+ * amber = pending, green = approved, red = rejected.
+ * refreshKey: change it to reload everything (e.g. after a new leave request)
+ * It also reloads by itself when a teacher saves attendance or decides a
+ * leave request (live updates).
+ *
+ * canDispute (Student Portal): a marked day can be clicked to ask a teacher
+ * to correct it (…/corrections). The corner icon shows the latest request
+ * for the day: pending, corrected or rejected.
+ */
+
+// Calendar cell and mobile dot classes for each colour sent by /student/calendar
+const CALENDAR_COLORS = {
+    green: { cell: 'bg-emerald-500/20 border-emerald-500/50 text-emerald-400', dot: 'bg-emerald-400' },
+    red: { cell: 'bg-red-500/20 border-red-500/50 text-red-400', dot: 'bg-red-400' },
+    amber: { cell: 'bg-amber-500/20 border-amber-500/50 text-amber-400', dot: 'bg-amber-400' },
+    orange: { cell: 'bg-orange-500/20 border-orange-500/50 text-orange-400', dot: 'bg-orange-400' },
+    blue: { cell: 'bg-sky-500/20 border-sky-500/50 text-sky-400', dot: 'bg-sky-400' },
+    purple: { cell: 'bg-purple-500/20 border-purple-500/50 text-purple-400', dot: 'bg-purple-400' },
+    grey: { cell: 'bg-gray-600/20 border-gray-600/50 text-gray-400', dot: 'bg-gray-400' }
+};
+
+const STATUS_LABELS = {
+    PRESENT: 'Present',
+    ABSENT: 'Absent',
+    LATE: 'Late',
+    HALF_DAY: 'Half Day',
+    EXCUSED: 'Excused',
+    MEDICAL: 'Medical',
+    HOLIDAY: 'Holiday'
+};
+
+// Corner icon of a day with a correction request
+const CORRECTION_ICONS = {
+    PENDING: { Icon: MessageSquareWarning, className: 'text-amber-400', label: 'Correction requested' },
+    ACCEPTED: { Icon: CheckCircle, className: 'text-emerald-400', label: 'Corrected by a teacher' },
+    REJECTED: { Icon: XCircle, className: 'text-red-400', label: 'Correction rejected' }
+};
+
+const AttendanceOverview = ({ apiBase, refreshKey, canDispute = false }) => {
+    const { addToast } = useToast();
+    const [profile, setProfile] = useState(null);
+    const [summary, setSummary] = useState({ percentage: 0, total_present: 0, total_days: 0 });
+    const [rawAttendance, setRawAttendance] = useState([]);
+    const [subjectSummary, setSubjectSummary] = useState([]); // per-subject lecture attendance (empty without a timetable)
+    const [leaveRequests, setLeaveRequests] = useState([]);
+    const [corrections, setCorrections] = useState([]); // correction requests, newest first (canDispute only)
+    const [correctionsKey, setCorrectionsKey] = useState(0);
+    const [disputeDay, setDisputeDay] = useState(null); // { date, status } of the day being disputed
+    const [liveKey, setLiveKey] = useState(0); // reloads everything when attendance or leave changes elsewhere
+
+    // Calendar State
+    const [currentDate, setCurrentDate] = useState(new Date());
+
+    useEffect(() => {
+        let ignore = false;
+        api.get(`${apiBase}/dashboard`)
+            .then(res => {
+                if (ignore) return;
+                setProfile(res.data.profile);
+                setSummary(res.data.attendance_summary);
+                setSubjectSummary(res.data.subject_summary || []);
+            })
+            .catch(() => { if (!ignore) addToast('Failed to load profile', 'error'); });
+        api.get(`${apiBase}/calendar`)
+            .then(res => { if (!ignore) setRawAttendance(res.data); })
+            .catch(() => { if (!ignore) addToast('Failed to load attendance history', 'error'); });
+        api.get(`${apiBase}/leave-requests`)
+            .then(res => { if (!ignore) setLeaveRequests(res.data); })
+            .catch(() => { if (!ignore) setLeaveRequests([]); });
+        return () => { ignore = true; };
+    }, [apiBase, refreshKey, liveKey, addToast]);
+
+    // A teacher marked attendance or decided a leave request (see utils/liveUpdates.js)
+    useLiveEvent('attendance', () => setLiveKey(k => k + 1));
+    useLiveEvent('leave', () => setLiveKey(k => k + 1));
+
+    useEffect(() => {
+        if (!canDispute) return;
+        let ignore = false;
+        api.get(`${apiBase}/corrections`)
+            .then(res => { if (!ignore) setCorrections(res.data); })
+            .catch(() => { if (!ignore) setCorrections([]); });
+        return () => { ignore = true; };
+    }, [apiBase, canDispute, refreshKey, correctionsKey, liveKey]);
+
+    // Calendar Helper Functions
+    const getDaysInMonth = (date) => {
+        return new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    };
+
+    const getFirstDayOfMonth = (date) => {
+        return new Date(date.getFullYear(), date.getMonth(), 1).getDay();
+    };
+
+    const changeMonth = (offset) => {
+        const newDate = new Date(currentDate.setMonth(currentDate.getMonth() + offset));
+        setCurrentDate(new Date(newDate));
+    };
+
+    const renderCalendarGrid = () => {
+        const totalDays = getDaysInMonth(currentDate);
+        const firstDay = getFirstDayOfMonth(currentDate);
+        const days = [];
+
+        // Empty cells for padding
+        for (let i = 0; i < firstDay; i++) {
+            days.push(<div key={`empty-${i}`} className="h-24 bg-gray-800/30 rounded-lg"></div>);
+        }
+
+        // Correctly handling local date strings for comparison
+        const currentYear = currentDate.getFullYear();
+        const currentMonth = currentDate.getMonth() + 1; // 1-12
+        const now = new Date();
+        const todayStr = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+
+        for (let day = 1; day <= totalDays; day++) {
+            // Format date as YYYY-MM-DD to match API
+            const dateStr = `${currentYear}-${String(currentMonth).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+            const record = rawAttendance.find(r => r.date === dateStr);
+            // Leave covering this day (YYYY-MM-DD strings compare like dates); a
+            // pending or approved request wins over a rejected one for the same day
+            const leaves = leaveRequests.filter(l => l.from_date <= dateStr && dateStr <= l.to_date);
+            const leave = leaves.find(l => l.status !== 'REJECTED') || leaves[0];
+
+            let statusColor = "bg-gray-700/30 border-gray-700 text-gray-500";
+            let statusText = "";
+            const colors = record ? (CALENDAR_COLORS[record.color] || CALENDAR_COLORS.grey) : null;
+
+            if (record) {
+                statusColor = colors.cell;
+                // School holidays carry their name ("Diwali")
+                statusText = record.title || STATUS_LABELS[record.status] || record.status;
+            } else if (leave) {
+                statusText = `Leave ${LEAVE_STATUS_STYLES[leave.status].label}`;
+            }
+            const leaveTitle = leave ? `Leave request: ${LEAVE_STATUS_STYLES[leave.status].label.toLowerCase()}` : null;
+
+            // Latest correction request of the day, and whether the student may dispute it
+            const correction = corrections.find(c => c.date === dateStr);
+            const correctionIcon = correction ? CORRECTION_ICONS[correction.status] : null;
+            const correctionTitle = correctionIcon
+                ? `${correctionIcon.label}${correction.review_note ? `: ${correction.review_note}` : ''}`
+                : null;
+            const disputable = canDispute && record && record.status !== 'HOLIDAY' && !record.title && dateStr <= todayStr;
+            const Cell = disputable ? 'button' : 'div';
+
+            days.push(
+                <Cell
+                    key={day}
+                    {...(disputable && { type: 'button', onClick: () => setDisputeDay({ date: dateStr, status: record.status }) })}
+                    title={[record?.title, leaveTitle, correctionTitle, disputable && 'Click to dispute this day'].filter(Boolean).join(' • ') || undefined}
+                    className={`h-full w-full rounded-lg border p-1 md:p-2 flex flex-col justify-between text-left transition-all hover:scale-105 ${disputable ? 'cursor-pointer' : ''} ${statusColor} ${leave ? LEAVE_STATUS_STYLES[leave.status].ring : ''}`}
+                >
+                    <span className="flex items-start justify-between gap-1">
+                        <span className="font-bold text-xs md:text-base">{day}</span>
+                        {correctionIcon && <correctionIcon.Icon size={14} className={`shrink-0 ${correctionIcon.className}`} />}
+                    </span>
+                    {statusText && <span className="text-[8px] md:text-xs font-semibold uppercase tracking-wider hidden sm:block">{statusText}</span>}
+                    {/* Mobile dot indicator */}
+                    {statusText && <span className={`w-1.5 h-1.5 rounded-full sm:hidden self-end ${colors ? colors.dot : 'bg-gray-400'}`}></span>}
+                </Cell>
+            );
+        }
+        return days;
+    };
+
+    const monthNames = ["January", "February", "March", "April", "May", "June",
+        "July", "August", "September", "October", "November", "December"
+    ];
+
+    return (
+        <>
+            {/* Stats Section */}
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+                {/* Profile Card */}
+                <div className="bg-gray-900 p-6 rounded-2xl border border-gray-800 shadow-sm col-span-1 md:col-span-2 flex flex-col sm:flex-row items-center sm:items-start gap-6 text-center sm:text-left">
+                    <div className="w-24 h-24 bg-gradient-to-br from-indigo-500 to-purple-500 rounded-2xl flex items-center justify-center text-3xl font-bold text-white shadow-lg shrink-0">
+                        {profile?.name?.charAt(0) || 'S'}
+                    </div>
+                    <div className="w-full">
+                        <h2 className="text-2xl font-bold text-white">{profile?.name}</h2>
+                        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mt-4 border-t border-gray-800 pt-4">
+                            <div className="bg-gray-950 p-3 rounded-xl border border-gray-800">
+                                <p className="text-xs text-gray-500 uppercase tracking-widest mb-1">ID Code</p>
+                                <p className="font-mono text-white text-lg">{profile?.id_code || '---'}</p>
+                            </div>
+                            <div className="bg-gray-950 p-3 rounded-xl border border-gray-800">
+                                <p className="text-xs text-gray-500 uppercase tracking-widest mb-1">Class</p>
+                                <p className="text-white text-lg">{profile?.class || '---'}</p>
+                            </div>
+                            <div className="bg-gray-950 p-3 rounded-xl border border-gray-800">
+                                <p className="text-xs text-gray-500 uppercase tracking-widest mb-1">Roll No</p>
+                                <p className="text-white text-lg">{profile?.roll_no || '---'}</p>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+
+                {/* Attendance Percentage */}
+                <div className="bg-gray-900 p-6 rounded-2xl border border-gray-800 shadow-sm flex flex-col items-center justify-center relative overflow-hidden min-h-[200px]">
+                    <div className="absolute inset-0 bg-gradient-to-br from-indigo-500/5 to-transparent"></div>
+                    <p className="text-gray-400 relative z-10 w-full text-center uppercase text-xs tracking-widest font-semibold">Attendance</p>
+                    <h3 className={`text-6xl font-bold mt-4 relative z-10 ${summary.percentage >= 75 ? 'text-emerald-400' : 'text-red-400'}`}>
+                        {summary.percentage}%
+                    </h3>
+                    <div className="mt-4 inline-flex items-center gap-2 bg-gray-950 px-3 py-1 rounded-full border border-gray-800 z-10">
+                        <span className="w-2 h-2 rounded-full bg-emerald-500"></span>
+                        <p className="text-xs text-gray-400">
+                            {summary.total_present} / {summary.total_days} Days
+                        </p>
+                    </div>
+                    {summary.academic_year && (
+                        <p className="text-xs text-gray-500 mt-3 relative z-10">{summary.term ? `${summary.term}, ` : ''}{summary.academic_year}</p>
+                    )}
+                </div>
+            </div>
+
+            {/* Subject-wise Attendance (only for classes with a timetable) */}
+            {subjectSummary.length > 0 && (
+                <div className="bg-gray-900 rounded-2xl border border-gray-800 shadow-sm p-4 md:p-6 mb-8">
+                    <h3 className="text-xl font-bold text-white mb-4">By Subject</h3>
+                    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
+                        {subjectSummary.map(s => (
+                            <div key={s.subject} className="bg-gray-950 p-4 rounded-xl border border-gray-800 flex items-center justify-between">
+                                <div>
+                                    <p className="text-white font-medium">{s.subject}</p>
+                                    <p className="text-xs text-gray-500">{s.present} / {s.total} Lectures</p>
+                                </div>
+                                <span className={`text-lg font-bold ${parseFloat(s.percentage) >= 75 ? 'text-emerald-400' : 'text-red-400'}`}>
+                                    {s.percentage}%
+                                </span>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {/* Calendar Section */}
+            <div className="bg-gray-900 rounded-2xl border border-gray-800 shadow-sm overflow-hidden p-4 md:p-6">
+                <div className="flex flex-col sm:flex-row items-center justify-between gap-4 mb-6">
+                    <h3 className="text-xl font-bold text-white flex items-center gap-2">
+                        <span className="p-1.5 bg-indigo-500/10 rounded-lg text-indigo-400"><ChevronRight size={16} /></span>
+                        History
+                    </h3>
+                    <div className="flex items-center gap-4 bg-gray-950 rounded-xl p-1 border border-gray-800">
+                        <button onClick={() => changeMonth(-1)} className="p-2 hover:bg-gray-800 rounded-lg transition-colors text-gray-400 hover:text-white"><ChevronLeft size={18} /></button>
+                        <span className="min-w-[120px] text-center font-medium text-sm">
+                            {monthNames[currentDate.getMonth()]} {currentDate.getFullYear()}
+                        </span>
+                        <button onClick={() => changeMonth(1)} className="p-2 hover:bg-gray-800 rounded-lg transition-colors text-gray-400 hover:text-white"><ChevronRight size={18} /></button>
+                    </div>
+                </div>
+
+                {/* Days Header */}
+                <div className="grid grid-cols-7 gap-1 md:gap-4 mb-2 text-center text-gray-500 text-[10px] md:text-xs font-semibold uppercase tracking-widest">
+                    <div>Sun</div>
+                    <div>Mon</div>
+                    <div>Tue</div>
+                    <div>Wed</div>
+                    <div>Thu</div>
+                    <div>Fri</div>
+                    <div>Sat</div>
+                </div>
+
+                {/* Calendar Grid */}
+                <div className="grid grid-cols-7 gap-1 md:gap-4">
+                    {renderCalendarGrid().map((dayNode, i) => (
+                        <div key={i} className="aspect-square md:aspect-auto md:h-24">
+                            {dayNode}
+                        </div>
+                    ))}
+                </div>
+
+                {canDispute && (
+                    <p className="mt-4 text-xs text-gray-500">Marked wrongly? Click the day to ask a teacher to correct it.</p>
+                )}
+
+                {/* Leave outline legend */}
+                {leaveRequests.length > 0 && (
+                    <div className="flex flex-wrap gap-4 mt-6 text-xs text-gray-400">
+                        {Object.entries(LEAVE_STATUS_STYLES).map(([status, style]) => (
+                            <span key={status} className="flex items-center gap-2">
+                                <span className={`w-3 h-3 rounded ${style.ring}`}></span> Leave {style.label.toLowerCase()}
+                            </span>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            {disputeDay && (
+                <DisputeDayModal
+                    day={disputeDay}
+                    corrections={corrections.filter(c => c.date === disputeDay.date)}
+                    onSent={() => { setDisputeDay(null); setCorrectionsKey(k => k + 1); }}
+                    onClose={() => setDisputeDay(null)}
+                />
+            )}
+        </>
+    );
+};
+
+export default AttendanceOverview;
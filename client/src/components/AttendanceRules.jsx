@@ -0,0 +1,138 @@
+import { useState, useEffect } from 'react';
+import api from '../api/axios';
+import { useToast } from '../context/ToastContext';
+import { Scale } from 'lucide-react';
+
+/**
+ * ATTENDANCE RULES
+ *
+ * Admin view of how each attendance status counts towards the
+ * attendance percentage (GET/PATCH /api/admin/attendance-weights):
+ * 1 = a full day attended, 0 = a day missed, 0.5 = half a day,
+ * "Not counted" = left out of the percentage (e.g. excused days).
+ */
+
+const STATUS_LABELS = {
+    PRESENT: 'Present',
+    ABSENT: 'Absent',
+    HOLIDAY: 'Holiday',
+    LATE: 'Late',
+    EXCUSED: 'Excused',
+    HALF_DAY: 'Half Day',
+    MEDICAL: 'Medical'
+};
+
+const AttendanceRules = () => {
+    const { addToast } = useToast();
+    const [weights, setWeights] = useState([]); // [{ status, weight }], weight null = not counted
+    const [drafts, setDrafts] = useState({}); // status → edited weight ('' = not counted)
+    const [loading, setLoading] = useState(true);
+
+    const [reloadKey, setReloadKey] = useState(0); // bump to re-fetch the weights
+
+    useEffect(() => {
+        let ignore = false;
+        api.get('/admin/attendance-weights')
+            .then(res => { if (!ignore) setWeights(res.data); })
+            .catch(() => { if (!ignore) addToast('Failed to load attendance rules', 'error'); })
+            .finally(() => { if (!ignore) setLoading(false); });
+        return () => { ignore = true; };
+    }, [reloadKey, addToast]);
+
+    const draftValue = (row) => (
+        drafts[row.status] !== undefined ? drafts[row.status] : (row.weight === null ? '' : String(row.weight))
+    );
+
+    const saveWeight = async (row) => {
+        const value = draftValue(row);
+        const weight = value === '' ? null : Number(value);
+        try {
+            await api.patch(`/admin/attendance-weights/${row.status}`, { weight });
+            addToast(`${STATUS_LABELS[row.status] || row.status} updated`, 'success');
+            setDrafts(prev => {
+                const next = { ...prev };
+                delete next[row.status];
+                return next;
+            });
+            setReloadKey(k => k + 1);
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to update rule', 'error');
+        }
+    };
+
+    return (
+        <div className="bg-gray-900 rounded-2xl border border-gray-800 shadow-sm overflow-hidden max-w-2xl">
+            <div className="p-4 md:p-6 border-b border-gray-800">
+                <h2 className="text-lg font-bold text-white flex items-center gap-2">
+                    <Scale size={20} className="text-indigo-400" /> Attendance Rules
+                </h2>
+                <p className="text-sm text-gray-500 mt-1">
+                    How much a day with each status counts towards the attendance percentage.
+                    Changes apply to all reports straight away, including past attendance.
+                </p>
+            </div>
+
+            {loading ? (
+                <div className="p-8 text-center text-gray-400">Loading rules...</div>
+            ) : (
+                <table className="w-full text-sm">
+                    <thead className="text-xs text-gray-500 uppercase bg-gray-950/50">
+                        <tr>
+                            <th className="px-4 py-3 text-left font-medium">Status</th>
+                            <th className="px-4 py-3 text-left font-medium">Counts As</th>
+                            <th className="px-4 py-3 text-right font-medium"></th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-800">
+                        {weights.map(row => {
+                            const value = draftValue(row);
+                            const counted = value !== '';
+                            const changed = drafts[row.status] !== undefined;
+                            return (
+                                <tr key={row.status}>
+                                    <td className="px-4 py-3 text-white font-medium">{STATUS_LABELS[row.status] || row.status}</td>
+                                    <td className="px-4 py-3">
+                                        <div className="flex items-center gap-3">
+                                            <label className="flex items-center gap-2 text-gray-400 text-xs">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={counted}
+                                                    onChange={(e) => setDrafts({ ...drafts, [row.status]: e.target.checked ? '1' : '' })}
+                                                    className="accent-indigo-500"
+                                                />
+                                                Counted
+                                            </label>
+                                            {counted && (
+                                                <input
+                                                    type="number"
+                                                    min="0"
+                                                    max="1"
+                                                    step="0.05"
+                                                    value={value}
+                                                    onChange={(e) => setDrafts({ ...drafts, [row.status]: e.target.value })}
+                                                    className="w-24 bg-gray-950 border border-gray-700 text-gray-300 rounded-lg px-3 py-1.5 text-sm focus:ring-1 focus:ring-indigo-500 outline-none"
+                                                />
+                                            )}
+                                            <span className="text-xs text-gray-500">{counted ? 'of a day' : 'left out of the percentage'}</span>
+                                        </div>
+                                    </td>
+                                    <td className="px-4 py-3 text-right">
+                                        <button
+                                            onClick={() => saveWeight(row)}
+                                            disabled={!changed}
+                                            className="bg-white text-gray-900 hover:bg-gray-100 px-4 py-1.5 rounded-lg font-semibold text-xs transition-all disabled:opacity-30 disabled:cursor-not-allowed"
+                                        >
+                                            Save
+                                        </button>
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+};
+
+export default AttendanceRules;
@@ -0,0 +1,108 @@
+import { useState, useEffect } from 'react';
+import api from '../api/axios';
+import { useToast } from '../context/ToastContext';
+import { Search, ScrollText } from 'lucide-react';
+
+/**
+ * AUDIT LOG
+ *
+ * Admin view of the audit trail (GET /api/admin/audit-log):
+ * attendance edits, student creation and account changes.
+ *
+ * To see the history of one attendance cell, choose "Attendance" and
+ * type "<student id>:<date>", e.g. 12:2026-02-13.
+ */
+
+// Short text for the before → after columns, e.g. "status: ABSENT"
+const formatValue = (value) => {
+    if (!value) return '—';
+    return Object.entries(value).map(([key, val]) => `${key}: ${val}`).join(', ');
+};
+
+const AuditLog = () => {
+    const { addToast } = useToast();
+    const [entries, setEntries] = useState([]);
+    const [entityType, setEntityType] = useState('All');
+    const [entityId, setEntityId] = useState('');
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        let ignore = false;
+        api.get('/admin/audit-log', { params: { entity_type: entityType, entity_id: entityId || undefined } })
+            .then(res => { if (!ignore) setEntries(res.data); })
+            .catch(() => { if (!ignore) addToast('Failed to load audit log', 'error'); })
+            .finally(() => { if (!ignore) setLoading(false); });
+        return () => { ignore = true; };
+    }, [entityType, entityId, addToast]);
+
+    return (
+        <div className="bg-gray-900 rounded-2xl border border-gray-800 shadow-sm overflow-hidden">
+            <div className="p-4 md:p-6 border-b border-gray-800 flex flex-col md:flex-row justify-between items-start md:items-center gap-4">
+                <h2 className="text-lg font-bold text-white flex items-center gap-2">
+                    <ScrollText size={20} className="text-indigo-400" /> Audit Log
+                </h2>
+                <div className="flex flex-col sm:flex-row items-center gap-3 w-full md:w-auto">
+                    <select
+                        value={entityType}
+                        onChange={(e) => setEntityType(e.target.value)}
+                        className="w-full sm:w-auto bg-gray-950 border border-gray-700 text-gray-300 rounded-lg px-4 py-2 text-sm focus:ring-1 focus:ring-indigo-500 outline-none"
+                    >
+                        <option value="All">Everything</option>
+                        <option value="attendance">Attendance</option>
+                        <option value="student">Students</option>
+                        <option value="user">Accounts</option>
+                        <option value="leave_request">Leave Requests</option>
+                        <option value="attendance_correction">Attendance Corrections</option>
+                        <option value="attendance_submission">Attendance Locks</option>
+                    </select>
+                    <div className="relative w-full sm:w-64">
+                        <Search className="absolute left-3 top-2.5 text-gray-500" size={16} />
+                        <input
+                            type="text"
+                            placeholder="Record ID (e.g. 12:2026-02-13)"
+                            value={entityId}
+                            onChange={(e) => setEntityId(e.target.value.trim())}
+                            className="w-full bg-gray-950 border border-gray-700 text-gray-300 rounded-lg pl-9 pr-4 py-2 text-sm focus:ring-1 focus:ring-indigo-500 outline-none"
+                        />
+                    </div>
+                </div>
+            </div>
+
+            {loading ? (
+                <div className="p-8 text-center text-gray-400">Loading audit log...</div>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                        <thead className="text-xs text-gray-500 uppercase bg-gray-950/50">
+                            <tr>
+                                <th className="px-4 py-3 text-left font-medium">Time</th>
+                                <th className="px-4 py-3 text-left font-medium">Who</th>
+                                <th className="px-4 py-3 text-left font-medium">Action</th>
+                                <th className="px-4 py-3 text-left font-medium">Record</th>
+                                <th className="px-4 py-3 text-left font-medium">Before</th>
+                                <th className="px-4 py-3 text-left font-medium">After</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-800">
+                            {entries.map(entry => (
+                                <tr key={entry.id}>
+                                    <td className="px-4 py-3 text-gray-400 whitespace-nowrap">{new Date(entry.created_at).toLocaleString()}</td>
+                                    <td className="px-4 py-3 text-white">{entry.actor_name || entry.actor_email || 'Unknown'}</td>
+                                    <td className="px-4 py-3 text-gray-300 font-mono text-xs">{entry.action}</td>
+                                    <td className="px-4 py-3 text-gray-400 font-mono text-xs">{entry.entity_type} {entry.entity_id}</td>
+                                    <td className="px-4 py-3 text-gray-400 text-xs">{formatValue(entry.before_value)}</td>
+                                    <td className="px-4 py-3 text-gray-300 text-xs">{formatValue(entry.after_value)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    {entries.length === 0 && (
+                        <div className="p-8 text-center text-gray-500">No entries found.</div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AuditLog;
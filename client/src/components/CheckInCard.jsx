@@ -0,0 +1,148 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import api from '../api/axios';
+import { QrCode, CheckCircle, XCircle, X } from 'lucide-react';
+
+/**
+ * CHECK IN (Student Portal)
+ *
+ * Students check themselves in by scanning the QR code their teacher
+ * shows in class (POST /api/student/check-in). Two ways to scan:
+ * - the phone's camera app: the QR code is a link to this page with
+ *   ?check_in=<code>, which is sent as soon as the page opens
+ * - "Scan QR Code" here, in browsers that can read QR codes from the
+ *   camera (BarcodeDetector)
+ *
+ * Checking in doesn't mark attendance yet: the teacher reviews the
+ * result and saves the attendance sheet.
+ */
+
+// How often a camera frame is checked for a QR code
+const SCAN_INTERVAL_MS = 400;
+
+// The code inside a scanned check-in link (or the raw code)
+const codeFromScan = (raw) => {
+    try {
+        return new URL(raw).searchParams.get('check_in') || raw;
+    } catch {
+        return raw;
+    }
+};
+
+// Result line after checking in, e.g. "You are checked in (10th-A • P2 • Mathematics)"
+const checkedInText = (data) => `${data.message} (${data.period_label ? `${data.class_name} • ${data.period_label}` : data.class_name})`;
+
+const canScan = typeof window !== 'undefined' && 'BarcodeDetector' in window && !!navigator.mediaDevices?.getUserMedia;
+
+const Scanner = ({ onCode, onClose }) => {
+    const videoRef = useRef(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let stream = null;
+        let timer = null;
+        let stopped = false;
+
+        navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+            .then(media => {
+                if (stopped) {
+                    media.getTracks().forEach(track => track.stop());
+                    return;
+                }
+                stream = media;
+                videoRef.current.srcObject = media;
+                videoRef.current.play();
+                const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+                timer = setInterval(async () => {
+                    const found = await detector.detect(videoRef.current).catch(() => []);
+                    if (found.length > 0 && !stopped) {
+                        stopped = true;
+                        onCode(codeFromScan(found[0].rawValue));
+                    }
+                }, SCAN_INTERVAL_MS);
+            })
+            .catch(() => setError('The camera could not be opened. Scan the code with your camera app instead.'));
+
+        return () => {
+            stopped = true;
+            clearInterval(timer);
+            if (stream) stream.getTracks().forEach(track => track.stop());
+        };
+    }, [onCode]);
+
+    return (
+        <div className="fixed inset-0 bg-black/80 z-50 flex items-center justify-center p-4" onClick={onClose}>
+            <div className="w-full max-w-md bg-gray-900 border border-gray-800 rounded-2xl overflow-hidden" onClick={e => e.stopPropagation()}>
+                <div className="p-4 border-b border-gray-800 flex items-center justify-between">
+                    <h3 className="font-bold text-white">Point the camera at the QR code</h3>
+                    <button onClick={onClose} className="p-2 hover:bg-gray-800 rounded-full text-gray-400 hover:text-white transition-colors">
+                        <X size={18} />
+                    </button>
+                </div>
+                {error
+                    ? <p className="p-6 text-sm text-red-400">{error}</p>
+                    : <video ref={videoRef} muted playsInline className="w-full aspect-square object-cover bg-black" />}
+            </div>
+        </div>
+    );
+};
+
+const CheckInCard = () => {
+    const [searchParams, setSearchParams] = useSearchParams();
+    const [scanning, setScanning] = useState(false);
+    const [result, setResult] = useState(null); // { ok: true, text } or { ok: false, text }
+    const handledCode = useRef(null); // a link's code is sent once, even if the effect runs twice
+
+    // Stable, so the scanner's camera isn't restarted on every render
+    const submit = useCallback(async (code) => {
+        setScanning(false);
+        try {
+            const res = await api.post('/student/check-in', { code });
+            setResult({ ok: true, text: checkedInText(res.data) });
+        } catch (err) {
+            setResult({ ok: false, text: err.response?.data?.error || 'Check-in failed' });
+        }
+    }, []);
+
+    // Opened from the QR code link (?check_in=...)
+    useEffect(() => {
+        const code = searchParams.get('check_in');
+        if (!code || handledCode.current === code) return;
+        handledCode.current = code;
+        setSearchParams({}, { replace: true });
+        api.post('/student/check-in', { code })
+            .then(res => setResult({ ok: true, text: checkedInText(res.data) }))
+            .catch(err => setResult({ ok: false, text: err.response?.data?.error || 'Check-in failed' }));
+    }, [searchParams, setSearchParams]);
+
+    return (
+        <div className="bg-gray-900 p-5 rounded-2xl border border-gray-800 shadow-sm mb-8 flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+            <div className="min-w-0">
+                <h3 className="text-lg font-bold text-white flex items-center gap-2">
+                    <QrCode size={20} className="text-indigo-400" /> Check In
+                </h3>
+                {result ? (
+                    <p className={`text-sm mt-1 flex items-center gap-1.5 ${result.ok ? 'text-emerald-400' : 'text-red-400'}`}>
+                        {result.ok ? <CheckCircle size={16} className="shrink-0" /> : <XCircle size={16} className="shrink-0" />}
+                        {result.text}
+                    </p>
+                ) : (
+                    <p className="text-sm text-gray-400 mt-1">
+                        When your teacher shows a QR code in class, scan it to check in{canScan ? '' : ' with your phone\'s camera app'}.
+                    </p>
+                )}
+            </div>
+            {canScan && (
+                <button
+                    onClick={() => { setResult(null); setScanning(true); }}
+                    className="shrink-0 bg-white text-gray-900 font-semibold px-5 py-2.5 rounded-lg hover:bg-gray-100 transition-colors"
+                >
+                    Scan QR Code
+                </button>
+            )}
+            {scanning && <Scanner onCode={submit} onClose={() => setScanning(false)} />}
+        </div>
+    );
+};
+
+export default CheckInCard;
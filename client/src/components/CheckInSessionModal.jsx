@@ -0,0 +1,139 @@
+import { useState, useEffect } from 'react';
+import api from '../api/axios';
+import { useToast } from '../context/ToastContext';
+import QrCode from './QrCode';
+import { QrCode as QrCodeIcon, CheckCircle, X } from 'lucide-react';
+
+/**
+ * CHECK-IN SESSION MODAL (Teacher Portal attendance sheet)
+ *
+ * Shows the QR code of an open check-in session for students to scan
+ * from the student portal, and who has checked in so far. The code
+ * changes every few seconds, so it is fetched again every POLL_MS
+ * (GET /api/teacher/check-in-sessions/:id).
+ *
+ * "Review" closes the session and hands the students who checked in to
+ * the attendance sheet; nothing is saved until the teacher clicks Save.
+ *
+ * @param {number} sessionId - check_in_sessions.id (opened by the dashboard)
+ * @param {Function} onFinish - called with the session's students after it was closed
+ * @param {Function} onClose - called when the teacher cancels (the session is closed too)
+ */
+
+const POLL_MS = 3000;
+
+const CheckInSessionModal = ({ sessionId, onFinish, onClose }) => {
+    const { addToast } = useToast();
+    const [session, setSession] = useState(null);
+
+    useEffect(() => {
+        let ignore = false;
+        const load = () => api.get(`/teacher/check-in-sessions/${sessionId}`)
+            .then(res => { if (!ignore) setSession(res.data); })
+            .catch(() => { if (!ignore) addToast('Failed to load check-in', 'error'); });
+        load();
+        const timer = setInterval(load, POLL_MS);
+        return () => {
+            ignore = true;
+            clearInterval(timer);
+        };
+    }, [sessionId, addToast]);
+
+    const close = async () => {
+        await api.post(`/teacher/check-in-sessions/${sessionId}/close`);
+        const res = await api.get(`/teacher/check-in-sessions/${sessionId}`);
+        return res.data;
+    };
+
+    const handleReview = async () => {
+        try {
+            const closed = await close();
+            onFinish(closed.students);
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to close check-in', 'error');
+        }
+    };
+
+    const handleCancel = async () => {
+        try {
+            await close();
+        } catch {
+            // Closes by itself after a few minutes anyway
+        }
+        onClose();
+    };
+
+    const checkedIn = session ? session.students.filter(s => s.checked_in_at) : [];
+    // The link students' phones open; the student portal sends the code on
+    const link = session?.code ? `${window.location.origin}/student?check_in=${encodeURIComponent(session.code)}` : null;
+
+    return (
+        <div className="fixed inset-0 bg-black/60 z-50 flex items-center justify-center p-4">
+            <div className="w-full max-w-3xl bg-gray-900 border border-gray-800 rounded-2xl shadow-xl overflow-hidden">
+                <div className="p-5 border-b border-gray-800 flex items-center justify-between">
+                    <div>
+                        <h3 className="text-lg font-bold text-white flex items-center gap-2">
+                            <QrCodeIcon size={18} className="text-indigo-400" /> QR Check-in
+                        </h3>
+                        {session && (
+                            <p className="text-sm text-gray-400 mt-0.5">
+                                {session.class_name}{session.period_label ? ` • ${session.period_label}` : ' • Whole day'} • {session.date}
+                            </p>
+                        )}
+                    </div>
+                    <button onClick={handleCancel} title="Cancel check-in" className="p-2 hover:bg-gray-800 rounded-full text-gray-400 hover:text-white transition-colors">
+                        <X size={18} />
+                    </button>
+                </div>
+
+                <div className="p-5 grid grid-cols-1 md:grid-cols-2 gap-6">
+                    <div className="flex flex-col items-center justify-center text-center gap-3">
+                        {link ? (
+                            <>
+                                <div className="rounded-xl overflow-hidden">
+                                    <QrCode value={link} size={280} />
+                                </div>
+                                <p className="text-xs text-gray-500">
+                                    Students scan this with their phone or under "Check In" in the student portal.
+                                    It changes every few seconds, so a photo of it stops working quickly.
+                                </p>
+                            </>
+                        ) : (
+                            <p className="text-sm text-gray-400 py-16">
+                                {session ? 'This check-in has closed. Review the result below.' : 'Opening check-in...'}
+                            </p>
+                        )}
+                    </div>
+
+                    <div className="min-w-0">
+                        <p className="text-sm font-medium text-white mb-3">
+                            {checkedIn.length} of {session ? session.students.length : 0} checked in
+                        </p>
+                        <ul className="max-h-80 overflow-y-auto divide-y divide-gray-800 border border-gray-800 rounded-xl">
+                            {session?.students.map(student => (
+                                <li key={student.student_id} className="px-4 py-2 flex items-center justify-between gap-3 text-sm">
+                                    <span className={student.checked_in_at ? 'text-white' : 'text-gray-500'}>
+                                        <span className="font-mono text-xs text-gray-500 mr-2">#{student.roll_no}</span>
+                                        {student.name}
+                                    </span>
+                                    {student.checked_in_at && <CheckCircle size={16} className="text-emerald-400 shrink-0" />}
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                </div>
+
+                <div className="p-5 border-t border-gray-800 flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+                    <p className="text-xs text-gray-500">
+                        Review marks everyone who checked in Present and everyone else not yet marked Absent. Check the sheet, then Save.
+                    </p>
+                    <button onClick={handleReview} className="shrink-0 bg-white text-gray-900 font-semibold px-6 py-2.5 rounded-lg hover:bg-gray-100 transition-colors">
+                        Close &amp; Review
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default CheckInSessionModal;
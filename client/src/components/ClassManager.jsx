@@ -0,0 +1,227 @@
+import { useState, useEffect } from 'react';
+import api from '../api/axios';
+import { useToast } from '../context/ToastContext';
+import { School, Plus, Trash2, X } from 'lucide-react';
+
+/**
+ * CLASS MANAGER
+ *
+ * Admin view of every class (GET /api/admin/classes):
+ * - Create a class from grade + section + academic year
+ * - Choose the class teacher (they are also assigned to the class)
+ * - Assign other teachers (e.g. subject teachers) to a class, or remove them;
+ *   a teacher only sees the classes they are assigned to
+ * - Delete a class that has no students
+ */
+
+const emptyClass = { grade: '', section: '', academic_year: '', class_teacher_id: '' };
+
+const ClassManager = () => {
+    const { addToast } = useToast();
+    const [classes, setClasses] = useState([]);
+    const [teachers, setTeachers] = useState([]);
+    const [newClass, setNewClass] = useState(emptyClass);
+    const [loading, setLoading] = useState(true);
+
+    const [reloadKey, setReloadKey] = useState(0); // bump to re-fetch the class list
+    const reloadClasses = () => setReloadKey(k => k + 1);
+
+    useEffect(() => {
+        let ignore = false;
+        api.get('/admin/classes')
+            .then(res => { if (!ignore) setClasses(res.data); })
+            .catch(() => { if (!ignore) addToast('Failed to load classes', 'error'); })
+            .finally(() => { if (!ignore) setLoading(false); });
+        return () => { ignore = true; };
+    }, [reloadKey, addToast]);
+
+    // Teachers for the "class teacher" and "assign" dropdowns
+    useEffect(() => {
+        let ignore = false;
+        api.get('/admin/users', { params: { role: 'TEACHER' } })
+            .then(res => { if (!ignore) setTeachers(res.data.filter(u => u.teacher_id)); })
+            .catch(() => { if (!ignore) addToast('Failed to load teachers', 'error'); });
+        return () => { ignore = true; };
+    }, [addToast]);
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        try {
+            const res = await api.post('/admin/classes', {
+                grade: newClass.grade,
+                section: newClass.section,
+                academic_year: newClass.academic_year || undefined,
+                class_teacher_id: newClass.class_teacher_id ? Number(newClass.class_teacher_id) : undefined
+            });
+            addToast(`Class ${res.data.class.name} created`, 'success');
+            setNewClass(emptyClass);
+            reloadClasses();
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to create class', 'error');
+        }
+    };
+
+    const setClassTeacher = async (cls, teacherId) => {
+        try {
+            await api.patch(`/admin/classes/${cls.id}`, { class_teacher_id: teacherId ? Number(teacherId) : null });
+            addToast(`Class teacher updated for ${cls.name}`, 'success');
+            reloadClasses();
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to update class', 'error');
+        }
+    };
+
+    const assignTeacher = async (cls, teacherId) => {
+        if (!teacherId) return;
+        try {
+            await api.post(`/admin/classes/${cls.id}/teachers`, { teacher_id: Number(teacherId) });
+            addToast(`Teacher assigned to ${cls.name}`, 'success');
+            reloadClasses();
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to assign teacher', 'error');
+        }
+    };
+
+    const unassignTeacher = async (cls, teacher) => {
+        if (!window.confirm(`Remove ${teacher.name} from ${cls.name}?`)) return;
+        try {
+            await api.delete(`/admin/classes/${cls.id}/teachers/${teacher.id}`);
+            addToast(`${teacher.name} removed from ${cls.name}`, 'success');
+            reloadClasses();
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to remove teacher', 'error');
+        }
+    };
+
+    const deleteClass = async (cls) => {
+        if (!window.confirm(`Delete class ${cls.name} (${cls.academic_year})?`)) return;
+        try {
+            await api.delete(`/admin/classes/${cls.id}`);
+            addToast('Class deleted', 'success');
+            reloadClasses();
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to delete class', 'error');
+        }
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-gray-900 p-6 rounded-2xl border border-gray-800 shadow-sm">
+                <h2 className="text-xl font-bold mb-6 text-white flex items-center gap-2">
+                    <Plus size={20} className="text-indigo-400" /> New Class
+                </h2>
+                <form onSubmit={handleCreate} className="grid grid-cols-1 md:grid-cols-5 gap-4 items-end">
+                    <div className="space-y-1.5">
+                        <label className="text-xs text-gray-400 font-medium">Grade</label>
+                        <input type="text" required placeholder="10th" className="w-full bg-gray-950 border border-gray-800 rounded-lg p-2.5 text-sm focus:border-indigo-500 outline-none text-white transition-colors"
+                            value={newClass.grade} onChange={e => setNewClass({ ...newClass, grade: e.target.value })} />
+                    </div>
+                    <div className="space-y-1.5">
+                        <label className="text-xs text-gray-400 font-medium">Section</label>
+                        <input type="text" placeholder="A" className="w-full bg-gray-950 border border-gray-800 rounded-lg p-2.5 text-sm focus:border-indigo-500 outline-none text-white transition-colors"
+                            value={newClass.section} onChange={e => setNewClass({ ...newClass, section: e.target.value })} />
+                    </div>
+                    <div className="space-y-1.5">
+                        <label className="text-xs text-gray-400 font-medium">Academic Year</label>
+                        <input type="text" placeholder="Current year" pattern="\d{4}-\d{4}" className="w-full bg-gray-950 border border-gray-800 rounded-lg p-2.5 text-sm focus:border-indigo-500 outline-none text-white transition-colors"
+                            value={newClass.academic_year} onChange={e => setNewClass({ ...newClass, academic_year: e.target.value })} />
+                    </div>
+                    <div className="space-y-1.5">
+                        <label className="text-xs text-gray-400 font-medium">Class Teacher</label>
+                        <select className="w-full bg-gray-950 border border-gray-800 rounded-lg p-2.5 text-sm focus:border-indigo-500 outline-none text-white transition-colors"
+                            value={newClass.class_teacher_id} onChange={e => setNewClass({ ...newClass, class_teacher_id: e.target.value })}>
+                            <option value="">None</option>
+                            {teachers.map(t => <option key={t.teacher_id} value={t.teacher_id}>{t.name}</option>)}
+                        </select>
+                    </div>
+                    <button type="submit" className="w-full bg-white text-gray-900 font-semibold py-2.5 rounded-lg hover:bg-gray-100 transition-colors">
+                        Create Class
+                    </button>
+                </form>
+            </div>
+
+            <div className="bg-gray-900 rounded-2xl border border-gray-800 shadow-sm overflow-hidden">
+                <div className="p-4 md:p-6 border-b border-gray-800">
+                    <h2 className="text-lg font-bold text-white flex items-center gap-2">
+                        <School size={20} className="text-indigo-400" /> Classes
+                    </h2>
+                </div>
+
+                {loading ? (
+                    <div className="p-8 text-center text-gray-400">Loading classes...</div>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-sm">
+                            <thead className="text-xs text-gray-500 uppercase bg-gray-950/50">
+                                <tr>
+                                    <th className="px-4 py-3 text-left font-medium">Class</th>
+                                    <th className="px-4 py-3 text-left font-medium">Academic Year</th>
+                                    <th className="px-4 py-3 text-left font-medium">Students</th>
+                                    <th className="px-4 py-3 text-left font-medium">Class Teacher</th>
+                                    <th className="px-4 py-3 text-left font-medium">Assigned Teachers</th>
+                                    <th className="px-4 py-3 text-right font-medium">Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-800">
+                                {classes.map(cls => (
+                                    <tr key={cls.id}>
+                                        <td className="px-4 py-3 text-white font-medium">{cls.name}</td>
+                                        <td className="px-4 py-3 text-gray-400">{cls.academic_year}</td>
+                                        <td className="px-4 py-3 text-gray-400">{cls.student_count}</td>
+                                        <td className="px-4 py-3">
+                                            <select
+                                                value={cls.class_teacher_id || ''}
+                                                onChange={(e) => setClassTeacher(cls, e.target.value)}
+                                                className="bg-gray-950 border border-gray-700 text-gray-300 rounded-lg px-3 py-1.5 text-sm focus:ring-1 focus:ring-indigo-500 outline-none"
+                                            >
+                                                <option value="">None</option>
+                                                {teachers.map(t => <option key={t.teacher_id} value={t.teacher_id}>{t.name}</option>)}
+                                            </select>
+                                        </td>
+                                        <td className="px-4 py-3">
+                                            <div className="flex flex-wrap items-center gap-2">
+                                                {cls.teachers.map(t => (
+                                                    <span key={t.id} className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs bg-indigo-500/10 text-indigo-300 border border-indigo-500/20">
+                                                        {t.name}
+                                                        <button onClick={() => unassignTeacher(cls, t)} className="hover:text-red-400" aria-label={`Remove ${t.name}`}>
+                                                            <X size={12} />
+                                                        </button>
+                                                    </span>
+                                                ))}
+                                                <select
+                                                    value=""
+                                                    onChange={(e) => assignTeacher(cls, e.target.value)}
+                                                    className="bg-gray-950 border border-gray-700 text-gray-400 rounded-lg px-2 py-1 text-xs focus:ring-1 focus:ring-indigo-500 outline-none"
+                                                >
+                                                    <option value="">+ Assign</option>
+                                                    {teachers
+                                                        .filter(t => !cls.teachers.some(assigned => assigned.id === t.teacher_id))
+                                                        .map(t => <option key={t.teacher_id} value={t.teacher_id}>{t.name}</option>)}
+                                                </select>
+                                            </div>
+                                        </td>
+                                        <td className="px-4 py-3 text-right">
+                                            <button
+                                                onClick={() => deleteClass(cls)}
+                                                disabled={cls.student_count > 0}
+                                                title={cls.student_count > 0 ? 'Only empty classes can be deleted' : 'Delete class'}
+                                                className="p-2 rounded-lg text-gray-400 hover:text-red-400 hover:bg-red-500/10 transition-colors disabled:opacity-30 disabled:cursor-not-allowed"
+                                            >
+                                                <Trash2 size={16} />
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        {classes.length === 0 && (
+                            <div className="p-8 text-center text-gray-500">No classes yet.</div>
+                        )}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ClassManager;
@@ -0,0 +1,139 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../api/axios';
+import { useToast } from '../context/ToastContext';
+import { MessageSquareWarning, Check, X } from 'lucide-react';
+
+/**
+ * CORRECTION INBOX (Teacher Portal "Requests" tab)
+ *
+ * Days students of the teacher's classes disputed from their attendance
+ * calendar (GET /api/teacher/corrections), pending ones first.
+ * Accepting re-marks the whole day with the requested status on the
+ * attendance sheet; rejecting needs a note the student will see.
+ */
+
+const STATUS_BADGES = {
+    PENDING: { label: 'Pending', badge: 'bg-amber-500/10 text-amber-400 border-amber-500/20' },
+    ACCEPTED: { label: 'Accepted', badge: 'bg-emerald-500/10 text-emerald-400 border-emerald-500/20' },
+    REJECTED: { label: 'Rejected', badge: 'bg-red-500/10 text-red-400 border-red-500/20' }
+};
+
+const selectClass = 'w-full sm:w-auto bg-gray-950 border border-gray-700 text-gray-300 rounded-lg px-4 py-2 text-sm focus:ring-1 focus:ring-indigo-500 outline-none';
+
+const CorrectionInbox = ({ classes, isAdmin, onReviewed }) => {
+    const { addToast } = useToast();
+    const [corrections, setCorrections] = useState([]);
+    const [status, setStatus] = useState('PENDING');
+    const [classId, setClassId] = useState('All');
+    const [reloadKey, setReloadKey] = useState(0);
+
+    useEffect(() => {
+        let ignore = false;
+        api.get('/teacher/corrections', { params: { status, class_id: classId } })
+            .then(res => { if (!ignore) setCorrections(res.data); })
+            .catch(() => { if (!ignore) addToast('Failed to load correction requests', 'error'); });
+        return () => { ignore = true; };
+    }, [status, classId, reloadKey, addToast]);
+
+    const reviewed = () => {
+        setReloadKey(k => k + 1);
+        if (onReviewed) onReviewed();
+    };
+
+    const handleAccept = async (correction) => {
+        if (!window.confirm(`Mark ${correction.student_name} ${correction.requested_status} on ${correction.date}?`)) return;
+        try {
+            await api.post(`/teacher/corrections/${correction.id}/accept`);
+            addToast('Attendance corrected', 'success');
+            reviewed();
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to accept correction', 'error');
+        }
+    };
+
+    const handleReject = async (correction) => {
+        const note = window.prompt(`Reject the correction for ${correction.student_name} (${correction.date})?\nReason for the student:`);
+        if (note === null) return;  // cancelled
+        if (!note.trim()) {
+            addToast('Please give the student a reason', 'error');
+            return;
+        }
+        try {
+            await api.post(`/teacher/corrections/${correction.id}/reject`, { note });
+            addToast('Correction request rejected', 'success');
+            reviewed();
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to reject correction', 'error');
+        }
+    };
+
+    return (
+        <div className="bg-gray-900 rounded-2xl border border-gray-800 shadow-sm overflow-hidden">
+            <div className="p-4 md:p-6 border-b border-gray-800 flex flex-col md:flex-row justify-between items-start md:items-center gap-4">
+                <h2 className="text-xl font-bold text-white flex items-center gap-2">
+                    <MessageSquareWarning className="text-indigo-400" size={24} />
+                    Attendance Corrections
+                </h2>
+                <div className="flex flex-col sm:flex-row items-center gap-3 w-full md:w-auto">
+                    <select value={classId} onChange={(e) => setClassId(e.target.value)} className={selectClass}>
+                        <option value="All">{isAdmin ? 'All Classes' : 'All My Classes'}</option>
+                        {classes.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                    </select>
+                    <select value={status} onChange={(e) => setStatus(e.target.value)} className={selectClass}>
+                        <option value="PENDING">Pending</option>
+                        <option value="ACCEPTED">Accepted</option>
+                        <option value="REJECTED">Rejected</option>
+                        <option value="ALL">All</option>
+                    </select>
+                </div>
+            </div>
+
+            <div className="divide-y divide-gray-800">
+                {corrections.map(correction => (
+                    <div key={correction.id} className="p-4 md:px-6 flex flex-col md:flex-row md:items-start justify-between gap-4">
+                        <div className="min-w-0">
+                            <div className="flex flex-wrap items-center gap-2">
+                                <Link to={`/teacher/students/${correction.student_id}`} className="font-medium text-white hover:text-indigo-400">
+                                    {correction.student_name}
+                                </Link>
+                                <span className="text-xs text-gray-500">{correction.class_name} • Roll: {correction.roll_no ?? '-'}</span>
+                            </div>
+                            <p className="text-sm text-gray-300 mt-1">
+                                <span className="font-mono">{correction.date}</span>
+                                <span className="mx-2 text-gray-600">|</span>
+                                {correction.current_status} <span className="text-gray-500 mx-1">→</span> {correction.requested_status}
+                            </p>
+                            {correction.status === 'PENDING' && correction.day_status !== correction.current_status && (
+                                <p className="text-xs text-amber-400 mt-1">The day has been re-marked {correction.day_status ?? 'unmarked'} since.</p>
+                            )}
+                            <p className="text-sm text-gray-400 mt-1 whitespace-pre-line">{correction.comment}</p>
+                            {correction.review_note && <p className="text-xs text-gray-500 mt-1">Note: {correction.review_note}</p>}
+                        </div>
+                        {correction.status === 'PENDING' ? (
+                            <div className="flex items-center gap-2 shrink-0">
+                                <button onClick={() => handleAccept(correction)} className="inline-flex items-center gap-1 px-3 py-2 rounded-lg text-sm font-medium bg-emerald-500/10 text-emerald-400 hover:bg-emerald-500/20 transition-colors">
+                                    <Check size={16} /> Accept
+                                </button>
+                                <button onClick={() => handleReject(correction)} className="inline-flex items-center gap-1 px-3 py-2 rounded-lg text-sm font-medium bg-red-500/10 text-red-400 hover:bg-red-500/20 transition-colors">
+                                    <X size={16} /> Reject
+                                </button>
+                            </div>
+                        ) : (
+                            <span className={`shrink-0 self-start px-2 py-0.5 rounded-full border text-xs font-medium ${STATUS_BADGES[correction.status].badge}`}>
+                                {STATUS_BADGES[correction.status].label}
+                            </span>
+                        )}
+                    </div>
+                ))}
+                {corrections.length === 0 && (
+                    <div className="p-8 text-center text-gray-500">
+                        {status === 'PENDING' ? 'No correction requests waiting for an answer.' : 'No correction requests.'}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default CorrectionInbox;
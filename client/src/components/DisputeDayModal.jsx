@@ -0,0 +1,112 @@
+import { useState } from 'react';
+import api from '../api/axios';
+import { useToast } from '../context/ToastContext';
+import { MessageSquareWarning, X } from 'lucide-react';
+
+/**
+ * DISPUTE DAY MODAL (Student Portal calendar)
+ *
+ * Opened by clicking a marked day on the attendance calendar. Shows the
+ * earlier correction requests for that day (with the teacher's answer)
+ * and, unless one is still pending, a form to ask a teacher to correct
+ * the mark (POST /api/student/corrections).
+ *
+ * @param {object} day - { date: "2026-02-12", status: "ABSENT" }
+ * @param {Array} corrections - the student's correction requests for this date
+ * @param {Function} onSent - called after a request was sent
+ * @param {Function} onClose - called when the modal is dismissed
+ */
+
+const STATUS_OPTIONS = [
+    { status: 'PRESENT', label: 'Present' },
+    { status: 'LATE', label: 'Late' },
+    { status: 'HALF_DAY', label: 'Half Day' },
+    { status: 'EXCUSED', label: 'Excused' },
+    { status: 'MEDICAL', label: 'Medical' },
+    { status: 'ABSENT', label: 'Absent' }
+];
+
+const OUTCOME_STYLES = {
+    PENDING: { label: 'Waiting for a teacher', text: 'text-amber-400' },
+    ACCEPTED: { label: 'Corrected', text: 'text-emerald-400' },
+    REJECTED: { label: 'Rejected', text: 'text-red-400' }
+};
+
+const inputClass = 'w-full bg-gray-950 border border-gray-800 rounded-lg p-2.5 text-sm focus:border-indigo-500 outline-none text-white transition-colors';
+
+const DisputeDayModal = ({ day, corrections, onSent, onClose }) => {
+    const { addToast } = useToast();
+    const options = STATUS_OPTIONS.filter(option => option.status !== day.status);
+    const [requestedStatus, setRequestedStatus] = useState(options[0].status);
+    const [comment, setComment] = useState('');
+    const pending = corrections.some(c => c.status === 'PENDING');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        try {
+            await api.post('/student/corrections', { date: day.date, requested_status: requestedStatus, comment });
+            addToast('Correction request sent', 'success');
+            onSent();
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to send correction request', 'error');
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/60 z-50 flex items-center justify-center p-4" onClick={onClose}>
+            <div className="w-full max-w-lg bg-gray-900 border border-gray-800 rounded-2xl shadow-xl overflow-hidden" onClick={e => e.stopPropagation()}>
+                <div className="p-5 border-b border-gray-800 flex items-center justify-between">
+                    <div>
+                        <h3 className="text-lg font-bold text-white flex items-center gap-2">
+                            <MessageSquareWarning size={18} className="text-indigo-400" /> Dispute This Day
+                        </h3>
+                        <p className="text-sm text-gray-400 mt-0.5">{day.date} • marked {day.status}</p>
+                    </div>
+                    <button onClick={onClose} className="p-2 hover:bg-gray-800 rounded-full text-gray-400 hover:text-white transition-colors">
+                        <X size={18} />
+                    </button>
+                </div>
+
+                <div className="p-5 space-y-5 max-h-[70vh] overflow-y-auto">
+                    {corrections.length > 0 && (
+                        <ol className="space-y-3">
+                            {corrections.map(c => (
+                                <li key={c.id} className="border-l-2 border-gray-700 pl-4 text-sm">
+                                    <p className="text-gray-200">
+                                        {c.current_status} <span className="text-gray-500 mx-1">→</span> {c.requested_status}
+                                        <span className={`ml-2 text-xs font-medium ${OUTCOME_STYLES[c.status].text}`}>{OUTCOME_STYLES[c.status].label}</span>
+                                    </p>
+                                    <p className="text-gray-400 mt-0.5 whitespace-pre-line">{c.comment}</p>
+                                    {c.review_note && <p className="text-xs text-gray-500 mt-0.5">Teacher: {c.review_note}</p>}
+                                </li>
+                            ))}
+                        </ol>
+                    )}
+
+                    {pending ? (
+                        <p className="text-sm text-gray-500">A teacher has not answered your request for this day yet.</p>
+                    ) : (
+                        <form onSubmit={handleSubmit} className="space-y-4">
+                            <div className="space-y-1.5">
+                                <label className="text-xs text-gray-400 font-medium">It should be</label>
+                                <select className={inputClass} value={requestedStatus} onChange={e => setRequestedStatus(e.target.value)}>
+                                    {options.map(option => <option key={option.status} value={option.status}>{option.label}</option>)}
+                                </select>
+                            </div>
+                            <div className="space-y-1.5">
+                                <label className="text-xs text-gray-400 font-medium">What happened?</label>
+                                <textarea required rows={3} maxLength={1000} className={inputClass}
+                                    value={comment} onChange={e => setComment(e.target.value)} />
+                            </div>
+                            <button type="submit" className="w-full bg-white text-gray-900 font-semibold py-2.5 rounded-lg hover:bg-gray-100 transition-colors">
+                                Ask for a Correction
+                            </button>
+                        </form>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default DisputeDayModal;
@@ -0,0 +1,96 @@
+import { useState } from 'react';
+import api from '../api/axios';
+import { useToast } from '../context/ToastContext';
+import { Send, Copy } from 'lucide-react';
+
+/**
+ * INVITE FORM
+ * 
+ * Creates a one-time invitation link (POST /api/invitations).
+ * Used by the Admin Console (students & teachers) and the
+ * Teacher Portal (students in the teacher's own classes).
+ * 
+ * @param {string[]} roles - which roles can be invited from this screen
+ * @param {object[]} classes - classes to choose from ([{ id, name }])
+ */
+const InviteForm = ({ roles = ['STUDENT'], classes = [] }) => {
+    const { addToast } = useToast();
+    const emptyInvite = { email: '', role: roles[0], class_id: '', roll_no: '' };
+    const [invite, setInvite] = useState(emptyInvite);
+    const [inviteLink, setInviteLink] = useState('');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        try {
+            const res = await api.post('/invitations', invite);
+            setInviteLink(res.data.inviteLink);
+            setInvite(emptyInvite);
+            addToast('Invitation created!', 'success');
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to create invitation', 'error');
+        }
+    };
+
+    const copyLink = async () => {
+        await navigator.clipboard.writeText(inviteLink);
+        addToast('Link copied to clipboard', 'info');
+    };
+
+    const isStudent = invite.role === 'STUDENT';
+
+    return (
+        <div className="bg-gray-900 p-6 rounded-2xl border border-gray-800 shadow-sm">
+            <h2 className="text-xl font-bold mb-2 text-white flex items-center gap-2">
+                <Send size={20} className="text-indigo-400" /> Send Invitation
+            </h2>
+            <p className="text-gray-500 text-sm mb-6">The invitee opens the link and chooses their own password. Links work once and expire after 7 days.</p>
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div className="space-y-1.5">
+                        <label className="text-xs text-gray-400 font-medium">Email Address</label>
+                        <input type="email" required className="w-full bg-gray-950 border border-gray-800 rounded-lg p-2.5 text-sm focus:border-indigo-500 outline-none text-white transition-colors"
+                            value={invite.email} onChange={e => setInvite({ ...invite, email: e.target.value })} />
+                    </div>
+                    {roles.length > 1 && (
+                        <div className="space-y-1.5">
+                            <label className="text-xs text-gray-400 font-medium">Role</label>
+                            <select className="w-full bg-gray-950 border border-gray-800 rounded-lg p-2.5 text-sm focus:border-indigo-500 outline-none text-white transition-colors"
+                                value={invite.role} onChange={e => setInvite({ ...invite, role: e.target.value })}>
+                                {roles.map(r => <option key={r} value={r}>{r === 'TEACHER' ? 'Teacher' : 'Student'}</option>)}
+                            </select>
+                        </div>
+                    )}
+                    <div className="space-y-1.5">
+                        <label className="text-xs text-gray-400 font-medium">{isStudent ? 'Class' : 'Class (optional)'}</label>
+                        <select required={isStudent} className="w-full bg-gray-950 border border-gray-800 rounded-lg p-2.5 text-sm focus:border-indigo-500 outline-none text-white transition-colors"
+                            value={invite.class_id} onChange={e => setInvite({ ...invite, class_id: e.target.value })}>
+                            <option value="">{isStudent ? 'Select a class' : 'No class'}</option>
+                            {classes.map(c => <option key={c.id} value={c.id}>{c.name}{c.academic_year ? ` (${c.academic_year})` : ''}</option>)}
+                        </select>
+                    </div>
+                    {isStudent && (
+                        <div className="space-y-1.5">
+                            <label className="text-xs text-gray-400 font-medium">Roll Number</label>
+                            <input type="number" required className="w-full bg-gray-950 border border-gray-800 rounded-lg p-2.5 text-sm focus:border-indigo-500 outline-none text-white transition-colors"
+                                value={invite.roll_no} onChange={e => setInvite({ ...invite, roll_no: e.target.value })} />
+                        </div>
+                    )}
+                </div>
+                <button type="submit" className="w-full bg-white text-gray-900 font-semibold py-2.5 rounded-lg hover:bg-gray-100 transition-colors mt-2">
+                    Create Invite Link
+                </button>
+            </form>
+
+            {inviteLink && (
+                <div className="mt-6 p-3 rounded-lg bg-indigo-500/10 border border-indigo-500/20 flex items-center gap-2">
+                    <input readOnly value={inviteLink} className="flex-1 bg-transparent text-indigo-300 text-xs font-mono outline-none truncate" />
+                    <button onClick={copyLink} className="p-2 hover:bg-indigo-500/20 rounded-lg text-indigo-300 transition-colors" aria-label="Copy invite link">
+                        <Copy size={16} />
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default InviteForm;
@@ -0,0 +1,139 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../api/axios';
+import { useToast } from '../context/ToastContext';
+import { LEAVE_STATUS_STYLES, formatLeaveRange, downloadAttachment } from '../utils/leave';
+import { CalendarOff, Paperclip, Check, X } from 'lucide-react';
+
+/**
+ * LEAVE INBOX (Teacher Portal "Requests" tab)
+ *
+ * Leave requests from students of the teacher's classes and their
+ * guardians (GET /api/teacher/leave-requests), pending ones first.
+ * Approving marks every school day of the request Excused on the
+ * attendance sheet; rejecting can carry a note for the student.
+ */
+
+const selectClass = 'w-full sm:w-auto bg-gray-950 border border-gray-700 text-gray-300 rounded-lg px-4 py-2 text-sm focus:ring-1 focus:ring-indigo-500 outline-none';
+
+const LeaveInbox = ({ classes, isAdmin, onReviewed }) => {
+    const { addToast } = useToast();
+    const [requests, setRequests] = useState([]);
+    const [status, setStatus] = useState('PENDING');
+    const [classId, setClassId] = useState('All');
+    const [reloadKey, setReloadKey] = useState(0);
+
+    useEffect(() => {
+        let ignore = false;
+        api.get('/teacher/leave-requests', { params: { status, class_id: classId } })
+            .then(res => { if (!ignore) setRequests(res.data); })
+            .catch(() => { if (!ignore) addToast('Failed to load leave requests', 'error'); });
+        return () => { ignore = true; };
+    }, [status, classId, reloadKey, addToast]);
+
+    const reviewed = () => {
+        setReloadKey(k => k + 1);
+        if (onReviewed) onReviewed();
+    };
+
+    const handleApprove = async (leave) => {
+        if (!window.confirm(`Approve leave for ${leave.student_name} (${formatLeaveRange(leave)})? Its school days are marked on the attendance sheet.`)) return;
+        try {
+            const res = await api.post(`/teacher/leave-requests/${leave.id}/approve`);
+            addToast(`Leave approved: ${res.data.days} day${res.data.days === 1 ? '' : 's'} marked ${res.data.status.toLowerCase()}`, 'success');
+            reviewed();
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to approve leave', 'error');
+        }
+    };
+
+    const handleReject = async (leave) => {
+        const note = window.prompt(`Reject leave for ${leave.student_name} (${formatLeaveRange(leave)})?\nReason for the student (optional):`);
+        if (note === null) return;  // cancelled
+        try {
+            await api.post(`/teacher/leave-requests/${leave.id}/reject`, { note });
+            addToast('Leave rejected', 'success');
+            reviewed();
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to reject leave', 'error');
+        }
+    };
+
+    const handleDownload = async (leave) => {
+        try {
+            await downloadAttachment(`/teacher/leave-requests/${leave.id}/attachment`, leave.attachment_name);
+        } catch {
+            addToast('Failed to download attachment', 'error');
+        }
+    };
+
+    return (
+        <div className="bg-gray-900 rounded-2xl border border-gray-800 shadow-sm overflow-hidden">
+            <div className="p-4 md:p-6 border-b border-gray-800 flex flex-col md:flex-row justify-between items-start md:items-center gap-4">
+                <h2 className="text-xl font-bold text-white flex items-center gap-2">
+                    <CalendarOff className="text-indigo-400" size={24} />
+                    Leave Requests
+                </h2>
+                <div className="flex flex-col sm:flex-row items-center gap-3 w-full md:w-auto">
+                    <select value={classId} onChange={(e) => setClassId(e.target.value)} className={selectClass}>
+                        <option value="All">{isAdmin ? 'All Classes' : 'All My Classes'}</option>
+                        {classes.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                    </select>
+                    <select value={status} onChange={(e) => setStatus(e.target.value)} className={selectClass}>
+                        <option value="PENDING">Pending</option>
+                        <option value="APPROVED">Approved</option>
+                        <option value="REJECTED">Rejected</option>
+                        <option value="ALL">All</option>
+                    </select>
+                </div>
+            </div>
+
+            <div className="divide-y divide-gray-800">
+                {requests.map(leave => (
+                    <div key={leave.id} className="p-4 md:px-6 flex flex-col md:flex-row md:items-start justify-between gap-4">
+                        <div className="min-w-0">
+                            <div className="flex flex-wrap items-center gap-2">
+                                <Link to={`/teacher/students/${leave.student_id}`} className="font-medium text-white hover:text-indigo-400">
+                                    {leave.student_name}
+                                </Link>
+                                <span className="text-xs text-gray-500">{leave.class_name} • Roll: {leave.roll_no ?? '-'}</span>
+                                {leave.requested_by_role === 'GUARDIAN' && (
+                                    <span className="text-xs text-gray-500">• sent by a guardian</span>
+                                )}
+                            </div>
+                            <p className="text-sm text-gray-300 mt-1 font-mono">{formatLeaveRange(leave)}</p>
+                            <p className="text-sm text-gray-400 mt-1 whitespace-pre-line">{leave.reason}</p>
+                            {leave.attachment_name && (
+                                <button onClick={() => handleDownload(leave)} className="mt-1 inline-flex items-center gap-1 text-xs text-indigo-400 hover:text-indigo-300">
+                                    <Paperclip size={12} /> {leave.attachment_name}
+                                </button>
+                            )}
+                            {leave.review_note && <p className="text-xs text-gray-500 mt-1">Note: {leave.review_note}</p>}
+                        </div>
+                        {leave.status === 'PENDING' ? (
+                            <div className="flex items-center gap-2 shrink-0">
+                                <button onClick={() => handleApprove(leave)} className="inline-flex items-center gap-1 px-3 py-2 rounded-lg text-sm font-medium bg-emerald-500/10 text-emerald-400 hover:bg-emerald-500/20 transition-colors">
+                                    <Check size={16} /> Approve
+                                </button>
+                                <button onClick={() => handleReject(leave)} className="inline-flex items-center gap-1 px-3 py-2 rounded-lg text-sm font-medium bg-red-500/10 text-red-400 hover:bg-red-500/20 transition-colors">
+                                    <X size={16} /> Reject
+                                </button>
+                            </div>
+                        ) : (
+                            <span className={`shrink-0 self-start px-2 py-0.5 rounded-full border text-xs font-medium ${LEAVE_STATUS_STYLES[leave.status].badge}`}>
+                                {LEAVE_STATUS_STYLES[leave.status].label}
+                            </span>
+                        )}
+                    </div>
+                ))}
+                {requests.length === 0 && (
+                    <div className="p-8 text-center text-gray-500">
+                        {status === 'PENDING' ? 'No leave requests waiting for an answer.' : 'No leave requests.'}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default LeaveInbox;
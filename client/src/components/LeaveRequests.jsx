@@ -0,0 +1,177 @@
+import { useState, useEffect } from 'react';
+import api from '../api/axios';
+import { useToast } from '../context/ToastContext';
+import { LEAVE_STATUS_STYLES, formatLeaveRange, downloadAttachment } from '../utils/leave';
+import { useLiveEvent } from '../utils/liveUpdates';
+import { CalendarOff, Paperclip, Trash2 } from 'lucide-react';
+
+/**
+ * LEAVE REQUESTS (Student Portal and Guardian Portal)
+ *
+ * Ask for leave for one day or a range, with a reason and optionally an
+ * attachment (.pdf, .jpg or .png, e.g. a doctor's note), and follow the
+ * teacher's answer. Pending requests can be withdrawn.
+ * Approved leave is marked Excused on the attendance calendar.
+ *
+ * apiBase: "/student" or "/guardian/children/12" (…/leave-requests)
+ * onChange: called after a request was sent or withdrawn (the calendar reloads)
+ */
+
+// Largest attachment the server accepts
+const MAX_ATTACHMENT_BYTES = 512 * 1024;
+
+const emptyRequest = { from_date: '', to_date: '', reason: '' };
+
+const inputClass = 'w-full bg-gray-950 border border-gray-800 rounded-lg p-2.5 text-sm focus:border-indigo-500 outline-none text-white transition-colors';
+
+// File contents as base64 (the part after "data:...;base64,")
+const readAsBase64 = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result.split(',')[1]);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+});
+
+const LeaveRequests = ({ apiBase, onChange }) => {
+    const { addToast } = useToast();
+    const [requests, setRequests] = useState([]);
+    const [form, setForm] = useState(emptyRequest);
+    const [file, setFile] = useState(null);
+    const [fileInputKey, setFileInputKey] = useState(0); // new key = cleared file input
+    const [reloadKey, setReloadKey] = useState(0);
+
+    useEffect(() => {
+        let ignore = false;
+        api.get(`${apiBase}/leave-requests`)
+            .then(res => { if (!ignore) setRequests(res.data); })
+            .catch(() => { if (!ignore) addToast('Failed to load leave requests', 'error'); });
+        return () => { ignore = true; };
+    }, [apiBase, reloadKey, addToast]);
+
+    // A teacher approved or rejected a request (see utils/liveUpdates.js)
+    useLiveEvent('leave', () => setReloadKey(k => k + 1));
+
+    const changed = () => {
+        setReloadKey(k => k + 1);
+        if (onChange) onChange();
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (file && file.size > MAX_ATTACHMENT_BYTES) {
+            addToast('Attachments can be at most 512 KB', 'error');
+            return;
+        }
+        try {
+            await api.post(`${apiBase}/leave-requests`, {
+                from_date: form.from_date,
+                to_date: form.to_date || undefined,
+                reason: form.reason,
+                ...(file && { attachment_name: file.name, attachment: await readAsBase64(file) })
+            });
+            addToast('Leave request sent', 'success');
+            setForm(emptyRequest);
+            setFile(null);
+            setFileInputKey(k => k + 1);
+            changed();
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to send leave request', 'error');
+        }
+    };
+
+    const handleWithdraw = async (leave) => {
+        if (!window.confirm(`Withdraw the leave request for ${formatLeaveRange(leave)}?`)) return;
+        try {
+            await api.delete(`${apiBase}/leave-requests/${leave.id}`);
+            addToast('Leave request withdrawn', 'success');
+            changed();
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to withdraw leave request', 'error');
+        }
+    };
+
+    const handleDownload = async (leave) => {
+        try {
+            await downloadAttachment(`${apiBase}/leave-requests/${leave.id}/attachment`, leave.attachment_name);
+        } catch {
+            addToast('Failed to download attachment', 'error');
+        }
+    };
+
+    return (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mt-8">
+            <div className="bg-gray-900 p-6 rounded-2xl border border-gray-800 shadow-sm">
+                <h3 className="text-xl font-bold mb-4 text-white flex items-center gap-2">
+                    <CalendarOff size={20} className="text-indigo-400" /> Request Leave
+                </h3>
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                        <div className="space-y-1.5">
+                            <label className="text-xs text-gray-400 font-medium">First Day</label>
+                            <input type="date" required className={inputClass}
+                                value={form.from_date} onChange={e => setForm({ ...form, from_date: e.target.value })} />
+                        </div>
+                        <div className="space-y-1.5">
+                            <label className="text-xs text-gray-400 font-medium">Last Day (optional)</label>
+                            <input type="date" min={form.from_date} className={inputClass}
+                                value={form.to_date} onChange={e => setForm({ ...form, to_date: e.target.value })} />
+                        </div>
+                    </div>
+                    <div className="space-y-1.5">
+                        <label className="text-xs text-gray-400 font-medium">Reason</label>
+                        <textarea required rows={3} maxLength={1000} className={inputClass}
+                            value={form.reason} onChange={e => setForm({ ...form, reason: e.target.value })} />
+                    </div>
+                    <div className="space-y-1.5">
+                        <label className="text-xs text-gray-400 font-medium">Attachment (optional: PDF, JPG or PNG, up to 512 KB)</label>
+                        <input key={fileInputKey} type="file" accept=".pdf,.jpg,.jpeg,.png"
+                            className="w-full text-sm text-gray-400 file:mr-3 file:py-2 file:px-3 file:rounded-lg file:border-0 file:bg-gray-800 file:text-gray-200 hover:file:bg-gray-700"
+                            onChange={e => setFile(e.target.files[0] || null)} />
+                    </div>
+                    <button type="submit" className="w-full bg-white text-gray-900 font-semibold py-2.5 rounded-lg hover:bg-gray-100 transition-colors">
+                        Send Request
+                    </button>
+                </form>
+            </div>
+
+            <div className="bg-gray-900 rounded-2xl border border-gray-800 shadow-sm overflow-hidden">
+                <h3 className="text-xl font-bold text-white p-6 border-b border-gray-800">Leave Requests</h3>
+                <div className="divide-y divide-gray-800 max-h-96 overflow-y-auto">
+                    {requests.map(leave => (
+                        <div key={leave.id} className="px-6 py-4">
+                            <div className="flex items-center justify-between gap-3">
+                                <span className="text-sm font-medium text-white">{formatLeaveRange(leave)}</span>
+                                <div className="flex items-center gap-2">
+                                    <span className={`px-2 py-0.5 rounded-full border text-xs font-medium ${LEAVE_STATUS_STYLES[leave.status].badge}`}>
+                                        {LEAVE_STATUS_STYLES[leave.status].label}
+                                    </span>
+                                    {leave.status === 'PENDING' && (
+                                        <button onClick={() => handleWithdraw(leave)} title="Withdraw" className="p-1.5 rounded-lg text-gray-500 hover:text-red-400 hover:bg-red-500/10 transition-colors">
+                                            <Trash2 size={14} />
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+                            <p className="text-sm text-gray-400 mt-1 whitespace-pre-line">{leave.reason}</p>
+                            {leave.attachment_name && (
+                                <button onClick={() => handleDownload(leave)} className="mt-1 inline-flex items-center gap-1 text-xs text-indigo-400 hover:text-indigo-300">
+                                    <Paperclip size={12} /> {leave.attachment_name}
+                                </button>
+                            )}
+                            {leave.review_note && (
+                                <p className="text-xs text-gray-500 mt-1">
+                                    {leave.reviewed_by_name ? `${leave.reviewed_by_name}: ` : ''}{leave.review_note}
+                                </p>
+                            )}
+                        </div>
+                    ))}
+                    {requests.length === 0 && (
+                        <div className="p-8 text-center text-gray-500">No leave requests yet.</div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default LeaveRequests;
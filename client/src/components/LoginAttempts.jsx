@@ -0,0 +1,102 @@
+import { useState, useEffect } from 'react';
+import api from '../api/axios';
+import { useToast } from '../context/ToastContext';
+import { Search, ShieldAlert } from 'lucide-react';
+
+/**
+ * LOGIN ATTEMPTS
+ *
+ * Admin view of recent login attempts (GET /api/admin/login-attempts).
+ * Shows who tried to log in, from where, and why failed attempts failed,
+ * so an admin can spot password-guessing before unlocking an account.
+ */
+
+const REASON_LABELS = {
+    UNKNOWN_EMAIL: 'Unknown email',
+    BAD_PASSWORD: 'Wrong password',
+    LOCKED: 'Account locked',
+    DISABLED: 'Account disabled'
+};
+
+const LoginAttempts = () => {
+    const { addToast } = useToast();
+    const [attempts, setAttempts] = useState([]);
+    const [email, setEmail] = useState('');
+    const [failedOnly, setFailedOnly] = useState(true);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        let ignore = false;
+        api.get('/admin/login-attempts', { params: { email: email || undefined, failedOnly } })
+            .then(res => { if (!ignore) setAttempts(res.data); })
+            .catch(() => { if (!ignore) addToast('Failed to load login attempts', 'error'); })
+            .finally(() => { if (!ignore) setLoading(false); });
+        return () => { ignore = true; };
+    }, [email, failedOnly, addToast]);
+
+    return (
+        <div className="bg-gray-900 rounded-2xl border border-gray-800 shadow-sm overflow-hidden">
+            <div className="p-4 md:p-6 border-b border-gray-800 flex flex-col md:flex-row justify-between items-start md:items-center gap-4">
+                <h2 className="text-lg font-bold text-white flex items-center gap-2">
+                    <ShieldAlert size={20} className="text-amber-400" /> Login Attempts
+                </h2>
+                <div className="flex flex-col sm:flex-row items-center gap-3 w-full md:w-auto">
+                    <div className="relative w-full sm:w-64">
+                        <Search className="absolute left-3 top-2.5 text-gray-500" size={16} />
+                        <input
+                            type="text"
+                            placeholder="Filter by email"
+                            value={email}
+                            onChange={(e) => setEmail(e.target.value)}
+                            className="w-full bg-gray-950 border border-gray-700 text-gray-300 rounded-lg pl-9 pr-4 py-2 text-sm focus:ring-1 focus:ring-indigo-500 outline-none"
+                        />
+                    </div>
+                    <label className="flex items-center gap-2 text-sm text-gray-400 whitespace-nowrap">
+                        <input type="checkbox" className="accent-indigo-500" checked={failedOnly} onChange={(e) => setFailedOnly(e.target.checked)} />
+                        Failed only
+                    </label>
+                </div>
+            </div>
+
+            {loading ? (
+                <div className="p-8 text-center text-gray-400">Loading attempts...</div>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                        <thead className="text-xs text-gray-500 uppercase bg-gray-950/50">
+                            <tr>
+                                <th className="px-4 py-3 text-left font-medium">Time</th>
+                                <th className="px-4 py-3 text-left font-medium">Email</th>
+                                <th className="px-4 py-3 text-left font-medium">IP Address</th>
+                                <th className="px-4 py-3 text-left font-medium">Result</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-800">
+                            {attempts.map(a => (
+                                <tr key={a.id}>
+                                    <td className="px-4 py-3 text-gray-400 whitespace-nowrap">{new Date(a.created_at).toLocaleString()}</td>
+                                    <td className="px-4 py-3 text-white">{a.email}</td>
+                                    <td className="px-4 py-3 text-gray-400 font-mono text-xs">{a.ip_address}</td>
+                                    <td className="px-4 py-3">
+                                        {a.success ? (
+                                            <span className="px-2 py-0.5 rounded text-[10px] font-bold border bg-emerald-500/10 text-emerald-400 border-emerald-500/20">SUCCESS</span>
+                                        ) : (
+                                            <span className="px-2 py-0.5 rounded text-[10px] font-bold border bg-red-500/10 text-red-400 border-red-500/20">
+                                                {REASON_LABELS[a.reason] || 'Failed'}
+                                            </span>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    {attempts.length === 0 && (
+                        <div className="p-8 text-center text-gray-500">No login attempts found.</div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default LoginAttempts;
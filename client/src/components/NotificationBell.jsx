@@ -0,0 +1,135 @@
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import api from '../api/axios';
+import { useToast } from '../context/ToastContext';
+import { useLiveEvent } from '../utils/liveUpdates';
+import { Bell, CheckCheck } from 'lucide-react';
+
+/**
+ * NOTIFICATION BELL (navbar of the Student, Guardian and Teacher Portals)
+ *
+ * The logged-in user's notifications (leave decisions, answered correction
+ * requests, attendance below 75%). Unlike toasts they stay until read: the
+ * badge shows how many are unread, the menu the latest ones. Opening one
+ * marks it as read and, if it has a link, goes to that page.
+ *
+ * New notifications arrive live (see utils/liveUpdates.js).
+ */
+const NotificationBell = () => {
+    const { addToast } = useToast();
+    const navigate = useNavigate();
+    const [unread, setUnread] = useState(0);
+    const [open, setOpen] = useState(false);
+    const [notifications, setNotifications] = useState([]);
+    const [reloadKey, setReloadKey] = useState(0);
+    const menuRef = useRef(null);
+
+    useEffect(() => {
+        let ignore = false;
+        api.get('/notifications/unread-count')
+            .then(res => { if (!ignore) setUnread(res.data.count); })
+            .catch(() => { /* the badge just stays as it is (e.g. offline) */ });
+        return () => { ignore = true; };
+    }, [reloadKey]);
+
+    useEffect(() => {
+        if (!open) return;
+        let ignore = false;
+        api.get('/notifications')
+            .then(res => { if (!ignore) setNotifications(res.data); })
+            .catch(() => { if (!ignore) addToast('Failed to load notifications', 'error'); });
+        return () => { ignore = true; };
+    }, [open, reloadKey, addToast]);
+
+    // Close the menu on a click outside of it
+    useEffect(() => {
+        if (!open) return;
+        const handleClick = (e) => {
+            if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+        };
+        document.addEventListener('mousedown', handleClick);
+        return () => document.removeEventListener('mousedown', handleClick);
+    }, [open]);
+
+    useLiveEvent('notification', () => setReloadKey(k => k + 1));
+
+    const markRead = (id) => {
+        setNotifications(list => list.map(n => (n.id === id ? { ...n, read_at: new Date().toISOString() } : n)));
+        setUnread(count => Math.max(count - 1, 0));
+    };
+
+    const handleOpenNotification = async (notification) => {
+        if (!notification.read_at) {
+            try {
+                await api.post(`/notifications/${notification.id}/read`);
+                markRead(notification.id);
+            } catch (err) {
+                addToast(err.response?.data?.error || 'Failed to update notification', 'error');
+            }
+        }
+        if (notification.link) {
+            setOpen(false);
+            navigate(notification.link);
+        }
+    };
+
+    const handleMarkAllRead = async () => {
+        try {
+            await api.post('/notifications/read-all');
+            setNotifications(list => list.map(n => ({ ...n, read_at: n.read_at || new Date().toISOString() })));
+            setUnread(0);
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to update notifications', 'error');
+        }
+    };
+
+    return (
+        <div className="relative" ref={menuRef}>
+            <button
+                onClick={() => setOpen(o => !o)}
+                title="Notifications"
+                className="relative p-2 hover:bg-gray-800 rounded-full text-gray-400 hover:text-white transition-colors"
+            >
+                <Bell size={20} />
+                {unread > 0 && (
+                    <span className="absolute -top-0.5 -right-0.5 min-w-[18px] h-[18px] px-1 rounded-full bg-red-500 text-white text-[10px] font-bold flex items-center justify-center">
+                        {unread > 9 ? '9+' : unread}
+                    </span>
+                )}
+            </button>
+
+            {open && (
+                <div className="absolute right-0 mt-2 w-80 max-w-[calc(100vw-2rem)] bg-gray-900 border border-gray-800 rounded-xl shadow-xl overflow-hidden">
+                    <div className="flex items-center justify-between px-4 py-3 border-b border-gray-800">
+                        <span className="font-semibold text-sm text-white">Notifications</span>
+                        {unread > 0 && (
+                            <button onClick={handleMarkAllRead} className="flex items-center gap-1 text-xs text-indigo-400 hover:text-indigo-300 transition-colors">
+                                <CheckCheck size={14} /> Mark all as read
+                            </button>
+                        )}
+                    </div>
+                    <div className="max-h-96 overflow-y-auto divide-y divide-gray-800">
+                        {notifications.length === 0 ? (
+                            <p className="px-4 py-6 text-center text-sm text-gray-500">No notifications yet</p>
+                        ) : notifications.map(n => (
+                            <button
+                                key={n.id}
+                                onClick={() => handleOpenNotification(n)}
+                                className={`w-full text-left px-4 py-3 hover:bg-gray-800/60 transition-colors flex gap-3 ${n.read_at ? 'opacity-60' : ''}`}
+                            >
+                                <span className={`mt-1.5 w-2 h-2 rounded-full shrink-0 ${n.read_at ? 'bg-transparent' : 'bg-indigo-400'}`} />
+                                <span className="min-w-0">
+                                    <span className="block text-sm font-medium text-white">{n.title}</span>
+                                    {n.message && <span className="block text-xs text-gray-400 mt-0.5 break-words">{n.message}</span>}
+                                    <span className="block text-[11px] text-gray-500 mt-1">{new Date(n.created_at).toLocaleString()}</span>
+                                </span>
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default NotificationBell;
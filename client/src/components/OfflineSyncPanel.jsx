@@ -0,0 +1,249 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import api from '../api/axios';
+import { useToast } from '../context/ToastContext';
+import { listQueue, updateQueued, removeQueued, isOfflineError } from '../utils/offlineAttendance';
+import { WifiOff, RefreshCw, AlertTriangle, Trash2 } from 'lucide-react';
+
+/**
+ * OFFLINE SYNC PANEL (Teacher Portal attendance sheet)
+ *
+ * Attendance saves that are waiting on this device (utils/offlineAttendance.js).
+ * Pending saves are sent to POST /api/teacher/attendance/bulk when the
+ * page opens and whenever the connection comes back, oldest first.
+ *
+ * If the server answers that some marks were changed by someone else in
+ * the meantime (409 with "conflicts"), the save waits here: for each of
+ * those students the teacher keeps their own mark (sent again with the
+ * server's version) or the other one (left out of the save).
+ *
+ * @param {number} userId - the logged-in teacher
+ * @param {number} reloadKey - change to read the queue again (after something was queued)
+ * @param {Function} onSynced - called after at least one queued save reached the server
+ */
+
+const statusLabel = (status) => status.replace('_', ' ').toLowerCase();
+
+// Sends one queued save and records the outcome in the queue
+const send = async (entry) => {
+    try {
+        await api.post('/teacher/attendance/bulk', entry.body);
+        await removeQueued(entry.id);
+        return 'sent';
+    } catch (err) {
+        if (isOfflineError(err)) return 'offline';
+        const data = err.response.data || {};
+        await updateQueued(data.conflicts
+            ? { ...entry, status: 'conflict', conflicts: data.conflicts, error: data.error }
+            : { ...entry, status: 'failed', error: data.error || 'Failed to save attendance', nonWorkingDay: !!data.nonWorkingDay });
+        return 'refused';
+    }
+};
+
+/**
+ * Sends the user's pending saves, oldest first, until one can't reach the server
+ *
+ * @param {number} userId
+ * @param {Function} onStart - called if there is anything to send
+ * @returns {Promise<{ sent: number, refused: number }>}
+ */
+const sendPending = async (userId, onStart) => {
+    let sent = 0;
+    let refused = 0;
+    try {
+        const pending = (await listQueue(userId)).filter(entry => entry.status === 'pending');
+        if (pending.length > 0) onStart();
+        for (const entry of pending) {
+            const outcome = await send(entry);
+            if (outcome === 'offline') break;  // still offline: try again when the connection is back
+            if (outcome === 'sent') sent++;
+            else refused++;
+        }
+    } catch (err) {
+        console.error(err);
+    }
+    return { sent, refused };
+};
+
+const OfflineSyncPanel = ({ userId, reloadKey, onSynced }) => {
+    const { addToast } = useToast();
+    const [entries, setEntries] = useState([]);
+    const [online, setOnline] = useState(navigator.onLine);
+    const [syncing, setSyncing] = useState(false);
+    const [choices, setChoices] = useState({}); // { [entryId]: { [studentId]: 'mine' | 'theirs' } }
+    const syncingRef = useRef(false); // one sync at a time, even if "online" fires during one
+
+    const reload = useCallback(
+        () => listQueue(userId).then(setEntries).catch(() => setEntries([])),
+        [userId]
+    );
+
+    const sync = useCallback(() => {
+        if (syncingRef.current) return Promise.resolve();
+        syncingRef.current = true;
+        return sendPending(userId, () => setSyncing(true)).then(async ({ sent, refused }) => {
+            syncingRef.current = false;
+            setSyncing(false);
+            await reload();
+            if (sent > 0) {
+                addToast(`${sent} offline attendance save${sent === 1 ? '' : 's'} synced`, 'success');
+                onSynced();
+            }
+            if (refused > 0) addToast('Some offline attendance could not be saved. See below.', 'error');
+        });
+    }, [userId, reload, addToast, onSynced]);
+
+    // Sync when the page opens and whenever the connection comes back
+    useEffect(() => {
+        const goOnline = () => {
+            setOnline(true);
+            sync();
+        };
+        const goOffline = () => setOnline(false);
+        window.addEventListener('online', goOnline);
+        window.addEventListener('offline', goOffline);
+        if (navigator.onLine) sync();
+        return () => {
+            window.removeEventListener('online', goOnline);
+            window.removeEventListener('offline', goOffline);
+        };
+    }, [sync]);
+
+    useEffect(() => {
+        reload();
+    }, [reload, reloadKey]);
+
+    const choose = (entryId, studentId, choice) => {
+        setChoices(prev => ({ ...prev, [entryId]: { ...prev[entryId], [studentId]: choice } }));
+    };
+
+    // Keep mine: resend with the server's version. Keep theirs: leave the student out.
+    const resolve = async (entry) => {
+        const picked = choices[entry.id] || {};
+        const byStudent = {};
+        entry.conflicts.forEach(conflict => { byStudent[conflict.student_id] = conflict; });
+        const records = entry.body.records
+            .filter(record => !byStudent[record.student_id] || picked[record.student_id] === 'mine')
+            .map(record => (byStudent[record.student_id] ? { ...record, version: byStudent[record.student_id].version } : record));
+
+        if (records.length === 0) {
+            await removeQueued(entry.id);
+            await reload();
+            return;
+        }
+        await updateQueued({ ...entry, body: { ...entry.body, records }, status: 'pending', conflicts: undefined, error: undefined });
+        setChoices(prev => ({ ...prev, [entry.id]: undefined }));
+        await sync();
+    };
+
+    const saveAnyway = async (entry) => {
+        await updateQueued({ ...entry, body: { ...entry.body, allow_non_working_day: true }, status: 'pending', error: undefined });
+        await sync();
+    };
+
+    const discard = async (entry) => {
+        if (!window.confirm(`Discard the unsaved attendance of ${entry.label}?`)) return;
+        await removeQueued(entry.id);
+        await reload();
+    };
+
+    if (entries.length === 0 && online) return null;
+
+    return (
+        <div className="border-b border-gray-800 bg-gray-950/40">
+            <div className="px-4 md:px-6 py-3 flex flex-col sm:flex-row sm:items-center justify-between gap-2 text-sm">
+                <div className={`flex items-center gap-2 ${online ? 'text-gray-300' : 'text-amber-300'}`}>
+                    {online ? <RefreshCw size={16} className={syncing ? 'animate-spin' : ''} /> : <WifiOff size={16} />}
+                    {online
+                        ? `${entries.length} attendance save${entries.length === 1 ? '' : 's'} waiting on this device`
+                        : 'You are offline. Attendance you save is kept on this device and sent when the connection returns.'}
+                </div>
+                {online && entries.some(entry => entry.status === 'pending') && (
+                    <button
+                        onClick={sync}
+                        disabled={syncing}
+                        className="self-start sm:self-auto shrink-0 px-3 py-1.5 rounded-lg text-xs font-medium bg-gray-800 text-gray-200 hover:bg-gray-700 transition-colors disabled:opacity-50"
+                    >
+                        Sync now
+                    </button>
+                )}
+            </div>
+
+            {entries.length > 0 && (
+                <ul className="divide-y divide-gray-800/60 border-t border-gray-800/60">
+                    {entries.map(entry => (
+                        <li key={entry.id} className="px-4 md:px-6 py-3 text-sm">
+                            <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+                                <div>
+                                    <span className="font-medium text-white">{entry.label}</span>
+                                    <span className="text-gray-500">
+                                        {' • '}{entry.body.records.length} mark{entry.body.records.length === 1 ? '' : 's'}
+                                        {' • '}{entry.status === 'pending' ? 'waiting to sync' : entry.status}
+                                    </span>
+                                    {entry.error && (
+                                        <p className="text-xs text-red-400 mt-0.5 flex items-center gap-1">
+                                            <AlertTriangle size={12} className="shrink-0" /> {entry.error}
+                                        </p>
+                                    )}
+                                </div>
+                                <div className="flex items-center gap-2 self-start sm:self-auto shrink-0">
+                                    {entry.status === 'failed' && entry.nonWorkingDay && (
+                                        <button
+                                            onClick={() => saveAnyway(entry)}
+                                            className="px-3 py-1.5 rounded-lg text-xs font-medium bg-gray-800 text-gray-200 hover:bg-gray-700 transition-colors"
+                                        >
+                                            Save anyway
+                                        </button>
+                                    )}
+                                    <button
+                                        onClick={() => discard(entry)}
+                                        title="Discard"
+                                        className="p-2 rounded-lg text-gray-500 hover:text-red-400 hover:bg-gray-800 transition-colors"
+                                    >
+                                        <Trash2 size={14} />
+                                    </button>
+                                </div>
+                            </div>
+
+                            {entry.status === 'conflict' && (
+                                <div className="mt-3">
+                                    <p className="text-xs text-gray-400 mb-2">Choose which mark to keep for each student:</p>
+                                    <ul className="border border-gray-800 rounded-xl divide-y divide-gray-800">
+                                        {entry.conflicts.map(conflict => {
+                                            const picked = choices[entry.id]?.[conflict.student_id];
+                                            const option = (choice, text) => (
+                                                <button
+                                                    onClick={() => choose(entry.id, conflict.student_id, choice)}
+                                                    className={`px-3 py-1.5 rounded-md text-xs font-semibold border transition-all ${picked === choice ? 'bg-indigo-500/10 text-indigo-300 border-indigo-500/30' : 'bg-gray-800 text-gray-400 border-transparent hover:text-white'}`}
+                                                >
+                                                    {text}
+                                                </button>
+                                            );
+                                            return (
+                                                <li key={conflict.student_id} className="px-3 py-2 flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+                                                    <span className="text-white">{conflict.name}</span>
+                                                    <div className="flex flex-wrap gap-2">
+                                                        {option('mine', `Keep mine: ${statusLabel(conflict.requested_status)}`)}
+                                                        {option('theirs', `Keep theirs: ${statusLabel(conflict.status)}${conflict.arrival_time ? ` ${conflict.arrival_time}` : ''}`)}
+                                                    </div>
+                                                </li>
+                                            );
+                                        })}
+                                    </ul>
+                                    <button
+                                        onClick={() => resolve(entry)}
+                                        disabled={!online || entry.conflicts.some(conflict => !choices[entry.id]?.[conflict.student_id])}
+                                        className="mt-3 bg-white text-gray-900 font-semibold px-4 py-2 rounded-lg text-xs hover:bg-gray-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                                    >
+                                        Save with these marks
+                                    </button>
+                                </div>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default OfflineSyncPanel;
@@ -0,0 +1,34 @@
+import { useMemo } from 'react';
+import { encodeQr } from '../utils/qrCode';
+
+/**
+ * QR CODE
+ *
+ * Draws a QR code as an SVG (see utils/qrCode.js), with the light border
+ * ("quiet zone") scanners need around it.
+ *
+ * @param {string} value - text to encode, e.g. a link
+ * @param {number} size - width and height in pixels
+ */
+
+// Light modules around the code
+const QUIET_ZONE = 4;
+
+const QrCode = ({ value, size = 256 }) => {
+    const modules = useMemo(() => encodeQr(value), [value]);
+    const total = modules.length + QUIET_ZONE * 2;
+
+    // One square per dark module: "M x y h1 v1 h-1 z"
+    const path = modules.flatMap((row, r) => row.map((dark, c) => (
+        dark ? `M${c + QUIET_ZONE} ${r + QUIET_ZONE}h1v1h-1z` : ''
+    ))).join('');
+
+    return (
+        <svg width={size} height={size} viewBox={`0 0 ${total} ${total}`} shapeRendering="crispEdges" role="img" aria-label="QR code">
+            <rect width={total} height={total} fill="#fff" />
+            <path d={path} fill="#000" />
+        </svg>
+    );
+};
+
+export default QrCode;
@@ -0,0 +1,250 @@
+import { useState, useEffect } from 'react';
+import api from '../api/axios';
+import { useToast } from '../context/ToastContext';
+import { CalendarDays, ChevronLeft, ChevronRight, Plus, Trash2, Upload } from 'lucide-react';
+
+/**
+ * SCHOOL CALENDAR
+ *
+ * Admin view of the school-wide calendar (/api/admin/calendar):
+ * - Browse one month at a time
+ * - Add a holiday, exam day, half day or extra working day (or a range of them)
+ * - Change the type or title of an entry, or remove it
+ * - Import holidays from an .ics file
+ *
+ * Days not listed are working days, except the weekly off days.
+ * Attendance reports only count working days.
+ */
+
+const DAY_TYPES = [
+    { value: 'HOLIDAY', label: 'Holiday' },
+    { value: 'EXAM', label: 'Exam Day' },
+    { value: 'HALF_DAY', label: 'Half Day' },
+    { value: 'WORKING', label: 'Working Day' }
+];
+
+const TYPE_STYLES = {
+    HOLIDAY: 'bg-gray-500/10 text-gray-300 border-gray-500/20',
+    EXAM: 'bg-purple-500/10 text-purple-300 border-purple-500/20',
+    HALF_DAY: 'bg-orange-500/10 text-orange-300 border-orange-500/20',
+    WORKING: 'bg-green-500/10 text-green-300 border-green-500/20'
+};
+
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']; // index + 1 = ISO weekday
+
+const emptyDay = { date: '', end_date: '', day_type: 'HOLIDAY', title: '' };
+
+const inputClass = 'w-full bg-gray-950 border border-gray-800 rounded-lg p-2.5 text-sm focus:border-indigo-500 outline-none text-white transition-colors';
+
+// First and last day of a month as YYYY-MM-DD (month is 1-12)
+const monthRange = (year, month) => {
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const mm = String(month).padStart(2, '0');
+    return { from: `${year}-${mm}-01`, to: `${year}-${mm}-${lastDay}` };
+};
+
+const SchoolCalendar = () => {
+    const { addToast } = useToast();
+    const [month, setMonth] = useState(new Date().getMonth() + 1);
+    const [year, setYear] = useState(new Date().getFullYear());
+    const [days, setDays] = useState([]);
+    const [weeklyOffDays, setWeeklyOffDays] = useState([]);
+    const [newDay, setNewDay] = useState(emptyDay);
+    const [importType, setImportType] = useState('HOLIDAY');
+    const [importing, setImporting] = useState(false);
+
+    const [reloadKey, setReloadKey] = useState(0); // bump to re-fetch the month
+
+    useEffect(() => {
+        let ignore = false;
+        api.get('/admin/calendar', { params: monthRange(year, month) })
+            .then(res => {
+                if (ignore) return;
+                setDays(res.data.days);
+                setWeeklyOffDays(res.data.weekly_off_days);
+            })
+            .catch(() => { if (!ignore) addToast('Failed to load calendar', 'error'); });
+        return () => { ignore = true; };
+    }, [year, month, reloadKey, addToast]);
+
+    const changeMonth = (step) => {
+        const d = new Date(year, month - 1 + step, 1);
+        setMonth(d.getMonth() + 1);
+        setYear(d.getFullYear());
+    };
+
+    const handleAdd = async (e) => {
+        e.preventDefault();
+        try {
+            const res = await api.post('/admin/calendar', {
+                date: newDay.date,
+                end_date: newDay.end_date || undefined,
+                day_type: newDay.day_type,
+                title: newDay.title || undefined
+            });
+            addToast(res.data.message, 'success');
+            setNewDay(emptyDay);
+            setReloadKey(k => k + 1);
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to add days', 'error');
+        }
+    };
+
+    const updateDay = async (day, changes) => {
+        try {
+            await api.patch(`/admin/calendar/${day.id}`, changes);
+            addToast('Calendar updated', 'success');
+            setReloadKey(k => k + 1);
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to update calendar', 'error');
+        }
+    };
+
+    const renameDay = (day) => {
+        const title = window.prompt(`Title for ${day.date}`, day.title || '');
+        if (title === null) return;
+        updateDay(day, { title });
+    };
+
+    const deleteDay = async (day) => {
+        if (!window.confirm(`Remove ${day.date}${day.title ? ` (${day.title})` : ''} from the calendar?`)) return;
+        try {
+            await api.delete(`/admin/calendar/${day.id}`);
+            addToast('Calendar entry removed', 'success');
+            setReloadKey(k => k + 1);
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to remove entry', 'error');
+        }
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // let the same file be picked again
+        if (!file) return;
+
+        setImporting(true);
+        try {
+            const ics = await file.text();
+            const res = await api.post('/admin/calendar/import', { ics, day_type: importType });
+            addToast(res.data.message, 'success');
+            setReloadKey(k => k + 1);
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to import calendar', 'error');
+        } finally {
+            setImporting(false);
+        }
+    };
+
+    const monthName = new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+
+    return (
+        <div className="space-y-6">
+            {/* Add days */}
+            <div className="bg-gray-900 p-6 rounded-2xl border border-gray-800 shadow-sm">
+                <h2 className="text-xl font-bold mb-6 text-white flex items-center gap-2">
+                    <Plus size={20} className="text-indigo-400" /> Add to Calendar
+                </h2>
+                <form onSubmit={handleAdd} className="grid grid-cols-2 md:grid-cols-5 gap-3 items-end">
+                    <div className="space-y-1.5">
+                        <label className="text-xs text-gray-400 font-medium">Date</label>
+                        <input type="date" required className={inputClass}
+                            value={newDay.date} onChange={e => setNewDay({ ...newDay, date: e.target.value })} />
+                    </div>
+                    <div className="space-y-1.5">
+                        <label className="text-xs text-gray-400 font-medium">Until</label>
+                        <input type="date" min={newDay.date} className={inputClass}
+                            value={newDay.end_date} onChange={e => setNewDay({ ...newDay, end_date: e.target.value })} />
+                    </div>
+                    <div className="space-y-1.5">
+                        <label className="text-xs text-gray-400 font-medium">Type</label>
+                        <select className={inputClass} value={newDay.day_type} onChange={e => setNewDay({ ...newDay, day_type: e.target.value })}>
+                            {DAY_TYPES.map(type => <option key={type.value} value={type.value}>{type.label}</option>)}
+                        </select>
+                    </div>
+                    <div className="space-y-1.5">
+                        <label className="text-xs text-gray-400 font-medium">Title</label>
+                        <input type="text" placeholder="Diwali (optional)" className={inputClass}
+                            value={newDay.title} onChange={e => setNewDay({ ...newDay, title: e.target.value })} />
+                    </div>
+                    <button type="submit" className="w-full bg-white text-gray-900 font-semibold py-2.5 rounded-lg hover:bg-gray-100 transition-colors flex items-center justify-center gap-1">
+                        <Plus size={16} /> Add
+                    </button>
+                </form>
+
+                <div className="mt-6 pt-6 border-t border-gray-800 flex flex-col sm:flex-row sm:items-center gap-3">
+                    <span className="text-sm text-gray-400">Import an .ics file as</span>
+                    <select
+                        value={importType}
+                        onChange={e => setImportType(e.target.value)}
+                        className="bg-gray-950 border border-gray-700 text-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-1 focus:ring-indigo-500 outline-none"
+                    >
+                        {DAY_TYPES.map(type => <option key={type.value} value={type.value}>{type.label}</option>)}
+                    </select>
+                    <label className={`inline-flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium border border-gray-700 text-gray-300 hover:bg-gray-800 transition-colors ${importing ? 'opacity-50 pointer-events-none' : 'cursor-pointer'}`}>
+                        <Upload size={16} /> {importing ? 'Importing...' : 'Choose File'}
+                        <input type="file" accept=".ics,text/calendar" className="hidden" onChange={handleImport} />
+                    </label>
+                    <span className="text-xs text-gray-500">Days already in the calendar are skipped.</span>
+                </div>
+            </div>
+
+            {/* Entries of one month */}
+            <div className="bg-gray-900 rounded-2xl border border-gray-800 shadow-sm overflow-hidden">
+                <div className="p-4 md:p-6 border-b border-gray-800 flex flex-col md:flex-row justify-between items-start md:items-center gap-4">
+                    <div>
+                        <h2 className="text-lg font-bold text-white flex items-center gap-2">
+                            <CalendarDays size={20} className="text-indigo-400" /> School Calendar
+                        </h2>
+                        <p className="text-sm text-gray-500 mt-1">
+                            Weekly off: {weeklyOffDays.length > 0 ? weeklyOffDays.map(d => WEEKDAYS[d - 1]).join(', ') : 'none'}
+                        </p>
+                    </div>
+                    <div className="flex items-center gap-2">
+                        <button onClick={() => changeMonth(-1)} className="p-2 rounded-lg text-gray-400 hover:text-white hover:bg-gray-800" aria-label="Previous month">
+                            <ChevronLeft size={18} />
+                        </button>
+                        <span className="text-white font-medium w-36 text-center">{monthName}</span>
+                        <button onClick={() => changeMonth(1)} className="p-2 rounded-lg text-gray-400 hover:text-white hover:bg-gray-800" aria-label="Next month">
+                            <ChevronRight size={18} />
+                        </button>
+                    </div>
+                </div>
+
+                <div className="divide-y divide-gray-800">
+                    {days.map(day => (
+                        <div key={day.id} className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 px-4 md:px-6 py-3 text-sm">
+                            <div className="flex items-center gap-4">
+                                <span className="font-mono text-gray-400 w-24">{day.date}</span>
+                                <span className="text-gray-500 w-24">{WEEKDAYS[(new Date(`${day.date}T00:00:00Z`).getUTCDay() || 7) - 1]}</span>
+                                <button onClick={() => renameDay(day)} className="text-white font-medium hover:text-indigo-300 text-left" title="Change title">
+                                    {day.title || <span className="text-gray-500 italic">No title</span>}
+                                </button>
+                            </div>
+                            <div className="flex items-center gap-2">
+                                <select
+                                    value={day.day_type}
+                                    onChange={e => updateDay(day, { day_type: e.target.value })}
+                                    className={`rounded-full px-3 py-1 text-xs border outline-none bg-transparent ${TYPE_STYLES[day.day_type]}`}
+                                >
+                                    {DAY_TYPES.map(type => <option key={type.value} value={type.value} className="bg-gray-900 text-gray-300">{type.label}</option>)}
+                                </select>
+                                <button
+                                    onClick={() => deleteDay(day)}
+                                    title="Remove entry"
+                                    className="p-2 rounded-lg text-gray-400 hover:text-red-400 hover:bg-red-500/10 transition-colors"
+                                >
+                                    <Trash2 size={16} />
+                                </button>
+                            </div>
+                        </div>
+                    ))}
+                    {days.length === 0 && (
+                        <div className="p-8 text-center text-gray-500">No holidays or special days this month.</div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default SchoolCalendar;
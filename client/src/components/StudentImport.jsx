@@ -0,0 +1,229 @@
+import { useState } from 'react';
+import api from '../api/axios';
+import { useToast } from '../context/ToastContext';
+import { FileSpreadsheet, Upload, Download, CheckCircle, XCircle } from 'lucide-react';
+
+/**
+ * STUDENT IMPORT (Teacher Portal "Add Student" tab)
+ *
+ * Adds many students at once from a .csv or .xlsx file:
+ * 1. Choose the file → POST /api/teacher/students/import with dry_run
+ *    shows every row with its errors (nothing is saved yet)
+ * 2. "Import" sends the same file for real: all rows or none are saved
+ * 3. The logins of the new students download as a CSV credential sheet
+ */
+
+const TEMPLATE = 'name,email,class,roll_no,password\nJane Smith,jane@school.com,10th-A,1,\n';
+
+// One CSV cell: quoted when it holds a comma, quote or line break
+const csvCell = (value) => {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Saves text as a file in the browser's downloads
+const downloadCsv = (filename, text) => {
+    const url = URL.createObjectURL(new Blob([text], { type: 'text/csv' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+// File contents as base64 (the part after "data:...;base64,")
+const readAsBase64 = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result.split(',')[1]);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+});
+
+const StudentImport = ({ classes, onImported }) => {
+    const { addToast } = useToast();
+    const [classId, setClassId] = useState('');
+    const [generatePasswords, setGeneratePasswords] = useState(true);
+    const [upload, setUpload] = useState(null);       // { filename, file }
+    const [preview, setPreview] = useState(null);     // dry-run response
+    const [credentials, setCredentials] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    const send = (options, dryRun) => api.post('/teacher/students/import', {
+        filename: options.upload.filename,
+        file: options.upload.file,
+        class_id: options.classId || undefined,
+        generate_passwords: options.generatePasswords,
+        dry_run: dryRun
+    });
+
+    // Checks the file again whenever it or an option changes
+    const check = async (options) => {
+        if (!options.upload) return;
+        setBusy(true);
+        try {
+            const res = await send(options, true);
+            setPreview(res.data);
+        } catch (err) {
+            setPreview(null);
+            addToast(err.response?.data?.error || 'Failed to read the file', 'error');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleFile = async (e) => {
+        const chosen = e.target.files[0];
+        e.target.value = ''; // let the same file be picked again
+        if (!chosen) return;
+
+        const next = { filename: chosen.name, file: await readAsBase64(chosen) };
+        setUpload(next);
+        setCredentials(null);
+        check({ upload: next, classId, generatePasswords });
+    };
+
+    const handleClass = (value) => {
+        setClassId(value);
+        check({ upload, classId: value, generatePasswords });
+    };
+
+    const handleGenerate = (value) => {
+        setGeneratePasswords(value);
+        check({ upload, classId, generatePasswords: value });
+    };
+
+    const handleImport = async () => {
+        setBusy(true);
+        try {
+            const res = await send({ upload, classId, generatePasswords }, false);
+            addToast(res.data.message, 'success');
+            setCredentials(res.data.credentials);
+            setUpload(null);
+            setPreview(null);
+            if (onImported) onImported();
+        } catch (err) {
+            if (err.response?.data?.rows) {
+                setPreview({ ...preview, rows: err.response.data.rows, valid: 0 });
+            }
+            addToast(err.response?.data?.error || 'Failed to import students', 'error');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const downloadCredentials = () => {
+        const lines = [['name', 'email', 'password', 'student_id', 'class', 'roll_no']];
+        credentials.forEach(c => lines.push([c.name, c.email, c.password, c.student_id_code, c.class_name, c.roll_no]));
+        downloadCsv('student-logins.csv', lines.map(line => line.map(csvCell).join(',')).join('\n') + '\n');
+    };
+
+    return (
+        <div className="bg-gray-900 p-6 rounded-2xl border border-gray-800 shadow-sm">
+            <h2 className="text-xl font-bold mb-2 text-white flex items-center gap-2">
+                <FileSpreadsheet size={20} className="text-indigo-400" /> Import Students
+            </h2>
+            <p className="text-sm text-gray-500 mb-4">
+                A .csv or .xlsx file with the columns name, email, roll_no and optionally class and password.{' '}
+                <button type="button" onClick={() => downloadCsv('students-template.csv', TEMPLATE)} className="text-indigo-400 hover:text-indigo-300">
+                    Download template
+                </button>
+            </p>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div className="space-y-1.5">
+                    <label className="text-xs text-gray-400 font-medium">Class (for rows without one)</label>
+                    <select className="w-full bg-gray-950 border border-gray-800 rounded-lg p-2.5 text-sm focus:border-indigo-500 outline-none text-white transition-colors"
+                        value={classId} onChange={e => handleClass(e.target.value)}>
+                        <option value="">From the file</option>
+                        {classes.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                    </select>
+                </div>
+                <div className="space-y-1.5">
+                    <label className="text-xs text-gray-400 font-medium">File</label>
+                    <label className={`flex items-center justify-center gap-2 px-4 py-2.5 rounded-lg text-sm font-medium border border-gray-700 text-gray-300 hover:bg-gray-800 transition-colors ${busy ? 'opacity-50 pointer-events-none' : 'cursor-pointer'}`}>
+                        <Upload size={16} /> {upload ? upload.filename : 'Choose File'}
+                        <input type="file" accept=".csv,.xlsx" className="hidden" onChange={handleFile} />
+                    </label>
+                </div>
+            </div>
+            <label className="flex items-center gap-2 text-sm text-gray-400 mt-4">
+                <input type="checkbox" className="accent-indigo-500"
+                    checked={generatePasswords} onChange={e => handleGenerate(e.target.checked)} />
+                Generate a password for rows without one
+            </label>
+
+            {/* Dry-run result */}
+            {preview && (
+                <div className="mt-6">
+                    <div className="flex items-center justify-between gap-3 mb-3">
+                        <span className="text-sm text-gray-400">
+                            {preview.valid} of {preview.total} rows ready to import
+                        </span>
+                        <button
+                            type="button"
+                            onClick={handleImport}
+                            disabled={busy || preview.valid !== preview.total}
+                            className="bg-white text-gray-900 font-semibold px-4 py-2 rounded-lg text-sm hover:bg-gray-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            Import {preview.total} Students
+                        </button>
+                    </div>
+                    <div className="border border-gray-800 rounded-xl overflow-x-auto max-h-96">
+                        <table className="w-full text-left text-sm">
+                            <thead className="bg-gray-950 text-gray-500 text-xs uppercase sticky top-0">
+                                <tr>
+                                    <th className="px-3 py-2">Row</th>
+                                    <th className="px-3 py-2">Name</th>
+                                    <th className="px-3 py-2">Email</th>
+                                    <th className="px-3 py-2">Class</th>
+                                    <th className="px-3 py-2">Roll</th>
+                                    <th className="px-3 py-2">Status</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-800">
+                                {preview.rows.map(row => (
+                                    <tr key={row.row} className={row.errors.length ? 'bg-rose-500/5' : ''}>
+                                        <td className="px-3 py-2 text-gray-500 font-mono">{row.row}</td>
+                                        <td className="px-3 py-2 text-white">{row.name}</td>
+                                        <td className="px-3 py-2 text-gray-400">{row.email}</td>
+                                        <td className="px-3 py-2 text-gray-400">{row.class_name}</td>
+                                        <td className="px-3 py-2 text-gray-400">{row.roll_no}</td>
+                                        <td className="px-3 py-2">
+                                            {row.errors.length === 0 ? (
+                                                <span className="flex items-center gap-1 text-emerald-400"><CheckCircle size={14} /> OK</span>
+                                            ) : (
+                                                <ul className="text-rose-400 text-xs space-y-0.5">
+                                                    {row.errors.map(error => (
+                                                        <li key={error} className="flex items-start gap-1"><XCircle size={12} className="mt-0.5 shrink-0" /> {error}</li>
+                                                    ))}
+                                                </ul>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+
+            {/* Logins of the students just imported */}
+            {credentials && (
+                <div className="mt-6 flex flex-col sm:flex-row items-start sm:items-center justify-between gap-3 bg-emerald-500/10 border border-emerald-500/20 rounded-xl p-4">
+                    <span className="text-sm text-emerald-400">
+                        {credentials.length} students imported. Their passwords are shown only once.
+                    </span>
+                    <button
+                        type="button"
+                        onClick={downloadCredentials}
+                        className="inline-flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium border border-emerald-500/30 text-emerald-300 hover:bg-emerald-500/10 transition-colors"
+                    >
+                        <Download size={16} /> Download Logins
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default StudentImport;
@@ -0,0 +1,95 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../api/axios';
+import { useToast } from '../context/ToastContext';
+import { Contact, Search, ChevronRight } from 'lucide-react';
+
+/**
+ * STUDENT LIST (Teacher Portal "Students" tab)
+ *
+ * Students of the teacher's classes from GET /api/teacher/students,
+ * filtered by class, status and a name / ID / email search.
+ * Each row opens the student detail page (/teacher/students/:id),
+ * where students are edited, transferred or deactivated.
+ */
+
+const selectClass = 'w-full sm:w-auto bg-gray-950 border border-gray-700 text-gray-300 rounded-lg px-4 py-2 text-sm focus:ring-1 focus:ring-indigo-500 outline-none';
+
+const StudentList = ({ classes, isAdmin }) => {
+    const { addToast } = useToast();
+    const [students, setStudents] = useState([]);
+    const [classId, setClassId] = useState('All');
+    const [status, setStatus] = useState('active');
+    const [search, setSearch] = useState('');
+
+    useEffect(() => {
+        let ignore = false;
+        api.get('/teacher/students', { params: { class_id: classId, status, search: search || undefined } })
+            .then(res => { if (!ignore) setStudents(res.data); })
+            .catch(() => { if (!ignore) addToast('Failed to load students', 'error'); });
+        return () => { ignore = true; };
+    }, [classId, status, search, addToast]);
+
+    return (
+        <div className="bg-gray-900 rounded-2xl border border-gray-800 shadow-sm overflow-hidden">
+            <div className="p-4 md:p-6 border-b border-gray-800 flex flex-col md:flex-row justify-between items-start md:items-center gap-4">
+                <h2 className="text-xl font-bold text-white flex items-center gap-2">
+                    <Contact className="text-indigo-400" size={24} />
+                    Students
+                </h2>
+                <div className="flex flex-col sm:flex-row items-center gap-3 w-full md:w-auto">
+                    <div className="relative w-full sm:w-56">
+                        <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-500" />
+                        <input
+                            type="text"
+                            placeholder="Name, ID or email"
+                            value={search}
+                            onChange={(e) => setSearch(e.target.value)}
+                            className="w-full bg-gray-950 border border-gray-700 text-gray-300 rounded-lg pl-9 pr-3 py-2 text-sm focus:ring-1 focus:ring-indigo-500 outline-none"
+                        />
+                    </div>
+                    <select value={classId} onChange={(e) => setClassId(e.target.value)} className={selectClass}>
+                        <option value="All">{isAdmin ? 'All Classes' : 'All My Classes'}</option>
+                        {classes.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                    </select>
+                    <select value={status} onChange={(e) => setStatus(e.target.value)} className={selectClass}>
+                        <option value="active">Active</option>
+                        <option value="inactive">Deactivated</option>
+                        <option value="all">All</option>
+                    </select>
+                </div>
+            </div>
+
+            <div className="divide-y divide-gray-800">
+                {students.map(s => (
+                    <Link
+                        key={s.id}
+                        to={`/teacher/students/${s.id}`}
+                        className="flex items-center justify-between gap-3 px-4 md:px-6 py-4 hover:bg-gray-950/50 transition-colors"
+                    >
+                        <div>
+                            <div className="font-semibold text-white flex items-center gap-2">
+                                {s.name}
+                                {!s.is_active && (
+                                    <span className="bg-gray-500/10 text-gray-400 border border-gray-500/20 rounded-full px-2 py-0.5 text-xs font-medium">Deactivated</span>
+                                )}
+                            </div>
+                            <div className="text-xs text-gray-500 font-mono mt-0.5">
+                                {s.student_id_code} • {s.class_name || 'No class'} • Roll: {s.roll_no ?? '-'}
+                            </div>
+                        </div>
+                        <div className="flex items-center gap-3 text-sm text-gray-500">
+                            <span className="hidden sm:block">{s.email}</span>
+                            <ChevronRight size={18} />
+                        </div>
+                    </Link>
+                ))}
+                {students.length === 0 && (
+                    <div className="p-8 text-center text-gray-500">No students found.</div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default StudentList;
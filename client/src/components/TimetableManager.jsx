@@ -0,0 +1,263 @@
+import { useState, useEffect } from 'react';
+import api from '../api/axios';
+import { useToast } from '../context/ToastContext';
+import { BookOpen, CalendarClock, Plus, Trash2, X } from 'lucide-react';
+
+/**
+ * TIMETABLE MANAGER
+ *
+ * Admin view of subjects and each class's weekly timetable:
+ * - Add or remove subjects (GET/POST/DELETE /api/admin/subjects)
+ * - Pick a class and add periods: weekday, period number, times,
+ *   subject and (optionally) the teacher who takes it
+ * - Remove periods that have no attendance yet
+ *
+ * Once a class has periods, teachers can take attendance per lecture.
+ */
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']; // index + 1 = ISO weekday
+
+const emptyPeriod = { day_of_week: '1', period_no: '', start_time: '', end_time: '', subject_id: '', teacher_id: '' };
+
+const inputClass = 'w-full bg-gray-950 border border-gray-800 rounded-lg p-2.5 text-sm focus:border-indigo-500 outline-none text-white transition-colors';
+
+const TimetableManager = () => {
+    const { addToast } = useToast();
+    const [subjects, setSubjects] = useState([]);
+    const [classes, setClasses] = useState([]);
+    const [teachers, setTeachers] = useState([]);
+    const [periods, setPeriods] = useState([]);
+    const [selectedClass, setSelectedClass] = useState('');
+    const [newSubject, setNewSubject] = useState({ name: '', code: '' });
+    const [newPeriod, setNewPeriod] = useState(emptyPeriod);
+
+    const [subjectsKey, setSubjectsKey] = useState(0); // bump to re-fetch subjects
+    const [periodsKey, setPeriodsKey] = useState(0); // bump to re-fetch the class timetable
+
+    useEffect(() => {
+        let ignore = false;
+        api.get('/admin/subjects')
+            .then(res => { if (!ignore) setSubjects(res.data); })
+            .catch(() => { if (!ignore) addToast('Failed to load subjects', 'error'); });
+        return () => { ignore = true; };
+    }, [subjectsKey, addToast]);
+
+    // Classes and teachers for the dropdowns
+    useEffect(() => {
+        let ignore = false;
+        Promise.all([
+            api.get('/admin/classes'),
+            api.get('/admin/users', { params: { role: 'TEACHER' } })
+        ])
+            .then(([classRes, teacherRes]) => {
+                if (ignore) return;
+                setClasses(classRes.data);
+                setTeachers(teacherRes.data.filter(u => u.teacher_id));
+            })
+            .catch(() => { if (!ignore) addToast('Failed to load classes', 'error'); });
+        return () => { ignore = true; };
+    }, [addToast]);
+
+    useEffect(() => {
+        if (!selectedClass) return;
+        let ignore = false;
+        api.get('/admin/periods', { params: { class_id: selectedClass } })
+            .then(res => { if (!ignore) setPeriods(res.data); })
+            .catch(() => { if (!ignore) addToast('Failed to load timetable', 'error'); });
+        return () => { ignore = true; };
+    }, [selectedClass, periodsKey, addToast]);
+
+    const classPeriods = selectedClass ? periods : [];
+
+    const handleAddSubject = async (e) => {
+        e.preventDefault();
+        try {
+            await api.post('/admin/subjects', { name: newSubject.name, code: newSubject.code || undefined });
+            addToast(`Subject ${newSubject.name} added`, 'success');
+            setNewSubject({ name: '', code: '' });
+            setSubjectsKey(k => k + 1);
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to add subject', 'error');
+        }
+    };
+
+    const deleteSubject = async (subject) => {
+        if (!window.confirm(`Delete subject ${subject.name}?`)) return;
+        try {
+            await api.delete(`/admin/subjects/${subject.id}`);
+            addToast('Subject deleted', 'success');
+            setSubjectsKey(k => k + 1);
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to delete subject', 'error');
+        }
+    };
+
+    const handleAddPeriod = async (e) => {
+        e.preventDefault();
+        try {
+            await api.post('/admin/periods', {
+                class_id: Number(selectedClass),
+                day_of_week: Number(newPeriod.day_of_week),
+                period_no: Number(newPeriod.period_no),
+                start_time: newPeriod.start_time || undefined,
+                end_time: newPeriod.end_time || undefined,
+                subject_id: Number(newPeriod.subject_id),
+                teacher_id: newPeriod.teacher_id ? Number(newPeriod.teacher_id) : undefined
+            });
+            addToast('Period added', 'success');
+            // Keep the day selected so a whole day can be entered in a row
+            setNewPeriod({ ...emptyPeriod, day_of_week: newPeriod.day_of_week });
+            setPeriodsKey(k => k + 1);
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to add period', 'error');
+        }
+    };
+
+    const deletePeriod = async (period) => {
+        if (!window.confirm(`Remove period ${period.period_no} (${period.subject_name}) on ${DAYS[period.day_of_week - 1]}?`)) return;
+        try {
+            await api.delete(`/admin/periods/${period.id}`);
+            addToast('Period removed', 'success');
+            setPeriodsKey(k => k + 1);
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to remove period', 'error');
+        }
+    };
+
+    return (
+        <div className="space-y-6">
+            {/* Subjects */}
+            <div className="bg-gray-900 p-6 rounded-2xl border border-gray-800 shadow-sm">
+                <h2 className="text-xl font-bold mb-6 text-white flex items-center gap-2">
+                    <BookOpen size={20} className="text-indigo-400" /> Subjects
+                </h2>
+                <form onSubmit={handleAddSubject} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end mb-6">
+                    <div className="space-y-1.5">
+                        <label className="text-xs text-gray-400 font-medium">Name</label>
+                        <input type="text" required placeholder="Mathematics" className={inputClass}
+                            value={newSubject.name} onChange={e => setNewSubject({ ...newSubject, name: e.target.value })} />
+                    </div>
+                    <div className="space-y-1.5">
+                        <label className="text-xs text-gray-400 font-medium">Code</label>
+                        <input type="text" placeholder="MATH (optional)" className={inputClass}
+                            value={newSubject.code} onChange={e => setNewSubject({ ...newSubject, code: e.target.value })} />
+                    </div>
+                    <button type="submit" className="w-full bg-white text-gray-900 font-semibold py-2.5 rounded-lg hover:bg-gray-100 transition-colors">
+                        Add Subject
+                    </button>
+                </form>
+                <div className="flex flex-wrap gap-2">
+                    {subjects.map(subject => (
+                        <span key={subject.id} className="inline-flex items-center gap-1 px-3 py-1 rounded-full text-sm bg-indigo-500/10 text-indigo-300 border border-indigo-500/20">
+                            {subject.name}{subject.code ? ` (${subject.code})` : ''}
+                            <button onClick={() => deleteSubject(subject)} className="hover:text-red-400" aria-label={`Delete ${subject.name}`}>
+                                <X size={14} />
+                            </button>
+                        </span>
+                    ))}
+                    {subjects.length === 0 && <span className="text-sm text-gray-500">No subjects yet.</span>}
+                </div>
+            </div>
+
+            {/* Timetable of one class */}
+            <div className="bg-gray-900 rounded-2xl border border-gray-800 shadow-sm overflow-hidden">
+                <div className="p-4 md:p-6 border-b border-gray-800 flex flex-col md:flex-row justify-between items-start md:items-center gap-4">
+                    <h2 className="text-lg font-bold text-white flex items-center gap-2">
+                        <CalendarClock size={20} className="text-indigo-400" /> Timetable
+                    </h2>
+                    <select
+                        value={selectedClass}
+                        onChange={(e) => setSelectedClass(e.target.value)}
+                        className="w-full sm:w-auto bg-gray-950 border border-gray-700 text-gray-300 rounded-lg px-4 py-2 text-sm focus:ring-1 focus:ring-indigo-500 outline-none"
+                    >
+                        <option value="">Select a class</option>
+                        {classes.map(c => <option key={c.id} value={c.id}>{c.name} ({c.academic_year})</option>)}
+                    </select>
+                </div>
+
+                {!selectedClass ? (
+                    <div className="p-8 text-center text-gray-500">Choose a class to see its timetable.</div>
+                ) : (
+                    <div className="p-4 md:p-6 space-y-6">
+                        <form onSubmit={handleAddPeriod} className="grid grid-cols-2 md:grid-cols-7 gap-3 items-end">
+                            <div className="space-y-1.5">
+                                <label className="text-xs text-gray-400 font-medium">Day</label>
+                                <select className={inputClass} value={newPeriod.day_of_week} onChange={e => setNewPeriod({ ...newPeriod, day_of_week: e.target.value })}>
+                                    {DAYS.map((day, i) => <option key={day} value={i + 1}>{day}</option>)}
+                                </select>
+                            </div>
+                            <div className="space-y-1.5">
+                                <label className="text-xs text-gray-400 font-medium">Period No</label>
+                                <input type="number" min="1" required className={inputClass}
+                                    value={newPeriod.period_no} onChange={e => setNewPeriod({ ...newPeriod, period_no: e.target.value })} />
+                            </div>
+                            <div className="space-y-1.5">
+                                <label className="text-xs text-gray-400 font-medium">Start</label>
+                                <input type="time" className={inputClass}
+                                    value={newPeriod.start_time} onChange={e => setNewPeriod({ ...newPeriod, start_time: e.target.value })} />
+                            </div>
+                            <div className="space-y-1.5">
+                                <label className="text-xs text-gray-400 font-medium">End</label>
+                                <input type="time" className={inputClass}
+                                    value={newPeriod.end_time} onChange={e => setNewPeriod({ ...newPeriod, end_time: e.target.value })} />
+                            </div>
+                            <div className="space-y-1.5">
+                                <label className="text-xs text-gray-400 font-medium">Subject</label>
+                                <select required className={inputClass} value={newPeriod.subject_id} onChange={e => setNewPeriod({ ...newPeriod, subject_id: e.target.value })}>
+                                    <option value="">Select</option>
+                                    {subjects.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                                </select>
+                            </div>
+                            <div className="space-y-1.5">
+                                <label className="text-xs text-gray-400 font-medium">Teacher</label>
+                                <select className={inputClass} value={newPeriod.teacher_id} onChange={e => setNewPeriod({ ...newPeriod, teacher_id: e.target.value })}>
+                                    <option value="">None</option>
+                                    {teachers.map(t => <option key={t.teacher_id} value={t.teacher_id}>{t.name}</option>)}
+                                </select>
+                            </div>
+                            <button type="submit" className="w-full bg-white text-gray-900 font-semibold py-2.5 rounded-lg hover:bg-gray-100 transition-colors flex items-center justify-center gap-1">
+                                <Plus size={16} /> Add
+                            </button>
+                        </form>
+
+                        {DAYS.map((day, i) => {
+                            const dayPeriods = classPeriods.filter(p => p.day_of_week === i + 1);
+                            if (dayPeriods.length === 0) return null;
+                            return (
+                                <div key={day}>
+                                    <h3 className="text-sm font-semibold text-gray-400 mb-2">{day}</h3>
+                                    <div className="divide-y divide-gray-800 border border-gray-800 rounded-xl">
+                                        {dayPeriods.map(p => (
+                                            <div key={p.id} className="flex items-center justify-between px-4 py-2.5 text-sm">
+                                                <div className="flex items-center gap-4">
+                                                    <span className="font-mono text-gray-500 w-8">P{p.period_no}</span>
+                                                    <span className="text-gray-400 font-mono text-xs w-24">
+                                                        {p.start_time ? `${p.start_time.slice(0, 5)}–${p.end_time?.slice(0, 5) || ''}` : '—'}
+                                                    </span>
+                                                    <span className="text-white font-medium">{p.subject_name}</span>
+                                                    <span className="text-gray-500">{p.teacher_name || ''}</span>
+                                                </div>
+                                                <button
+                                                    onClick={() => deletePeriod(p)}
+                                                    title="Remove period"
+                                                    className="p-2 rounded-lg text-gray-400 hover:text-red-400 hover:bg-red-500/10 transition-colors"
+                                                >
+                                                    <Trash2 size={16} />
+                                                </button>
+                                            </div>
+                                        ))}
+                                    </div>
+                                </div>
+                            );
+                        })}
+                        {classPeriods.length === 0 && (
+                            <div className="text-center text-gray-500 text-sm">No periods yet. This class takes attendance once per day.</div>
+                        )}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default TimetableManager;
@@ -0,0 +1,43 @@
+import { useState, useEffect } from 'react';
+import { registerServiceWorker, applyUpdate } from '../utils/serviceWorker';
+import { RefreshCw, X } from 'lucide-react';
+
+/**
+ * UPDATE PROMPT
+ *
+ * Registers the service worker and, when a new build has been deployed
+ * and downloaded, offers to reload into it. "Later" keeps the running
+ * version until every tab of the app is closed.
+ */
+const UpdatePrompt = () => {
+    const [waiting, setWaiting] = useState(null); // service worker of the new build
+
+    useEffect(() => {
+        let ignore = false;
+        const stop = registerServiceWorker(worker => { if (!ignore) setWaiting(worker); });
+        return () => {
+            ignore = true;
+            stop();
+        };
+    }, []);
+
+    if (!waiting) return null;
+
+    return (
+        <div className="fixed bottom-20 md:bottom-4 left-4 right-4 sm:right-auto z-50 bg-gray-900 border border-gray-700 rounded-xl shadow-xl px-4 py-3 flex items-center gap-3 text-sm text-gray-200">
+            <RefreshCw size={16} className="text-indigo-400 shrink-0" />
+            <span>A new version is available.</span>
+            <button
+                onClick={() => applyUpdate(waiting)}
+                className="bg-white text-gray-900 font-semibold px-3 py-1.5 rounded-lg text-xs hover:bg-gray-100 transition-colors"
+            >
+                Reload
+            </button>
+            <button onClick={() => setWaiting(null)} title="Later" className="p-1 text-gray-500 hover:text-white transition-colors">
+                <X size={16} />
+            </button>
+        </div>
+    );
+};
+
+export default UpdatePrompt;
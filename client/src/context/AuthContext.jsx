@@ -19,11 +19,13 @@
  *    - user: current logged-in user data
  *    - login(email, password): function to log in
  *    - logout(): function to log out
+ *    - updateUser(changes): update the stored user (e.g. after a password change)
  *    - loading: whether auth state is still being checked
  */
 
 import { createContext, useState, useEffect, useContext } from 'react';
 import api from '../api/axios';
+import { clearOfflineData } from '../utils/serviceWorker';
 
 // Create the context (the "global storage")
 const AuthContext = createContext();
@@ -101,12 +103,14 @@ export const AuthProvider = ({ children }) => {
             // api.post automatically adds 'http://localhost:5000/api' prefix
             const response = await api.post('/auth/login', { email, password });
 
-            // Backend returns: { token: "jwt_token", user: { id, email, role, name, details } }
-            const { token, user } = response.data;
+            // Backend returns: { token: "jwt_token", refreshToken: "...", user: { id, email, role, name, details } }
+            const { token, refreshToken, user } = response.data;
 
-            // Save token and user data to browser storage
+            // Save tokens and user data to browser storage
             // This keeps user logged in even after page refresh
+            // (api/axios.js uses the refresh token when the access token expires)
             localStorage.setItem('token', token);
+            localStorage.setItem('refreshToken', refreshToken);
             localStorage.setItem('user', JSON.stringify(user));  // Convert object to JSON string
 
             // Update React state (triggers re-render of components)
@@ -134,17 +138,47 @@ export const AuthProvider = ({ children }) => {
      * Called when user clicks logout button.
      * 
      * FLOW:
-     * 1. Remove token & user from localStorage
-     * 2. Reset user state to null
-     * 3. UI updates automatically (React re-renders)
-     * 4. User is redirected to login page
+     * 1. Tell the backend to revoke this session (POST /auth/logout),
+     *    so the tokens stop working even if someone copied them
+     * 2. Remove tokens & user from localStorage
+     * 3. Forget the dashboards kept for offline use (utils/serviceWorker.js)
+     * 4. Reset user state to null
+     * 5. UI updates automatically (React re-renders)
+     * 6. User is redirected to login page
      */
-    const logout = () => {
+    const logout = async () => {
+        const refreshToken = localStorage.getItem('refreshToken');
+
+        if (refreshToken) {
+            try {
+                await api.post('/auth/logout', { refreshToken });
+            } catch (error) {
+                // Still log out locally if the server can't be reached
+                console.error("Logout request failed", error);
+            }
+        }
+
         localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
         localStorage.removeItem('user');
+        clearOfflineData();
         setUser(null);
     };
 
+    /**
+     * UPDATE USER FUNCTION
+     * 
+     * Merges changes into the logged-in user (state + localStorage).
+     * Example: updateUser({ mustChangePassword: false }) after the password is changed.
+     * 
+     * @param {Object} changes - fields to overwrite
+     */
+    const updateUser = (changes) => {
+        const updated = { ...user, ...changes };
+        localStorage.setItem('user', JSON.stringify(updated));
+        setUser(updated);
+    };
+
     /**
      * PROVIDE CONTEXT TO CHILD COMPONENTS
      * 
@@ -155,7 +189,7 @@ export const AuthProvider = ({ children }) => {
      *   await login(email, password);
      */
     return (
-        <AuthContext.Provider value={{ user, login, logout, loading }}>
+        <AuthContext.Provider value={{ user, login, logout, updateUser, loading }}>
             {children}
         </AuthContext.Provider>
     );
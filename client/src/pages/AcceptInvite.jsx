@@ -0,0 +1,169 @@
+/**
+ * ACCEPT INVITATION PAGE
+ *
+ * Opened from an invite link: /invite/<token>
+ *
+ * USER FLOW:
+ * 1. Page loads → GET /api/invitations/<token> to show the invited email, role and class
+ * 2. User enters their name and chooses a password
+ * 3. POST /api/invitations/<token>/accept creates the account
+ * 4. User is sent to the login page to sign in
+ *
+ * If the link is invalid, expired or already used, an error is shown instead of the form.
+ */
+
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import api from '../api/axios';
+import { useToast } from '../context/ToastContext';
+import { UserCheck, User, Lock, Loader2, ArrowRight } from 'lucide-react';
+
+const AcceptInvite = () => {
+    const { token } = useParams();
+    const navigate = useNavigate();
+    const { addToast } = useToast();
+    const [invitation, setInvitation] = useState(null);
+    const [linkError, setLinkError] = useState('');
+    const [name, setName] = useState('');
+    const [password, setPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [error, setError] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+
+    useEffect(() => {
+        api.get(`/invitations/${token}`)
+            .then(res => setInvitation(res.data))
+            .catch(err => setLinkError(err.response?.data?.error || 'Invitation link is invalid or has expired'));
+    }, [token]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        if (password !== confirmPassword) {
+            setError('Passwords do not match');
+            return;
+        }
+
+        setIsLoading(true);
+        try {
+            await api.post(`/invitations/${token}/accept`, { name, password });
+            addToast('Account created! Please sign in.', 'success');
+            navigate('/');
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to create account');
+        }
+        setIsLoading(false);
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-950 flex items-center justify-center p-4 font-sans">
+            <div className="w-full max-w-md bg-gray-900 border border-gray-800 rounded-2xl shadow-xl p-8 relative overflow-hidden">
+                <div className="absolute top-0 left-0 w-full h-1 bg-gradient-to-r from-indigo-500 via-purple-500 to-pink-500"></div>
+
+                <div className="mb-8 text-center">
+                    <div className="inline-flex items-center justify-center w-12 h-12 rounded-xl bg-indigo-500/10 text-indigo-400 mb-4">
+                        <UserCheck size={20} />
+                    </div>
+                    <h1 className="text-2xl font-bold text-white tracking-tight">Accept Invitation</h1>
+                    {invitation && (
+                        <p className="text-gray-400 text-sm mt-2">
+                            Joining as <span className="text-white font-medium">{invitation.role === 'TEACHER' ? 'Teacher' : 'Student'}</span>
+                            {invitation.class_name && <> in <span className="text-white font-medium">{invitation.class_name}</span></>}
+                        </p>
+                    )}
+                </div>
+
+                {linkError ? (
+                    <div className="text-center">
+                        <div className="mb-6 p-3 rounded-lg bg-red-500/10 border border-red-500/20 text-red-400 text-sm">
+                            {linkError}
+                        </div>
+                        <Link to="/" className="text-sm text-indigo-400 hover:text-indigo-300">Back to sign in</Link>
+                    </div>
+                ) : !invitation ? (
+                    <div className="text-center text-gray-400 text-sm">Checking invitation...</div>
+                ) : (
+                    <>
+                        {error && (
+                            <div className="mb-6 p-3 rounded-lg bg-red-500/10 border border-red-500/20 text-red-400 text-sm text-center">
+                                {error}
+                            </div>
+                        )}
+
+                        <form onSubmit={handleSubmit} className="space-y-6">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-400 mb-2">Email</label>
+                                <input
+                                    type="email"
+                                    disabled
+                                    value={invitation.email}
+                                    className="w-full bg-gray-950 border border-gray-800 text-gray-500 text-sm rounded-xl py-3 px-4"
+                                />
+                            </div>
+
+                            <div>
+                                <label className="block text-sm font-medium text-gray-400 mb-2">Full Name</label>
+                                <div className="relative group">
+                                    <User className="absolute left-3 top-3 text-gray-500 group-focus-within:text-indigo-400 transition-colors" size={18} />
+                                    <input
+                                        type="text"
+                                        className="w-full bg-gray-950 border border-gray-800 text-gray-100 text-sm rounded-xl py-3 pl-10 pr-4 focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500 outline-none transition-all placeholder-gray-600"
+                                        placeholder="Your full name"
+                                        value={name}
+                                        onChange={(e) => setName(e.target.value)}
+                                        required
+                                    />
+                                </div>
+                            </div>
+
+                            <div>
+                                <label className="block text-sm font-medium text-gray-400 mb-2">Password</label>
+                                <div className="relative group">
+                                    <Lock className="absolute left-3 top-3 text-gray-500 group-focus-within:text-indigo-400 transition-colors" size={18} />
+                                    <input
+                                        type="password"
+                                        className="w-full bg-gray-950 border border-gray-800 text-gray-100 text-sm rounded-xl py-3 pl-10 pr-4 focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500 outline-none transition-all placeholder-gray-600"
+                                        placeholder="Choose a password"
+                                        value={password}
+                                        onChange={(e) => setPassword(e.target.value)}
+                                        required
+                                    />
+                                </div>
+                            </div>
+
+                            <div>
+                                <label className="block text-sm font-medium text-gray-400 mb-2">Confirm Password</label>
+                                <div className="relative group">
+                                    <Lock className="absolute left-3 top-3 text-gray-500 group-focus-within:text-indigo-400 transition-colors" size={18} />
+                                    <input
+                                        type="password"
+                                        className="w-full bg-gray-950 border border-gray-800 text-gray-100 text-sm rounded-xl py-3 pl-10 pr-4 focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500 outline-none transition-all placeholder-gray-600"
+                                        placeholder="Repeat the password"
+                                        value={confirmPassword}
+                                        onChange={(e) => setConfirmPassword(e.target.value)}
+                                        required
+                                    />
+                                </div>
+                            </div>
+
+                            <button
+                                type="submit"
+                                disabled={isLoading}
+                                className="w-full bg-white text-gray-900 font-semibold py-3 rounded-xl hover:bg-gray-100 focus:ring-2 focus:ring-offset-2 focus:ring-offset-gray-900 focus:ring-white transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+                            >
+                                {isLoading ? (
+                                    <Loader2 className="animate-spin" size={20} />
+                                ) : (
+                                    <>Create Account <ArrowRight size={18} /></>
+                                )}
+                            </button>
+                        </form>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default AcceptInvite;
@@ -0,0 +1,212 @@
+/**
+ * ACCOUNT PAGE (all roles)
+ *
+ * Opened from the settings icon in every dashboard's navbar: /account
+ *
+ * CHANGE PASSWORD:
+ * POST /api/auth/change-password { currentPassword, newPassword }
+ * Users whose password was set by someone else (mustChangePassword) are
+ * sent here after login and can't use the rest of the app until they change it.
+ *
+ * MY SESSIONS:
+ * Every device you are logged in on has a session (see sessions table).
+ * - GET /api/auth/sessions lists them; the one you're using is marked "This device"
+ * - DELETE /api/auth/sessions/:id signs out one device (e.g. a lost phone)
+ * - POST /api/auth/sessions/revoke-others signs out every device except this one
+ */
+
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../api/axios';
+import { useAuth } from '../context/AuthContext';
+import { useToast } from '../context/ToastContext';
+import { UserCog, ArrowLeft, LogOut, Monitor, KeyRound, AlertTriangle } from 'lucide-react';
+
+// Where the "back" link goes for each role
+const HOME_PATHS = {
+    STUDENT: '/student',
+    TEACHER: '/teacher',
+    ADMIN: '/admin',
+    GUARDIAN: '/guardian'
+};
+
+const Account = () => {
+    const { user, logout, updateUser } = useAuth();
+    const { addToast } = useToast();
+    const [sessions, setSessions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [reloadKey, setReloadKey] = useState(0);
+    const [passwords, setPasswords] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' });
+
+    useEffect(() => {
+        let ignore = false;
+        api.get('/auth/sessions')
+            .then(res => { if (!ignore) setSessions(res.data); })
+            .catch(() => { if (!ignore) addToast('Failed to load sessions', 'error'); })
+            .finally(() => { if (!ignore) setLoading(false); });
+        return () => { ignore = true; };
+    }, [reloadKey, addToast]);
+
+    const reloadSessions = () => setReloadKey(k => k + 1);
+
+    const handleChangePassword = async (e) => {
+        e.preventDefault();
+        if (passwords.newPassword !== passwords.confirmPassword) {
+            addToast('New passwords do not match', 'error');
+            return;
+        }
+        try {
+            await api.post('/auth/change-password', {
+                currentPassword: passwords.currentPassword,
+                newPassword: passwords.newPassword
+            });
+            addToast('Password changed. Other devices have been signed out.', 'success');
+            setPasswords({ currentPassword: '', newPassword: '', confirmPassword: '' });
+            updateUser({ mustChangePassword: false });
+            reloadSessions();
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to change password', 'error');
+        }
+    };
+
+    const revokeSession = async (session) => {
+        if (session.current) {
+            logout();
+            return;
+        }
+        try {
+            await api.delete(`/auth/sessions/${session.id}`);
+            addToast('Device signed out', 'success');
+            reloadSessions();
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to sign out device', 'error');
+        }
+    };
+
+    const revokeOthers = async () => {
+        if (!window.confirm('Sign out of every other device?')) return;
+        try {
+            const res = await api.post('/auth/sessions/revoke-others');
+            addToast(res.data.message, 'success');
+            reloadSessions();
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to sign out other devices', 'error');
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-950 text-gray-100 font-sans">
+            <nav className="bg-gray-900 border-b border-gray-800 sticky top-0 z-50">
+                <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+                    <div className="flex items-center justify-between h-16">
+                        <div className="flex items-center gap-3">
+                            <Link to={HOME_PATHS[user?.role] || '/'} className="p-2 hover:bg-gray-800 rounded-full text-gray-400 hover:text-white transition-colors">
+                                <ArrowLeft size={20} />
+                            </Link>
+                            <div className="bg-indigo-500/10 p-2 rounded-xl text-indigo-400">
+                                <UserCog size={20} />
+                            </div>
+                            <span className="font-bold text-lg tracking-tight text-white">My Account</span>
+                        </div>
+                        <button onClick={logout} className="p-2 hover:bg-gray-800 rounded-full text-gray-400 hover:text-white transition-colors">
+                            <LogOut size={20} />
+                        </button>
+                    </div>
+                </div>
+            </nav>
+
+            <main className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+                <div className="bg-gray-900 border border-gray-800 rounded-2xl p-6">
+                    <p className="text-sm text-gray-400">Signed in as</p>
+                    <p className="text-lg font-semibold text-white">{user?.name}</p>
+                    <p className="text-sm text-gray-500">{user?.email}</p>
+                </div>
+
+                {user?.mustChangePassword && (
+                    <div className="p-4 rounded-xl bg-amber-500/10 border border-amber-500/20 text-amber-400 text-sm flex items-center gap-3">
+                        <AlertTriangle size={18} className="shrink-0" />
+                        Your password was set by someone else. Please choose your own password to continue.
+                    </div>
+                )}
+
+                <div className="bg-gray-900 border border-gray-800 rounded-2xl p-6">
+                    <h2 className="text-lg font-semibold text-white flex items-center gap-2 mb-4">
+                        <KeyRound size={18} className="text-indigo-400" /> Change Password
+                    </h2>
+                    <form onSubmit={handleChangePassword} className="space-y-4">
+                        <div className="space-y-1.5">
+                            <label className="text-xs text-gray-400 font-medium">Current Password</label>
+                            <input type="password" required className="w-full bg-gray-950 border border-gray-800 rounded-lg p-2.5 text-sm focus:border-indigo-500 outline-none text-white transition-colors"
+                                value={passwords.currentPassword} onChange={e => setPasswords({ ...passwords, currentPassword: e.target.value })} />
+                        </div>
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            <div className="space-y-1.5">
+                                <label className="text-xs text-gray-400 font-medium">New Password</label>
+                                <input type="password" required minLength={6} className="w-full bg-gray-950 border border-gray-800 rounded-lg p-2.5 text-sm focus:border-indigo-500 outline-none text-white transition-colors"
+                                    value={passwords.newPassword} onChange={e => setPasswords({ ...passwords, newPassword: e.target.value })} />
+                            </div>
+                            <div className="space-y-1.5">
+                                <label className="text-xs text-gray-400 font-medium">Confirm New Password</label>
+                                <input type="password" required className="w-full bg-gray-950 border border-gray-800 rounded-lg p-2.5 text-sm focus:border-indigo-500 outline-none text-white transition-colors"
+                                    value={passwords.confirmPassword} onChange={e => setPasswords({ ...passwords, confirmPassword: e.target.value })} />
+                            </div>
+                        </div>
+                        <button type="submit" className="w-full bg-white text-gray-900 font-semibold py-2.5 rounded-lg hover:bg-gray-100 transition-colors">
+                            Update Password
+                        </button>
+                    </form>
+                </div>
+
+                <div className="bg-gray-900 border border-gray-800 rounded-2xl overflow-hidden">
+                    <div className="p-6 border-b border-gray-800 flex items-center justify-between">
+                        <div>
+                            <h2 className="text-lg font-semibold text-white">My Sessions</h2>
+                            <p className="text-sm text-gray-400">Devices currently signed in to your account</p>
+                        </div>
+                        {sessions.length > 1 && (
+                            <button
+                                onClick={revokeOthers}
+                                className="px-4 py-2 rounded-lg text-sm font-medium bg-red-500/10 text-red-400 hover:bg-red-500/20 transition-colors"
+                            >
+                                Sign out other devices
+                            </button>
+                        )}
+                    </div>
+
+                    {loading ? (
+                        <div className="p-6 text-center text-gray-400 text-sm">Loading sessions...</div>
+                    ) : (
+                        <ul className="divide-y divide-gray-800">
+                            {sessions.map(session => (
+                                <li key={session.id} className="p-6 flex items-center justify-between gap-4">
+                                    <div className="flex items-start gap-3 min-w-0">
+                                        <Monitor size={20} className="text-gray-500 mt-0.5 shrink-0" />
+                                        <div className="min-w-0">
+                                            <p className="text-sm text-white truncate">
+                                                {session.user_agent || 'Unknown device'}
+                                                {session.current && (
+                                                    <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-emerald-500/10 text-emerald-400">This device</span>
+                                                )}
+                                            </p>
+                                            <p className="text-xs text-gray-500 mt-1">
+                                                {session.ip_address || 'Unknown IP'} · Signed in {new Date(session.created_at).toLocaleString()} · Last active {new Date(session.last_used_at).toLocaleString()}
+                                            </p>
+                                        </div>
+                                    </div>
+                                    <button
+                                        onClick={() => revokeSession(session)}
+                                        className="px-3 py-1.5 rounded-lg text-xs font-medium bg-gray-800 text-gray-300 hover:bg-gray-700 transition-colors shrink-0"
+                                    >
+                                        Sign out
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            </main>
+        </div>
+    );
+};
+
+export default Account;
@@ -0,0 +1,406 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../api/axios';
+import { useAuth } from '../context/AuthContext';
+import { useToast } from '../context/ToastContext';
+import InviteForm from '../components/InviteForm';
+import LoginAttempts from '../components/LoginAttempts';
+import AuditLog from '../components/AuditLog';
+import ClassManager from '../components/ClassManager';
+import TimetableManager from '../components/TimetableManager';
+import AttendanceRules from '../components/AttendanceRules';
+import SchoolCalendar from '../components/SchoolCalendar';
+import AcademicYears from '../components/AcademicYears';
+import { Shield, Settings, LogOut, UserPlus, Users, Search, KeyRound, Power, Send, Unlock, ShieldAlert, ScrollText, School, ClipboardCheck, CalendarClock, CalendarDays, Scale, GraduationCap } from 'lucide-react';
+
+const emptyUser = { name: '', email: '', password: '', role: 'ADMIN' };
+
+const AdminDashboard = () => {
+    const { user, logout } = useAuth();
+    const { addToast } = useToast();
+    const [activeTab, setActiveTab] = useState('users'); // users, classes, years, timetable, calendar, rules, invite, add-user, attempts, audit
+    const [users, setUsers] = useState([]);
+    const [roleFilter, setRoleFilter] = useState('All');
+    const [search, setSearch] = useState('');
+    const [loading, setLoading] = useState(true); // only the first load shows the placeholder
+    const [newUser, setNewUser] = useState(emptyUser);
+    const [classes, setClasses] = useState([]); // for the invite form's class dropdown
+
+    const [reloadKey, setReloadKey] = useState(0); // bump to re-fetch the user list
+    const reloadUsers = () => setReloadKey(k => k + 1);
+
+    useEffect(() => {
+        if (activeTab !== 'users') return;
+
+        let ignore = false; // skip stale responses when filters change quickly
+        api.get('/admin/users', { params: { role: roleFilter, search: search || undefined } })
+            .then(res => { if (!ignore) setUsers(res.data); })
+            .catch(err => {
+                console.error(err);
+                addToast('Failed to load users', 'error');
+            })
+            .finally(() => setLoading(false));
+
+        return () => { ignore = true; };
+    }, [activeTab, roleFilter, search, reloadKey, addToast]);
+
+    useEffect(() => {
+        if (activeTab !== 'invite') return;
+
+        let ignore = false;
+        api.get('/admin/classes')
+            .then(res => { if (!ignore) setClasses(res.data); })
+            .catch(() => { if (!ignore) addToast('Failed to load classes', 'error'); });
+
+        return () => { ignore = true; };
+    }, [activeTab, addToast]);
+
+    const updateUser = async (id, changes, successMessage) => {
+        try {
+            await api.patch(`/admin/users/${id}`, changes);
+            addToast(successMessage, 'success');
+            reloadUsers();
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to update user', 'error');
+        }
+    };
+
+    const resetPassword = async (u) => {
+        const password = window.prompt(`New password for ${u.email}`);
+        if (!password) return;
+        try {
+            await api.post(`/admin/users/${u.id}/password`, { password });
+            addToast('Password updated', 'success');
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to reset password', 'error');
+        }
+    };
+
+    const unlockUser = async (u) => {
+        try {
+            await api.post(`/admin/users/${u.id}/unlock`);
+            addToast(`${u.email} unlocked`, 'success');
+            reloadUsers();
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to unlock account', 'error');
+        }
+    };
+
+    // Locked after too many failed logins (the lock expires by itself too)
+    const isLocked = (u) => u.locked_until && new Date(u.locked_until) > new Date();
+
+    const handleAddUser = async (e) => {
+        e.preventDefault();
+        try {
+            await api.post('/admin/users', newUser);
+            addToast('User created successfully!', 'success');
+            setNewUser(emptyUser);
+            setActiveTab('users');
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to create user', 'error');
+        }
+    };
+
+    const roleBadge = (role) => {
+        if (role === 'ADMIN') return 'bg-purple-500/10 text-purple-400 border-purple-500/20';
+        if (role === 'TEACHER') return 'bg-indigo-500/10 text-indigo-400 border-indigo-500/20';
+        if (role === 'GUARDIAN') return 'bg-teal-500/10 text-teal-400 border-teal-500/20';
+        return 'bg-gray-500/10 text-gray-400 border-gray-500/20';
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-950 text-gray-100 font-sans pb-20 md:pb-8">
+            {/* Navbar */}
+            <nav className="bg-gray-900 border-b border-gray-800 sticky top-0 z-50">
+                <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+                    <div className="flex items-center justify-between h-16">
+                        <div className="flex items-center gap-3">
+                            <div className="bg-purple-500/10 p-2 rounded-xl text-purple-400">
+                                <Shield size={20} />
+                            </div>
+                            <span className="font-bold text-lg tracking-tight text-white">Admin Console</span>
+                        </div>
+                        <div className="flex items-center gap-4">
+                            <span className="text-gray-400 text-sm hidden sm:block">Welcome, {user?.name}</span>
+                            {/* Teacher portal with the whole school in scope */}
+                            <Link to="/teacher" title="School attendance" className="p-2 hover:bg-gray-800 rounded-full text-gray-400 hover:text-white transition-colors">
+                                <ClipboardCheck size={20} />
+                            </Link>
+                            <Link to="/account" title="My account" className="p-2 hover:bg-gray-800 rounded-full text-gray-400 hover:text-white transition-colors">
+                                <Settings size={20} />
+                            </Link>
+                            <button onClick={logout} className="p-2 hover:bg-gray-800 rounded-full text-gray-400 hover:text-white transition-colors">
+                                <LogOut size={20} />
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            </nav>
+
+            <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+
+                {/* Mobile Tab Navigation (Bottom Bar) */}
+                <div className="fixed bottom-0 left-0 w-full bg-gray-900 border-t border-gray-800 md:hidden z-40 flex justify-around p-2">
+                    <button onClick={() => setActiveTab('users')} className={`flex flex-col items-center p-2 rounded-lg ${activeTab === 'users' ? 'text-indigo-400' : 'text-gray-500'}`}>
+                        <Users size={20} />
+                        <span className="text-xs mt-1">Users</span>
+                    </button>
+                    <button onClick={() => setActiveTab('classes')} className={`flex flex-col items-center p-2 rounded-lg ${activeTab === 'classes' ? 'text-indigo-400' : 'text-gray-500'}`}>
+                        <School size={20} />
+                        <span className="text-xs mt-1">Classes</span>
+                    </button>
+                    <button onClick={() => setActiveTab('years')} className={`flex flex-col items-center p-2 rounded-lg ${activeTab === 'years' ? 'text-indigo-400' : 'text-gray-500'}`}>
+                        <GraduationCap size={20} />
+                        <span className="text-xs mt-1">Years</span>
+                    </button>
+                    <button onClick={() => setActiveTab('timetable')} className={`flex flex-col items-center p-2 rounded-lg ${activeTab === 'timetable' ? 'text-indigo-400' : 'text-gray-500'}`}>
+                        <CalendarClock size={20} />
+                        <span className="text-xs mt-1">Timetable</span>
+                    </button>
+                    <button onClick={() => setActiveTab('calendar')} className={`flex flex-col items-center p-2 rounded-lg ${activeTab === 'calendar' ? 'text-indigo-400' : 'text-gray-500'}`}>
+                        <CalendarDays size={20} />
+                        <span className="text-xs mt-1">Calendar</span>
+                    </button>
+                    <button onClick={() => setActiveTab('rules')} className={`flex flex-col items-center p-2 rounded-lg ${activeTab === 'rules' ? 'text-indigo-400' : 'text-gray-500'}`}>
+                        <Scale size={20} />
+                        <span className="text-xs mt-1">Rules</span>
+                    </button>
+                    <button onClick={() => setActiveTab('invite')} className={`flex flex-col items-center p-2 rounded-lg ${activeTab === 'invite' ? 'text-indigo-400' : 'text-gray-500'}`}>
+                        <Send size={20} />
+                        <span className="text-xs mt-1">Invite</span>
+                    </button>
+                    <button onClick={() => setActiveTab('add-user')} className={`flex flex-col items-center p-2 rounded-lg ${activeTab === 'add-user' ? 'text-indigo-400' : 'text-gray-500'}`}>
+                        <UserPlus size={20} />
+                        <span className="text-xs mt-1">Add</span>
+                    </button>
+                    <button onClick={() => setActiveTab('attempts')} className={`flex flex-col items-center p-2 rounded-lg ${activeTab === 'attempts' ? 'text-indigo-400' : 'text-gray-500'}`}>
+                        <ShieldAlert size={20} />
+                        <span className="text-xs mt-1">Logins</span>
+                    </button>
+                    <button onClick={() => setActiveTab('audit')} className={`flex flex-col items-center p-2 rounded-lg ${activeTab === 'audit' ? 'text-indigo-400' : 'text-gray-500'}`}>
+                        <ScrollText size={20} />
+                        <span className="text-xs mt-1">Audit</span>
+                    </button>
+                </div>
+
+                {/* Desktop Tab Navigation */}
+                <div className="hidden md:flex gap-2 mb-8 bg-gray-900 p-1 rounded-xl w-fit border border-gray-800">
+                    <button
+                        onClick={() => setActiveTab('users')}
+                        className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${activeTab === 'users' ? 'bg-indigo-600 text-white shadow-sm' : 'text-gray-400 hover:text-white hover:bg-gray-800'}`}
+                    >
+                        Users
+                    </button>
+                    <button
+                        onClick={() => setActiveTab('classes')}
+                        className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${activeTab === 'classes' ? 'bg-indigo-600 text-white shadow-sm' : 'text-gray-400 hover:text-white hover:bg-gray-800'}`}
+                    >
+                        Classes
+                    </button>
+                    <button
+                        onClick={() => setActiveTab('years')}
+                        className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${activeTab === 'years' ? 'bg-indigo-600 text-white shadow-sm' : 'text-gray-400 hover:text-white hover:bg-gray-800'}`}
+                    >
+                        Academic Years
+                    </button>
+                    <button
+                        onClick={() => setActiveTab('timetable')}
+                        className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${activeTab === 'timetable' ? 'bg-indigo-600 text-white shadow-sm' : 'text-gray-400 hover:text-white hover:bg-gray-800'}`}
+                    >
+                        Timetable
+                    </button>
+                    <button
+                        onClick={() => setActiveTab('calendar')}
+                        className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${activeTab === 'calendar' ? 'bg-indigo-600 text-white shadow-sm' : 'text-gray-400 hover:text-white hover:bg-gray-800'}`}
+                    >
+                        Calendar
+                    </button>
+                    <button
+                        onClick={() => setActiveTab('rules')}
+                        className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${activeTab === 'rules' ? 'bg-indigo-600 text-white shadow-sm' : 'text-gray-400 hover:text-white hover:bg-gray-800'}`}
+                    >
+                        Rules
+                    </button>
+                    <button
+                        onClick={() => setActiveTab('invite')}
+                        className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${activeTab === 'invite' ? 'bg-indigo-600 text-white shadow-sm' : 'text-gray-400 hover:text-white hover:bg-gray-800'}`}
+                    >
+                        Invite
+                    </button>
+                    <button
+                        onClick={() => setActiveTab('add-user')}
+                        className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${activeTab === 'add-user' ? 'bg-indigo-600 text-white shadow-sm' : 'text-gray-400 hover:text-white hover:bg-gray-800'}`}
+                    >
+                        Add Admin
+                    </button>
+                    <button
+                        onClick={() => setActiveTab('attempts')}
+                        className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${activeTab === 'attempts' ? 'bg-indigo-600 text-white shadow-sm' : 'text-gray-400 hover:text-white hover:bg-gray-800'}`}
+                    >
+                        Login Attempts
+                    </button>
+                    <button
+                        onClick={() => setActiveTab('audit')}
+                        className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${activeTab === 'audit' ? 'bg-indigo-600 text-white shadow-sm' : 'text-gray-400 hover:text-white hover:bg-gray-800'}`}
+                    >
+                        Audit Log
+                    </button>
+                </div>
+
+                {/* Users View */}
+                {activeTab === 'users' && (
+                    <div className="bg-gray-900 rounded-2xl border border-gray-800 shadow-sm overflow-hidden">
+                        <div className="p-4 md:p-6 border-b border-gray-800 flex flex-col md:flex-row justify-between items-start md:items-center gap-4">
+                            <h2 className="text-lg font-bold text-white">All Users</h2>
+                            <div className="flex flex-col sm:flex-row items-center gap-3 w-full md:w-auto">
+                                <div className="relative w-full sm:w-64">
+                                    <Search className="absolute left-3 top-2.5 text-gray-500" size={16} />
+                                    <input
+                                        type="text"
+                                        placeholder="Search name or email"
+                                        value={search}
+                                        onChange={(e) => setSearch(e.target.value)}
+                                        className="w-full bg-gray-950 border border-gray-700 text-gray-300 rounded-lg pl-9 pr-4 py-2 text-sm focus:ring-1 focus:ring-indigo-500 outline-none"
+                                    />
+                                </div>
+                                <select
+                                    value={roleFilter}
+                                    onChange={(e) => setRoleFilter(e.target.value)}
+                                    className="w-full sm:w-auto bg-gray-950 border border-gray-700 text-gray-300 rounded-lg px-4 py-2 text-sm focus:ring-1 focus:ring-indigo-500 outline-none"
+                                >
+                                    <option value="All">All Roles</option>
+                                    <option value="ADMIN">Admins</option>
+                                    <option value="TEACHER">Teachers</option>
+                                    <option value="STUDENT">Students</option>
+                                    <option value="GUARDIAN">Guardians</option>
+                                </select>
+                            </div>
+                        </div>
+
+                        <div className="p-4 md:p-0">
+                            {loading ? (
+                                <div className="p-8 text-center text-gray-400">Loading users...</div>
+                            ) : (
+                                <div className="flex flex-col md:table w-full">
+                                    {users.map((u) => (
+                                        <div key={u.id} className="bg-gray-950 md:bg-transparent border border-gray-800 md:border-0 md:border-b md:last:border-0 p-4 mb-3 md:mb-0 rounded-xl md:rounded-none md:table-row">
+                                            <div className="md:table-cell md:p-4 md:align-middle">
+                                                <div className="flex items-center gap-2">
+                                                    <span className={`font-semibold ${u.is_active ? 'text-white' : 'text-gray-500 line-through'}`}>{u.name || '—'}</span>
+                                                    <span className={`px-2 py-0.5 rounded text-[10px] font-bold border ${roleBadge(u.role)}`}>{u.role}</span>
+                                                    {!u.is_active && <span className="px-2 py-0.5 rounded text-[10px] font-bold border bg-red-500/10 text-red-400 border-red-500/20">DISABLED</span>}
+                                                    {isLocked(u) && <span className="px-2 py-0.5 rounded text-[10px] font-bold border bg-amber-500/10 text-amber-400 border-amber-500/20">LOCKED</span>}
+                                                </div>
+                                                <div className="text-xs text-gray-500 mt-1">{u.email}{u.subject ? ` • ${u.subject}` : ''}{u.class_name ? ` • ${u.class_name}` : ''}</div>
+                                            </div>
+                                            <div className="md:table-cell md:p-4 md:align-middle mt-3 md:mt-0">
+                                                <div className="flex flex-wrap gap-2 md:justify-end">
+                                                    {(u.role === 'TEACHER' || u.role === 'ADMIN') && (
+                                                        <select
+                                                            value={u.role}
+                                                            disabled={u.id === user?.id}
+                                                            onChange={(e) => updateUser(u.id, { role: e.target.value }, `Role changed to ${e.target.value}`)}
+                                                            className="bg-gray-900 border border-gray-700 text-gray-300 rounded-md px-2 py-1.5 text-xs outline-none disabled:opacity-50"
+                                                        >
+                                                            <option value="TEACHER">Teacher</option>
+                                                            <option value="ADMIN">Admin</option>
+                                                        </select>
+                                                    )}
+                                                    {isLocked(u) && (
+                                                        <button
+                                                            onClick={() => unlockUser(u)}
+                                                            className="px-3 py-1.5 rounded-md text-xs font-semibold flex items-center gap-1.5 bg-amber-500/10 text-amber-400 border border-amber-500/20 transition-all"
+                                                        >
+                                                            <Unlock size={14} /> Unlock
+                                                        </button>
+                                                    )}
+                                                    <button
+                                                        onClick={() => resetPassword(u)}
+                                                        className="px-3 py-1.5 rounded-md text-xs font-semibold flex items-center gap-1.5 bg-gray-800 text-gray-400 hover:text-white transition-all"
+                                                    >
+                                                        <KeyRound size={14} /> Password
+                                                    </button>
+                                                    <button
+                                                        onClick={() => updateUser(u.id, { is_active: !u.is_active }, u.is_active ? 'Account disabled' : 'Account enabled')}
+                                                        disabled={u.id === user?.id}
+                                                        className={`px-3 py-1.5 rounded-md text-xs font-semibold flex items-center gap-1.5 transition-all disabled:opacity-50 ${u.is_active ? 'bg-red-500/10 text-red-400 border border-red-500/20' : 'bg-emerald-500/10 text-emerald-400 border border-emerald-500/20'}`}
+                                                    >
+                                                        <Power size={14} /> {u.is_active ? 'Disable' : 'Enable'}
+                                                    </button>
+                                                </div>
+                                            </div>
+                                        </div>
+                                    ))}
+                                    {users.length === 0 && (
+                                        <div className="p-8 text-center text-gray-500">No users found.</div>
+                                    )}
+                                </div>
+                            )}
+                        </div>
+                    </div>
+                )}
+
+                {/* Classes View */}
+                {activeTab === 'classes' && <ClassManager />}
+
+                {activeTab === 'years' && <AcademicYears />}
+
+                {activeTab === 'timetable' && <TimetableManager />}
+
+                {activeTab === 'calendar' && <SchoolCalendar />}
+
+                {activeTab === 'rules' && <AttendanceRules />}
+
+                {/* Invite View (teachers & students) */}
+                {activeTab === 'invite' && (
+                    <div className="max-w-2xl mx-auto">
+                        <InviteForm roles={['TEACHER', 'STUDENT']} classes={classes} />
+                    </div>
+                )}
+
+                {/* Login Attempts View */}
+                {activeTab === 'attempts' && <LoginAttempts />}
+
+                {/* Audit Log View */}
+                {activeTab === 'audit' && <AuditLog />}
+
+                {/* Add Admin View */}
+                {activeTab === 'add-user' && (
+                    <div className="max-w-2xl mx-auto">
+                        <div className="bg-gray-900 p-6 rounded-2xl border border-gray-800 shadow-sm">
+                            <h2 className="text-xl font-bold mb-6 text-white flex items-center gap-2">
+                                <UserPlus size={20} className="text-indigo-400" /> Add Admin
+                            </h2>
+                            <p className="text-gray-500 text-sm mb-6 -mt-4">Teachers and students join through the Invite tab.</p>
+                            <form onSubmit={handleAddUser} className="space-y-4">
+                                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                    <div className="space-y-1.5">
+                                        <label className="text-xs text-gray-400 font-medium">Full Name</label>
+                                        <input type="text" required className="w-full bg-gray-950 border border-gray-800 rounded-lg p-2.5 text-sm focus:border-indigo-500 outline-none text-white transition-colors"
+                                            value={newUser.name} onChange={e => setNewUser({ ...newUser, name: e.target.value })} />
+                                    </div>
+                                    <div className="space-y-1.5">
+                                        <label className="text-xs text-gray-400 font-medium">Email Address</label>
+                                        <input type="email" required className="w-full bg-gray-950 border border-gray-800 rounded-lg p-2.5 text-sm focus:border-indigo-500 outline-none text-white transition-colors"
+                                            value={newUser.email} onChange={e => setNewUser({ ...newUser, email: e.target.value })} />
+                                    </div>
+                                    <div className="space-y-1.5 md:col-span-2">
+                                        <label className="text-xs text-gray-400 font-medium">Temporary Password</label>
+                                        <input type="text" required className="w-full bg-gray-950 border border-gray-800 rounded-lg p-2.5 text-sm focus:border-indigo-500 outline-none text-white transition-colors"
+                                            value={newUser.password} onChange={e => setNewUser({ ...newUser, password: e.target.value })} />
+                                    </div>
+                                </div>
+                                <button type="submit" className="w-full bg-white text-gray-900 font-semibold py-2.5 rounded-lg hover:bg-gray-100 transition-colors mt-2">
+                                    Create Account
+                                </button>
+                            </form>
+                        </div>
+                    </div>
+                )}
+
+            </main>
+        </div>
+    );
+};
+
+export default AdminDashboard;
@@ -0,0 +1,104 @@
+/**
+ * FORGOT PASSWORD PAGE
+ *
+ * Opened from the "Forgot password?" link on the login page: /forgot-password
+ *
+ * USER FLOW:
+ * 1. User enters their email
+ * 2. POST /api/auth/forgot-password emails them a one-time reset link
+ * 3. The same message is shown whether or not the email has an account
+ *    (so the form can't be used to find out who is registered)
+ */
+
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../api/axios';
+import { KeyRound, Mail, Loader2, ArrowRight } from 'lucide-react';
+
+const ForgotPassword = () => {
+    const [email, setEmail] = useState('');
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setIsLoading(true);
+        try {
+            const res = await api.post('/auth/forgot-password', { email });
+            setMessage(res.data.message);
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to send reset link');
+        }
+        setIsLoading(false);
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-950 flex items-center justify-center p-4 font-sans">
+            <div className="w-full max-w-md bg-gray-900 border border-gray-800 rounded-2xl shadow-xl p-8 relative overflow-hidden">
+                <div className="absolute top-0 left-0 w-full h-1 bg-gradient-to-r from-indigo-500 via-purple-500 to-pink-500"></div>
+
+                <div className="mb-8 text-center">
+                    <div className="inline-flex items-center justify-center w-12 h-12 rounded-xl bg-indigo-500/10 text-indigo-400 mb-4">
+                        <KeyRound size={20} />
+                    </div>
+                    <h1 className="text-2xl font-bold text-white tracking-tight">Forgot Password</h1>
+                    <p className="text-gray-400 text-sm mt-2">We'll email you a link to choose a new password</p>
+                </div>
+
+                {message ? (
+                    <div className="text-center">
+                        <div className="mb-6 p-3 rounded-lg bg-emerald-500/10 border border-emerald-500/20 text-emerald-400 text-sm">
+                            {message}
+                        </div>
+                        <Link to="/" className="text-sm text-indigo-400 hover:text-indigo-300">Back to sign in</Link>
+                    </div>
+                ) : (
+                    <>
+                        {error && (
+                            <div className="mb-6 p-3 rounded-lg bg-red-500/10 border border-red-500/20 text-red-400 text-sm text-center">
+                                {error}
+                            </div>
+                        )}
+
+                        <form onSubmit={handleSubmit} className="space-y-6">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-400 mb-2">Email Address</label>
+                                <div className="relative group">
+                                    <Mail className="absolute left-3 top-3 text-gray-500 group-focus-within:text-indigo-400 transition-colors" size={18} />
+                                    <input
+                                        type="email"
+                                        className="w-full bg-gray-950 border border-gray-800 text-gray-100 text-sm rounded-xl py-3 pl-10 pr-4 focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500 outline-none transition-all placeholder-gray-600"
+                                        placeholder="name@school.com"
+                                        value={email}
+                                        onChange={(e) => setEmail(e.target.value)}
+                                        required
+                                    />
+                                </div>
+                            </div>
+
+                            <button
+                                type="submit"
+                                disabled={isLoading}
+                                className="w-full bg-white text-gray-900 font-semibold py-3 rounded-xl hover:bg-gray-100 focus:ring-2 focus:ring-offset-2 focus:ring-offset-gray-900 focus:ring-white transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+                            >
+                                {isLoading ? (
+                                    <Loader2 className="animate-spin" size={20} />
+                                ) : (
+                                    <>Send Reset Link <ArrowRight size={18} /></>
+                                )}
+                            </button>
+
+                            <div className="text-center">
+                                <Link to="/" className="text-sm text-indigo-400 hover:text-indigo-300">Back to sign in</Link>
+                            </div>
+                        </form>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ForgotPassword;
@@ -0,0 +1,187 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../api/axios';
+import { useAuth } from '../context/AuthContext';
+import { useToast } from '../context/ToastContext';
+import AttendanceOverview from '../components/AttendanceOverview';
+import LeaveRequests from '../components/LeaveRequests';
+import NotificationBell from '../components/NotificationBell';
+import { Users, Settings, LogOut, MailPlus, CheckCircle, Clock } from 'lucide-react';
+
+/**
+ * GUARDIAN PORTAL
+ *
+ * Parents / guardians follow the attendance of the children linked to
+ * their account (GET /api/guardian/children). The chosen child's profile,
+ * attendance and calendar are the same view students see (AttendanceOverview).
+ *
+ * Absence notes: a guardian explains why the child is (or will be) away;
+ * the child's teachers see the note and mark it as read.
+ * Leave requests: like absence notes, but a teacher approves or rejects
+ * them, and approved days are marked Excused.
+ */
+
+const emptyNote = { from_date: '', to_date: '', reason: '' };
+
+const inputClass = 'w-full bg-gray-950 border border-gray-800 rounded-lg p-2.5 text-sm focus:border-indigo-500 outline-none text-white transition-colors';
+
+const GuardianDashboard = () => {
+    const { user, logout } = useAuth();
+    const { addToast } = useToast();
+    const [children, setChildren] = useState([]);
+    const [childId, setChildId] = useState(null);
+    const [notes, setNotes] = useState([]);
+    const [note, setNote] = useState(emptyNote);
+    const [reloadKey, setReloadKey] = useState(0);
+    const [refreshKey, setRefreshKey] = useState(0); // reloads the calendar after a leave request
+
+    useEffect(() => {
+        let ignore = false;
+        api.get('/guardian/children')
+            .then(res => { if (!ignore) setChildren(res.data); })
+            .catch(() => { if (!ignore) addToast('Failed to load your children', 'error'); });
+        return () => { ignore = true; };
+    }, [addToast]);
+
+    // First child until another one is picked
+    const selectedId = childId ?? children[0]?.id;
+
+    useEffect(() => {
+        if (!selectedId) return;
+        let ignore = false;
+        api.get(`/guardian/children/${selectedId}/absence-notes`)
+            .then(res => { if (!ignore) setNotes(res.data); })
+            .catch(() => { if (!ignore) addToast('Failed to load absence notes', 'error'); });
+        return () => { ignore = true; };
+    }, [selectedId, reloadKey, addToast]);
+
+    const sendNote = async (e) => {
+        e.preventDefault();
+        try {
+            await api.post(`/guardian/children/${selectedId}/absence-notes`, {
+                from_date: note.from_date,
+                to_date: note.to_date || undefined,
+                reason: note.reason
+            });
+            addToast('Absence note sent', 'success');
+            setNote(emptyNote);
+            setReloadKey(k => k + 1);
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to send absence note', 'error');
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-950 text-gray-100 font-sans pb-10">
+            {/* Navbar */}
+            <nav className="bg-gray-900 border-b border-gray-800 sticky top-0 z-50">
+                <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+                    <div className="flex items-center justify-between h-16">
+                        <div className="flex items-center gap-3">
+                            <div className="bg-indigo-500/10 p-2 rounded-xl text-indigo-400">
+                                <Users size={20} />
+                            </div>
+                            <span className="font-bold text-lg tracking-tight text-white">Guardian Portal</span>
+                        </div>
+                        <div className="flex items-center gap-4">
+                            <span className="text-gray-400 text-sm hidden sm:block">Hello, {user?.name}</span>
+                            <NotificationBell />
+                            <Link to="/account" title="My account" className="p-2 hover:bg-gray-800 rounded-full text-gray-400 hover:text-white transition-colors">
+                                <Settings size={20} />
+                            </Link>
+                            <button onClick={logout} className="p-2 hover:bg-gray-800 rounded-full text-gray-400 hover:text-white transition-colors">
+                                <LogOut size={20} />
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            </nav>
+
+            <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+                {children.length === 0 ? (
+                    <div className="bg-gray-900 p-8 rounded-2xl border border-gray-800 text-center text-gray-500">
+                        No students are linked to your account yet. Please contact the school.
+                    </div>
+                ) : (
+                    <>
+                        {/* Child switcher */}
+                        <div className="flex flex-wrap gap-2 mb-6">
+                            {children.map(child => (
+                                <button
+                                    key={child.id}
+                                    onClick={() => setChildId(child.id)}
+                                    className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${selectedId === child.id ? 'bg-indigo-600 text-white shadow-sm' : 'bg-gray-900 border border-gray-800 text-gray-400 hover:text-white hover:bg-gray-800'}`}
+                                >
+                                    {child.name}
+                                    {child.class_name && <span className="ml-2 text-xs opacity-70">{child.class_name}</span>}
+                                </button>
+                            ))}
+                        </div>
+
+                        {/* key: start fresh (month, data) when switching child */}
+                        <AttendanceOverview key={selectedId} apiBase={`/guardian/children/${selectedId}`} refreshKey={refreshKey} />
+                        <LeaveRequests key={`leave-${selectedId}`} apiBase={`/guardian/children/${selectedId}`} onChange={() => setRefreshKey(k => k + 1)} />
+
+                        {/* Absence notes */}
+                        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mt-8">
+                            <div className="bg-gray-900 p-6 rounded-2xl border border-gray-800 shadow-sm">
+                                <h3 className="text-xl font-bold mb-4 text-white flex items-center gap-2">
+                                    <MailPlus size={20} className="text-indigo-400" /> Send an Absence Note
+                                </h3>
+                                <form onSubmit={sendNote} className="space-y-4">
+                                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                                        <div className="space-y-1.5">
+                                            <label className="text-xs text-gray-400 font-medium">First Day</label>
+                                            <input type="date" required className={inputClass}
+                                                value={note.from_date} onChange={e => setNote({ ...note, from_date: e.target.value })} />
+                                        </div>
+                                        <div className="space-y-1.5">
+                                            <label className="text-xs text-gray-400 font-medium">Last Day (optional)</label>
+                                            <input type="date" min={note.from_date} className={inputClass}
+                                                value={note.to_date} onChange={e => setNote({ ...note, to_date: e.target.value })} />
+                                        </div>
+                                    </div>
+                                    <div className="space-y-1.5">
+                                        <label className="text-xs text-gray-400 font-medium">Reason</label>
+                                        <textarea required rows={3} maxLength={1000} className={inputClass}
+                                            value={note.reason} onChange={e => setNote({ ...note, reason: e.target.value })} />
+                                    </div>
+                                    <button type="submit" className="w-full bg-white text-gray-900 font-semibold py-2.5 rounded-lg hover:bg-gray-100 transition-colors">
+                                        Send Note
+                                    </button>
+                                </form>
+                            </div>
+
+                            <div className="bg-gray-900 rounded-2xl border border-gray-800 shadow-sm overflow-hidden">
+                                <h3 className="text-xl font-bold text-white p-6 border-b border-gray-800">Notes Sent</h3>
+                                <div className="divide-y divide-gray-800 max-h-96 overflow-y-auto">
+                                    {notes.map(n => (
+                                        <div key={n.id} className="px-6 py-4">
+                                            <div className="flex items-center justify-between gap-3">
+                                                <span className="text-sm font-medium text-white">
+                                                    {n.from_date === n.to_date ? n.from_date : `${n.from_date} → ${n.to_date}`}
+                                                </span>
+                                                {n.acknowledged_at ? (
+                                                    <span className="flex items-center gap-1 text-xs text-emerald-400"><CheckCircle size={14} /> Read by the school</span>
+                                                ) : (
+                                                    <span className="flex items-center gap-1 text-xs text-gray-500"><Clock size={14} /> Not read yet</span>
+                                                )}
+                                            </div>
+                                            <p className="text-sm text-gray-400 mt-1 whitespace-pre-line">{n.reason}</p>
+                                            {n.guardian_name && <p className="text-xs text-gray-600 mt-1">From {n.guardian_name}</p>}
+                                        </div>
+                                    ))}
+                                    {notes.length === 0 && (
+                                        <div className="p-8 text-center text-gray-500">No absence notes yet.</div>
+                                    )}
+                                </div>
+                            </div>
+                        </div>
+                    </>
+                )}
+            </main>
+        </div>
+    );
+};
+
+export default GuardianDashboard;
@@ -21,14 +21,14 @@
  *    - If credentials don't match: returns 400 error
  * 6. If successful:
  *    - Save token to localStorage (via AuthContext)
- *    - Redirect to /teacher or /student based on role
+ *    - Redirect to /admin, /teacher, /student or /guardian based on role
  * 7. If failed:
  *    - Show error message below form
  */
 
 import { useState } from 'react';
 import { useAuth } from '../context/AuthContext';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, Link } from 'react-router-dom';
 import { Mail, Lock, Loader2, ArrowRight } from 'lucide-react';
 
 const Login = () => {
@@ -69,7 +69,7 @@ const Login = () => {
      * 4. Call login function (sends API request to backend)
      * 5. If login successful:
      *    - Get user data from localStorage
-     *    - Redirect to /teacher or /student based on role
+     *    - Redirect to /admin, /teacher, /student or /guardian based on role
      * 6. If login failed:
      *    - Show error message
      * 7. Hide loading spinner
@@ -97,11 +97,18 @@ const Login = () => {
             const user = JSON.parse(localStorage.getItem('user'));
 
             // Redirect based on user role
-            // Teacher → /teacher, Student → /student
-            if (user.role === 'TEACHER') {
+            // Admin → /admin, Teacher → /teacher, Student → /student, Guardian → /guardian
+            // (temporary password → /account to choose a new one first)
+            if (user.mustChangePassword) {
+                navigate('/account');
+            } else if (user.role === 'ADMIN') {
+                navigate('/admin');
+            } else if (user.role === 'TEACHER') {
                 navigate('/teacher');
             } else if (user.role === 'STUDENT') {
                 navigate('/student');
+            } else if (user.role === 'GUARDIAN') {
+                navigate('/guardian');
             }
         } else {
             // ❌ Login failed
@@ -180,7 +187,10 @@ const Login = () => {
 
                     {/* Password Input Field */}
                     <div>
-                        <label className="block text-sm font-medium text-gray-400 mb-2">Password</label>
+                        <div className="flex items-center justify-between mb-2">
+                            <label className="block text-sm font-medium text-gray-400">Password</label>
+                            <Link to="/forgot-password" className="text-xs text-indigo-400 hover:text-indigo-300">Forgot password?</Link>
+                        </div>
                         <div className="relative group">
                             {/* Lock icon inside input field */}
                             <Lock className="absolute left-3 top-3 text-gray-500 group-focus-within:text-indigo-400 transition-colors" size={18} />
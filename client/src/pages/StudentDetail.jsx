@@ -0,0 +1,403 @@
+/**
+ * STUDENT DETAIL PAGE (Teacher Portal)
+ *
+ * Opened from the Students tab or a name on the attendance sheet: /teacher/students/:id
+ *
+ * - GET /api/teacher/students/:id → profile, class history, this year's attendance, latest marks
+ * - PATCH /api/teacher/students/:id → fix the name, email or roll number
+ * - POST /api/teacher/students/:id/transfer → move to another class of the same year
+ * - POST /api/teacher/students/:id/deactivate (or /reactivate) → the student left (or came back)
+ * - DELETE /api/teacher/students/:id → only for students without any attendance
+ * - POST /api/teacher/students/:id/guardians (DELETE .../guardians/:guardianId) → parent portal access
+ * - POST /api/teacher/absence-notes/:id/acknowledge → mark a guardian's absence note as read
+ */
+
+import { useState, useEffect } from 'react';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import api from '../api/axios';
+import { useAuth } from '../context/AuthContext';
+import { useToast } from '../context/ToastContext';
+import { ArrowLeft, LogOut, Contact, Pencil, ArrowLeftRight, UserX, UserCheck, Trash2, History, Users, CheckCircle, KeyRound } from 'lucide-react';
+
+// Colors of the latest marks (same as the student calendar)
+const STATUS_STYLES = {
+    PRESENT: 'bg-emerald-500/10 text-emerald-400 border-emerald-500/20',
+    ABSENT: 'bg-red-500/10 text-red-400 border-red-500/20',
+    LATE: 'bg-amber-500/10 text-amber-400 border-amber-500/20',
+    HALF_DAY: 'bg-orange-500/10 text-orange-400 border-orange-500/20',
+    EXCUSED: 'bg-sky-500/10 text-sky-400 border-sky-500/20',
+    MEDICAL: 'bg-purple-500/10 text-purple-400 border-purple-500/20',
+    HOLIDAY: 'bg-gray-500/10 text-gray-400 border-gray-500/20'
+};
+
+const emptyGuardian = { email: '', name: '', phone: '', relationship: '', password: '' };
+
+const inputClass = 'w-full bg-gray-950 border border-gray-800 rounded-lg p-2.5 text-sm focus:border-indigo-500 outline-none text-white transition-colors';
+
+const StudentDetail = () => {
+    const { id } = useParams();
+    const navigate = useNavigate();
+    const { logout } = useAuth();
+    const { addToast } = useToast();
+    const [details, setDetails] = useState(null);
+    const [classes, setClasses] = useState([]); // classes the student can be moved to
+    const [form, setForm] = useState({ name: '', email: '', roll_no: '' });
+    const [transfer, setTransfer] = useState({ class_id: '', roll_no: '' });
+    const [guardianForm, setGuardianForm] = useState(emptyGuardian);
+    const [newLogin, setNewLogin] = useState(null); // { email, password } of a just-created guardian account
+    const [reloadKey, setReloadKey] = useState(0);
+
+    useEffect(() => {
+        let ignore = false;
+        api.get(`/teacher/students/${id}`)
+            .then(res => {
+                if (ignore) return;
+                setDetails(res.data);
+                const { name, email, roll_no } = res.data.profile;
+                setForm({ name, email: email || '', roll_no: roll_no ?? '' });
+            })
+            .catch(err => { if (!ignore) addToast(err.response?.data?.error || 'Failed to load student', 'error'); });
+        return () => { ignore = true; };
+    }, [id, reloadKey, addToast]);
+
+    useEffect(() => {
+        let ignore = false;
+        api.get('/teacher/classes')
+            .then(res => { if (!ignore) setClasses(res.data); })
+            .catch(() => { if (!ignore) setClasses([]); });
+        return () => { ignore = true; };
+    }, []);
+
+    const reload = () => setReloadKey(k => k + 1);
+
+    if (!details) {
+        return <div className="min-h-screen flex items-center justify-center bg-gray-950 text-gray-400">Loading student...</div>;
+    }
+
+    const { profile, enrollments, attendance_summary: summary, recent_attendance: recent, guardians, absence_notes: notes } = details;
+    // Transfers stay within the student's academic year
+    const transferClasses = classes.filter(c => c.id !== profile.class_id && c.academic_year === profile.academic_year);
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        try {
+            await api.patch(`/teacher/students/${id}`, {
+                name: form.name,
+                email: form.email || undefined,
+                roll_no: form.roll_no === '' ? undefined : Number(form.roll_no)
+            });
+            addToast('Student updated', 'success');
+            reload();
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to update student', 'error');
+        }
+    };
+
+    const handleTransfer = async (e) => {
+        e.preventDefault();
+        const target = classes.find(c => c.id === Number(transfer.class_id));
+        if (!window.confirm(`Move ${profile.name} to ${target?.name}? Their attendance this year moves with them.`)) return;
+        try {
+            const res = await api.post(`/teacher/students/${id}/transfer`, {
+                class_id: Number(transfer.class_id),
+                roll_no: transfer.roll_no === '' ? undefined : Number(transfer.roll_no)
+            });
+            addToast(`${res.data.message} (roll ${res.data.roll_no})`, 'success');
+            setTransfer({ class_id: '', roll_no: '' });
+            reload();
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to move student', 'error');
+        }
+    };
+
+    const toggleActive = async () => {
+        const action = profile.is_active ? 'deactivate' : 'reactivate';
+        const question = profile.is_active
+            ? `Deactivate ${profile.name}? They leave the attendance sheets and can no longer log in. Their history is kept.`
+            : `Reactivate ${profile.name}?`;
+        if (!window.confirm(question)) return;
+        try {
+            const res = await api.post(`/teacher/students/${id}/${action}`);
+            addToast(res.data.message, 'success');
+            reload();
+        } catch (err) {
+            addToast(err.response?.data?.error || `Failed to ${action} student`, 'error');
+        }
+    };
+
+    const handleDelete = async () => {
+        if (!window.confirm(`Delete ${profile.name} and their login for good?`)) return;
+        try {
+            await api.delete(`/teacher/students/${id}`);
+            addToast('Student deleted', 'success');
+            navigate('/teacher');
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to delete student', 'error');
+        }
+    };
+
+    const handleLinkGuardian = async (e) => {
+        e.preventDefault();
+        try {
+            const res = await api.post(`/teacher/students/${id}/guardians`, {
+                email: guardianForm.email,
+                name: guardianForm.name || undefined,
+                phone: guardianForm.phone || undefined,
+                relationship: guardianForm.relationship || undefined,
+                password: guardianForm.password || undefined
+            });
+            addToast(res.data.message, 'success');
+            // The temporary password is only returned once
+            setNewLogin(res.data.temporary_password ? { email: guardianForm.email, password: res.data.temporary_password } : null);
+            setGuardianForm(emptyGuardian);
+            reload();
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to link guardian', 'error');
+        }
+    };
+
+    const handleUnlinkGuardian = async (guardian) => {
+        if (!window.confirm(`Remove ${guardian.name}'s access to ${profile.name}?`)) return;
+        try {
+            await api.delete(`/teacher/students/${id}/guardians/${guardian.id}`);
+            addToast('Guardian unlinked', 'success');
+            reload();
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to unlink guardian', 'error');
+        }
+    };
+
+    const acknowledgeNote = async (noteId) => {
+        try {
+            await api.post(`/teacher/absence-notes/${noteId}/acknowledge`);
+            reload();
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to acknowledge note', 'error');
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-950 text-gray-100 font-sans">
+            <nav className="bg-gray-900 border-b border-gray-800 sticky top-0 z-50">
+                <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8">
+                    <div className="flex items-center justify-between h-16">
+                        <div className="flex items-center gap-3">
+                            <Link to="/teacher" className="p-2 hover:bg-gray-800 rounded-full text-gray-400 hover:text-white transition-colors">
+                                <ArrowLeft size={20} />
+                            </Link>
+                            <div className="bg-indigo-500/10 p-2 rounded-xl text-indigo-400">
+                                <Contact size={20} />
+                            </div>
+                            <span className="font-bold text-lg tracking-tight text-white">Student</span>
+                        </div>
+                        <button onClick={logout} className="p-2 hover:bg-gray-800 rounded-full text-gray-400 hover:text-white transition-colors">
+                            <LogOut size={20} />
+                        </button>
+                    </div>
+                </div>
+            </nav>
+
+            <main className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+                {/* Profile and attendance */}
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 md:gap-6">
+                    <div className="md:col-span-2 bg-gray-900 p-6 rounded-2xl border border-gray-800">
+                        <div className="flex items-start justify-between gap-4">
+                            <div>
+                                <h1 className="text-2xl font-bold text-white flex items-center gap-2">
+                                    {profile.name}
+                                    {!profile.is_active && (
+                                        <span className="bg-gray-500/10 text-gray-400 border border-gray-500/20 rounded-full px-2 py-0.5 text-xs font-medium">Deactivated</span>
+                                    )}
+                                </h1>
+                                <p className="text-gray-500 text-sm mt-1 font-mono">{profile.student_id_code} • {profile.email || 'No login'}</p>
+                                <p className="text-gray-400 text-sm mt-3">
+                                    {profile.class_name || 'No class'} • Roll: {profile.roll_no ?? '-'}
+                                    {profile.academic_year && <span className="text-gray-500"> • {profile.academic_year}</span>}
+                                </p>
+                                {profile.deactivated_at && (
+                                    <p className="text-gray-500 text-xs mt-1">Deactivated on {new Date(profile.deactivated_at).toLocaleDateString()}</p>
+                                )}
+                            </div>
+                            <div className="flex items-center gap-2">
+                                <button
+                                    onClick={toggleActive}
+                                    className={`inline-flex items-center gap-1 px-3 py-2 rounded-lg text-sm font-medium transition-colors ${profile.is_active ? 'bg-red-500/10 text-red-400 hover:bg-red-500/20' : 'bg-emerald-500/10 text-emerald-400 hover:bg-emerald-500/20'}`}
+                                >
+                                    {profile.is_active ? <><UserX size={16} /> Deactivate</> : <><UserCheck size={16} /> Reactivate</>}
+                                </button>
+                                {recent.length === 0 && (
+                                    <button onClick={handleDelete} title="Delete student" className="p-2 rounded-lg text-gray-400 hover:text-red-400 hover:bg-red-500/10 transition-colors">
+                                        <Trash2 size={16} />
+                                    </button>
+                                )}
+                            </div>
+                        </div>
+                    </div>
+                    <div className="bg-gray-900 p-6 rounded-2xl border border-gray-800 flex flex-col items-center justify-center">
+                        <p className="text-gray-400 uppercase text-xs tracking-widest font-semibold">Attendance</p>
+                        <p className={`text-5xl font-bold mt-3 ${parseFloat(summary.percentage) >= 75 ? 'text-emerald-400' : 'text-red-400'}`}>{summary.percentage}%</p>
+                        <p className="text-xs text-gray-500 mt-3">
+                            {summary.total_present} / {summary.total_days} Days{summary.academic_year ? ` • ${summary.academic_year}` : ''}
+                        </p>
+                    </div>
+                </div>
+
+                {/* Edit */}
+                <div className="bg-gray-900 p-6 rounded-2xl border border-gray-800">
+                    <h2 className="text-lg font-semibold text-white flex items-center gap-2 mb-4">
+                        <Pencil size={18} className="text-indigo-400" /> Edit Details
+                    </h2>
+                    <form onSubmit={handleSave} className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+                        <div className="space-y-1.5">
+                            <label className="text-xs text-gray-400 font-medium">Name</label>
+                            <input type="text" required className={inputClass}
+                                value={form.name} onChange={e => setForm({ ...form, name: e.target.value })} />
+                        </div>
+                        <div className="space-y-1.5">
+                            <label className="text-xs text-gray-400 font-medium">Email</label>
+                            <input type="email" className={inputClass} disabled={!profile.email}
+                                value={form.email} onChange={e => setForm({ ...form, email: e.target.value })} />
+                        </div>
+                        <div className="space-y-1.5">
+                            <label className="text-xs text-gray-400 font-medium">Roll No</label>
+                            <input type="number" min="1" className={inputClass} disabled={!profile.class_id}
+                                value={form.roll_no} onChange={e => setForm({ ...form, roll_no: e.target.value })} />
+                        </div>
+                        <button type="submit" className="w-full bg-white text-gray-900 font-semibold py-2.5 rounded-lg hover:bg-gray-100 transition-colors">
+                            Save
+                        </button>
+                    </form>
+                </div>
+
+                {/* Transfer */}
+                {profile.is_active && profile.class_id && (
+                    <div className="bg-gray-900 p-6 rounded-2xl border border-gray-800">
+                        <h2 className="text-lg font-semibold text-white flex items-center gap-2 mb-1">
+                            <ArrowLeftRight size={18} className="text-indigo-400" /> Move to Another Class
+                        </h2>
+                        <p className="text-sm text-gray-500 mb-4">Classes of {profile.academic_year} you teach. Leave the roll number empty to use the next free one.</p>
+                        <form onSubmit={handleTransfer} className="grid grid-cols-1 md:grid-cols-3 gap-3 items-end">
+                            <select required className={inputClass} value={transfer.class_id} onChange={e => setTransfer({ ...transfer, class_id: e.target.value })}>
+                                <option value="">Choose a class...</option>
+                                {transferClasses.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                            </select>
+                            <input type="number" min="1" placeholder="Roll No (optional)" className={inputClass}
+                                value={transfer.roll_no} onChange={e => setTransfer({ ...transfer, roll_no: e.target.value })} />
+                            <button type="submit" className="w-full border border-gray-700 text-gray-300 font-medium py-2.5 rounded-lg hover:bg-gray-800 transition-colors">
+                                Move
+                            </button>
+                        </form>
+                    </div>
+                )}
+
+                {/* Guardians */}
+                <div className="bg-gray-900 p-6 rounded-2xl border border-gray-800">
+                    <h2 className="text-lg font-semibold text-white flex items-center gap-2 mb-1">
+                        <Users size={18} className="text-indigo-400" /> Guardians
+                    </h2>
+                    <p className="text-sm text-gray-500 mb-4">Guardians follow the attendance in the guardian portal and can send absence notes. An email that is new gets its own login.</p>
+                    <div className="divide-y divide-gray-800 mb-4">
+                        {guardians.map(g => (
+                            <div key={g.id} className="flex items-center justify-between gap-3 py-3 text-sm">
+                                <div>
+                                    <span className="text-white font-medium">{g.name}</span>
+                                    {g.relationship && <span className="text-gray-500"> • {g.relationship}</span>}
+                                    <p className="text-gray-500 text-xs mt-0.5">{g.email}{g.phone ? ` • ${g.phone}` : ''}</p>
+                                </div>
+                                <button onClick={() => handleUnlinkGuardian(g)} title="Unlink guardian" className="p-2 rounded-lg text-gray-400 hover:text-red-400 hover:bg-red-500/10 transition-colors">
+                                    <Trash2 size={16} />
+                                </button>
+                            </div>
+                        ))}
+                        {guardians.length === 0 && <p className="py-3 text-gray-500 text-sm">No guardians linked yet.</p>}
+                    </div>
+                    {newLogin && (
+                        <div className="mb-4 p-4 rounded-lg bg-amber-500/10 border border-amber-500/20 text-sm text-amber-300 flex items-start gap-2">
+                            <KeyRound size={16} className="mt-0.5 shrink-0" />
+                            <span>
+                                Login for <span className="font-mono">{newLogin.email}</span>: temporary password <span className="font-mono font-semibold">{newLogin.password}</span>.
+                                Share it now, it is not shown again. The guardian must change it on first login.
+                            </span>
+                        </div>
+                    )}
+                    <form onSubmit={handleLinkGuardian} className="grid grid-cols-1 md:grid-cols-3 gap-3 items-end">
+                        <input type="email" required placeholder="Email" className={inputClass}
+                            value={guardianForm.email} onChange={e => setGuardianForm({ ...guardianForm, email: e.target.value })} />
+                        <input type="text" placeholder="Name (new accounts)" className={inputClass}
+                            value={guardianForm.name} onChange={e => setGuardianForm({ ...guardianForm, name: e.target.value })} />
+                        <input type="text" placeholder="Relationship (e.g. Mother)" className={inputClass}
+                            value={guardianForm.relationship} onChange={e => setGuardianForm({ ...guardianForm, relationship: e.target.value })} />
+                        <input type="tel" placeholder="Phone (optional)" className={inputClass}
+                            value={guardianForm.phone} onChange={e => setGuardianForm({ ...guardianForm, phone: e.target.value })} />
+                        <input type="text" placeholder="Password (optional, generated)" className={inputClass}
+                            value={guardianForm.password} onChange={e => setGuardianForm({ ...guardianForm, password: e.target.value })} />
+                        <button type="submit" className="w-full border border-gray-700 text-gray-300 font-medium py-2.5 rounded-lg hover:bg-gray-800 transition-colors">
+                            Link Guardian
+                        </button>
+                    </form>
+                </div>
+
+                {/* Absence notes from the guardian portal */}
+                {notes.length > 0 && (
+                    <div className="bg-gray-900 rounded-2xl border border-gray-800 overflow-hidden">
+                        <h2 className="text-lg font-semibold text-white p-6 border-b border-gray-800">Absence Notes</h2>
+                        <div className="divide-y divide-gray-800">
+                            {notes.map(n => (
+                                <div key={n.id} className="flex items-start justify-between gap-4 px-6 py-4">
+                                    <div>
+                                        <p className="text-sm font-medium text-white">
+                                            {n.from_date === n.to_date ? n.from_date : `${n.from_date} → ${n.to_date}`}
+                                            {n.guardian_name && <span className="text-gray-500 font-normal"> • {n.guardian_name}</span>}
+                                        </p>
+                                        <p className="text-sm text-gray-400 mt-1 whitespace-pre-line">{n.reason}</p>
+                                    </div>
+                                    {n.acknowledged_at ? (
+                                        <span className="flex items-center gap-1 text-xs text-emerald-400 shrink-0"><CheckCircle size={14} /> Read</span>
+                                    ) : (
+                                        <button onClick={() => acknowledgeNote(n.id)} className="shrink-0 px-3 py-1.5 rounded-lg text-xs font-medium bg-indigo-500/10 text-indigo-400 hover:bg-indigo-500/20 transition-colors">
+                                            Mark as Read
+                                        </button>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 md:gap-6">
+                    {/* Class history */}
+                    <div className="bg-gray-900 rounded-2xl border border-gray-800 overflow-hidden">
+                        <h2 className="text-lg font-semibold text-white p-6 border-b border-gray-800">Class History</h2>
+                        <div className="divide-y divide-gray-800">
+                            {enrollments.map(e => (
+                                <div key={e.academic_year} className="flex items-center justify-between px-6 py-3 text-sm">
+                                    <span className="text-gray-400 font-mono">{e.academic_year}</span>
+                                    <span className="text-white">{e.class_name} • Roll: {e.roll_no ?? '-'}</span>
+                                    <span className="text-xs text-gray-500">{e.status}</span>
+                                </div>
+                            ))}
+                            {enrollments.length === 0 && <div className="p-6 text-center text-gray-500 text-sm">No enrollments yet.</div>}
+                        </div>
+                    </div>
+
+                    {/* Latest marks */}
+                    <div className="bg-gray-900 rounded-2xl border border-gray-800 overflow-hidden">
+                        <h2 className="text-lg font-semibold text-white p-6 border-b border-gray-800 flex items-center gap-2">
+                            <History size={18} className="text-indigo-400" /> Latest Attendance
+                        </h2>
+                        <div className="p-6 flex flex-wrap gap-2">
+                            {recent.map(r => (
+                                <span key={r.date} title={r.status} className={`px-2 py-1 rounded text-xs font-mono border ${STATUS_STYLES[r.status]}`}>
+                                    {r.date}
+                                </span>
+                            ))}
+                            {recent.length === 0 && <p className="text-gray-500 text-sm">No attendance marked yet.</p>}
+                        </div>
+                    </div>
+                </div>
+            </main>
+        </div>
+    );
+};
+
+export default StudentDetail;
@@ -1,23 +1,74 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
 import api from '../api/axios';
 import { useAuth } from '../context/AuthContext';
 import { useToast } from '../context/ToastContext';
-import { Users, UserPlus, Calendar, LogOut, CheckCircle, XCircle, AlertTriangle, Mail, BarChart2 } from 'lucide-react';
+import InviteForm from '../components/InviteForm';
+import AttendanceHistoryModal from '../components/AttendanceHistoryModal';
+import AttendanceLockBanner from '../components/AttendanceLockBanner';
+import CheckInSessionModal from '../components/CheckInSessionModal';
+import OfflineSyncPanel from '../components/OfflineSyncPanel';
+import StudentList from '../components/StudentList';
+import StudentImport from '../components/StudentImport';
+import LeaveInbox from '../components/LeaveInbox';
+import CorrectionInbox from '../components/CorrectionInbox';
+import NotificationBell from '../components/NotificationBell';
+import { useLiveEvent } from '../utils/liveUpdates';
+import { sheetKey, cacheSheet, getCachedSheet, listQueue, queueMarks, clearQueuedSheet, applyQueuedMarks, isOfflineError } from '../utils/offlineAttendance';
+import { Users, UserPlus, Calendar, Settings, LogOut, CheckCircle, XCircle, AlertTriangle, Mail, BarChart2, History, Shield, Clock, Hourglass, FileCheck, Stethoscope, Contact, CalendarOff, QrCode } from 'lucide-react';
+
+// Marking buttons on the attendance sheet; "active" is the style of the selected one
+const STATUS_OPTIONS = [
+    { status: 'PRESENT', label: 'Present', Icon: CheckCircle, active: 'bg-emerald-500/10 text-emerald-400 border-emerald-500/20' },
+    { status: 'ABSENT', label: 'Absent', Icon: XCircle, active: 'bg-red-500/10 text-red-400 border-red-500/20' },
+    { status: 'LATE', label: 'Late', Icon: Clock, active: 'bg-amber-500/10 text-amber-400 border-amber-500/20' },
+    { status: 'HALF_DAY', label: 'Half Day', Icon: Hourglass, active: 'bg-orange-500/10 text-orange-400 border-orange-500/20' },
+    { status: 'EXCUSED', label: 'Excused', Icon: FileCheck, active: 'bg-sky-500/10 text-sky-400 border-sky-500/20' },
+    { status: 'MEDICAL', label: 'Medical', Icon: Stethoscope, active: 'bg-purple-500/10 text-purple-400 border-purple-500/20' }
+];
+
+// Current time as HH:MM, the default arrival time of a LATE mark
+const currentTime = () => new Date().toTimeString().slice(0, 5);
+
+// Report filter value ('year:2', 'term:4' or '') as query params
+const rangeParams = (range) => {
+    const [kind, id] = range.split(':');
+    if (kind === 'year') return { academic_year_id: id };
+    if (kind === 'term') return { term_id: id };
+    return {};
+};
 
 const TeacherDashboard = () => {
     const { user, logout } = useAuth();
     const { addToast } = useToast();
+    const isAdmin = user?.role === 'ADMIN'; // admins see every class in the school
     const [stats, setStats] = useState({ total_students: 0, present_today: 0, absent_today: 0 });
-    const [activeTab, setActiveTab] = useState('dashboard'); // dashboard, attendance, add-student, defaulters
+    const [activeTab, setActiveTab] = useState('dashboard'); // dashboard, attendance, students, add-student, requests, defaulters, monthly
     const [students, setStudents] = useState([]);
     const [defaulters, setDefaulters] = useState([]);
     const [monthlyReport, setMonthlyReport] = useState([]);
     const [date, setDate] = useState(new Date().toISOString().split('T')[0]);
     const [selectedMonth, setSelectedMonth] = useState(new Date().getMonth() + 1);
     const [selectedYear, setSelectedYear] = useState(new Date().getFullYear());
-    const [selectedClass, setSelectedClass] = useState('All');
-    const [availableClasses, setAvailableClasses] = useState([]);
+    const [selectedClass, setSelectedClass] = useState('All'); // class id, or 'All'
+    const [availableClasses, setAvailableClasses] = useState([]); // [{ id, name, ... }] from /teacher/classes
     const [loading, setLoading] = useState(false);
+    const [historyStudentId, setHistoryStudentId] = useState(null); // attendance cell whose history is open
+    const [periods, setPeriods] = useState([]); // timetable periods of the selected class on the selected date
+    const [selectedPeriod, setSelectedPeriod] = useState(''); // period id, or '' for a whole-day mark
+    const [reportView, setReportView] = useState('day'); // monthly report: 'day' or 'subject'
+    const [subjectReport, setSubjectReport] = useState([]);
+    const [calendarDay, setCalendarDay] = useState(null); // school calendar entry of the selected date
+    const [locks, setLocks] = useState([]); // submitted registers of the selected date (see AttendanceLockBanner)
+    const [locksKey, setLocksKey] = useState(0); // change to reload the lock state
+    const [checkInSessionId, setCheckInSessionId] = useState(null); // open QR check-in (see CheckInSessionModal)
+    const [sheetReloadKey, setSheetReloadKey] = useState(0); // change to load the attendance sheet again
+    const [queueKey, setQueueKey] = useState(0); // change after queuing an offline save (see OfflineSyncPanel)
+    const [sheetDirty, setSheetDirty] = useState(false); // marks changed on the sheet and not saved yet
+    const [sheetOutdated, setSheetOutdated] = useState(false); // saved elsewhere while the sheet had unsaved marks
+    const [academicYears, setAcademicYears] = useState([]); // [{ id, name, is_current, terms: [...] }] for report filters
+    const [reportRange, setReportRange] = useState(''); // monthly report: '' = one month, 'year:2' or 'term:4'
+    const [defaulterRange, setDefaulterRange] = useState(''); // defaulters: '' = current academic year, 'year:2' or 'term:4'
 
     // Stats
     useEffect(() => {
@@ -33,36 +84,111 @@ const TeacherDashboard = () => {
         }
     };
 
+    // Classes this teacher is assigned to (for the class dropdowns)
+    useEffect(() => {
+        let ignore = false;
+        api.get('/teacher/classes')
+            .then(res => { if (!ignore) setAvailableClasses(res.data); })
+            .catch(() => { if (!ignore) addToast('Failed to load classes', 'error'); });
+        return () => { ignore = true; };
+    }, [addToast]);
+
     // Attendance
     useEffect(() => {
         if (activeTab === 'attendance') {
             fetchAttendanceSheet();
         }
-    }, [date, activeTab, selectedClass]);
+    }, [date, activeTab, selectedClass, selectedPeriod, sheetReloadKey]);
+
+    // Timetable periods for the "Period" dropdown (only when one class is selected)
+    useEffect(() => {
+        if (activeTab !== 'attendance' || selectedClass === 'All') return;
+        let ignore = false;
+        api.get('/teacher/periods', { params: { class_id: selectedClass, date } })
+            .then(res => { if (!ignore) setPeriods(res.data); })
+            .catch(() => { if (!ignore) addToast('Failed to load timetable', 'error'); });
+        return () => { ignore = true; };
+    }, [activeTab, selectedClass, date, addToast]);
+
+    const dayPeriods = selectedClass === 'All' ? [] : periods;
+
+    // Holiday, weekend, exam day, ... of the selected date (for the banner)
+    useEffect(() => {
+        if (activeTab !== 'attendance') return;
+        let ignore = false;
+        api.get('/teacher/calendar-day', { params: { date } })
+            .then(res => { if (!ignore) setCalendarDay(res.data); })
+            .catch(() => { if (!ignore) setCalendarDay(null); });
+        return () => { ignore = true; };
+    }, [activeTab, date]);
+
+    // Who submitted the register of the selected date, and whether it is locked
+    useEffect(() => {
+        if (activeTab !== 'attendance') return;
+        let ignore = false;
+        api.get('/teacher/attendance/locks', { params: { date, class_id: selectedClass } })
+            .then(res => { if (!ignore) setLocks(res.data); })
+            .catch(() => { if (!ignore) setLocks([]); });
+        return () => { ignore = true; };
+    }, [activeTab, date, selectedClass, locksKey]);
+
+    // Offline saves reached the server: show the sheet and lock state as they are now
+    const handleSynced = useCallback(() => {
+        setSheetReloadKey(k => k + 1);
+        setLocksKey(k => k + 1);
+    }, []);
+
+    // A locked register can't be saved until an admin reopens it
+    const sheetLocked = locks.some(lock => lock.locked);
+
+    // A period belongs to one class and one weekday, so start over from "Whole day"
+    const changeClass = (classId) => {
+        setSelectedClass(classId);
+        setSelectedPeriod('');
+    };
+
+    const changeDate = (newDate) => {
+        setDate(newDate);
+        setSelectedPeriod('');
+    };
+
+    // Academic years and terms for the report filters
+    useEffect(() => {
+        let ignore = false;
+        api.get('/teacher/academic-years')
+            .then(res => { if (!ignore) setAcademicYears(res.data); })
+            .catch(() => { if (!ignore) setAcademicYears([]); });
+        return () => { ignore = true; };
+    }, []);
 
     useEffect(() => {
         if (activeTab === 'defaulters') {
             fetchDefaulters();
         }
-    }, [activeTab]);
+    }, [activeTab, defaulterRange]);
 
     useEffect(() => {
-        if (activeTab === 'monthly') {
+        if (activeTab === 'monthly' && reportView === 'day') {
             fetchMonthlyReport();
         }
-    }, [activeTab, selectedMonth, selectedYear, selectedClass]);
+    }, [activeTab, selectedMonth, selectedYear, selectedClass, reportView, reportRange]);
+
+    useEffect(() => {
+        if (activeTab !== 'monthly' || reportView !== 'subject') return;
+        let ignore = false;
+        const period = reportRange ? rangeParams(reportRange) : { month: selectedMonth, year: selectedYear };
+        api.get('/teacher/subject-report', { params: { ...period, class_id: selectedClass } })
+            .then(res => { if (!ignore) setSubjectReport(res.data); })
+            .catch(() => { if (!ignore) addToast('Failed to load subject report', 'error'); });
+        return () => { ignore = true; };
+    }, [activeTab, reportView, selectedMonth, selectedYear, selectedClass, reportRange, addToast]);
 
     const fetchMonthlyReport = async () => {
         setLoading(true);
         try {
-            const res = await api.get(`/teacher/monthly-report?month=${selectedMonth}&year=${selectedYear}&class_name=${selectedClass}`);
+            const period = reportRange ? rangeParams(reportRange) : { month: selectedMonth, year: selectedYear };
+            const res = await api.get('/teacher/monthly-report', { params: { ...period, class_id: selectedClass } });
             setMonthlyReport(res.data);
-
-            // Extract classes if needed, similar to attendance
-            if (activeTab === 'monthly' && selectedClass === 'All') {
-                const classes = [...new Set(res.data.map(s => s.class_name))].filter(Boolean);
-                if (classes.length > 0) setAvailableClasses(['All', ...classes.sort()]);
-            }
         } catch (err) {
             console.error(err);
             addToast('Failed to load monthly report', 'error');
@@ -73,7 +199,7 @@ const TeacherDashboard = () => {
     const fetchDefaulters = async () => {
         setLoading(true);
         try {
-            const res = await api.get('/teacher/low-attendance');
+            const res = await api.get('/teacher/low-attendance', { params: rangeParams(defaulterRange) });
             setDefaulters(res.data);
         } catch (err) {
             console.error(err);
@@ -82,54 +208,175 @@ const TeacherDashboard = () => {
         setLoading(false);
     };
 
+    // The open sheet in the offline store (utils/offlineAttendance.js)
+    const currentSheetKey = sheetKey(user?.id, date, selectedClass, selectedPeriod);
+
+    // "10th-A • 2026-02-13 • P2 • Mathematics", to recognise a queued save
+    const sheetLabel = () => {
+        const className = selectedClass === 'All' ? 'All classes' : availableClasses.find(c => String(c.id) === String(selectedClass))?.name;
+        const period = dayPeriods.find(p => String(p.id) === String(selectedPeriod));
+        return `${className || 'Class'} • ${date} • ${period ? `P${period.period_no} • ${period.subject_name}` : 'Whole day'}`;
+    };
+
     const fetchAttendanceSheet = async () => {
         setLoading(true);
         try {
-            const res = await api.get(`/teacher/attendance-sheet?date=${date}&class_name=${selectedClass}`);
-            setStudents(res.data);
-
-            // Extract unique classes for filter if we are loading for the first time or blindly
-            // Ideally should be a separate API, but we can derive from data if 'All' is selected
-            if (activeTab === 'attendance' && selectedClass === 'All') {
-                const classes = [...new Set(res.data.map(s => s.class_name))].filter(Boolean);
-                if (classes.length > 0) setAvailableClasses(['All', ...classes.sort()]);
+            const periodParam = selectedPeriod ? `&period_id=${selectedPeriod}` : '';
+            const res = await api.get(`/teacher/attendance-sheet?date=${date}&class_id=${selectedClass}${periodParam}`);
+            if (res.headers['x-served-from'] === 'cache') {
+                await showOfflineSheet(res.data); // the service worker's copy (see src/sw.js)
+            } else {
+                setStudents(res.data);
+                cacheSheet(currentSheetKey, res.data).catch(() => {}); // for when the connection drops
             }
-
+            setSheetDirty(false);
+            setSheetOutdated(false);
         } catch (err) {
             console.error(err);
-            addToast('Failed to load attendance', 'error');
+            // Offline: the copy from the last time this sheet was opened
+            const cached = isOfflineError(err) ? await getCachedSheet(currentSheetKey).catch(() => null) : null;
+            if (cached) {
+                await showOfflineSheet(cached);
+            } else {
+                addToast('Failed to load attendance', 'error');
+            }
         }
         setLoading(false);
     };
 
+    // A saved copy of the sheet, with the marks still waiting to sync
+    const showOfflineSheet = async (sheet) => {
+        const queued = await listQueue(user?.id).catch(() => []);
+        setStudents(applyQueuedMarks(sheet, queued.find(entry => entry.key === currentSheetKey)));
+        addToast('You are offline. Showing the last saved copy of this sheet.', 'info');
+    };
+
     const markAttendance = (studentId, status) => {
+        setSheetDirty(true);
+        setStudents(prev => prev.map(s => {
+            if (s.student_id !== studentId) return s;
+            const arrival_time = status === 'LATE' ? (s.arrival_time || currentTime()) : null;
+            return { ...s, status, arrival_time };
+        }));
+    };
+
+    const setArrivalTime = (studentId, arrival_time) => {
+        setSheetDirty(true);
         setStudents(prev => prev.map(s =>
-            s.student_id === studentId ? { ...s, status } : s
+            s.student_id === studentId ? { ...s, arrival_time } : s
         ));
     };
 
     const saveAttendance = async () => {
-        try {
-            const records = students
-                .filter(s => s.status) // Only send marked ones
-                .map(s => ({ student_id: s.student_id, status: s.status }));
+        const records = students
+            .filter(s => s.status) // Only send marked ones
+            .map(s => ({
+                student_id: s.student_id,
+                status: s.status,
+                arrival_time: s.status === 'LATE' && s.arrival_time ? s.arrival_time.slice(0, 5) : undefined,
+                version: s.version ?? null // the server refuses it if someone else changed the mark since
+            }));
+
+        let body = {
+            date,
+            period_id: selectedPeriod ? Number(selectedPeriod) : undefined,
+            records
+        };
 
-            await api.post('/teacher/attendance/bulk', { date, records });
+        // Keeps the save on this device (see OfflineSyncPanel)
+        const queue = (extra) => queueMarks({ userId: user?.id, key: currentSheetKey, label: sheetLabel(), body, ...extra })
+            .then(() => setQueueKey(k => k + 1));
+
+        try {
+            try {
+                await api.post('/teacher/attendance/bulk', body);
+            } catch (err) {
+                // 409 = not a school day: save anyway only if the teacher confirms
+                if (!err.response?.data?.nonWorkingDay) throw err;
+                if (!window.confirm(`${err.response.data.error}. Save attendance anyway?`)) return;
+                body = { ...body, allow_non_working_day: true };
+                await api.post('/teacher/attendance/bulk', body);
+            }
             addToast('Attendance saved successfully!', 'success');
+            setSheetDirty(false);
             fetchStats(); // Update stats
+            setLocksKey(k => k + 1); // the first save submits the register
+            setSheetReloadKey(k => k + 1); // new versions of the marks
+            clearQueuedSheet(user?.id, currentSheetKey).then(() => setQueueKey(k => k + 1)).catch(() => {});
         } catch (err) {
-            addToast('Failed to save attendance', 'error');
+            // No connection: keep the marks until it is back
+            if (isOfflineError(err)) {
+                queue()
+                    .then(() => addToast('You are offline. Attendance will be saved when the connection returns.', 'info'))
+                    .catch(() => addToast('Failed to save attendance', 'error'));
+                return;
+            }
+            // Someone else changed some marks since the sheet was loaded: choose which to keep in the sync panel
+            if (err.response.data?.conflicts) {
+                queue({ status: 'conflict', conflicts: err.response.data.conflicts, error: err.response.data.error }).catch(() => {});
+            }
+            addToast(err.response.data?.error || 'Failed to save attendance', 'error');
+            if (err.response.data?.locked) setLocksKey(k => k + 1);
         }
     };
 
+    // QR check-in: only for one class, today (students scan in class)
+    const today = new Date().toISOString().split('T')[0];
+    const canCheckIn = selectedClass !== 'All' && date === today && !sheetLocked;
+
+    const openCheckIn = async () => {
+        try {
+            const res = await api.post('/teacher/check-in-sessions', {
+                class_id: selectedClass,
+                period_id: selectedPeriod ? Number(selectedPeriod) : undefined
+            });
+            setCheckInSessionId(res.data.id);
+        } catch (err) {
+            addToast(err.response?.data?.error || 'Failed to open check-in', 'error');
+        }
+    };
+
+    // Checked in → Present; not checked in and not marked yet → Absent. Saved with the sheet.
+    const finishCheckIn = (sessionStudents) => {
+        const checkedIn = new Set(sessionStudents.filter(s => s.checked_in_at).map(s => s.student_id));
+        setSheetDirty(true);
+        setStudents(prev => prev.map(s => {
+            if (checkedIn.has(s.student_id)) return { ...s, status: 'PRESENT', arrival_time: null };
+            return s.status ? s : { ...s, status: 'ABSENT' };
+        }));
+        setCheckInSessionId(null);
+        addToast(`${checkedIn.size} checked in. Review the sheet and click Save.`, 'success');
+    };
+
+    // Live updates (utils/liveUpdates.js): attendance saved elsewhere (another teacher,
+    // leave approvals, corrections) and new students. A sheet with unsaved marks isn't
+    // reloaded under the teacher's hands; a banner offers to reload it instead.
+    const sheetShows = (classIds) => selectedClass === 'All' || classIds.includes(Number(selectedClass));
+
+    const refreshSheet = () => {
+        if (activeTab !== 'attendance') return;
+        if (sheetDirty) setSheetOutdated(true);
+        else setSheetReloadKey(k => k + 1);
+    };
+
+    useLiveEvent('attendance', (data) => {
+        if (data.dates.includes(new Date().toISOString().split('T')[0])) fetchStats();
+        if (data.dates.includes(date) && sheetShows(data.class_ids)) refreshSheet();
+    });
+
+    useLiveEvent('student', (data) => {
+        fetchStats();
+        if (sheetShows([data.class_id])) refreshSheet();
+    });
+
     // Add Student Form
-    const [newStudent, setNewStudent] = useState({ name: '', email: '', password: '', class_name: '', roll_no: '' });
+    const [newStudent, setNewStudent] = useState({ name: '', email: '', password: '', class_id: '', roll_no: '', must_change_password: true });
     const handleAddStudent = async (e) => {
         e.preventDefault();
         try {
             await api.post('/teacher/students/create', newStudent);
             addToast('Student created successfully!', 'success');
-            setNewStudent({ name: '', email: '', password: '', class_name: '', roll_no: '' });
+            setNewStudent({ name: '', email: '', password: '', class_id: '', roll_no: '', must_change_password: true });
             fetchStats();
         } catch (err) {
             addToast(err.response?.data?.error || 'Failed to create student', 'error');
@@ -146,11 +393,20 @@ const TeacherDashboard = () => {
                             <div className="bg-indigo-500/10 p-2 rounded-xl text-indigo-400">
                                 <Users size={20} />
                             </div>
-                            <span className="font-bold text-lg tracking-tight text-white hidden sm:block">Teacher Portal</span>
+                            <span className="font-bold text-lg tracking-tight text-white hidden sm:block">{isAdmin ? 'Teacher Portal (whole school)' : 'Teacher Portal'}</span>
                             <span className="font-bold text-lg tracking-tight text-white sm:hidden">Portal</span>
                         </div>
                         <div className="flex items-center gap-4">
                             <span className="text-gray-400 text-sm hidden sm:block">Welcome, {user?.name}</span>
+                            <NotificationBell />
+                            {isAdmin && (
+                                <Link to="/admin" title="Admin console" className="p-2 hover:bg-gray-800 rounded-full text-gray-400 hover:text-white transition-colors">
+                                    <Shield size={20} />
+                                </Link>
+                            )}
+                            <Link to="/account" title="My account" className="p-2 hover:bg-gray-800 rounded-full text-gray-400 hover:text-white transition-colors">
+                                <Settings size={20} />
+                            </Link>
                             <button onClick={logout} className="p-2 hover:bg-gray-800 rounded-full text-gray-400 hover:text-white transition-colors">
                                 <LogOut size={20} />
                             </button>
@@ -171,10 +427,18 @@ const TeacherDashboard = () => {
                         <Calendar size={20} />
                         <span className="text-xs mt-1">Attend</span>
                     </button>
+                    <button onClick={() => setActiveTab('students')} className={`flex flex-col items-center p-2 rounded-lg ${activeTab === 'students' ? 'text-indigo-400' : 'text-gray-500'}`}>
+                        <Contact size={20} />
+                        <span className="text-xs mt-1">Students</span>
+                    </button>
                     <button onClick={() => setActiveTab('add-student')} className={`flex flex-col items-center p-2 rounded-lg ${activeTab === 'add-student' ? 'text-indigo-400' : 'text-gray-500'}`}>
                         <UserPlus size={20} />
                         <span className="text-xs mt-1">Add</span>
                     </button>
+                    <button onClick={() => setActiveTab('requests')} className={`flex flex-col items-center p-2 rounded-lg ${activeTab === 'requests' ? 'text-indigo-400' : 'text-gray-500'}`}>
+                        <CalendarOff size={20} />
+                        <span className="text-xs mt-1">Requests</span>
+                    </button>
                     <button onClick={() => setActiveTab('defaulters')} className={`flex flex-col items-center p-2 rounded-lg ${activeTab === 'defaulters' ? 'text-indigo-400' : 'text-gray-500'}`}>
                         <AlertTriangle size={20} />
                         <span className="text-xs mt-1">Faults</span>
@@ -199,12 +463,24 @@ const TeacherDashboard = () => {
                     >
                         Take Attendance
                     </button>
+                    <button
+                        onClick={() => setActiveTab('students')}
+                        className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${activeTab === 'students' ? 'bg-indigo-600 text-white shadow-sm' : 'text-gray-400 hover:text-white hover:bg-gray-800'}`}
+                    >
+                        Students
+                    </button>
                     <button
                         onClick={() => setActiveTab('add-student')}
                         className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${activeTab === 'add-student' ? 'bg-indigo-600 text-white shadow-sm' : 'text-gray-400 hover:text-white hover:bg-gray-800'}`}
                     >
                         Add Student
                     </button>
+                    <button
+                        onClick={() => setActiveTab('requests')}
+                        className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${activeTab === 'requests' ? 'bg-indigo-600 text-white shadow-sm' : 'text-gray-400 hover:text-white hover:bg-gray-800'}`}
+                    >
+                        Requests
+                    </button>
                     <button
                         onClick={() => setActiveTab('defaulters')}
                         className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${activeTab === 'defaulters' ? 'bg-indigo-600 text-white shadow-sm' : 'text-gray-400 hover:text-white hover:bg-gray-800'}`}
@@ -245,27 +521,82 @@ const TeacherDashboard = () => {
                             <div className="flex flex-col sm:flex-row items-center gap-3 w-full md:w-auto">
                                 <select
                                     value={selectedClass}
-                                    onChange={(e) => setSelectedClass(e.target.value)}
+                                    onChange={(e) => changeClass(e.target.value)}
                                     className="w-full sm:w-auto bg-gray-950 border border-gray-700 text-gray-300 rounded-lg px-4 py-2 text-sm focus:ring-1 focus:ring-indigo-500 outline-none"
                                 >
-                                    <option value="All">All Classes</option>
-                                    {availableClasses.filter(c => c !== 'All').map(c => <option key={c} value={c}>{c}</option>)}
+                                    <option value="All">{isAdmin ? 'All Classes' : 'All My Classes'}</option>
+                                    {availableClasses.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
                                 </select>
                                 <input
                                     type="date"
                                     value={date}
-                                    onChange={(e) => setDate(e.target.value)}
+                                    onChange={(e) => changeDate(e.target.value)}
                                     className="w-full sm:w-auto bg-gray-950 border border-gray-700 text-gray-300 rounded-lg px-4 py-2 text-sm focus:ring-1 focus:ring-indigo-500 outline-none"
                                 />
+                                {dayPeriods.length > 0 && (
+                                    <select
+                                        value={selectedPeriod}
+                                        onChange={(e) => setSelectedPeriod(e.target.value)}
+                                        className="w-full sm:w-auto bg-gray-950 border border-gray-700 text-gray-300 rounded-lg px-4 py-2 text-sm focus:ring-1 focus:ring-indigo-500 outline-none"
+                                    >
+                                        <option value="">Whole day</option>
+                                        {dayPeriods.map(p => (
+                                            <option key={p.id} value={p.id}>
+                                                P{p.period_no} • {p.subject_name} ({p.start_time.slice(0, 5)})
+                                            </option>
+                                        ))}
+                                    </select>
+                                )}
+                                {canCheckIn && (
+                                    <button
+                                        onClick={openCheckIn}
+                                        title="Students check themselves in by scanning a QR code"
+                                        className="w-full sm:w-auto flex items-center justify-center gap-2 bg-gray-800 text-gray-200 hover:bg-gray-700 px-4 py-2 rounded-lg font-semibold text-sm transition-all"
+                                    >
+                                        <QrCode size={16} /> QR Check-in
+                                    </button>
+                                )}
                                 <button
                                     onClick={saveAttendance}
-                                    className="w-full sm:w-auto bg-white text-gray-900 hover:bg-gray-100 px-6 py-2 rounded-lg font-semibold text-sm transition-all"
+                                    disabled={sheetLocked}
+                                    title={sheetLocked ? 'Attendance for this day is locked' : undefined}
+                                    className="w-full sm:w-auto bg-white text-gray-900 hover:bg-gray-100 px-6 py-2 rounded-lg font-semibold text-sm transition-all disabled:opacity-50 disabled:cursor-not-allowed"
                                 >
                                     Save
                                 </button>
                             </div>
                         </div>
 
+                        {calendarDay && calendarDay.day_type !== 'WORKING' && (
+                            <div className={`px-4 md:px-6 py-3 border-b text-sm flex items-center gap-2 ${calendarDay.is_working ? 'bg-indigo-500/10 border-indigo-500/20 text-indigo-300' : 'bg-amber-500/10 border-amber-500/20 text-amber-300'}`}>
+                                <Calendar size={16} />
+                                {{
+                                    HOLIDAY: 'School holiday',
+                                    WEEKEND: 'Weekly off day',
+                                    EXAM: 'Exam day',
+                                    HALF_DAY: 'Half day'
+                                }[calendarDay.day_type]}
+                                {calendarDay.title && ` • ${calendarDay.title}`}
+                                {!calendarDay.is_working && <span className="text-amber-400/70">(attendance is not usually taken)</span>}
+                            </div>
+                        )}
+
+                        <AttendanceLockBanner locks={locks} date={date} isAdmin={isAdmin} onReopened={() => setLocksKey(k => k + 1)} />
+
+                        <OfflineSyncPanel userId={user?.id} reloadKey={queueKey} onSynced={handleSynced} />
+
+                        {sheetOutdated && (
+                            <div className="px-4 md:px-6 py-3 border-b border-gray-800 bg-indigo-500/10 text-indigo-300 text-sm flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+                                <span>Attendance on this sheet was just changed elsewhere. Reload to see it (your unsaved marks are lost), or Save to check for conflicts.</span>
+                                <button
+                                    onClick={() => setSheetReloadKey(k => k + 1)}
+                                    className="self-start sm:self-auto shrink-0 px-3 py-1.5 rounded-lg text-xs font-medium bg-gray-800 text-gray-200 hover:bg-gray-700 transition-colors"
+                                >
+                                    Reload
+                                </button>
+                            </div>
+                        )}
+
                         <div className="p-4 md:p-0">
                             {loading ? (
                                 <div className="p-8 text-center text-gray-400">Loading students...</div>
@@ -284,20 +615,37 @@ const TeacherDashboard = () => {
                                             {students.map((student) => (
                                                 <tr key={student.student_id} className="border-b border-gray-800 last:border-0">
                                                     <td className="p-4 text-gray-300 font-mono text-sm">{student.roll_no}</td>
-                                                    <td className="p-4 font-medium text-white">{student.name}</td>
+                                                    <td className="p-4 font-medium text-white">
+                                                        <Link to={`/teacher/students/${student.student_id}`} className="hover:text-indigo-300">{student.name}</Link>
+                                                    </td>
                                                     <td className="p-4">
-                                                        <div className="flex gap-2">
-                                                            <button
-                                                                onClick={() => markAttendance(student.student_id, 'PRESENT')}
-                                                                className={`px-3 py-1.5 rounded-md text-xs font-semibold flex items-center gap-1.5 transition-all ${student.status === 'PRESENT' ? 'bg-emerald-500/10 text-emerald-400 border border-emerald-500/20' : 'bg-gray-800 text-gray-500 border border-transparent'}`}
-                                                            >
-                                                                <CheckCircle size={14} /> Present
-                                                            </button>
+                                                        <div className="flex flex-wrap items-center gap-2">
+                                                            {STATUS_OPTIONS.map(option => (
+                                                                <button
+                                                                    key={option.status}
+                                                                    onClick={() => markAttendance(student.student_id, option.status)}
+                                                                    disabled={sheetLocked}
+                                                                    className={`px-3 py-1.5 rounded-md text-xs font-semibold flex items-center gap-1.5 border transition-all disabled:cursor-not-allowed ${student.status === option.status ? option.active : 'bg-gray-800 text-gray-500 border-transparent'}`}
+                                                                >
+                                                                    <option.Icon size={14} /> {option.label}
+                                                                </button>
+                                                            ))}
+                                                            {student.status === 'LATE' && (
+                                                                <input
+                                                                    type="time"
+                                                                    value={student.arrival_time?.slice(0, 5) || ''}
+                                                                    onChange={(e) => setArrivalTime(student.student_id, e.target.value)}
+                                                                    disabled={sheetLocked}
+                                                                    title="Arrival time"
+                                                                    className="bg-gray-950 border border-gray-700 text-gray-300 rounded-md px-2 py-1 text-xs focus:ring-1 focus:ring-indigo-500 outline-none"
+                                                                />
+                                                            )}
                                                             <button
-                                                                onClick={() => markAttendance(student.student_id, 'ABSENT')}
-                                                                className={`px-3 py-1.5 rounded-md text-xs font-semibold flex items-center gap-1.5 transition-all ${student.status === 'ABSENT' ? 'bg-red-500/10 text-red-400 border border-red-500/20' : 'bg-gray-800 text-gray-500 border border-transparent'}`}
+                                                                onClick={() => setHistoryStudentId(student.student_id)}
+                                                                title="View change history"
+                                                                className="px-2 py-1.5 rounded-md text-gray-500 hover:text-white hover:bg-gray-800 transition-all"
                                                             >
-                                                                <XCircle size={14} /> Absent
+                                                                <History size={14} />
                                                             </button>
                                                         </div>
                                                     </td>
@@ -309,22 +657,42 @@ const TeacherDashboard = () => {
                                     {/* Mobile Cards */}
                                     <div className="flex flex-col gap-3 md:hidden">
                                         {students.map((student) => (
-                                            <div key={student.student_id} className="bg-gray-950 border border-gray-800 p-4 rounded-xl flex items-center justify-between">
-                                                <div>
-                                                    <div className="flex items-center gap-2 mb-1">
-                                                        <span className="text-xs font-mono text-gray-500 bg-gray-900 px-1.5 py-0.5 rounded">#{student.roll_no}</span>
-                                                        <span className="font-semibold text-white">{student.name}</span>
+                                            <div key={student.student_id} className="bg-gray-950 border border-gray-800 p-4 rounded-xl">
+                                                <div className="flex items-center justify-between mb-3">
+                                                    <div>
+                                                        <div className="flex items-center gap-2 mb-1">
+                                                            <span className="text-xs font-mono text-gray-500 bg-gray-900 px-1.5 py-0.5 rounded">#{student.roll_no}</span>
+                                                            <Link to={`/teacher/students/${student.student_id}`} className="font-semibold text-white hover:text-indigo-300">{student.name}</Link>
+                                                        </div>
+                                                        <div className="text-xs text-gray-500">{student.class_name || 'N/A'}</div>
                                                     </div>
-                                                    <div className="text-xs text-gray-500">{student.class_name || 'N/A'}</div>
-                                                </div>
-                                                <div className="flex gap-2">
-                                                    <button onClick={() => markAttendance(student.student_id, 'PRESENT')} className={`p-2 rounded-lg transition-all ${student.status === 'PRESENT' ? 'bg-emerald-500/20 text-emerald-400' : 'bg-gray-800 text-gray-600'}`}>
-                                                        <CheckCircle size={20} />
-                                                    </button>
-                                                    <button onClick={() => markAttendance(student.student_id, 'ABSENT')} className={`p-2 rounded-lg transition-all ${student.status === 'ABSENT' ? 'bg-red-500/20 text-red-400' : 'bg-gray-800 text-gray-600'}`}>
-                                                        <XCircle size={20} />
+                                                    <button onClick={() => setHistoryStudentId(student.student_id)} className="p-2 rounded-lg bg-gray-800 text-gray-600 transition-all">
+                                                        <History size={20} />
                                                     </button>
                                                 </div>
+                                                <div className="flex flex-wrap items-center gap-2">
+                                                    {STATUS_OPTIONS.map(option => (
+                                                        <button
+                                                            key={option.status}
+                                                            onClick={() => markAttendance(student.student_id, option.status)}
+                                                            disabled={sheetLocked}
+                                                            title={option.label}
+                                                            className={`p-2 rounded-lg border transition-all disabled:cursor-not-allowed ${student.status === option.status ? option.active : 'bg-gray-800 text-gray-600 border-transparent'}`}
+                                                        >
+                                                            <option.Icon size={20} />
+                                                        </button>
+                                                    ))}
+                                                    {student.status === 'LATE' && (
+                                                        <input
+                                                            type="time"
+                                                            value={student.arrival_time?.slice(0, 5) || ''}
+                                                            onChange={(e) => setArrivalTime(student.student_id, e.target.value)}
+                                                            disabled={sheetLocked}
+                                                            title="Arrival time"
+                                                            className="bg-gray-900 border border-gray-700 text-gray-300 rounded-lg px-2 py-2 text-sm focus:ring-1 focus:ring-indigo-500 outline-none"
+                                                        />
+                                                    )}
+                                                </div>
                                             </div>
                                         ))}
                                     </div>
@@ -334,6 +702,34 @@ const TeacherDashboard = () => {
                     </div>
                 )}
 
+                {checkInSessionId && (
+                    <CheckInSessionModal
+                        sessionId={checkInSessionId}
+                        onFinish={finishCheckIn}
+                        onClose={() => setCheckInSessionId(null)}
+                    />
+                )}
+
+                {historyStudentId && (
+                    <AttendanceHistoryModal
+                        studentId={historyStudentId}
+                        date={date}
+                        periodId={selectedPeriod || undefined}
+                        onClose={() => setHistoryStudentId(null)}
+                    />
+                )}
+
+                {/* Students View */}
+                {activeTab === 'students' && <StudentList classes={availableClasses} isAdmin={isAdmin} />}
+
+                {/* Requests (approvals inbox): leave requests and attendance corrections */}
+                {activeTab === 'requests' && (
+                    <div className="space-y-6">
+                        <LeaveInbox classes={availableClasses} isAdmin={isAdmin} onReviewed={fetchStats} />
+                        <CorrectionInbox classes={availableClasses} isAdmin={isAdmin} onReviewed={fetchStats} />
+                    </div>
+                )}
+
                 {/* Add Student View */}
                 {activeTab === 'add-student' && (
                     <div className="max-w-2xl mx-auto">
@@ -350,8 +746,11 @@ const TeacherDashboard = () => {
                                     </div>
                                     <div className="space-y-1.5">
                                         <label className="text-xs text-gray-400 font-medium">Class</label>
-                                        <input type="text" required className="w-full bg-gray-950 border border-gray-800 rounded-lg p-2.5 text-sm focus:border-indigo-500 outline-none text-white transition-colors"
-                                            value={newStudent.class_name} onChange={e => setNewStudent({ ...newStudent, class_name: e.target.value })} />
+                                        <select required className="w-full bg-gray-950 border border-gray-800 rounded-lg p-2.5 text-sm focus:border-indigo-500 outline-none text-white transition-colors"
+                                            value={newStudent.class_id} onChange={e => setNewStudent({ ...newStudent, class_id: e.target.value })}>
+                                            <option value="">Select a class</option>
+                                            {availableClasses.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                                        </select>
                                     </div>
                                     <div className="space-y-1.5">
                                         <label className="text-xs text-gray-400 font-medium">Roll Number</label>
@@ -369,23 +768,53 @@ const TeacherDashboard = () => {
                                             value={newStudent.password} onChange={e => setNewStudent({ ...newStudent, password: e.target.value })} />
                                     </div>
                                 </div>
+                                <label className="flex items-center gap-2 text-sm text-gray-400">
+                                    <input type="checkbox" className="accent-indigo-500"
+                                        checked={newStudent.must_change_password} onChange={e => setNewStudent({ ...newStudent, must_change_password: e.target.checked })} />
+                                    Require the student to change this password on first login
+                                </label>
                                 <button type="submit" className="w-full bg-white text-gray-900 font-semibold py-2.5 rounded-lg hover:bg-gray-100 transition-colors mt-2">
                                     Create Account
                                 </button>
                             </form>
                         </div>
+
+                        {/* Or a whole class at once from a spreadsheet */}
+                        <div className="mt-6">
+                            <StudentImport classes={availableClasses} onImported={fetchStats} />
+                        </div>
+
+                        {/* Or let the student choose their own password */}
+                        <div className="mt-6">
+                            <InviteForm roles={['STUDENT']} classes={availableClasses} />
+                        </div>
                     </div>
                 )}
 
                 {/* Defaulters View */}
                 {activeTab === 'defaulters' && (
                     <div className="bg-gray-900 rounded-2xl border border-gray-800 shadow-sm overflow-hidden">
-                        <div className="p-6 border-b border-gray-800">
-                            <h2 className="text-xl font-bold text-white flex items-center gap-2">
-                                <AlertTriangle className="text-red-400" size={24} />
-                                Low Attendance List (<span className="text-red-400">{'< 75%'}</span>)
-                            </h2>
-                            <p className="text-gray-400 text-sm mt-1">Students appearing here need immediate attention.</p>
+                        <div className="p-6 border-b border-gray-800 flex flex-col md:flex-row justify-between items-start md:items-center gap-4">
+                            <div>
+                                <h2 className="text-xl font-bold text-white flex items-center gap-2">
+                                    <AlertTriangle className="text-red-400" size={24} />
+                                    Low Attendance List (<span className="text-red-400">{'< 75%'}</span>)
+                                </h2>
+                                <p className="text-gray-400 text-sm mt-1">Students appearing here need immediate attention.</p>
+                            </div>
+                            <select
+                                value={defaulterRange}
+                                onChange={(e) => setDefaulterRange(e.target.value)}
+                                className="w-full sm:w-auto bg-gray-950 border border-gray-700 text-gray-300 rounded-lg px-4 py-2 text-sm focus:ring-1 focus:ring-indigo-500 outline-none"
+                            >
+                                <option value="">Current academic year</option>
+                                    {academicYears.map(y => (
+                                        <optgroup key={y.id} label={y.name}>
+                                            <option value={`year:${y.id}`}>Whole {y.name}</option>
+                                            {y.terms.map(t => <option key={t.id} value={`term:${t.id}`}>{t.name}</option>)}
+                                        </optgroup>
+                                    ))}
+                            </select>
                         </div>
 
                         <div className="p-4 md:p-0">
@@ -445,37 +874,97 @@ const TeacherDashboard = () => {
                             </h2>
                             <div className="flex flex-col sm:flex-row items-center gap-3 w-full md:w-auto">
                                 <select
-                                    value={selectedClass}
-                                    onChange={(e) => setSelectedClass(e.target.value)}
+                                    value={reportView}
+                                    onChange={(e) => setReportView(e.target.value)}
                                     className="w-full sm:w-auto bg-gray-950 border border-gray-700 text-gray-300 rounded-lg px-4 py-2 text-sm focus:ring-1 focus:ring-indigo-500 outline-none"
                                 >
-                                    <option value="All">All Classes</option>
-                                    {availableClasses.filter(c => c !== 'All').map(c => <option key={c} value={c}>{c}</option>)}
+                                    <option value="day">By day</option>
+                                    <option value="subject">By subject</option>
                                 </select>
                                 <select
-                                    value={selectedMonth}
-                                    onChange={(e) => setSelectedMonth(e.target.value)}
+                                    value={selectedClass}
+                                    onChange={(e) => changeClass(e.target.value)}
                                     className="w-full sm:w-auto bg-gray-950 border border-gray-700 text-gray-300 rounded-lg px-4 py-2 text-sm focus:ring-1 focus:ring-indigo-500 outline-none"
                                 >
-                                    {Array.from({ length: 12 }, (_, i) => i + 1).map(m => (
-                                        <option key={m} value={m}>{new Date(0, m - 1).toLocaleString('default', { month: 'long' })}</option>
-                                    ))}
+                                    <option value="All">{isAdmin ? 'All Classes' : 'All My Classes'}</option>
+                                    {availableClasses.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
                                 </select>
                                 <select
-                                    value={selectedYear}
-                                    onChange={(e) => setSelectedYear(e.target.value)}
+                                    value={reportRange}
+                                    onChange={(e) => setReportRange(e.target.value)}
                                     className="w-full sm:w-auto bg-gray-950 border border-gray-700 text-gray-300 rounded-lg px-4 py-2 text-sm focus:ring-1 focus:ring-indigo-500 outline-none"
                                 >
-                                    {[2024, 2025, 2026, 2027].map(y => (
-                                        <option key={y} value={y}>{y}</option>
+                                    <option value="">One month</option>
+                                    {academicYears.map(y => (
+                                        <optgroup key={y.id} label={y.name}>
+                                            <option value={`year:${y.id}`}>Whole {y.name}</option>
+                                            {y.terms.map(t => <option key={t.id} value={`term:${t.id}`}>{t.name}</option>)}
+                                        </optgroup>
                                     ))}
                                 </select>
+                                {!reportRange && (
+                                    <>
+                                        <select
+                                            value={selectedMonth}
+                                            onChange={(e) => setSelectedMonth(e.target.value)}
+                                            className="w-full sm:w-auto bg-gray-950 border border-gray-700 text-gray-300 rounded-lg px-4 py-2 text-sm focus:ring-1 focus:ring-indigo-500 outline-none"
+                                        >
+                                            {Array.from({ length: 12 }, (_, i) => i + 1).map(m => (
+                                                <option key={m} value={m}>{new Date(0, m - 1).toLocaleString('default', { month: 'long' })}</option>
+                                            ))}
+                                        </select>
+                                        <select
+                                            value={selectedYear}
+                                            onChange={(e) => setSelectedYear(e.target.value)}
+                                            className="w-full sm:w-auto bg-gray-950 border border-gray-700 text-gray-300 rounded-lg px-4 py-2 text-sm focus:ring-1 focus:ring-indigo-500 outline-none"
+                                        >
+                                            {[2024, 2025, 2026, 2027].map(y => (
+                                                <option key={y} value={y}>{y}</option>
+                                            ))}
+                                        </select>
+                                    </>
+                                )}
                             </div>
                         </div>
 
                         <div className="p-4 md:p-0">
                             {loading ? (
                                 <div className="p-8 text-center text-gray-400">Loading report...</div>
+                            ) : reportView === 'subject' ? (
+                                <div className="overflow-x-auto">
+                                    <table className="w-full text-left border-collapse">
+                                        <thead>
+                                            <tr className="bg-gray-950/50 text-gray-500 border-b border-gray-800">
+                                                <th className="p-4 font-medium text-xs uppercase tracking-wider">Student</th>
+                                                <th className="p-4 font-medium text-xs uppercase tracking-wider">Subject</th>
+                                                <th className="p-4 font-medium text-xs uppercase tracking-wider text-center">Lectures</th>
+                                                <th className="p-4 font-medium text-xs uppercase tracking-wider text-center">Present</th>
+                                                <th className="p-4 font-medium text-xs uppercase tracking-wider text-right">Percentage</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {subjectReport.map((row) => (
+                                                <tr key={`${row.student_id}-${row.subject_id}`} className="border-b border-gray-800 last:border-0 hover:bg-gray-950/50 transition-colors">
+                                                    <td className="p-4">
+                                                        <div className="font-semibold text-white">{row.name}</div>
+                                                        <div className="text-xs text-gray-500">{row.class_name} • Roll: {row.roll_no}</div>
+                                                    </td>
+                                                    <td className="p-4 text-gray-300 text-sm">{row.subject_name}</td>
+                                                    <td className="p-4 text-center text-gray-300 font-mono">{row.total_lectures}</td>
+                                                    <td className="p-4 text-center text-emerald-400 font-bold font-mono">{row.present_lectures}</td>
+                                                    <td className="p-4 text-right">
+                                                        <span className={`px-2 py-1 rounded text-xs font-bold border ${parseFloat(row.percentage) < 75 ? 'bg-red-500/10 text-red-400 border-red-500/20' : 'bg-emerald-500/10 text-emerald-400 border-emerald-500/20'}`}>
+                                                            {row.percentage}%
+                                                        </span>
+                                                    </td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                    {subjectReport.length === 0 && (
+                                        <div className="p-8 text-center text-gray-500">No lecture attendance in this period.</div>
+                                    )}
+                                </div>
                             ) : (
                                 <>
                                     {/* Desktop Table */}
@@ -0,0 +1,119 @@
+/**
+ * SERVICE WORKER (installable app + offline use)
+ *
+ * Built into dist/sw.js by the serviceWorker plugin in vite.config.js,
+ * which fills in BUILD_ID and the list of built files. Only registered in
+ * production builds (see utils/serviceWorker.js).
+ *
+ * CACHING:
+ * - App shell (index.html, the JS/CSS bundles, icons): downloaded when a
+ *   new build is installed and served from the cache, so the app opens
+ *   without a connection. Page loads (/teacher, /student, ...) get
+ *   index.html: the network copy when online, the cached one offline.
+ * - Dashboards and data (OFFLINE_APIS): network first; the last answer is
+ *   kept and served when the server can't be reached. It is stored per
+ *   user (from the login token), and dropped on logout.
+ *
+ * UPDATES:
+ * A new build installs next to the running one and waits. The app shows
+ * "A new version is available"; Reload sends SKIP_WAITING, the new worker
+ * takes over and the page reloads (see UpdatePrompt).
+ */
+
+// Replaced at build time (vite.config.js)
+const BUILD_ID = self.__BUILD_ID;
+const PRECACHE = self.__PRECACHE_MANIFEST;
+
+const SHELL_CACHE = `shell-${BUILD_ID}`;
+const API_CACHE = 'api-v1';
+
+// GET requests to the API kept for offline use (path after /api)
+const OFFLINE_APIS = [
+    /^\/student\/(dashboard|calendar)$/,
+    /^\/teacher\/(dashboard|classes|periods|attendance-sheet)$/
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(PRECACHE)));
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop the shells of older builds
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key.startsWith('shell-') && key !== SHELL_CACHE).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+    if (event.data?.type === 'CLEAR_API_CACHE') event.waitUntil(caches.delete(API_CACHE));
+});
+
+// The logged-in user's id from the Authorization header (a JWT), or null
+const userIdOf = (request) => {
+    const token = (request.headers.get('Authorization') || '').replace('Bearer ', '');
+    try {
+        const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+        return payload.id ?? null;
+    } catch {
+        return null;
+    }
+};
+
+// Network first; the last good answer (of the same user) when the network fails
+const networkFirstApi = async (request, userId) => {
+    const cacheKey = new URL(request.url);
+    cacheKey.searchParams.set('__user', userId);
+    const cache = await caches.open(API_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) await cache.put(cacheKey.href, response.clone());
+        return response;
+    } catch (err) {
+        const cached = await cache.match(cacheKey.href);
+        if (!cached) throw err;
+        // Marked, so the app can say it is showing a saved copy
+        const headers = new Headers(cached.headers);
+        headers.set('X-Served-From', 'cache');
+        headers.set('Access-Control-Expose-Headers', 'X-Served-From');
+        return new Response(cached.body, { status: cached.status, statusText: cached.statusText, headers });
+    }
+};
+
+// Page loads: index.html from the network, or the cached one offline
+const appShell = async (request) => {
+    try {
+        return await fetch(request);
+    } catch (err) {
+        const cached = await caches.match('/index.html');
+        if (!cached) throw err;
+        return cached;
+    }
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate' && url.origin === self.location.origin) {
+        event.respondWith(appShell(request));
+        return;
+    }
+
+    const apiIndex = url.pathname.indexOf('/api/');
+    if (apiIndex !== -1) {
+        const userId = userIdOf(request);
+        const path = url.pathname.slice(apiIndex + 4);
+        if (userId !== null && OFFLINE_APIS.some(pattern => pattern.test(path))) {
+            event.respondWith(networkFirstApi(request, userId));
+        }
+        return;
+    }
+
+    if (url.origin === self.location.origin) {
+        event.respondWith(caches.match(request).then(cached => cached || fetch(request)));
+    }
+});
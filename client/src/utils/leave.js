@@ -0,0 +1,37 @@
+import api from '../api/axios';
+
+/**
+ * LEAVE REQUEST HELPERS
+ *
+ * Shared by the leave request form (Student / Guardian Portal), the
+ * teacher's approvals inbox and the attendance calendar.
+ */
+
+// Badge and calendar outline of each leave status
+export const LEAVE_STATUS_STYLES = {
+    PENDING: { label: 'Pending', badge: 'bg-amber-500/10 text-amber-400 border-amber-500/20', ring: 'ring-2 ring-amber-400/70' },
+    APPROVED: { label: 'Approved', badge: 'bg-emerald-500/10 text-emerald-400 border-emerald-500/20', ring: 'ring-2 ring-emerald-400/70' },
+    REJECTED: { label: 'Rejected', badge: 'bg-red-500/10 text-red-400 border-red-500/20', ring: 'ring-2 ring-red-400/50' }
+};
+
+// "2026-02-16" or "2026-02-16 → 2026-02-18"
+export const formatLeaveRange = (leave) => (
+    leave.from_date === leave.to_date ? leave.from_date : `${leave.from_date} → ${leave.to_date}`
+);
+
+/**
+ * Downloads a leave request's attachment through the API (the request needs
+ * the login token, so a plain link would not work)
+ *
+ * @param {string} url - e.g. "/teacher/leave-requests/7/attachment"
+ * @param {string} filename
+ */
+export const downloadAttachment = async (url, filename) => {
+    const res = await api.get(url, { responseType: 'blob' });
+    const href = URL.createObjectURL(res.data);
+    const link = document.createElement('a');
+    link.href = href;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(href);
+};
@@ -0,0 +1,126 @@
+import { useEffect, useRef } from 'react';
+import api, { refreshSession } from '../api/axios';
+
+/**
+ * LIVE UPDATES
+ *
+ * One stream per browser tab from GET /api/events (Server-Sent Events),
+ * shared by every component that listens. The server sends a message
+ * when attendance is saved, a student is added, a leave request is
+ * decided or the user gets a notification (see
+ * server/services/liveEvents.js); listeners reload what they show.
+ *
+ * The stream is read with fetch instead of EventSource, because
+ * EventSource can't send the login token. It opens with the first
+ * listener, closes with the last one and reconnects by itself (an expired
+ * access token is refreshed first).
+ *
+ * USAGE (in a component):
+ * useLiveEvent('attendance', (data) => { ... data.dates, data.class_ids ... });
+ */
+
+// Wait before reconnecting; doubles on every failure up to the maximum
+const RETRY_MS = 5000;
+const MAX_RETRY_MS = 60000;
+
+const listeners = new Map(); // event name → Set of handlers
+let controller = null;       // AbortController of the open stream
+let retryTimer = null;
+
+// Calls the handlers of one "event: ...\ndata: ..." block
+const dispatch = (block) => {
+    let type = 'message';
+    let data = '';
+    for (const line of block.split(/\r?\n/)) {
+        if (line.startsWith('event:')) type = line.slice(6).trim();
+        if (line.startsWith('data:')) data += line.slice(5).trim();
+    }
+    if (!data) return;
+    const payload = JSON.parse(data);
+    (listeners.get(type) || []).forEach(handler => handler(payload));
+};
+
+const connect = async (retryMs = RETRY_MS) => {
+    const current = new AbortController();
+    controller = current;
+    let connected = false;
+
+    try {
+        const open = (token) => fetch(`${api.defaults.baseURL}/events`, {
+            headers: { Authorization: `Bearer ${token}` },
+            signal: current.signal
+        });
+        let res = await open(localStorage.getItem('token'));
+        if (res.status === 401) {
+            let token;
+            try {
+                token = await refreshSession();
+            } catch {
+                if (controller === current) controller = null;
+                return;  // the session is over: nothing to reconnect to
+            }
+            res = await open(token);
+        }
+        if (!res.ok) throw new Error(`Live updates failed (${res.status})`);
+
+        connected = true;
+        const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffer = '';
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            buffer += value;
+            const blocks = buffer.split(/\r?\n\r?\n/);
+            buffer = blocks.pop();  // an unfinished message stays in the buffer
+            blocks.forEach(dispatch);
+        }
+    } catch {
+        // Offline, server restarted, ...: try again below
+    }
+
+    if (controller === current && !current.signal.aborted) {
+        const delay = connected ? RETRY_MS : retryMs;
+        retryTimer = setTimeout(() => connect(Math.min(delay * 2, MAX_RETRY_MS)), delay);
+    }
+};
+
+const disconnect = () => {
+    clearTimeout(retryTimer);
+    if (controller) controller.abort();
+    controller = null;
+};
+
+/**
+ * Listens for one kind of live update
+ *
+ * @param {string} type - "attendance", "student", "leave" or "notification"
+ * @param {Function} handler - called with the message's data
+ * @returns {Function} stops listening
+ */
+export const subscribe = (type, handler) => {
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(handler);
+    if (!controller) connect();
+
+    return () => {
+        listeners.get(type).delete(handler);
+        if ([...listeners.values()].every(set => set.size === 0)) disconnect();
+    };
+};
+
+/**
+ * Hook version of subscribe: listens while the component is mounted. The
+ * latest handler is always called, so it may use the component's state.
+ *
+ * @param {string} type - "attendance", "student", "leave" or "notification"
+ * @param {Function} handler - called with the message's data
+ */
+export const useLiveEvent = (type, handler) => {
+    const handlerRef = useRef(handler);
+
+    useEffect(() => {
+        handlerRef.current = handler;
+    });
+
+    useEffect(() => subscribe(type, data => handlerRef.current(data)), [type]);
+};
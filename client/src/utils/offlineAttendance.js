@@ -0,0 +1,126 @@
+/**
+ * OFFLINE ATTENDANCE (Teacher Portal)
+ *
+ * Lets a teacher keep marking attendance when the connection drops
+ * (e.g. a classroom without Wi-Fi). Two IndexedDB stores in the browser:
+ * - sheets: the last copy of every attendance sheet the teacher opened,
+ *   shown when the sheet can't be loaded
+ * - queue:  attendance saves that couldn't be sent, replayed to
+ *   POST /api/teacher/attendance/bulk when the connection returns
+ *   (see OfflineSyncPanel)
+ *
+ * Queued saves carry the version of every mark as it was loaded, so the
+ * server can tell if someone else changed it in the meantime (409 with
+ * "conflicts"). Those entries wait in the queue until the teacher picks
+ * which marks to keep.
+ *
+ * QUEUE ENTRY:
+ * {
+ *   id: 4,                 // assigned by IndexedDB
+ *   userId: 7,             // whose entry it is (the browser may be shared)
+ *   key: "7:2026-02-13:3:",// the sheet (sheetKey), one entry per sheet
+ *   label: "10th-A • 2026-02-13 • Whole day",
+ *   body: { date, period_id, records },   // as sent to /teacher/attendance/bulk
+ *   status: "pending",     // pending, conflict or failed
+ *   conflicts: [...],      // status "conflict": the server's marks
+ *   error: "...",          // status "failed": why the server refused it
+ *   nonWorkingDay: true,   // status "failed": it can be saved anyway
+ *   queued_at: "..."
+ * }
+ */
+
+const DB_NAME = 'attendance-offline';
+const DB_VERSION = 1;
+
+// Resolves an IndexedDB request (or rejects with its error)
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+let dbPromise = null;
+
+const openDb = () => {
+    if (!dbPromise) {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore('sheets', { keyPath: 'key' });
+            request.result.createObjectStore('queue', { keyPath: 'id', autoIncrement: true });
+        };
+        dbPromise = promisify(request).catch(err => {
+            dbPromise = null;  // try again next time
+            throw err;
+        });
+    }
+    return dbPromise;
+};
+
+// Runs fn(store) in a transaction and resolves with the result of its request
+const withStore = async (storeName, mode, fn) => {
+    const db = await openDb();
+    return promisify(fn(db.transaction(storeName, mode).objectStore(storeName)));
+};
+
+/**
+ * Key of one attendance sheet: who opened it, the date, the class filter and the period
+ *
+ * @returns {string} e.g. "7:2026-02-13:3:5"
+ */
+export const sheetKey = (userId, date, classId, periodId) => `${userId}:${date}:${classId}:${periodId || ''}`;
+
+// The request failed without an answer from the server (offline, server unreachable)
+export const isOfflineError = (err) => !err.response;
+
+export const cacheSheet = (key, students) => withStore('sheets', 'readwrite', store => store.put({ key, students }));
+
+export const getCachedSheet = async (key) => {
+    const sheet = await withStore('sheets', 'readonly', store => store.get(key));
+    return sheet ? sheet.students : null;
+};
+
+// The user's queued saves, oldest first
+export const listQueue = async (userId) => {
+    const entries = await withStore('queue', 'readonly', store => store.getAll());
+    return entries.filter(entry => entry.userId === userId);
+};
+
+export const updateQueued = (entry) => withStore('queue', 'readwrite', store => store.put(entry));
+
+export const removeQueued = (id) => withStore('queue', 'readwrite', store => store.delete(id));
+
+// Drops every queued save of a sheet (e.g. after it was saved online)
+export const clearQueuedSheet = async (userId, key) => {
+    const entries = await listQueue(userId);
+    await Promise.all(entries.filter(entry => entry.key === key).map(entry => removeQueued(entry.id)));
+};
+
+/**
+ * Queues a save of a sheet. It replaces an earlier queued save of the same
+ * sheet, which the new one contains anyway.
+ *
+ * @param {object} entry - { userId, key, label, body } and optionally { status, conflicts }
+ */
+export const queueMarks = async (entry) => {
+    await clearQueuedSheet(entry.userId, entry.key);
+    await withStore('queue', 'readwrite', store => store.add({
+        status: 'pending',
+        ...entry,
+        queued_at: new Date().toISOString()
+    }));
+};
+
+/**
+ * Puts the marks of a queued save on a cached sheet, so the teacher sees
+ * what they marked while offline
+ *
+ * @param {Array} students - the cached sheet
+ * @param {object|undefined} entry - queued save of that sheet
+ */
+export const applyQueuedMarks = (students, entry) => {
+    if (!entry) return students;
+    const marks = {};
+    entry.body.records.forEach(record => { marks[record.student_id] = record; });
+    return students.map(s => (marks[s.student_id]
+        ? { ...s, status: marks[s.student_id].status, arrival_time: marks[s.student_id].arrival_time || null }
+        : s));
+};
@@ -0,0 +1,330 @@
+/**
+ * QR CODE ENCODER
+ *
+ * Turns a short text (the check-in link, under 200 characters) into the
+ * dark/light squares of a QR code, so no extra package is needed.
+ * Only what the check-in needs is supported: byte mode, error correction
+ * level M (about 15% of the code can be damaged), versions 1 to 10.
+ *
+ * HOW A QR CODE IS BUILT (ISO/IEC 18004):
+ * 1. The text becomes a bit stream: mode (0100 = bytes), length, the bytes, padding
+ * 2. Reed-Solomon error correction codewords are added per block
+ * 3. Fixed patterns are drawn: the three big squares (finders), timing lines,
+ *    alignment squares and (version 7+) the version bits
+ * 4. The data bits are placed in a zigzag from the bottom-right corner
+ * 5. One of 8 masks is applied (the one that avoids confusing patterns best)
+ *    and the format bits say which mask and error correction level were used
+ *
+ * USAGE:
+ * const modules = encodeQr('https://school.example/student?check_in=...');
+ * modules[row][col] === true → dark square
+ */
+
+// Per version: total codewords, error correction codewords per block and
+// data codewords of each block (level M)
+const VERSIONS = [
+    null,
+    { total: 26, ec: 10, blocks: [16] },
+    { total: 44, ec: 16, blocks: [28] },
+    { total: 70, ec: 26, blocks: [44] },
+    { total: 100, ec: 18, blocks: [32, 32] },
+    { total: 134, ec: 24, blocks: [43, 43] },
+    { total: 172, ec: 16, blocks: [27, 27, 27, 27] },
+    { total: 196, ec: 18, blocks: [31, 31, 31, 31] },
+    { total: 242, ec: 22, blocks: [38, 38, 39, 39] },
+    { total: 292, ec: 22, blocks: [36, 36, 36, 37, 37] },
+    { total: 346, ec: 26, blocks: [43, 43, 43, 43, 44] }
+];
+
+// Row/column centres of the alignment squares
+const ALIGNMENT_POSITIONS = [
+    null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+    [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+];
+
+// Error correction level M in the format bits
+const LEVEL_M_BITS = 0b00;
+
+const MASKS = [
+    (r, c) => (r + c) % 2 === 0,
+    (r) => r % 2 === 0,
+    (r, c) => c % 3 === 0,
+    (r, c) => (r + c) % 3 === 0,
+    (r, c) => (Math.floor(r / 2) + Math.floor(c / 3)) % 2 === 0,
+    (r, c) => ((r * c) % 2) + ((r * c) % 3) === 0,
+    (r, c) => (((r * c) % 2) + ((r * c) % 3)) % 2 === 0,
+    (r, c) => (((r + c) % 2) + ((r * c) % 3)) % 2 === 0
+];
+
+// GF(256) arithmetic for Reed-Solomon (primitive polynomial x^8 + x^4 + x^3 + x^2 + 1)
+const EXP = new Array(512);
+const LOG = new Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+    EXP[i] = x;
+    LOG[x] = i;
+    x <<= 1;
+    if (x & 0x100) x ^= 0x11d;
+}
+for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+
+const multiply = (a, b) => (a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]]);
+
+/**
+ * Error correction codewords of one block
+ *
+ * @param {number[]} data - data codewords
+ * @param {number} count - how many error correction codewords
+ * @returns {number[]}
+ */
+const reedSolomon = (data, count) => {
+    // Generator polynomial (x - α^0)(x - α^1)...(x - α^(count-1)), highest power first
+    let generator = [1];
+    for (let i = 0; i < count; i++) {
+        const next = new Array(generator.length + 1).fill(0);
+        generator.forEach((coefficient, j) => {
+            next[j] ^= coefficient;
+            next[j + 1] ^= multiply(coefficient, EXP[i]);
+        });
+        generator = next;
+    }
+
+    // Remainder of data * x^count divided by the generator
+    const remainder = new Array(count).fill(0);
+    for (const byte of data) {
+        const factor = byte ^ remainder.shift();
+        remainder.push(0);
+        for (let j = 0; j < count; j++) {
+            remainder[j] ^= multiply(generator[j + 1], factor);
+        }
+    }
+    return remainder;
+};
+
+/**
+ * Data and error correction codewords in the order they are placed
+ *
+ * @param {Uint8Array} bytes - the text as UTF-8
+ * @param {number} version
+ * @returns {number[]}
+ */
+const buildCodewords = (bytes, version) => {
+    const { ec, blocks } = VERSIONS[version];
+    const capacity = blocks.reduce((sum, size) => sum + size, 0);
+    const countBits = version < 10 ? 8 : 16;
+
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    push(0b0100, 4);
+    push(bytes.length, countBits);
+    bytes.forEach(byte => push(byte, 8));
+    push(0, Math.min(4, capacity * 8 - bits.length));  // terminator
+    while (bits.length % 8 !== 0) bits.push(0);
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let pad = 0xec; data.length < capacity; pad ^= 0xec ^ 0x11) data.push(pad);
+
+    // Split into blocks, then interleave: 1st codeword of every block, 2nd of every block, ...
+    const dataBlocks = [];
+    let offset = 0;
+    for (const size of blocks) {
+        dataBlocks.push(data.slice(offset, offset + size));
+        offset += size;
+    }
+    const ecBlocks = dataBlocks.map(block => reedSolomon(block, ec));
+
+    const result = [];
+    const longest = Math.max(...blocks);
+    for (let i = 0; i < longest; i++) {
+        dataBlocks.forEach(block => { if (i < block.length) result.push(block[i]); });
+    }
+    for (let i = 0; i < ec; i++) {
+        ecBlocks.forEach(block => result.push(block[i]));
+    }
+    return result;
+};
+
+/**
+ * 15 format bits: error correction level + mask, with BCH error correction
+ */
+const formatBits = (mask) => {
+    const data = (LEVEL_M_BITS << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    return ((data << 10) | remainder) ^ 0x5412;
+};
+
+/**
+ * 18 version bits (versions 7+), with BCH error correction
+ */
+const versionBits = (version) => {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    return (version << 12) | remainder;
+};
+
+/**
+ * Penalty of a masked symbol: lower is easier to scan
+ * (runs of one colour, 2x2 squares, finder-like patterns, dark/light balance)
+ */
+const penalty = (modules) => {
+    const size = modules.length;
+    let score = 0;
+    let dark = 0;
+    const finderLike = [
+        [true, false, true, true, true, false, true, false, false, false, false],
+        [false, false, false, false, true, false, true, true, true, false, true]
+    ];
+
+    for (let a = 0; a < size; a++) {
+        const row = modules[a];
+        const column = modules.map(r => r[a]);
+        for (const line of [row, column]) {
+            let run = 1;
+            for (let b = 1; b <= size; b++) {
+                if (b < size && line[b] === line[b - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) score += 3 + (run - 5);
+                    run = 1;
+                }
+            }
+            for (let b = 0; b + 11 <= size; b++) {
+                if (finderLike.some(pattern => pattern.every((value, k) => line[b + k] === value))) score += 40;
+            }
+        }
+        for (let b = 0; b < size; b++) {
+            if (row[b]) dark++;
+            if (a + 1 < size && b + 1 < size) {
+                const colour = row[b];
+                if (row[b + 1] === colour && modules[a + 1][b] === colour && modules[a + 1][b + 1] === colour) score += 3;
+            }
+        }
+    }
+
+    score += 10 * Math.floor(Math.abs((dark * 100) / (size * size) - 50) / 5);
+    return score;
+};
+
+/**
+ * @param {string} text
+ * @returns {boolean[][]} - modules[row][col], true = dark
+ */
+export const encodeQr = (text) => {
+    const bytes = new TextEncoder().encode(text);
+    const version = VERSIONS.findIndex((info, v) => {
+        if (!info) return false;
+        const capacity = info.blocks.reduce((sum, size) => sum + size, 0);
+        return 4 + (v < 10 ? 8 : 16) + bytes.length * 8 <= capacity * 8;
+    });
+    if (version === -1) {
+        throw new Error('Text is too long for a QR code');
+    }
+
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));  // fixed patterns
+    const set = (row, col, dark) => {
+        modules[row][col] = dark;
+        reserved[row][col] = true;
+    };
+
+    // Timing lines
+    for (let i = 0; i < size; i++) {
+        set(6, i, i % 2 === 0);
+        set(i, 6, i % 2 === 0);
+    }
+
+    // Finders with their light separators
+    for (const [centreRow, centreCol] of [[3, 3], [3, size - 4], [size - 4, 3]]) {
+        for (let dr = -4; dr <= 4; dr++) {
+            for (let dc = -4; dc <= 4; dc++) {
+                const row = centreRow + dr;
+                const col = centreCol + dc;
+                if (row < 0 || row >= size || col < 0 || col >= size) continue;
+                const distance = Math.max(Math.abs(dr), Math.abs(dc));
+                set(row, col, distance !== 2 && distance !== 4);
+            }
+        }
+    }
+
+    // Alignment squares (not on top of the finders)
+    const positions = ALIGNMENT_POSITIONS[version];
+    const last = positions.length - 1;
+    positions.forEach((row, i) => {
+        positions.forEach((col, j) => {
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dr = -2; dr <= 2; dr++) {
+                for (let dc = -2; dc <= 2; dc++) {
+                    set(row + dr, col + dc, Math.max(Math.abs(dr), Math.abs(dc)) !== 1);
+                }
+            }
+        });
+    });
+
+    // Version bits (two copies)
+    if (version >= 7) {
+        const bits = versionBits(version);
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            set(b, a, dark);
+            set(a, b, dark);
+        }
+    }
+
+    // Reserve the format areas (drawn per mask below) and the dark module
+    const drawFormat = (target, mask) => {
+        const bits = formatBits(mask);
+        const bit = (i) => ((bits >>> i) & 1) === 1;
+        for (let i = 0; i <= 5; i++) target(i, 8, bit(i));
+        target(7, 8, bit(6));
+        target(8, 8, bit(7));
+        target(8, 7, bit(8));
+        for (let i = 9; i < 15; i++) target(8, 14 - i, bit(i));
+        for (let i = 0; i < 8; i++) target(8, size - 1 - i, bit(i));
+        for (let i = 8; i < 15; i++) target(size - 15 + i, 8, bit(i));
+        target(size - 8, 8, true);
+    };
+    drawFormat(set, 0);
+
+    // Data bits, two columns at a time in a zigzag (skipping the vertical timing line)
+    const codewords = buildCodewords(bytes, version);
+    let index = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        const upward = ((right + 1) & 2) === 0;
+        for (let vertical = 0; vertical < size; vertical++) {
+            const row = upward ? size - 1 - vertical : vertical;
+            for (let j = 0; j < 2; j++) {
+                const col = right - j;
+                if (reserved[row][col]) continue;
+                if (index < codewords.length * 8) {
+                    modules[row][col] = ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) === 1;
+                    index++;
+                }
+            }
+        }
+    }
+
+    // Try every mask and keep the easiest to scan
+    let best = null;
+    let bestScore = Infinity;
+    MASKS.forEach((isMasked, mask) => {
+        const candidate = modules.map((line, row) => line.map((dark, col) => (
+            !reserved[row][col] && isMasked(row, col) ? !dark : dark
+        )));
+        drawFormat((row, col, dark) => { candidate[row][col] = dark; }, mask);
+        const score = penalty(candidate);
+        if (score < bestScore) {
+            best = candidate;
+            bestScore = score;
+        }
+    });
+    return best;
+};
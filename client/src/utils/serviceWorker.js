@@ -0,0 +1,50 @@
+/**
+ * SERVICE WORKER HELPERS
+ *
+ * Registers src/sw.js (built as /sw.js) in production builds and tells
+ * the app when a new build is ready (see UpdatePrompt). The dev server
+ * never registers it, so it doesn't cache files that are being edited.
+ */
+
+// How often an open app checks for a new build
+const UPDATE_CHECK_MS = 60 * 60 * 1000;
+
+/**
+ * @param {Function} onUpdateReady - called with the waiting service worker of a new build
+ * @returns {Function} stops the update checks
+ */
+export const registerServiceWorker = (onUpdateReady) => {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return () => {};
+
+    let timer = null;
+    // The first install has no controller yet: that isn't an update
+    const notify = (worker) => {
+        if (worker && navigator.serviceWorker.controller) onUpdateReady(worker);
+    };
+
+    navigator.serviceWorker.register('/sw.js')
+        .then(registration => {
+            notify(registration.waiting);
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed') notify(worker);
+                });
+            });
+            timer = setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_MS);
+        })
+        .catch(err => console.error('Service worker registration failed', err));
+
+    return () => clearInterval(timer);
+};
+
+// Switches to the waiting build and reloads the page once it has taken over
+export const applyUpdate = (worker) => {
+    navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+    worker.postMessage({ type: 'SKIP_WAITING' });
+};
+
+// Forgets the dashboards and data kept for offline use (on logout: the device may be shared)
+export const clearOfflineData = () => {
+    navigator.serviceWorker?.controller?.postMessage({ type: 'CLEAR_API_CACHE' });
+};
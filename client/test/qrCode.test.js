@@ -0,0 +1,82 @@
+/**
+ * QR CODE ENCODER (src/utils/qrCode.js)
+ *
+ * Every code is drawn as an image and read back with jsQR, a real QR
+ * decoder: texts of every version the encoder supports (1 to 10) must
+ * come back unchanged.
+ *
+ * Run with: npm test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import jsQR from 'jsqr';
+import { encodeQr } from '../src/utils/qrCode.js';
+
+// Most bytes each version holds (byte mode, error correction level M)
+const CAPACITY = [null, 14, 26, 42, 62, 84, 106, 122, 152, 180, 213];
+
+/**
+ * Draws the modules as an RGBA image (4 pixels per module, with the
+ * 4-module light border scanners need) and decodes it
+ *
+ * @param {boolean[][]} modules
+ * @returns {string|null} - the decoded text (null if it can't be read)
+ */
+const scan = (modules) => {
+    const scale = 4;
+    const border = 4;
+    const size = (modules.length + 2 * border) * scale;
+    const pixels = new Uint8ClampedArray(size * size * 4);
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const row = Math.floor(y / scale) - border;
+            const col = Math.floor(x / scale) - border;
+            const dark = modules[row]?.[col] === true;
+            const i = (y * size + x) * 4;
+            pixels[i] = pixels[i + 1] = pixels[i + 2] = dark ? 0 : 255;
+            pixels[i + 3] = 255;
+        }
+    }
+    return jsQR(pixels, size, size)?.data ?? null;
+};
+
+// A check-in link padded to this many bytes
+const linkOfLength = (length) => {
+    const base = 'https://school.example/student?check_in=';
+    return base + 'x'.repeat(Math.max(length - base.length, 0));
+};
+
+describe('encodeQr', () => {
+    for (let version = 1; version <= 10; version++) {
+        const smallest = CAPACITY[version - 1] ? CAPACITY[version - 1] + 1 : 1;
+        const largest = CAPACITY[version];
+
+        for (const length of [smallest, largest]) {
+            test(`version ${version}: ${length} characters`, () => {
+                const text = length < 40 ? 'A1b2C3d4E5'.repeat(4).slice(0, length) : linkOfLength(length);
+                const modules = encodeQr(text);
+
+                assert.equal(modules.length, 17 + 4 * version);
+                modules.forEach(row => assert.equal(row.length, modules.length));
+                assert.equal(scan(modules), text);
+            });
+        }
+    }
+
+    test('a real check-in link', () => {
+        const text = 'http://localhost:5173/student?check_in=12.118204455.Vd3k9XbT2q0LmWz8rA5ncQ';
+        assert.equal(scan(encodeQr(text)), text);
+    });
+
+    test('texts that aren\'t ASCII (counted as UTF-8 bytes)', () => {
+        for (const text of ['é', 'Schülerausweis', 'उपस्थिति दर्ज करें', 'x'.repeat(100) + '✓']) {
+            assert.equal(scan(encodeQr(text)), text);
+        }
+    });
+
+    test('texts longer than version 10 holds are refused', () => {
+        assert.throws(() => encodeQr('x'.repeat(CAPACITY[10] + 1)), /too long/);
+    });
+});
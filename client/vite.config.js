@@ -1,8 +1,50 @@
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync } from 'node:fs'
+import { join, relative } from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
 
+// Every file under dir, as paths relative to it
+const listFiles = (dir) => readdirSync(dir, { recursive: true, withFileTypes: true })
+  .filter(entry => entry.isFile())
+  .map(entry => relative(dir, join(entry.parentPath, entry.name)).split('\\').join('/'))
+
+// Builds src/sw.js into dist/sw.js with the list of files to cache for
+// offline use and an id that changes whenever any of them does
+const serviceWorker = () => {
+  let root = ''
+  let publicDir = ''
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(config) {
+      root = config.root
+      publicDir = config.publicDir
+    },
+    generateBundle(_, bundle) {
+      const hash = createHash('sha256')
+      const files = []
+      for (const [fileName, output] of Object.entries(bundle)) {
+        if (fileName.endsWith('.map')) continue
+        files.push(`/${fileName}`)
+        hash.update(fileName).update(output.type === 'chunk' ? output.code : output.source)
+      }
+      for (const fileName of publicDir ? listFiles(publicDir) : []) {
+        files.push(`/${fileName}`)
+        hash.update(fileName).update(readFileSync(join(publicDir, fileName)))
+      }
+
+      const source = readFileSync(join(root, 'src/sw.js'), 'utf8')
+        .replace('self.__BUILD_ID', JSON.stringify(hash.digest('hex').slice(0, 12)))
+        .replace('self.__PRECACHE_MANIFEST', JSON.stringify(files.sort()))
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react(), tailwindcss()],
+  plugins: [react(), tailwindcss(), serviceWorker()],
 })
@@ -0,0 +1,720 @@
+/**
+ * ACADEMIC YEAR CONTROLLER
+ *
+ * Admin management of academic years and their terms, plus the
+ * year-end rollover:
+ * - List, create, change (dates / make current) and delete academic years
+ * - Add and remove terms (used to filter attendance reports)
+ * - Preview and run the rollover: promote every class to the next grade
+ *   in the new year, graduate the final grade and renumber roll numbers
+ *
+ * Classes belong to an academic year (classes.academic_year); which class
+ * a student was in during each year is kept in the enrollments table.
+ *
+ * Every route here requires the ADMIN role (see routes/adminRoutes.js),
+ * except the read-only list, which teachers use for report filters.
+ */
+
+const pool = require('../db');
+const { logAudit } = require('../services/auditService');
+const { defaultAcademicYearDates, normalizeClass, nextGrade } = require('../utils/classHelpers');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * LIST ACADEMIC YEARS (with their terms)
+ *
+ * FRONTEND REQUEST:
+ * GET /api/admin/academic-years
+ * GET /api/teacher/academic-years   (same list, for report filters)
+ *
+ * BACKEND RESPONSE:
+ * [
+ *   {
+ *     id: 2,
+ *     name: "2026-2027",
+ *     start_date: "2026-06-01",
+ *     end_date: "2027-05-31",
+ *     is_current: true,
+ *     class_count: 12,
+ *     terms: [{ id: 4, name: "Term 1", start_date: "2026-06-01", end_date: "2026-10-31" }]
+ *   },
+ *   ...
+ * ]
+ */
+const listAcademicYears = async (req, res) => {
+    try {
+        const query = `
+            SELECT
+                ay.id,
+                ay.name,
+                TO_CHAR(ay.start_date, 'YYYY-MM-DD') as start_date,
+                TO_CHAR(ay.end_date, 'YYYY-MM-DD') as end_date,
+                ay.is_current,
+                (SELECT COUNT(*) FROM classes c WHERE c.academic_year = ay.name)::int as class_count,
+                COALESCE((
+                    SELECT json_agg(json_build_object(
+                        'id', t.id,
+                        'name', t.name,
+                        'start_date', TO_CHAR(t.start_date, 'YYYY-MM-DD'),
+                        'end_date', TO_CHAR(t.end_date, 'YYYY-MM-DD')
+                    ) ORDER BY t.start_date)
+                    FROM terms t
+                    WHERE t.academic_year_id = ay.id
+                ), '[]') as terms
+            FROM academic_years ay
+            ORDER BY ay.start_date DESC
+        `;
+        const result = await pool.query(query);
+        res.json(result.rows);
+
+    } catch (err) {
+        console.error('List academic years error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * CREATE ACADEMIC YEAR
+ *
+ * FRONTEND REQUEST:
+ * POST /api/admin/academic-years
+ * Body: {
+ *   "name": "2026-2027",
+ *   "start_date": "2026-06-01",    // optional, defaults from ACADEMIC_YEAR_START_MONTH
+ *   "end_date": "2027-05-31"       // optional
+ * }
+ *
+ * BACKEND RESPONSE:
+ * { "message": "Academic year created", "academic_year": { id: 2, name: "2026-2027", ... } }
+ *
+ * The new year is not current until it is made current (or a rollover runs).
+ */
+const createAcademicYear = async (req, res) => {
+    const { name } = req.body;
+
+    if (!/^\d{4}-\d{4}$/.test(name || '') || parseInt(name.split('-')[1]) !== parseInt(name.split('-')[0]) + 1) {
+        return res.status(400).json({ error: 'Academic year must look like 2025-2026' });
+    }
+
+    const defaults = defaultAcademicYearDates(name);
+    const start_date = req.body.start_date || defaults.start_date;
+    const end_date = req.body.end_date || defaults.end_date;
+
+    if (!DATE_PATTERN.test(start_date) || !DATE_PATTERN.test(end_date)) {
+        return res.status(400).json({ error: 'Dates must be YYYY-MM-DD' });
+    }
+    if (end_date <= start_date) {
+        return res.status(400).json({ error: 'The year must end after it starts' });
+    }
+
+    try {
+        const existing = await pool.query('SELECT id FROM academic_years WHERE name = $1', [name]);
+        if (existing.rows.length > 0) {
+            return res.status(400).json({ error: `Academic year ${name} already exists` });
+        }
+
+        const result = await pool.query(
+            `INSERT INTO academic_years (name, start_date, end_date) VALUES ($1, $2, $3)
+             RETURNING id, name, TO_CHAR(start_date, 'YYYY-MM-DD') as start_date, TO_CHAR(end_date, 'YYYY-MM-DD') as end_date, is_current`,
+            [name, start_date, end_date]
+        );
+        const year = result.rows[0];
+
+        await logAudit(pool, req, {
+            action: 'ACADEMIC_YEAR_CREATED',
+            entityType: 'academic_year',
+            entityId: year.id,
+            after: { name, start_date, end_date }
+        });
+
+        res.status(201).json({ message: 'Academic year created', academic_year: year });
+
+    } catch (err) {
+        console.error('Create academic year error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * CHANGE AN ACADEMIC YEAR
+ *
+ * FRONTEND REQUEST:
+ * PATCH /api/admin/academic-years/:id
+ * Body (any combination): {
+ *   "start_date": "2026-06-15",
+ *   "end_date": "2027-05-20",
+ *   "is_current": true             // make this the current year
+ * }
+ *
+ * BACKEND RESPONSE:
+ * { "message": "Academic year updated" }
+ */
+const updateAcademicYear = async (req, res) => {
+    const { id } = req.params;
+    const { start_date, end_date, is_current } = req.body;
+
+    if (start_date === undefined && end_date === undefined && is_current === undefined) {
+        return res.status(400).json({ error: 'Nothing to update' });
+    }
+    if ((start_date && !DATE_PATTERN.test(start_date)) || (end_date && !DATE_PATTERN.test(end_date))) {
+        return res.status(400).json({ error: 'Dates must be YYYY-MM-DD' });
+    }
+    if (is_current !== undefined && is_current !== true) {
+        return res.status(400).json({ error: 'Make another year current instead' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const current = await client.query(
+            `SELECT name, TO_CHAR(start_date, 'YYYY-MM-DD') as start_date, TO_CHAR(end_date, 'YYYY-MM-DD') as end_date, is_current
+             FROM academic_years WHERE id = $1 FOR UPDATE`,
+            [id]
+        );
+        const year = current.rows[0];
+        if (!year) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Academic year not found' });
+        }
+
+        const updated = {
+            start_date: start_date || year.start_date,
+            end_date: end_date || year.end_date,
+            is_current: is_current || year.is_current
+        };
+        if (updated.end_date <= updated.start_date) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'The year must end after it starts' });
+        }
+
+        const outside = await client.query(
+            'SELECT name FROM terms WHERE academic_year_id = $1 AND (start_date < $2 OR end_date > $3)',
+            [id, updated.start_date, updated.end_date]
+        );
+        if (outside.rows.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: `${outside.rows[0].name} would fall outside the year` });
+        }
+
+        // Two steps: the unique index allows only one current year at any moment
+        if (updated.is_current && !year.is_current) {
+            await client.query('UPDATE academic_years SET is_current = FALSE WHERE is_current');
+        }
+        await client.query(
+            'UPDATE academic_years SET start_date = $1, end_date = $2, is_current = $3 WHERE id = $4',
+            [updated.start_date, updated.end_date, updated.is_current, id]
+        );
+
+        await logAudit(client, req, {
+            action: 'ACADEMIC_YEAR_UPDATED',
+            entityType: 'academic_year',
+            entityId: id,
+            before: { start_date: year.start_date, end_date: year.end_date, is_current: year.is_current },
+            after: updated
+        });
+
+        await client.query('COMMIT');
+        res.json({ message: 'Academic year updated' });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Update academic year error:', err);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * DELETE ACADEMIC YEAR
+ *
+ * FRONTEND REQUEST:
+ * DELETE /api/admin/academic-years/:id
+ *
+ * BACKEND RESPONSE:
+ * { "message": "Academic year deleted" }
+ *
+ * Only years without classes can be deleted, and never the current one.
+ * Its terms are removed with it (ON DELETE CASCADE).
+ */
+const deleteAcademicYear = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const current = await pool.query(
+            `SELECT ay.name, ay.is_current, (SELECT COUNT(*) FROM classes c WHERE c.academic_year = ay.name)::int as class_count
+             FROM academic_years ay WHERE ay.id = $1`,
+            [id]
+        );
+        const year = current.rows[0];
+        if (!year) {
+            return res.status(404).json({ error: 'Academic year not found' });
+        }
+        if (year.is_current) {
+            return res.status(400).json({ error: 'The current academic year cannot be deleted' });
+        }
+        if (year.class_count > 0) {
+            return res.status(400).json({ error: 'Only academic years without classes can be deleted' });
+        }
+
+        await pool.query('DELETE FROM academic_years WHERE id = $1', [id]);
+
+        await logAudit(pool, req, {
+            action: 'ACADEMIC_YEAR_DELETED',
+            entityType: 'academic_year',
+            entityId: id,
+            before: { name: year.name }
+        });
+
+        res.json({ message: 'Academic year deleted' });
+
+    } catch (err) {
+        console.error('Delete academic year error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * ADD A TERM
+ *
+ * FRONTEND REQUEST:
+ * POST /api/admin/academic-years/:id/terms
+ * Body: { "name": "Term 1", "start_date": "2026-06-01", "end_date": "2026-10-31" }
+ *
+ * BACKEND RESPONSE:
+ * { "message": "Term added", "term": { id: 4, ... } }
+ *
+ * Terms must lie inside the academic year and must not overlap each other.
+ */
+const createTerm = async (req, res) => {
+    const { id } = req.params;
+    const name = req.body.name?.trim();
+    const { start_date, end_date } = req.body;
+
+    if (!name) {
+        return res.status(400).json({ error: 'Term name is required' });
+    }
+    if (!DATE_PATTERN.test(start_date || '') || !DATE_PATTERN.test(end_date || '')) {
+        return res.status(400).json({ error: 'Dates must be YYYY-MM-DD' });
+    }
+    if (end_date < start_date) {
+        return res.status(400).json({ error: 'End date must not be before the start date' });
+    }
+
+    try {
+        const yearResult = await pool.query(
+            `SELECT name, TO_CHAR(start_date, 'YYYY-MM-DD') as start_date, TO_CHAR(end_date, 'YYYY-MM-DD') as end_date
+             FROM academic_years WHERE id = $1`,
+            [id]
+        );
+        const year = yearResult.rows[0];
+        if (!year) {
+            return res.status(404).json({ error: 'Academic year not found' });
+        }
+        if (start_date < year.start_date || end_date > year.end_date) {
+            return res.status(400).json({ error: `Terms must lie within ${year.name} (${year.start_date} to ${year.end_date})` });
+        }
+
+        // Two date ranges overlap when each starts before the other ends
+        const overlap = await pool.query(
+            'SELECT name FROM terms WHERE academic_year_id = $1 AND start_date <= $3 AND end_date >= $2',
+            [id, start_date, end_date]
+        );
+        if (overlap.rows.length > 0) {
+            return res.status(400).json({ error: `Overlaps ${overlap.rows[0].name}` });
+        }
+
+        const duplicate = await pool.query('SELECT id FROM terms WHERE academic_year_id = $1 AND name = $2', [id, name]);
+        if (duplicate.rows.length > 0) {
+            return res.status(400).json({ error: `${year.name} already has a term called ${name}` });
+        }
+
+        const result = await pool.query(
+            `INSERT INTO terms (academic_year_id, name, start_date, end_date) VALUES ($1, $2, $3, $4)
+             RETURNING id, name, TO_CHAR(start_date, 'YYYY-MM-DD') as start_date, TO_CHAR(end_date, 'YYYY-MM-DD') as end_date`,
+            [id, name, start_date, end_date]
+        );
+        const term = result.rows[0];
+
+        await logAudit(pool, req, {
+            action: 'TERM_CREATED',
+            entityType: 'term',
+            entityId: term.id,
+            after: { academic_year: year.name, name, start_date, end_date }
+        });
+
+        res.status(201).json({ message: 'Term added', term });
+
+    } catch (err) {
+        console.error('Create term error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * REMOVE A TERM
+ *
+ * FRONTEND REQUEST:
+ * DELETE /api/admin/terms/:id
+ *
+ * BACKEND RESPONSE:
+ * { "message": "Term removed" }
+ */
+const deleteTerm = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const result = await pool.query(
+            `DELETE FROM terms WHERE id = $1
+             RETURNING name, TO_CHAR(start_date, 'YYYY-MM-DD') as start_date, TO_CHAR(end_date, 'YYYY-MM-DD') as end_date`,
+            [id]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Term not found' });
+        }
+
+        await logAudit(pool, req, {
+            action: 'TERM_DELETED',
+            entityType: 'term',
+            entityId: id,
+            before: result.rows[0]
+        });
+
+        res.json({ message: 'Term removed' });
+
+    } catch (err) {
+        console.error('Delete term error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * Loads the two years of a rollover and checks they make sense
+ *
+ * @param {object} db - pool or transaction client
+ * @param {number} fromYearId - the year that is ending
+ * @param {number} toYearId - the year students move into
+ * @returns {Promise<{ fromYear?: object, toYear?: object, status?: number, error?: string }>}
+ */
+const loadRolloverYears = async (db, fromYearId, toYearId) => {
+    const result = await db.query(
+        'SELECT id, name, start_date FROM academic_years WHERE id = ANY($1::int[])',
+        [[parseInt(fromYearId) || 0, parseInt(toYearId) || 0]]
+    );
+    const fromYear = result.rows.find(row => row.id === parseInt(fromYearId));
+    const toYear = result.rows.find(row => row.id === parseInt(toYearId));
+
+    if (!fromYear || !toYear) {
+        return { status: 404, error: 'Academic year not found' };
+    }
+    if (toYear.start_date <= fromYear.start_date) {
+        return { status: 400, error: `Students can only move forward, from ${fromYear.name} to a later year` };
+    }
+    return { fromYear, toYear };
+};
+
+/**
+ * PREVIEW THE YEAR-END ROLLOVER
+ *
+ * Suggests what happens to every class of the ending year that has students.
+ *
+ * FRONTEND REQUEST:
+ * GET /api/admin/rollover?from_year_id=1&to_year_id=2
+ *
+ * BACKEND RESPONSE:
+ * {
+ *   "from_year": "2025-2026",
+ *   "to_year": "2026-2027",
+ *   "classes": [
+ *     {
+ *       from_class_id: 3, from_class_name: "10th-A", student_count: 32,
+ *       action: "PROMOTE",          // PROMOTE, GRADUATE or null (choose one)
+ *       to_class_id: 9,             // existing class in the new year, or null...
+ *       to_grade: "11th",           // ...in which case this class is created
+ *       to_section: "A",
+ *       to_class_name: "11th-A"
+ *     },
+ *     { from_class_id: 5, from_class_name: "12th-A", student_count: 28, action: "GRADUATE", ... },
+ *     ...
+ *   ],
+ *   "to_classes": [{ id: 9, name: "11th-A" }, ...]   // classes already in the new year
+ * }
+ *
+ * Grades go up by one ("10th" → "11th"); FINAL_GRADE in .env (default 12)
+ * graduates. Grades without a number (e.g. "Nursery") need a choice.
+ */
+const previewRollover = async (req, res) => {
+    try {
+        const years = await loadRolloverYears(pool, req.query.from_year_id, req.query.to_year_id);
+        if (years.error) {
+            return res.status(years.status).json({ error: years.error });
+        }
+
+        const fromClasses = await pool.query(
+            `SELECT c.id, c.name, c.grade, c.section, COUNT(s.id)::int as student_count
+             FROM classes c
+             JOIN students s ON s.class_id = c.id AND s.is_active
+             WHERE c.academic_year = $1
+             GROUP BY c.id
+             ORDER BY c.grade, c.section`,
+            [years.fromYear.name]
+        );
+        const toClasses = await pool.query(
+            'SELECT id, name, grade, section FROM classes WHERE academic_year = $1 ORDER BY grade, section',
+            [years.toYear.name]
+        );
+
+        const classes = fromClasses.rows.map(c => {
+            const grade = nextGrade(c.grade);
+            const suggestion = {
+                from_class_id: c.id,
+                from_class_name: c.name,
+                student_count: c.student_count,
+                action: null,
+                to_class_id: null,
+                to_grade: null,
+                to_section: null,
+                to_class_name: null
+            };
+            if (grade === 'GRADUATE') {
+                return { ...suggestion, action: 'GRADUATE' };
+            }
+            if (!grade) {
+                return suggestion;
+            }
+
+            const next = normalizeClass(grade, c.section);
+            const existing = toClasses.rows.find(tc => tc.grade === next.grade && tc.section === next.section);
+            return {
+                ...suggestion,
+                action: 'PROMOTE',
+                to_class_id: existing ? existing.id : null,
+                to_grade: next.grade,
+                to_section: next.section,
+                to_class_name: next.name
+            };
+        });
+
+        res.json({
+            from_year: years.fromYear.name,
+            to_year: years.toYear.name,
+            classes,
+            to_classes: toClasses.rows.map(c => ({ id: c.id, name: c.name }))
+        });
+
+    } catch (err) {
+        console.error('Preview rollover error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * RUN THE YEAR-END ROLLOVER
+ *
+ * FRONTEND REQUEST:
+ * POST /api/admin/rollover
+ * Body: {
+ *   "from_year_id": 1,
+ *   "to_year_id": 2,
+ *   "classes": [                                     // one entry per class with students
+ *     { "from_class_id": 3, "action": "PROMOTE", "to_class_id": 9 },
+ *     { "from_class_id": 4, "action": "PROMOTE", "to_grade": "11th", "to_section": "B" },   // created if missing
+ *     { "from_class_id": 5, "action": "GRADUATE" }
+ *   ],
+ *   "make_current": true                             // optional, default true
+ * }
+ *
+ * BACKEND RESPONSE:
+ * { "message": "60 promoted, 28 graduated", "promoted": 60, "graduated": 28, "classes_created": 2 }
+ *
+ * In one transaction:
+ * - PROMOTE: students move to the new class (enrollment of the old year → PROMOTED,
+ *   new ACTIVE enrollment in the new year)
+ * - GRADUATE: students are archived: no class, enrollment → GRADUATED and
+ *   their login is disabled. Their attendance history is kept.
+ * - Roll numbers in every class that received students restart at 1,
+ *   in alphabetical order of name
+ * - The new year becomes the current one (unless make_current is false)
+ *
+ * Teachers are not carried over: assign them to the new classes.
+ * Deactivated students stay in their old class.
+ */
+const rollover = async (req, res) => {
+    const { from_year_id, to_year_id, classes } = req.body;
+    const makeCurrent = req.body.make_current !== false;
+
+    if (!Array.isArray(classes) || classes.length === 0) {
+        return res.status(400).json({ error: 'Choose what happens to each class' });
+    }
+    for (const entry of classes) {
+        if (!['PROMOTE', 'GRADUATE'].includes(entry.action)) {
+            return res.status(400).json({ error: 'Action must be PROMOTE or GRADUATE' });
+        }
+        if (entry.action === 'PROMOTE' && !entry.to_class_id && !entry.to_grade) {
+            return res.status(400).json({ error: 'Promoted classes need a class (or grade) to move to' });
+        }
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const years = await loadRolloverYears(client, from_year_id, to_year_id);
+        if (years.error) {
+            await client.query('ROLLBACK');
+            return res.status(years.status).json({ error: years.error });
+        }
+        const { fromYear, toYear } = years;
+
+        // Every class of the ending year that still has students must be covered, once
+        const fromClasses = await client.query(
+            `SELECT DISTINCT c.id, c.name FROM classes c
+             JOIN students s ON s.class_id = c.id AND s.is_active
+             WHERE c.academic_year = $1`,
+            [fromYear.name]
+        );
+        if (fromClasses.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: `No students are left in ${fromYear.name} classes` });
+        }
+        const covered = classes.map(entry => Number(entry.from_class_id));
+        const missing = fromClasses.rows.find(c => !covered.includes(c.id));
+        if (missing) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: `Choose what happens to ${missing.name}` });
+        }
+        if (new Set(covered).size !== covered.length || covered.some(id => !fromClasses.rows.find(c => c.id === id))) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: `Each class must be a ${fromYear.name} class with students, listed once` });
+        }
+
+        let promoted = 0;
+        let graduated = 0;
+        let classesCreated = 0;
+        const targetClassIds = new Set();
+
+        for (const entry of classes) {
+            const studentsResult = await client.query(
+                'SELECT id, user_id FROM students WHERE class_id = $1 AND is_active FOR UPDATE',
+                [entry.from_class_id]
+            );
+            const studentIds = studentsResult.rows.map(row => row.id);
+            const status = entry.action === 'PROMOTE' ? 'PROMOTED' : 'GRADUATED';
+
+            // Close the old year's enrollment (created here if it was never recorded)
+            await client.query(
+                `INSERT INTO enrollments (student_id, academic_year_id, class_id, roll_no, status)
+                 SELECT id, $2, class_id, roll_no, $3 FROM students WHERE id = ANY($1::int[])
+                 ON CONFLICT (student_id, academic_year_id) DO UPDATE SET status = EXCLUDED.status`,
+                [studentIds, fromYear.id, status]
+            );
+
+            if (entry.action === 'GRADUATE') {
+                await client.query('UPDATE students SET class_id = NULL, roll_no = NULL WHERE id = ANY($1::int[])', [studentIds]);
+                await client.query(
+                    'UPDATE users SET is_active = FALSE WHERE id = ANY($1::uuid[])',
+                    [studentsResult.rows.map(row => row.user_id).filter(Boolean)]
+                );
+                graduated += studentIds.length;
+                continue;
+            }
+
+            // Target class: an existing class of the new year, or find/create one by grade + section
+            let toClassId;
+            if (entry.to_class_id) {
+                const target = await client.query(
+                    'SELECT id FROM classes WHERE id = $1 AND academic_year = $2',
+                    [entry.to_class_id, toYear.name]
+                );
+                if (target.rows.length === 0) {
+                    await client.query('ROLLBACK');
+                    return res.status(400).json({ error: `Students can only be promoted into ${toYear.name} classes` });
+                }
+                toClassId = target.rows[0].id;
+            } else {
+                const cleaned = normalizeClass(entry.to_grade, entry.to_section);
+                const existing = await client.query(
+                    'SELECT id FROM classes WHERE grade = $1 AND section = $2 AND academic_year = $3',
+                    [cleaned.grade, cleaned.section, toYear.name]
+                );
+                if (existing.rows.length > 0) {
+                    toClassId = existing.rows[0].id;
+                } else {
+                    const created = await client.query(
+                        'INSERT INTO classes (grade, section, academic_year, name) VALUES ($1, $2, $3, $4) RETURNING id',
+                        [cleaned.grade, cleaned.section, toYear.name, cleaned.name]
+                    );
+                    toClassId = created.rows[0].id;
+                    classesCreated++;
+                }
+            }
+
+            await client.query('UPDATE students SET class_id = $1, roll_no = NULL WHERE id = ANY($2::int[])', [toClassId, studentIds]);
+            await client.query(
+                `INSERT INTO enrollments (student_id, academic_year_id, class_id)
+                 SELECT unnest($1::int[]), $2, $3
+                 ON CONFLICT (student_id, academic_year_id) DO UPDATE SET class_id = EXCLUDED.class_id, status = 'ACTIVE'`,
+                [studentIds, toYear.id, toClassId]
+            );
+            targetClassIds.add(toClassId);
+            promoted += studentIds.length;
+        }
+
+        // Fresh roll numbers: 1, 2, 3... by name in each class that received students
+        // ROW_NUMBER() OVER (PARTITION BY ...) restarts the count for every class
+        const targets = [...targetClassIds];
+        await client.query(
+            `UPDATE students s SET roll_no = n.roll_no
+             FROM (
+                 SELECT id, ROW_NUMBER() OVER (PARTITION BY class_id ORDER BY name, id) as roll_no
+                 FROM students WHERE class_id = ANY($1::int[])
+             ) n
+             WHERE s.id = n.id`,
+            [targets]
+        );
+        await client.query(
+            `UPDATE enrollments e SET roll_no = s.roll_no
+             FROM students s
+             WHERE e.student_id = s.id AND e.academic_year_id = $2 AND s.class_id = ANY($1::int[])`,
+            [targets, toYear.id]
+        );
+
+        if (makeCurrent) {
+            // Two steps: the unique index allows only one current year at any moment
+            await client.query('UPDATE academic_years SET is_current = FALSE WHERE is_current AND id <> $1', [toYear.id]);
+            await client.query('UPDATE academic_years SET is_current = TRUE WHERE id = $1', [toYear.id]);
+        }
+
+        await logAudit(client, req, {
+            action: 'ACADEMIC_YEAR_ROLLED_OVER',
+            entityType: 'academic_year',
+            entityId: toYear.id,
+            before: { academic_year: fromYear.name },
+            after: { academic_year: toYear.name, promoted, graduated, classes_created: classesCreated }
+        });
+
+        await client.query('COMMIT');
+        res.json({
+            message: `${promoted} promoted, ${graduated} graduated`,
+            promoted,
+            graduated,
+            classes_created: classesCreated
+        });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Rollover error:', err);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = {
+    listAcademicYears, createAcademicYear, updateAcademicYear, deleteAcademicYear,
+    createTerm, deleteTerm, previewRollover, rollover
+};
@@ -0,0 +1,510 @@
+/**
+ * ADMIN CONTROLLER
+ *
+ * Handles user account management for administrators:
+ * - Listing all users (students, teachers and admins)
+ * - Creating admin accounts (teachers join through invitations)
+ * - Disabling / re-enabling accounts
+ * - Changing a user's role
+ * - Resetting a user's password
+ * - Unlocking accounts locked after failed logins, and reviewing login attempts
+ * - Browsing the audit log
+ *
+ * Class management lives in classController.js (also under /api/admin).
+ *
+ * Every account change made here is recorded in audit_log.
+ *
+ * This replaces the old hand-edited scripts (create-admin.js for new
+ * accounts, update-pass.js for passwords). create-admin.js is still
+ * used once to bootstrap the very first admin.
+ *
+ * Every route here requires the ADMIN role (see routes/adminRoutes.js).
+ */
+
+const pool = require('../db');
+const bcrypt = require('bcryptjs');
+const { v4: uuidv4, validate: isUuid } = require('uuid');
+const { unlockAccount } = require('../services/loginProtection');
+const { logAudit } = require('../services/auditService');
+
+// Which profile table holds the name of a user with each role
+const PROFILE_TABLES = {
+    STUDENT: 'students',
+    TEACHER: 'teachers',
+    ADMIN: 'admins',
+    GUARDIAN: 'guardians'
+};
+
+/**
+ * LIST USERS
+ *
+ * FRONTEND REQUEST:
+ * GET /api/admin/users?role=TEACHER&search=john
+ * (both filters are optional)
+ *
+ * BACKEND RESPONSE:
+ * [
+ *   {
+ *     id: "123e4567-...",
+ *     email: "john@school.com",
+ *     role: "TEACHER",
+ *     is_active: true,
+ *     locked_until: null,     // set while locked after failed logins
+ *     created_at: "2026-02-13T10:00:00.000Z",
+ *     name: "John Doe",
+ *     teacher_id: 2,          // teachers only (teachers.id, e.g. for choosing a class teacher)
+ *     subject: "Maths",       // teachers only
+ *     class_name: null        // students only
+ *   },
+ *   ...
+ * ]
+ *
+ * SQL EXPLANATION:
+ * LEFT JOIN all four profile tables; CASE picks the name from the
+ * profile that matches the user's current role.
+ */
+const listUsers = async (req, res) => {
+    const { role, search } = req.query;
+
+    try {
+        let query = `
+            SELECT
+                u.id,
+                u.email,
+                u.role,
+                u.is_active,
+                u.locked_until,
+                u.created_at,
+                CASE u.role
+                    WHEN 'ADMIN' THEN a.name
+                    WHEN 'TEACHER' THEN t.name
+                    WHEN 'GUARDIAN' THEN gd.name
+                    ELSE s.name
+                END as name,
+                t.id as teacher_id,
+                t.subject,
+                c.name as class_name
+            FROM users u
+            LEFT JOIN admins a ON a.user_id = u.id
+            LEFT JOIN teachers t ON t.user_id = u.id
+            LEFT JOIN students s ON s.user_id = u.id
+            LEFT JOIN guardians gd ON gd.user_id = u.id
+            LEFT JOIN classes c ON s.class_id = c.id
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if (role && role !== 'All') {
+            params.push(role);
+            query += ` AND u.role = $${params.length}`;
+        }
+
+        if (search) {
+            params.push(`%${search}%`);
+            query += ` AND (u.email ILIKE $${params.length} OR a.name ILIKE $${params.length} OR t.name ILIKE $${params.length} OR s.name ILIKE $${params.length} OR gd.name ILIKE $${params.length})`;
+        }
+
+        query += ' ORDER BY u.role, name';
+
+        const result = await pool.query(query, params);
+        res.json(result.rows);
+
+    } catch (err) {
+        console.error('List users error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * CREATE USER (Admin)
+ *
+ * Only ADMIN accounts are created here:
+ * - Teachers must accept an invitation (POST /api/invitations)
+ * - Students are added from the teacher portal or invited
+ *
+ * FRONTEND REQUEST:
+ * POST /api/admin/users
+ * Body: {
+ *   "name": "John Doe",
+ *   "email": "john@school.com",
+ *   "password": "temporary123",
+ *   "role": "ADMIN"
+ * }
+ *
+ * BACKEND RESPONSE:
+ * { "message": "User created successfully", "userId": "123e4567-..." }
+ */
+const createUser = async (req, res) => {
+    const { name, email, password, role } = req.body;
+
+    if (!name) return res.status(400).json({ error: 'Name is required' });
+    if (!email) return res.status(400).json({ error: 'Email is required' });
+    if (!password) return res.status(400).json({ error: 'Password is required' });
+    if (role === 'TEACHER') {
+        return res.status(400).json({ error: 'Teachers must be invited. Use the Invite tab instead.' });
+    }
+    if (role !== 'ADMIN') {
+        return res.status(400).json({ error: 'Role must be ADMIN' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const existingResult = await client.query('SELECT id FROM users WHERE email = $1', [email]);
+        if (existingResult.rows.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'User already exists' });
+        }
+
+        const userId = uuidv4();
+        const salt = await bcrypt.genSalt(10);
+        const passwordHash = await bcrypt.hash(password, salt);
+
+        const insertUserQuery = `
+            INSERT INTO users (id, email, password_hash, role)
+            VALUES ($1, $2, $3, $4)
+        `;
+        await client.query(insertUserQuery, [userId, email, passwordHash, role]);
+
+        const insertAdminQuery = 'INSERT INTO admins (user_id, name) VALUES ($1, $2)';
+        await client.query(insertAdminQuery, [userId, name]);
+
+        await logAudit(client, req, {
+            action: 'USER_CREATED',
+            entityType: 'user',
+            entityId: userId,
+            after: { email, role, name }
+        });
+
+        await client.query('COMMIT');
+        res.status(201).json({ message: 'User created successfully', userId });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Create user error:', err);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * UPDATE USER (Disable/Enable and Re-role)
+ *
+ * FRONTEND REQUEST:
+ * PATCH /api/admin/users/:id
+ * Body (any combination):
+ * {
+ *   "is_active": false,     // disable the account
+ *   "role": "ADMIN"         // change role (TEACHER ↔ ADMIN)
+ * }
+ *
+ * BACKEND RESPONSE:
+ * { "message": "User updated" }
+ *
+ * RULES:
+ * - Admins cannot disable or demote themselves (avoids locking everyone out)
+ * - Students cannot be re-roled (their profile holds class data), nor can guardians
+ * - Only users who already have a teacher profile can become TEACHER again
+ *   (new teachers must come through an invitation)
+ * - When the role changes to ADMIN, an admin profile row is created
+ *   (using the user's existing name) if it does not exist yet
+ */
+const updateUser = async (req, res) => {
+    const { id } = req.params;
+
+    // users.id is a UUID: anything else would make PostgreSQL fail the query
+    if (!isUuid(id)) {
+        return res.status(400).json({ error: 'Invalid user id' });
+    }
+
+    const { is_active, role } = req.body;
+
+    if (is_active === undefined && role === undefined) {
+        return res.status(400).json({ error: 'Nothing to update' });
+    }
+    if (is_active !== undefined && typeof is_active !== 'boolean') {
+        return res.status(400).json({ error: 'is_active must be true or false' });
+    }
+    if (role !== undefined && !['TEACHER', 'ADMIN'].includes(role)) {
+        return res.status(400).json({ error: 'Role must be TEACHER or ADMIN' });
+    }
+    if (id === req.user.id && (is_active === false || (role && role !== 'ADMIN'))) {
+        return res.status(400).json({ error: 'You cannot disable or demote your own account' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        // FOR UPDATE locks the row until COMMIT so two admins can't edit it at once
+        const userResult = await client.query('SELECT id, role, is_active FROM users WHERE id = $1 FOR UPDATE', [id]);
+        if (userResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const user = userResult.rows[0];
+
+        if (role && role !== user.role) {
+            if (user.role === 'STUDENT') {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: 'Student accounts cannot change role' });
+            }
+            if (user.role === 'GUARDIAN') {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: 'Guardian accounts cannot change role' });
+            }
+
+            const newProfile = await client.query(
+                `SELECT id FROM ${PROFILE_TABLES[role]} WHERE user_id = $1`,
+                [id]
+            );
+
+            if (role === 'TEACHER' && newProfile.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: 'This user has never been a teacher. Send a teacher invitation instead.' });
+            }
+
+            // Carry the name over to the new profile table
+            const oldProfile = await client.query(
+                `SELECT name FROM ${PROFILE_TABLES[user.role]} WHERE user_id = $1`,
+                [id]
+            );
+            if (newProfile.rows.length === 0) {
+                await client.query(
+                    `INSERT INTO ${PROFILE_TABLES[role]} (user_id, name) VALUES ($1, $2)`,
+                    [id, oldProfile.rows[0]?.name || 'Unnamed']
+                );
+            }
+
+            await client.query('UPDATE users SET role = $1 WHERE id = $2', [role, id]);
+        }
+
+        if (is_active !== undefined) {
+            await client.query('UPDATE users SET is_active = $1 WHERE id = $2', [is_active, id]);
+        }
+
+        // Record only the fields that actually changed
+        const before = {};
+        const after = {};
+        if (role && role !== user.role) {
+            before.role = user.role;
+            after.role = role;
+        }
+        if (is_active !== undefined && is_active !== user.is_active) {
+            before.is_active = user.is_active;
+            after.is_active = is_active;
+        }
+        if (Object.keys(after).length > 0) {
+            await logAudit(client, req, { action: 'USER_UPDATED', entityType: 'user', entityId: id, before, after });
+        }
+
+        await client.query('COMMIT');
+        res.json({ message: 'User updated' });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Update user error:', err);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * RESET A USER'S PASSWORD
+ *
+ * FRONTEND REQUEST:
+ * POST /api/admin/users/:id/password
+ * Body: { "password": "newPassword123" }
+ *
+ * BACKEND RESPONSE:
+ * { "message": "Password updated" }
+ */
+const resetUserPassword = async (req, res) => {
+    const { id } = req.params;
+
+    if (!isUuid(id)) {
+        return res.status(400).json({ error: 'Invalid user id' });
+    }
+
+    const { password } = req.body;
+
+    if (!password) {
+        return res.status(400).json({ error: 'Password is required' });
+    }
+
+    try {
+        const salt = await bcrypt.genSalt(10);
+        const passwordHash = await bcrypt.hash(password, salt);
+
+        const result = await pool.query('UPDATE users SET password_hash = $1 WHERE id = $2', [passwordHash, id]);
+
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        await logAudit(pool, req, { action: 'USER_PASSWORD_RESET', entityType: 'user', entityId: id });
+
+        res.json({ message: 'Password updated' });
+
+    } catch (err) {
+        console.error('Reset password error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * UNLOCK A USER (after too many failed logins)
+ *
+ * FRONTEND REQUEST:
+ * POST /api/admin/users/:id/unlock
+ *
+ * BACKEND RESPONSE:
+ * { "message": "Account unlocked" }
+ */
+const unlockUser = async (req, res) => {
+    const { id } = req.params;
+
+    if (!isUuid(id)) {
+        return res.status(400).json({ error: 'Invalid user id' });
+    }
+
+    try {
+        const userResult = await pool.query('SELECT email FROM users WHERE id = $1', [id]);
+        if (userResult.rows.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        await unlockAccount(id, userResult.rows[0].email);
+        await logAudit(pool, req, { action: 'USER_UNLOCKED', entityType: 'user', entityId: id });
+        res.json({ message: 'Account unlocked' });
+
+    } catch (err) {
+        console.error('Unlock user error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * LIST LOGIN ATTEMPTS (most recent first, max 200)
+ *
+ * FRONTEND REQUEST:
+ * GET /api/admin/login-attempts?email=john&failedOnly=true
+ * (both filters are optional)
+ *
+ * BACKEND RESPONSE:
+ * [
+ *   {
+ *     id: 42,
+ *     email: "john@school.com",
+ *     user_id: "123e4567-...",    // null if no account has this email
+ *     ip_address: "127.0.0.1",
+ *     user_agent: "Mozilla/5.0 ...",
+ *     success: false,
+ *     reason: "BAD_PASSWORD",     // UNKNOWN_EMAIL, BAD_PASSWORD, LOCKED, DISABLED
+ *     created_at: "2026-02-13T10:00:00.000Z"
+ *   },
+ *   ...
+ * ]
+ */
+const listLoginAttempts = async (req, res) => {
+    const { email, failedOnly } = req.query;
+
+    try {
+        let query = `
+            SELECT id, email, user_id, ip_address, user_agent, success, reason, created_at
+            FROM login_attempts
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if (email) {
+            params.push(`%${email}%`);
+            query += ` AND email ILIKE $${params.length}`;
+        }
+
+        if (failedOnly === 'true') {
+            query += ' AND success = FALSE';
+        }
+
+        query += ' ORDER BY created_at DESC, id DESC LIMIT 200';
+
+        const result = await pool.query(query, params);
+        res.json(result.rows);
+
+    } catch (err) {
+        console.error('List login attempts error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * LIST AUDIT LOG (most recent first, max 200)
+ *
+ * FRONTEND REQUEST:
+ * GET /api/admin/audit-log?entity_type=attendance&entity_id=12:2026-02-13
+ * (both filters are optional)
+ *
+ * BACKEND RESPONSE:
+ * [
+ *   {
+ *     id: 81,
+ *     action: "ATTENDANCE_CHANGED",
+ *     entity_type: "attendance",
+ *     entity_id: "12:2026-02-13",
+ *     before_value: { status: "ABSENT" },
+ *     after_value: { status: "PRESENT" },
+ *     ip_address: "127.0.0.1",
+ *     created_at: "2026-02-13T11:05:00.000Z",
+ *     actor_email: "john@school.com",
+ *     actor_name: "John Doe"
+ *   },
+ *   ...
+ * ]
+ */
+const listAuditLog = async (req, res) => {
+    const { entity_type, entity_id } = req.query;
+
+    try {
+        let query = `
+            SELECT
+                a.id, a.action, a.entity_type, a.entity_id,
+                a.before_value, a.after_value, a.ip_address, a.created_at,
+                u.email as actor_email,
+                COALESCE(ad.name, t.name, s.name) as actor_name
+            FROM audit_log a
+            LEFT JOIN users u ON a.actor_id = u.id
+            LEFT JOIN admins ad ON ad.user_id = u.id
+            LEFT JOIN teachers t ON t.user_id = u.id
+            LEFT JOIN students s ON s.user_id = u.id
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if (entity_type && entity_type !== 'All') {
+            params.push(entity_type);
+            query += ` AND a.entity_type = $${params.length}`;
+        }
+
+        if (entity_id) {
+            params.push(entity_id);
+            query += ` AND a.entity_id = $${params.length}`;
+        }
+
+        query += ' ORDER BY a.created_at DESC, a.id DESC LIMIT 200';
+
+        const result = await pool.query(query, params);
+        res.json(result.rows);
+
+    } catch (err) {
+        console.error('List audit log error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+module.exports = { listUsers, createUser, updateUser, resetUserPassword, unlockUser, listLoginAttempts, listAuditLog };
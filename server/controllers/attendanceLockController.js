@@ -0,0 +1,157 @@
+/**
+ * ATTENDANCE LOCK CONTROLLER
+ *
+ * Submitted and locked attendance registers (one per class and date).
+ * Saving a class's attendance on the attendance sheet submits it; it can
+ * be changed for ATTENDANCE_LOCK_HOURS (default 48) after that, so the
+ * monthly reports don't shift under anyone's feet later on.
+ *
+ * WHO USES WHAT:
+ * - Teacher portal: GET /api/teacher/attendance/locks      (lock state shown on the sheet)
+ * - Admins only:    POST /api/teacher/attendance/reopen    (reopen a locked day, with a reason)
+ *
+ * The lock itself is checked when saving (submitAttendanceDays in
+ * utils/attendanceHelpers.js, used by markAttendanceBulk).
+ */
+
+const pool = require('../db');
+const { logAudit } = require('../services/auditService');
+const { classScope } = require('../middleware/classAccessMiddleware');
+const { ATTENDANCE_LOCK_HOURS } = require('../utils/attendanceHelpers');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Longest reason an admin may give for reopening a day
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * GET LOCK STATE OF A DATE
+ *
+ * FRONTEND REQUEST:
+ * GET /api/teacher/attendance/locks?date=2026-02-13&class_id=3   (class_id optional, "All" = all my classes)
+ *
+ * BACKEND RESPONSE (only classes whose register was submitted that day):
+ * [
+ *   {
+ *     class_id: 3, class_name: "10th-A",
+ *     submitted_by_name: "John Doe", submitted_at: "2026-02-13T09:05:00.000Z",
+ *     locks_at: "2026-02-15T09:05:00.000Z",
+ *     locked: false,                 // true once locks_at has passed
+ *     reopened_by_name: null, reopened_at: null, reopen_reason: null
+ *   },
+ *   ...
+ * ]
+ */
+const listAttendanceLocks = async (req, res) => {
+    const { date } = req.query;
+
+    if (!date || !DATE_PATTERN.test(date)) {
+        return res.status(400).json({ error: 'Date must be YYYY-MM-DD' });
+    }
+
+    try {
+        const params = [date];
+        const query = `
+            SELECT
+                sub.class_id,
+                c.name as class_name,
+                COALESCE(st.name, sa.name, su.email) as submitted_by_name,
+                sub.submitted_at,
+                sub.locks_at,
+                sub.locks_at <= NOW() as locked,
+                COALESCE(ra.name, ru.email) as reopened_by_name,
+                sub.reopened_at,
+                sub.reopen_reason
+            FROM attendance_submissions sub
+            JOIN classes c ON sub.class_id = c.id
+            LEFT JOIN users su ON sub.submitted_by = su.id
+            LEFT JOIN teachers st ON st.user_id = su.id
+            LEFT JOIN admins sa ON sa.user_id = su.id
+            LEFT JOIN users ru ON sub.reopened_by = ru.id
+            LEFT JOIN admins ra ON ra.user_id = ru.id
+            WHERE sub.date = $1 AND ${classScope(req, params, 'sub.class_id')}
+            ORDER BY c.name
+        `;
+        const result = await pool.query(query, params);
+        res.json(result.rows);
+
+    } catch (err) {
+        console.error('List attendance locks error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * REOPEN A LOCKED DAY (admins only)
+ *
+ * The register can be changed again for another ATTENDANCE_LOCK_HOURS.
+ *
+ * FRONTEND REQUEST:
+ * POST /api/teacher/attendance/reopen
+ * Body: { "class_id": 3, "date": "2026-02-13", "reason": "Marked on the wrong date" }
+ *
+ * BACKEND RESPONSE:
+ * { "message": "Attendance reopened", "locks_at": "2026-02-20T10:00:00.000Z" }
+ */
+const reopenAttendance = async (req, res) => {
+    const { class_id, date } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!class_id || !date || !DATE_PATTERN.test(date)) {
+        return res.status(400).json({ error: 'class_id and date (YYYY-MM-DD) are required' });
+    }
+    if (!reason) {
+        return res.status(400).json({ error: 'Please give a reason for reopening' });
+    }
+    if (reason.length > MAX_REASON_LENGTH) {
+        return res.status(400).json({ error: `The reason can be at most ${MAX_REASON_LENGTH} characters` });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const found = await client.query(
+            'SELECT locks_at, locks_at <= NOW() as locked FROM attendance_submissions WHERE class_id = $1 AND date = $2 FOR UPDATE',
+            [class_id, date]
+        );
+        if (found.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Attendance for this class and date has not been submitted' });
+        }
+        if (!found.rows[0].locked) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Attendance for this class and date is not locked' });
+        }
+
+        const updateQuery = `
+            UPDATE attendance_submissions
+            SET locks_at = NOW() + make_interval(hours => $3::int),
+                reopened_by = $4, reopened_at = NOW(), reopen_reason = $5
+            WHERE class_id = $1 AND date = $2
+            RETURNING locks_at
+        `;
+        const result = await client.query(updateQuery, [class_id, date, ATTENDANCE_LOCK_HOURS, req.user.id, reason]);
+
+        await logAudit(client, req, {
+            action: 'ATTENDANCE_REOPENED',
+            entityType: 'attendance_submission',
+            entityId: `${class_id}:${date}`,
+            before: { locks_at: found.rows[0].locks_at },
+            after: { locks_at: result.rows[0].locks_at, reason }
+        });
+
+        await client.query('COMMIT');
+        res.json({ message: 'Attendance reopened', locks_at: result.rows[0].locks_at });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Reopen attendance error:', err);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = { listAttendanceLocks, reopenAttendance };
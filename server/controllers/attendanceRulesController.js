@@ -0,0 +1,98 @@
+/**
+ * ATTENDANCE RULES CONTROLLER
+ *
+ * Admin management of how each attendance status counts towards the
+ * attendance percentage (the attendance_status_weights table):
+ *
+ *   percentage = SUM(weight) / COUNT(weight) * 100
+ *
+ * - 1 = counts as a full day attended (PRESENT)
+ * - 0 = counts as a day missed (ABSENT)
+ * - 0.5 = half a day (LATE, HALF_DAY by default)
+ * - null = the day is left out of the percentage (EXCUSED, MEDICAL, HOLIDAY)
+ *
+ * Every route here requires the ADMIN role (see routes/adminRoutes.js).
+ */
+
+const pool = require('../db');
+const { logAudit } = require('../services/auditService');
+
+/**
+ * LIST STATUS WEIGHTS
+ *
+ * FRONTEND REQUEST:
+ * GET /api/admin/attendance-weights
+ *
+ * BACKEND RESPONSE:
+ * [
+ *   { status: "PRESENT", weight: 1 },
+ *   { status: "LATE", weight: 0.5 },
+ *   { status: "EXCUSED", weight: null },
+ *   ...
+ * ]
+ */
+const listStatusWeights = async (req, res) => {
+    try {
+        // ORDER BY an enum column sorts in declaration order (PRESENT, ABSENT, ...)
+        const result = await pool.query('SELECT status, weight FROM attendance_status_weights ORDER BY status');
+        // NUMERIC comes back from pg as a string ("0.50")
+        res.json(result.rows.map(row => ({
+            status: row.status,
+            weight: row.weight === null ? null : parseFloat(row.weight)
+        })));
+    } catch (err) {
+        console.error('List attendance weights error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * CHANGE A STATUS WEIGHT
+ *
+ * FRONTEND REQUEST:
+ * PATCH /api/admin/attendance-weights/LATE
+ * Body: { "weight": 0.5 }     // 0 to 1, or null to leave the status out
+ *
+ * BACKEND RESPONSE:
+ * { "message": "Weight updated" }
+ *
+ * Percentages everywhere (dashboards, reports, defaulters) use the new
+ * weight straight away, including for attendance taken earlier.
+ */
+const updateStatusWeight = async (req, res) => {
+    const { status } = req.params;
+    const { weight } = req.body;
+
+    if (weight === undefined) {
+        return res.status(400).json({ error: 'Weight is required' });
+    }
+    if (weight !== null && !(typeof weight === 'number' && weight >= 0 && weight <= 1)) {
+        return res.status(400).json({ error: 'Weight must be between 0 and 1, or null' });
+    }
+
+    try {
+        const current = await pool.query('SELECT weight FROM attendance_status_weights WHERE status::text = $1', [status]);
+        if (current.rows.length === 0) {
+            return res.status(404).json({ error: 'Unknown attendance status' });
+        }
+        const before = current.rows[0].weight === null ? null : parseFloat(current.rows[0].weight);
+
+        await pool.query('UPDATE attendance_status_weights SET weight = $1 WHERE status::text = $2', [weight, status]);
+
+        await logAudit(pool, req, {
+            action: 'ATTENDANCE_WEIGHT_CHANGED',
+            entityType: 'attendance_weight',
+            entityId: status,
+            before: { weight: before },
+            after: { weight }
+        });
+
+        res.json({ message: 'Weight updated' });
+
+    } catch (err) {
+        console.error('Update attendance weight error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+module.exports = { listStatusWeights, updateStatusWeight };
@@ -6,34 +6,76 @@
  * FLOW OVERVIEW:
  * 1. Frontend sends login/register request with credentials
  * 2. This controller validates the data
- * 3. For login: checks credentials and generates JWT token
- * 4. For register: creates new user account with hashed password
- * 5. JWT token is sent back to frontend
- * 6. Frontend stores token and includes it in future API requests
+ * 3. For login: checks credentials, starts a session and generates tokens
+ * 4. For register (disabled by default): creates new student account with hashed password
+ * 5. Access token + refresh token are sent back to frontend
+ * 6. Frontend stores them and includes the access token in future API requests
  * 
  * HOW JWT AUTHENTICATION WORKS:
- * - User logs in → Server generates unique JWT token
- * - Frontend stores token (usually in localStorage)
- * - For protected routes, frontend sends token in request headers
+ * - User logs in → Server creates a session and generates a short-lived JWT (15 min)
+ *   plus a long-lived refresh token (30 days)
+ * - Frontend stores both (usually in localStorage)
+ * - For protected routes, frontend sends the JWT in request headers
  * - Middleware verifies token before allowing access to protected endpoints
+ * - When the JWT expires, the frontend trades the refresh token for a new pair
+ *   (POST /api/auth/refresh). Each refresh token works only once.
+ * - Logout revokes the session, so its tokens stop working immediately
  */
 
 const pool = require('../db');           // Database connection pool
 const bcrypt = require('bcryptjs');      // Password hashing library
-const jwt = require('jsonwebtoken');     // JSON Web Token for authentication
 const { v4: uuidv4 } = require('uuid');  // UUID generator for user IDs
+const { createAccessToken, generateRefreshToken, hashToken, refreshTokenExpiry } = require('../utils/tokens');
+const { sendMail } = require('../services/mailer');
+const { getRetryAfter, recordAttempt, registerFailure, registerSuccess } = require('../services/loginProtection');
+const { logAudit } = require('../services/auditService');
+
+const RESET_TOKEN_MINUTES = 60;  // Password reset links work for 1 hour
+
+// For this long after a refresh, the refresh token it replaced still works
+// (two tabs of the same browser refreshing at the same moment)
+const REFRESH_GRACE_SECONDS = 30;
+
+// Which profile table holds the details of a user with each role
+const PROFILE_TABLES = {
+    STUDENT: 'students',
+    TEACHER: 'teachers',
+    ADMIN: 'admins',
+    GUARDIAN: 'guardians'
+};
 
 /**
- * REGISTER NEW USER
+ * Fetches role-specific details (student, teacher, admin or guardian profile)
  * 
- * Creates a new user account (Student or Teacher)
+ * @param {object} user - row from the users table
+ * @returns {Promise<object|undefined>} - profile row
+ */
+const getProfile = async (user) => {
+    const table = PROFILE_TABLES[user.role];
+    if (!table) return undefined;
+
+    // Students also get their class name (from the classes table)
+    const query = user.role === 'STUDENT'
+        ? `SELECT s.*, c.name as class_name FROM students s LEFT JOIN classes c ON s.class_id = c.id WHERE s.user_id = $1`
+        : `SELECT * FROM ${table} WHERE user_id = $1`;
+
+    const result = await pool.query(query, [user.id]);
+    return result.rows[0];
+};
+
+/**
+ * REGISTER NEW USER (Self-registration)
+ * 
+ * DISABLED BY DEFAULT. Accounts are created through invitations
+ * (see invitationController.js). Set ALLOW_SELF_REGISTRATION=true in .env
+ * to let people sign themselves up - they always become STUDENTs;
+ * any "role" in the request body is ignored.
  * 
  * REQUEST BODY (from frontend):
  * {
  *   "name": "John Doe",
  *   "email": "john@example.com",
- *   "password": "securePassword123",
- *   "role": "STUDENT"  // or "TEACHER"
+ *   "password": "securePassword123"
  * }
  * 
  * RESPONSE (to frontend):
@@ -43,10 +85,15 @@ const { v4: uuidv4 } = require('uuid');  // UUID generator for user IDs
  * }
  */
 const register = async (req, res) => {
-    const { name, email, password, role } = req.body;
+    if (process.env.ALLOW_SELF_REGISTRATION !== 'true') {
+        return res.status(403).json({ error: 'Self-registration is disabled. Ask your school for an invitation.' });
+    }
+
+    const { name, email, password } = req.body;
+    const role = 'STUDENT';  // Never trust a role sent by the client
 
     // Validate required fields
-    if (!name || !email || !password || !role) {
+    if (!name || !email || !password) {
         return res.status(400).json({ error: 'Please provide all fields' });
     }
 
@@ -76,14 +123,9 @@ const register = async (req, res) => {
         `;
         await pool.query(insertUserQuery, [userId, email, passwordHash, role]);
 
-        // Create role-specific profile
-        if (role === 'STUDENT') {
-            const insertStudentQuery = 'INSERT INTO students (user_id, name) VALUES ($1, $2)';
-            await pool.query(insertStudentQuery, [userId, name]);
-        } else if (role === 'TEACHER') {
-            const insertTeacherQuery = 'INSERT INTO teachers (user_id, name) VALUES ($1, $2)';
-            await pool.query(insertTeacherQuery, [userId, name]);
-        }
+        // Create the student profile (class & roll number are set later by a teacher)
+        const insertStudentQuery = 'INSERT INTO students (user_id, name) VALUES ($1, $2)';
+        await pool.query(insertStudentQuery, [userId, name]);
 
         // Send success response to frontend
         res.status(201).json({ message: 'User registered successfully', userId });
@@ -106,79 +148,130 @@ const register = async (req, res) => {
  * 
  * RESPONSE (to frontend):
  * {
- *   "token": "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...",
+ *   "token": "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...",   // access token (15 min)
+ *   "refreshToken": "Qm9vdHN0cmFw...",                     // refresh token (30 days)
  *   "user": {
  *     "id": "123e4567-e89b-12d3-a456-426614174000",
  *     "email": "john@example.com",
  *     "role": "STUDENT",
  *     "name": "John Doe",
+ *     "mustChangePassword": false,   // true → frontend sends user to the change-password form
  *     "details": { ... student/teacher specific data ... }
  *   }
  * }
  * 
+ * ERRORS:
+ * - 400 Invalid credentials
+ * - 423 Account locked (too many wrong passwords in a row); only sent with
+ *   the right password, so it doesn't tell anyone else that the email has
+ *   an account
+ * - 429 Too many attempts - wait "retryAfter" seconds (also in the Retry-After header)
+ * 
  * The frontend will:
- * 1. Store the token (localStorage or state management)
+ * 1. Store both tokens (localStorage or state management)
  * 2. Include it in Authorization header for future requests
- * 3. Redirect user to appropriate dashboard (Student/Teacher)
+ * 3. Redirect user to appropriate dashboard (Student/Teacher/Admin)
  */
 const login = async (req, res) => {
     const { email, password } = req.body;
 
-    // Validate required fields
-    if (!email || !password) {
+    // Validate required fields (a number or a list would break the throttle keys)
+    if (!email || !password || typeof email !== 'string' || typeof password !== 'string') {
         return res.status(400).json({ error: 'Please provide email and password' });
     }
 
+    const ip = req.ip;
+    const userAgent = req.get('User-Agent');
+
     try {
+        // Brute-force protection: too many recent failures from this IP or
+        // for this email → make the caller wait (see services/loginProtection.js)
+        const retryAfter = await getRetryAfter(ip, email);
+        if (retryAfter > 0) {
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({
+                error: `Too many login attempts. Try again in ${retryAfter} second${retryAfter === 1 ? '' : 's'}.`,
+                retryAfter
+            });
+        }
+
         // Find user by email
         const userQuery = 'SELECT * FROM users WHERE email = $1';
         const userResult = await pool.query(userQuery, [email]);
 
         // Check if user exists
         if (userResult.rows.length === 0) {
+            await registerFailure(ip, email, null);
+            await recordAttempt({ email, ip, userAgent, success: false, reason: 'UNKNOWN_EMAIL' });
             return res.status(400).json({ error: 'Invalid credentials' });
         }
 
         const user = userResult.rows[0];  // Get first (and only) user
+        const locked = user.locked_until && new Date(user.locked_until) > new Date();
 
         // Compare provided password with stored hashed password
         // bcrypt.compare handles the hashing and comparison securely
         const isMatch = await bcrypt.compare(password, user.password_hash);
 
+        // A wrong password gets the same answer as an unknown email, also when
+        // it locks the account or the account is locked (423 would tell a
+        // guesser that the account exists). While locked, it only counts
+        // towards the throttle, like an unknown email.
         if (!isMatch) {
+            await registerFailure(ip, email, locked ? null : user.id);
+            await recordAttempt({ email, userId: user.id, ip, userAgent, success: false, reason: locked ? 'LOCKED' : 'BAD_PASSWORD' });
             return res.status(400).json({ error: 'Invalid credentials' });
         }
 
-        // Fetch role-specific details (student or teacher profile)
-        let userDetails = {};
-        if (user.role === 'STUDENT') {
-            const studentQuery = 'SELECT * FROM students WHERE user_id = $1';
-            const studentResult = await pool.query(studentQuery, [user.id]);
-            userDetails = studentResult.rows[0];
-        } else if (user.role === 'TEACHER') {
-            const teacherQuery = 'SELECT * FROM teachers WHERE user_id = $1';
-            const teacherResult = await pool.query(teacherQuery, [user.id]);
-            userDetails = teacherResult.rows[0];
+        // Locked after too many wrong passwords: even the right one has to wait
+        if (locked) {
+            await recordAttempt({ email, userId: user.id, ip, userAgent, success: false, reason: 'LOCKED' });
+            return res.status(423).json({
+                error: 'Account is locked after too many failed logins. Try again later or ask an administrator to unlock it.',
+                lockedUntil: user.locked_until
+            });
         }
 
-        // Generate JWT token
-        // Token contains user info and is signed with secret key
-        // Token expires in 1 day for security
-        const token = jwt.sign(
-            { id: user.id, role: user.role, name: userDetails?.name },
-            process.env.JWT_SECRET || 'secret123',
-            { expiresIn: '1d' }
-        );
+        // Disabled accounts cannot log in (an admin switched them off)
+        if (!user.is_active) {
+            await recordAttempt({ email, userId: user.id, ip, userAgent, success: false, reason: 'DISABLED' });
+            return res.status(403).json({ error: 'Account is disabled. Contact your administrator.' });
+        }
+
+        await registerSuccess(ip, email, user.id);
+        await recordAttempt({ email, userId: user.id, ip, userAgent, success: true });
+
+        const userDetails = await getProfile(user);
+
+        // Start a new session for this device
+        // Only the HASH of the refresh token is stored in the database
+        const sessionId = uuidv4();
+        const refreshToken = generateRefreshToken();
+
+        const insertSessionQuery = `
+            INSERT INTO sessions (id, user_id, token_hash, user_agent, ip_address, expires_at)
+            VALUES ($1, $2, $3, $4, $5, $6)
+        `;
+        await pool.query(insertSessionQuery, [
+            sessionId, user.id, hashToken(refreshToken), userAgent || null, ip, refreshTokenExpiry()
+        ]);
+
+        // Generate JWT access token
+        // Token contains user info + session ID and is signed with secret key
+        // Token expires in 15 minutes; the refresh token is used to get a new one
+        const token = createAccessToken({ id: user.id, role: user.role, name: userDetails?.name, sid: sessionId });
 
         // Send token and user data to frontend
         // Frontend will store token and use it for authenticated requests
         res.json({
             token,
+            refreshToken,
             user: {
                 id: user.id,
                 email: user.email,
                 role: user.role,
                 name: userDetails?.name,
+                mustChangePassword: user.must_change_password,
                 details: userDetails
             }
         });
@@ -189,5 +282,425 @@ const login = async (req, res) => {
     }
 };
 
+/**
+ * REFRESH ACCESS TOKEN
+ * 
+ * Trades a refresh token for a new access token AND a new refresh token
+ * (rotation). The old refresh token stops working.
+ * 
+ * REQUEST BODY (from frontend):
+ * { "refreshToken": "Qm9vdHN0cmFw..." }
+ * 
+ * RESPONSE (to frontend):
+ * { "token": "eyJhbGciOi...", "refreshToken": "bmV3IHRva2Vu..." }
+ * 
+ * REUSE DETECTION:
+ * If a refresh token that was ALREADY rotated is presented again, two parties
+ * hold copies of it (e.g. it was stolen). We can't tell which one is the
+ * real user, so the whole session is revoked and both must log in again.
+ *
+ * Except within REFRESH_GRACE_SECONDS of the rotation: two tabs share one
+ * refresh token, and if both refresh at once the second one sends the token
+ * the first has just replaced. It gets a new pair too (the client also
+ * takes turns between tabs, see client/src/api/axios.js).
+ */
+const refresh = async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+        return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        // FOR UPDATE: two tabs refreshing at once can't both rotate the same token
+        const sessionQuery = `
+            SELECT s.id, s.token_hash, s.expires_at, s.revoked_at,
+                   s.last_used_at > CURRENT_TIMESTAMP - make_interval(secs => $2) as just_rotated,
+                   u.id as user_id, u.role, u.is_active
+            FROM sessions s
+            JOIN users u ON s.user_id = u.id
+            WHERE s.token_hash = $1 OR s.previous_token_hash = $1
+            FOR UPDATE OF s
+        `;
+        const sessionResult = await client.query(sessionQuery, [tokenHash, REFRESH_GRACE_SECONDS]);
+        const session = sessionResult.rows[0];
+
+        if (!session || session.revoked_at || new Date(session.expires_at) < new Date()) {
+            await client.query('ROLLBACK');
+            return res.status(401).json({ error: 'Session expired. Please log in again.' });
+        }
+
+        if (session.token_hash !== tokenHash && !session.just_rotated) {
+            // An old (already rotated) token was replayed → revoke the session
+            await client.query('UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1', [session.id]);
+            await client.query('COMMIT');
+            return res.status(401).json({ error: 'Session expired. Please log in again.' });
+        }
+
+        if (!session.is_active) {
+            await client.query('ROLLBACK');
+            return res.status(401).json({ error: 'Account is disabled' });
+        }
+
+        // The replaced token is the current one, also when the previous one was
+        // sent within the grace period (so the tab that refreshed first keeps working)
+        const newRefreshToken = generateRefreshToken();
+        const rotateQuery = `
+            UPDATE sessions
+            SET token_hash = $1, previous_token_hash = $2, last_used_at = CURRENT_TIMESTAMP
+            WHERE id = $3
+        `;
+        await client.query(rotateQuery, [hashToken(newRefreshToken), session.token_hash, session.id]);
+
+        await client.query('COMMIT');
+
+        const profile = await getProfile({ id: session.user_id, role: session.role });
+        const token = createAccessToken({ id: session.user_id, role: session.role, name: profile?.name, sid: session.id });
+
+        res.json({ token, refreshToken: newRefreshToken });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Refresh error:', err);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * LOGOUT
+ * 
+ * Revokes the session that owns the given refresh token.
+ * Does not need a valid access token (it may already have expired).
+ * 
+ * REQUEST BODY (from frontend):
+ * { "refreshToken": "Qm9vdHN0cmFw..." }
+ * 
+ * RESPONSE (to frontend):
+ * { "message": "Logged out" }
+ */
+const logout = async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+        return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    try {
+        const revokeQuery = `
+            UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+            WHERE token_hash = $1 AND revoked_at IS NULL
+        `;
+        await pool.query(revokeQuery, [hashToken(refreshToken)]);
+
+        // Always succeed - logging out twice is not an error
+        res.json({ message: 'Logged out' });
+
+    } catch (err) {
+        console.error('Logout error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * LIST MY SESSIONS
+ * 
+ * FRONTEND REQUEST:
+ * GET /api/auth/sessions
+ * Headers: { Authorization: "Bearer <token>" }
+ * 
+ * BACKEND RESPONSE:
+ * [
+ *   {
+ *     id: "9b2f...",
+ *     user_agent: "Mozilla/5.0 ...",
+ *     ip_address: "127.0.0.1",
+ *     created_at: "2026-02-13T10:00:00.000Z",
+ *     last_used_at: "2026-02-13T12:30:00.000Z",
+ *     current: true            // the session making this request
+ *   },
+ *   ...
+ * ]
+ */
+const getSessions = async (req, res) => {
+    try {
+        const query = `
+            SELECT id, user_agent, ip_address, created_at, last_used_at
+            FROM sessions
+            WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+            ORDER BY last_used_at DESC
+        `;
+        const result = await pool.query(query, [req.user.id]);
+
+        res.json(result.rows.map(session => ({
+            ...session,
+            current: session.id === req.user.sid
+        })));
+
+    } catch (err) {
+        console.error('Get sessions error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * SIGN OUT A SESSION (e.g. a lost phone)
+ * 
+ * FRONTEND REQUEST:
+ * DELETE /api/auth/sessions/:id
+ * 
+ * BACKEND RESPONSE:
+ * { "message": "Session revoked" }
+ */
+const revokeSession = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        // user_id check: you can only revoke your own sessions
+        const revokeQuery = `
+            UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+        `;
+        const result = await pool.query(revokeQuery, [id, req.user.id]);
+
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        res.json({ message: 'Session revoked' });
+
+    } catch (err) {
+        console.error('Revoke session error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * SIGN OUT ALL OTHER DEVICES
+ * 
+ * FRONTEND REQUEST:
+ * POST /api/auth/sessions/revoke-others
+ * 
+ * BACKEND RESPONSE:
+ * { "message": "Signed out of 2 other sessions" }
+ */
+const revokeOtherSessions = async (req, res) => {
+    try {
+        const revokeQuery = `
+            UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+            WHERE user_id = $1 AND id <> $2 AND revoked_at IS NULL
+        `;
+        const result = await pool.query(revokeQuery, [req.user.id, req.user.sid]);
+
+        res.json({ message: `Signed out of ${result.rowCount} other session${result.rowCount === 1 ? '' : 's'}` });
+
+    } catch (err) {
+        console.error('Revoke other sessions error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * CHANGE PASSWORD (logged-in user)
+ * 
+ * FRONTEND REQUEST:
+ * POST /api/auth/change-password
+ * Headers: { Authorization: "Bearer <token>" }
+ * Body: { "currentPassword": "old123", "newPassword": "new456" }
+ * 
+ * BACKEND RESPONSE:
+ * { "message": "Password changed" }
+ * 
+ * Also clears must_change_password and signs out every OTHER device
+ * (this one stays logged in).
+ */
+const changePassword = async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+        return res.status(400).json({ error: 'Please provide current and new password' });
+    }
+    if (newPassword.length < 6) {
+        return res.status(400).json({ error: 'New password must be at least 6 characters' });
+    }
+    if (newPassword === currentPassword) {
+        return res.status(400).json({ error: 'New password must be different from the current one' });
+    }
+
+    try {
+        const userResult = await pool.query('SELECT password_hash FROM users WHERE id = $1', [req.user.id]);
+        const isMatch = await bcrypt.compare(currentPassword, userResult.rows[0].password_hash);
+
+        if (!isMatch) {
+            return res.status(400).json({ error: 'Current password is incorrect' });
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        const passwordHash = await bcrypt.hash(newPassword, salt);
+
+        await pool.query(
+            // Failed logins were guesses at the old password: they don't count against the new one
+            'UPDATE users SET password_hash = $1, must_change_password = FALSE, locked_until = NULL, failed_login_count = 0 WHERE id = $2',
+            [passwordHash, req.user.id]
+        );
+        await pool.query(
+            'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND id <> $2 AND revoked_at IS NULL',
+            [req.user.id, req.user.sid]
+        );
+        await logAudit(pool, req, { action: 'PASSWORD_CHANGED', entityType: 'user', entityId: req.user.id });
+
+        res.json({ message: 'Password changed' });
+
+    } catch (err) {
+        console.error('Change password error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * FORGOT PASSWORD (step 1 of reset)
+ * 
+ * Emails a one-time reset link: http://localhost:5173/reset-password/<token>
+ * 
+ * FRONTEND REQUEST:
+ * POST /api/auth/forgot-password
+ * Body: { "email": "john@example.com" }
+ * 
+ * BACKEND RESPONSE (always the same, whether or not the email exists and
+ * even if the email can't be sent, so nobody can use this form to find out
+ * who has an account; the email is sent after the response):
+ * { "message": "If that email is registered, a reset link has been sent" }
+ */
+const forgotPassword = async (req, res) => {
+    const { email } = req.body;
+
+    if (!email) {
+        return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const response = { message: 'If that email is registered, a reset link has been sent' };
+
+    try {
+        const userResult = await pool.query('SELECT id, is_active FROM users WHERE email = $1', [email]);
+        const user = userResult.rows[0];
+
+        if (!user || !user.is_active) {
+            return res.json(response);
+        }
+
+        const resetToken = generateRefreshToken();  // Same kind of random, URL-safe string
+        const expiresAt = new Date(Date.now() + RESET_TOKEN_MINUTES * 60 * 1000);
+
+        const insertQuery = `
+            INSERT INTO password_reset_tokens (id, user_id, token_hash, expires_at)
+            VALUES ($1, $2, $3, $4)
+        `;
+        await pool.query(insertQuery, [uuidv4(), user.id, hashToken(resetToken), expiresAt]);
+
+        const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+        // Not awaited: waiting for the mail server (or sending its error) would
+        // tell the caller that the account exists
+        sendMail({
+            to: email,
+            subject: 'Reset your password',
+            text: `Someone (hopefully you) asked to reset your password.\n\n` +
+                `Open this link within ${RESET_TOKEN_MINUTES} minutes to choose a new one:\n` +
+                `${clientUrl}/reset-password/${resetToken}\n\n` +
+                `If you didn't ask for this, you can ignore this email.`
+        }).catch(mailErr => console.error('Forgot password mail error:', mailErr));
+
+        res.json(response);
+
+    } catch (err) {
+        console.error('Forgot password error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * RESET PASSWORD (step 2 of reset)
+ * 
+ * FRONTEND REQUEST:
+ * POST /api/auth/reset-password
+ * Body: { "token": "<token from the emailed link>", "password": "new456" }
+ * 
+ * BACKEND RESPONSE:
+ * { "message": "Password has been reset. Please log in." }
+ * 
+ * Every session of the user is signed out, so whoever knew the old
+ * password is kicked out too. A lockout after failed logins ends as well.
+ */
+const resetPassword = async (req, res) => {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+        return res.status(400).json({ error: 'Token and new password are required' });
+    }
+    if (password.length < 6) {
+        return res.status(400).json({ error: 'New password must be at least 6 characters' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        // FOR UPDATE: the same link can't be used twice at the same moment
+        const tokenResult = await client.query(
+            'SELECT id, user_id, expires_at, used_at FROM password_reset_tokens WHERE token_hash = $1 FOR UPDATE',
+            [hashToken(token)]
+        );
+        const resetToken = tokenResult.rows[0];
+
+        if (!resetToken || resetToken.used_at || new Date(resetToken.expires_at) < new Date()) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        const passwordHash = await bcrypt.hash(password, salt);
+
+        await client.query(
+            // A reset also ends a lockout after failed logins (it may be why the user is here)
+            'UPDATE users SET password_hash = $1, must_change_password = FALSE, locked_until = NULL, failed_login_count = 0 WHERE id = $2',
+            [passwordHash, resetToken.user_id]
+        );
+        await client.query(
+            'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL',
+            [resetToken.user_id]
+        );
+        await client.query(
+            'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+            [resetToken.user_id]
+        );
+        await logAudit(client, req, {
+            action: 'PASSWORD_RESET',
+            entityType: 'user',
+            entityId: resetToken.user_id,
+            actorId: resetToken.user_id  // Nobody is logged in; the owner of the emailed link did it
+        });
+
+        await client.query('COMMIT');
+        res.json({ message: 'Password has been reset. Please log in.' });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Reset password error:', err);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+};
+
 // Export functions to be used in routes
-module.exports = { register, login };
+module.exports = {
+    register, login, refresh, logout,
+    getSessions, revokeSession, revokeOtherSessions,
+    changePassword, forgotPassword, resetPassword
+};
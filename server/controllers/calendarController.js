@@ -0,0 +1,329 @@
+/**
+ * CALENDAR CONTROLLER
+ *
+ * Admin management of the school calendar (school_calendar table):
+ * holidays, exam days, half days and extra working days.
+ *
+ * - List the entries of a date range (plus the weekly off days)
+ * - Add one day or a range of days (e.g. a vacation)
+ * - Change or remove an entry
+ * - Import holidays from an .ics file
+ *
+ * Attendance reports count expected school days from this calendar
+ * (see utils/calendarHelpers.js).
+ *
+ * Every route here requires the ADMIN role (see routes/adminRoutes.js).
+ */
+
+const pool = require('../db');
+const { logAudit } = require('../services/auditService');
+const { WEEKLY_OFF_DAYS } = require('../utils/calendarHelpers');
+const { parseIcsDays } = require('../utils/icsParser');
+
+const DAY_TYPES = ['WORKING', 'HOLIDAY', 'EXAM', 'HALF_DAY'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Longest range that can be added in one go
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * Every YYYY-MM-DD date from "from" to "to" (inclusive)
+ */
+const datesBetween = (from, to) => {
+    const dates = [];
+    const d = new Date(`${from}T00:00:00Z`);
+    const end = new Date(`${to}T00:00:00Z`);
+    while (d <= end && dates.length <= MAX_RANGE_DAYS) {
+        dates.push(d.toISOString().split('T')[0]);
+        d.setUTCDate(d.getUTCDate() + 1);
+    }
+    return dates;
+};
+
+/**
+ * LIST CALENDAR ENTRIES
+ *
+ * FRONTEND REQUEST:
+ * GET /api/admin/calendar?from=2026-10-01&to=2026-10-31
+ *
+ * BACKEND RESPONSE:
+ * {
+ *   "weekly_off_days": [6, 7],        // ISO weekdays without school (WEEKLY_OFF_DAYS in .env)
+ *   "days": [
+ *     { id: 4, date: "2026-10-20", day_type: "HOLIDAY", title: "Diwali" },
+ *     ...
+ *   ]
+ * }
+ */
+const listCalendar = async (req, res) => {
+    const { from, to } = req.query;
+
+    if (!DATE_PATTERN.test(from || '') || !DATE_PATTERN.test(to || '')) {
+        return res.status(400).json({ error: 'from and to must be YYYY-MM-DD' });
+    }
+
+    try {
+        const query = `
+            SELECT id, TO_CHAR(date, 'YYYY-MM-DD') as date, day_type, title
+            FROM school_calendar
+            WHERE date BETWEEN $1 AND $2
+            ORDER BY date
+        `;
+        const result = await pool.query(query, [from, to]);
+        res.json({ weekly_off_days: WEEKLY_OFF_DAYS, days: result.rows });
+
+    } catch (err) {
+        console.error('List calendar error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * ADD CALENDAR DAYS
+ *
+ * FRONTEND REQUEST:
+ * POST /api/admin/calendar
+ * Body: {
+ *   "date": "2026-10-20",
+ *   "end_date": "2026-10-24",     // optional: every day up to and including this one
+ *   "day_type": "HOLIDAY",        // WORKING, HOLIDAY, EXAM or HALF_DAY
+ *   "title": "Diwali vacation"    // optional
+ * }
+ *
+ * BACKEND RESPONSE:
+ * { "message": "5 day(s) added", "added": 5 }
+ *
+ * Refused if any of the days already has an entry (change or remove it first).
+ */
+const addCalendarDays = async (req, res) => {
+    const { date, end_date, day_type } = req.body;
+    const title = req.body.title?.trim() || null;
+
+    if (!DATE_PATTERN.test(date || '') || (end_date && !DATE_PATTERN.test(end_date))) {
+        return res.status(400).json({ error: 'Dates must be YYYY-MM-DD' });
+    }
+    if (end_date && end_date < date) {
+        return res.status(400).json({ error: 'End date must not be before the start date' });
+    }
+    if (!DAY_TYPES.includes(day_type)) {
+        return res.status(400).json({ error: 'Day type must be WORKING, HOLIDAY, EXAM or HALF_DAY' });
+    }
+
+    const dates = datesBetween(date, end_date || date);
+    if (dates.length > MAX_RANGE_DAYS) {
+        return res.status(400).json({ error: `At most ${MAX_RANGE_DAYS} days can be added at once` });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const taken = await client.query(
+            `SELECT TO_CHAR(date, 'YYYY-MM-DD') as date FROM school_calendar WHERE date = ANY($1::date[]) ORDER BY date`,
+            [dates]
+        );
+        if (taken.rows.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                error: `Already in the calendar: ${taken.rows.map(row => row.date).join(', ')}`
+            });
+        }
+
+        // unnest turns the array into one row per date
+        await client.query(
+            'INSERT INTO school_calendar (date, day_type, title) SELECT unnest($1::date[]), $2, $3',
+            [dates, day_type, title]
+        );
+
+        await logAudit(client, req, {
+            action: 'CALENDAR_DAYS_ADDED',
+            entityType: 'calendar',
+            entityId: end_date && end_date !== date ? `${date}..${end_date}` : date,
+            after: { day_type, title, days: dates.length }
+        });
+
+        await client.query('COMMIT');
+        res.status(201).json({ message: `${dates.length} day(s) added`, added: dates.length });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Add calendar days error:', err);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * CHANGE A CALENDAR ENTRY
+ *
+ * FRONTEND REQUEST:
+ * PATCH /api/admin/calendar/:id
+ * Body (any combination): { "day_type": "EXAM", "title": "Mid-term exams" }
+ *
+ * BACKEND RESPONSE:
+ * { "message": "Calendar updated" }
+ */
+const updateCalendarDay = async (req, res) => {
+    const { id } = req.params;
+    const { day_type, title } = req.body;
+
+    if (day_type === undefined && title === undefined) {
+        return res.status(400).json({ error: 'Nothing to update' });
+    }
+    if (day_type !== undefined && !DAY_TYPES.includes(day_type)) {
+        return res.status(400).json({ error: 'Day type must be WORKING, HOLIDAY, EXAM or HALF_DAY' });
+    }
+
+    try {
+        const current = await pool.query(
+            `SELECT TO_CHAR(date, 'YYYY-MM-DD') as date, day_type, title FROM school_calendar WHERE id = $1`,
+            [id]
+        );
+        const entry = current.rows[0];
+        if (!entry) return res.status(404).json({ error: 'Calendar entry not found' });
+
+        const updated = {
+            day_type: day_type !== undefined ? day_type : entry.day_type,
+            title: title !== undefined ? title?.trim() || null : entry.title
+        };
+
+        await pool.query('UPDATE school_calendar SET day_type = $1, title = $2 WHERE id = $3', [updated.day_type, updated.title, id]);
+
+        await logAudit(pool, req, {
+            action: 'CALENDAR_DAY_UPDATED',
+            entityType: 'calendar',
+            entityId: entry.date,
+            before: { day_type: entry.day_type, title: entry.title },
+            after: updated
+        });
+
+        res.json({ message: 'Calendar updated' });
+
+    } catch (err) {
+        console.error('Update calendar day error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * REMOVE A CALENDAR ENTRY
+ *
+ * FRONTEND REQUEST:
+ * DELETE /api/admin/calendar/:id
+ *
+ * BACKEND RESPONSE:
+ * { "message": "Calendar entry removed" }
+ *
+ * The day goes back to normal (a working day, or a weekly off day).
+ */
+const deleteCalendarDay = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const result = await pool.query(
+            `DELETE FROM school_calendar WHERE id = $1 RETURNING TO_CHAR(date, 'YYYY-MM-DD') as date, day_type, title`,
+            [id]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Calendar entry not found' });
+        }
+        const entry = result.rows[0];
+
+        await logAudit(pool, req, {
+            action: 'CALENDAR_DAY_DELETED',
+            entityType: 'calendar',
+            entityId: entry.date,
+            before: { day_type: entry.day_type, title: entry.title }
+        });
+
+        res.json({ message: 'Calendar entry removed' });
+
+    } catch (err) {
+        console.error('Delete calendar day error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * IMPORT AN ICS FILE
+ *
+ * Adds every day of every event in an .ics file (e.g. a public-holiday
+ * calendar). Days that already have an entry are left alone.
+ *
+ * FRONTEND REQUEST:
+ * POST /api/admin/calendar/import
+ * Body: {
+ *   "ics": "BEGIN:VCALENDAR\n...",   // contents of the file
+ *   "day_type": "HOLIDAY"            // optional, HOLIDAY by default
+ * }
+ *
+ * BACKEND RESPONSE:
+ * { "message": "12 day(s) imported, 2 skipped", "imported": 12, "skipped": 2 }
+ *
+ * A damaged file imports nothing: 400 { error: "Not a valid .ics file:
+ * Event 3 (Diwali) has no DTSTART" }
+ */
+const importCalendar = async (req, res) => {
+    const { ics } = req.body;
+    const day_type = req.body.day_type || 'HOLIDAY';
+
+    if (!ics || typeof ics !== 'string') {
+        return res.status(400).json({ error: 'ICS file contents are required' });
+    }
+    if (!DAY_TYPES.includes(day_type)) {
+        return res.status(400).json({ error: 'Day type must be WORKING, HOLIDAY, EXAM or HALF_DAY' });
+    }
+
+    let days;
+    try {
+        days = parseIcsDays(ics);
+    } catch (err) {
+        return res.status(400).json({ error: `Not a valid .ics file: ${err.message}` });
+    }
+
+    // One entry per date: the first event of a day wins
+    const byDate = new Map();
+    days.forEach(day => {
+        if (!byDate.has(day.date)) byDate.set(day.date, day.title);
+    });
+    if (byDate.size === 0) {
+        return res.status(400).json({ error: 'No events found in the file' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        let imported = 0;
+        for (const [date, title] of byDate) {
+            const result = await client.query(
+                'INSERT INTO school_calendar (date, day_type, title) VALUES ($1, $2, $3) ON CONFLICT (date) DO NOTHING',
+                [date, day_type, title]
+            );
+            imported += result.rowCount;
+        }
+        const skipped = byDate.size - imported;
+
+        await logAudit(client, req, {
+            action: 'CALENDAR_IMPORTED',
+            entityType: 'calendar',
+            entityId: 'ics',
+            after: { day_type, imported, skipped }
+        });
+
+        await client.query('COMMIT');
+        res.json({ message: `${imported} day(s) imported, ${skipped} skipped`, imported, skipped });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Import calendar error:', err);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = { listCalendar, addCalendarDays, updateCalendarDay, deleteCalendarDay, importCalendar };
@@ -0,0 +1,297 @@
+/**
+ * CHECK-IN CONTROLLER
+ *
+ * QR-code self check-in. A teacher opens a check-in session for a class
+ * (and optionally one lecture period) and shows its QR code in class.
+ * Students scan it from the student portal; the teacher then reviews who
+ * checked in and saves the attendance sheet as usual (markAttendanceBulk),
+ * so nothing is marked until the teacher has looked at it.
+ *
+ * WHO USES WHAT:
+ * - Teacher portal: /api/teacher/check-in-sessions   (open, show, close)
+ * - Student portal: POST /api/student/check-in       (scan)
+ *
+ * THE QR CODE:
+ * It links to the student portal with a code "<session>.<step>.<signature>"
+ * (checkInCode in utils/tokens.js). "step" counts CODE_SECONDS intervals,
+ * so the code changes every CODE_SECONDS and the teacher's screen fetches
+ * a new one. A scan is refused when:
+ * - the signature is wrong (a made-up code)
+ * - the step is older than the previous one (a photo passed around later)
+ * - the session is closed, or the student is not in its class
+ * - the student already checked in to this session (a replayed scan)
+ */
+
+const crypto = require('crypto');
+const pool = require('../db');
+const { checkInCode } = require('../utils/tokens');
+const { findPeriodForAttendance } = require('../utils/attendanceHelpers');
+const { localDate } = require('../utils/calendarHelpers');
+
+// The QR code changes this often; the previous one is still accepted (scanning takes a moment)
+const CODE_SECONDS = 15;
+
+// A session closes by itself after this long
+const SESSION_MINUTES = 15;
+
+const CODE_PATTERN = /^(\d{1,9})\.(\d{1,12})\.([A-Za-z0-9_-]{22})$/;
+
+// Current step of the QR code (see THE QR CODE above)
+const currentStep = () => Math.floor(Date.now() / 1000 / CODE_SECONDS);
+
+/**
+ * Loads a check-in session and checks that the teacher may see it
+ *
+ * @param {object} req - request (uses params.id, assignedClasses / seesWholeSchool)
+ * @returns {Promise<{ session?: object, status?: number, error?: string }>}
+ */
+const findSession = async (req) => {
+    const query = `
+        SELECT
+            cs.id,
+            cs.class_id,
+            c.name as class_name,
+            cs.period_id,
+            CASE WHEN p.id IS NOT NULL THEN 'P' || p.period_no || ' • ' || sub.name END as period_label,
+            TO_CHAR(cs.date, 'YYYY-MM-DD') as date,
+            cs.secret,
+            cs.closes_at,
+            cs.closed_at IS NULL AND cs.closes_at > NOW() as open
+        FROM check_in_sessions cs
+        JOIN classes c ON cs.class_id = c.id
+        LEFT JOIN periods p ON cs.period_id = p.id
+        LEFT JOIN subjects sub ON p.subject_id = sub.id
+        WHERE cs.id = $1
+    `;
+    const result = await pool.query(query, [parseInt(req.params.id) || 0]);
+    const session = result.rows[0];
+
+    if (!session) {
+        return { status: 404, error: 'Check-in session not found' };
+    }
+    if (!req.seesWholeSchool && !req.assignedClasses.includes(session.class_id)) {
+        return { status: 403, error: 'You are not assigned to this class' };
+    }
+    return { session };
+};
+
+/**
+ * OPEN A CHECK-IN SESSION (today)
+ *
+ * Any session of the class that is still open is closed first.
+ *
+ * FRONTEND REQUEST:
+ * POST /api/teacher/check-in-sessions
+ * Body: { "class_id": 3, "period_id": 5 }   // period_id optional: check in to one lecture
+ *
+ * BACKEND RESPONSE:
+ * 201 { "id": 7 }
+ */
+const openCheckInSession = async (req, res) => {
+    // A POST without a JSON body has no req.body at all
+    const { class_id, period_id } = req.body ?? {};
+    const today = localDate();
+
+    if (!class_id || class_id === 'All') {
+        return res.status(400).json({ error: 'Choose a class' });
+    }
+
+    if (period_id) {
+        try {
+            const found = await findPeriodForAttendance(req, period_id, today);
+            if (found.error) {
+                return res.status(found.status).json({ error: found.error });
+            }
+            if (found.period.class_id !== Number(class_id)) {
+                return res.status(400).json({ error: 'This period belongs to another class' });
+            }
+        } catch (err) {
+            console.error('Open check-in error:', err);
+            return res.status(500).json({ error: 'Server error' });
+        }
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        await client.query(
+            'UPDATE check_in_sessions SET closed_at = NOW() WHERE class_id = $1 AND closed_at IS NULL',
+            [class_id]
+        );
+
+        const insertQuery = `
+            INSERT INTO check_in_sessions (class_id, period_id, date, secret, opened_by, closes_at)
+            VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(mins => $6::int))
+            RETURNING id
+        `;
+        const secret = crypto.randomBytes(32).toString('hex');
+        const result = await client.query(insertQuery, [class_id, period_id || null, today, secret, req.user.id, SESSION_MINUTES]);
+
+        await client.query('COMMIT');
+        res.status(201).json({ id: result.rows[0].id });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Open check-in error:', err);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * SHOW A CHECK-IN SESSION
+ *
+ * The teacher's screen calls this every few seconds: it gets the current
+ * QR code and who has checked in so far.
+ *
+ * FRONTEND REQUEST:
+ * GET /api/teacher/check-in-sessions/7
+ *
+ * BACKEND RESPONSE:
+ * {
+ *   id: 7, class_id: 3, class_name: "10th-A", period_id: 5, period_label: "P2 • Mathematics",
+ *   date: "2026-02-13", closes_at: "...", open: true,
+ *   code: "7.118204455.Vd3k9XbT2q0LmWz8rA5ncQ",   // null once the session is closed
+ *   code_expires_in: 9,                          // seconds until the next code
+ *   students: [
+ *     { student_id: 12, name: "Jane Smith", roll_no: 25, checked_in_at: "..." },   // null = not checked in
+ *     ...
+ *   ]
+ * }
+ */
+const getCheckInSession = async (req, res) => {
+    try {
+        const found = await findSession(req);
+        if (found.error) {
+            return res.status(found.status).json({ error: found.error });
+        }
+        const { secret, ...session } = found.session;
+
+        const studentsQuery = `
+            SELECT s.id as student_id, s.name, s.roll_no, sc.scanned_at as checked_in_at
+            FROM students s
+            LEFT JOIN check_in_scans sc ON sc.student_id = s.id AND sc.session_id = $1
+            WHERE s.class_id = $2 AND s.is_active
+            ORDER BY s.roll_no ASC
+        `;
+        const studentsResult = await pool.query(studentsQuery, [session.id, session.class_id]);
+
+        const step = currentStep();
+        res.json({
+            ...session,
+            code: session.open ? checkInCode(session.id, step, secret) : null,
+            code_expires_in: Math.ceil((step + 1) * CODE_SECONDS - Date.now() / 1000),
+            students: studentsResult.rows
+        });
+
+    } catch (err) {
+        console.error('Get check-in error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * CLOSE A CHECK-IN SESSION
+ *
+ * FRONTEND REQUEST:
+ * POST /api/teacher/check-in-sessions/7/close
+ *
+ * BACKEND RESPONSE:
+ * { "message": "Check-in closed" }
+ */
+const closeCheckInSession = async (req, res) => {
+    try {
+        const found = await findSession(req);
+        if (found.error) {
+            return res.status(found.status).json({ error: found.error });
+        }
+
+        await pool.query('UPDATE check_in_sessions SET closed_at = NOW() WHERE id = $1 AND closed_at IS NULL', [found.session.id]);
+        res.json({ message: 'Check-in closed' });
+
+    } catch (err) {
+        console.error('Close check-in error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * CHECK IN (student scans the QR code)
+ *
+ * FRONTEND REQUEST:
+ * POST /api/student/check-in
+ * Body: { "code": "7.118204455.Vd3k9XbT2q0LmWz8rA5ncQ" }
+ *
+ * BACKEND RESPONSE:
+ * { "message": "You are checked in", "class_name": "10th-A", "period_label": "P2 • Mathematics" }
+ */
+const checkIn = async (req, res) => {
+    const code = req.body?.code;
+    const match = typeof code === 'string' ? CODE_PATTERN.exec(code.trim()) : null;
+
+    if (!match) {
+        return res.status(400).json({ error: 'This is not a check-in QR code' });
+    }
+    const [, sessionId, stepText, signature] = match;
+    const step = Number(stepText);
+
+    try {
+        const sessionQuery = `
+            SELECT
+                cs.id, cs.class_id, cs.secret, c.name as class_name,
+                CASE WHEN p.id IS NOT NULL THEN 'P' || p.period_no || ' • ' || sub.name END as period_label,
+                cs.closed_at IS NULL AND cs.closes_at > NOW() as open
+            FROM check_in_sessions cs
+            JOIN classes c ON cs.class_id = c.id
+            LEFT JOIN periods p ON cs.period_id = p.id
+            LEFT JOIN subjects sub ON p.subject_id = sub.id
+            WHERE cs.id = $1
+        `;
+        const sessionResult = await pool.query(sessionQuery, [sessionId]);
+        const session = sessionResult.rows[0];
+
+        // Compare signatures in constant time, so they can't be guessed byte by byte
+        const expected = session ? checkInCode(session.id, step, session.secret).split('.')[2] : null;
+        if (!expected || !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))) {
+            return res.status(400).json({ error: 'This is not a check-in QR code' });
+        }
+
+        const now = currentStep();
+        if (step > now || step < now - 1) {
+            return res.status(400).json({ error: 'This QR code has expired. Scan the one on the screen now.' });
+        }
+        if (!session.open) {
+            return res.status(400).json({ error: 'This check-in has closed' });
+        }
+
+        const studentResult = await pool.query('SELECT id, class_id FROM students WHERE user_id = $1 AND is_active', [req.user.id]);
+        const student = studentResult.rows[0];
+        if (!student) {
+            return res.status(404).json({ error: 'Student profile not found' });
+        }
+        if (student.class_id !== session.class_id) {
+            return res.status(403).json({ error: 'This check-in is for another class' });
+        }
+
+        const scanResult = await pool.query(
+            `INSERT INTO check_in_scans (session_id, student_id, code_step) VALUES ($1, $2, $3)
+             ON CONFLICT (session_id, student_id) DO NOTHING
+             RETURNING scanned_at`,
+            [session.id, student.id, step]
+        );
+        if (scanResult.rows.length === 0) {
+            return res.status(409).json({ error: 'You have already checked in' });
+        }
+
+        res.json({ message: 'You are checked in', class_name: session.class_name, period_label: session.period_label });
+
+    } catch (err) {
+        console.error('Check-in error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+module.exports = { openCheckInSession, getCheckInSession, closeCheckInSession, checkIn };
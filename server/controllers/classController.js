@@ -0,0 +1,421 @@
+/**
+ * CLASS CONTROLLER
+ *
+ * Admin management of classes (grade + section + academic year):
+ * - Listing classes with their class teacher and number of students
+ * - Creating a class
+ * - Choosing / clearing the class teacher
+ * - Assigning teachers to a class (teacher_classes) and removing them
+ * - Deleting an empty class
+ *
+ * Students point at a class through students.class_id; teachers are
+ * assigned to classes through teacher_classes. Teachers read their own
+ * classes from GET /api/teacher/classes.
+ *
+ * Every route here requires the ADMIN role (see routes/adminRoutes.js).
+ * Every change is recorded in audit_log.
+ */
+
+const pool = require('../db');
+const { currentAcademicYear, normalizeClass } = require('../utils/classHelpers');
+const { logAudit } = require('../services/auditService');
+const { ensureAcademicYear } = require('../utils/academicYearHelpers');
+
+/**
+ * LIST CLASSES
+ *
+ * FRONTEND REQUEST:
+ * GET /api/admin/classes?academic_year=2025-2026
+ * (the filter is optional)
+ *
+ * BACKEND RESPONSE:
+ * [
+ *   {
+ *     id: 3,
+ *     name: "10th-A",
+ *     grade: "10th",
+ *     section: "A",
+ *     academic_year: "2025-2026",
+ *     class_teacher_id: 2,
+ *     class_teacher_name: "John Doe",   // null if none chosen
+ *     student_count: 32,
+ *     teachers: [{ id: 2, name: "John Doe" }]   // everyone assigned (teacher_classes)
+ *   },
+ *   ...
+ * ]
+ */
+const listClasses = async (req, res) => {
+    const { academic_year } = req.query;
+
+    try {
+        let query = `
+            SELECT
+                c.id,
+                c.name,
+                c.grade,
+                c.section,
+                c.academic_year,
+                c.class_teacher_id,
+                t.name as class_teacher_name,
+                (SELECT COUNT(*) FROM students s WHERE s.class_id = c.id AND s.is_active)::int as student_count,
+                COALESCE((
+                    SELECT json_agg(json_build_object('id', ct.id, 'name', ct.name) ORDER BY ct.name)
+                    FROM teacher_classes tc
+                    JOIN teachers ct ON tc.teacher_id = ct.id
+                    WHERE tc.class_id = c.id
+                ), '[]') as teachers
+            FROM classes c
+            LEFT JOIN teachers t ON c.class_teacher_id = t.id
+        `;
+        // json_agg builds the teachers array inside PostgreSQL (one row per class)
+        const params = [];
+
+        if (academic_year && academic_year !== 'All') {
+            params.push(academic_year);
+            query += ` WHERE c.academic_year = $${params.length}`;
+        }
+
+        query += ' ORDER BY c.academic_year DESC, c.grade, c.section';
+
+        const result = await pool.query(query, params);
+        res.json(result.rows);
+
+    } catch (err) {
+        console.error('List classes error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * CREATE CLASS
+ *
+ * FRONTEND REQUEST:
+ * POST /api/admin/classes
+ * Body: {
+ *   "grade": "10th",
+ *   "section": "A",                  // optional
+ *   "academic_year": "2025-2026",    // optional, defaults to the current one
+ *   "class_teacher_id": 2            // optional (teachers.id)
+ * }
+ *
+ * BACKEND RESPONSE:
+ * { "message": "Class created", "class": { id: 3, name: "10th-A", ... } }
+ *
+ * The class teacher is also assigned to the class (teacher_classes),
+ * so they can take attendance for it straight away.
+ * A year that doesn't exist yet is created with the default dates
+ * (see utils/academicYearHelpers.js).
+ */
+const createClass = async (req, res) => {
+    const { grade, section, academic_year, class_teacher_id } = req.body;
+
+    if (!grade || !String(grade).trim()) {
+        return res.status(400).json({ error: 'Grade is required' });
+    }
+    if (academic_year && !/^\d{4}-\d{4}$/.test(academic_year)) {
+        return res.status(400).json({ error: 'Academic year must look like 2025-2026' });
+    }
+
+    const cleaned = normalizeClass(grade, section);
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        // Default: the academic year marked as current (or today's year if none is)
+        const currentYear = await client.query('SELECT name FROM academic_years WHERE is_current');
+        const year = academic_year || currentYear.rows[0]?.name || currentAcademicYear();
+        await ensureAcademicYear(client, year);
+
+        const existing = await client.query(
+            'SELECT id FROM classes WHERE grade = $1 AND section = $2 AND academic_year = $3',
+            [cleaned.grade, cleaned.section, year]
+        );
+        if (existing.rows.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: `Class ${cleaned.name} already exists for ${year}` });
+        }
+
+        if (class_teacher_id) {
+            const teacher = await client.query('SELECT id FROM teachers WHERE id = $1', [class_teacher_id]);
+            if (teacher.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: 'Teacher not found' });
+            }
+        }
+
+        const insertQuery = `
+            INSERT INTO classes (grade, section, academic_year, name, class_teacher_id)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING *
+        `;
+        const result = await client.query(insertQuery, [
+            cleaned.grade, cleaned.section, year, cleaned.name, class_teacher_id || null
+        ]);
+        const newClass = result.rows[0];
+
+        if (class_teacher_id) {
+            await client.query(
+                'INSERT INTO teacher_classes (teacher_id, class_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+                [class_teacher_id, newClass.id]
+            );
+        }
+
+        await logAudit(client, req, {
+            action: 'CLASS_CREATED',
+            entityType: 'class',
+            entityId: newClass.id,
+            after: { name: newClass.name, academic_year: year, class_teacher_id: newClass.class_teacher_id }
+        });
+
+        await client.query('COMMIT');
+        res.status(201).json({ message: 'Class created', class: newClass });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Create class error:', err);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * UPDATE CLASS (choose the class teacher)
+ *
+ * FRONTEND REQUEST:
+ * PATCH /api/admin/classes/:id
+ * Body: { "class_teacher_id": 2 }     // or null to clear it
+ *
+ * BACKEND RESPONSE:
+ * { "message": "Class updated" }
+ *
+ * The new class teacher is assigned to the class (teacher_classes) if they
+ * aren't already. Clearing the class teacher does not remove any assignment.
+ */
+const updateClass = async (req, res) => {
+    const { id } = req.params;
+    const { class_teacher_id } = req.body;
+
+    if (class_teacher_id === undefined) {
+        return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const classResult = await client.query('SELECT id, class_teacher_id FROM classes WHERE id = $1 FOR UPDATE', [id]);
+        if (classResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Class not found' });
+        }
+        const previous = classResult.rows[0];
+
+        if (class_teacher_id !== null) {
+            const teacher = await client.query('SELECT id FROM teachers WHERE id = $1', [class_teacher_id]);
+            if (teacher.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: 'Teacher not found' });
+            }
+
+            await client.query(
+                'INSERT INTO teacher_classes (teacher_id, class_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+                [class_teacher_id, id]
+            );
+        }
+
+        await client.query('UPDATE classes SET class_teacher_id = $1 WHERE id = $2', [class_teacher_id, id]);
+
+        if (previous.class_teacher_id !== class_teacher_id) {
+            await logAudit(client, req, {
+                action: 'CLASS_UPDATED',
+                entityType: 'class',
+                entityId: id,
+                before: { class_teacher_id: previous.class_teacher_id },
+                after: { class_teacher_id }
+            });
+        }
+
+        await client.query('COMMIT');
+        res.json({ message: 'Class updated' });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Update class error:', err);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * ASSIGN A TEACHER TO A CLASS
+ *
+ * FRONTEND REQUEST:
+ * POST /api/admin/classes/:id/teachers
+ * Body: { "teacher_id": 2 }
+ *
+ * BACKEND RESPONSE:
+ * { "message": "Teacher assigned" }
+ *
+ * The teacher then sees the class in their portal (dashboard, attendance
+ * sheet, reports and defaulters list).
+ */
+const assignTeacher = async (req, res) => {
+    const { id } = req.params;
+    const { teacher_id } = req.body;
+
+    if (!teacher_id) {
+        return res.status(400).json({ error: 'Teacher is required' });
+    }
+
+    try {
+        const classResult = await pool.query('SELECT id FROM classes WHERE id = $1', [id]);
+        if (classResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Class not found' });
+        }
+
+        const teacherResult = await pool.query('SELECT id FROM teachers WHERE id = $1', [teacher_id]);
+        if (teacherResult.rows.length === 0) {
+            return res.status(400).json({ error: 'Teacher not found' });
+        }
+
+        const insertResult = await pool.query(
+            'INSERT INTO teacher_classes (teacher_id, class_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+            [teacher_id, id]
+        );
+
+        // rowCount is 0 when the teacher was already assigned
+        if (insertResult.rowCount > 0) {
+            await logAudit(pool, req, {
+                action: 'CLASS_TEACHER_ASSIGNED',
+                entityType: 'class',
+                entityId: id,
+                after: { teacher_id }
+            });
+        }
+
+        res.json({ message: 'Teacher assigned' });
+
+    } catch (err) {
+        console.error('Assign teacher error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * REMOVE A TEACHER FROM A CLASS
+ *
+ * FRONTEND REQUEST:
+ * DELETE /api/admin/classes/:id/teachers/:teacherId
+ *
+ * BACKEND RESPONSE:
+ * { "message": "Teacher removed from class" }
+ *
+ * If the teacher was the class teacher, the class is left without one.
+ */
+const unassignTeacher = async (req, res) => {
+    const { id, teacherId } = req.params;
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const deleteResult = await client.query(
+            'DELETE FROM teacher_classes WHERE class_id = $1 AND teacher_id = $2',
+            [id, teacherId]
+        );
+        if (deleteResult.rowCount === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Teacher is not assigned to this class' });
+        }
+
+        await client.query(
+            'UPDATE classes SET class_teacher_id = NULL WHERE id = $1 AND class_teacher_id = $2',
+            [id, teacherId]
+        );
+
+        await logAudit(client, req, {
+            action: 'CLASS_TEACHER_UNASSIGNED',
+            entityType: 'class',
+            entityId: id,
+            before: { teacher_id: Number(teacherId) }
+        });
+
+        await client.query('COMMIT');
+        res.json({ message: 'Teacher removed from class' });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Unassign teacher error:', err);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * DELETE CLASS
+ *
+ * FRONTEND REQUEST:
+ * DELETE /api/admin/classes/:id
+ *
+ * BACKEND RESPONSE:
+ * { "message": "Class deleted" }
+ *
+ * Only empty classes can be deleted (move the students first).
+ * Classes of past years that had students are kept for the reports.
+ * Teacher assignments and pending invitations for the class are
+ * removed with it (ON DELETE CASCADE).
+ */
+const deleteClass = async (req, res) => {
+    const { id } = req.params;
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const classResult = await client.query('SELECT name, academic_year FROM classes WHERE id = $1 FOR UPDATE', [id]);
+        if (classResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Class not found' });
+        }
+
+        // Current students, or students who were in it in a past year
+        const studentResult = await client.query(
+            `SELECT (SELECT COUNT(*) FROM students WHERE class_id = $1)
+                  + (SELECT COUNT(*) FROM enrollments WHERE class_id = $1) as count`,
+            [id]
+        );
+        if (parseInt(studentResult.rows[0].count) > 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Only empty classes can be deleted' });
+        }
+
+        await client.query('DELETE FROM classes WHERE id = $1', [id]);
+
+        await logAudit(client, req, {
+            action: 'CLASS_DELETED',
+            entityType: 'class',
+            entityId: id,
+            before: classResult.rows[0]
+        });
+
+        await client.query('COMMIT');
+        res.json({ message: 'Class deleted' });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Delete class error:', err);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = { listClasses, createClass, updateClass, assignTeacher, unassignTeacher, deleteClass };
@@ -0,0 +1,424 @@
+/**
+ * CORRECTION CONTROLLER
+ *
+ * Attendance correction requests: a student who thinks a day was marked
+ * wrongly ("I was there, but I'm marked Absent") disputes it from their
+ * calendar with a comment. A teacher of the student's class accepts or
+ * rejects it.
+ *
+ * WHO USES WHAT:
+ * - Student portal: /api/student/corrections   (their own disputes)
+ * - Teacher portal: /api/teacher/corrections   (the inbox, limited to their classes)
+ *
+ * ACCEPTING:
+ * The day gets a whole-day mark with the requested status, saved like
+ * marks from the attendance sheet (utils/attendanceHelpers.js), so the
+ * change is in the audit log. A whole-day mark wins over lecture marks
+ * of the same day (see the daily_attendance view in database.sql).
+ */
+
+const pool = require('../db');
+const { logAudit } = require('../services/auditService');
+const { publishAttendanceChange, publishNotifications } = require('../services/liveEvents');
+const { notifyStudent, attendancePercentages, notifyLowAttendance } = require('../services/notificationService');
+const { classScope } = require('../middleware/classAccessMiddleware');
+const { ATTENDANCE_STATUSES, saveAttendanceMarks, statusLabel } = require('../utils/attendanceHelpers');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Longest comment a student may write
+const MAX_COMMENT_LENGTH = 1000;
+
+// Statuses a student may ask for (holidays come from the school calendar)
+const REQUESTABLE_STATUSES = ATTENDANCE_STATUSES.filter(status => status !== 'HOLIDAY');
+
+const CORRECTION_STATUSES = ['PENDING', 'ACCEPTED', 'REJECTED'];
+
+/**
+ * LIST MY CORRECTION REQUESTS (student)
+ *
+ * FRONTEND REQUEST:
+ * GET /api/student/corrections
+ *
+ * BACKEND RESPONSE:
+ * [
+ *   {
+ *     id: 3, date: "2026-02-12", current_status: "ABSENT", requested_status: "PRESENT",
+ *     comment: "I was at the science fair", status: "REJECTED",   // PENDING, ACCEPTED or REJECTED
+ *     review_note: "The fair was on the 13th", reviewed_at: "...", created_at: "..."
+ *   },
+ *   ...
+ * ]
+ */
+const listMyCorrections = async (req, res) => {
+    try {
+        const query = `
+            SELECT
+                ac.id,
+                TO_CHAR(ac.date, 'YYYY-MM-DD') as date,
+                ac.current_status,
+                ac.requested_status,
+                ac.comment,
+                ac.status,
+                ac.review_note,
+                ac.reviewed_at,
+                ac.created_at
+            FROM attendance_corrections ac
+            JOIN students s ON ac.student_id = s.id
+            WHERE s.user_id = $1
+            ORDER BY ac.date DESC, ac.id DESC
+        `;
+        const result = await pool.query(query, [req.user.id]);
+        res.json(result.rows);
+
+    } catch (err) {
+        console.error('List corrections error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * DISPUTE A DAY (student)
+ *
+ * FRONTEND REQUEST:
+ * POST /api/student/corrections
+ * Body: {
+ *   "date": "2026-02-12",
+ *   "requested_status": "PRESENT",    // optional, defaults to PRESENT
+ *   "comment": "I was at the science fair with Mr. Rao"
+ * }
+ *
+ * BACKEND RESPONSE:
+ * 201 { "message": "Correction request sent", "id": 3 }
+ *
+ * Only days that have a mark, up to today, can be disputed, and each day
+ * only once at a time (400 while an earlier request is pending).
+ */
+const createCorrection = async (req, res) => {
+    const { date, comment } = req.body;
+    const requestedStatus = req.body.requested_status || 'PRESENT';
+
+    if (!DATE_PATTERN.test(date || '')) {
+        return res.status(400).json({ error: 'Date must look like YYYY-MM-DD' });
+    }
+    if (!REQUESTABLE_STATUSES.includes(requestedStatus)) {
+        return res.status(400).json({ error: `Unknown attendance status: ${requestedStatus}` });
+    }
+    if (!comment || typeof comment !== 'string' || !comment.trim()) {
+        return res.status(400).json({ error: 'Please explain what is wrong' });
+    }
+    if (comment.length > MAX_COMMENT_LENGTH) {
+        return res.status(400).json({ error: `The comment can be at most ${MAX_COMMENT_LENGTH} characters` });
+    }
+
+    try {
+        const studentResult = await pool.query('SELECT id FROM students WHERE user_id = $1', [req.user.id]);
+        const student = studentResult.rows[0];
+        if (!student) {
+            return res.status(404).json({ error: 'Student profile not found' });
+        }
+
+        // The day's status as shown on the calendar (lecture marks rolled up)
+        const dayResult = await pool.query(
+            'SELECT status FROM daily_attendance WHERE student_id = $1 AND date = $2 AND date <= CURRENT_DATE',
+            [student.id, date]
+        );
+        const day = dayResult.rows[0];
+        if (!day) {
+            return res.status(400).json({ error: 'There is no attendance mark on this day to correct' });
+        }
+        if (day.status === requestedStatus) {
+            return res.status(400).json({ error: `This day is already marked ${requestedStatus}` });
+        }
+
+        const pendingResult = await pool.query(
+            "SELECT id FROM attendance_corrections WHERE student_id = $1 AND date = $2 AND status = 'PENDING'",
+            [student.id, date]
+        );
+        if (pendingResult.rows.length > 0) {
+            return res.status(400).json({ error: 'You already asked to correct this day' });
+        }
+
+        const insertQuery = `
+            INSERT INTO attendance_corrections (student_id, date, current_status, requested_status, comment, requested_by)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING id
+        `;
+        const result = await pool.query(insertQuery, [student.id, date, day.status, requestedStatus, comment.trim(), req.user.id]);
+
+        res.status(201).json({ message: 'Correction request sent', id: result.rows[0].id });
+
+    } catch (err) {
+        // Two requests for the same day at the same moment (unique pending index)
+        if (err.code === '23505') {
+            return res.status(400).json({ error: 'You already asked to correct this day' });
+        }
+        console.error('Create correction error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * LIST CORRECTION REQUESTS (teacher inbox)
+ *
+ * FRONTEND REQUEST:
+ * GET /api/teacher/corrections?status=PENDING&class_id=3   (both optional; status "ALL" = every status)
+ *
+ * BACKEND RESPONSE:
+ * [
+ *   {
+ *     id: 3, student_id: 12, student_name: "Jane Smith", class_name: "10th-A", roll_no: 25,
+ *     date: "2026-02-12",
+ *     current_status: "ABSENT",      // when the student disputed it
+ *     day_status: "ABSENT",          // the day's status now
+ *     requested_status: "PRESENT", comment: "...",
+ *     status: "PENDING", review_note: null, reviewed_at: null, created_at: "..."
+ *   },
+ *   ...
+ * ]
+ */
+const listCorrections = async (req, res) => {
+    const status = req.query.status || 'PENDING';
+
+    if (status !== 'ALL' && !CORRECTION_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Unknown correction status: ${status}` });
+    }
+
+    try {
+        const params = [];
+        let query = `
+            SELECT
+                ac.id,
+                s.id as student_id,
+                s.name as student_name,
+                c.name as class_name,
+                s.roll_no,
+                TO_CHAR(ac.date, 'YYYY-MM-DD') as date,
+                ac.current_status,
+                da.status as day_status,
+                ac.requested_status,
+                ac.comment,
+                ac.status,
+                ac.review_note,
+                ac.reviewed_at,
+                ac.created_at
+            FROM attendance_corrections ac
+            JOIN students s ON ac.student_id = s.id
+            LEFT JOIN classes c ON s.class_id = c.id
+            LEFT JOIN daily_attendance da ON da.student_id = ac.student_id AND da.date = ac.date
+            WHERE ${classScope(req, params)}
+        `;
+        if (status !== 'ALL') {
+            params.push(status);
+            query += ` AND ac.status = $${params.length}`;
+        }
+        query += status === 'PENDING' ? ' ORDER BY ac.created_at ASC' : ' ORDER BY ac.created_at DESC LIMIT 200';
+
+        const result = await pool.query(query, params);
+        res.json(result.rows);
+
+    } catch (err) {
+        console.error('List corrections error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * Locks a pending correction request the teacher is about to answer
+ *
+ * @param {object} client - transaction client
+ * @param {object} req - request (params.id, assignedClasses / seesWholeSchool)
+ * @returns {Promise<{ correction?: object, status?: number, error?: string }>}
+ */
+const lockPendingCorrection = async (client, req) => {
+    const query = `
+        SELECT
+            ac.id, ac.student_id, ac.status, ac.current_status, ac.requested_status,
+            TO_CHAR(ac.date, 'YYYY-MM-DD') as date,
+            s.name as student_name, s.class_id, s.is_active
+        FROM attendance_corrections ac
+        JOIN students s ON ac.student_id = s.id
+        WHERE ac.id = $1
+        FOR UPDATE OF ac
+    `;
+    const result = await client.query(query, [parseInt(req.params.id) || 0]);
+    const correction = result.rows[0];
+
+    if (!correction) {
+        return { status: 404, error: 'Correction request not found' };
+    }
+    if (!req.seesWholeSchool && !req.assignedClasses.includes(correction.class_id)) {
+        return { status: 403, error: 'You are not assigned to this class' };
+    }
+    if (correction.status !== 'PENDING') {
+        return { status: 400, error: `This correction request was already ${correction.status.toLowerCase()}` };
+    }
+    return { correction };
+};
+
+/**
+ * Reads the teacher's note on a decision. Requests without a JSON body
+ * have no req.body at all.
+ *
+ * @param {object} req - Express request
+ * @returns {{ note: string|null } | { error: string }}
+ */
+const readReviewNote = (req) => {
+    const note = req.body?.note;
+    if (note === undefined || note === null) return { note: null };
+    if (typeof note !== 'string') {
+        return { error: 'The note must be text' };
+    }
+    if (note.length > MAX_COMMENT_LENGTH) {
+        return { error: `The note can be at most ${MAX_COMMENT_LENGTH} characters` };
+    }
+    return { note: note.trim() || null };
+};
+
+/**
+ * ACCEPT CORRECTION REQUEST
+ *
+ * FRONTEND REQUEST:
+ * POST /api/teacher/corrections/3/accept
+ * Body: { "note": "Sorry, my mistake" }   // optional
+ *
+ * BACKEND RESPONSE:
+ * { "message": "Attendance corrected" }
+ *
+ * The new mark, the request and the notifications (student and guardians)
+ * are saved in ONE transaction.
+ */
+const acceptCorrection = async (req, res) => {
+    const review = readReviewNote(req);
+    if (review.error) {
+        return res.status(400).json({ error: review.error });
+    }
+    const { note } = review;
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const found = await lockPendingCorrection(client, req);
+        if (found.error) {
+            await client.query('ROLLBACK');
+            return res.status(found.status).json({ error: found.error });
+        }
+        const correction = found.correction;
+
+        // Deactivated students keep their old marks but get no new ones
+        if (!correction.is_active) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: `${correction.student_name} has been deactivated` });
+        }
+
+        const before = await attendancePercentages(client, [correction.student_id]);
+        const { saved } = await saveAttendanceMarks(client, req, {
+            date: correction.date,
+            records: [{ student_id: correction.student_id, status: correction.requested_status }]
+        });
+
+        await client.query(
+            "UPDATE attendance_corrections SET status = 'ACCEPTED', reviewed_by = $1, reviewed_at = CURRENT_TIMESTAMP, review_note = $2 WHERE id = $3",
+            [req.user.id, note, correction.id]
+        );
+
+        await logAudit(client, req, {
+            action: 'CORRECTION_ACCEPTED',
+            entityType: 'attendance_correction',
+            entityId: correction.id,
+            before: { status: 'PENDING', attendance: correction.current_status },
+            after: { status: 'ACCEPTED', attendance: correction.requested_status, student_id: correction.student_id, date: correction.date }
+        });
+
+        const change = `${statusLabel(correction.current_status)} → ${statusLabel(correction.requested_status)}`;
+        const notified = [
+            ...await notifyStudent(client, correction.student_id, {
+                type: 'CORRECTION_ACCEPTED',
+                title: 'Attendance corrected',
+                message: `${correction.student_name}, ${correction.date}: ${change}${note ? ` (${note})` : ''}`
+            }),
+            ...await notifyLowAttendance(client, [correction.student_id], before)
+        ];
+
+        await client.query('COMMIT');
+        if (saved > 0) publishAttendanceChange({ dates: [correction.date], studentIds: [correction.student_id] });
+        publishNotifications(notified);
+        res.json({ message: 'Attendance corrected' });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Accept correction error:', err);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * REJECT CORRECTION REQUEST
+ *
+ * FRONTEND REQUEST:
+ * POST /api/teacher/corrections/3/reject
+ * Body: { "note": "You were not in class that day" }   // required: the student sees it
+ *
+ * BACKEND RESPONSE:
+ * { "message": "Correction request rejected" }
+ */
+const rejectCorrection = async (req, res) => {
+    const review = readReviewNote(req);
+    if (review.error) {
+        return res.status(400).json({ error: review.error });
+    }
+    const { note } = review;
+
+    if (!note) {
+        return res.status(400).json({ error: 'Please give the student a reason' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const found = await lockPendingCorrection(client, req);
+        if (found.error) {
+            await client.query('ROLLBACK');
+            return res.status(found.status).json({ error: found.error });
+        }
+        const correction = found.correction;
+
+        await client.query(
+            "UPDATE attendance_corrections SET status = 'REJECTED', reviewed_by = $1, reviewed_at = CURRENT_TIMESTAMP, review_note = $2 WHERE id = $3",
+            [req.user.id, note, correction.id]
+        );
+
+        await logAudit(client, req, {
+            action: 'CORRECTION_REJECTED',
+            entityType: 'attendance_correction',
+            entityId: correction.id,
+            before: { status: 'PENDING' },
+            after: { status: 'REJECTED', student_id: correction.student_id, date: correction.date, note }
+        });
+
+        const notified = await notifyStudent(client, correction.student_id, {
+            type: 'CORRECTION_REJECTED',
+            title: 'Correction request rejected',
+            message: `${correction.student_name}, ${correction.date}: ${note}`
+        });
+
+        await client.query('COMMIT');
+        publishNotifications(notified);
+        res.json({ message: 'Correction request rejected' });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Reject correction error:', err);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = { listMyCorrections, createCorrection, listCorrections, acceptCorrection, rejectCorrection };
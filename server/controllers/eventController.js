@@ -0,0 +1,93 @@
+/**
+ * EVENT CONTROLLER
+ *
+ * The live update stream of the dashboards (see services/liveEvents.js).
+ *
+ * WHO GETS WHAT:
+ * - Teachers: changes in their assigned classes (admins: the whole school)
+ * - Students: changes to their own attendance and leave requests
+ * - Guardians: the same for every linked student
+ * - Everyone: a message when they get a new notification
+ *
+ * The audience is worked out once, when the stream opens: a teacher who is
+ * assigned a new class sees it after reconnecting (e.g. reloading the page).
+ * The login is checked again on every heartbeat: the stream ends when the
+ * access token expires, the session is signed out or the account is disabled
+ * (see heartbeat in services/liveEvents.js).
+ */
+
+const pool = require('../db');
+const { getAssignedClasses } = require('../middleware/classAccessMiddleware');
+const { subscribe } = require('../services/liveEvents');
+
+// Browsers wait this long before reconnecting after the stream breaks
+const RETRY_MS = 5000;
+
+/**
+ * Classes and students the logged-in user may hear about
+ *
+ * @param {object} user - req.user
+ * @returns {Promise<{ userId: string, wholeSchool: boolean, classIds: number[], studentIds: number[] }>}
+ */
+const findAudience = async (user) => {
+    const audience = { userId: user.id, wholeSchool: user.role === 'ADMIN', classIds: [], studentIds: [] };
+
+    if (user.role === 'TEACHER') {
+        audience.classIds = await getAssignedClasses(user.id);
+    } else if (user.role === 'STUDENT') {
+        const result = await pool.query('SELECT id FROM students WHERE user_id = $1', [user.id]);
+        audience.studentIds = result.rows.map(row => row.id);
+    } else if (user.role === 'GUARDIAN') {
+        const query = `
+            SELECT gs.student_id
+            FROM guardians g
+            JOIN guardian_students gs ON gs.guardian_id = g.id
+            WHERE g.user_id = $1
+        `;
+        const result = await pool.query(query, [user.id]);
+        audience.studentIds = result.rows.map(row => row.student_id);
+    }
+    return audience;
+};
+
+/**
+ * OPEN THE LIVE UPDATE STREAM
+ *
+ * FRONTEND REQUEST:
+ * GET /api/events
+ * Headers: Authorization: Bearer <token>
+ *
+ * BACKEND RESPONSE (text/event-stream, stays open):
+ * retry: 5000
+ *
+ * event: ready
+ * data: {}
+ *
+ * event: attendance
+ * data: {"dates":["2026-02-13"],"class_ids":[3]}
+ * ...
+ */
+const streamEvents = async (req, res) => {
+    let audience;
+    try {
+        audience = await findAudience(req.user);
+    } catch (err) {
+        console.error('Event stream error:', err);
+        return res.status(500).json({ error: 'Server error' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'   // nginx: don't hold messages back
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\nevent: ready\ndata: {}\n\n`);
+
+    // "exp" of a JWT is in seconds
+    const unsubscribe = subscribe(res, audience, { id: req.user.sid, expiresAt: req.user.exp * 1000 });
+    req.on('close', unsubscribe);
+};
+
+module.exports = { streamEvents };
@@ -0,0 +1,154 @@
+/**
+ * GUARDIAN CONTROLLER
+ *
+ * Guardian (parent) portal endpoints:
+ * - The list of children linked to the logged-in guardian
+ * - Absence notes: explaining why a child is (or will be) away
+ *
+ * A child's dashboard and attendance calendar come from the student
+ * controller (see routes/guardianRoutes.js). Every /children/:studentId
+ * route first checks the link (middleware/guardianAccessMiddleware.js).
+ *
+ * Teachers link guardians to students from the student detail page
+ * (teacherController.js: linkGuardian / unlinkGuardian).
+ */
+
+const pool = require('../db');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Longest note a guardian may write
+const MAX_REASON_LENGTH = 1000;
+
+/**
+ * LIST CHILDREN
+ *
+ * FRONTEND REQUEST:
+ * GET /api/guardian/children
+ *
+ * BACKEND RESPONSE:
+ * [
+ *   { id: 12, name: "Jane Smith", student_id_code: "STD012", class_name: "10th-A", roll_no: 25, relationship: "Mother", is_active: true },
+ *   ...
+ * ]
+ */
+const listChildren = async (req, res) => {
+    try {
+        const query = `
+            SELECT
+                s.id,
+                s.name,
+                s.student_id_code,
+                c.name as class_name,
+                s.roll_no,
+                gs.relationship,
+                s.is_active
+            FROM guardians g
+            JOIN guardian_students gs ON gs.guardian_id = g.id
+            JOIN students s ON gs.student_id = s.id
+            LEFT JOIN classes c ON s.class_id = c.id
+            WHERE g.user_id = $1
+            ORDER BY s.name
+        `;
+        const result = await pool.query(query, [req.user.id]);
+        res.json(result.rows);
+
+    } catch (err) {
+        console.error('List children error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * LIST ABSENCE NOTES
+ *
+ * Notes sent for one child (by any of the child's guardians), newest first
+ *
+ * FRONTEND REQUEST:
+ * GET /api/guardian/children/12/absence-notes
+ *
+ * BACKEND RESPONSE:
+ * [
+ *   {
+ *     id: 4, from_date: "2026-02-16", to_date: "2026-02-17", reason: "Fever",
+ *     guardian_name: "Mary Smith", created_at: "...", acknowledged_at: null   // null = not read yet
+ *   },
+ *   ...
+ * ]
+ */
+const listAbsenceNotes = async (req, res) => {
+    try {
+        const query = `
+            SELECT
+                n.id,
+                TO_CHAR(n.from_date, 'YYYY-MM-DD') as from_date,
+                TO_CHAR(n.to_date, 'YYYY-MM-DD') as to_date,
+                n.reason,
+                g.name as guardian_name,
+                n.created_at,
+                n.acknowledged_at
+            FROM absence_notes n
+            LEFT JOIN guardians g ON n.guardian_id = g.id
+            WHERE n.student_id = $1
+            ORDER BY n.from_date DESC, n.id DESC
+        `;
+        const result = await pool.query(query, [req.studentId]);
+        res.json(result.rows);
+
+    } catch (err) {
+        console.error('List absence notes error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * SEND ABSENCE NOTE
+ *
+ * FRONTEND REQUEST:
+ * POST /api/guardian/children/12/absence-notes
+ * Body: {
+ *   "from_date": "2026-02-16",
+ *   "to_date": "2026-02-17",     // optional, defaults to from_date
+ *   "reason": "Fever, seeing a doctor"
+ * }
+ *
+ * BACKEND RESPONSE:
+ * 201 { "message": "Absence note sent", "id": 4 }
+ *
+ * The note is shown to the child's teachers; it does not change any
+ * attendance mark by itself.
+ */
+const createAbsenceNote = async (req, res) => {
+    const { from_date, reason } = req.body;
+    const to_date = req.body.to_date || from_date;
+
+    if (!DATE_PATTERN.test(from_date || '') || !DATE_PATTERN.test(to_date)) {
+        return res.status(400).json({ error: 'Dates must look like YYYY-MM-DD' });
+    }
+    if (to_date < from_date) {
+        return res.status(400).json({ error: 'The last day cannot be before the first day' });
+    }
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+        return res.status(400).json({ error: 'Please write a reason' });
+    }
+    if (reason.length > MAX_REASON_LENGTH) {
+        return res.status(400).json({ error: `The reason can be at most ${MAX_REASON_LENGTH} characters` });
+    }
+
+    try {
+        const insertQuery = `
+            INSERT INTO absence_notes (student_id, guardian_id, from_date, to_date, reason)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING id
+        `;
+        const result = await pool.query(insertQuery, [req.studentId, req.guardianId, from_date, to_date, reason.trim()]);
+
+        res.status(201).json({ message: 'Absence note sent', id: result.rows[0].id });
+
+    } catch (err) {
+        console.error('Create absence note error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+module.exports = { listChildren, listAbsenceNotes, createAbsenceNote };
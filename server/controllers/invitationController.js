@@ -0,0 +1,288 @@
+/**
+ * INVITATION CONTROLLER
+ *
+ * Invite-only account creation (replaces open self-registration).
+ *
+ * FLOW OVERVIEW:
+ * 1. An admin (or a teacher, for students in their classes) creates an invitation
+ * 2. The backend stores the invitation and returns a signed, one-time link:
+ *    http://localhost:5173/invite/<token>
+ * 3. The invitee opens the link; the frontend shows who/what the invite is for
+ * 4. The invitee enters their name and chooses a password
+ * 5. The backend creates the account and marks the invitation as used
+ *
+ * WHO CAN INVITE WHOM:
+ * - ADMIN   → TEACHER (optionally assigned to a class) or STUDENT (any class)
+ * - TEACHER → STUDENT, only into classes they are assigned to
+ * This is the ONLY way to get a TEACHER account.
+ *
+ * THE TOKEN:
+ * A JWT signed with JWT_SECRET containing the invitation ID.
+ * The signature stops anyone from forging links; the accepted_at column
+ * makes each link usable only once.
+ */
+
+const pool = require('../db');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { getAssignedClasses } = require('../middleware/classAccessMiddleware');
+const { isRollNumberTaken, generateStudentIdCode, enrollStudent } = require('../utils/studentHelpers');
+const { logAudit } = require('../services/auditService');
+const { publishStudentAdded } = require('../services/liveEvents');
+
+const INVITE_EXPIRY_DAYS = 7;
+
+/**
+ * Reads and checks the signed invite token from the URL
+ *
+ * @param {string} token - token from /invite/<token>
+ * @returns {string|null} - invitation ID, or null if the token is forged/expired
+ */
+const verifyInviteToken = (token) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'secret123');
+        return decoded.purpose === 'invite' ? decoded.inviteId : null;
+    } catch (err) {
+        return null;
+    }
+};
+
+/**
+ * CREATE INVITATION
+ *
+ * FRONTEND REQUEST:
+ * POST /api/invitations
+ * Body: {
+ *   "email": "jane@school.com",
+ *   "role": "STUDENT",        // or "TEACHER" (admins only)
+ *   "class_id": 3,            // required for students (optional class assignment for teachers)
+ *   "roll_no": 25             // required for students
+ * }
+ *
+ * BACKEND RESPONSE:
+ * {
+ *   "message": "Invitation created",
+ *   "inviteLink": "http://localhost:5173/invite/eyJhbGciOi...",
+ *   "expiresAt": "2026-02-20T10:00:00.000Z"
+ * }
+ */
+const createInvitation = async (req, res) => {
+    const { email, role, class_id, roll_no } = req.body;
+
+    if (!email) return res.status(400).json({ error: 'Email is required' });
+    if (!['STUDENT', 'TEACHER'].includes(role)) {
+        return res.status(400).json({ error: 'Role must be STUDENT or TEACHER' });
+    }
+    if (role === 'STUDENT' && !class_id) return res.status(400).json({ error: 'Class is required' });
+    if (role === 'STUDENT' && !roll_no) return res.status(400).json({ error: 'Roll number is required' });
+
+    if (req.user.role === 'TEACHER' && role !== 'STUDENT') {
+        return res.status(403).json({ error: 'Only admins can invite teachers' });
+    }
+
+    try {
+        // Teachers may only invite students into their own classes
+        if (req.user.role === 'TEACHER') {
+            const assignedClasses = await getAssignedClasses(req.user.id);
+            if (!assignedClasses.includes(Number(class_id))) {
+                return res.status(403).json({ error: 'You are not assigned to this class' });
+            }
+        }
+
+        if (class_id) {
+            const classResult = await pool.query('SELECT id FROM classes WHERE id = $1', [class_id]);
+            if (classResult.rows.length === 0) {
+                return res.status(400).json({ error: 'Class not found' });
+            }
+        }
+
+        const existingResult = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
+        if (existingResult.rows.length > 0) {
+            return res.status(400).json({ error: 'User already exists' });
+        }
+
+        const inviteId = uuidv4();
+        const expiresAt = new Date(Date.now() + INVITE_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+
+        const insertQuery = `
+            INSERT INTO invitations (id, email, role, class_id, roll_no, invited_by, expires_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+        `;
+        await pool.query(insertQuery, [
+            inviteId, email, role, class_id || null, role === 'STUDENT' ? roll_no : null, req.user.id, expiresAt
+        ]);
+
+        const token = jwt.sign(
+            { inviteId, purpose: 'invite' },
+            process.env.JWT_SECRET || 'secret123',
+            { expiresIn: `${INVITE_EXPIRY_DAYS}d` }
+        );
+        const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+
+        res.status(201).json({
+            message: 'Invitation created',
+            inviteLink: `${clientUrl}/invite/${token}`,
+            expiresAt
+        });
+
+    } catch (err) {
+        console.error('Create invitation error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * GET INVITATION DETAILS (public)
+ *
+ * Lets the "accept invite" page show who the invite is for
+ * before the user chooses a password.
+ *
+ * FRONTEND REQUEST:
+ * GET /api/invitations/<token>
+ *
+ * BACKEND RESPONSE:
+ * { "email": "jane@school.com", "role": "STUDENT", "class_name": "10th-A" }
+ */
+const getInvitation = async (req, res) => {
+    const inviteId = verifyInviteToken(req.params.token);
+    if (!inviteId) {
+        return res.status(400).json({ error: 'Invitation link is invalid or has expired' });
+    }
+
+    try {
+        const query = `
+            SELECT i.email, i.role, c.name as class_name, i.expires_at, i.accepted_at
+            FROM invitations i
+            LEFT JOIN classes c ON i.class_id = c.id
+            WHERE i.id = $1
+        `;
+        const result = await pool.query(query, [inviteId]);
+        const invitation = result.rows[0];
+
+        if (!invitation || invitation.accepted_at || new Date(invitation.expires_at) < new Date()) {
+            return res.status(400).json({ error: 'Invitation link is invalid or has expired' });
+        }
+
+        res.json({
+            email: invitation.email,
+            role: invitation.role,
+            class_name: invitation.class_name
+        });
+
+    } catch (err) {
+        console.error('Get invitation error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * ACCEPT INVITATION (public)
+ *
+ * FRONTEND REQUEST:
+ * POST /api/invitations/<token>/accept
+ * Body: { "name": "Jane Smith", "password": "myOwnPassword" }
+ *
+ * BACKEND RESPONSE:
+ * { "message": "Account created successfully", "email": "jane@school.com" }
+ *
+ * DATABASE TRANSACTION:
+ * SELECT ... FOR UPDATE locks the invitation row, so two requests using
+ * the same link at the same time cannot both create an account.
+ */
+const acceptInvitation = async (req, res) => {
+    const { name, password } = req.body;
+
+    if (!name) return res.status(400).json({ error: 'Name is required' });
+    if (!password) return res.status(400).json({ error: 'Password is required' });
+
+    const inviteId = verifyInviteToken(req.params.token);
+    if (!inviteId) {
+        return res.status(400).json({ error: 'Invitation link is invalid or has expired' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const inviteResult = await client.query('SELECT * FROM invitations WHERE id = $1 FOR UPDATE', [inviteId]);
+        const invitation = inviteResult.rows[0];
+
+        if (!invitation || invitation.accepted_at || new Date(invitation.expires_at) < new Date()) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Invitation link is invalid or has expired' });
+        }
+
+        const existingResult = await client.query('SELECT id FROM users WHERE email = $1', [invitation.email]);
+        if (existingResult.rows.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'User already exists' });
+        }
+
+        const userId = uuidv4();
+        const salt = await bcrypt.genSalt(10);
+        const passwordHash = await bcrypt.hash(password, salt);
+
+        const insertUserQuery = `
+            INSERT INTO users (id, email, password_hash, role)
+            VALUES ($1, $2, $3, $4)
+        `;
+        await client.query(insertUserQuery, [userId, invitation.email, passwordHash, invitation.role]);
+
+        if (invitation.role === 'STUDENT') {
+            // Same checks as the teacher "Add Student" form
+            if (await isRollNumberTaken(client, invitation.class_id, invitation.roll_no)) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({
+                    error: `Roll number ${invitation.roll_no} is already taken in this class. Ask your teacher for a new invitation.`
+                });
+            }
+
+            const studentIdCode = await generateStudentIdCode(client, invitation.class_id);
+            const insertStudentQuery = `
+                INSERT INTO students (user_id, name, class_id, roll_no, student_id_code)
+                VALUES ($1, $2, $3, $4, $5)
+                RETURNING id
+            `;
+            const studentResult = await client.query(insertStudentQuery, [userId, name, invitation.class_id, invitation.roll_no, studentIdCode]);
+            await enrollStudent(client, studentResult.rows[0].id, invitation.class_id, invitation.roll_no);
+        } else {
+            const teacherResult = await client.query(
+                'INSERT INTO teachers (user_id, name) VALUES ($1, $2) RETURNING id',
+                [userId, name]
+            );
+
+            // Teacher invites can come with their first class assignment
+            if (invitation.class_id) {
+                await client.query(
+                    'INSERT INTO teacher_classes (teacher_id, class_id) VALUES ($1, $2)',
+                    [teacherResult.rows[0].id, invitation.class_id]
+                );
+            }
+        }
+
+        await client.query('UPDATE invitations SET accepted_at = CURRENT_TIMESTAMP WHERE id = $1', [inviteId]);
+
+        await logAudit(client, req, {
+            action: 'USER_CREATED',
+            entityType: 'user',
+            entityId: userId,
+            actorId: userId,
+            after: { email: invitation.email, role: invitation.role, name, class_id: invitation.class_id, invited_by: invitation.invited_by }
+        });
+
+        await client.query('COMMIT');
+        if (invitation.role === 'STUDENT') publishStudentAdded(invitation.class_id);
+        res.status(201).json({ message: 'Account created successfully', email: invitation.email });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Accept invitation error:', err);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = { createInvitation, getInvitation, acceptInvitation };
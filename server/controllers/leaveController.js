@@ -0,0 +1,623 @@
+/**
+ * LEAVE CONTROLLER
+ *
+ * Leave requests: a student (or their guardian) asks for leave for a date
+ * range, with a reason and optionally an attachment (e.g. a doctor's note).
+ * A teacher of the student's class approves or rejects it.
+ *
+ * WHO USES WHAT:
+ * - Student portal:  /api/student/leave-requests               (their own requests)
+ * - Guardian portal: /api/guardian/children/12/leave-requests  (guardianAccessMiddleware sets req.studentId)
+ * - Teacher portal:  /api/teacher/leave-requests               (the approvals inbox, limited to their classes)
+ *
+ * APPROVING:
+ * Every school day of the range (utils/calendarHelpers.js: holidays and
+ * weekly off days are skipped) gets a whole-day LEAVE_ATTENDANCE_STATUS
+ * mark (EXCUSED by default), saved like marks from the attendance sheet
+ * (utils/attendanceHelpers.js) and written to the audit log. Marks already
+ * on those days are replaced. Rejecting changes no marks.
+ */
+
+const pool = require('../db');
+const { logAudit } = require('../services/auditService');
+const { publishAttendanceChange, publishLeaveDecision, publishNotifications } = require('../services/liveEvents');
+const { notifyStudent, attendancePercentages, notifyLowAttendance } = require('../services/notificationService');
+const { classScope } = require('../middleware/classAccessMiddleware');
+const { workingDaysSql } = require('../utils/calendarHelpers');
+const { ATTENDANCE_STATUSES, saveAttendanceMarks } = require('../utils/attendanceHelpers');
+
+// Status written for the days of an approved leave request
+const LEAVE_ATTENDANCE_STATUS = process.env.LEAVE_ATTENDANCE_STATUS || 'EXCUSED';
+
+if (!ATTENDANCE_STATUSES.includes(LEAVE_ATTENDANCE_STATUS)) {
+    throw new Error(`LEAVE_ATTENDANCE_STATUS must be one of ${ATTENDANCE_STATUSES.join(', ')}`);
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Longest reason a student or guardian may write
+const MAX_REASON_LENGTH = 1000;
+
+// Largest attachment (the JSON body limit is 1mb, and base64 adds a third)
+const MAX_ATTACHMENT_BYTES = 512 * 1024;
+
+// Accepted attachments: file extension → content type
+const ATTACHMENT_TYPES = {
+    pdf: 'application/pdf',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png'
+};
+
+// First bytes of each attachment type: a renamed HTML or SVG file can't pass as a .pdf
+const FILE_SIGNATURES = {
+    'application/pdf': Buffer.from('%PDF-'),
+    'image/jpeg': Buffer.from([0xff, 0xd8, 0xff]),
+    'image/png': Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+};
+
+const LEAVE_STATUSES = ['PENDING', 'APPROVED', 'REJECTED'];
+
+/**
+ * The student a student-portal or guardian-portal request is about:
+ * the guardian's child (req.studentId) or the logged-in student
+ *
+ * @param {object} req
+ * @returns {Promise<number|null>} - students.id, null when the user has no student profile
+ */
+const findStudentId = async (req) => {
+    if (req.studentId) return req.studentId;
+
+    const result = await pool.query('SELECT id FROM students WHERE user_id = $1', [req.user.id]);
+    return result.rows[0] ? result.rows[0].id : null;
+};
+
+/**
+ * Sends a leave request's attachment as a file download
+ *
+ * @param {object} res - Express response
+ * @param {object|undefined} leave - row with attachment, attachment_name, attachment_type
+ */
+const sendAttachment = (res, leave) => {
+    if (!leave || !leave.attachment) {
+        return res.status(404).json({ error: 'Attachment not found' });
+    }
+    // Headers only carry ASCII: filename is a plain fallback, browsers use the
+    // UTF-8 filename* ("Arztbrief_Müller.pdf" → filename="Arztbrief_M_ller.pdf")
+    const name = leave.attachment_name;
+    const asciiName = name.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    const encodedName = encodeURIComponent(name).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+    res.set('Content-Type', leave.attachment_type);
+    // The file came from a student or guardian: browsers must not guess another type (e.g. HTML)
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.set('Content-Disposition', `attachment; filename="${asciiName}"; filename*=UTF-8''${encodedName}`);
+    res.send(leave.attachment);
+};
+
+/**
+ * LIST MY LEAVE REQUESTS (student / guardian)
+ *
+ * FRONTEND REQUEST:
+ * GET /api/student/leave-requests
+ * GET /api/guardian/children/12/leave-requests
+ *
+ * BACKEND RESPONSE:
+ * [
+ *   {
+ *     id: 7, from_date: "2026-02-16", to_date: "2026-02-18", reason: "Family wedding",
+ *     attachment_name: "invitation.pdf",   // null without an attachment
+ *     status: "PENDING",                   // PENDING, APPROVED or REJECTED
+ *     review_note: null, reviewed_by_name: null, reviewed_at: null, created_at: "..."
+ *   },
+ *   ...
+ * ]
+ */
+const listMyLeaveRequests = async (req, res) => {
+    try {
+        const studentId = await findStudentId(req);
+        if (!studentId) {
+            return res.status(404).json({ error: 'Student profile not found' });
+        }
+
+        const query = `
+            SELECT
+                l.id,
+                TO_CHAR(l.from_date, 'YYYY-MM-DD') as from_date,
+                TO_CHAR(l.to_date, 'YYYY-MM-DD') as to_date,
+                l.reason,
+                l.attachment_name,
+                l.status,
+                l.review_note,
+                COALESCE(t.name, u.email) as reviewed_by_name,
+                l.reviewed_at,
+                l.created_at
+            FROM leave_requests l
+            LEFT JOIN users u ON l.reviewed_by = u.id
+            LEFT JOIN teachers t ON t.user_id = u.id
+            WHERE l.student_id = $1
+            ORDER BY l.from_date DESC, l.id DESC
+        `;
+        const result = await pool.query(query, [studentId]);
+        res.json(result.rows);
+
+    } catch (err) {
+        console.error('List leave requests error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * REQUEST LEAVE (student / guardian)
+ *
+ * FRONTEND REQUEST:
+ * POST /api/student/leave-requests
+ * POST /api/guardian/children/12/leave-requests
+ * Body: {
+ *   "from_date": "2026-02-16",
+ *   "to_date": "2026-02-18",               // optional, defaults to from_date
+ *   "reason": "Family wedding",
+ *   "attachment_name": "invitation.pdf",   // optional: .pdf, .jpg or .png (checked against the contents), at most 512 KB
+ *   "attachment": "JVBERi0xLjQK..."        // file contents, base64
+ * }
+ *
+ * BACKEND RESPONSE:
+ * 201 { "message": "Leave request sent", "id": 7 }
+ *
+ * A range that overlaps a pending or approved request of the same
+ * student is refused (400).
+ */
+const createLeaveRequest = async (req, res) => {
+    const { from_date, reason, attachment, attachment_name } = req.body;
+    const to_date = req.body.to_date || from_date;
+
+    if (!DATE_PATTERN.test(from_date || '') || !DATE_PATTERN.test(to_date)) {
+        return res.status(400).json({ error: 'Dates must look like YYYY-MM-DD' });
+    }
+    if (to_date < from_date) {
+        return res.status(400).json({ error: 'The last day cannot be before the first day' });
+    }
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+        return res.status(400).json({ error: 'Please write a reason' });
+    }
+    if (reason.length > MAX_REASON_LENGTH) {
+        return res.status(400).json({ error: `The reason can be at most ${MAX_REASON_LENGTH} characters` });
+    }
+
+    let file = null;
+    if (attachment) {
+        const extension = String(attachment_name || '').split('.').pop().toLowerCase();
+        if (typeof attachment !== 'string' || !ATTACHMENT_TYPES[extension]) {
+            return res.status(400).json({ error: 'Attachments must be a .pdf, .jpg or .png file' });
+        }
+        const data = Buffer.from(attachment, 'base64');
+        if (data.length > MAX_ATTACHMENT_BYTES) {
+            return res.status(400).json({ error: `Attachments can be at most ${MAX_ATTACHMENT_BYTES / 1024} KB` });
+        }
+        const type = ATTACHMENT_TYPES[extension];
+        if (!data.subarray(0, FILE_SIGNATURES[type].length).equals(FILE_SIGNATURES[type])) {
+            return res.status(400).json({ error: `This file is not really a .${extension} file` });
+        }
+        // Line breaks and other control characters would end up in the download header
+        const name = String(attachment_name).replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, 255);
+        file = { name, type, data };
+    }
+
+    try {
+        const studentId = await findStudentId(req);
+        if (!studentId) {
+            return res.status(404).json({ error: 'Student profile not found' });
+        }
+
+        // Date ranges overlap when each one starts before the other ends
+        const overlapQuery = `
+            SELECT id FROM leave_requests
+            WHERE student_id = $1 AND status IN ('PENDING', 'APPROVED')
+                AND from_date <= $3 AND to_date >= $2
+        `;
+        const overlapResult = await pool.query(overlapQuery, [studentId, from_date, to_date]);
+        if (overlapResult.rows.length > 0) {
+            return res.status(400).json({ error: 'Leave has already been requested for some of these days' });
+        }
+
+        const insertQuery = `
+            INSERT INTO leave_requests
+                (student_id, requested_by, from_date, to_date, reason, attachment_name, attachment_type, attachment)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING id
+        `;
+        const result = await pool.query(insertQuery, [
+            studentId, req.user.id, from_date, to_date, reason.trim(),
+            file ? file.name : null, file ? file.type : null, file ? file.data : null
+        ]);
+
+        res.status(201).json({ message: 'Leave request sent', id: result.rows[0].id });
+
+    } catch (err) {
+        console.error('Create leave request error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * WITHDRAW LEAVE REQUEST (student / guardian)
+ *
+ * Only requests nobody has reviewed yet can be withdrawn.
+ *
+ * FRONTEND REQUEST:
+ * DELETE /api/student/leave-requests/7
+ * DELETE /api/guardian/children/12/leave-requests/7
+ *
+ * BACKEND RESPONSE:
+ * { "message": "Leave request withdrawn" }
+ */
+const withdrawLeaveRequest = async (req, res) => {
+    try {
+        const studentId = await findStudentId(req);
+        const leaveResult = await pool.query(
+            'SELECT id, status FROM leave_requests WHERE id = $1 AND student_id = $2',
+            [parseInt(req.params.id) || 0, studentId]
+        );
+        const leave = leaveResult.rows[0];
+
+        if (!leave) {
+            return res.status(404).json({ error: 'Leave request not found' });
+        }
+        if (leave.status !== 'PENDING') {
+            return res.status(400).json({ error: 'Only pending leave requests can be withdrawn' });
+        }
+
+        await pool.query("DELETE FROM leave_requests WHERE id = $1 AND status = 'PENDING'", [leave.id]);
+        res.json({ message: 'Leave request withdrawn' });
+
+    } catch (err) {
+        console.error('Withdraw leave request error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * DOWNLOAD ATTACHMENT (student / guardian)
+ *
+ * FRONTEND REQUEST:
+ * GET /api/student/leave-requests/7/attachment
+ * GET /api/guardian/children/12/leave-requests/7/attachment
+ *
+ * BACKEND RESPONSE:
+ * The file itself (Content-Type from the upload)
+ */
+const getMyLeaveAttachment = async (req, res) => {
+    try {
+        const studentId = await findStudentId(req);
+        const result = await pool.query(
+            'SELECT attachment, attachment_name, attachment_type FROM leave_requests WHERE id = $1 AND student_id = $2',
+            [parseInt(req.params.id) || 0, studentId]
+        );
+        sendAttachment(res, result.rows[0]);
+
+    } catch (err) {
+        console.error('Leave attachment error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * LIST LEAVE REQUESTS (teacher approvals inbox)
+ *
+ * Requests of students in the teacher's classes (the whole school for admins)
+ *
+ * FRONTEND REQUEST:
+ * GET /api/teacher/leave-requests?status=PENDING&class_id=3   (both optional; status "ALL" = every status)
+ *
+ * BACKEND RESPONSE:
+ * [
+ *   {
+ *     id: 7, student_id: 12, student_name: "Jane Smith", class_name: "10th-A", roll_no: 25,
+ *     from_date: "2026-02-16", to_date: "2026-02-18", reason: "Family wedding",
+ *     attachment_name: "invitation.pdf", requested_by_role: "GUARDIAN",
+ *     status: "PENDING", review_note: null, reviewed_at: null, created_at: "..."
+ *   },
+ *   ...
+ * ]
+ *
+ * Pending requests come oldest first (the next one to answer on top),
+ * the others newest first.
+ */
+const listLeaveRequests = async (req, res) => {
+    const status = req.query.status || 'PENDING';
+
+    if (status !== 'ALL' && !LEAVE_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Unknown leave status: ${status}` });
+    }
+
+    try {
+        const params = [];
+        let query = `
+            SELECT
+                l.id,
+                s.id as student_id,
+                s.name as student_name,
+                c.name as class_name,
+                s.roll_no,
+                TO_CHAR(l.from_date, 'YYYY-MM-DD') as from_date,
+                TO_CHAR(l.to_date, 'YYYY-MM-DD') as to_date,
+                l.reason,
+                l.attachment_name,
+                u.role as requested_by_role,
+                l.status,
+                l.review_note,
+                l.reviewed_at,
+                l.created_at
+            FROM leave_requests l
+            JOIN students s ON l.student_id = s.id
+            LEFT JOIN classes c ON s.class_id = c.id
+            LEFT JOIN users u ON l.requested_by = u.id
+            WHERE ${classScope(req, params)}
+        `;
+        if (status !== 'ALL') {
+            params.push(status);
+            query += ` AND l.status = $${params.length}`;
+        }
+        query += status === 'PENDING' ? ' ORDER BY l.created_at ASC' : ' ORDER BY l.created_at DESC LIMIT 200';
+
+        const result = await pool.query(query, params);
+        res.json(result.rows);
+
+    } catch (err) {
+        console.error('List leave requests error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * DOWNLOAD ATTACHMENT (teacher)
+ *
+ * FRONTEND REQUEST:
+ * GET /api/teacher/leave-requests/7/attachment
+ */
+const getLeaveAttachment = async (req, res) => {
+    try {
+        const query = `
+            SELECT l.attachment, l.attachment_name, l.attachment_type, s.class_id
+            FROM leave_requests l
+            JOIN students s ON l.student_id = s.id
+            WHERE l.id = $1
+        `;
+        const result = await pool.query(query, [parseInt(req.params.id) || 0]);
+        const leave = result.rows[0];
+
+        if (leave && !req.seesWholeSchool && !req.assignedClasses.includes(leave.class_id)) {
+            return res.status(403).json({ error: 'You are not assigned to this class' });
+        }
+        sendAttachment(res, leave);
+
+    } catch (err) {
+        console.error('Leave attachment error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * Notification text of a decided leave request
+ *
+ * @param {object} leave - row from lockPendingLeave
+ * @param {string|null} note - the teacher's note
+ * @returns {string} - e.g. "Jane Smith, 2026-02-13 to 2026-02-15: Get well soon"
+ */
+const describeLeave = (leave, note) => {
+    const dates = leave.from_date === leave.to_date ? leave.from_date : `${leave.from_date} to ${leave.to_date}`;
+    return `${leave.student_name}, ${dates}${note ? `: ${note}` : ''}`;
+};
+
+/**
+ * Locks a pending leave request the teacher is about to review
+ *
+ * @param {object} client - transaction client
+ * @param {object} req - request (params.id, assignedClasses / seesWholeSchool)
+ * @returns {Promise<{ leave?: object, status?: number, error?: string }>}
+ */
+const lockPendingLeave = async (client, req) => {
+    const query = `
+        SELECT
+            l.id, l.student_id, l.status,
+            TO_CHAR(l.from_date, 'YYYY-MM-DD') as from_date,
+            TO_CHAR(l.to_date, 'YYYY-MM-DD') as to_date,
+            s.name as student_name, s.class_id, s.is_active
+        FROM leave_requests l
+        JOIN students s ON l.student_id = s.id
+        WHERE l.id = $1
+        FOR UPDATE OF l
+    `;
+    const result = await client.query(query, [parseInt(req.params.id) || 0]);
+    const leave = result.rows[0];
+
+    if (!leave) {
+        return { status: 404, error: 'Leave request not found' };
+    }
+    if (!req.seesWholeSchool && !req.assignedClasses.includes(leave.class_id)) {
+        return { status: 403, error: 'You are not assigned to this class' };
+    }
+    if (leave.status !== 'PENDING') {
+        return { status: 400, error: `This leave request was already ${leave.status.toLowerCase()}` };
+    }
+    return { leave };
+};
+
+/**
+ * Reads the teacher's optional note on a decision. Requests without a JSON
+ * body have no req.body at all.
+ *
+ * @param {object} req - Express request
+ * @returns {{ note: string|null } | { error: string }}
+ */
+const readReviewNote = (req) => {
+    const note = req.body?.note;
+    if (note === undefined || note === null) return { note: null };
+    if (typeof note !== 'string') {
+        return { error: 'The note must be text' };
+    }
+    if (note.length > MAX_REASON_LENGTH) {
+        return { error: `The note can be at most ${MAX_REASON_LENGTH} characters` };
+    }
+    return { note: note.trim() || null };
+};
+
+/**
+ * APPROVE LEAVE REQUEST
+ *
+ * FRONTEND REQUEST:
+ * POST /api/teacher/leave-requests/7/approve
+ * Body: { "note": "Get well soon" }   // optional
+ *
+ * BACKEND RESPONSE:
+ * {
+ *   "message": "Leave approved",
+ *   "status": "EXCUSED",     // the mark written (LEAVE_ATTENDANCE_STATUS)
+ *   "days": 3                // school days of the range that were marked
+ * }
+ *
+ * The request, its marks and the notifications (student and guardians) are
+ * saved in ONE transaction.
+ */
+const approveLeaveRequest = async (req, res) => {
+    const review = readReviewNote(req);
+    if (review.error) {
+        return res.status(400).json({ error: review.error });
+    }
+    const { note } = review;
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const found = await lockPendingLeave(client, req);
+        if (found.error) {
+            await client.query('ROLLBACK');
+            return res.status(found.status).json({ error: found.error });
+        }
+        const leave = found.leave;
+
+        // Deactivated students keep their old marks but get no new ones
+        if (!leave.is_active) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: `${leave.student_name} has been deactivated` });
+        }
+
+        // Holidays and weekly off days of the range get no mark
+        const daysParams = [];
+        const daysQuery = `SELECT TO_CHAR(wd.date, 'YYYY-MM-DD') as date FROM (${workingDaysSql(daysParams, leave.from_date, leave.to_date)}) wd ORDER BY wd.date`;
+        const daysResult = await client.query(daysQuery, daysParams);
+
+        const before = await attendancePercentages(client, [leave.student_id]);
+        for (const day of daysResult.rows) {
+            await saveAttendanceMarks(client, req, {
+                date: day.date,
+                records: [{ student_id: leave.student_id, status: LEAVE_ATTENDANCE_STATUS }]
+            });
+        }
+
+        await client.query(
+            "UPDATE leave_requests SET status = 'APPROVED', reviewed_by = $1, reviewed_at = CURRENT_TIMESTAMP, review_note = $2 WHERE id = $3",
+            [req.user.id, note, leave.id]
+        );
+
+        await logAudit(client, req, {
+            action: 'LEAVE_APPROVED',
+            entityType: 'leave_request',
+            entityId: leave.id,
+            before: { status: 'PENDING' },
+            after: { status: 'APPROVED', student_id: leave.student_id, from_date: leave.from_date, to_date: leave.to_date, days: daysResult.rows.length }
+        });
+
+        const notified = [
+            ...await notifyStudent(client, leave.student_id, {
+                type: 'LEAVE_APPROVED',
+                title: 'Leave request approved',
+                message: describeLeave(leave, note)
+            }),
+            ...await notifyLowAttendance(client, [leave.student_id], before)
+        ];
+
+        await client.query('COMMIT');
+        publishLeaveDecision({ ...leave, status: 'APPROVED' });
+        publishNotifications(notified);
+        if (daysResult.rows.length > 0) {
+            publishAttendanceChange({ dates: daysResult.rows.map(day => day.date), studentIds: [leave.student_id] });
+        }
+        res.json({ message: 'Leave approved', status: LEAVE_ATTENDANCE_STATUS, days: daysResult.rows.length });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Approve leave request error:', err);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * REJECT LEAVE REQUEST
+ *
+ * FRONTEND REQUEST:
+ * POST /api/teacher/leave-requests/7/reject
+ * Body: { "note": "Exams that week" }   // optional, shown to the student / guardian
+ *
+ * BACKEND RESPONSE:
+ * { "message": "Leave rejected" }
+ */
+const rejectLeaveRequest = async (req, res) => {
+    const review = readReviewNote(req);
+    if (review.error) {
+        return res.status(400).json({ error: review.error });
+    }
+    const { note } = review;
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const found = await lockPendingLeave(client, req);
+        if (found.error) {
+            await client.query('ROLLBACK');
+            return res.status(found.status).json({ error: found.error });
+        }
+        const leave = found.leave;
+
+        await client.query(
+            "UPDATE leave_requests SET status = 'REJECTED', reviewed_by = $1, reviewed_at = CURRENT_TIMESTAMP, review_note = $2 WHERE id = $3",
+            [req.user.id, note, leave.id]
+        );
+
+        await logAudit(client, req, {
+            action: 'LEAVE_REJECTED',
+            entityType: 'leave_request',
+            entityId: leave.id,
+            before: { status: 'PENDING' },
+            after: { status: 'REJECTED', student_id: leave.student_id, note }
+        });
+
+        const notified = await notifyStudent(client, leave.student_id, {
+            type: 'LEAVE_REJECTED',
+            title: 'Leave request rejected',
+            message: describeLeave(leave, note)
+        });
+
+        await client.query('COMMIT');
+        publishLeaveDecision({ ...leave, status: 'REJECTED' });
+        publishNotifications(notified);
+        res.json({ message: 'Leave rejected' });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Reject leave request error:', err);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = {
+    listMyLeaveRequests, createLeaveRequest, withdrawLeaveRequest, getMyLeaveAttachment,
+    listLeaveRequests, getLeaveAttachment, approveLeaveRequest, rejectLeaveRequest
+};
@@ -0,0 +1,131 @@
+/**
+ * NOTIFICATION CONTROLLER
+ *
+ * The bell menu in the navbar of every portal: the logged-in user's own
+ * notifications, and marking them as read. Notifications are created by
+ * the actions they are about (see services/notificationService.js).
+ *
+ * Every query is limited to req.user.id, so nobody can read or mark
+ * someone else's notifications.
+ */
+
+const pool = require('../db');
+
+// Newest notifications shown in the menu
+const LIST_LIMIT = 50;
+
+/**
+ * LIST MY NOTIFICATIONS
+ *
+ * FRONTEND REQUEST:
+ * GET /api/notifications
+ * GET /api/notifications?unread=true   (only the unread ones)
+ *
+ * BACKEND RESPONSE (newest first, at most 50):
+ * [
+ *   {
+ *     id: 31,
+ *     type: "LEAVE_APPROVED",
+ *     title: "Leave request approved",
+ *     message: "Jane Smith, 2026-02-13 to 2026-02-15",
+ *     link: null,                          // or a page of the app, e.g. "/teacher/students/12"
+ *     created_at: "2026-02-12T09:30:00.000Z",
+ *     read_at: null                        // null = unread
+ *   },
+ *   ...
+ * ]
+ */
+const listNotifications = async (req, res) => {
+    try {
+        let query = `
+            SELECT id, type, title, message, link, created_at, read_at
+            FROM notifications
+            WHERE user_id = $1
+        `;
+        if (req.query.unread === 'true') {
+            query += ' AND read_at IS NULL';
+        }
+        query += ` ORDER BY created_at DESC, id DESC LIMIT ${LIST_LIMIT}`;
+
+        const result = await pool.query(query, [req.user.id]);
+        res.json(result.rows);
+
+    } catch (err) {
+        console.error('List notifications error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * UNREAD COUNT (the badge on the bell)
+ *
+ * FRONTEND REQUEST:
+ * GET /api/notifications/unread-count
+ *
+ * BACKEND RESPONSE:
+ * { "count": 3 }
+ */
+const getUnreadCount = async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT COUNT(*) as count FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+            [req.user.id]
+        );
+        res.json({ count: parseInt(result.rows[0].count) });
+
+    } catch (err) {
+        console.error('Unread notifications error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * MARK ONE NOTIFICATION AS READ
+ *
+ * FRONTEND REQUEST:
+ * POST /api/notifications/31/read
+ *
+ * BACKEND RESPONSE:
+ * { "message": "Notification marked as read" }
+ */
+const markNotificationRead = async (req, res) => {
+    try {
+        const result = await pool.query(
+            'UPDATE notifications SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP) WHERE id = $1 AND user_id = $2',
+            [parseInt(req.params.id) || 0, req.user.id]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Notification not found' });
+        }
+        res.json({ message: 'Notification marked as read' });
+
+    } catch (err) {
+        console.error('Mark notification read error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * MARK ALL NOTIFICATIONS AS READ
+ *
+ * FRONTEND REQUEST:
+ * POST /api/notifications/read-all
+ *
+ * BACKEND RESPONSE:
+ * { "message": "All notifications marked as read", "count": 3 }
+ */
+const markAllNotificationsRead = async (req, res) => {
+    try {
+        const result = await pool.query(
+            'UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND read_at IS NULL',
+            [req.user.id]
+        );
+        res.json({ message: 'All notifications marked as read', count: result.rowCount });
+
+    } catch (err) {
+        console.error('Mark all notifications read error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+module.exports = { listNotifications, getUnreadCount, markNotificationRead, markAllNotificationsRead };
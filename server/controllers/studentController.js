@@ -4,6 +4,10 @@
  * Handles all student-related API endpoints.
  * Students can view their dashboard, attendance summary, and attendance calendar.
  * 
+ * The guardian portal reuses the same two endpoints for a guardian's child:
+ * guardianAccessMiddleware sets req.studentId, and that student is shown
+ * instead of the logged-in user's own profile.
+ * 
  * FRONTEND-BACKEND FLOW:
  * 1. Frontend sends request with JWT token in Authorization header
  * 2. Middleware verifies token and extracts user info (req.user)
@@ -13,6 +17,19 @@
  */
 
 const pool = require('../db');  // PostgreSQL connection pool
+const { localDate, attendanceTotalsSql } = require('../utils/calendarHelpers');
+const { getReportRange } = require('../utils/academicYearHelpers');
+
+// Calendar colour of each attendance status
+const STATUS_COLORS = {
+    PRESENT: 'green',
+    ABSENT: 'red',
+    LATE: 'amber',
+    HALF_DAY: 'orange',
+    EXCUSED: 'blue',
+    MEDICAL: 'purple',
+    HOLIDAY: 'grey'
+};
 
 /**
  * GET STUDENT DASHBOARD DATA
@@ -21,6 +38,8 @@ const pool = require('../db');  // PostgreSQL connection pool
  * 
  * FRONTEND REQUEST:
  * GET /api/student/dashboard
+ * GET /api/student/dashboard?term_id=4     (or academic_year_id=2; default: the current academic year)
+ * GET /api/guardian/children/12/dashboard  (guardian portal: same response for their child)
  * Headers: { Authorization: "Bearer <token>" }
  * 
  * BACKEND RESPONSE:
@@ -33,25 +52,43 @@ const pool = require('../db');  // PostgreSQL connection pool
  *   },
  *   "attendance_summary": {
  *     "percentage": "85.5",
- *     "total_present": 100,
- *     "total_days": 117
+ *     "total_present": 100,        // weighted: a LATE day adds 0.5
+ *     "total_days": 117,           // days that count (EXCUSED, MEDICAL, HOLIDAY don't)
+ *     "academic_year": "2025-2026",
+ *     "term": null                 // term name when filtered by term_id
  *   },
+ *   "subject_summary": [            // only for schools that take attendance per period
+ *     { "subject": "Mathematics", "present": 40, "total": 45, "percentage": "88.9" },
+ *     ...
+ *   ],
  *   "performance": "Coming Soon"
  * }
+ * 
+ * Day counts come from the daily_attendance view, so days marked
+ * per period count once, and each status is weighted with
+ * attendance_status_weights (see database.sql). Every working day of the
+ * school calendar since the student's first mark counts, marked or not
+ * (see utils/calendarHelpers.js).
  */
 const getStudentDashboard = async (req, res) => {
     // Get user ID from JWT token (set by auth middleware)
     // Or from query parameter for testing
     const userId = req.user ? req.user.id : req.query.user_id;
 
-    if (!userId) {
+    if (!userId && !req.studentId) {
         return res.status(400).json({ error: "User ID required" });
     }
 
     try {
-        // Find student record by user_id
-        const studentQuery = 'SELECT * FROM students WHERE user_id = $1';
-        const studentResult = await pool.query(studentQuery, [userId]);
+        // Find student record by user_id (or the guardian's child by students.id)
+        // LEFT JOIN classes: the class name lives in the classes table
+        const studentQuery = `
+            SELECT s.*, c.name as class_name 
+            FROM students s
+            LEFT JOIN classes c ON s.class_id = c.id
+            WHERE ${req.studentId ? 's.id' : 's.user_id'} = $1
+        `;
+        const studentResult = await pool.query(studentQuery, [req.studentId || userId]);
 
         if (studentResult.rows.length === 0) {
             return res.status(404).json({ error: "Student profile not found" });
@@ -59,28 +96,54 @@ const getStudentDashboard = async (req, res) => {
 
         const student = studentResult.rows[0];
 
-        // Get attendance summary: count PRESENT and ABSENT days
-        // GROUP BY groups results by status (PRESENT, ABSENT, HOLIDAY)
+        // Which dates count: the chosen term / academic year (the current year by default)
+        const found = await getReportRange(pool, { term_id: req.query.term_id, academic_year_id: req.query.academic_year_id });
+        if (found.error) {
+            return res.status(found.status).json({ error: found.error });
+        }
+        const today = localDate();
+        const range = found.range || { academic_year: null, term: null, from: null, to: today };  // no academic years yet: everything
+
+        // Get attendance summary: weighted days attended out of the school days that count
+        // (attendance_status_weights: PRESENT = 1, LATE = 0.5, EXCUSED = not counted, ...)
+        const attendanceParams = [student.id];
         const attendanceQuery = `
-            SELECT status, COUNT(*) as count 
-            FROM attendance 
-            WHERE student_id = $1 
-            GROUP BY status
+            SELECT total_days, present_days
+            FROM (${attendanceTotalsSql(attendanceParams, range.from, range.to)}) t
+            WHERE t.student_id = $1
         `;
-        const attendanceResult = await pool.query(attendanceQuery, [student.id]);
-
-        // Calculate totals from grouped results
-        let present = 0;
-        let absent = 0;
-        attendanceResult.rows.forEach(row => {
-            if (row.status === 'PRESENT') present = parseInt(row.count);
-            if (row.status === 'ABSENT') absent = parseInt(row.count);
-        });
+        const attendanceResult = await pool.query(attendanceQuery, attendanceParams);
+        const totals = attendanceResult.rows[0];  // no row until the first mark
 
-        const totalDays = present + absent;
+        // NUMERIC sums come back from pg as strings
+        const present = totals ? parseFloat(totals.present_days) : 0;
+        const totalDays = totals ? parseInt(totals.total_days) : 0;
         // Calculate attendance percentage (avoid division by zero)
         const percentage = totalDays > 0 ? ((present / totalDays) * 100).toFixed(1) : 0;
 
+        // Per-subject summary from lecture (period) marks
+        const subjectQuery = `
+            SELECT 
+                sub.name as subject,
+                COUNT(*) as total,
+                SUM(w.weight) as present
+            FROM attendance a
+            JOIN attendance_status_weights w ON w.status = a.status
+            JOIN periods p ON a.period_id = p.id
+            JOIN subjects sub ON p.subject_id = sub.id
+            WHERE a.student_id = $1 AND w.weight IS NOT NULL
+                AND a.date BETWEEN COALESCE($2::date, a.date) AND $3
+            GROUP BY sub.name
+            ORDER BY sub.name
+        `;
+        const subjectResult = await pool.query(subjectQuery, [student.id, range.from, range.to]);
+        const subjectSummary = subjectResult.rows.map(row => ({
+            subject: row.subject,
+            present: parseFloat(row.present),
+            total: parseInt(row.total),
+            percentage: ((parseFloat(row.present) / parseInt(row.total)) * 100).toFixed(1)
+        }));
+
         // Send dashboard data to frontend
         res.json({
             profile: {
@@ -92,8 +155,11 @@ const getStudentDashboard = async (req, res) => {
             attendance_summary: {
                 percentage: percentage,
                 total_present: present,
-                total_days: totalDays
+                total_days: totalDays,
+                academic_year: range.academic_year,
+                term: range.term
             },
+            subject_summary: subjectSummary,
             performance: "Coming Soon"
         });
 
@@ -106,14 +172,19 @@ const getStudentDashboard = async (req, res) => {
 /**
  * GET ATTENDANCE CALENDAR
  * 
- * Returns all attendance records for calendar visualization
+ * Returns one attendance status per day for calendar visualization
+ * (period marks are rolled up by the daily_attendance view)
  * Frontend displays this as a color-coded calendar:
  * - Green dots for PRESENT days
  * - Red dots for ABSENT days
- * - Grey dots for HOLIDAY
+ * - Amber for LATE, orange for HALF_DAY
+ * - Blue for EXCUSED, purple for MEDICAL
+ * - Grey dots for HOLIDAY (school holidays from the school calendar are
+ *   included too, with their title)
  * 
  * FRONTEND REQUEST:
  * GET /api/student/attendance-calendar
+ * GET /api/guardian/children/12/calendar   (guardian portal: same response for their child)
  * Headers: { Authorization: "Bearer <token>" }
  * 
  * BACKEND RESPONSE:
@@ -121,20 +192,21 @@ const getStudentDashboard = async (req, res) => {
  *   { date: "2026-02-13", status: "PRESENT", color: "green" },
  *   { date: "2026-02-12", status: "ABSENT", color: "red" },
  *   { date: "2026-02-11", status: "PRESENT", color: "green" },
+ *   { date: "2026-02-10", status: "HOLIDAY", color: "grey", title: "Republic Day" },
  *   ...
  * ]
  */
 const getAttendanceCalendar = async (req, res) => {
     const userId = req.user ? req.user.id : req.query.user_id;
 
-    if (!userId) {
+    if (!userId && !req.studentId) {
         return res.status(400).json({ error: "User ID required" });
     }
 
     try {
-        // Get student ID from user_id
-        const studentQuery = 'SELECT id FROM students WHERE user_id = $1';
-        const studentResult = await pool.query(studentQuery, [userId]);
+        // Get student ID from user_id (or the guardian's child by students.id)
+        const studentQuery = `SELECT id FROM students WHERE ${req.studentId ? 'id' : 'user_id'} = $1`;
+        const studentResult = await pool.query(studentQuery, [req.studentId || userId]);
 
         if (studentResult.rows.length === 0) {
             return res.status(404).json({ error: "Student not found" });
@@ -145,11 +217,17 @@ const getAttendanceCalendar = async (req, res) => {
         // Fetch all attendance records for this student
         // PostgreSQL: TO_CHAR formats date as YYYY-MM-DD string
         // (MySQL uses DATE_FORMAT instead)
+        // UNION ALL: school holidays on days the student has no mark
         const attendanceQuery = `
-            SELECT TO_CHAR(date, 'YYYY-MM-DD') as dateStr, status 
-            FROM attendance 
+            SELECT TO_CHAR(date, 'YYYY-MM-DD') as dateStr, status, NULL as title
+            FROM daily_attendance 
             WHERE student_id = $1 
-            ORDER BY date DESC
+            UNION ALL
+            SELECT TO_CHAR(sc.date, 'YYYY-MM-DD'), 'HOLIDAY', sc.title
+            FROM school_calendar sc
+            WHERE sc.day_type = 'HOLIDAY'
+                AND NOT EXISTS (SELECT 1 FROM daily_attendance a WHERE a.student_id = $1 AND a.date = sc.date)
+            ORDER BY dateStr DESC
         `;
         const attendanceResult = await pool.query(attendanceQuery, [studentId]);
 
@@ -157,8 +235,8 @@ const getAttendanceCalendar = async (req, res) => {
         const coloredRows = attendanceResult.rows.map(row => ({
             date: row.datestr,  // PostgreSQL returns lowercase column names
             status: row.status,
-            color: row.status === 'PRESENT' ? 'green' :
-                (row.status === 'ABSENT' ? 'red' : 'grey')
+            color: STATUS_COLORS[row.status] || 'grey',
+            ...(row.title && { title: row.title })
         }));
 
         // Send calendar data to frontend
@@ -0,0 +1,317 @@
+/**
+ * STUDENT IMPORT CONTROLLER
+ *
+ * Adds a whole class of students from a spreadsheet (.csv or .xlsx)
+ * instead of filling in the "Add Student" form once per student.
+ *
+ * TWO STEPS:
+ * 1. Dry run: every row is checked with the same rules as the form
+ *    (required fields, email not in use, roll number free in the class)
+ *    and nothing is saved. The teacher sees the errors per row.
+ * 2. Import: the same checks run again and, if every row passes, all
+ *    students are created in ONE transaction. One bad row = nothing saved.
+ *
+ * Blank passwords can be generated; the response then lists every
+ * student's login (the credential sheet the teacher hands out).
+ */
+
+const pool = require('../db');
+const bcrypt = require('bcryptjs');
+const { isRollNumberTaken, insertStudent } = require('../utils/studentHelpers');
+const { parseSpreadsheet } = require('../utils/spreadsheetParser');
+const { logAudit } = require('../services/auditService');
+const { publishStudentAdded } = require('../services/liveEvents');
+const { generateTemporaryPassword } = require('../utils/tokens');
+
+// Most students one file may contain
+const MAX_IMPORT_ROWS = 1000;
+
+// Accepted column headers (lowercase, spaces → "_") and the field each one fills
+const COLUMNS = {
+    name: 'name',
+    full_name: 'name',
+    student_name: 'name',
+    email: 'email',
+    email_address: 'email',
+    class: 'class',
+    class_name: 'class',
+    roll_no: 'roll_no',
+    roll: 'roll_no',
+    roll_number: 'roll_no',
+    password: 'password'
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+// "10th A", "10TH_a" and "10th-A" all find the class 10th-A
+const classKey = (name) => name.trim().toLowerCase().replace(/[\s_]+/g, '-');
+
+/**
+ * Turns the spreadsheet into one object per student row
+ *
+ * @param {string[][]} table - rows of cells, the first row being the headers
+ * @returns {{ rows?: object[], error?: string }}
+ *   rows: [{ row: 2, name, email, class, roll_no, password }] - row = line number in the file
+ */
+const readRows = (table) => {
+    const [header = [], ...lines] = table;
+    const fields = header.map(title => COLUMNS[String(title).trim().toLowerCase().replace(/[\s-]+/g, '_')] || null);
+
+    if (!fields.includes('name') || !fields.includes('email') || !fields.includes('roll_no')) {
+        return { error: 'The first row must name the columns: name, email and roll_no (class and password are optional)' };
+    }
+
+    const rows = [];
+    lines.forEach((cells, index) => {
+        if (cells.every(cell => !String(cell).trim())) return;  // blank line
+
+        const row = { row: index + 2 };  // + header row, + counting from 1
+        fields.forEach((field, column) => {
+            if (field) row[field] = String(cells[column] ?? '').trim();
+        });
+        rows.push(row);
+    });
+
+    if (rows.length === 0) {
+        return { error: 'The file has no students in it' };
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+        return { error: `A file can hold at most ${MAX_IMPORT_ROWS} students` };
+    }
+    return { rows };
+};
+
+/**
+ * Checks every row and works out its class. Runs inside the caller's
+ * transaction: isRollNumberTaken locks each class until COMMIT/ROLLBACK.
+ *
+ * @param {object} client - pg client inside a transaction
+ * @param {object} req - request (reads assignedClasses)
+ * @param {object[]} rows - from readRows
+ * @param {object} options - { defaultClassId, generatePasswords }
+ * @returns {Promise<object[]>} - the rows with class_id, class_name and errors: [] added
+ */
+const validateRows = async (client, req, rows, { defaultClassId, generatePasswords }) => {
+    // Classes this user may add students to; a name used in several
+    // academic years means the class of the current year
+    const classesResult = await client.query(
+        `SELECT c.id, c.name
+         FROM classes c
+         LEFT JOIN academic_years ay ON ay.name = c.academic_year
+         WHERE c.id = ANY($1::int[])
+         ORDER BY ay.is_current DESC NULLS LAST, c.academic_year DESC`,
+        [req.assignedClasses]
+    );
+    const classesByKey = new Map();
+    const classesById = new Map();
+    classesResult.rows.forEach(c => {
+        if (!classesByKey.has(classKey(c.name))) classesByKey.set(classKey(c.name), c);
+        classesById.set(c.id, c);
+    });
+    const defaultClass = defaultClassId ? classesById.get(Number(defaultClassId)) : null;
+
+    const emailsInUseResult = await client.query(
+        'SELECT email FROM users WHERE email = ANY($1::text[])',
+        [rows.map(row => row.email).filter(Boolean)]
+    );
+    const emailsInUse = new Set(emailsInUseResult.rows.map(row => row.email));
+
+    // Earlier rows of the same file: email → row, "classId:rollNo" → row
+    const emailRows = new Map();
+    const rollRows = new Map();
+
+    const checked = [];
+    for (const row of rows) {
+        const errors = [];
+
+        if (!row.name) errors.push('Name is required');
+
+        if (!row.email) {
+            errors.push('Email is required');
+        } else if (!EMAIL_PATTERN.test(row.email)) {
+            errors.push('Email is not valid');
+        } else if (emailsInUse.has(row.email)) {
+            errors.push('User already exists');
+        } else if (emailRows.has(row.email)) {
+            errors.push(`Email also used on row ${emailRows.get(row.email)}`);
+        } else {
+            emailRows.set(row.email, row.row);
+        }
+
+        let studentClass = defaultClass;
+        if (row.class) {
+            studentClass = classesByKey.get(classKey(row.class));
+            if (!studentClass) errors.push(`Class ${row.class} not found among your classes`);
+        } else if (!studentClass) {
+            errors.push('Class is required');
+        }
+
+        const rollNo = /^\d+$/.test(row.roll_no || '') ? parseInt(row.roll_no) : null;
+        if (!row.roll_no) {
+            errors.push('Roll number is required');
+        } else if (!rollNo) {
+            errors.push('Roll number must be a positive number');
+        } else if (studentClass) {
+            const rollKey = `${studentClass.id}:${rollNo}`;
+            if (rollRows.has(rollKey)) {
+                errors.push(`Roll number ${rollNo} also used on row ${rollRows.get(rollKey)}`);
+            } else if (await isRollNumberTaken(client, studentClass.id, rollNo)) {
+                errors.push(`Roll number ${rollNo} already exists in this class`);
+            } else {
+                rollRows.set(rollKey, row.row);
+            }
+        }
+
+        if (!row.password && !generatePasswords) errors.push('Password is required');
+
+        checked.push({
+            ...row,
+            roll_no: rollNo || row.roll_no,
+            class_id: studentClass ? studentClass.id : null,
+            class_name: studentClass ? studentClass.name : row.class || null,
+            errors
+        });
+    }
+
+    return checked;
+};
+
+/**
+ * IMPORT STUDENTS
+ *
+ * FRONTEND REQUEST:
+ * POST /api/teacher/students/import
+ * Body: {
+ *   "filename": "10th-A.xlsx",          // .csv or .xlsx
+ *   "file": "UEsDBBQABgAIAAAAIQ...",    // file contents, base64
+ *   "class_id": 3,                      // optional: class of rows without a "class" column/value
+ *   "generate_passwords": true,         // optional: fill in blank passwords
+ *   "dry_run": true                     // true = only check the rows
+ * }
+ *
+ * The first row holds the column names: name, email, roll_no and
+ * optionally class ("10th-A") and password. Every imported student must
+ * change their password on first login.
+ *
+ * BACKEND RESPONSE (dry run):
+ * {
+ *   "dry_run": true,
+ *   "total": 60,
+ *   "valid": 58,
+ *   "rows": [
+ *     { row: 2, name: "Jane Smith", email: "jane@school.com", class_id: 3, class_name: "10th-A", roll_no: 1, errors: [] },
+ *     { row: 3, name: "", email: "bob@school.com", ..., errors: ["Name is required"] },
+ *     ...
+ *   ]
+ * }
+ *
+ * BACKEND RESPONSE (import):
+ * 201 {
+ *   "message": "60 students imported",
+ *   "imported": 60,
+ *   "credentials": [
+ *     { name: "Jane Smith", email: "jane@school.com", password: "k3VZq9XbT2", student_id_code: "STD061", class_name: "10th-A", roll_no: 1 },
+ *     ...
+ *   ]
+ * }
+ * A file with any invalid row imports nothing: 400 { error, rows } (rows as in the dry run).
+ */
+const importStudents = async (req, res) => {
+    const { file, filename, class_id, generate_passwords, dry_run } = req.body;
+    const generatePasswords = generate_passwords === true;
+
+    if (!file || typeof file !== 'string') {
+        return res.status(400).json({ error: 'Choose a .csv or .xlsx file' });
+    }
+
+    let table;
+    try {
+        table = parseSpreadsheet(filename, Buffer.from(file, 'base64'));
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    const parsed = readRows(table);
+    if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const rows = await validateRows(client, req, parsed.rows, { defaultClassId: class_id, generatePasswords });
+        const invalid = rows.filter(row => row.errors.length > 0).length;
+        // Passwords are never sent back from a check
+        const report = rows.map(({ password, ...row }) => ({ ...row, password_generated: !password }));
+
+        if (dry_run === true) {
+            await client.query('ROLLBACK');
+            return res.json({ dry_run: true, total: rows.length, valid: rows.length - invalid, rows: report });
+        }
+        if (invalid > 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                error: `${invalid} ${invalid === 1 ? 'row has' : 'rows have'} errors. Nothing was imported.`,
+                rows: report
+            });
+        }
+
+        const credentials = [];
+        for (const row of rows) {
+            const password = row.password || generateTemporaryPassword();
+            const salt = await bcrypt.genSalt(10);
+            const passwordHash = await bcrypt.hash(password, salt);
+
+            const { id, studentIdCode } = await insertStudent(client, {
+                name: row.name,
+                email: row.email,
+                passwordHash,
+                classId: row.class_id,
+                rollNo: row.roll_no,
+                mustChangePassword: true
+            });
+
+            await logAudit(client, req, {
+                action: 'STUDENT_CREATED',
+                entityType: 'student',
+                entityId: id,
+                after: {
+                    name: row.name,
+                    email: row.email,
+                    class_id: row.class_id,
+                    roll_no: row.roll_no,
+                    student_id_code: studentIdCode,
+                    source: 'import'
+                }
+            });
+
+            credentials.push({
+                name: row.name,
+                email: row.email,
+                password,
+                student_id_code: studentIdCode,
+                class_name: row.class_name,
+                roll_no: row.roll_no
+            });
+        }
+
+        await client.query('COMMIT');
+        new Set(rows.map(row => row.class_id)).forEach(classId => publishStudentAdded(classId));
+        res.status(201).json({
+            message: `${credentials.length} ${credentials.length === 1 ? 'student' : 'students'} imported`,
+            imported: credentials.length,
+            credentials
+        });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Import students error:', err);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = { importStudents };
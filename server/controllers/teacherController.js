@@ -3,195 +3,1155 @@
  * 
  * Handles all teacher-related API endpoints including:
  * - Dashboard statistics
- * - Creating new students
+ * - Creating, editing, transferring and deactivating students
+ * - Linking parents / guardians to students (and reading their absence notes)
  * - Viewing/marking attendance
  * - Generating reports
  * - Finding low-attendance students
  * 
+ * - Listing the teacher's classes and their timetable periods
+ * 
  * TEACHER FEATURES:
  * Teachers can manage students, mark attendance, and view comprehensive reports.
  * This controller contains the most complex queries with JOINs and aggregations.
+ * 
+ * SCOPE:
+ * Every query is limited to the classes the teacher is assigned to
+ * (teacher_classes, loaded by the class access middleware). Admins can
+ * use the same endpoints and see the whole school. ?class_id=3 narrows
+ * any list down to one class.
+ * 
+ * DAILY vs PERIOD ATTENDANCE:
+ * Attendance is taken either once per day (no period_id) or once per
+ * lecture (period_id from the timetable). Day-based reports read the
+ * daily_attendance view, which rolls period marks up to one status per day;
+ * the subject report reads the per-period rows.
+ * 
+ * SCHOOL CALENDAR:
+ * Day-based percentages count every working day of the school calendar
+ * (utils/calendarHelpers.js) from the student's first mark onwards, so a
+ * day nobody marked still counts as a school day. Marking attendance on
+ * a holiday or weekly off day needs an explicit confirmation.
  */
 
 const pool = require('../db');
 const bcrypt = require('bcryptjs');
 const { v4: uuidv4 } = require('uuid');
+const { isRollNumberTaken, nextRollNumber, insertStudent, enrollStudent } = require('../utils/studentHelpers');
+const { logAudit, attendanceEntityId } = require('../services/auditService');
+const { publishAttendanceChange, publishStudentAdded, publishNotifications } = require('../services/liveEvents');
+const { attendancePercentages, notifyLowAttendance, notifyAttendanceChanged } = require('../services/notificationService');
+const { classScope } = require('../middleware/classAccessMiddleware');
+const { LOW_ATTENDANCE_PERCENT, localDate, isoWeekday, getDayInfo, attendanceTotalsSql } = require('../utils/calendarHelpers');
+const { getReportRange } = require('../utils/academicYearHelpers');
+const { generateTemporaryPassword } = require('../utils/tokens');
+const {
+    ATTENDANCE_STATUSES, findPeriodForAttendance, findAttendanceConflicts, saveAttendanceMarks, submitAttendanceDays
+} = require('../utils/attendanceHelpers');
+
+// Statuses where the student was in school, for the "present today" count
+const ATTENDED_STATUSES = ['PRESENT', 'LATE', 'HALF_DAY'];
+
+// Arrival time of a LATE mark: "09:20" or "09:20:00"
+const TIME_PATTERN = /^\d{2}:\d{2}(:\d{2})?$/;
+
+/**
+ * "2026-02-13" → true; "13.02.2026" or "2026-02-30" → false
+ */
+const isDate = (value) => {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const d = new Date(`${value}T00:00:00Z`);
+    return !isNaN(d) && d.toISOString().startsWith(value);
+};
+
+/**
+ * A database id (students.id, periods.id, ...) as sent in a query string or
+ * body: 12 or "12". Anything else would fail PostgreSQL's ::int cast.
+ */
+const isId = (value) => /^\d+$/.test(String(value)) && Number(value) >= 1 && Number(value) <= 2147483647;
+
+/**
+ * GET DASHBOARD STATISTICS
+ * 
+ * Shows teacher an overview of total students and today's attendance
+ * in their classes (the whole school for admins)
+ * 
+ * FRONTEND REQUEST:
+ * GET /api/teacher/dashboard-stats?class_id=3   (class_id is optional)
+ * Headers: { Authorization: "Bearer <token>" }
+ * 
+ * BACKEND RESPONSE:
+ * {
+ *   "total_students": 250,
+ *   "present_today": 220,      // PRESENT, LATE or HALF_DAY
+ *   "absent_today": 30,
+ *   "academic_performance": "Coming Soon"
+ * }
+ */
+const getDashboardStats = async (req, res) => {
+    try {
+        // Count students in the classes this user can see
+        const totalParams = [];
+        const totalQuery = `SELECT COUNT(*) as count FROM students s WHERE s.is_active AND ${classScope(req, totalParams)}`;
+        const totalResult = await pool.query(totalQuery, totalParams);
+        const totalStudents = parseInt(totalResult.rows[0].count);
+
+        // Get today's date in YYYY-MM-DD format
+        const today = localDate();
+
+        // Count attendance by status for today
+        // GROUP BY status gives us separate counts for PRESENT, ABSENT, etc.
+        const attendanceParams = [today];
+        const attendanceQuery = `
+            SELECT a.status, COUNT(*) as count 
+            FROM daily_attendance a
+            JOIN students s ON a.student_id = s.id
+            WHERE a.date = $1 AND ${classScope(req, attendanceParams)}
+            GROUP BY a.status
+        `;
+        const attendanceResult = await pool.query(attendanceQuery, attendanceParams);
+
+        let present = 0;
+        let absent = 0;
+
+        attendanceResult.rows.forEach(row => {
+            if (ATTENDED_STATUSES.includes(row.status)) present += parseInt(row.count);
+            if (row.status === 'ABSENT') absent = parseInt(row.count);
+        });
+
+        res.json({
+            total_students: totalStudents,
+            present_today: present,
+            absent_today: absent,
+            academic_performance: "Coming Soon"
+        });
+    } catch (err) {
+        console.error('Dashboard stats error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * GET MY CLASSES
+ * 
+ * The classes this teacher is assigned to (teacher_classes), used to fill
+ * the class dropdowns on the dashboard. Admins get every class.
+ * 
+ * FRONTEND REQUEST:
+ * GET /api/teacher/classes
+ * 
+ * BACKEND RESPONSE:
+ * [
+ *   {
+ *     id: 3,
+ *     name: "10th-A",
+ *     grade: "10th",
+ *     section: "A",
+ *     academic_year: "2025-2026",
+ *     student_count: 32
+ *   },
+ *   ...
+ * ]
+ */
+const getClasses = async (req, res) => {
+    try {
+        const query = `
+            SELECT 
+                c.id, 
+                c.name, 
+                c.grade, 
+                c.section, 
+                c.academic_year,
+                (SELECT COUNT(*) FROM students s WHERE s.class_id = c.id AND s.is_active)::int as student_count
+            FROM classes c
+            WHERE c.id = ANY($1::int[])
+            ORDER BY c.academic_year DESC, c.grade, c.section
+        `;
+        // (req.assignedClasses is set by the class access middleware)
+        const result = await pool.query(query, [req.assignedClasses]);
+        res.json(result.rows);
+
+    } catch (err) {
+        console.error('Get classes error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * GET A CLASS'S PERIODS
+ * 
+ * Timetable periods of one class, used for the "Period" dropdown on the
+ * attendance sheet. With a date, only that weekday's periods are returned.
+ * An empty list means the class takes attendance once per day.
+ * 
+ * FRONTEND REQUEST:
+ * GET /api/teacher/periods?class_id=3&date=2026-02-13
+ * 
+ * BACKEND RESPONSE:
+ * [
+ *   {
+ *     id: 5,
+ *     day_of_week: 5,          // 1 = Monday … 7 = Sunday
+ *     period_no: 2,
+ *     start_time: "09:00:00",
+ *     end_time: "09:45:00",
+ *     subject_name: "Mathematics",
+ *     teacher_name: "John Doe"
+ *   },
+ *   ...
+ * ]
+ */
+const getPeriods = async (req, res) => {
+    const { class_id, date } = req.query;
+
+    if (!class_id || class_id === 'All') {
+        return res.status(400).json({ error: 'Class is required' });
+    }
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return res.status(400).json({ error: 'Date must be YYYY-MM-DD' });
+    }
+
+    try {
+        let query = `
+            SELECT 
+                p.id, 
+                p.day_of_week, 
+                p.period_no, 
+                p.start_time, 
+                p.end_time, 
+                sub.name as subject_name, 
+                t.name as teacher_name
+            FROM periods p
+            JOIN subjects sub ON p.subject_id = sub.id
+            LEFT JOIN teachers t ON p.teacher_id = t.id
+            WHERE p.class_id = $1
+        `;
+        const params = [class_id];
+
+        if (date) {
+            params.push(isoWeekday(date));
+            query += ` AND p.day_of_week = $${params.length}`;
+        }
+
+        query += ' ORDER BY p.day_of_week, p.period_no';
+
+        const result = await pool.query(query, params);
+        res.json(result.rows);
+
+    } catch (err) {
+        console.error('Get periods error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * GET CALENDAR DAY
+ * 
+ * What kind of school day a date is, shown above the attendance sheet
+ * (e.g. "Holiday: Diwali" or "Weekend").
+ * 
+ * FRONTEND REQUEST:
+ * GET /api/teacher/calendar-day?date=2026-10-20
+ * 
+ * BACKEND RESPONSE:
+ * {
+ *   date: "2026-10-20",
+ *   day_type: "HOLIDAY",      // WORKING, HOLIDAY, EXAM, HALF_DAY or WEEKEND
+ *   title: "Diwali",
+ *   is_working: false
+ * }
+ */
+const getCalendarDay = async (req, res) => {
+    const { date } = req.query;
+
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return res.status(400).json({ error: 'Date must be YYYY-MM-DD' });
+    }
+
+    try {
+        res.json(await getDayInfo(pool, date));
+    } catch (err) {
+        console.error('Calendar day error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * CREATE NEW STUDENT
+ * 
+ * Teacher can add a new student to the system
+ * This creates both a user account AND a student profile
+ * 
+ * FRONTEND REQUEST:
+ * POST /api/teacher/create-student
+ * Body: {
+ *   "name": "Jane Smith",
+ *   "email": "jane@school.com",
+ *   "password": "student123",
+ *   "class_id": 3,            // from GET /api/teacher/classes
+ *   "roll_no": 25,
+ *   "must_change_password": true   // optional: force a new password on first login
+ * }
+ * 
+ * BACKEND RESPONSE:
+ * {
+ *   "message": "Student created successfully",
+ *   "studentIdCode": "STD025"
+ * }
+ * 
+ * DATABASE TRANSACTION:
+ * This uses a transaction to ensure data consistency.
+ * If any step fails, all changes are rolled back (nothing is saved).
+ */
+const createStudent = async (req, res) => {
+    const { name, email, password, class_id, roll_no, must_change_password } = req.body;
+
+    // Validate all required fields
+    if (!name) return res.status(400).json({ error: 'Name is required' });
+    if (!email) return res.status(400).json({ error: 'Email is required' });
+    if (!password) return res.status(400).json({ error: 'Password is required' });
+    if (!class_id) return res.status(400).json({ error: 'Class is required' });
+    if (!roll_no) return res.status(400).json({ error: 'Roll number is required' });
+
+    // Get a dedicated connection for transaction
+    // Transactions ensure all-or-nothing: either all queries succeed or none do
+    const client = await pool.connect();
+
+    try {
+        // Start transaction
+        await client.query('BEGIN');
+
+        // Check if email already exists
+        const existingQuery = 'SELECT * FROM users WHERE email = $1';
+        const existingResult = await client.query(existingQuery, [email]);
+
+        if (existingResult.rows.length > 0) {
+            await client.query('ROLLBACK');  // Undo transaction
+            return res.status(400).json({ error: 'User already exists' });
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        const passwordHash = await bcrypt.hash(password, salt);
+
+        // Check if roll number already exists in this class
+        if (await isRollNumberTaken(client, class_id, roll_no)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                error: `Roll number ${roll_no} already exists in this class`
+            });
+        }
+
+        // Create user account + student profile (ID code STD001, STD002...) + enrollment
+        // must_change_password: the student has to replace the teacher-chosen password on first login
+        const { id: studentId, studentIdCode } = await insertStudent(client, {
+            name,
+            email,
+            passwordHash,
+            classId: class_id,
+            rollNo: roll_no,
+            mustChangePassword: must_change_password
+        });
+
+        await logAudit(client, req, {
+            action: 'STUDENT_CREATED',
+            entityType: 'student',
+            entityId: studentId,
+            after: { name, email, class_id, roll_no, student_id_code: studentIdCode }
+        });
+
+        // Commit transaction (save all changes)
+        await client.query('COMMIT');
+        publishStudentAdded(Number(class_id));
+
+        res.status(201).json({
+            message: 'Student created successfully',
+            studentIdCode
+        });
+
+    } catch (err) {
+        // If any error occurs, undo all changes
+        await client.query('ROLLBACK');
+        console.error('Create student error:', err);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        // Release connection back to pool
+        client.release();
+    }
+};
+
+/**
+ * Loads a student that is about to be changed and locks the row
+ * (FOR UPDATE) until the caller's COMMIT.
+ * Teachers may only change students of their own classes.
+ * 
+ * @param {object} client - pg client inside a transaction
+ * @param {object} req - request (reads seesWholeSchool, assignedClasses)
+ * @param {string|number} studentId - students.id from the URL
+ * @returns {Promise<{ student?: object, status?: number, error?: string }>}
+ */
+const lockStudentForUpdate = async (client, req, studentId) => {
+    const studentQuery = `
+        SELECT s.id, s.user_id, s.name, s.class_id, s.roll_no, s.is_active, u.email
+        FROM students s
+        LEFT JOIN users u ON s.user_id = u.id
+        WHERE s.id = $1
+        FOR UPDATE OF s
+    `;
+    const result = await client.query(studentQuery, [parseInt(studentId) || 0]);
+    const student = result.rows[0];
+
+    if (!student) {
+        return { status: 404, error: 'Student not found' };
+    }
+    if (!req.seesWholeSchool && !req.assignedClasses.includes(student.class_id)) {
+        return { status: 403, error: 'You are not assigned to this class' };
+    }
+    return { student };
+};
+
+/**
+ * LIST STUDENTS
+ * 
+ * Students of the teacher's classes (the whole school for admins), for the
+ * "Students" tab. Deactivated students are hidden unless asked for.
+ * 
+ * FRONTEND REQUEST:
+ * GET /api/teacher/students?class_id=3&status=all&search=jane
+ *   status: active (default), inactive or all
+ * 
+ * BACKEND RESPONSE:
+ * [
+ *   {
+ *     id: 12,
+ *     name: "Jane Smith",
+ *     student_id_code: "STD012",
+ *     email: "jane@school.com",
+ *     class_id: 3,
+ *     class_name: "10th-A",
+ *     roll_no: 25,
+ *     is_active: true
+ *   },
+ *   ...
+ * ]
+ */
+const listStudents = async (req, res) => {
+    const { status = 'active', search } = req.query;
+
+    if (!['active', 'inactive', 'all'].includes(status)) {
+        return res.status(400).json({ error: 'Status must be active, inactive or all' });
+    }
+
+    try {
+        const params = [];
+        let query = `
+            SELECT 
+                s.id, 
+                s.name, 
+                s.student_id_code, 
+                u.email, 
+                s.class_id, 
+                c.name as class_name, 
+                s.roll_no, 
+                s.is_active
+            FROM students s
+            LEFT JOIN classes c ON s.class_id = c.id
+            LEFT JOIN users u ON s.user_id = u.id
+            WHERE ${classScope(req, params)}
+        `;
+
+        if (status !== 'all') {
+            query += ` AND s.is_active = ${status === 'active' ? 'TRUE' : 'FALSE'}`;
+        }
+        if (search) {
+            // ILIKE: case-insensitive LIKE; % matches anything before/after
+            params.push(`%${search}%`);
+            query += ` AND (s.name ILIKE $${params.length} OR s.student_id_code ILIKE $${params.length} OR u.email ILIKE $${params.length})`;
+        }
+
+        query += ' ORDER BY c.name, s.roll_no, s.name';
+
+        const result = await pool.query(query, params);
+        res.json(result.rows);
+
+    } catch (err) {
+        console.error('List students error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * GET STUDENT DETAILS
+ * 
+ * Everything the student detail page shows: profile, class history,
+ * attendance this academic year, the latest marks, guardians and their absence notes.
+ * 
+ * FRONTEND REQUEST:
+ * GET /api/teacher/students/12
+ * 
+ * BACKEND RESPONSE:
+ * {
+ *   profile: {
+ *     id: 12, name: "Jane Smith", student_id_code: "STD012", email: "jane@school.com",
+ *     class_id: 3, class_name: "10th-A", academic_year: "2025-2026", roll_no: 25,
+ *     is_active: true, deactivated_at: null
+ *   },
+ *   enrollments: [
+ *     { academic_year: "2025-2026", class_id: 3, class_name: "10th-A", roll_no: 25, status: "ACTIVE" },
+ *     { academic_year: "2024-2025", class_id: 1, class_name: "9th-A", roll_no: 24, status: "PROMOTED" }
+ *   ],
+ *   attendance_summary: { academic_year: "2025-2026", percentage: "91.2", total_present: 62, total_days: 68 },
+ *   recent_attendance: [{ date: "2026-02-13", status: "PRESENT" }, ...],   // last 30 marked days
+ *   guardians: [{ id: 3, name: "Mary Smith", email: "mary@example.com", phone: null, relationship: "Mother" }],
+ *   absence_notes: [                                                      // latest 20, from the guardian portal
+ *     { id: 4, from_date: "2026-02-16", to_date: "2026-02-17", reason: "Fever", guardian_name: "Mary Smith", created_at: "...", acknowledged_at: null }
+ *   ]
+ * }
+ */
+const getStudent = async (req, res) => {
+    try {
+        const studentQuery = `
+            SELECT 
+                s.id, 
+                s.name, 
+                s.student_id_code, 
+                u.email, 
+                s.class_id, 
+                c.name as class_name, 
+                c.academic_year, 
+                s.roll_no, 
+                s.is_active, 
+                s.deactivated_at
+            FROM students s
+            LEFT JOIN classes c ON s.class_id = c.id
+            LEFT JOIN users u ON s.user_id = u.id
+            WHERE s.id = $1
+        `;
+        const studentResult = await pool.query(studentQuery, [parseInt(req.params.id) || 0]);
+        const student = studentResult.rows[0];
+
+        if (!student) {
+            return res.status(404).json({ error: 'Student not found' });
+        }
+        if (!req.seesWholeSchool && !req.assignedClasses.includes(student.class_id)) {
+            return res.status(403).json({ error: 'You are not assigned to this class' });
+        }
+
+        const enrollmentsQuery = `
+            SELECT ay.name as academic_year, e.class_id, c.name as class_name, e.roll_no, e.status
+            FROM enrollments e
+            JOIN academic_years ay ON e.academic_year_id = ay.id
+            JOIN classes c ON e.class_id = c.id
+            WHERE e.student_id = $1
+            ORDER BY ay.start_date DESC
+        `;
+        const enrollmentsResult = await pool.query(enrollmentsQuery, [student.id]);
+
+        // Attendance this academic year (everything if no academic year is set up)
+        const found = await getReportRange(pool, {});
+        const today = localDate();
+        const range = found.range || { academic_year: null, from: null, to: today };
+
+        const totalsParams = [student.id];
+        const totalsQuery = `
+            SELECT total_days, present_days
+            FROM (${attendanceTotalsSql(totalsParams, range.from, range.to)}) t
+            WHERE t.student_id = $1
+        `;
+        const totalsResult = await pool.query(totalsQuery, totalsParams);
+        const totals = totalsResult.rows[0];  // no row until the first mark
+        const present = totals ? parseFloat(totals.present_days) : 0;
+        const totalDays = totals ? parseInt(totals.total_days) : 0;
+
+        const recentQuery = `
+            SELECT TO_CHAR(date, 'YYYY-MM-DD') as date, status
+            FROM daily_attendance
+            WHERE student_id = $1
+            ORDER BY date DESC
+            LIMIT 30
+        `;
+        const recentResult = await pool.query(recentQuery, [student.id]);
+
+        const guardiansQuery = `
+            SELECT g.id, g.name, g.phone, u.email, gs.relationship
+            FROM guardian_students gs
+            JOIN guardians g ON gs.guardian_id = g.id
+            LEFT JOIN users u ON g.user_id = u.id
+            WHERE gs.student_id = $1
+            ORDER BY g.name
+        `;
+        const guardiansResult = await pool.query(guardiansQuery, [student.id]);
+
+        const notesQuery = `
+            SELECT
+                n.id,
+                TO_CHAR(n.from_date, 'YYYY-MM-DD') as from_date,
+                TO_CHAR(n.to_date, 'YYYY-MM-DD') as to_date,
+                n.reason,
+                g.name as guardian_name,
+                n.created_at,
+                n.acknowledged_at
+            FROM absence_notes n
+            LEFT JOIN guardians g ON n.guardian_id = g.id
+            WHERE n.student_id = $1
+            ORDER BY n.from_date DESC, n.id DESC
+            LIMIT 20
+        `;
+        const notesResult = await pool.query(notesQuery, [student.id]);
+
+        res.json({
+            profile: student,
+            enrollments: enrollmentsResult.rows,
+            attendance_summary: {
+                academic_year: range.academic_year,
+                percentage: totalDays > 0 ? ((present / totalDays) * 100).toFixed(1) : 0,
+                total_present: present,
+                total_days: totalDays
+            },
+            recent_attendance: recentResult.rows,
+            guardians: guardiansResult.rows,
+            absence_notes: notesResult.rows
+        });
+
+    } catch (err) {
+        console.error('Get student error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * UPDATE STUDENT
+ * 
+ * Fix a student's name, login email or roll number (within their class).
+ * Moving to another class is a transfer (below).
+ * 
+ * FRONTEND REQUEST:
+ * PATCH /api/teacher/students/12
+ * Body (any combination): { "name": "Jane Smith", "email": "jane@school.com", "roll_no": 26 }
+ * 
+ * BACKEND RESPONSE:
+ * { "message": "Student updated" }
+ * 
+ * Same checks as creating a student, inside one transaction:
+ * the email must be free and the roll number unused in the class.
+ */
+const updateStudent = async (req, res) => {
+    const { roll_no } = req.body;
+    const name = req.body.name === undefined ? undefined : String(req.body.name).trim();
+    const email = req.body.email === undefined ? undefined : String(req.body.email).trim();
+
+    if (name === undefined && email === undefined && roll_no === undefined) {
+        return res.status(400).json({ error: 'Nothing to update' });
+    }
+    if (name === '') return res.status(400).json({ error: 'Name is required' });
+    if (email === '') return res.status(400).json({ error: 'Email is required' });
+    if (roll_no !== undefined && !(parseInt(roll_no) > 0)) {
+        return res.status(400).json({ error: 'Roll number must be a positive number' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const found = await lockStudentForUpdate(client, req, req.params.id);
+        if (found.error) {
+            await client.query('ROLLBACK');
+            return res.status(found.status).json({ error: found.error });
+        }
+        const student = found.student;
+
+        // Record only the fields that actually change
+        const before = {};
+        const after = {};
+
+        if (name !== undefined && name !== student.name) {
+            await client.query('UPDATE students SET name = $1 WHERE id = $2', [name, student.id]);
+            before.name = student.name;
+            after.name = name;
+        }
+
+        if (email !== undefined && email !== student.email) {
+            if (!student.user_id) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: 'This student has no login account' });
+            }
+            const existingResult = await client.query('SELECT 1 FROM users WHERE email = $1 AND id <> $2', [email, student.user_id]);
+            if (existingResult.rows.length > 0) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: 'User already exists' });
+            }
+            await client.query('UPDATE users SET email = $1 WHERE id = $2', [email, student.user_id]);
+            before.email = student.email;
+            after.email = email;
+        }
+
+        if (roll_no !== undefined && parseInt(roll_no) !== student.roll_no) {
+            if (!student.class_id) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: 'This student has no class' });
+            }
+            if (await isRollNumberTaken(client, student.class_id, roll_no, student.id)) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: `Roll number ${roll_no} already exists in this class` });
+            }
+            await client.query('UPDATE students SET roll_no = $1 WHERE id = $2', [parseInt(roll_no), student.id]);
+            await enrollStudent(client, student.id, student.class_id, parseInt(roll_no));
+            before.roll_no = student.roll_no;
+            after.roll_no = parseInt(roll_no);
+        }
+
+        if (Object.keys(after).length > 0) {
+            await logAudit(client, req, { action: 'STUDENT_UPDATED', entityType: 'student', entityId: student.id, before, after });
+        }
+
+        await client.query('COMMIT');
+        res.json({ message: 'Student updated' });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Update student error:', err);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * TRANSFER STUDENT
+ * 
+ * Moves a student to another class of the same academic year
+ * (e.g. 10th-A → 10th-B). Their attendance history moves with them.
+ * Moving up a grade at the end of the year is the admin's year-end rollover.
+ * 
+ * FRONTEND REQUEST:
+ * POST /api/teacher/students/12/transfer
+ * Body: {
+ *   "class_id": 4,      // teachers must be assigned to both classes
+ *   "roll_no": 33       // optional: default is the next free number in the new class
+ * }
+ * 
+ * BACKEND RESPONSE:
+ * { "message": "Jane Smith moved to 10th-B", "roll_no": 33 }
+ */
+const transferStudent = async (req, res) => {
+    const { class_id, roll_no } = req.body;
+
+    if (!class_id) return res.status(400).json({ error: 'Class is required' });
+    if (roll_no !== undefined && roll_no !== null && roll_no !== '' && !(parseInt(roll_no) > 0)) {
+        return res.status(400).json({ error: 'Roll number must be a positive number' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const found = await lockStudentForUpdate(client, req, req.params.id);
+        if (found.error) {
+            await client.query('ROLLBACK');
+            return res.status(found.status).json({ error: found.error });
+        }
+        const student = found.student;
+
+        if (!student.is_active) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Reactivate the student before moving them' });
+        }
+        if (student.class_id === parseInt(class_id)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'The student is already in this class' });
+        }
+
+        // Both classes must belong to the same academic year
+        const classesResult = await client.query('SELECT id, name, academic_year FROM classes WHERE id = ANY($1::int[])', [[parseInt(class_id), student.class_id]]);
+        const target = classesResult.rows.find(c => c.id === parseInt(class_id));
+        const current = classesResult.rows.find(c => c.id === student.class_id);
+
+        if (!target) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Class not found' });
+        }
+        if (current && current.academic_year !== target.academic_year) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: `Transfers stay within ${current.academic_year}. Use the year-end rollover to move to another year.` });
+        }
+
+        let rollNo;
+        if (roll_no) {
+            rollNo = parseInt(roll_no);
+            if (await isRollNumberTaken(client, target.id, rollNo, student.id)) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: `Roll number ${rollNo} already exists in ${target.name}` });
+            }
+        } else {
+            rollNo = await nextRollNumber(client, target.id);
+        }
+
+        await client.query('UPDATE students SET class_id = $1, roll_no = $2 WHERE id = $3', [target.id, rollNo, student.id]);
+        // Same academic year: the year's enrollment now points at the new class
+        await enrollStudent(client, student.id, target.id, rollNo);
+
+        await logAudit(client, req, {
+            action: 'STUDENT_TRANSFERRED',
+            entityType: 'student',
+            entityId: student.id,
+            before: { class_id: student.class_id, class_name: current ? current.name : null, roll_no: student.roll_no },
+            after: { class_id: target.id, class_name: target.name, roll_no: rollNo }
+        });
+
+        await client.query('COMMIT');
+        res.json({ message: `${student.name} moved to ${target.name}`, roll_no: rollNo });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Transfer student error:', err);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * DEACTIVATE / REACTIVATE STUDENT
+ * 
+ * A student who leaves the school is deactivated, not deleted:
+ * - they no longer appear on attendance sheets, class counts or the defaulters list
+ * - their login is disabled
+ * - attendance history, reports on past months and enrollments are kept
+ * - they keep their class and roll number, so reactivating puts them back
+ * 
+ * FRONTEND REQUEST:
+ * POST /api/teacher/students/12/deactivate
+ * POST /api/teacher/students/12/reactivate
+ * 
+ * BACKEND RESPONSE:
+ * { "message": "Student deactivated" }
+ */
+const setStudentActive = (isActive) => async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const found = await lockStudentForUpdate(client, req, req.params.id);
+        if (found.error) {
+            await client.query('ROLLBACK');
+            return res.status(found.status).json({ error: found.error });
+        }
+        const student = found.student;
+
+        if (student.is_active === isActive) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: `Student is already ${isActive ? 'active' : 'deactivated'}` });
+        }
+
+        await client.query(
+            'UPDATE students SET is_active = $1, deactivated_at = CASE WHEN $1 THEN NULL ELSE CURRENT_TIMESTAMP END WHERE id = $2',
+            [isActive, student.id]
+        );
+        if (student.user_id) {
+            await client.query('UPDATE users SET is_active = $1 WHERE id = $2', [isActive, student.user_id]);
+        }
+
+        await logAudit(client, req, {
+            action: isActive ? 'STUDENT_REACTIVATED' : 'STUDENT_DEACTIVATED',
+            entityType: 'student',
+            entityId: student.id,
+            before: { is_active: student.is_active },
+            after: { is_active: isActive }
+        });
+
+        await client.query('COMMIT');
+        res.json({ message: isActive ? 'Student reactivated' : 'Student deactivated' });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Change student status error:', err);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+};
+
+const deactivateStudent = setStudentActive(false);
+const reactivateStudent = setStudentActive(true);
+
+/**
+ * DELETE STUDENT
+ * 
+ * Removes a student (and their login) for good. Only for students added
+ * by mistake: once any attendance has been taken for them, deactivate
+ * them instead so the history is kept.
+ * 
+ * FRONTEND REQUEST:
+ * DELETE /api/teacher/students/12
+ * 
+ * BACKEND RESPONSE:
+ * { "message": "Student deleted" }
+ */
+const deleteStudent = async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const found = await lockStudentForUpdate(client, req, req.params.id);
+        if (found.error) {
+            await client.query('ROLLBACK');
+            return res.status(found.status).json({ error: found.error });
+        }
+        const student = found.student;
+
+        const attendanceResult = await client.query('SELECT 1 FROM attendance WHERE student_id = $1 LIMIT 1', [student.id]);
+        if (attendanceResult.rows.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: 'This student has attendance history. Deactivate them instead.' });
+        }
+
+        // Enrollments go with the student (ON DELETE CASCADE)
+        await client.query('DELETE FROM students WHERE id = $1', [student.id]);
+        if (student.user_id) {
+            await client.query('DELETE FROM users WHERE id = $1', [student.user_id]);
+        }
+
+        await logAudit(client, req, {
+            action: 'STUDENT_DELETED',
+            entityType: 'student',
+            entityId: student.id,
+            before: { name: student.name, email: student.email, class_id: student.class_id, roll_no: student.roll_no }
+        });
+
+        await client.query('COMMIT');
+        res.json({ message: 'Student deleted' });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Delete student error:', err);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+};
 
 /**
- * GET DASHBOARD STATISTICS
+ * LINK GUARDIAN
  * 
- * Shows teacher an overview of total students and today's attendance
+ * Gives a parent / guardian access to a student in the guardian portal.
+ * An email that already belongs to a guardian is simply linked (one
+ * guardian can have several children); otherwise a GUARDIAN account is
+ * created with a temporary password they must change on first login.
  * 
  * FRONTEND REQUEST:
- * GET /api/teacher/dashboard-stats
- * Headers: { Authorization: "Bearer <token>" }
+ * POST /api/teacher/students/12/guardians
+ * Body: {
+ *   "email": "mary@example.com",
+ *   "name": "Mary Smith",          // new accounts only
+ *   "phone": "+91 98765 43210",    // optional, new accounts only
+ *   "relationship": "Mother",      // optional
+ *   "password": "..."              // optional: generated when left out (new accounts only)
+ * }
  * 
  * BACKEND RESPONSE:
- * {
- *   "total_students": 250,
- *   "present_today": 220,
- *   "absent_today": 30,
- *   "academic_performance": "Coming Soon"
+ * 201 {
+ *   "message": "Guardian account created and linked",
+ *   "guardian": { id: 3, name: "Mary Smith", email: "mary@example.com", phone: "...", relationship: "Mother" },
+ *   "temporary_password": "k3VZq9XbT2"    // only when a new account was created; shown once
  * }
  */
-const getDashboardStats = async (req, res) => {
+const linkGuardian = async (req, res) => {
+    const { email, name, phone, relationship, password } = req.body;
+
+    if (!email) return res.status(400).json({ error: 'Email is required' });
+
+    const client = await pool.connect();
+
     try {
-        // Count total number of students
-        const totalQuery = 'SELECT COUNT(*) as count FROM students';
-        const totalResult = await pool.query(totalQuery);
-        const totalStudents = parseInt(totalResult.rows[0].count);
+        await client.query('BEGIN');
 
-        // Get today's date in YYYY-MM-DD format
-        const today = new Date().toISOString().split('T')[0];
+        const found = await lockStudentForUpdate(client, req, req.params.id);
+        if (found.error) {
+            await client.query('ROLLBACK');
+            return res.status(found.status).json({ error: found.error });
+        }
+        const student = found.student;
 
-        // Count attendance by status for today
-        // GROUP BY status gives us separate counts for PRESENT, ABSENT, etc.
-        const attendanceQuery = `
-            SELECT status, COUNT(*) as count 
-            FROM attendance 
-            WHERE date = $1 
-            GROUP BY status
-        `;
-        const attendanceResult = await pool.query(attendanceQuery, [today]);
+        const userResult = await client.query('SELECT id, role FROM users WHERE email = $1', [email]);
+        const existingUser = userResult.rows[0];
+        let guardian;
+        let temporaryPassword = null;
 
-        let present = 0;
-        let absent = 0;
+        if (existingUser) {
+            if (existingUser.role !== 'GUARDIAN') {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: 'This email belongs to an account that is not a guardian' });
+            }
+            const guardianResult = await client.query('SELECT id, name, phone FROM guardians WHERE user_id = $1', [existingUser.id]);
+            guardian = guardianResult.rows[0];
 
-        attendanceResult.rows.forEach(row => {
-            if (row.status === 'PRESENT') present = parseInt(row.count);
-            if (row.status === 'ABSENT') absent = parseInt(row.count);
+            const linkedResult = await client.query(
+                'SELECT 1 FROM guardian_students WHERE guardian_id = $1 AND student_id = $2',
+                [guardian.id, student.id]
+            );
+            if (linkedResult.rows.length > 0) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: `${guardian.name} is already linked to ${student.name}` });
+            }
+        } else {
+            if (!name) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: 'Name is required for a new guardian' });
+            }
+
+            temporaryPassword = password || generateTemporaryPassword();
+            const salt = await bcrypt.genSalt(10);
+            const passwordHash = await bcrypt.hash(temporaryPassword, salt);
+
+            const userId = uuidv4();
+            await client.query(
+                `INSERT INTO users (id, email, password_hash, role, must_change_password) VALUES ($1, $2, $3, 'GUARDIAN', TRUE)`,
+                [userId, email, passwordHash]
+            );
+            const guardianResult = await client.query(
+                'INSERT INTO guardians (user_id, name, phone) VALUES ($1, $2, $3) RETURNING id, name, phone',
+                [userId, name, phone || null]
+            );
+            guardian = guardianResult.rows[0];
+        }
+
+        await client.query(
+            'INSERT INTO guardian_students (guardian_id, student_id, relationship) VALUES ($1, $2, $3)',
+            [guardian.id, student.id, relationship || null]
+        );
+
+        await logAudit(client, req, {
+            action: 'GUARDIAN_LINKED',
+            entityType: 'student',
+            entityId: student.id,
+            after: { guardian_id: guardian.id, name: guardian.name, email, relationship: relationship || null, new_account: !existingUser }
         });
 
-        res.json({
-            total_students: totalStudents,
-            present_today: present,
-            absent_today: absent,
-            academic_performance: "Coming Soon"
+        await client.query('COMMIT');
+        res.status(201).json({
+            message: existingUser ? 'Guardian linked' : 'Guardian account created and linked',
+            guardian: { id: guardian.id, name: guardian.name, email, phone: guardian.phone, relationship: relationship || null },
+            ...(temporaryPassword && { temporary_password: temporaryPassword })
         });
+
     } catch (err) {
-        console.error('Dashboard stats error:', err);
+        await client.query('ROLLBACK');
+        console.error('Link guardian error:', err);
         res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
     }
 };
 
 /**
- * CREATE NEW STUDENT
+ * UNLINK GUARDIAN
  * 
- * Teacher can add a new student to the system
- * This creates both a user account AND a student profile
+ * Takes away a guardian's access to a student. The guardian's account
+ * stays (they may have other children, or be linked again later).
  * 
  * FRONTEND REQUEST:
- * POST /api/teacher/create-student
- * Body: {
- *   "name": "Jane Smith",
- *   "email": "jane@school.com",
- *   "password": "student123",
- *   "class_name": "10th-A",
- *   "roll_no": 25
- * }
+ * DELETE /api/teacher/students/12/guardians/3
  * 
  * BACKEND RESPONSE:
- * {
- *   "message": "Student created successfully",
- *   "studentIdCode": "STD025"
- * }
- * 
- * DATABASE TRANSACTION:
- * This uses a transaction to ensure data consistency.
- * If any step fails, all changes are rolled back (nothing is saved).
+ * { "message": "Guardian unlinked" }
  */
-const createStudent = async (req, res) => {
-    const { name, email, password, class_name, roll_no } = req.body;
-
-    // Validate all required fields
-    if (!name) return res.status(400).json({ error: 'Name is required' });
-    if (!email) return res.status(400).json({ error: 'Email is required' });
-    if (!password) return res.status(400).json({ error: 'Password is required' });
-    if (!class_name) return res.status(400).json({ error: 'Class is required' });
-    if (!roll_no) return res.status(400).json({ error: 'Roll number is required' });
-
-    // Get a dedicated connection for transaction
-    // Transactions ensure all-or-nothing: either all queries succeed or none do
+const unlinkGuardian = async (req, res) => {
     const client = await pool.connect();
 
     try {
-        // Start transaction
         await client.query('BEGIN');
 
-        // Check if email already exists
-        const existingQuery = 'SELECT * FROM users WHERE email = $1';
-        const existingResult = await client.query(existingQuery, [email]);
-
-        if (existingResult.rows.length > 0) {
-            await client.query('ROLLBACK');  // Undo transaction
-            return res.status(400).json({ error: 'User already exists' });
+        const found = await lockStudentForUpdate(client, req, req.params.id);
+        if (found.error) {
+            await client.query('ROLLBACK');
+            return res.status(found.status).json({ error: found.error });
         }
+        const student = found.student;
 
-        const userId = uuidv4();
-        const salt = await bcrypt.genSalt(10);
-        const passwordHash = await bcrypt.hash(password, salt);
-
-        // Check if roll number already exists in this class
-        const rollQuery = `
-            SELECT * FROM students 
-            WHERE class_name = $1 AND roll_no = $2
-        `;
-        const rollResult = await client.query(rollQuery, [class_name, roll_no]);
-
-        if (rollResult.rows.length > 0) {
+        const deleteResult = await client.query(
+            'DELETE FROM guardian_students WHERE guardian_id = $1 AND student_id = $2 RETURNING relationship',
+            [parseInt(req.params.guardianId) || 0, student.id]
+        );
+        if (deleteResult.rows.length === 0) {
             await client.query('ROLLBACK');
-            return res.status(400).json({
-                error: `Roll number ${roll_no} already exists in class ${class_name}`
-            });
+            return res.status(404).json({ error: 'This guardian is not linked to the student' });
         }
 
-        // Create user account
-        const insertUserQuery = `
-            INSERT INTO users (id, email, password_hash, role) 
-            VALUES ($1, $2, $3, $4)
-        `;
-        await client.query(insertUserQuery, [userId, email, passwordHash, 'STUDENT']);
-
-        // Generate student ID code (STD001, STD002, STD003...)
-        const countQuery = 'SELECT COUNT(*) as count FROM students';
-        const countResult = await client.query(countQuery);
-        const nextId = parseInt(countResult.rows[0].count) + 1;
-        const studentIdCode = `STD${String(nextId).padStart(3, '0')}`;
-
-        // Create student profile
-        const insertStudentQuery = `
-            INSERT INTO students (user_id, name, class_name, roll_no, student_id_code) 
-            VALUES ($1, $2, $3, $4, $5)
-        `;
-        await client.query(insertStudentQuery, [userId, name, class_name, roll_no, studentIdCode]);
+        await logAudit(client, req, {
+            action: 'GUARDIAN_UNLINKED',
+            entityType: 'student',
+            entityId: student.id,
+            before: { guardian_id: parseInt(req.params.guardianId), relationship: deleteResult.rows[0].relationship }
+        });
 
-        // Commit transaction (save all changes)
         await client.query('COMMIT');
-
-        res.status(201).json({
-            message: 'Student created successfully',
-            studentIdCode
-        });
+        res.json({ message: 'Guardian unlinked' });
 
     } catch (err) {
-        // If any error occurs, undo all changes
         await client.query('ROLLBACK');
-        console.error('Create student error:', err);
+        console.error('Unlink guardian error:', err);
         res.status(500).json({ error: 'Server error' });
     } finally {
-        // Release connection back to pool
         client.release();
     }
 };
 
+/**
+ * ACKNOWLEDGE ABSENCE NOTE
+ * 
+ * Marks a guardian's absence note as read (the guardian sees "Read by the school").
+ * 
+ * FRONTEND REQUEST:
+ * POST /api/teacher/absence-notes/4/acknowledge
+ * 
+ * BACKEND RESPONSE:
+ * { "message": "Absence note acknowledged" }
+ */
+const acknowledgeAbsenceNote = async (req, res) => {
+    try {
+        const noteQuery = `
+            SELECT n.id, n.acknowledged_at, s.class_id
+            FROM absence_notes n
+            JOIN students s ON n.student_id = s.id
+            WHERE n.id = $1
+        `;
+        const noteResult = await pool.query(noteQuery, [parseInt(req.params.id) || 0]);
+        const note = noteResult.rows[0];
+
+        if (!note) {
+            return res.status(404).json({ error: 'Absence note not found' });
+        }
+        if (!req.seesWholeSchool && !req.assignedClasses.includes(note.class_id)) {
+            return res.status(403).json({ error: 'You are not assigned to this class' });
+        }
+        if (note.acknowledged_at) {
+            return res.status(400).json({ error: 'Absence note already acknowledged' });
+        }
+
+        await pool.query(
+            'UPDATE absence_notes SET acknowledged_by = $1, acknowledged_at = CURRENT_TIMESTAMP WHERE id = $2',
+            [req.user.id, note.id]
+        );
+        res.json({ message: 'Absence note acknowledged' });
+
+    } catch (err) {
+        console.error('Acknowledge absence note error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
 /**
  * GET ATTENDANCE SHEET
  * 
  * Returns list of students with their attendance status for a specific date
- * Used by teacher to view/mark attendance
+ * Used by teacher to view/mark attendance (deactivated students are left out)
  * 
  * FRONTEND REQUEST:
- * GET /api/teacher/attendance-sheet?date=2026-02-13&class_name=10th-A
+ * GET /api/teacher/attendance-sheet?date=2026-02-13&class_id=3
+ * GET /api/teacher/attendance-sheet?date=2026-02-13&period_id=5   (one lecture: that period's class)
  * 
  * BACKEND RESPONSE:
  * [
@@ -199,9 +1159,12 @@ const createStudent = async (req, res) => {
  *     student_id: 1,
  *     name: "John Doe",
  *     student_id_code: "STD001",
+ *     class_id: 3,
  *     class_name: "10th-A",
  *     roll_no: 5,
- *     status: "PRESENT"  // or null if not marked yet
+ *     status: "LATE",    // or null if not marked yet
+ *     arrival_time: "09:20:00",  // only for LATE
+ *     version: 2         // of the mark (null if not marked yet), send it back when saving
  *   },
  *   ...
  * ]
@@ -209,37 +1172,64 @@ const createStudent = async (req, res) => {
  * SQL EXPLANATION:
  * LEFT JOIN: Shows all students, even if they don't have attendance for that date
  * If attendance exists, status is shown; otherwise status is null
+ * IS NOT DISTINCT FROM: like "=", but NULL matches NULL (daily marks have no period)
  */
 const getAttendanceSheet = async (req, res) => {
-    const { date, class_name } = req.query;
+    const { date, period_id } = req.query;
 
     if (!date) {
         return res.status(400).json({ error: "Date required" });
     }
+    if (!isDate(date)) {
+        return res.status(400).json({ error: 'Date must be YYYY-MM-DD' });
+    }
+    if (period_id && !isId(period_id)) {
+        return res.status(400).json({ error: 'Invalid period' });
+    }
 
     try {
+        let period = null;
+        if (period_id) {
+            const found = await findPeriodForAttendance(req, period_id, date);
+            if (found.error) {
+                return res.status(found.status).json({ error: found.error });
+            }
+            period = found.period;
+        }
+
         // Build query dynamically based on whether class filter is provided
         let query = `
             SELECT 
                 s.id as student_id, 
                 s.name, 
                 s.student_id_code, 
-                s.class_name, 
+                s.class_id, 
+                c.name as class_name, 
                 s.roll_no, 
-                a.status 
+                a.status,
+                a.arrival_time,
+                a.version
             FROM students s
+            LEFT JOIN classes c ON s.class_id = c.id
             LEFT JOIN attendance a ON s.id = a.student_id AND a.date = $1
+                AND a.period_id IS NOT DISTINCT FROM $2::int
         `;
 
-        const params = [date];
+        const params = [date, period ? period.id : null];
 
-        // Add class filter if specified (and not 'All')
-        if (class_name && class_name !== 'All') {
-            query += ' WHERE s.class_name = $2';
-            params.push(class_name);
+        if (period) {
+            // A lecture belongs to exactly one class
+            params.push(period.class_id);
+            query += ` WHERE s.class_id = $${params.length}`;
+        } else {
+            // One class if specified, otherwise all of the teacher's classes
+            query += ` WHERE ${classScope(req, params)}`;
         }
 
-        query += ' ORDER BY s.class_name, s.roll_no ASC';
+        // Deactivated students have left the class
+        query += ' AND s.is_active';
+
+        query += ' ORDER BY c.name, s.roll_no ASC';
 
         const result = await pool.query(query, params);
         res.json(result.rows);
@@ -260,49 +1250,191 @@ const getAttendanceSheet = async (req, res) => {
  * POST /api/teacher/mark-attendance
  * Body: {
  *   "date": "2026-02-13",
+ *   "period_id": 5,              // optional: mark one lecture instead of the whole day
  *   "records": [
  *     { student_id: 1, status: "PRESENT" },
  *     { student_id: 2, status: "ABSENT" },
- *     { student_id: 3, status: "PRESENT" }
+ *     { student_id: 3, status: "LATE", arrival_time: "09:20", version: 2 }
  *   ]
  * }
  * 
+ * Statuses: PRESENT, ABSENT, LATE, EXCUSED, HALF_DAY, MEDICAL, HOLIDAY.
+ * arrival_time is only kept for LATE marks.
+ * 
+ * NON-WORKING DAYS:
+ * On a holiday or weekly off day the request is refused with 409
+ * { error, nonWorkingDay: { day_type, title, ... } } unless the body has
+ * "allow_non_working_day": true. Such marks are stored but don't count
+ * towards percentages unless the day is made a WORKING day in the calendar.
+ * 
+ * LOCKED DAYS:
+ * The first save submits the register of each class in the request for
+ * that date. ATTENDANCE_LOCK_HOURS later it is locked, and saving is
+ * refused with 409 { error, locked: [{ class_id, class_name, ... }] }
+ * until an admin reopens it (see attendanceLockController.js).
+ * 
+ * CONFLICTS:
+ * A record may carry the "version" of the mark from the attendance sheet
+ * (null = it wasn't marked). If a mark has been changed by someone else
+ * since then, nothing is saved: 409 { error, conflicts: [{ student_id,
+ * name, status, version, requested_status, ... }] } with the current
+ * marks, so the teacher can pick which one to keep and send again with
+ * the new versions (see findAttendanceConflicts in utils/attendanceHelpers.js).
+ * 
  * BACKEND RESPONSE:
  * { message: "Attendance updated" }
  * 
  * POSTGRESQL UPSERT:
- * ON CONFLICT ... DO UPDATE is PostgreSQL's UPSERT syntax
- * If record exists (same student_id + date), update it
- * Otherwise, insert new record
+ * ON CONFLICT ... DO UPDATE (see saveAttendanceMarks in utils/attendanceHelpers.js,
+ * which approved leave requests use too)
+ * 
+ * AUDIT TRAIL:
+ * Before upserting, the current statuses are read (and locked with FOR UPDATE).
+ * Every new mark (ATTENDANCE_MARKED) or changed mark (ATTENDANCE_CHANGED) is
+ * written to audit_log with the old and new status. Unchanged marks are skipped.
  * 
- * (MySQL uses: ON DUPLICATE KEY UPDATE instead)
+ * NOTIFICATIONS:
+ * A student whose saved mark changes status (e.g. Absent → Present) is
+ * notified, with their guardians. Students whose attendance drops below
+ * 75% with this save are notified, with their guardians and class
+ * teachers (see services/notificationService.js).
  */
 const markAttendanceBulk = async (req, res) => {
-    const { date, records } = req.body;
+    const { date, period_id, records, allow_non_working_day } = req.body ?? {};
 
-    if (!date || !records || !Array.isArray(records)) {
+    // Dates must be YYYY-MM-DD (also the format used for audit log entity IDs)
+    if (!isDate(date) || !records || !Array.isArray(records)) {
         return res.status(400).json({ error: 'Invalid data' });
     }
+    if (period_id && !isId(period_id)) {
+        return res.status(400).json({ error: 'Invalid period' });
+    }
+
+    for (const record of records) {
+        // JSON numbers only: the id is also a key when the marks are saved
+        if (!record || typeof record !== 'object' || !Number.isInteger(record.student_id) || !isId(record.student_id)) {
+            return res.status(400).json({ error: 'Invalid data' });
+        }
+        if (!ATTENDANCE_STATUSES.includes(record.status)) {
+            return res.status(400).json({ error: `Unknown attendance status: ${record.status}` });
+        }
+        if (record.arrival_time && !TIME_PATTERN.test(record.arrival_time)) {
+            return res.status(400).json({ error: 'Arrival time must look like 09:20' });
+        }
+        if (record.version !== undefined && record.version !== null && !Number.isInteger(record.version)) {
+            return res.status(400).json({ error: 'Invalid data' });
+        }
+    }
+
+    const studentIds = records.map(record => record.student_id);
+
+    if (!allow_non_working_day) {
+        try {
+            const day = await getDayInfo(pool, date);
+            if (!day.is_working) {
+                const what = day.day_type === 'WEEKEND' ? 'a weekly off day' : `a holiday${day.title ? ` (${day.title})` : ''}`;
+                return res.status(409).json({ error: `${date} is ${what}`, nonWorkingDay: day });
+            }
+        } catch (err) {
+            console.error('Mark attendance error:', err);
+            return res.status(500).json({ error: 'Server error' });
+        }
+    }
+
+    // Deactivated students keep their old marks but get no new ones
+    try {
+        const inactiveResult = await pool.query('SELECT name FROM students WHERE id = ANY($1::int[]) AND NOT is_active', [studentIds]);
+        if (inactiveResult.rows.length > 0) {
+            return res.status(400).json({ error: `${inactiveResult.rows[0].name} has been deactivated` });
+        }
+    } catch (err) {
+        console.error('Mark attendance error:', err);
+        return res.status(500).json({ error: 'Server error' });
+    }
+
+    // Lecture marks: the period must be on that day's timetable, and every
+    // student must be in the period's class
+    let period = null;
+    if (period_id) {
+        try {
+            const found = await findPeriodForAttendance(req, period_id, date);
+            if (found.error) {
+                return res.status(found.status).json({ error: found.error });
+            }
+            period = found.period;
+
+            const outsideQuery = `
+                SELECT id FROM students
+                WHERE id = ANY($1::int[]) AND class_id IS DISTINCT FROM $2
+            `;
+            const outsideResult = await pool.query(outsideQuery, [studentIds, period.class_id]);
+            if (outsideResult.rows.length > 0) {
+                return res.status(400).json({ error: 'Every student must be in the class of this period' });
+            }
+        } catch (err) {
+            console.error('Mark attendance error:', err);
+            return res.status(500).json({ error: 'Server error' });
+        }
+    }
+
+    // Resource-level check: every student must belong to one of the teacher's classes
+    // (req.assignedClasses is set by the class access middleware; admins may mark anyone)
+    if (!req.seesWholeSchool && !period) {
+        try {
+            const outsideQuery = `
+                SELECT id FROM students
+                WHERE id = ANY($1::int[])
+                    AND (class_id IS NULL OR NOT (class_id = ANY($2::int[])))
+            `;
+            const outsideResult = await pool.query(outsideQuery, [studentIds, req.assignedClasses]);
+
+            if (outsideResult.rows.length > 0) {
+                return res.status(403).json({ error: 'You can only mark attendance for students in your classes' });
+            }
+        } catch (err) {
+            console.error('Mark attendance error:', err);
+            return res.status(500).json({ error: 'Server error' });
+        }
+    }
 
     const client = await pool.connect();
 
     try {
         await client.query('BEGIN');
 
-        for (const record of records) {
-            // PostgreSQL UPSERT syntax (different from MySQL)
-            // CONFLICT constraint name must match the UNIQUE constraint in schema
-            const query = `
-                INSERT INTO attendance (student_id, date, status)
-                VALUES ($1, $2, $3)
-                ON CONFLICT (student_id, date) 
-                DO UPDATE SET status = EXCLUDED.status
-            `;
-            // EXCLUDED.status refers to the value we tried to INSERT
-            await client.query(query, [record.student_id, date, record.status]);
+        const classResult = await client.query(
+            'SELECT DISTINCT class_id FROM students WHERE id = ANY($1::int[]) AND class_id IS NOT NULL',
+            [studentIds]
+        );
+        const locked = await submitAttendanceDays(client, req, { date, classIds: classResult.rows.map(row => row.class_id) });
+        if (locked.length > 0) {
+            await client.query('ROLLBACK');
+            const names = locked.map(day => day.class_name).join(', ');
+            return res.status(409).json({
+                error: `Attendance of ${names} on ${date} is locked. Ask an admin to reopen it.`,
+                locked
+            });
+        }
+
+        const conflicts = await findAttendanceConflicts(client, { date, periodId: period ? period.id : null, records });
+        if (conflicts.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+                error: `${conflicts.length} mark${conflicts.length === 1 ? ' was' : 's were'} changed by someone else since this sheet was loaded`,
+                conflicts
+            });
         }
 
+        const before = await attendancePercentages(client, studentIds);
+        const { saved, changed } = await saveAttendanceMarks(client, req, { date, periodId: period ? period.id : null, records });
+        const notified = saved > 0 ? [
+            ...await notifyAttendanceChanged(client, date, changed),
+            ...await notifyLowAttendance(client, studentIds, before)
+        ] : [];
+
         await client.query('COMMIT');
+        if (saved > 0) publishAttendanceChange({ dates: [date], studentIds });
+        publishNotifications(notified);
         res.json({ message: 'Attendance updated' });
 
     } catch (err) {
@@ -314,20 +1446,105 @@ const markAttendanceBulk = async (req, res) => {
     }
 };
 
+/**
+ * GET ATTENDANCE CELL HISTORY
+ * 
+ * Every change ever made to one student's attendance on one date
+ * (from the audit log), newest first.
+ * 
+ * FRONTEND REQUEST:
+ * GET /api/teacher/attendance/history?student_id=12&date=2026-02-13
+ * GET /api/teacher/attendance/history?student_id=12&date=2026-02-13&period_id=5   (one lecture)
+ * 
+ * BACKEND RESPONSE:
+ * {
+ *   student: { id: 12, name: "Jane Smith", class_id: 3, class_name: "10th-A", roll_no: 25 },
+ *   history: [
+ *     {
+ *       id: 81,
+ *       action: "ATTENDANCE_CHANGED",
+ *       before_value: { status: "ABSENT" },
+ *       after_value: { status: "PRESENT" },
+ *       created_at: "2026-02-13T11:05:00.000Z",
+ *       actor_name: "John Doe",
+ *       actor_role: "TEACHER"
+ *     },
+ *     ...
+ *   ]
+ * }
+ */
+const getAttendanceHistory = async (req, res) => {
+    const { student_id, date, period_id } = req.query;
+
+    if (!isId(student_id) || !isDate(date)) {
+        return res.status(400).json({ error: 'student_id and date (YYYY-MM-DD) are required' });
+    }
+    if (period_id && !isId(period_id)) {
+        return res.status(400).json({ error: 'Invalid period' });
+    }
+
+    try {
+        const studentQuery = `
+            SELECT s.id, s.name, s.class_id, c.name as class_name, s.roll_no 
+            FROM students s
+            LEFT JOIN classes c ON s.class_id = c.id
+            WHERE s.id = $1
+        `;
+        const studentResult = await pool.query(studentQuery, [student_id]);
+        const student = studentResult.rows[0];
+
+        if (!student) {
+            return res.status(404).json({ error: 'Student not found' });
+        }
+        if (!req.seesWholeSchool && !req.assignedClasses.includes(student.class_id)) {
+            return res.status(403).json({ error: 'You are not assigned to this class' });
+        }
+
+        // The actor's name lives in whichever profile table matches their role
+        const historyQuery = `
+            SELECT
+                a.id,
+                a.action,
+                a.before_value,
+                a.after_value,
+                a.created_at,
+                u.role as actor_role,
+                COALESCE(ad.name, t.name, s.name, u.email) as actor_name
+            FROM audit_log a
+            LEFT JOIN users u ON a.actor_id = u.id
+            LEFT JOIN admins ad ON ad.user_id = u.id
+            LEFT JOIN teachers t ON t.user_id = u.id
+            LEFT JOIN students s ON s.user_id = u.id
+            WHERE a.entity_type = 'attendance' AND a.entity_id = $1
+            ORDER BY a.created_at DESC, a.id DESC
+        `;
+        const historyResult = await pool.query(historyQuery, [attendanceEntityId(student.id, date, period_id)]);
+
+        res.json({ student, history: historyResult.rows });
+
+    } catch (err) {
+        console.error('Attendance history error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
 /**
  * GET LOW ATTENDANCE LIST (Defaulters)
  * 
- * Finds students with attendance below 75%
+ * Finds students with attendance below 75% in the teacher's classes
+ * (the whole school for admins)
  * Teacher can use this to send warning emails
  * 
  * FRONTEND REQUEST:
- * GET /api/teacher/low-attendance
+ * GET /api/teacher/low-attendance?class_id=3   (class_id is optional)
+ * GET /api/teacher/low-attendance?term_id=4    (or academic_year_id=2; default: the current academic year)
  * 
  * BACKEND RESPONSE:
  * [
  *   {
  *     student_id: 5,
  *     name: "Student Name",
+ *     class_id: 3,
  *     class_name: "10th-A",
  *     roll_no: 15,
  *     email: "student@school.com",
@@ -339,41 +1556,60 @@ const markAttendanceBulk = async (req, res) => {
  * ]
  * 
  * SQL EXPLANATION:
+ * - enrollments: the students of that academic year, with the class and
+ *   roll number they had then (last year's defaulters show last year's class)
  * - JOIN: Links students with their user accounts (to get email)
- * - LEFT JOIN: Includes students even if they have no attendance records
- * - GROUP BY: Aggregates attendance data per student
- * - HAVING: Filters groups (like WHERE but for aggregated data)
- * - CASE WHEN: Conditional counting (counts 1 for PRESENT, 0 otherwise)
+ * - attendanceTotalsSql (utils/calendarHelpers.js): per-student totals over
+ *   the working days of the chosen year or term (up to today);
+ *   statuses are weighted (LATE = 0.5, EXCUSED not counted, ...)
+ * - JOIN: Only students that have totals (at least one mark)
+ * 
+ * present_days can be fractional (e.g. 70.5 with two LATE days).
  */
 const getLowAttendanceList = async (req, res) => {
     try {
+        const found = await getReportRange(pool, req.query);
+        if (found.error) {
+            return res.status(found.status).json({ error: found.error });
+        }
+        if (!found.range) {
+            return res.json([]);  // No academic year set up yet
+        }
+        const { academic_year_id, from, to } = found.range;
+
+        const params = [academic_year_id];
         const query = `
             SELECT 
                 s.id as student_id,
                 s.name,
-                s.class_name,
-                s.roll_no,
+                e.class_id,
+                c.name as class_name,
+                e.roll_no,
                 u.email,
-                COUNT(a.id) as total_days,
-                SUM(CASE WHEN a.status = 'PRESENT' THEN 1 ELSE 0 END) as present_days
-            FROM students s
+                t.total_days,
+                t.present_days
+            FROM enrollments e
+            JOIN students s ON e.student_id = s.id
             JOIN users u ON s.user_id = u.id
-            LEFT JOIN attendance a ON s.id = a.student_id
-            GROUP BY s.id, s.name, s.class_name, s.roll_no, u.email
-            HAVING COUNT(a.id) > 0 
-                AND (SUM(CASE WHEN a.status = 'PRESENT' THEN 1 ELSE 0 END)::float / COUNT(a.id) * 100) < 75
-            ORDER BY s.class_name, s.roll_no
+            LEFT JOIN classes c ON e.class_id = c.id
+            JOIN (${attendanceTotalsSql(params, from, to)}) t ON t.student_id = s.id
+            WHERE e.academic_year_id = $1
+                AND s.is_active
+                AND ${classScope(req, params, 'e.class_id')}
+                AND t.total_days > 0
+                AND t.present_days / t.total_days * 100 < ${LOW_ATTENDANCE_PERCENT}
+            ORDER BY c.name, e.roll_no
         `;
-        // ::float is PostgreSQL's type casting (converts integer to float for division)
 
-        const result = await pool.query(query);
+        const result = await pool.query(query, params);
 
         // Calculate percentage for each student
+        // (NUMERIC sums come back from pg as strings, hence parseFloat)
         const students = result.rows.map(row => ({
             ...row,
             total_days: parseInt(row.total_days),
-            present_days: parseInt(row.present_days),
-            percentage: ((parseInt(row.present_days) / parseInt(row.total_days)) * 100).toFixed(1)
+            present_days: parseFloat(row.present_days),
+            percentage: ((parseFloat(row.present_days) / parseInt(row.total_days)) * 100).toFixed(1)
         }));
 
         res.json(students);
@@ -388,10 +1624,13 @@ const getLowAttendanceList = async (req, res) => {
  * GET MONTHLY ATTENDANCE REPORT
  * 
  * Generates detailed attendance report for a specific month
+ * (or a whole term / academic year)
  * Shows attendance statistics for each student
  * 
  * FRONTEND REQUEST:
- * GET /api/teacher/monthly-report?month=2&year=2026&class_name=10th-A
+ * GET /api/teacher/monthly-report?month=2&year=2026&class_id=3
+ * GET /api/teacher/monthly-report?term_id=4&class_id=3
+ * GET /api/teacher/monthly-report?academic_year_id=2&class_id=3
  * 
  * BACKEND RESPONSE:
  * [
@@ -399,6 +1638,7 @@ const getLowAttendanceList = async (req, res) => {
  *     student_id: 1,
  *     name: "John Doe",
  *     roll_no: 5,
+ *     class_id: 3,
  *     class_name: "10th-A",
  *     total_days: 20,
  *     present_days: 18,
@@ -408,50 +1648,58 @@ const getLowAttendanceList = async (req, res) => {
  * ]
  * 
  * SQL EXPLANATION:
- * - EXTRACT: PostgreSQL function to get month/year from date
- *   (MySQL uses MONTH() and YEAR() functions instead)
- * - LEFT JOIN with date filters: Only counts attendance for specified month
+ * - enrollments: the students of the academic year the month falls in,
+ *   with the class they had then
+ * - attendanceTotalsSql: per-student totals over the working days of the
+ *   month (up to today), weighted like the defaulters list
+ * - LEFT JOIN: students with no marks yet still appear, with 0 days
  */
 const getMonthlyAttendanceReport = async (req, res) => {
-    const { month, year, class_name } = req.query;
+    const { month, year, term_id, academic_year_id } = req.query;
 
-    if (!month || !year) {
-        return res.status(400).json({ error: 'Month and Year are required' });
+    if (!(month && year) && !term_id && !academic_year_id) {
+        return res.status(400).json({ error: 'Month and Year (or a term or academic year) are required' });
     }
 
     try {
+        const found = await getReportRange(pool, req.query);
+        if (found.error) {
+            return res.status(found.status).json({ error: found.error });
+        }
+        if (!found.range) {
+            return res.json([]);  // No academic year set up yet
+        }
+        const { from, to } = found.range;
+
+        const params = [found.range.academic_year_id];
         let query = `
             SELECT 
                 s.id as student_id,
                 s.name,
-                s.roll_no,
-                s.class_name,
-                COUNT(a.id) as total_class_days,
-                SUM(CASE WHEN a.status = 'PRESENT' THEN 1 ELSE 0 END) as present_days
-            FROM students s
-            LEFT JOIN attendance a ON s.id = a.student_id 
-                AND EXTRACT(MONTH FROM a.date) = $1 
-                AND EXTRACT(YEAR FROM a.date) = $2
-            WHERE 1=1
+                e.roll_no,
+                e.class_id,
+                c.name as class_name,
+                t.total_days as total_class_days,
+                t.present_days
+            FROM enrollments e
+            JOIN students s ON e.student_id = s.id
+            LEFT JOIN classes c ON e.class_id = c.id
+            LEFT JOIN (${attendanceTotalsSql(params, from, to)}) t
+                ON t.student_id = s.id
+            WHERE e.academic_year_id = $1
         `;
-        // EXTRACT is PostgreSQL syntax (MySQL uses MONTH() and YEAR())
 
-        const params = [month, year];
-
-        // Add class filter if specified
-        if (class_name && class_name !== 'All') {
-            query += ' AND s.class_name = $3';
-            params.push(class_name);
-        }
+        // One class if specified, otherwise all of the teacher's classes
+        query += ` AND ${classScope(req, params, 'e.class_id')}`;
 
-        query += ' GROUP BY s.id, s.name, s.roll_no, s.class_name ORDER BY s.class_name, s.roll_no';
+        query += ' ORDER BY c.name, e.roll_no';
 
         const result = await pool.query(query, params);
 
         // Calculate percentage for each student
         const report = result.rows.map(row => {
             const total = parseInt(row.total_class_days) || 0;
-            const present = parseInt(row.present_days) || 0;
+            const present = parseFloat(row.present_days) || 0;
             const percentage = total > 0 ? ((present / total) * 100).toFixed(1) : '0.0';
 
             return {
@@ -470,12 +1718,118 @@ const getMonthlyAttendanceReport = async (req, res) => {
     }
 };
 
+/**
+ * GET MONTHLY SUBJECT REPORT
+ * 
+ * Attendance per student per subject for a month (or a term / academic year),
+ * from lecture (period) marks.
+ * Schools that only take daily attendance get an empty list.
+ * Lectures are weighted like days (LATE = 0.5, EXCUSED not counted, ...).
+ * 
+ * FRONTEND REQUEST:
+ * GET /api/teacher/subject-report?month=2&year=2026&class_id=3
+ * GET /api/teacher/subject-report?term_id=4&class_id=3     (or academic_year_id=2)
+ * 
+ * BACKEND RESPONSE:
+ * [
+ *   {
+ *     student_id: 1,
+ *     name: "John Doe",
+ *     roll_no: 5,
+ *     class_name: "10th-A",
+ *     subject_id: 1,
+ *     subject_name: "Mathematics",
+ *     total_lectures: 16,
+ *     present_lectures: 14,
+ *     percentage: "87.5"
+ *   },
+ *   ...
+ * ]
+ */
+const getSubjectReport = async (req, res) => {
+    const { month, year, term_id, academic_year_id } = req.query;
+
+    if (!(month && year) && !term_id && !academic_year_id) {
+        return res.status(400).json({ error: 'Month and Year (or a term or academic year) are required' });
+    }
+
+    try {
+        const found = await getReportRange(pool, req.query);
+        if (found.error) {
+            return res.status(found.status).json({ error: found.error });
+        }
+        if (!found.range) {
+            return res.json([]);  // No academic year set up yet
+        }
+
+        const params = [found.range.from, found.range.to, found.range.academic_year_id];
+        const query = `
+            SELECT 
+                s.id as student_id,
+                s.name,
+                e.roll_no,
+                c.name as class_name,
+                sub.id as subject_id,
+                sub.name as subject_name,
+                COUNT(*) as total_lectures,
+                SUM(w.weight) as present_lectures
+            FROM attendance a
+            JOIN attendance_status_weights w ON w.status = a.status
+            JOIN periods p ON a.period_id = p.id
+            JOIN subjects sub ON p.subject_id = sub.id
+            JOIN students s ON a.student_id = s.id
+            JOIN enrollments e ON e.student_id = s.id AND e.academic_year_id = $3
+            LEFT JOIN classes c ON e.class_id = c.id
+            WHERE a.date BETWEEN $1 AND $2
+                AND w.weight IS NOT NULL
+                AND ${classScope(req, params, 'e.class_id')}
+            GROUP BY s.id, s.name, e.roll_no, c.name, sub.id, sub.name
+            ORDER BY c.name, e.roll_no, sub.name
+        `;
+        // a.period_id IS NULL rows (daily marks) drop out of the JOIN with periods
+
+        const result = await pool.query(query, params);
+
+        const report = result.rows.map(row => {
+            const total = parseInt(row.total_lectures);
+            const present = parseFloat(row.present_lectures);
+            return {
+                ...row,
+                total_lectures: total,
+                present_lectures: present,
+                percentage: ((present / total) * 100).toFixed(1)
+            };
+        });
+
+        res.json(report);
+
+    } catch (err) {
+        console.error('Subject report error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
 // Export all controller functions
 module.exports = {
     getDashboardStats,
+    getClasses,
+    getPeriods,
+    getCalendarDay,
     createStudent,
+    listStudents,
+    getStudent,
+    updateStudent,
+    transferStudent,
+    deactivateStudent,
+    reactivateStudent,
+    deleteStudent,
+    linkGuardian,
+    unlinkGuardian,
+    acknowledgeAbsenceNote,
     getAttendanceSheet,
     markAttendanceBulk,
+    getAttendanceHistory,
     getLowAttendanceList,
-    getMonthlyAttendanceReport
+    getMonthlyAttendanceReport,
+    getSubjectReport
 };
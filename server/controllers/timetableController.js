@@ -0,0 +1,365 @@
+/**
+ * TIMETABLE CONTROLLER
+ *
+ * Admin management of subjects and the weekly timetable (periods).
+ * Schools that take attendance per lecture set these up; teachers then
+ * pick a period on the attendance sheet. Schools that take one
+ * attendance per day can ignore this entirely.
+ *
+ * - Subjects: list, create, delete (only if no period uses it)
+ * - Periods:  list a class's timetable, add, edit, delete (only if no
+ *             attendance was taken for it yet)
+ *
+ * Every route here requires the ADMIN role (see routes/adminRoutes.js).
+ */
+
+const pool = require('../db');
+const { logAudit } = require('../services/auditService');
+
+// "09:00" or "09:00:00"
+const TIME_PATTERN = /^\d{2}:\d{2}(:\d{2})?$/;
+
+/**
+ * Checks the fields of a period from the request body
+ *
+ * @param {object} body - { day_of_week, period_no, start_time, end_time }
+ * @returns {string|null} - error message, or null if valid
+ */
+const validatePeriod = ({ day_of_week, period_no, start_time, end_time }) => {
+    if (day_of_week !== undefined && !(Number.isInteger(Number(day_of_week)) && day_of_week >= 1 && day_of_week <= 7)) {
+        return 'Day must be 1 (Monday) to 7 (Sunday)';
+    }
+    if (period_no !== undefined && !(Number.isInteger(Number(period_no)) && period_no >= 1)) {
+        return 'Period number must be 1 or more';
+    }
+    if ((start_time && !TIME_PATTERN.test(start_time)) || (end_time && !TIME_PATTERN.test(end_time))) {
+        return 'Times must look like 09:00';
+    }
+    if (start_time && end_time && start_time >= end_time) {
+        return 'Start time must be before end time';
+    }
+    return null;
+};
+
+/**
+ * LIST SUBJECTS
+ *
+ * FRONTEND REQUEST:
+ * GET /api/admin/subjects
+ *
+ * BACKEND RESPONSE:
+ * [{ id: 1, name: "Mathematics", code: "MATH" }, ...]
+ */
+const listSubjects = async (req, res) => {
+    try {
+        const result = await pool.query('SELECT id, name, code FROM subjects ORDER BY name');
+        res.json(result.rows);
+    } catch (err) {
+        console.error('List subjects error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * CREATE SUBJECT
+ *
+ * FRONTEND REQUEST:
+ * POST /api/admin/subjects
+ * Body: { "name": "Mathematics", "code": "MATH" }   // code is optional
+ *
+ * BACKEND RESPONSE:
+ * { "message": "Subject created", "subject": { id: 1, name: "Mathematics", code: "MATH" } }
+ */
+const createSubject = async (req, res) => {
+    const name = req.body.name?.trim();
+    const code = req.body.code?.trim() || null;
+
+    if (!name) return res.status(400).json({ error: 'Subject name is required' });
+
+    try {
+        const existing = await pool.query('SELECT id FROM subjects WHERE LOWER(name) = LOWER($1)', [name]);
+        if (existing.rows.length > 0) {
+            return res.status(400).json({ error: `Subject ${name} already exists` });
+        }
+
+        const result = await pool.query(
+            'INSERT INTO subjects (name, code) VALUES ($1, $2) RETURNING id, name, code',
+            [name, code]
+        );
+        const subject = result.rows[0];
+
+        await logAudit(pool, req, { action: 'SUBJECT_CREATED', entityType: 'subject', entityId: subject.id, after: { name, code } });
+
+        res.status(201).json({ message: 'Subject created', subject });
+
+    } catch (err) {
+        console.error('Create subject error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * DELETE SUBJECT
+ *
+ * FRONTEND REQUEST:
+ * DELETE /api/admin/subjects/:id
+ *
+ * BACKEND RESPONSE:
+ * { "message": "Subject deleted" }
+ *
+ * Refused while any timetable period still uses the subject.
+ */
+const deleteSubject = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const inUse = await pool.query('SELECT 1 FROM periods WHERE subject_id = $1 LIMIT 1', [id]);
+        if (inUse.rows.length > 0) {
+            return res.status(400).json({ error: 'This subject is used in the timetable. Remove those periods first.' });
+        }
+
+        const result = await pool.query('DELETE FROM subjects WHERE id = $1 RETURNING name', [id]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Subject not found' });
+        }
+
+        await logAudit(pool, req, { action: 'SUBJECT_DELETED', entityType: 'subject', entityId: id, before: { name: result.rows[0].name } });
+
+        res.json({ message: 'Subject deleted' });
+
+    } catch (err) {
+        console.error('Delete subject error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * LIST A CLASS'S TIMETABLE
+ *
+ * FRONTEND REQUEST:
+ * GET /api/admin/periods?class_id=3
+ *
+ * BACKEND RESPONSE:
+ * [
+ *   {
+ *     id: 5,
+ *     class_id: 3,
+ *     day_of_week: 1,          // ISO weekday: 1 = Monday … 7 = Sunday
+ *     period_no: 2,
+ *     start_time: "09:00:00",
+ *     end_time: "09:45:00",
+ *     subject_id: 1,
+ *     subject_name: "Mathematics",
+ *     teacher_id: 2,
+ *     teacher_name: "John Doe"
+ *   },
+ *   ...
+ * ]
+ */
+const listPeriods = async (req, res) => {
+    const { class_id } = req.query;
+
+    if (!class_id) return res.status(400).json({ error: 'Class is required' });
+
+    try {
+        const query = `
+            SELECT
+                p.id, p.class_id, p.day_of_week, p.period_no, p.start_time, p.end_time,
+                p.subject_id, sub.name as subject_name,
+                p.teacher_id, t.name as teacher_name
+            FROM periods p
+            JOIN subjects sub ON p.subject_id = sub.id
+            LEFT JOIN teachers t ON p.teacher_id = t.id
+            WHERE p.class_id = $1
+            ORDER BY p.day_of_week, p.period_no
+        `;
+        const result = await pool.query(query, [class_id]);
+        res.json(result.rows);
+
+    } catch (err) {
+        console.error('List periods error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * ADD A PERIOD TO THE TIMETABLE
+ *
+ * FRONTEND REQUEST:
+ * POST /api/admin/periods
+ * Body: {
+ *   "class_id": 3,
+ *   "day_of_week": 1,
+ *   "period_no": 2,
+ *   "start_time": "09:00",     // optional
+ *   "end_time": "09:45",       // optional
+ *   "subject_id": 1,
+ *   "teacher_id": 2            // optional
+ * }
+ *
+ * BACKEND RESPONSE:
+ * { "message": "Period added", "period": { id: 5, ... } }
+ */
+const createPeriod = async (req, res) => {
+    const { class_id, day_of_week, period_no, start_time, end_time, subject_id, teacher_id } = req.body;
+
+    if (!class_id) return res.status(400).json({ error: 'Class is required' });
+    if (!day_of_week) return res.status(400).json({ error: 'Day is required' });
+    if (!period_no) return res.status(400).json({ error: 'Period number is required' });
+    if (!subject_id) return res.status(400).json({ error: 'Subject is required' });
+
+    const invalid = validatePeriod(req.body);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    try {
+        const classResult = await pool.query('SELECT id FROM classes WHERE id = $1', [class_id]);
+        if (classResult.rows.length === 0) return res.status(400).json({ error: 'Class not found' });
+
+        const subjectResult = await pool.query('SELECT id FROM subjects WHERE id = $1', [subject_id]);
+        if (subjectResult.rows.length === 0) return res.status(400).json({ error: 'Subject not found' });
+
+        if (teacher_id) {
+            const teacherResult = await pool.query('SELECT id FROM teachers WHERE id = $1', [teacher_id]);
+            if (teacherResult.rows.length === 0) return res.status(400).json({ error: 'Teacher not found' });
+        }
+
+        const taken = await pool.query(
+            'SELECT id FROM periods WHERE class_id = $1 AND day_of_week = $2 AND period_no = $3',
+            [class_id, day_of_week, period_no]
+        );
+        if (taken.rows.length > 0) {
+            return res.status(400).json({ error: 'This class already has that period on that day' });
+        }
+
+        const insertQuery = `
+            INSERT INTO periods (class_id, day_of_week, period_no, start_time, end_time, subject_id, teacher_id)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING *
+        `;
+        const result = await pool.query(insertQuery, [
+            class_id, day_of_week, period_no, start_time || null, end_time || null, subject_id, teacher_id || null
+        ]);
+        const period = result.rows[0];
+
+        await logAudit(pool, req, {
+            action: 'PERIOD_CREATED',
+            entityType: 'period',
+            entityId: period.id,
+            after: { class_id, day_of_week, period_no, subject_id, teacher_id: period.teacher_id }
+        });
+
+        res.status(201).json({ message: 'Period added', period });
+
+    } catch (err) {
+        console.error('Create period error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * EDIT A PERIOD
+ *
+ * FRONTEND REQUEST:
+ * PATCH /api/admin/periods/:id
+ * Body (any combination): { "start_time", "end_time", "subject_id", "teacher_id" }
+ *
+ * BACKEND RESPONSE:
+ * { "message": "Period updated" }
+ *
+ * Day and period number can't be changed (delete and re-add instead),
+ * so attendance already taken for the period keeps its meaning.
+ */
+const updatePeriod = async (req, res) => {
+    const { id } = req.params;
+    const { start_time, end_time, subject_id, teacher_id } = req.body;
+
+    if ([start_time, end_time, subject_id, teacher_id].every(value => value === undefined)) {
+        return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const invalid = validatePeriod({ start_time, end_time });
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    try {
+        const periodResult = await pool.query('SELECT * FROM periods WHERE id = $1', [id]);
+        const period = periodResult.rows[0];
+        if (!period) return res.status(404).json({ error: 'Period not found' });
+
+        if (subject_id !== undefined) {
+            const subjectResult = await pool.query('SELECT id FROM subjects WHERE id = $1', [subject_id]);
+            if (subjectResult.rows.length === 0) return res.status(400).json({ error: 'Subject not found' });
+        }
+        if (teacher_id) {
+            const teacherResult = await pool.query('SELECT id FROM teachers WHERE id = $1', [teacher_id]);
+            if (teacherResult.rows.length === 0) return res.status(400).json({ error: 'Teacher not found' });
+        }
+
+        // Keep current values for anything not sent
+        const updated = {
+            start_time: start_time !== undefined ? start_time || null : period.start_time,
+            end_time: end_time !== undefined ? end_time || null : period.end_time,
+            subject_id: subject_id !== undefined ? subject_id : period.subject_id,
+            teacher_id: teacher_id !== undefined ? teacher_id || null : period.teacher_id
+        };
+
+        await pool.query(
+            'UPDATE periods SET start_time = $1, end_time = $2, subject_id = $3, teacher_id = $4 WHERE id = $5',
+            [updated.start_time, updated.end_time, updated.subject_id, updated.teacher_id, id]
+        );
+
+        await logAudit(pool, req, {
+            action: 'PERIOD_UPDATED',
+            entityType: 'period',
+            entityId: id,
+            before: { start_time: period.start_time, end_time: period.end_time, subject_id: period.subject_id, teacher_id: period.teacher_id },
+            after: updated
+        });
+
+        res.json({ message: 'Period updated' });
+
+    } catch (err) {
+        console.error('Update period error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * DELETE A PERIOD
+ *
+ * FRONTEND REQUEST:
+ * DELETE /api/admin/periods/:id
+ *
+ * BACKEND RESPONSE:
+ * { "message": "Period deleted" }
+ *
+ * Refused once attendance has been taken for the period
+ * (those marks would lose their subject).
+ */
+const deletePeriod = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const used = await pool.query('SELECT 1 FROM attendance WHERE period_id = $1 LIMIT 1', [id]);
+        if (used.rows.length > 0) {
+            return res.status(400).json({ error: 'Attendance has already been taken for this period, so it cannot be deleted' });
+        }
+
+        const result = await pool.query('DELETE FROM periods WHERE id = $1 RETURNING class_id, day_of_week, period_no, subject_id', [id]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Period not found' });
+        }
+
+        await logAudit(pool, req, { action: 'PERIOD_DELETED', entityType: 'period', entityId: id, before: result.rows[0] });
+
+        res.json({ message: 'Period deleted' });
+
+    } catch (err) {
+        console.error('Delete period error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+module.exports = {
+    listSubjects, createSubject, deleteSubject,
+    listPeriods, createPeriod, updatePeriod, deletePeriod
+};
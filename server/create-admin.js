@@ -1,19 +1,22 @@
 /**
  * CREATE ADMIN USER SCRIPT
- * 
- * Creates the initial admin/teacher account for the system
+ *
+ * Creates the first ADMIN account for the system.
  * Run this AFTER database initialization (init-db.js)
- * 
+ *
  * USAGE:
- * node create-admin.js
- * 
- * DEFAULT CREDENTIALS:
+ * node create-admin.js [email] [password] [name]
+ *
+ * DEFAULT CREDENTIALS (when no arguments are given):
  * Email: admin@school.com
  * Password: admin
- * 
- * You can change the password later by:
- * 1. Editing update-pass.js with new password
- * 2. Running: node update-pass.js
+ *
+ * If the account already exists but is not an ADMIN yet
+ * (older installs created admin@school.com as a TEACHER),
+ * it is promoted to ADMIN and keeps its current password.
+ *
+ * After this, manage every other account (teachers, admins,
+ * passwords, disabling) from the Admin Console at /admin.
  */
 
 const pool = require('./db');          // PostgreSQL connection pool
@@ -21,20 +24,44 @@ const bcrypt = require('bcryptjs');    // Password hashing
 const { v4: uuidv4 } = require('uuid'); // UUID generator
 
 async function createAdmin() {
-    const email = 'admin@school.com';
-    const password = 'admin';
-    const name = 'Admin Teacher';
+    const email = process.argv[2] || 'admin@school.com';
+    const password = process.argv[3] || 'admin';
+    const name = process.argv[4] || 'Administrator';
+
+    // Get a transaction client
+    const client = await pool.connect();
 
     try {
-        // Check if admin already exists
+        await client.query('BEGIN');
+
+        // Check if the account already exists
         const checkQuery = 'SELECT * FROM users WHERE email = $1';
-        const checkResult = await pool.query(checkQuery, [email]);
+        const checkResult = await client.query(checkQuery, [email]);
+        const existing = checkResult.rows[0];
 
-        if (checkResult.rows.length > 0) {
+        if (existing && existing.role === 'ADMIN') {
+            await client.query('ROLLBACK');
             console.log('ℹ️  Admin user already exists.');
             console.log(`📧 Email: ${email}`);
-            console.log('💡 Use update-pass.js to reset the password if needed.');
-            process.exit(0);
+            console.log('💡 Reset passwords from the Admin Console (/admin).');
+            return;
+        }
+
+        if (existing) {
+            // Promote the existing account (e.g. the old "Administration" teacher)
+            const teacherResult = await client.query('SELECT name FROM teachers WHERE user_id = $1', [existing.id]);
+            const adminName = teacherResult.rows[0]?.name || name;
+
+            await client.query("UPDATE users SET role = 'ADMIN', is_active = TRUE WHERE id = $1", [existing.id]);
+            await client.query(
+                'INSERT INTO admins (user_id, name) SELECT $1, $2 WHERE NOT EXISTS (SELECT 1 FROM admins WHERE user_id = $1)',
+                [existing.id, adminName]
+            );
+            await client.query('COMMIT');
+
+            console.log('✅ Existing account promoted to ADMIN!');
+            console.log(`📧 Email: ${email}`);
+            return;
         }
 
         // Hash password
@@ -42,45 +69,34 @@ async function createAdmin() {
         const passwordHash = await bcrypt.hash(password, salt);
         const userId = uuidv4();
 
-        // Get a transaction client
-        const client = await pool.connect();
-
-        try {
-            await client.query('BEGIN');
-
-            // Create user account
-            const insertUserQuery = `
-                INSERT INTO users (id, email, password_hash, role) 
-                VALUES ($1, $2, $3, $4)
-            `;
-            await client.query(insertUserQuery, [userId, email, passwordHash, 'TEACHER']);
-
-            // Create teacher profile
-            const insertTeacherQuery = `
-                INSERT INTO teachers (user_id, name, subject) 
-                VALUES ($1, $2, $3)
-            `;
-            await client.query(insertTeacherQuery, [userId, name, 'Administration']);
+        // Create user account
+        const insertUserQuery = `
+            INSERT INTO users (id, email, password_hash, role)
+            VALUES ($1, $2, $3, $4)
+        `;
+        await client.query(insertUserQuery, [userId, email, passwordHash, 'ADMIN']);
 
-            await client.query('COMMIT');
+        // Create admin profile
+        const insertAdminQuery = `
+            INSERT INTO admins (user_id, name)
+            VALUES ($1, $2)
+        `;
+        await client.query(insertAdminQuery, [userId, name]);
 
-            console.log('✅ Admin created successfully!');
-            console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-            console.log(`📧 Email: ${email}`);
-            console.log(`🔑 Password: ${password}`);
-            console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-            console.log('⚠️  CHANGE THIS PASSWORD IN PRODUCTION!');
+        await client.query('COMMIT');
 
-        } catch (err) {
-            await client.query('ROLLBACK');
-            throw err;
-        } finally {
-            client.release();
-        }
+        console.log('✅ Admin created successfully!');
+        console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        console.log(`📧 Email: ${email}`);
+        console.log(`🔑 Password: ${password}`);
+        console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        console.log('⚠️  CHANGE THIS PASSWORD IN PRODUCTION!');
 
     } catch (err) {
+        await client.query('ROLLBACK');
         console.error('❌ Error creating admin:', err.message);
     } finally {
+        client.release();
         // Important: End the pool to allow script to exit
         await pool.end();
         process.exit(0);
@@ -13,76 +13,726 @@
 
 -- Create custom ENUM types for PostgreSQL
 -- These define allowed values for specific columns
-CREATE TYPE user_role AS ENUM ('STUDENT', 'TEACHER');
-CREATE TYPE attendance_status AS ENUM ('PRESENT', 'ABSENT', 'HOLIDAY');
+CREATE TYPE user_role AS ENUM ('STUDENT', 'TEACHER', 'ADMIN', 'GUARDIAN');
+CREATE TYPE attendance_status AS ENUM ('PRESENT', 'ABSENT', 'HOLIDAY', 'LATE', 'EXCUSED', 'HALF_DAY', 'MEDICAL');
+CREATE TYPE calendar_day_type AS ENUM ('WORKING', 'HOLIDAY', 'EXAM', 'HALF_DAY');
+CREATE TYPE enrollment_status AS ENUM ('ACTIVE', 'PROMOTED', 'GRADUATED');
+CREATE TYPE leave_status AS ENUM ('PENDING', 'APPROVED', 'REJECTED');
+CREATE TYPE correction_status AS ENUM ('PENDING', 'ACCEPTED', 'REJECTED');
 
 -- ===================================================================
 -- USERS TABLE
 -- ===================================================================
--- Stores authentication credentials for all users (students & teachers)
--- The 'role' field determines whether the user is a student or teacher
+-- Stores authentication credentials for all users (students, teachers, admins & guardians)
+-- The 'role' field determines which portal the user can access
 -- 
--- RELATIONSHIP: One user can be either ONE student OR ONE teacher
+-- RELATIONSHIP: One user is ONE student, ONE teacher, ONE admin OR ONE guardian
 CREATE TABLE IF NOT EXISTS users (
     id UUID PRIMARY KEY,                        -- Unique identifier (UUID format)
     email VARCHAR(255) UNIQUE NOT NULL,         -- Login email (must be unique)
     password_hash VARCHAR(255) NOT NULL,        -- Encrypted password (never store plain text!)
-    role user_role NOT NULL,                    -- Either 'STUDENT' or 'TEACHER'
+    role user_role NOT NULL,                    -- 'STUDENT', 'TEACHER', 'ADMIN' or 'GUARDIAN'
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,    -- FALSE = account disabled by an admin (cannot log in)
+    must_change_password BOOLEAN NOT NULL DEFAULT FALSE, -- TRUE = must pick a new password before using the app
+    failed_login_count INTEGER NOT NULL DEFAULT 0, -- Wrong passwords in a row (resets on success / lock)
+    locked_until TIMESTAMP,                     -- Too many wrong passwords → no login until this time
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP  -- Account creation time
 );
 
+-- ===================================================================
+-- TEACHERS TABLE
+-- ===================================================================
+-- Stores teacher-specific information (profile data)
+-- Each teacher record links to ONE user account via user_id
+-- 
+-- RELATIONSHIP: teachers.user_id → users.id (Foreign Key)
+CREATE TABLE IF NOT EXISTS teachers (
+    id SERIAL PRIMARY KEY,                      -- Auto-incrementing teacher ID
+    user_id UUID,                               -- Links to users table
+    name VARCHAR(255) NOT NULL,                 -- Full name of teacher
+    subject VARCHAR(100),                       -- Subject taught (optional)
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- ===================================================================
+-- ACADEMIC_YEARS TABLE
+-- ===================================================================
+-- One row per school year (e.g. "2025-2026", June 2025 - May 2026).
+-- Exactly one year is the current one: new classes go into it, and
+-- reports cover it unless another year or a term is asked for.
+CREATE TABLE IF NOT EXISTS academic_years (
+    id SERIAL PRIMARY KEY,                      -- Auto-incrementing year ID
+    name VARCHAR(9) UNIQUE NOT NULL,            -- e.g. "2025-2026"
+    start_date DATE NOT NULL,                   -- First day of the year
+    end_date DATE NOT NULL,                     -- Last day of the year
+    is_current BOOLEAN NOT NULL DEFAULT FALSE,  -- TRUE for the year the school is in
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_date > start_date)
+);
+
+-- Partial unique index: only one row may have is_current = TRUE
+CREATE UNIQUE INDEX IF NOT EXISTS one_current_academic_year ON academic_years (is_current) WHERE is_current;
+
+-- ===================================================================
+-- TERMS TABLE
+-- ===================================================================
+-- Parts of an academic year (e.g. "Term 1", "Semester 2"), used to
+-- filter attendance reports
+-- 
+-- RELATIONSHIP: terms.academic_year_id → academic_years.id (Foreign Key)
+CREATE TABLE IF NOT EXISTS terms (
+    id SERIAL PRIMARY KEY,
+    academic_year_id INT NOT NULL,
+    name VARCHAR(50) NOT NULL,                  -- e.g. "Term 1"
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    CONSTRAINT unique_term UNIQUE (academic_year_id, name),
+    CHECK (end_date >= start_date),
+    FOREIGN KEY (academic_year_id) REFERENCES academic_years(id) ON DELETE CASCADE
+);
+
+-- ===================================================================
+-- CLASSES TABLE
+-- ===================================================================
+-- One row per class/section in an academic year (e.g. "10th-A" in 2025-2026).
+-- Students, teacher assignments and invitations point here by class_id,
+-- so "10th-A" and "10th A" can no longer become two different classes.
+-- 
+-- RELATIONSHIPS:
+-- - classes.class_teacher_id → teachers.id (Foreign Key)
+-- - classes.academic_year → academic_years.name (Foreign Key)
+CREATE TABLE IF NOT EXISTS classes (
+    id SERIAL PRIMARY KEY,                      -- Auto-incrementing class ID
+    grade VARCHAR(20) NOT NULL,                 -- e.g. "10th"
+    section VARCHAR(10) NOT NULL DEFAULT '',    -- e.g. "A" ('' if the grade has one section)
+    academic_year VARCHAR(9) NOT NULL,          -- e.g. "2025-2026"
+    name VARCHAR(50) NOT NULL,                  -- Display name, e.g. "10th-A"
+    class_teacher_id INT,                       -- Form/class teacher (optional)
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT unique_class UNIQUE (grade, section, academic_year),
+    FOREIGN KEY (class_teacher_id) REFERENCES teachers(id) ON DELETE SET NULL,
+    CONSTRAINT fk_classes_academic_year
+        FOREIGN KEY (academic_year) REFERENCES academic_years(name) ON UPDATE CASCADE
+);
+
 -- ===================================================================
 -- STUDENTS TABLE
 -- ===================================================================
 -- Stores student-specific information (profile data)
 -- Each student record links to ONE user account via user_id
 -- 
--- RELATIONSHIP: students.user_id → users.id (Foreign Key)
+-- RELATIONSHIPS:
+-- - students.user_id → users.id (Foreign Key)
+-- - students.class_id → classes.id (Foreign Key)
 CREATE TABLE IF NOT EXISTS students (
     id SERIAL PRIMARY KEY,                      -- Auto-incrementing student ID
     user_id UUID,                               -- Links to users table (can be NULL if user deleted)
     name VARCHAR(255) NOT NULL,                 -- Full name of student
-    class_name VARCHAR(50),                     -- Class/Section (e.g., "10th-A")
+    class_id INT,                               -- Current class (links to classes table; NULL once graduated)
     roll_no INT,                                -- Roll number within the class
     student_id_code VARCHAR(50) UNIQUE,         -- Human-readable ID (e.g., "STD001")
-    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,    -- FALSE = left the school (off attendance sheets, history kept)
+    deactivated_at TIMESTAMP,                   -- When the student was deactivated
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
     -- ON DELETE SET NULL: if user is deleted, student record remains but user_id becomes NULL
+    FOREIGN KEY (class_id) REFERENCES classes(id)
+    -- No ON DELETE: a class that still has students cannot be deleted
 );
 
+-- Numbers of student ID codes (STD001, STD002...), see generateStudentIdCode
+-- in utils/studentHelpers.js. A sequence never hands out a number twice,
+-- even to two students added at the same moment.
+CREATE SEQUENCE IF NOT EXISTS student_id_seq;
+
 -- ===================================================================
--- TEACHERS TABLE
+-- ENROLLMENTS TABLE
 -- ===================================================================
--- Stores teacher-specific information (profile data)
--- Each teacher record links to ONE user account via user_id
+-- Which class (and roll number) a student was in during each academic year.
+-- students.class_id / roll_no are the CURRENT class; enrollments keep
+-- the history, so reports on a past year use that year's classes.
 -- 
--- RELATIONSHIP: teachers.user_id → users.id (Foreign Key)
-CREATE TABLE IF NOT EXISTS teachers (
-    id SERIAL PRIMARY KEY,                      -- Auto-incrementing teacher ID
+-- status:
+-- - ACTIVE:    in this class now (or the year hasn't been rolled over)
+-- - PROMOTED:  moved up to the next grade at the year-end rollover
+-- - GRADUATED: left school after the final grade (archived)
+-- 
+-- RELATIONSHIPS:
+-- - enrollments.student_id → students.id
+-- - enrollments.academic_year_id → academic_years.id
+-- - enrollments.class_id → classes.id (a class of that same year)
+CREATE TABLE IF NOT EXISTS enrollments (
+    id SERIAL PRIMARY KEY,
+    student_id INT NOT NULL,
+    academic_year_id INT NOT NULL,
+    class_id INT NOT NULL,
+    roll_no INT,                                -- Roll number in that class
+    status enrollment_status NOT NULL DEFAULT 'ACTIVE',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT unique_enrollment UNIQUE (student_id, academic_year_id),  -- One class per student per year
+    FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+    FOREIGN KEY (academic_year_id) REFERENCES academic_years(id),
+    FOREIGN KEY (class_id) REFERENCES classes(id)
+);
+
+-- ===================================================================
+-- ADMINS TABLE
+-- ===================================================================
+-- Stores admin profile data (admins manage user accounts)
+-- 
+-- RELATIONSHIP: admins.user_id → users.id (Foreign Key)
+CREATE TABLE IF NOT EXISTS admins (
+    id SERIAL PRIMARY KEY,                      -- Auto-incrementing admin ID
     user_id UUID,                               -- Links to users table
-    name VARCHAR(255) NOT NULL,                 -- Full name of teacher
-    subject VARCHAR(100),                       -- Subject taught (optional)
+    name VARCHAR(255) NOT NULL,                 -- Full name of admin
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- ===================================================================
+-- GUARDIANS TABLE
+-- ===================================================================
+-- Parents / guardians. They log in to the guardian portal to follow
+-- their children's attendance and send absence notes.
+-- Teachers create guardian accounts from the student detail page.
+-- 
+-- RELATIONSHIP: guardians.user_id → users.id (Foreign Key)
+CREATE TABLE IF NOT EXISTS guardians (
+    id SERIAL PRIMARY KEY,                      -- Auto-incrementing guardian ID
+    user_id UUID,                               -- Links to users table
+    name VARCHAR(255) NOT NULL,                 -- Full name of guardian
+    phone VARCHAR(50),                          -- Contact number (optional)
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
 );
 
+-- ===================================================================
+-- GUARDIAN_STUDENTS TABLE
+-- ===================================================================
+-- Which students each guardian may see (a guardian can have several
+-- children, a student several guardians).
+-- 
+-- RELATIONSHIPS:
+-- - guardian_students.guardian_id → guardians.id
+-- - guardian_students.student_id → students.id
+CREATE TABLE IF NOT EXISTS guardian_students (
+    guardian_id INT NOT NULL,
+    student_id INT NOT NULL,
+    relationship VARCHAR(50),                   -- e.g. "Mother", "Father", "Guardian"
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (guardian_id, student_id),      -- Linked only once
+    FOREIGN KEY (guardian_id) REFERENCES guardians(id) ON DELETE CASCADE,
+    FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE
+);
+
+-- ===================================================================
+-- ABSENCE_NOTES TABLE
+-- ===================================================================
+-- A guardian's explanation of why their child is (or will be) away.
+-- Teachers see the notes on the student detail page and acknowledge
+-- them once read. A note does not change any attendance mark.
+-- 
+-- RELATIONSHIPS:
+-- - absence_notes.student_id → students.id
+-- - absence_notes.guardian_id → guardians.id (who wrote it)
+-- - absence_notes.acknowledged_by → users.id (teacher who read it)
+CREATE TABLE IF NOT EXISTS absence_notes (
+    id SERIAL PRIMARY KEY,
+    student_id INT NOT NULL,
+    guardian_id INT,
+    from_date DATE NOT NULL,                    -- First day away
+    to_date DATE NOT NULL,                      -- Last day away (same as from_date for one day)
+    reason TEXT NOT NULL,                       -- e.g. "Fever, seeing a doctor"
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    acknowledged_by UUID,                       -- NULL = not read by a teacher yet
+    acknowledged_at TIMESTAMP,
+    CHECK (to_date >= from_date),
+    FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+    FOREIGN KEY (guardian_id) REFERENCES guardians(id) ON DELETE SET NULL,
+    FOREIGN KEY (acknowledged_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_absence_notes_student ON absence_notes (student_id, from_date);
+
+-- ===================================================================
+-- LEAVE_REQUESTS TABLE
+-- ===================================================================
+-- Leave asked for by a student or their guardian. A teacher of the
+-- student's class approves or rejects it. Approving writes a whole-day
+-- EXCUSED mark (or LEAVE_ATTENDANCE_STATUS) for every school day of the
+-- range; rejecting changes no marks.
+-- 
+-- RELATIONSHIPS:
+-- - leave_requests.student_id → students.id
+-- - leave_requests.requested_by → users.id (the student or guardian)
+-- - leave_requests.reviewed_by → users.id (teacher who approved / rejected)
+CREATE TABLE IF NOT EXISTS leave_requests (
+    id SERIAL PRIMARY KEY,
+    student_id INT NOT NULL,
+    requested_by UUID,
+    from_date DATE NOT NULL,                    -- First day of leave
+    to_date DATE NOT NULL,                      -- Last day of leave (same as from_date for one day)
+    reason TEXT NOT NULL,
+    attachment_name VARCHAR(255),               -- e.g. "doctor-note.pdf" (optional)
+    attachment_type VARCHAR(100),               -- e.g. "application/pdf"
+    attachment BYTEA,                           -- File contents
+    status leave_status NOT NULL DEFAULT 'PENDING',
+    reviewed_by UUID,
+    reviewed_at TIMESTAMP,
+    review_note TEXT,                           -- Teacher's comment, e.g. why it was rejected
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (to_date >= from_date),
+    FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+    FOREIGN KEY (requested_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_leave_requests_student ON leave_requests (student_id, from_date);
+CREATE INDEX IF NOT EXISTS idx_leave_requests_pending ON leave_requests (created_at) WHERE status = 'PENDING';
+
+-- ===================================================================
+-- ATTENDANCE_CORRECTIONS TABLE
+-- ===================================================================
+-- A student's dispute of one day's mark, raised from their calendar.
+-- A teacher of the student's class accepts it (the whole-day mark is set
+-- to requested_status, logged like any other change) or rejects it.
+-- 
+-- RELATIONSHIPS:
+-- - attendance_corrections.student_id → students.id
+-- - attendance_corrections.requested_by → users.id (the student)
+-- - attendance_corrections.reviewed_by → users.id (teacher who answered)
+CREATE TABLE IF NOT EXISTS attendance_corrections (
+    id SERIAL PRIMARY KEY,
+    student_id INT NOT NULL,
+    date DATE NOT NULL,                         -- The disputed day
+    current_status attendance_status NOT NULL,  -- The day's status when it was disputed
+    requested_status attendance_status NOT NULL, -- What the student says it should be
+    comment TEXT NOT NULL,                      -- e.g. "I was in the library for the quiz"
+    status correction_status NOT NULL DEFAULT 'PENDING',
+    requested_by UUID,
+    reviewed_by UUID,
+    reviewed_at TIMESTAMP,
+    review_note TEXT,                           -- Teacher's reason, e.g. why it was rejected
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+    FOREIGN KEY (requested_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_attendance_corrections_student ON attendance_corrections (student_id, date);
+-- One open dispute per student and day
+CREATE UNIQUE INDEX IF NOT EXISTS idx_attendance_corrections_pending
+    ON attendance_corrections (student_id, date) WHERE status = 'PENDING';
+
+-- ===================================================================
+-- SUBJECTS TABLE
+-- ===================================================================
+-- Subjects taught in the school (Maths, Physics, ...), used by the timetable
+CREATE TABLE IF NOT EXISTS subjects (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) UNIQUE NOT NULL,          -- e.g. "Mathematics"
+    code VARCHAR(20),                           -- Optional short code (e.g. "MATH")
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ===================================================================
+-- PERIODS TABLE (Timetable)
+-- ===================================================================
+-- One lecture slot in a class's weekly timetable,
+-- e.g. "10th-A, Monday, period 2, 09:00-09:45, Mathematics, Mr. Doe".
+-- Schools that take one attendance per day simply don't create any.
+-- 
+-- RELATIONSHIPS:
+-- - periods.class_id → classes.id
+-- - periods.subject_id → subjects.id
+-- - periods.teacher_id → teachers.id (who usually teaches it; optional)
+CREATE TABLE IF NOT EXISTS periods (
+    id SERIAL PRIMARY KEY,
+    class_id INT NOT NULL,
+    day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 1 AND 7),  -- ISO: 1 = Monday … 7 = Sunday
+    period_no SMALLINT NOT NULL,                -- 1st, 2nd, ... lecture of the day
+    start_time TIME,
+    end_time TIME,
+    subject_id INT NOT NULL,
+    teacher_id INT,
+    CONSTRAINT unique_period UNIQUE (class_id, day_of_week, period_no),
+    FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE,
+    FOREIGN KEY (subject_id) REFERENCES subjects(id),
+    FOREIGN KEY (teacher_id) REFERENCES teachers(id) ON DELETE SET NULL
+);
+
 -- ===================================================================
 -- ATTENDANCE TABLE
 -- ===================================================================
--- Stores daily attendance records for students
--- Each record represents ONE student's attendance for ONE specific date
+-- Stores attendance records for students
+-- Each record is ONE student's attendance for ONE date, either:
+-- - for the whole day (period_id IS NULL) - "daily mode", or
+-- - for ONE lecture (period_id set) - "period mode"
 -- 
 -- RELATIONSHIPS:
 -- - attendance.student_id → students.id (Foreign Key)
+-- - attendance.period_id → periods.id (Foreign Key, NULL for daily marks)
 -- 
--- UNIQUE CONSTRAINT:
--- - One student can only have ONE attendance record per date
--- - This prevents duplicate entries for the same student on the same day
+-- UNIQUE INDEXES (below the table):
+-- - One daily record per student per date
+-- - One record per student per date per period
 CREATE TABLE IF NOT EXISTS attendance (
     id SERIAL PRIMARY KEY,                      -- Auto-incrementing attendance record ID
     student_id INT,                             -- Which student (links to students table)
     date DATE NOT NULL,                         -- Which date (YYYY-MM-DD format)
-    status attendance_status NOT NULL,          -- 'PRESENT', 'ABSENT', or 'HOLIDAY'
+    status attendance_status NOT NULL,          -- 'PRESENT', 'ABSENT', 'LATE', 'EXCUSED', 'HALF_DAY', 'MEDICAL' or 'HOLIDAY'
+    arrival_time TIME,                          -- When a LATE student arrived (NULL otherwise)
+    period_id INT,                              -- Which lecture (NULL = whole day)
+    version INT NOT NULL DEFAULT 1,             -- +1 on every change (conflict check when saving a sheet loaded earlier)
     FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
     -- ON DELETE CASCADE: if student is deleted, all their attendance records are also deleted
-    CONSTRAINT unique_attendance UNIQUE (student_id, date)
-    -- This ensures we can't have duplicate attendance entries for same student on same date
+    FOREIGN KEY (period_id) REFERENCES periods(id)
+    -- No cascade: a period that already has attendance can't be deleted
+);
+
+-- Partial unique indexes: UNIQUE (student_id, date, period_id) alone would allow
+-- several daily rows, because NULLs never count as equal
+CREATE UNIQUE INDEX IF NOT EXISTS unique_daily_attendance ON attendance (student_id, date) WHERE period_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS unique_period_attendance ON attendance (student_id, date, period_id) WHERE period_id IS NOT NULL;
+
+-- ===================================================================
+-- ATTENDANCE_STATUS_WEIGHTS TABLE
+-- ===================================================================
+-- How much each status counts towards the attendance percentage
+-- (edited by admins under "Rules" in the Admin Console):
+-- 
+--   percentage = SUM(weight) / COUNT(weight) * 100
+-- 
+-- - weight 1 = a full day attended, 0 = a day missed, 0.5 = half a day
+-- - weight NULL = the day is left out of the percentage altogether
+--   (COUNT(weight) skips NULLs), e.g. holidays and excused absences
+CREATE TABLE IF NOT EXISTS attendance_status_weights (
+    status attendance_status PRIMARY KEY,
+    weight NUMERIC(3, 2) CHECK (weight BETWEEN 0 AND 1)
+);
+
+INSERT INTO attendance_status_weights (status, weight) VALUES
+    ('PRESENT', 1),
+    ('ABSENT', 0),
+    ('LATE', 0.5),
+    ('HALF_DAY', 0.5),
+    ('EXCUSED', NULL),
+    ('MEDICAL', NULL),
+    ('HOLIDAY', NULL)
+ON CONFLICT (status) DO NOTHING;
+
+-- ===================================================================
+-- DAILY_ATTENDANCE VIEW
+-- ===================================================================
+-- One status per student per day, whichever mode was used.
+-- Day-based reports (dashboards, calendar, defaulters, monthly report)
+-- read this view instead of the attendance table.
+-- 
+-- - A daily mark is used as it is
+-- - Days with only period marks are rolled up using the status weights:
+--   PRESENT if the weighted lectures attended are at least half of the
+--   lectures that count, otherwise ABSENT. If no lecture counts (e.g. all
+--   EXCUSED), the most common status of the day is used.
+CREATE OR REPLACE VIEW daily_attendance AS
+SELECT student_id, date, status
+FROM attendance
+WHERE period_id IS NULL
+UNION ALL
+SELECT
+    a.student_id,
+    a.date,
+    CASE
+        WHEN COUNT(w.weight) = 0 THEN MODE() WITHIN GROUP (ORDER BY a.status)
+        WHEN SUM(w.weight) * 2 >= COUNT(w.weight) THEN 'PRESENT'
+        ELSE 'ABSENT'
+    END::attendance_status as status
+FROM attendance a
+LEFT JOIN attendance_status_weights w ON w.status = a.status
+WHERE a.period_id IS NOT NULL
+    AND NOT EXISTS (
+        SELECT 1 FROM attendance d
+        WHERE d.student_id = a.student_id AND d.date = a.date AND d.period_id IS NULL
+    )
+GROUP BY a.student_id, a.date;
+
+-- ===================================================================
+-- ATTENDANCE_SUBMISSIONS TABLE
+-- ===================================================================
+-- One row per class and date whose attendance has been saved.
+-- The first save submits the register; it can be changed until locks_at
+-- (ATTENDANCE_LOCK_HOURS after submitting, see utils/attendanceHelpers.js).
+-- After that the bulk endpoint refuses changes until an admin reopens
+-- the day, which starts a new window and records who and why.
+-- 
+-- RELATIONSHIPS:
+-- - attendance_submissions.class_id → classes.id
+-- - attendance_submissions.submitted_by → users.id (teacher who first saved it)
+-- - attendance_submissions.reopened_by → users.id (admin who last reopened it)
+CREATE TABLE IF NOT EXISTS attendance_submissions (
+    class_id INT NOT NULL,
+    date DATE NOT NULL,
+    submitted_by UUID,
+    submitted_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    locks_at TIMESTAMP NOT NULL,                -- Changes are refused from this moment on
+    reopened_by UUID,
+    reopened_at TIMESTAMP,
+    reopen_reason TEXT,                         -- e.g. "Register was filled in for the wrong section"
+    PRIMARY KEY (class_id, date),
+    FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE,
+    FOREIGN KEY (submitted_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (reopened_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- ===================================================================
+-- CHECK_IN_SESSIONS TABLE
+-- ===================================================================
+-- QR-code self check-in: a teacher opens a session for a class (and
+-- optionally one lecture period) on today's date. The QR code shown in
+-- class changes every few seconds; each one is signed with the session's
+-- secret (see controllers/checkInController.js), so it can't be guessed
+-- or made up by a student.
+-- 
+-- RELATIONSHIPS:
+-- - check_in_sessions.class_id → classes.id
+-- - check_in_sessions.period_id → periods.id (NULL = whole day)
+-- - check_in_sessions.opened_by → users.id (the teacher)
+CREATE TABLE IF NOT EXISTS check_in_sessions (
+    id SERIAL PRIMARY KEY,
+    class_id INT NOT NULL,
+    period_id INT,
+    date DATE NOT NULL,
+    secret VARCHAR(64) NOT NULL,                -- Signs the QR codes (never sent to students)
+    opened_by UUID,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    closes_at TIMESTAMP NOT NULL,               -- Scans are refused after this...
+    closed_at TIMESTAMP,                        -- ...or once the teacher closes the session
+    FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE,
+    FOREIGN KEY (period_id) REFERENCES periods(id) ON DELETE CASCADE,
+    FOREIGN KEY (opened_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- ===================================================================
+-- CHECK_IN_SCANS TABLE
+-- ===================================================================
+-- One row per student who checked in to a session. Nothing is written to
+-- the attendance table: the teacher reviews the scans and saves the sheet.
+CREATE TABLE IF NOT EXISTS check_in_scans (
+    session_id INT NOT NULL,
+    student_id INT NOT NULL,
+    code_step BIGINT NOT NULL,                  -- Which QR code was scanned (see checkInController.js)
+    scanned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (session_id, student_id),       -- A student checks in once per session
+    FOREIGN KEY (session_id) REFERENCES check_in_sessions(id) ON DELETE CASCADE,
+    FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE
+);
+
+-- ===================================================================
+-- SCHOOL_CALENDAR TABLE
+-- ===================================================================
+-- School-wide days that differ from the normal week (one row per date):
+-- - HOLIDAY:  no school (holidays, vacations)
+-- - EXAM:     exam day (a working day)
+-- - HALF_DAY: school closes early (a working day)
+-- - WORKING:  a normal school day on a weekly off day (e.g. a working Saturday)
+-- 
+-- Days without a row are working days, except the weekly off days
+-- (WEEKLY_OFF_DAYS in .env, default Saturday and Sunday).
+-- Attendance reports count expected school days from this calendar
+-- (see utils/calendarHelpers.js).
+CREATE TABLE IF NOT EXISTS school_calendar (
+    id SERIAL PRIMARY KEY,
+    date DATE UNIQUE NOT NULL,
+    day_type calendar_day_type NOT NULL,
+    title VARCHAR(255),                         -- e.g. "Diwali", "Mid-term exams"
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ===================================================================
+-- TEACHER_CLASSES TABLE
+-- ===================================================================
+-- Which classes each teacher is assigned to.
+-- Teachers can only manage students, view sheets/reports and mark
+-- attendance for the classes listed here.
+-- 
+-- RELATIONSHIPS:
+-- - teacher_classes.teacher_id → teachers.id (Foreign Key)
+-- - teacher_classes.class_id → classes.id (Foreign Key)
+CREATE TABLE IF NOT EXISTS teacher_classes (
+    teacher_id INT NOT NULL,                    -- Which teacher
+    class_id INT NOT NULL,                      -- Which class
+    PRIMARY KEY (teacher_id, class_id),         -- A teacher is assigned to a class only once
+    FOREIGN KEY (teacher_id) REFERENCES teachers(id) ON DELETE CASCADE,
+    FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE
+);
+
+-- ===================================================================
+-- INVITATIONS TABLE
+-- ===================================================================
+-- One-time invitations issued by admins or teachers.
+-- Self-registration is disabled, so this is how new students and
+-- teachers get an account: the invite link carries a signed token
+-- pointing at one of these rows, and the invitee sets their own password.
+-- 
+-- RELATIONSHIP: invitations.invited_by → users.id (Foreign Key)
+CREATE TABLE IF NOT EXISTS invitations (
+    id UUID PRIMARY KEY,                        -- Referenced from the signed invite token
+    email VARCHAR(255) NOT NULL,                -- Who the invite is for (becomes their login email)
+    role user_role NOT NULL,                    -- 'STUDENT' or 'TEACHER'
+    class_id INT,                               -- Class the invitee joins (students) or teaches (teachers)
+    roll_no INT,                                -- Roll number for student invites
+    invited_by UUID,                            -- Admin/teacher who sent the invite
+    expires_at TIMESTAMP NOT NULL,              -- Link stops working after this
+    accepted_at TIMESTAMP,                      -- Set once the invite is used (one-time)
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE
+);
+
+-- ===================================================================
+-- SESSIONS TABLE
+-- ===================================================================
+-- One row per logged-in device. Holds the (hashed) refresh token that
+-- lets the device get new short-lived access tokens without logging in again.
+-- 
+-- ROTATION: every refresh replaces token_hash with a new one and keeps the
+-- old one in previous_token_hash. If a previous token is ever presented
+-- again, someone copied it, so the whole session is revoked (unless the
+-- rotation was only seconds ago: two tabs refreshing at once).
+-- last_used_at is the time of the last rotation.
+-- 
+-- RELATIONSHIP: sessions.user_id → users.id (Foreign Key)
+CREATE TABLE IF NOT EXISTS sessions (
+    id UUID PRIMARY KEY,                        -- Session ID (also stored in access tokens as "sid")
+    user_id UUID NOT NULL,                      -- Whose session
+    token_hash VARCHAR(64) NOT NULL,            -- SHA-256 of the current refresh token (never store the raw token)
+    previous_token_hash VARCHAR(64),            -- SHA-256 of the token it replaced (reuse detection)
+    user_agent TEXT,                            -- Browser/device description shown in "my sessions"
+    ip_address VARCHAR(64),                     -- IP address at login
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,              -- Refresh token stops working after this
+    revoked_at TIMESTAMP,                       -- Set on logout / "sign out other devices"
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_token_hash ON sessions (token_hash);
+CREATE INDEX IF NOT EXISTS idx_sessions_previous_token_hash ON sessions (previous_token_hash);
+
+-- ===================================================================
+-- PASSWORD_RESET_TOKENS TABLE
+-- ===================================================================
+-- One row per "forgot password" email. The emailed link contains the raw
+-- token; only its SHA-256 hash is stored. Each token works once (used_at)
+-- and only for a short time (expires_at, 1 hour).
+-- 
+-- RELATIONSHIP: password_reset_tokens.user_id → users.id (Foreign Key)
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id UUID PRIMARY KEY,
+    user_id UUID NOT NULL,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,     -- SHA-256 of the emailed token
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,                          -- Set when the password is reset
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- ===================================================================
+-- LOGIN_ATTEMPTS TABLE
+-- ===================================================================
+-- Every login attempt that reached the password check, successful or not.
+-- Admins review these in the Admin Console ("Login Attempts" tab).
+-- 
+-- reason: why a failed attempt failed - UNKNOWN_EMAIL, BAD_PASSWORD,
+--         LOCKED or DISABLED (NULL for successful logins)
+CREATE TABLE IF NOT EXISTS login_attempts (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL,                -- Email that was typed in
+    user_id UUID,                               -- Matching account (NULL if no such email)
+    ip_address VARCHAR(64),
+    user_agent TEXT,
+    success BOOLEAN NOT NULL,
+    reason VARCHAR(50),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_attempts_created_at ON login_attempts (created_at);
+
+-- ===================================================================
+-- RATE_LIMITS TABLE
+-- ===================================================================
+-- Counters for login throttling when RATE_LIMIT_STORE=postgres
+-- (see services/limiterStore.js). Keys look like "login:ip:1.2.3.4".
+CREATE TABLE IF NOT EXISTS rate_limits (
+    key VARCHAR(255) PRIMARY KEY,
+    count INTEGER NOT NULL,                     -- Events in the current window
+    last_at TIMESTAMP NOT NULL,                 -- Most recent event
+    expires_at TIMESTAMP NOT NULL               -- Window end; after this the count starts again
+);
+
+-- ===================================================================
+-- AUDIT_LOG TABLE
+-- ===================================================================
+-- Who changed what and when. Rows are only ever added, never edited.
+-- 
+-- EXAMPLES:
+-- action              entity_type  entity_id       before_value            after_value
+-- ATTENDANCE_CHANGED  attendance   12:2026-02-13   {"status":"ABSENT"}     {"status":"PRESENT"}
+-- ATTENDANCE_MARKED   attendance   12:2026-02-13:5 NULL                    {"status":"PRESENT"}
+-- STUDENT_CREATED     student      12              NULL                    {"name":"Jane",...}
+-- USER_UPDATED        user         <uuid>          {"is_active":true}      {"is_active":false}
+-- 
+-- Attendance cells are identified as "<student_id>:<date>" (whole day)
+-- or "<student_id>:<date>:<period_id>" (one lecture).
+CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    actor_id UUID,                              -- Who made the change (NULL if unknown / user deleted)
+    action VARCHAR(50) NOT NULL,                -- What happened (e.g. ATTENDANCE_CHANGED)
+    entity_type VARCHAR(50) NOT NULL,           -- attendance, student or user
+    entity_id VARCHAR(100) NOT NULL,            -- Which record
+    before_value JSONB,                         -- Values before the change (NULL when created)
+    after_value JSONB,                          -- Values after the change
+    ip_address VARCHAR(64),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log (entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log (created_at);
+
+-- ===================================================================
+-- NOTIFICATIONS TABLE
+-- ===================================================================
+-- Messages for one user, shown in the bell menu of the navbar until they
+-- are read (see services/notificationService.js).
+-- 
+-- EXAMPLES:
+-- type                  title                        message
+-- LEAVE_APPROVED        Leave request approved       Jane Smith, 2026-02-13 to 2026-02-15
+-- CORRECTION_ACCEPTED   Attendance corrected         Jane Smith, 2026-02-13: Absent → Present
+-- ATTENDANCE_CHANGED    Attendance changed           Jane Smith, 2026-02-13: Late → Present
+-- LOW_ATTENDANCE        Attendance below 75%         Jane Smith (10th-A) is at 72.5% this academic year
+-- 
+-- RELATIONSHIPS:
+-- - notifications.user_id → users.id (deleted with the account)
+CREATE TABLE IF NOT EXISTS notifications (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL,                      -- Who it is for
+    type VARCHAR(50) NOT NULL,                  -- What happened (e.g. LEAVE_APPROVED)
+    title VARCHAR(255) NOT NULL,
+    message TEXT,
+    link VARCHAR(255),                          -- Page to open in the app (e.g. "/teacher/students/12"), optional
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    read_at TIMESTAMP,                          -- NULL = unread
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications (user_id, created_at);
+
+-- ===================================================================
+-- SCHEMA_MIGRATIONS TABLE
+-- ===================================================================
+-- Records which files in migrations/ have been applied (see migrate.js).
+-- A fresh database created from this file already contains every
+-- migration, so init-db.js marks them all as applied.
+CREATE TABLE IF NOT EXISTS schema_migrations (
+    name VARCHAR(255) PRIMARY KEY,              -- Migration file name (e.g., "001_teacher_classes.sql")
+    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
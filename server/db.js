@@ -27,9 +27,12 @@ const pool = new Pool({
     connectionTimeoutMillis: 2000,     // How long to wait for a connection before timing out
 });
 
-// Log when pool is successfully created
+// Log when pool is successfully created (not during the tests: it would
+// show up in the middle of their output on every new connection)
 pool.on('connect', () => {
-    console.log('✅ Connected to PostgreSQL database');
+    if (process.env.NODE_ENV !== 'test') {
+        console.log('✅ Connected to PostgreSQL database');
+    }
 });
 
 // Log any pool errors
@@ -38,7 +38,7 @@ async function debugUsers() {
                 console.log(`🔑 Password "admin123" match: ${isMatch ? '✅ YES' : '❌ NO'}`);
 
                 if (!isMatch) {
-                    console.log('\n💡 Password doesn\'t match. Run update-pass.js to reset it.');
+                    console.log('\n💡 Password doesn\'t match. Reset it from the Admin Console (/admin).');
                 }
             } else {
                 console.log('\n❌ Admin user NOT found.');
@@ -5,7 +5,7 @@
  * 1. Sets up the Express web server
  * 2. Configures middleware (CORS, JSON parsing)
  * 3. Registers API routes
- * 4. Starts listening for HTTP requests
+ * 4. Starts listening for HTTP requests (exports the app for the tests)
  * 
  * HOW FRONTEND COMMUNICATES WITH BACKEND:
  * - Frontend makes HTTP requests (GET, POST, etc.) to the API endpoints
@@ -34,7 +34,9 @@ app.use(cors());
 // JSON Body Parser
 // Parses incoming JSON data from request body (e.g., login credentials, form data)
 // Makes it available in controllers as req.body
-app.use(express.json());
+// (1mb instead of the default 100kb, so whole .ics calendar files, student
+// import spreadsheets and leave request attachments fit)
+app.use(express.json({ limit: '1mb' }));
 
 // ===================================================================
 // API ROUTES
@@ -45,7 +47,12 @@ app.use(express.json());
 
 app.use('/api/auth', require('./routes/authRoutes'));       // Login, Register
 app.use('/api/student', require('./routes/studentRoutes')); // Student Dashboard, Attendance
+app.use('/api/guardian', require('./routes/guardianRoutes')); // Guardian Portal (their children)
 app.use('/api/teacher', require('./routes/teacherRoutes')); // Teacher Dashboard, Student Management
+app.use('/api/admin', require('./routes/adminRoutes'));     // User Management (ADMIN only)
+app.use('/api/invitations', require('./routes/invitationRoutes')); // Invite-only signup
+app.use('/api/events', require('./routes/eventRoutes'));     // Live dashboard updates (Server-Sent Events)
+app.use('/api/notifications', require('./routes/notificationRoutes')); // Bell menu (everyone's own notifications)
 
 // Root endpoint (just a welcome message)
 app.get('/', (req, res) => {
@@ -76,10 +83,16 @@ app.get('/test-db', async (req, res) => {
 // ===================================================================
 // START SERVER
 // ===================================================================
+// Only when started with "node index.js": the tests require() the app and
+// listen on a free port themselves (see test/helpers.js)
 const PORT = process.env.PORT || 5000;
 
-app.listen(PORT, () => {
-    console.log(`🚀 Server started on port ${PORT}`);
-    console.log(`📊 API available at http://localhost:${PORT}`);
-    console.log(`🔍 Test database at http://localhost:${PORT}/test-db`);
-});
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`🚀 Server started on port ${PORT}`);
+        console.log(`📊 API available at http://localhost:${PORT}`);
+        console.log(`🔍 Test database at http://localhost:${PORT}/test-db`);
+    });
+}
+
+module.exports = app;
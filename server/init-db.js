@@ -15,6 +15,9 @@
  * - Reads database.sql file
  * - Executes all CREATE TABLE statements
  * - Creates the schema (users, students, teachers, attendance tables)
+ * - Marks all files in migrations/ as applied (they are already part of database.sql)
+ * 
+ * EXISTING DATABASE? Run `node migrate.js` instead to apply only the new changes.
  */
 
 const { Client } = require('pg');  // PostgreSQL client for single connections
@@ -46,8 +49,19 @@ async function initDb() {
         // (unlike MySQL which requires splitting by semicolon)
         await client.query(sqlContent);
 
+        // database.sql already includes every migration,
+        // so record them as applied (migrate.js will then skip them)
+        const migrationFiles = fs.readdirSync(path.join(__dirname, 'migrations'))
+            .filter(file => file.endsWith('.sql'));
+        for (const file of migrationFiles) {
+            await client.query(
+                'INSERT INTO schema_migrations (name) VALUES ($1) ON CONFLICT DO NOTHING',
+                [file]
+            );
+        }
+
         console.log('✅ Database schema created successfully.');
-        console.log('📋 Tables created: users, students, teachers, attendance');
+        console.log('📋 Tables created: users, teachers, classes, students, attendance, teacher_classes');
         console.log('📋 ENUM types created: user_role, attendance_status');
 
     } catch (err) {
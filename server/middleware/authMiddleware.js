@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
+const pool = require('../db');
 
-const auth = (req, res, next) => {
+const auth = async (req, res, next) => {
     // Get token from header
     const token = req.header('Authorization')?.replace('Bearer ', '');
 
@@ -10,12 +11,50 @@ const auth = (req, res, next) => {
     }
 
     // Verify token
+    let decoded;
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'secret123');
-        req.user = decoded;
+        decoded = jwt.verify(token, process.env.JWT_SECRET || 'secret123');
+    } catch (err) {
+        return res.status(401).json({ error: 'Token is not valid' });
+    }
+
+    // Every access token belongs to a session (tokens from before sessions existed don't)
+    if (!decoded.sid) {
+        return res.status(401).json({ error: 'Token is not valid' });
+    }
+
+    // Check the account is still active and use its CURRENT role
+    // (an admin may have disabled or re-roled the user after the token was issued).
+    // Also check the session hasn't been logged out / revoked.
+    try {
+        const query = `
+            SELECT u.role, u.is_active, u.must_change_password, s.revoked_at
+            FROM users u
+            JOIN sessions s ON s.user_id = u.id
+            WHERE u.id = $1 AND s.id = $2
+        `;
+        const userResult = await pool.query(query, [decoded.id, decoded.sid]);
+        const user = userResult.rows[0];
+
+        if (!user || user.revoked_at) {
+            return res.status(401).json({ error: 'Session has been signed out' });
+        }
+
+        if (!user.is_active) {
+            return res.status(401).json({ error: 'Account is disabled' });
+        }
+
+        // Users with a temporary password (set by someone else) may only use
+        // /api/auth/* (change password, logout, sessions) until they pick their own
+        if (user.must_change_password && !req.originalUrl.startsWith('/api/auth/')) {
+            return res.status(403).json({ error: 'You must change your password first', code: 'PASSWORD_CHANGE_REQUIRED' });
+        }
+
+        req.user = { ...decoded, role: user.role };
         next();
     } catch (err) {
-        res.status(401).json({ error: 'Token is not valid' });
+        console.error('Auth error:', err);
+        res.status(500).json({ error: 'Server error' });
     }
 };
 
@@ -0,0 +1,97 @@
+/**
+ * CLASS ACCESS MIDDLEWARE (Resource-level authorization)
+ * 
+ * A teacher may only work with the classes they are assigned to
+ * in the teacher_classes table. Admins may work with every class.
+ * 
+ * HOW IT WORKS:
+ * 1. Look up the teacher profile for the logged-in user (req.user.id)
+ * 2. Load the IDs of the classes assigned to that teacher
+ *    (for an ADMIN: the IDs of every class)
+ * 3. If the request names a class (query or body "class_id"), it must be in that list
+ * 4. The list is stored on req.assignedClasses so controllers can reuse it
+ *    (e.g. to check that every student in a bulk request belongs to those classes),
+ *    and req.seesWholeSchool is true for admins
+ * 
+ * "All" is not a real class, so it is not checked here. It means
+ * "all of MY classes" for a teacher and "the whole school" for an admin
+ * (see classScope below).
+ */
+
+const pool = require('../db');
+
+/**
+ * Returns the IDs of the classes assigned to the teacher with this user ID
+ * 
+ * @param {string} userId - users.id of the teacher
+ * @returns {Promise<number[]>} - e.g. [3, 7]
+ */
+const getAssignedClasses = async (userId) => {
+    const query = `
+        SELECT tc.class_id 
+        FROM teacher_classes tc
+        JOIN teachers t ON tc.teacher_id = t.id
+        WHERE t.user_id = $1
+        ORDER BY tc.class_id
+    `;
+    const result = await pool.query(query, [userId]);
+    return result.rows.map(row => row.class_id);
+};
+
+/**
+ * Returns the IDs of every class in the school
+ * 
+ * @returns {Promise<number[]>}
+ */
+const getAllClasses = async () => {
+    const result = await pool.query('SELECT id FROM classes ORDER BY id');
+    return result.rows.map(row => row.id);
+};
+
+/**
+ * Builds the class condition of a WHERE clause for a teacher-portal query
+ * (use after requireClassAccess):
+ * - ?class_id=3      → only that class (access was already checked)
+ * - no class / "All" → the teacher's assigned classes, or everything for admins
+ * 
+ * @param {object} req - request (reads query.class_id, assignedClasses, seesWholeSchool)
+ * @param {Array} params - query parameters; the value is appended to it
+ * @param {string} [column] - column holding the class, e.g. "s.class_id"
+ * @returns {string} - e.g. "s.class_id = ANY($2::int[])", or "TRUE" for no filter
+ */
+const classScope = (req, params, column = 's.class_id') => {
+    const classId = req.query.class_id;
+
+    if (classId && classId !== 'All') {
+        params.push(classId);
+        return `${column} = $${params.length}`;
+    }
+    if (req.seesWholeSchool) {
+        return 'TRUE';
+    }
+
+    params.push(req.assignedClasses);
+    return `${column} = ANY($${params.length}::int[])`;
+};
+
+const requireClassAccess = async (req, res, next) => {
+    try {
+        req.seesWholeSchool = req.user.role === 'ADMIN';
+        req.assignedClasses = req.seesWholeSchool
+            ? await getAllClasses()
+            : await getAssignedClasses(req.user.id);
+
+        const classId = req.query.class_id || req.body?.class_id;
+
+        if (classId && classId !== 'All' && !req.assignedClasses.includes(Number(classId))) {
+            return res.status(403).json({ error: 'You are not assigned to this class' });
+        }
+
+        next();
+    } catch (err) {
+        console.error('Class access error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+module.exports = { requireClassAccess, getAssignedClasses, classScope };
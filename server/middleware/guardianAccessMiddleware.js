@@ -0,0 +1,40 @@
+/**
+ * GUARDIAN ACCESS MIDDLEWARE (Resource-level authorization)
+ *
+ * A guardian may only see the students they are linked to
+ * in the guardian_students table (their own children).
+ *
+ * HOW IT WORKS (for routes like /api/guardian/children/:studentId/...):
+ * 1. Look up the guardian profile for the logged-in user (req.user.id)
+ * 2. The :studentId in the URL must be linked to that guardian
+ * 3. req.guardianId and req.studentId are set for the controller
+ *    (the student controller then shows that student instead of
+ *    looking one up by the logged-in user)
+ */
+
+const pool = require('../db');
+
+const requireGuardianOf = async (req, res, next) => {
+    try {
+        const query = `
+            SELECT g.id as guardian_id, gs.student_id
+            FROM guardians g
+            JOIN guardian_students gs ON gs.guardian_id = g.id
+            WHERE g.user_id = $1 AND gs.student_id = $2
+        `;
+        const result = await pool.query(query, [req.user.id, parseInt(req.params.studentId) || 0]);
+
+        if (result.rows.length === 0) {
+            return res.status(403).json({ error: 'This student is not linked to your account' });
+        }
+
+        req.guardianId = result.rows[0].guardian_id;
+        req.studentId = result.rows[0].student_id;
+        next();
+    } catch (err) {
+        console.error('Guardian access error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+module.exports = { requireGuardianOf };
@@ -0,0 +1,27 @@
+/**
+ * ROLE-BASED AUTHORIZATION MIDDLEWARE
+ * 
+ * authMiddleware only proves WHO the user is (valid JWT).
+ * This middleware decides WHAT they may do, based on the role in the token.
+ * 
+ * USAGE IN ROUTES (always AFTER auth, because it reads req.user):
+ * router.get('/dashboard', auth, requireRole('TEACHER'), getDashboardStats);
+ * router.get('/reports', auth, requireRole('TEACHER', 'ADMIN'), getReports);
+ * 
+ * RESPONSES:
+ * - 401 if there is no authenticated user (auth middleware was skipped)
+ * - 403 if the user is logged in but has the wrong role
+ */
+const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'No token, authorization denied' });
+    }
+
+    if (!roles.includes(req.user.role)) {
+        return res.status(403).json({ error: 'Access denied' });
+    }
+
+    next();
+};
+
+module.exports = requireRole;
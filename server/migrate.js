@@ -0,0 +1,76 @@
+/**
+ * DATABASE MIGRATION SCRIPT
+ * 
+ * Brings an EXISTING database up to date with the current schema.
+ * (New databases are created with init-db.js and need no migrations.)
+ * 
+ * USAGE:
+ * node migrate.js
+ * 
+ * HOW IT WORKS:
+ * - Every schema change is a numbered SQL file in migrations/
+ *   (e.g., 001_teacher_classes.sql)
+ * - The schema_migrations table remembers which files were already applied
+ * - Pending files run in order, each inside its own transaction:
+ *   if a file fails, its changes are rolled back and the script stops
+ */
+
+const pool = require('./db');
+const fs = require('fs');
+const path = require('path');
+
+async function migrate() {
+    const client = await pool.connect();
+
+    try {
+        // Make sure the bookkeeping table exists (databases created before it was added)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                name VARCHAR(255) PRIMARY KEY,
+                applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        const appliedResult = await client.query('SELECT name FROM schema_migrations');
+        const applied = new Set(appliedResult.rows.map(row => row.name));
+
+        // Sort by file name so 001_, 002_, 003_... run in order
+        const migrationsDir = path.join(__dirname, 'migrations');
+        const pending = fs.readdirSync(migrationsDir)
+            .filter(file => file.endsWith('.sql') && !applied.has(file))
+            .sort();
+
+        if (pending.length === 0) {
+            console.log('✅ Database is up to date.');
+            return;
+        }
+
+        for (const file of pending) {
+            const sql = fs.readFileSync(path.join(migrationsDir, file), 'utf8');
+
+            try {
+                await client.query('BEGIN');
+                await client.query(sql);
+                await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [file]);
+                await client.query('COMMIT');
+                console.log(`✅ Applied ${file}`);
+            } catch (err) {
+                await client.query('ROLLBACK');
+                console.error(`❌ Migration ${file} failed:`, err.message);
+                process.exitCode = 1;
+                return;
+            }
+        }
+
+        console.log(`📋 ${pending.length} migration(s) applied.`);
+
+    } catch (err) {
+        console.error('❌ Error running migrations:', err.message);
+        process.exitCode = 1;
+    } finally {
+        client.release();
+        await pool.end();
+    }
+}
+
+migrate();
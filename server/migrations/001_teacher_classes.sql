@@ -0,0 +1,21 @@
+-- ===================================================================
+-- MIGRATION 001: Teacher-to-class assignments
+-- ===================================================================
+-- Adds the teacher_classes table used for resource-level authorization.
+-- 
+-- Existing teachers are assigned to every class that exists today,
+-- so nobody loses access when this migration runs. Remove rows from
+-- teacher_classes afterwards to narrow each teacher down.
+
+CREATE TABLE IF NOT EXISTS teacher_classes (
+    teacher_id INT NOT NULL,
+    class_name VARCHAR(50) NOT NULL,
+    PRIMARY KEY (teacher_id, class_name),
+    FOREIGN KEY (teacher_id) REFERENCES teachers(id) ON DELETE CASCADE
+);
+
+INSERT INTO teacher_classes (teacher_id, class_name)
+SELECT t.id, c.class_name
+FROM teachers t
+CROSS JOIN (SELECT DISTINCT class_name FROM students WHERE class_name IS NOT NULL) c
+ON CONFLICT DO NOTHING;
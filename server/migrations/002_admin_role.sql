@@ -0,0 +1,19 @@
+-- ===================================================================
+-- MIGRATION 002: ADMIN role
+-- ===================================================================
+-- Adds the ADMIN user role, the admins profile table and the
+-- users.is_active flag used to disable accounts.
+-- 
+-- Run `node create-admin.js` afterwards to promote the old
+-- "Administration" teacher (admin@school.com) to a real ADMIN.
+
+ALTER TYPE user_role ADD VALUE IF NOT EXISTS 'ADMIN';
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT TRUE;
+
+CREATE TABLE IF NOT EXISTS admins (
+    id SERIAL PRIMARY KEY,
+    user_id UUID,
+    name VARCHAR(255) NOT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
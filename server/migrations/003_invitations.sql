@@ -0,0 +1,18 @@
+-- ===================================================================
+-- MIGRATION 003: Invitations
+-- ===================================================================
+-- Adds the invitations table used by the invite-only signup flow
+-- (POST /api/auth/register is now disabled by default).
+
+CREATE TABLE IF NOT EXISTS invitations (
+    id UUID PRIMARY KEY,
+    email VARCHAR(255) NOT NULL,
+    role user_role NOT NULL,
+    class_name VARCHAR(50),
+    roll_no INT,
+    invited_by UUID,
+    expires_at TIMESTAMP NOT NULL,
+    accepted_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE SET NULL
+);
@@ -0,0 +1,80 @@
+-- ===================================================================
+-- MIGRATION 008: Classes as real entities
+-- ===================================================================
+-- Replaces the free-text class_name columns (students, teacher_classes,
+-- invitations) with a class_id pointing at a new classes table.
+-- 
+-- PARSING THE OLD STRINGS:
+-- "10th-A", "10th A", "10TH_a" and "10tha" all become grade "10th",
+-- section "A" (display name "10th-A"), so they end up as ONE class.
+-- Strings without a number (e.g. "Nursery") become a grade with no section.
+-- All existing classes are put in the current academic year
+-- (academic years start in June, e.g. "2025-2026").
+
+CREATE TABLE IF NOT EXISTS classes (
+    id SERIAL PRIMARY KEY,
+    grade VARCHAR(20) NOT NULL,
+    section VARCHAR(10) NOT NULL DEFAULT '',
+    academic_year VARCHAR(9) NOT NULL,
+    name VARCHAR(50) NOT NULL,
+    class_teacher_id INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT unique_class UNIQUE (grade, section, academic_year),
+    FOREIGN KEY (class_teacher_id) REFERENCES teachers(id) ON DELETE SET NULL
+);
+
+-- 1. Parse every distinct class string in use
+CREATE TEMP TABLE class_name_map ON COMMIT DROP AS
+SELECT
+    raw,
+    CASE WHEN m IS NULL THEN regexp_replace(trim(raw), '\s+', ' ', 'g')
+         ELSE concat_ws(' ', NULLIF(regexp_replace(trim(m[1]), '\s+', ' ', 'g'), ''), m[2] || lower(COALESCE(m[3], '')))
+    END AS grade,
+    upper(COALESCE(m[4], '')) AS section,
+    CASE WHEN EXTRACT(MONTH FROM CURRENT_DATE) >= 6
+         THEN EXTRACT(YEAR FROM CURRENT_DATE)::int || '-' || (EXTRACT(YEAR FROM CURRENT_DATE)::int + 1)
+         ELSE (EXTRACT(YEAR FROM CURRENT_DATE)::int - 1) || '-' || EXTRACT(YEAR FROM CURRENT_DATE)::int
+    END AS academic_year,
+    NULL::int AS class_id
+FROM (
+    SELECT raw, regexp_match(trim(raw), '^(.*?)(\d+)(st|nd|rd|th)?[\s_/-]*([A-Za-z])?$', 'i') AS m
+    FROM (
+        SELECT class_name AS raw FROM students
+        UNION SELECT class_name FROM teacher_classes
+        UNION SELECT class_name FROM invitations
+    ) names
+    WHERE raw IS NOT NULL AND trim(raw) <> ''
+) parsed;
+
+-- 2. One class per distinct (grade, section)
+INSERT INTO classes (grade, section, academic_year, name)
+SELECT DISTINCT grade, section, academic_year,
+    grade || CASE WHEN section <> '' THEN '-' || section ELSE '' END
+FROM class_name_map
+ON CONFLICT (grade, section, academic_year) DO NOTHING;
+
+UPDATE class_name_map m SET class_id = c.id
+FROM classes c
+WHERE c.grade = m.grade AND c.section = m.section AND c.academic_year = m.academic_year;
+
+-- 3. Students
+ALTER TABLE students ADD COLUMN IF NOT EXISTS class_id INT REFERENCES classes(id);
+UPDATE students s SET class_id = m.class_id FROM class_name_map m WHERE m.raw = s.class_name;
+ALTER TABLE students DROP COLUMN class_name;
+
+-- 4. Teacher assignments ("10th-A" and "10th A" may now be the same class → drop duplicates)
+ALTER TABLE teacher_classes ADD COLUMN class_id INT;
+UPDATE teacher_classes tc SET class_id = m.class_id FROM class_name_map m WHERE m.raw = tc.class_name;
+DELETE FROM teacher_classes WHERE class_id IS NULL;
+DELETE FROM teacher_classes a USING teacher_classes b
+WHERE a.teacher_id = b.teacher_id AND a.class_id = b.class_id AND a.class_name > b.class_name;
+ALTER TABLE teacher_classes DROP CONSTRAINT teacher_classes_pkey;
+ALTER TABLE teacher_classes DROP COLUMN class_name;
+ALTER TABLE teacher_classes ALTER COLUMN class_id SET NOT NULL;
+ALTER TABLE teacher_classes ADD PRIMARY KEY (teacher_id, class_id);
+ALTER TABLE teacher_classes ADD FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE;
+
+-- 5. Invitations
+ALTER TABLE invitations ADD COLUMN class_id INT REFERENCES classes(id) ON DELETE CASCADE;
+UPDATE invitations i SET class_id = m.class_id FROM class_name_map m WHERE m.raw = i.class_name;
+ALTER TABLE invitations DROP COLUMN class_name;
@@ -0,0 +1,56 @@
+-- ===================================================================
+-- MIGRATION 009: Timetable periods and per-period attendance
+-- ===================================================================
+-- Adds subjects and a weekly timetable (periods), and lets attendance be
+-- taken per lecture. Existing rows stay daily marks (period_id IS NULL).
+-- Day-based reports read the daily_attendance view, which rolls period
+-- marks up to one status per day.
+
+CREATE TABLE IF NOT EXISTS subjects (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) UNIQUE NOT NULL,
+    code VARCHAR(20),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS periods (
+    id SERIAL PRIMARY KEY,
+    class_id INT NOT NULL,
+    day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 1 AND 7),
+    period_no SMALLINT NOT NULL,
+    start_time TIME,
+    end_time TIME,
+    subject_id INT NOT NULL,
+    teacher_id INT,
+    CONSTRAINT unique_period UNIQUE (class_id, day_of_week, period_no),
+    FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE,
+    FOREIGN KEY (subject_id) REFERENCES subjects(id),
+    FOREIGN KEY (teacher_id) REFERENCES teachers(id) ON DELETE SET NULL
+);
+
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS period_id INT REFERENCES periods(id);
+
+-- One daily mark per student per date, and one mark per period
+ALTER TABLE attendance DROP CONSTRAINT IF EXISTS unique_attendance;
+CREATE UNIQUE INDEX IF NOT EXISTS unique_daily_attendance ON attendance (student_id, date) WHERE period_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS unique_period_attendance ON attendance (student_id, date, period_id) WHERE period_id IS NOT NULL;
+
+CREATE OR REPLACE VIEW daily_attendance AS
+SELECT student_id, date, status
+FROM attendance
+WHERE period_id IS NULL
+UNION ALL
+SELECT
+    a.student_id,
+    a.date,
+    CASE
+        WHEN COUNT(*) FILTER (WHERE a.status = 'PRESENT') * 2 >= COUNT(*) THEN 'PRESENT'
+        ELSE 'ABSENT'
+    END::attendance_status as status
+FROM attendance a
+WHERE a.period_id IS NOT NULL
+    AND NOT EXISTS (
+        SELECT 1 FROM attendance d
+        WHERE d.student_id = a.student_id AND d.date = a.date AND d.period_id IS NULL
+    )
+GROUP BY a.student_id, a.date;
@@ -0,0 +1,15 @@
+-- ===================================================================
+-- MIGRATION 010: More attendance statuses
+-- ===================================================================
+-- Adds LATE, EXCUSED, HALF_DAY and MEDICAL, and the arrival time
+-- recorded for LATE marks.
+-- 
+-- New enum values can't be used in the transaction that adds them,
+-- so their percentage weights are inserted by migration 011.
+
+ALTER TYPE attendance_status ADD VALUE IF NOT EXISTS 'LATE';
+ALTER TYPE attendance_status ADD VALUE IF NOT EXISTS 'EXCUSED';
+ALTER TYPE attendance_status ADD VALUE IF NOT EXISTS 'HALF_DAY';
+ALTER TYPE attendance_status ADD VALUE IF NOT EXISTS 'MEDICAL';
+
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS arrival_time TIME;
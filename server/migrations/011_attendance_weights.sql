@@ -0,0 +1,44 @@
+-- ===================================================================
+-- MIGRATION 011: Attendance status weights
+-- ===================================================================
+-- How much each status counts towards the attendance percentage.
+-- NULL leaves the day out of the percentage (holidays, excused days).
+-- The daily_attendance view now uses the weights to roll lecture
+-- marks up to one status per day.
+
+CREATE TABLE IF NOT EXISTS attendance_status_weights (
+    status attendance_status PRIMARY KEY,
+    weight NUMERIC(3, 2) CHECK (weight BETWEEN 0 AND 1)
+);
+
+INSERT INTO attendance_status_weights (status, weight) VALUES
+    ('PRESENT', 1),
+    ('ABSENT', 0),
+    ('LATE', 0.5),
+    ('HALF_DAY', 0.5),
+    ('EXCUSED', NULL),
+    ('MEDICAL', NULL),
+    ('HOLIDAY', NULL)
+ON CONFLICT (status) DO NOTHING;
+
+CREATE OR REPLACE VIEW daily_attendance AS
+SELECT student_id, date, status
+FROM attendance
+WHERE period_id IS NULL
+UNION ALL
+SELECT
+    a.student_id,
+    a.date,
+    CASE
+        WHEN COUNT(w.weight) = 0 THEN MODE() WITHIN GROUP (ORDER BY a.status)
+        WHEN SUM(w.weight) * 2 >= COUNT(w.weight) THEN 'PRESENT'
+        ELSE 'ABSENT'
+    END::attendance_status as status
+FROM attendance a
+LEFT JOIN attendance_status_weights w ON w.status = a.status
+WHERE a.period_id IS NOT NULL
+    AND NOT EXISTS (
+        SELECT 1 FROM attendance d
+        WHERE d.student_id = a.student_id AND d.date = a.date AND d.period_id IS NULL
+    )
+GROUP BY a.student_id, a.date;
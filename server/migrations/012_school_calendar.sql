@@ -0,0 +1,17 @@
+-- ===================================================================
+-- MIGRATION 012: School calendar
+-- ===================================================================
+-- Holidays, exam days, half days and extra working days for the whole
+-- school. Attendance reports count expected school days from it.
+-- Old per-student HOLIDAY marks are kept; they don't count towards
+-- percentages either way.
+
+CREATE TYPE calendar_day_type AS ENUM ('WORKING', 'HOLIDAY', 'EXAM', 'HALF_DAY');
+
+CREATE TABLE IF NOT EXISTS school_calendar (
+    id SERIAL PRIMARY KEY,
+    date DATE UNIQUE NOT NULL,
+    day_type calendar_day_type NOT NULL,
+    title VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
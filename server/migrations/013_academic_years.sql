@@ -0,0 +1,81 @@
+-- ===================================================================
+-- MIGRATION 013: Academic years, terms and enrollments
+-- ===================================================================
+-- classes.academic_year ("2025-2026") becomes a reference to a new
+-- academic_years table with real start and end dates, split into terms.
+-- enrollments records which class (and roll number) a student had in
+-- each academic year, so reports on last year still show last year's classes.
+--
+-- EXISTING DATA:
+-- - One academic year per year name already used by a class, running
+--   1 June - 31 May (adjust the dates in the Admin Console if needed).
+--   The year containing today (or else the latest one) becomes current.
+-- - Every student with a class gets an ACTIVE enrollment for that class's year.
+
+CREATE TABLE IF NOT EXISTS academic_years (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(9) UNIQUE NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    is_current BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_date > start_date)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS one_current_academic_year ON academic_years (is_current) WHERE is_current;
+
+CREATE TABLE IF NOT EXISTS terms (
+    id SERIAL PRIMARY KEY,
+    academic_year_id INT NOT NULL,
+    name VARCHAR(50) NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    CONSTRAINT unique_term UNIQUE (academic_year_id, name),
+    CHECK (end_date >= start_date),
+    FOREIGN KEY (academic_year_id) REFERENCES academic_years(id) ON DELETE CASCADE
+);
+
+-- 1. An academic year for every year name in use ("2025-2026" → 2025-06-01 to 2026-05-31)
+INSERT INTO academic_years (name, start_date, end_date)
+SELECT DISTINCT
+    academic_year,
+    make_date(split_part(academic_year, '-', 1)::int, 6, 1),
+    make_date(split_part(academic_year, '-', 2)::int, 5, 31)
+FROM classes
+ON CONFLICT (name) DO NOTHING;
+
+UPDATE academic_years SET is_current = TRUE
+WHERE id = (
+    SELECT id FROM academic_years
+    ORDER BY (CURRENT_DATE BETWEEN start_date AND end_date) DESC, start_date DESC
+    LIMIT 1
+);
+
+-- 2. Classes now point at a real academic year
+ALTER TABLE classes
+    ADD CONSTRAINT fk_classes_academic_year
+    FOREIGN KEY (academic_year) REFERENCES academic_years(name) ON UPDATE CASCADE;
+
+-- 3. Enrollments, starting with every student's current class
+CREATE TYPE enrollment_status AS ENUM ('ACTIVE', 'PROMOTED', 'GRADUATED');
+
+CREATE TABLE IF NOT EXISTS enrollments (
+    id SERIAL PRIMARY KEY,
+    student_id INT NOT NULL,
+    academic_year_id INT NOT NULL,
+    class_id INT NOT NULL,
+    roll_no INT,
+    status enrollment_status NOT NULL DEFAULT 'ACTIVE',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT unique_enrollment UNIQUE (student_id, academic_year_id),
+    FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+    FOREIGN KEY (academic_year_id) REFERENCES academic_years(id),
+    FOREIGN KEY (class_id) REFERENCES classes(id)
+);
+
+INSERT INTO enrollments (student_id, academic_year_id, class_id, roll_no)
+SELECT s.id, ay.id, s.class_id, s.roll_no
+FROM students s
+JOIN classes c ON s.class_id = c.id
+JOIN academic_years ay ON ay.name = c.academic_year
+ON CONFLICT (student_id, academic_year_id) DO NOTHING;
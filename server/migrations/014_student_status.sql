@@ -0,0 +1,10 @@
+-- ===================================================================
+-- MIGRATION 014: Deactivated students
+-- ===================================================================
+-- Students who leave the school are deactivated instead of deleted:
+-- they drop off attendance sheets, class counts and the defaulters list,
+-- but their attendance history and enrollments are kept.
+-- Existing students stay active.
+
+ALTER TABLE students ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE students ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMP;
@@ -0,0 +1,20 @@
+-- ===================================================================
+-- MIGRATION 015: Student ID codes from a sequence
+-- ===================================================================
+-- Student ID codes (STD001, STD002...) used to be numbered by counting
+-- the students, so two students added at the same moment, or a student
+-- added after one was deleted, could get a code that is already taken.
+-- The number now comes from a sequence (see generateStudentIdCode in
+-- utils/studentHelpers.js), which never hands out a number twice.
+--
+-- The sequence starts after the highest number used by any existing code.
+-- Duplicate or missing codes of older databases: run `node repair-student-ids.js`.
+
+CREATE SEQUENCE IF NOT EXISTS student_id_seq;
+
+SELECT setval(
+    'student_id_seq',
+    GREATEST(COALESCE(MAX(substring(student_id_code FROM '([0-9]+)$')::BIGINT), 0), 1),
+    COALESCE(MAX(substring(student_id_code FROM '([0-9]+)$')::BIGINT), 0) > 0
+)
+FROM students;
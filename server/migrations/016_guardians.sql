@@ -0,0 +1,45 @@
+-- ===================================================================
+-- MIGRATION 016: Parent / guardian accounts
+-- ===================================================================
+-- Adds the GUARDIAN user role, the guardians profile table, the links
+-- between guardians and their children (students) and the absence notes
+-- guardians send from the guardian portal.
+-- Guardian accounts are created by teachers from the student detail page.
+
+ALTER TYPE user_role ADD VALUE IF NOT EXISTS 'GUARDIAN';
+
+CREATE TABLE IF NOT EXISTS guardians (
+    id SERIAL PRIMARY KEY,
+    user_id UUID,
+    name VARCHAR(255) NOT NULL,
+    phone VARCHAR(50),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS guardian_students (
+    guardian_id INT NOT NULL,
+    student_id INT NOT NULL,
+    relationship VARCHAR(50),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (guardian_id, student_id),
+    FOREIGN KEY (guardian_id) REFERENCES guardians(id) ON DELETE CASCADE,
+    FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS absence_notes (
+    id SERIAL PRIMARY KEY,
+    student_id INT NOT NULL,
+    guardian_id INT,
+    from_date DATE NOT NULL,
+    to_date DATE NOT NULL,
+    reason TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    acknowledged_by UUID,
+    acknowledged_at TIMESTAMP,
+    CHECK (to_date >= from_date),
+    FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+    FOREIGN KEY (guardian_id) REFERENCES guardians(id) ON DELETE SET NULL,
+    FOREIGN KEY (acknowledged_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_absence_notes_student ON absence_notes (student_id, from_date);
@@ -0,0 +1,33 @@
+-- ===================================================================
+-- MIGRATION 017: Leave requests
+-- ===================================================================
+-- Students and guardians ask for leave (a date range, a reason and an
+-- optional attachment such as a doctor's note). A teacher of the
+-- student's class approves or rejects it; approving writes an EXCUSED
+-- mark (LEAVE_ATTENDANCE_STATUS) for every school day of the range.
+
+CREATE TYPE leave_status AS ENUM ('PENDING', 'APPROVED', 'REJECTED');
+
+CREATE TABLE IF NOT EXISTS leave_requests (
+    id SERIAL PRIMARY KEY,
+    student_id INT NOT NULL,
+    requested_by UUID,
+    from_date DATE NOT NULL,
+    to_date DATE NOT NULL,
+    reason TEXT NOT NULL,
+    attachment_name VARCHAR(255),
+    attachment_type VARCHAR(100),
+    attachment BYTEA,
+    status leave_status NOT NULL DEFAULT 'PENDING',
+    reviewed_by UUID,
+    reviewed_at TIMESTAMP,
+    review_note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (to_date >= from_date),
+    FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+    FOREIGN KEY (requested_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_leave_requests_student ON leave_requests (student_id, from_date);
+CREATE INDEX IF NOT EXISTS idx_leave_requests_pending ON leave_requests (created_at) WHERE status = 'PENDING';
@@ -0,0 +1,31 @@
+-- ===================================================================
+-- MIGRATION 018: Attendance correction requests
+-- ===================================================================
+-- A student disputes the mark of one day on their calendar ("I was
+-- there, but I'm marked Absent"). A teacher of the student's class
+-- accepts it (the mark is changed and logged) or rejects it with a reason.
+
+CREATE TYPE correction_status AS ENUM ('PENDING', 'ACCEPTED', 'REJECTED');
+
+CREATE TABLE IF NOT EXISTS attendance_corrections (
+    id SERIAL PRIMARY KEY,
+    student_id INT NOT NULL,
+    date DATE NOT NULL,
+    current_status attendance_status NOT NULL,
+    requested_status attendance_status NOT NULL,
+    comment TEXT NOT NULL,
+    status correction_status NOT NULL DEFAULT 'PENDING',
+    requested_by UUID,
+    reviewed_by UUID,
+    reviewed_at TIMESTAMP,
+    review_note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+    FOREIGN KEY (requested_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_attendance_corrections_student ON attendance_corrections (student_id, date);
+-- One open dispute per student and day
+CREATE UNIQUE INDEX IF NOT EXISTS idx_attendance_corrections_pending
+    ON attendance_corrections (student_id, date) WHERE status = 'PENDING';
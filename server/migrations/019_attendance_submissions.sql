@@ -0,0 +1,23 @@
+-- ===================================================================
+-- MIGRATION 019: Attendance submissions and locking
+-- ===================================================================
+-- The first save of a class's attendance for a date submits it. The
+-- register stays editable until locks_at (ATTENDANCE_LOCK_HOURS after the
+-- submission); after that only an admin can reopen it, with a reason.
+-- Days marked before this migration have no submission yet: their next
+-- save submits them.
+
+CREATE TABLE IF NOT EXISTS attendance_submissions (
+    class_id INT NOT NULL,
+    date DATE NOT NULL,
+    submitted_by UUID,
+    submitted_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    locks_at TIMESTAMP NOT NULL,
+    reopened_by UUID,
+    reopened_at TIMESTAMP,
+    reopen_reason TEXT,
+    PRIMARY KEY (class_id, date),
+    FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE,
+    FOREIGN KEY (submitted_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (reopened_by) REFERENCES users(id) ON DELETE SET NULL
+);
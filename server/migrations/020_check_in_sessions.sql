@@ -0,0 +1,32 @@
+-- ===================================================================
+-- MIGRATION 020: QR-code self check-in
+-- ===================================================================
+-- A teacher opens a check-in session for a class (and optionally one
+-- lecture period) and shows a QR code that changes every few seconds.
+-- Students scan it from the student portal; each scan is kept until the
+-- teacher reviews the result and saves it on the attendance sheet.
+
+CREATE TABLE IF NOT EXISTS check_in_sessions (
+    id SERIAL PRIMARY KEY,
+    class_id INT NOT NULL,
+    period_id INT,
+    date DATE NOT NULL,
+    secret VARCHAR(64) NOT NULL,
+    opened_by UUID,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    closes_at TIMESTAMP NOT NULL,
+    closed_at TIMESTAMP,
+    FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE,
+    FOREIGN KEY (period_id) REFERENCES periods(id) ON DELETE CASCADE,
+    FOREIGN KEY (opened_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS check_in_scans (
+    session_id INT NOT NULL,
+    student_id INT NOT NULL,
+    code_step BIGINT NOT NULL,
+    scanned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (session_id, student_id),
+    FOREIGN KEY (session_id) REFERENCES check_in_sessions(id) ON DELETE CASCADE,
+    FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE
+);
@@ -0,0 +1,9 @@
+-- ===================================================================
+-- MIGRATION 021: Attendance mark versions
+-- ===================================================================
+-- Every change of a mark increases its version. A teacher who saves a
+-- sheet loaded earlier (e.g. marked offline and sent when the connection
+-- returned) sends the versions they saw, so marks changed elsewhere in
+-- the meantime are detected instead of silently overwritten.
+
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS version INT NOT NULL DEFAULT 1;
@@ -0,0 +1,20 @@
+-- ===================================================================
+-- MIGRATION 022: Notifications
+-- ===================================================================
+-- Messages for one user that stay until they are read (the bell menu in
+-- the navbar): a leave request was decided, a correction request was
+-- answered, attendance dropped below 75%.
+
+CREATE TABLE IF NOT EXISTS notifications (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL,
+    type VARCHAR(50) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    message TEXT,
+    link VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    read_at TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications (user_id, created_at);
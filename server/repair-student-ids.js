@@ -0,0 +1,138 @@
+/**
+ * REPAIR STUDENT ID CODES SCRIPT
+ *
+ * One-off check of the student ID codes (STD001, STD002...) made before
+ * they came from the student_id_seq sequence (migrations/015_student_id_sequence.sql).
+ *
+ * USAGE:
+ * node repair-student-ids.js              → only report problems (changes nothing)
+ * node repair-student-ids.js --apply      → fix duplicate and missing codes
+ * node repair-student-ids.js --renumber   → give EVERY student a new code, 1, 2, 3... in
+ *                                           the order they were added (closes gaps)
+ *
+ * WHAT --apply DOES:
+ * - Duplicate codes: the student added first keeps the code, the others get new ones
+ * - Students without a code (e.g. self-registered) get one
+ * - Moves the sequence past the highest number in use
+ *
+ * ⚠️ --renumber changes codes students and teachers already know.
+ * Gaps (STD004 deleted, so STD003 → STD005) are harmless; only close them
+ * if the school wants consecutive numbers.
+ *
+ * Every changed code is written to the audit log (STUDENT_UPDATED).
+ */
+
+const pool = require('./db');
+const { generateStudentIdCode } = require('./utils/studentHelpers');
+const { logAudit } = require('./services/auditService');
+
+// "STD026" → 26 (null when the code has no number at the end)
+const codeNumber = (code) => {
+    const match = /(\d+)$/.exec(code || '');
+    return match ? parseInt(match[1]) : null;
+};
+
+async function repairStudentIds() {
+    const apply = process.argv.includes('--apply');
+    const renumber = process.argv.includes('--renumber');
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+        // Nobody may add a student while codes are being handed out
+        await client.query('LOCK TABLE students IN EXCLUSIVE MODE');
+
+        const studentsResult = await client.query(
+            'SELECT id, name, class_id, student_id_code FROM students ORDER BY id'
+        );
+        const students = studentsResult.rows;
+
+        // Report
+        const byCode = new Map();
+        students.forEach(s => {
+            if (!s.student_id_code) return;
+            if (!byCode.has(s.student_id_code)) byCode.set(s.student_id_code, []);
+            byCode.get(s.student_id_code).push(s);
+        });
+        const duplicates = [...byCode.values()].filter(group => group.length > 1);
+        const missing = students.filter(s => !s.student_id_code);
+
+        const numbers = new Set(students.map(s => codeNumber(s.student_id_code)).filter(n => n !== null));
+        const highest = Math.max(0, ...numbers);
+        const gaps = [];
+        for (let n = 1; n <= highest; n++) {
+            if (!numbers.has(n)) gaps.push(n);
+        }
+
+        console.log(`👥 ${students.length} students, highest code number ${highest}`);
+        duplicates.forEach(group => {
+            console.log(`⚠️  ${group[0].student_id_code} is used by ${group.length} students: ${group.map(s => `#${s.id} ${s.name}`).join(', ')}`);
+        });
+        if (missing.length > 0) {
+            console.log(`⚠️  ${missing.length} students have no code: ${missing.map(s => `#${s.id} ${s.name}`).join(', ')}`);
+        }
+        if (gaps.length > 0) {
+            console.log(`ℹ️  ${gaps.length} unused numbers: ${gaps.slice(0, 20).join(', ')}${gaps.length > 20 ? ', ...' : ''}`);
+        }
+        if (duplicates.length === 0 && missing.length === 0) {
+            console.log('✅ Every student has a code of their own.');
+        }
+
+        if (!apply && !renumber) {
+            await client.query('ROLLBACK');
+            if (duplicates.length > 0 || missing.length > 0) {
+                console.log('💡 Run with --apply to fix them (or --renumber to also close the gaps).');
+            }
+            return;
+        }
+
+        // Students that get a new code
+        let changing;
+        if (renumber) {
+            changing = students;
+            await client.query("SELECT setval('student_id_seq', 1, false)");
+        } else {
+            changing = [...missing, ...duplicates.flatMap(group => group.slice(1))];
+            // New codes continue after both the sequence and the highest existing code
+            const seqResult = await client.query('SELECT last_value, is_called FROM student_id_seq');
+            const used = seqResult.rows[0].is_called ? parseInt(seqResult.rows[0].last_value) : 0;
+            const last = Math.max(used, highest);
+            await client.query("SELECT setval('student_id_seq', $1, $2)", [Math.max(last, 1), last > 0]);
+        }
+
+        // Clear first, so a new code never clashes with an old one still waiting to change
+        await client.query('UPDATE students SET student_id_code = NULL WHERE id = ANY($1::int[])', [changing.map(s => s.id)]);
+
+        let changed = 0;
+        for (const student of changing) {
+            const studentIdCode = await generateStudentIdCode(client, student.class_id);
+            await client.query('UPDATE students SET student_id_code = $1 WHERE id = $2', [studentIdCode, student.id]);
+
+            if (studentIdCode !== student.student_id_code) {
+                changed++;
+                await logAudit(client, {}, {
+                    action: 'STUDENT_UPDATED',
+                    entityType: 'student',
+                    entityId: student.id,
+                    before: { student_id_code: student.student_id_code },
+                    after: { student_id_code: studentIdCode, source: 'repair-student-ids' }
+                });
+                console.log(`✏️  #${student.id} ${student.name}: ${student.student_id_code || '(none)'} → ${studentIdCode}`);
+            }
+        }
+
+        await client.query('COMMIT');
+        console.log(`✅ ${changed} students given a new code.`);
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('❌ Repair failed:', err.message);
+        process.exitCode = 1;
+    } finally {
+        client.release();
+        await pool.end();
+    }
+}
+
+repairStudentIds();
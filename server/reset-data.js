@@ -11,9 +11,11 @@
  * node reset-data.js
  * 
  * WHAT IT DELETES:
- * - All attendance records
+ * - All attendance records (and which registers were submitted or locked)
  * - All student profiles
  * - All student user accounts
+ * - All guardian accounts (with their links and absence notes)
+ * (the next student added gets the ID code STD001 again)
  * 
  * WHAT IT KEEPS:
  * - Teacher accounts (including admin)
@@ -31,6 +33,7 @@ async function resetData() {
         console.log('🗑️  Deleting attendance records...');
         const deleteAttendance = 'DELETE FROM attendance';
         await client.query(deleteAttendance);
+        await client.query('DELETE FROM attendance_submissions');
 
         console.log('🗑️  Deleting student profiles...');
         const deleteStudents = 'DELETE FROM students';
@@ -40,6 +43,13 @@ async function resetData() {
         const deleteUsers = "DELETE FROM users WHERE role = 'STUDENT'";
         await client.query(deleteUsers);
 
+        console.log('🗑️  Deleting guardian accounts...');
+        await client.query('DELETE FROM guardians');
+        await client.query("DELETE FROM users WHERE role = 'GUARDIAN'");
+
+        console.log('🔢 Restarting student ID codes...');
+        await client.query('ALTER SEQUENCE student_id_seq RESTART');
+
         await client.query('COMMIT');
 
         console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━');
@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const {
+    listUsers, createUser, updateUser, resetUserPassword, unlockUser, listLoginAttempts, listAuditLog
+} = require('../controllers/adminController');
+const {
+    listClasses, createClass, updateClass, assignTeacher, unassignTeacher, deleteClass
+} = require('../controllers/classController');
+const {
+    listSubjects, createSubject, deleteSubject, listPeriods, createPeriod, updatePeriod, deletePeriod
+} = require('../controllers/timetableController');
+const { listStatusWeights, updateStatusWeight } = require('../controllers/attendanceRulesController');
+const {
+    listCalendar, addCalendarDays, updateCalendarDay, deleteCalendarDay, importCalendar
+} = require('../controllers/calendarController');
+const {
+    listAcademicYears, createAcademicYear, updateAcademicYear, deleteAcademicYear,
+    createTerm, deleteTerm, previewRollover, rollover
+} = require('../controllers/academicYearController');
+const auth = require('../middleware/authMiddleware');
+const requireRole = require('../middleware/roleMiddleware');
+
+router.get('/users', auth, requireRole('ADMIN'), listUsers);
+router.post('/users', auth, requireRole('ADMIN'), createUser);
+router.patch('/users/:id', auth, requireRole('ADMIN'), updateUser);
+router.post('/users/:id/password', auth, requireRole('ADMIN'), resetUserPassword);
+router.post('/users/:id/unlock', auth, requireRole('ADMIN'), unlockUser);
+router.get('/login-attempts', auth, requireRole('ADMIN'), listLoginAttempts);
+router.get('/audit-log', auth, requireRole('ADMIN'), listAuditLog);
+router.get('/classes', auth, requireRole('ADMIN'), listClasses);
+router.post('/classes', auth, requireRole('ADMIN'), createClass);
+router.patch('/classes/:id', auth, requireRole('ADMIN'), updateClass);
+router.delete('/classes/:id', auth, requireRole('ADMIN'), deleteClass);
+router.post('/classes/:id/teachers', auth, requireRole('ADMIN'), assignTeacher);
+router.delete('/classes/:id/teachers/:teacherId', auth, requireRole('ADMIN'), unassignTeacher);
+router.get('/subjects', auth, requireRole('ADMIN'), listSubjects);
+router.post('/subjects', auth, requireRole('ADMIN'), createSubject);
+router.delete('/subjects/:id', auth, requireRole('ADMIN'), deleteSubject);
+router.get('/periods', auth, requireRole('ADMIN'), listPeriods);
+router.post('/periods', auth, requireRole('ADMIN'), createPeriod);
+router.patch('/periods/:id', auth, requireRole('ADMIN'), updatePeriod);
+router.delete('/periods/:id', auth, requireRole('ADMIN'), deletePeriod);
+router.get('/attendance-weights', auth, requireRole('ADMIN'), listStatusWeights);
+router.patch('/attendance-weights/:status', auth, requireRole('ADMIN'), updateStatusWeight);
+router.get('/calendar', auth, requireRole('ADMIN'), listCalendar);
+router.post('/calendar', auth, requireRole('ADMIN'), addCalendarDays);
+router.post('/calendar/import', auth, requireRole('ADMIN'), importCalendar);
+router.patch('/calendar/:id', auth, requireRole('ADMIN'), updateCalendarDay);
+router.delete('/calendar/:id', auth, requireRole('ADMIN'), deleteCalendarDay);
+router.get('/academic-years', auth, requireRole('ADMIN'), listAcademicYears);
+router.post('/academic-years', auth, requireRole('ADMIN'), createAcademicYear);
+router.patch('/academic-years/:id', auth, requireRole('ADMIN'), updateAcademicYear);
+router.delete('/academic-years/:id', auth, requireRole('ADMIN'), deleteAcademicYear);
+router.post('/academic-years/:id/terms', auth, requireRole('ADMIN'), createTerm);
+router.delete('/terms/:id', auth, requireRole('ADMIN'), deleteTerm);
+router.get('/rollover', auth, requireRole('ADMIN'), previewRollover);
+router.post('/rollover', auth, requireRole('ADMIN'), rollover);
+
+module.exports = router;
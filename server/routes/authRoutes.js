@@ -1,8 +1,23 @@
 const express = require('express');
 const router = express.Router();
-const { login, register } = require('../controllers/authController');
+const auth = require('../middleware/authMiddleware');
+const {
+    login, register, refresh, logout,
+    getSessions, revokeSession, revokeOtherSessions,
+    changePassword, forgotPassword, resetPassword
+} = require('../controllers/authController');
 
 router.post('/login', login);
-router.post('/register', register); // Internal use
+router.post('/register', register); // Disabled unless ALLOW_SELF_REGISTRATION=true
+router.post('/refresh', refresh);   // Refresh token → new access token
+router.post('/logout', logout);     // Revokes the refresh token's session
+router.post('/forgot-password', forgotPassword); // Emails a reset link
+router.post('/reset-password', resetPassword);   // Uses the emailed token
+router.post('/change-password', auth, changePassword);
+
+// "My sessions" - every logged-in device for the current user
+router.get('/sessions', auth, getSessions);
+router.post('/sessions/revoke-others', auth, revokeOtherSessions);
+router.delete('/sessions/:id', auth, revokeSession);
 
 module.exports = router;
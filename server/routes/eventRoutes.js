@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { streamEvents } = require('../controllers/eventController');
+const auth = require('../middleware/authMiddleware');
+
+// Live dashboard updates for every logged-in user (what each one gets is decided by role)
+router.get('/', auth, streamEvents);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const { listChildren, listAbsenceNotes, createAbsenceNote } = require('../controllers/guardianController');
+const { getStudentDashboard, getAttendanceCalendar } = require('../controllers/studentController');
+const { listMyLeaveRequests, createLeaveRequest, withdrawLeaveRequest, getMyLeaveAttachment } = require('../controllers/leaveController');
+const auth = require('../middleware/authMiddleware');
+const requireRole = require('../middleware/roleMiddleware');
+const { requireGuardianOf } = require('../middleware/guardianAccessMiddleware');
+
+// Every guardian-portal route: valid token → GUARDIAN role → (per child) only their own children
+router.get('/children', auth, requireRole('GUARDIAN'), listChildren);
+router.get('/children/:studentId/dashboard', auth, requireRole('GUARDIAN'), requireGuardianOf, getStudentDashboard);
+router.get('/children/:studentId/calendar', auth, requireRole('GUARDIAN'), requireGuardianOf, getAttendanceCalendar);
+router.get('/children/:studentId/absence-notes', auth, requireRole('GUARDIAN'), requireGuardianOf, listAbsenceNotes);
+router.post('/children/:studentId/absence-notes', auth, requireRole('GUARDIAN'), requireGuardianOf, createAbsenceNote);
+router.get('/children/:studentId/leave-requests', auth, requireRole('GUARDIAN'), requireGuardianOf, listMyLeaveRequests);
+router.post('/children/:studentId/leave-requests', auth, requireRole('GUARDIAN'), requireGuardianOf, createLeaveRequest);
+router.delete('/children/:studentId/leave-requests/:id', auth, requireRole('GUARDIAN'), requireGuardianOf, withdrawLeaveRequest);
+router.get('/children/:studentId/leave-requests/:id/attachment', auth, requireRole('GUARDIAN'), requireGuardianOf, getMyLeaveAttachment);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { createInvitation, getInvitation, acceptInvitation } = require('../controllers/invitationController');
+const auth = require('../middleware/authMiddleware');
+const requireRole = require('../middleware/roleMiddleware');
+
+router.post('/', auth, requireRole('ADMIN', 'TEACHER'), createInvitation);
+router.get('/:token', getInvitation);             // Public: the signed token is the credential
+router.post('/:token/accept', acceptInvitation);  // Public: invitee sets their own password
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const {
+    listNotifications, getUnreadCount, markNotificationRead, markAllNotificationsRead
+} = require('../controllers/notificationController');
+const auth = require('../middleware/authMiddleware');
+
+// Every logged-in user has their own notifications (the bell menu in the navbar)
+router.get('/', auth, listNotifications);
+router.get('/unread-count', auth, getUnreadCount);
+router.post('/read-all', auth, markAllNotificationsRead);
+router.post('/:id/read', auth, markNotificationRead);
+
+module.exports = router;
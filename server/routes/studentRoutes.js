@@ -1,9 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const { getStudentDashboard, getAttendanceCalendar } = require('../controllers/studentController');
+const { checkIn } = require('../controllers/checkInController');
+const { listMyCorrections, createCorrection } = require('../controllers/correctionController');
+const { listMyLeaveRequests, createLeaveRequest, withdrawLeaveRequest, getMyLeaveAttachment } = require('../controllers/leaveController');
 const auth = require('../middleware/authMiddleware');
+const requireRole = require('../middleware/roleMiddleware');
 
-router.get('/dashboard', auth, getStudentDashboard);
-router.get('/calendar', auth, getAttendanceCalendar);
+router.get('/dashboard', auth, requireRole('STUDENT'), getStudentDashboard);
+router.get('/calendar', auth, requireRole('STUDENT'), getAttendanceCalendar);
+router.post('/check-in', auth, requireRole('STUDENT'), checkIn);
+router.get('/corrections', auth, requireRole('STUDENT'), listMyCorrections);
+router.post('/corrections', auth, requireRole('STUDENT'), createCorrection);
+router.get('/leave-requests', auth, requireRole('STUDENT'), listMyLeaveRequests);
+router.post('/leave-requests', auth, requireRole('STUDENT'), createLeaveRequest);
+router.delete('/leave-requests/:id', auth, requireRole('STUDENT'), withdrawLeaveRequest);
+router.get('/leave-requests/:id/attachment', auth, requireRole('STUDENT'), getMyLeaveAttachment);
 
 module.exports = router;
@@ -1,13 +1,56 @@
 const express = require('express');
 const router = express.Router();
-const { getDashboardStats, createStudent, getAttendanceSheet, markAttendanceBulk, getLowAttendanceList, getMonthlyAttendanceReport } = require('../controllers/teacherController');
+const {
+    getDashboardStats, getClasses, getPeriods, getCalendarDay, createStudent, listStudents, getStudent, updateStudent,
+    transferStudent, deactivateStudent, reactivateStudent, deleteStudent, linkGuardian, unlinkGuardian, acknowledgeAbsenceNote,
+    getAttendanceSheet, markAttendanceBulk, getAttendanceHistory, getLowAttendanceList, getMonthlyAttendanceReport, getSubjectReport
+} = require('../controllers/teacherController');
+const { importStudents } = require('../controllers/studentImportController');
+const { openCheckInSession, getCheckInSession, closeCheckInSession } = require('../controllers/checkInController');
+const { listAttendanceLocks, reopenAttendance } = require('../controllers/attendanceLockController');
+const { listCorrections, acceptCorrection, rejectCorrection } = require('../controllers/correctionController');
+const { listLeaveRequests, getLeaveAttachment, approveLeaveRequest, rejectLeaveRequest } = require('../controllers/leaveController');
+const { listAcademicYears } = require('../controllers/academicYearController');
 const auth = require('../middleware/authMiddleware');
+const requireRole = require('../middleware/roleMiddleware');
+const { requireClassAccess } = require('../middleware/classAccessMiddleware');
 
-router.get('/dashboard', auth, getDashboardStats);
-router.post('/students/create', auth, createStudent);
-router.get('/attendance-sheet', auth, getAttendanceSheet);
-router.post('/attendance/bulk', auth, markAttendanceBulk);
-router.get('/low-attendance', auth, getLowAttendanceList);
-router.get('/monthly-report', auth, getMonthlyAttendanceReport);
+// Every teacher-portal route: valid token → TEACHER (or ADMIN) role → only the classes they may see
+// (admins see the whole school; see classAccessMiddleware.js)
+router.get('/dashboard', auth, requireRole('TEACHER', 'ADMIN'), requireClassAccess, getDashboardStats);
+router.get('/classes', auth, requireRole('TEACHER', 'ADMIN'), requireClassAccess, getClasses);
+router.get('/periods', auth, requireRole('TEACHER', 'ADMIN'), requireClassAccess, getPeriods);
+router.get('/calendar-day', auth, requireRole('TEACHER', 'ADMIN'), requireClassAccess, getCalendarDay);
+router.post('/students/create', auth, requireRole('TEACHER', 'ADMIN'), requireClassAccess, createStudent);
+router.post('/students/import', auth, requireRole('TEACHER', 'ADMIN'), requireClassAccess, importStudents);
+router.get('/students', auth, requireRole('TEACHER', 'ADMIN'), requireClassAccess, listStudents);
+router.get('/students/:id', auth, requireRole('TEACHER', 'ADMIN'), requireClassAccess, getStudent);
+router.patch('/students/:id', auth, requireRole('TEACHER', 'ADMIN'), requireClassAccess, updateStudent);
+router.post('/students/:id/transfer', auth, requireRole('TEACHER', 'ADMIN'), requireClassAccess, transferStudent);
+router.post('/students/:id/deactivate', auth, requireRole('TEACHER', 'ADMIN'), requireClassAccess, deactivateStudent);
+router.post('/students/:id/reactivate', auth, requireRole('TEACHER', 'ADMIN'), requireClassAccess, reactivateStudent);
+router.delete('/students/:id', auth, requireRole('TEACHER', 'ADMIN'), requireClassAccess, deleteStudent);
+router.post('/students/:id/guardians', auth, requireRole('TEACHER', 'ADMIN'), requireClassAccess, linkGuardian);
+router.delete('/students/:id/guardians/:guardianId', auth, requireRole('TEACHER', 'ADMIN'), requireClassAccess, unlinkGuardian);
+router.post('/absence-notes/:id/acknowledge', auth, requireRole('TEACHER', 'ADMIN'), requireClassAccess, acknowledgeAbsenceNote);
+router.get('/leave-requests', auth, requireRole('TEACHER', 'ADMIN'), requireClassAccess, listLeaveRequests);
+router.get('/leave-requests/:id/attachment', auth, requireRole('TEACHER', 'ADMIN'), requireClassAccess, getLeaveAttachment);
+router.post('/leave-requests/:id/approve', auth, requireRole('TEACHER', 'ADMIN'), requireClassAccess, approveLeaveRequest);
+router.post('/leave-requests/:id/reject', auth, requireRole('TEACHER', 'ADMIN'), requireClassAccess, rejectLeaveRequest);
+router.get('/corrections', auth, requireRole('TEACHER', 'ADMIN'), requireClassAccess, listCorrections);
+router.post('/corrections/:id/accept', auth, requireRole('TEACHER', 'ADMIN'), requireClassAccess, acceptCorrection);
+router.post('/corrections/:id/reject', auth, requireRole('TEACHER', 'ADMIN'), requireClassAccess, rejectCorrection);
+router.get('/attendance-sheet', auth, requireRole('TEACHER', 'ADMIN'), requireClassAccess, getAttendanceSheet);
+router.post('/attendance/bulk', auth, requireRole('TEACHER', 'ADMIN'), requireClassAccess, markAttendanceBulk);
+router.post('/check-in-sessions', auth, requireRole('TEACHER', 'ADMIN'), requireClassAccess, openCheckInSession);
+router.get('/check-in-sessions/:id', auth, requireRole('TEACHER', 'ADMIN'), requireClassAccess, getCheckInSession);
+router.post('/check-in-sessions/:id/close', auth, requireRole('TEACHER', 'ADMIN'), requireClassAccess, closeCheckInSession);
+router.get('/attendance/locks', auth, requireRole('TEACHER', 'ADMIN'), requireClassAccess, listAttendanceLocks);
+router.post('/attendance/reopen', auth, requireRole('ADMIN'), requireClassAccess, reopenAttendance);  // admins only
+router.get('/attendance/history', auth, requireRole('TEACHER', 'ADMIN'), requireClassAccess, getAttendanceHistory);
+router.get('/low-attendance', auth, requireRole('TEACHER', 'ADMIN'), requireClassAccess, getLowAttendanceList);
+router.get('/monthly-report', auth, requireRole('TEACHER', 'ADMIN'), requireClassAccess, getMonthlyAttendanceReport);
+router.get('/subject-report', auth, requireRole('TEACHER', 'ADMIN'), requireClassAccess, getSubjectReport);
+router.get('/academic-years', auth, requireRole('TEACHER', 'ADMIN'), listAcademicYears);  // report filters
 
 module.exports = router;
@@ -0,0 +1,63 @@
+/**
+ * AUDIT SERVICE
+ * 
+ * Writes "who changed what, and when" to the audit_log table.
+ * 
+ * WHAT GETS LOGGED:
+ * - Attendance: every new or changed status (with the old and new value),
+ *   and admins reopening a locked class register
+ * - Students: creation
+ * - Accounts: creation, role/active changes, password resets/changes, unlocks
+ * - Leave requests: approval (its attendance marks are logged one by one) and rejection
+ * - Attendance corrections: acceptance (the changed mark is logged too) and rejection
+ * 
+ * USAGE (inside a transaction, so the log entry is saved together with the change):
+ * const { logAudit } = require('../services/auditService');
+ * await logAudit(client, req, {
+ *     action: 'ATTENDANCE_CHANGED',
+ *     entityType: 'attendance',
+ *     entityId: '12:2026-02-13',
+ *     before: { status: 'ABSENT' },
+ *     after: { status: 'PRESENT' }
+ * });
+ * 
+ * "db" can be the pool or a transaction client.
+ * "req" supplies the actor (req.user) and IP address; pass actorId to
+ * override the actor when nobody is logged in (e.g. password reset by email).
+ */
+
+/**
+ * Entity ID of one attendance cell (one student on one date,
+ * optionally one lecture period)
+ * 
+ * @param {number} studentId
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} [periodId] - periods.id, omitted for whole-day marks
+ * @returns {string} - e.g. "12:2026-02-13" or "12:2026-02-13:5"
+ */
+const attendanceEntityId = (studentId, date, periodId) => (
+    periodId ? `${studentId}:${date}:${periodId}` : `${studentId}:${date}`
+);
+
+/**
+ * @param {object} db - pool or transaction client
+ * @param {object} req - Express request (for req.user and req.ip)
+ * @param {object} entry - { action, entityType, entityId, before, after, actorId }
+ */
+const logAudit = async (db, req, { action, entityType, entityId, before = null, after = null, actorId }) => {
+    const query = `
+        INSERT INTO audit_log (actor_id, action, entity_type, entity_id, before_value, after_value, ip_address)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `;
+    await db.query(query, [
+        actorId || req.user?.id || null,
+        action,
+        entityType,
+        String(entityId),
+        before ? JSON.stringify(before) : null,
+        after ? JSON.stringify(after) : null,
+        req.ip || null
+    ]);
+};
+
+module.exports = { logAudit, attendanceEntityId };
@@ -0,0 +1,118 @@
+/**
+ * LIMITER STORE
+ * 
+ * Counts events per key inside a time window (e.g. "failed logins from
+ * IP 1.2.3.4 in the last 15 minutes"). Used by services/loginProtection.js.
+ * 
+ * Pick a backend with RATE_LIMIT_STORE in .env:
+ * 
+ * - "memory" (default): a Map inside this Node process.
+ *   Fast and needs nothing, but counts reset on restart and are not
+ *   shared between several server processes.
+ * 
+ * - "postgres": the rate_limits table.
+ *   Survives restarts and is shared by every server process.
+ * 
+ * Every store has the same three async functions:
+ * - get(key)                   → { count, lastAt } or null (nothing in the window)
+ * - increment(key, windowMs)   → { count, lastAt } after adding one
+ * - reset(key)                 → forget the key
+ * 
+ * The window starts at the first event; once it has passed, the count
+ * starts again from zero.
+ */
+
+const pool = require('../db');
+
+const createMemoryStore = () => {
+    const entries = new Map();  // key → { count, lastAt, expiresAt }
+
+    const get = async (key) => {
+        const entry = entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            return null;
+        }
+        return { count: entry.count, lastAt: entry.lastAt };
+    };
+
+    const increment = async (key, windowMs) => {
+        const now = Date.now();
+        const current = await get(key);
+        const entry = current
+            ? { ...entries.get(key), count: current.count + 1, lastAt: now }
+            : { count: 1, lastAt: now, expiresAt: now + windowMs };
+        entries.set(key, entry);
+        return { count: entry.count, lastAt: entry.lastAt };
+    };
+
+    const reset = async (key) => {
+        entries.delete(key);
+    };
+
+    // Drop expired keys now and then, so the Map doesn't grow forever
+    setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of entries) {
+            if (entry.expiresAt <= now) entries.delete(key);
+        }
+    }, 60 * 1000).unref();
+
+    return { get, increment, reset };
+};
+
+const createPostgresStore = () => {
+    const get = async (key) => {
+        const result = await pool.query(
+            'SELECT count, last_at FROM rate_limits WHERE key = $1 AND expires_at > CURRENT_TIMESTAMP',
+            [key]
+        );
+        const row = result.rows[0];
+        return row ? { count: row.count, lastAt: new Date(row.last_at).getTime() } : null;
+    };
+
+    const increment = async (key, windowMs) => {
+        // One statement, so two requests at once can't both read the old count.
+        // An expired row starts over at 1 with a fresh window.
+        const query = `
+            INSERT INTO rate_limits (key, count, last_at, expires_at)
+            VALUES ($1, 1, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP + $2 * INTERVAL '1 millisecond')
+            ON CONFLICT (key) DO UPDATE SET
+                count = CASE WHEN rate_limits.expires_at <= CURRENT_TIMESTAMP THEN 1 ELSE rate_limits.count + 1 END,
+                expires_at = CASE WHEN rate_limits.expires_at <= CURRENT_TIMESTAMP
+                    THEN EXCLUDED.expires_at ELSE rate_limits.expires_at END,
+                last_at = CURRENT_TIMESTAMP
+            RETURNING count, last_at
+        `;
+        const result = await pool.query(query, [key, windowMs]);
+        const row = result.rows[0];
+        return { count: row.count, lastAt: new Date(row.last_at).getTime() };
+    };
+
+    const reset = async (key) => {
+        await pool.query('DELETE FROM rate_limits WHERE key = $1', [key]);
+    };
+
+    return { get, increment, reset };
+};
+
+const stores = {
+    memory: createMemoryStore,
+    postgres: createPostgresStore
+};
+
+/**
+ * Creates the store named by RATE_LIMIT_STORE (or the one passed in)
+ * 
+ * @param {string} [name] - "memory" or "postgres"
+ * @returns {{ get: Function, increment: Function, reset: Function }}
+ */
+const createLimiterStore = (name = process.env.RATE_LIMIT_STORE || 'memory') => {
+    if (!stores[name]) {
+        throw new Error(`Unknown RATE_LIMIT_STORE "${name}" (use memory or postgres)`);
+    }
+    return stores[name]();
+};
+
+module.exports = { createLimiterStore };
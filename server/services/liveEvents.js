@@ -0,0 +1,206 @@
+/**
+ * LIVE EVENTS SERVICE (Server-Sent Events)
+ *
+ * Pushes "something changed" messages to open dashboards, so they can
+ * reload the affected data straight away instead of polling.
+ *
+ * THE STREAM:
+ * Browsers keep GET /api/events open (see eventController.js). The
+ * server writes one message per change, in the text/event-stream format:
+ *
+ *   event: attendance
+ *   data: {"dates":["2026-02-13"],"class_ids":[3]}
+ *
+ * WHAT GETS PUBLISHED:
+ * - attendance { dates, class_ids }          marks saved (sheet, leave approval, correction)
+ * - student    { class_id }                  a student was added to a class
+ * - leave      { id, student_id, status }    a leave request was approved or rejected
+ * - notification {}                        new notifications for this user (see notificationService.js)
+ *
+ * WHO GETS WHAT:
+ * Each connection has an audience: the classes a teacher works with (every
+ * class for admins), or the students a student/guardian may see. A message
+ * goes to a connection if it concerns one of those classes or students, or
+ * is addressed to its user (notifications).
+ * Messages only say WHAT changed; the dashboard reloads the data through
+ * the normal API, which does the usual access checks.
+ *
+ * WHEN A STREAM ENDS:
+ * The login is checked when the stream opens (authMiddleware.js) and again
+ * on every heartbeat: a stream is closed once its access token has expired,
+ * its session was signed out or revoked, or an admin disabled the account.
+ * The browser reconnects with a fresh token, if it still has a session.
+ *
+ * USAGE (after COMMIT, so the data is there when dashboards reload it):
+ * const { publishAttendanceChange } = require('../services/liveEvents');
+ * publishAttendanceChange({ dates: [date], studentIds: [12, 13] });
+ *
+ * The publish functions never throw (a failure is only logged) and don't
+ * need to be awaited.
+ *
+ * Connections are kept in this process's memory: with several server
+ * processes behind a load balancer, each one only reaches its own clients.
+ */
+
+const pool = require('../db');
+
+// A comment line this often keeps proxies from closing an idle stream
+const HEARTBEAT_SECONDS = 25;
+
+// Open streams: { res, audience: { userId, wholeSchool, classIds, studentIds }, session: { id, expiresAt } }
+const subscribers = new Set();
+let heartbeatTimer = null;
+
+/**
+ * Pings every open stream and closes the ones whose login is over: the
+ * access token has expired, or the session row is gone, revoked or
+ * belongs to a disabled account
+ *
+ * @returns {Promise<number>} - how many streams were closed
+ */
+const heartbeat = async () => {
+    const now = Date.now();
+    const open = [...subscribers];
+    let activeSessions;
+    try {
+        const query = `
+            SELECT s.id
+            FROM sessions s
+            JOIN users u ON s.user_id = u.id
+            WHERE s.id = ANY($1::uuid[]) AND s.revoked_at IS NULL AND u.is_active
+        `;
+        const result = await pool.query(query, [[...new Set(open.map(subscriber => subscriber.session.id))]]);
+        activeSessions = new Set(result.rows.map(row => row.id));
+    } catch (err) {
+        // Keep the streams open; the next heartbeat checks again
+        console.error('Live event error:', err);
+        activeSessions = null;
+    }
+
+    let closed = 0;
+    for (const subscriber of open) {
+        if (!subscribers.has(subscriber)) continue;  // closed while the query ran
+        const expired = subscriber.session.expiresAt <= now;
+        if (expired || (activeSessions && !activeSessions.has(subscriber.session.id))) {
+            subscribers.delete(subscriber);
+            subscriber.res.end();
+            closed++;
+        } else {
+            subscriber.res.write(': ping\n\n');
+        }
+    }
+    return closed;
+};
+
+/**
+ * Adds an open stream
+ *
+ * @param {object} res - Express response of GET /api/events (headers already sent)
+ * @param {object} audience - { userId: string, wholeSchool: boolean, classIds: number[], studentIds: number[] }
+ * @param {object} session - { id: sessions.id ("sid" of the access token), expiresAt: ms timestamp ("exp" of the token) }
+ * @returns {Function} removes the stream again (call when the connection closes)
+ */
+const subscribe = (res, audience, session) => {
+    const subscriber = { res, audience, session };
+    subscribers.add(subscriber);
+
+    if (!heartbeatTimer) {
+        heartbeatTimer = setInterval(heartbeat, HEARTBEAT_SECONDS * 1000);
+        heartbeatTimer.unref();  // an open stream alone doesn't keep the process running
+    }
+
+    return () => {
+        subscribers.delete(subscriber);
+        if (subscribers.size === 0) {
+            clearInterval(heartbeatTimer);
+            heartbeatTimer = null;
+        }
+    };
+};
+
+/**
+ * Sends a message to every stream whose audience covers one of the classes or
+ * students, or whose user is one of userIds
+ *
+ * @param {string} type - event name, e.g. "attendance"
+ * @param {object} data - message body (JSON)
+ * @param {object} scope - { classIds?: number[], studentIds?: number[], userIds?: string[] }
+ * @returns {number} - how many streams it was sent to
+ */
+const publish = (type, data, { classIds = [], studentIds = [], userIds = [] }) => {
+    const message = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+    const aboutSchool = classIds.length > 0 || studentIds.length > 0;
+    let sent = 0;
+    for (const { res, audience } of subscribers) {
+        const reaches = userIds.includes(audience.userId)
+            || (aboutSchool && audience.wholeSchool)
+            || classIds.some(id => audience.classIds.includes(id))
+            || studentIds.some(id => audience.studentIds.includes(id));
+        if (reaches) {
+            res.write(message);
+            sent++;
+        }
+    }
+    return sent;
+};
+
+/**
+ * Attendance of these students was saved on these dates
+ *
+ * @param {object} change - { dates: string[], studentIds: number[] }
+ */
+const publishAttendanceChange = async ({ dates, studentIds }) => {
+    try {
+        const result = await pool.query(
+            'SELECT DISTINCT class_id FROM students WHERE id = ANY($1::int[]) AND class_id IS NOT NULL',
+            [studentIds]
+        );
+        const classIds = result.rows.map(row => row.class_id);
+        publish('attendance', { dates, class_ids: classIds }, { classIds, studentIds });
+    } catch (err) {
+        console.error('Live event error:', err);
+    }
+};
+
+/**
+ * A student was added to a class
+ *
+ * @param {number} classId
+ */
+const publishStudentAdded = (classId) => {
+    try {
+        publish('student', { class_id: classId }, { classIds: [classId] });
+    } catch (err) {
+        console.error('Live event error:', err);
+    }
+};
+
+/**
+ * A leave request was approved or rejected
+ *
+ * @param {object} leave - { id, student_id, class_id, status }
+ */
+const publishLeaveDecision = ({ id, student_id, class_id, status }) => {
+    try {
+        publish('leave', { id, student_id, status }, { classIds: class_id ? [class_id] : [], studentIds: [student_id] });
+    } catch (err) {
+        console.error('Live event error:', err);
+    }
+};
+
+/**
+ * These users have new notifications
+ *
+ * @param {string[]} userIds - users.id
+ */
+const publishNotifications = (userIds) => {
+    try {
+        if (userIds.length > 0) publish('notification', {}, { userIds });
+    } catch (err) {
+        console.error('Live event error:', err);
+    }
+};
+
+module.exports = {
+    subscribe, heartbeat, publish, publishAttendanceChange, publishStudentAdded, publishLeaveDecision, publishNotifications
+};
@@ -0,0 +1,136 @@
+/**
+ * LOGIN PROTECTION (Brute-force throttling + account lockout)
+ * 
+ * Two layers stop password-guessing scripts:
+ * 
+ * 1. THROTTLING (per IP address AND per email, in the limiter store)
+ *    The first few failures are free. After that, each failure doubles the
+ *    wait before the next try is allowed: 1s, 2s, 4s, 8s ... up to 1 minute.
+ *    Trying too early gets 429 Too Many Requests with a Retry-After header.
+ *    IPs get more free attempts than emails (a school may share one IP).
+ * 
+ * 2. LOCKOUT (per account, in the users table)
+ *    After LOGIN_LOCKOUT_THRESHOLD wrong passwords in a row (default 5),
+ *    the account is locked for LOGIN_LOCKOUT_MINUTES (default 15).
+ *    Only a login with the right password is told about the lock (423);
+ *    wrong passwords get "Invalid credentials" like unknown emails.
+ *    An admin can unlock it earlier (POST /api/admin/users/:id/unlock).
+ * 
+ * Every attempt that reaches the password check is recorded in
+ * login_attempts so admins can review them.
+ */
+
+const pool = require('../db');
+const { createLimiterStore } = require('./limiterStore');
+
+const WINDOW_MS = 15 * 60 * 1000;     // Failures are remembered for 15 minutes
+const MAX_DELAY_MS = 60 * 1000;       // Longest wait between attempts
+const FREE_ATTEMPTS = {
+    ip: 10,
+    email: 3
+};
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+let store = null;
+const getStore = () => {
+    if (!store) store = createLimiterStore();
+    return store;
+};
+
+const throttleKeys = (ip, email) => [
+    { key: `login:ip:${ip}`, free: FREE_ATTEMPTS.ip },
+    { key: `login:email:${email.toLowerCase()}`, free: FREE_ATTEMPTS.email }
+];
+
+/**
+ * @param {number} failures - failures so far in the window
+ * @param {number} free - failures allowed without any delay
+ * @returns {number} - milliseconds to wait after the last failure
+ */
+const delayFor = (failures, free) => {
+    if (failures < free) return 0;
+    return Math.min(1000 * 2 ** (failures - free), MAX_DELAY_MS);
+};
+
+/**
+ * Checks whether this IP/email must wait before trying again
+ * 
+ * @returns {Promise<number>} - seconds to wait (0 = go ahead)
+ */
+const getRetryAfter = async (ip, email) => {
+    let waitMs = 0;
+
+    for (const { key, free } of throttleKeys(ip, email)) {
+        const entry = await getStore().get(key);
+        if (!entry) continue;
+
+        const remaining = entry.lastAt + delayFor(entry.count, free) - Date.now();
+        waitMs = Math.max(waitMs, remaining);
+    }
+
+    return waitMs > 0 ? Math.ceil(waitMs / 1000) : 0;
+};
+
+/**
+ * Saves one login attempt for the admin "Login Attempts" view
+ * 
+ * @param {object} attempt - { email, userId, ip, userAgent, success, reason }
+ */
+const recordAttempt = async ({ email, userId, ip, userAgent, success, reason }) => {
+    const query = `
+        INSERT INTO login_attempts (email, user_id, ip_address, user_agent, success, reason)
+        VALUES ($1, $2, $3, $4, $5, $6)
+    `;
+    await pool.query(query, [email, userId || null, ip, userAgent || null, success, reason || null]);
+};
+
+/**
+ * Called after a wrong password / unknown email.
+ * Bumps the throttle counters and, for real accounts, the lockout counter.
+ * 
+ * @param {string} ip
+ * @param {string} email
+ * @param {string|null} userId - null if no account has this email
+ * @returns {Promise<Date|null>} - locked_until if this failure locked the account
+ */
+const registerFailure = async (ip, email, userId) => {
+    for (const { key } of throttleKeys(ip, email)) {
+        await getStore().increment(key, WINDOW_MS);
+    }
+
+    if (!userId) return null;
+
+    // Lock when the threshold is reached; the counter restarts for after the lock
+    const query = `
+        UPDATE users SET
+            failed_login_count = CASE WHEN failed_login_count + 1 >= $2 THEN 0 ELSE failed_login_count + 1 END,
+            locked_until = CASE WHEN failed_login_count + 1 >= $2
+                THEN CURRENT_TIMESTAMP + $3 * INTERVAL '1 minute' ELSE locked_until END
+        WHERE id = $1
+        RETURNING locked_until
+    `;
+    const result = await pool.query(query, [userId, LOCKOUT_THRESHOLD, LOCKOUT_MINUTES]);
+    const lockedUntil = result.rows[0]?.locked_until;
+    return lockedUntil && new Date(lockedUntil) > new Date() ? lockedUntil : null;
+};
+
+/**
+ * Called after a successful login: forget earlier failures
+ */
+const registerSuccess = async (ip, email, userId) => {
+    for (const { key } of throttleKeys(ip, email)) {
+        await getStore().reset(key);
+    }
+    await pool.query('UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = $1', [userId]);
+};
+
+/**
+ * Admin unlock: clears the lock and the email throttle for this account
+ */
+const unlockAccount = async (userId, email) => {
+    await pool.query('UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = $1', [userId]);
+    await getStore().reset(`login:email:${email.toLowerCase()}`);
+};
+
+module.exports = { getRetryAfter, recordAttempt, registerFailure, registerSuccess, unlockAccount };
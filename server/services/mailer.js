@@ -0,0 +1,78 @@
+/**
+ * MAILER SERVICE
+ * 
+ * Sends emails (password reset links, etc.) through a pluggable transport.
+ * Pick one with MAIL_TRANSPORT in .env:
+ * 
+ * - "console" (default): prints the email to the server terminal.
+ *   Handy in development - no mail server needed.
+ * 
+ * - "smtp": sends through an SMTP server using nodemailer.
+ *   SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE configure it.
+ *   To test locally, run an SMTP catcher such as MailHog or Mailpit:
+ *     docker run -p 1025:1025 -p 8025:8025 mailhog/mailhog
+ *   then set SMTP_HOST=localhost SMTP_PORT=1025 and open http://localhost:8025
+ * 
+ * MAIL_FROM sets the sender address.
+ * 
+ * USAGE:
+ * const { sendMail } = require('../services/mailer');
+ * await sendMail({ to: 'jane@school.com', subject: 'Hello', text: 'Hi Jane' });
+ */
+
+const nodemailer = require('nodemailer');
+
+/**
+ * Each transport is an object with a send({ from, to, subject, text }) function
+ */
+const transports = {
+    console: () => ({
+        send: async (message) => {
+            console.log('📧 Email (console transport)');
+            console.log(`   To: ${message.to}`);
+            console.log(`   Subject: ${message.subject}`);
+            console.log(message.text);
+        }
+    }),
+
+    smtp: () => {
+        const transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST || 'localhost',
+            port: parseInt(process.env.SMTP_PORT) || 1025,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                : undefined
+        });
+        return { send: (message) => transporter.sendMail(message) };
+    }
+};
+
+// Created on first use, so .env is already loaded
+let transport = null;
+
+const getTransport = () => {
+    if (!transport) {
+        const name = process.env.MAIL_TRANSPORT || 'console';
+        if (!transports[name]) {
+            throw new Error(`Unknown MAIL_TRANSPORT "${name}" (use console or smtp)`);
+        }
+        transport = transports[name]();
+    }
+    return transport;
+};
+
+/**
+ * @param {object} message - { to, subject, text }
+ * @returns {Promise<void>}
+ */
+const sendMail = async ({ to, subject, text }) => {
+    await getTransport().send({
+        from: process.env.MAIL_FROM || 'Student Management <no-reply@school.local>',
+        to,
+        subject,
+        text
+    });
+};
+
+module.exports = { sendMail };
@@ -0,0 +1,167 @@
+/**
+ * NOTIFICATION SERVICE
+ *
+ * Saves messages for users in the notifications table. They stay in the
+ * bell menu of the navbar until the user reads them (see
+ * notificationController.js), unlike toasts, which are gone on reload.
+ *
+ * WHAT CREATES A NOTIFICATION:
+ * - Leave request approved or rejected       → the student and their guardians
+ * - Correction request accepted or rejected  → the student and their guardians
+ * - A saved mark changed on the attendance sheet (e.g. Absent → Present)
+ *                                            → the student and their guardians
+ * - Attendance dropped below 75% (after marks were saved: attendance sheet,
+ *   leave approval, accepted correction) → the student, their guardians and
+ *   the teachers of their class
+ *
+ * USAGE (inside the transaction of the change, so both are saved together):
+ * const { attendancePercentages, notifyLowAttendance } = require('../services/notificationService');
+ * const before = await attendancePercentages(client, studentIds);
+ * ... save the marks ...
+ * const notified = await notifyLowAttendance(client, studentIds, before);
+ * await client.query('COMMIT');
+ * publishNotifications(notified);   // open dashboards update their bell (liveEvents.js)
+ *
+ * "db" can be the pool or a transaction client.
+ */
+
+const { getReportRange } = require('../utils/academicYearHelpers');
+const { LOW_ATTENDANCE_PERCENT, attendanceTotalsSql } = require('../utils/calendarHelpers');
+const { statusLabel } = require('../utils/attendanceHelpers');
+
+/**
+ * Saves one notification for each of these users
+ *
+ * @param {object} db - pool or transaction client
+ * @param {Array<string|null>} userIds - users.id (empty ones and duplicates are skipped)
+ * @param {object} notification - { type, title, message, link }
+ * @returns {Promise<string[]>} - the users notified
+ */
+const notify = async (db, userIds, { type, title, message = null, link = null }) => {
+    const recipients = [...new Set(userIds.filter(Boolean))];
+    if (recipients.length === 0) return [];
+
+    const query = `
+        INSERT INTO notifications (user_id, type, title, message, link)
+        SELECT user_id, $2, $3, $4, $5 FROM UNNEST($1::uuid[]) AS user_id
+    `;
+    await db.query(query, [recipients, type, title, message, link]);
+    return recipients;
+};
+
+/**
+ * Notifies a student and every guardian linked to them
+ *
+ * @param {object} db - pool or transaction client
+ * @param {number} studentId - students.id
+ * @param {object} notification - { type, title, message, link }
+ * @returns {Promise<string[]>} - the users notified
+ */
+const notifyStudent = async (db, studentId, notification) => {
+    const query = `
+        SELECT user_id FROM students WHERE id = $1
+        UNION
+        SELECT g.user_id
+        FROM guardian_students gs
+        JOIN guardians g ON gs.guardian_id = g.id
+        WHERE gs.student_id = $1
+    `;
+    const result = await db.query(query, [studentId]);
+    return notify(db, result.rows.map(row => row.user_id), notification);
+};
+
+/**
+ * Attendance percentages of these students in the current academic year
+ * (counted like the defaulters list)
+ *
+ * @param {object} db - pool or transaction client
+ * @param {number[]} studentIds
+ * @returns {Promise<Map<number, number>>} - student id → percentage (students without school days are left out)
+ */
+const attendancePercentages = async (db, studentIds) => {
+    const found = await getReportRange(db, {});
+    if (!found.range) return new Map();  // No academic year set up yet
+
+    const params = [studentIds];
+    const query = `
+        SELECT t.student_id, t.present_days / t.total_days * 100 as percentage
+        FROM (${attendanceTotalsSql(params, found.range.from, found.range.to)}) t
+        WHERE t.student_id = ANY($1::int[]) AND t.total_days > 0
+    `;
+    const result = await db.query(query, params);
+    return new Map(result.rows.map(row => [row.student_id, parseFloat(row.percentage)]));
+};
+
+/**
+ * Notifies about students whose attendance has just dropped below
+ * LOW_ATTENDANCE_PERCENT. Call after saving their marks, with the
+ * percentages from before.
+ *
+ * @param {object} db - pool or transaction client
+ * @param {number[]} studentIds - students whose marks were saved
+ * @param {Map<number, number>} before - attendancePercentages() before saving
+ * @returns {Promise<string[]>} - the users notified
+ */
+const notifyLowAttendance = async (db, studentIds, before) => {
+    const after = await attendancePercentages(db, studentIds);
+    const dropped = studentIds.map(Number).filter(id => (
+        after.get(id) < LOW_ATTENDANCE_PERCENT && !(before.get(id) < LOW_ATTENDANCE_PERCENT)
+    ));
+    if (dropped.length === 0) return [];
+
+    const query = `
+        SELECT s.id, s.name, s.class_id, c.name as class_name
+        FROM students s
+        LEFT JOIN classes c ON s.class_id = c.id
+        WHERE s.id = ANY($1::int[])
+    `;
+    const result = await db.query(query, [dropped]);
+    const notified = new Set();
+
+    for (const student of result.rows) {
+        const notification = {
+            type: 'LOW_ATTENDANCE',
+            title: `Attendance below ${LOW_ATTENDANCE_PERCENT}%`,
+            message: `${student.name}${student.class_name ? ` (${student.class_name})` : ''} is at ${after.get(student.id).toFixed(1)}% this academic year`
+        };
+        (await notifyStudent(db, student.id, notification)).forEach(id => notified.add(id));
+
+        const teachersResult = await db.query(
+            'SELECT t.user_id FROM teacher_classes tc JOIN teachers t ON tc.teacher_id = t.id WHERE tc.class_id = $1',
+            [student.class_id]
+        );
+        const teacherIds = teachersResult.rows.map(row => row.user_id);
+        (await notify(db, teacherIds, { ...notification, link: `/teacher/students/${student.id}` })).forEach(id => notified.add(id));
+    }
+    return [...notified];
+};
+
+/**
+ * Tells students (and their guardians) that a teacher changed a mark
+ * they could already see. Call after saveAttendanceMarks, with the
+ * marks it returned as changed. New marks don't notify anyone.
+ *
+ * @param {object} db - pool or transaction client
+ * @param {string} date - YYYY-MM-DD of the marks
+ * @param {Array<{ student_id: number, before: string, after: string }>} changed - from saveAttendanceMarks()
+ * @returns {Promise<string[]>} - the users notified
+ */
+const notifyAttendanceChanged = async (db, date, changed) => {
+    if (changed.length === 0) return [];
+
+    const result = await db.query('SELECT id, name FROM students WHERE id = ANY($1::int[])', [changed.map(mark => mark.student_id)]);
+    const names = new Map(result.rows.map(row => [row.id, row.name]));
+    const notified = new Set();
+
+    for (const mark of changed) {
+        const notification = {
+            type: 'ATTENDANCE_CHANGED',
+            title: 'Attendance changed',
+            message: `${names.get(mark.student_id)}, ${date}: ${statusLabel(mark.before)} → ${statusLabel(mark.after)}`
+        };
+        (await notifyStudent(db, mark.student_id, notification)).forEach(id => notified.add(id));
+    }
+    return [...notified];
+};
+
+module.exports = { notify, notifyStudent, attendancePercentages, notifyLowAttendance, notifyAttendanceChanged };
@@ -0,0 +1,42 @@
+/**
+ * ADMIN USER MANAGEMENT
+ *
+ * The /api/admin/users/:id routes (see controllers/adminController.js).
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers');
+
+let app;
+before(async () => { app = await startTestApp(); });
+after(() => app.stop());
+
+const ROUTES = [
+    ['PATCH', '', { is_active: true }],
+    ['POST', '/password', { password: 'new-password' }],
+    ['POST', '/unlock', {}]
+];
+
+describe('/api/admin/users/:id', () => {
+    for (const [method, suffix, body] of ROUTES) {
+        test(`${method} ${suffix || '/'} refuses an id that isn't a UUID`, async () => {
+            for (const id of ['abc', '123', `${app.userIds.teacher1}x`]) {
+                const res = await app.call(method, `/admin/users/${id}${suffix}`, app.tokens.admin, body);
+                assert.equal(res.status, 400, `${id}: ${JSON.stringify(res.data)}`);
+                assert.equal(res.data.error, 'Invalid user id');
+            }
+        });
+
+        test(`${method} ${suffix || '/'} answers 404 for an unknown user`, async () => {
+            const res = await app.call(method, `/admin/users/00000000-0000-4000-8000-0000000000ff${suffix}`, app.tokens.admin, body);
+            assert.equal(res.status, 404, JSON.stringify(res.data));
+            assert.equal(res.data.error, 'User not found');
+        });
+
+        test(`${method} ${suffix || '/'} works for an existing user`, async () => {
+            const res = await app.call(method, `/admin/users/${app.userIds.teacher2}${suffix}`, app.tokens.admin, body);
+            assert.equal(res.status, 200, JSON.stringify(res.data));
+        });
+    }
+});
@@ -0,0 +1,79 @@
+/**
+ * ATTENDANCE SHEET INPUT
+ *
+ * Malformed dates and ids sent to the attendance sheet, bulk save and
+ * history routes (see controllers/teacherController.js).
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers');
+
+let app;
+before(async () => { app = await startTestApp(); });
+after(() => app.stop());
+
+const BAD_DATES = ['13.02.2026', '2026-02-30', '2026-13-01'];
+const BAD_IDS = ['abc', '1.5', '-1', '99999999999'];
+
+describe('GET /api/teacher/attendance-sheet', () => {
+    const sheet = (query) => app.call('GET', `/teacher/attendance-sheet?${query}`, app.tokens.teacher1);
+
+    test('refuses a date that is not YYYY-MM-DD', async () => {
+        for (const date of BAD_DATES) {
+            for (const query of [`date=${date}&class_id=1`, `date=${date}&period_id=1`]) {
+                const res = await sheet(query);
+                assert.equal(res.status, 400, `${query}: ${JSON.stringify(res.data)}`);
+                assert.equal(res.data.error, 'Date must be YYYY-MM-DD');
+            }
+        }
+    });
+
+    test('refuses a period id that is not a number', async () => {
+        for (const id of BAD_IDS) {
+            const res = await sheet(`date=2026-02-13&period_id=${id}`);
+            assert.equal(res.status, 400, `${id}: ${JSON.stringify(res.data)}`);
+        }
+    });
+});
+
+describe('GET /api/teacher/attendance/history', () => {
+    const history = (query) => app.call('GET', `/teacher/attendance/history?${query}`, app.tokens.teacher1);
+
+    test('refuses a malformed student id, date or period id', async () => {
+        const queries = [
+            ...BAD_IDS.map(id => `student_id=${id}&date=2026-02-13`),
+            ...BAD_DATES.map(date => `student_id=1&date=${date}`),
+            ...BAD_IDS.map(id => `student_id=1&date=2026-02-13&period_id=${id}`)
+        ];
+        for (const query of queries) {
+            const res = await history(query);
+            assert.equal(res.status, 400, `${query}: ${JSON.stringify(res.data)}`);
+        }
+    });
+
+    test('answers for a valid request', async () => {
+        const res = await history('student_id=1&date=2026-02-13');
+        assert.equal(res.status, 200, JSON.stringify(res.data));
+    });
+});
+
+describe('POST /api/teacher/attendance/bulk', () => {
+    const save = (body) => app.call('POST', '/teacher/attendance/bulk', app.tokens.teacher1, body);
+    const record = { student_id: 1, status: 'PRESENT' };
+
+    test('refuses malformed dates, period ids and student ids', async () => {
+        const bodies = [
+            undefined,
+            ...BAD_DATES.map(date => ({ date, records: [record] })),
+            ...BAD_IDS.map(id => ({ date: '2026-02-13', period_id: id, records: [record] })),
+            ...[...BAD_IDS, '1', null, true, [1]].map(id => ({ date: '2026-02-13', records: [{ ...record, student_id: id }] })),
+            { date: '2026-02-13', records: [null] },
+            { date: '2026-02-13', records: ['PRESENT'] }
+        ];
+        for (const body of bodies) {
+            const res = await save(body);
+            assert.equal(res.status, 400, `${JSON.stringify(body)}: ${JSON.stringify(res.data)}`);
+        }
+    });
+});
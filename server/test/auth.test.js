@@ -0,0 +1,160 @@
+/**
+ * AUTHENTICATION
+ *
+ * Refresh token rotation and password reset (see controllers/authController.js).
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { startTestApp } = require('./helpers');
+
+let app;
+before(async () => { app = await startTestApp(); });
+after(() => app.stop());
+
+describe('POST /api/auth/login', () => {
+    const login = (email, password) => app.call('POST', '/auth/login', null, { email, password });
+
+    test('refuses an email or password that is not text', async () => {
+        for (const [email, password] of [[1, 'password'], [['guardian@test.com'], 'password'], [{}, 'password'], ['guardian@test.com', 123456]]) {
+            const res = await login(email, password);
+            assert.equal(res.status, 400, JSON.stringify({ email, password }));
+            assert.equal(res.data.error, 'Please provide email and password');
+        }
+    });
+
+    test('a lockout is only shown to someone with the right password', async () => {
+        const { registerSuccess } = require('../services/loginProtection');
+        // One wrong password away from the lock (LOGIN_LOCKOUT_THRESHOLD is 5)
+        await app.pool.query('UPDATE users SET failed_login_count = 4 WHERE id = $1', [app.userIds.guardian]);
+
+        const unknown = await login('nobody@test.com', 'wrong');
+        try {
+            const locking = await login('guardian@test.com', 'wrong');
+            const locked = (await app.pool.query('SELECT locked_until FROM users WHERE id = $1', [app.userIds.guardian])).rows[0];
+            assert.ok(locked.locked_until > new Date());
+
+            const whileLocked = await login('guardian@test.com', 'wrong again');
+            for (const res of [locking, whileLocked]) {
+                assert.equal(res.status, unknown.status);
+                assert.deepEqual(res.data, unknown.data);
+            }
+
+            const right = await login('guardian@test.com', 'password');
+            assert.equal(right.status, 423);
+            assert.ok(right.data.lockedUntil);
+        } finally {
+            await registerSuccess('127.0.0.1', 'guardian@test.com', app.userIds.guardian);
+            await registerSuccess('127.0.0.1', 'nobody@test.com', null);
+        }
+    });
+});
+
+describe('POST /api/auth/refresh', () => {
+    const refresh = (refreshToken) => app.call('POST', '/auth/refresh', null, { refreshToken });
+
+    // Moves the last rotation of the session that owns this access token into the past
+    const ageSession = async (accessToken, seconds) => {
+        const me = JSON.parse(Buffer.from(accessToken.split('.')[1], 'base64url').toString());
+        await app.pool.query(
+            'UPDATE sessions SET last_used_at = last_used_at - make_interval(secs => $1) WHERE id = $2',
+            [seconds, me.sid]
+        );
+    };
+
+    test('each refresh gives a new pair', async () => {
+        const { refreshToken } = await app.login('student1@test.com');
+
+        const first = await refresh(refreshToken);
+        assert.equal(first.status, 200);
+        assert.ok(first.data.token);
+        assert.notEqual(first.data.refreshToken, refreshToken);
+
+        const second = await refresh(first.data.refreshToken);
+        assert.equal(second.status, 200);
+    });
+
+    test('two tabs refreshing with the same token at once both get a pair', async () => {
+        const { refreshToken } = await app.login('student1@test.com');
+
+        const [tabA, tabB] = await Promise.all([refresh(refreshToken), refresh(refreshToken)]);
+        assert.equal(tabA.status, 200, JSON.stringify(tabA.data));
+        assert.equal(tabB.status, 200, JSON.stringify(tabB.data));
+
+        // Whichever tab refreshed first can still carry on, and so can the other
+        const [laterA, laterB] = await Promise.all([refresh(tabA.data.refreshToken), refresh(tabB.data.refreshToken)]);
+        assert.equal(laterA.status, 200, JSON.stringify(laterA.data));
+        assert.equal(laterB.status, 200, JSON.stringify(laterB.data));
+
+        const dashboard = await app.call('GET', '/student/dashboard', laterB.data.token);
+        assert.equal(dashboard.status, 200);
+    });
+
+    test('a replaced token sent again later revokes the session', async () => {
+        const { refreshToken } = await app.login('student1@test.com');
+        const rotated = await refresh(refreshToken);
+        assert.equal(rotated.status, 200);
+
+        await ageSession(rotated.data.token, 60);
+
+        const replay = await refresh(refreshToken);
+        assert.equal(replay.status, 401);
+
+        // The real user is logged out too
+        assert.equal((await refresh(rotated.data.refreshToken)).status, 401);
+        assert.equal((await app.call('GET', '/student/dashboard', rotated.data.token)).status, 401);
+    });
+});
+
+describe('password reset', () => {
+    const GENERIC_RESPONSE = { message: 'If that email is registered, a reset link has been sent' };
+
+    test('the answer does not wait for the mail server, so it does not give away that the account exists', async () => {
+        // An SMTP server that accepts connections and never answers (the transport is created on the first email)
+        const sockets = new Set();
+        const silent = net.createServer(socket => sockets.add(socket));
+        await new Promise(resolve => silent.listen(0, '127.0.0.1', resolve));
+        Object.assign(process.env, { MAIL_TRANSPORT: 'smtp', SMTP_HOST: '127.0.0.1', SMTP_PORT: String(silent.address().port) });
+
+        try {
+            const started = Date.now();
+            const known = await app.call('POST', '/auth/forgot-password', null, { email: 'teacher2@test.com' });
+            const unknown = await app.call('POST', '/auth/forgot-password', null, { email: 'nobody@test.com' });
+
+            assert.equal(known.status, 200);
+            assert.deepEqual(known.data, GENERIC_RESPONSE);
+            assert.deepEqual(unknown.data, known.data);
+            assert.ok(Date.now() - started < 5000, 'the response waited for the mail server');
+        } finally {
+            // The email being sent in the background fails now
+            sockets.forEach(socket => socket.destroy());
+            await new Promise(resolve => silent.close(resolve));
+        }
+    });
+
+    test('resetting the password ends a lockout', async () => {
+        const { hashToken } = require('../utils/tokens');
+        const lockedUntil = new Date(Date.now() + 15 * 60 * 1000);
+        await app.pool.query(
+            'UPDATE users SET locked_until = $1, failed_login_count = 3 WHERE id = $2',
+            [lockedUntil, app.userIds.teacher2]
+        );
+        await app.pool.query(
+            "INSERT INTO password_reset_tokens (id, user_id, token_hash, expires_at) VALUES (gen_random_uuid(), $1, $2, NOW() + INTERVAL '1 hour')",
+            [app.userIds.teacher2, hashToken('reset-token')]
+        );
+
+        const locked = await app.call('POST', '/auth/login', null, { email: 'teacher2@test.com', password: 'password' });
+        assert.equal(locked.status, 423);
+
+        const reset = await app.call('POST', '/auth/reset-password', null, { token: 'reset-token', password: 'new-password' });
+        assert.equal(reset.status, 200, JSON.stringify(reset.data));
+
+        const user = await app.pool.query('SELECT locked_until, failed_login_count FROM users WHERE id = $1', [app.userIds.teacher2]);
+        assert.deepEqual(user.rows[0], { locked_until: null, failed_login_count: 0 });
+
+        const login = await app.call('POST', '/auth/login', null, { email: 'teacher2@test.com', password: 'new-password' });
+        assert.equal(login.status, 200, JSON.stringify(login.data));
+    });
+});
@@ -0,0 +1,79 @@
+/**
+ * SCHOOL CALENDAR IMPORT
+ *
+ * Reading .ics files (utils/icsParser.js) and importing them
+ * (importCalendar in controllers/calendarController.js).
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers');
+const { parseIcsDays } = require('../utils/icsParser');
+
+// An .ics file with these lines inside the calendar
+const calendar = (...lines) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+const event = (dtstart, summary, dtend) => [
+    'BEGIN:VEVENT',
+    `DTSTART;VALUE=DATE:${dtstart}`,
+    ...(dtend ? [`DTEND;VALUE=DATE:${dtend}`] : []),
+    `SUMMARY:${summary}`,
+    'END:VEVENT'
+];
+
+describe('parseIcsDays', () => {
+    test('expands events into days', () => {
+        assert.deepEqual(parseIcsDays(calendar(...event('20261020', 'Diwali', '20261022'), ...event('20261225T000000Z', 'Christmas\\, Day'))), [
+            { date: '2026-10-20', title: 'Diwali' },
+            { date: '2026-10-21', title: 'Diwali' },
+            { date: '2026-12-25', title: 'Christmas, Day' }
+        ]);
+    });
+
+    const damaged = {
+        'END:VEVENT without BEGIN:VEVENT': [calendar('DTSTART;VALUE=DATE:20261020', 'END:VEVENT'), 'END:VEVENT without BEGIN:VEVENT after event 0'],
+        'an event that is never closed': [calendar('BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20261020'), 'Event 1 has no END:VEVENT'],
+        'an event inside an event': [calendar('BEGIN:VEVENT', ...event('20261020', 'Diwali')), 'Event 1 has no END:VEVENT'],
+        'a month that does not exist': [calendar(...event('20261340', 'Diwali')), 'Event 1 (Diwali) has an invalid DTSTART "20261340"'],
+        'a day that does not exist': [calendar(...event('20260230', 'Holiday')), 'Event 1 (Holiday) has an invalid DTSTART "20260230"'],
+        'an unreadable DTEND': [calendar(...event('20261020', 'Diwali', 'soon')), 'Event 1 (Diwali) has an invalid DTEND "soon"'],
+        'a missing DTSTART': [calendar('BEGIN:VEVENT', 'SUMMARY:Diwali', 'END:VEVENT'), 'Event 1 (Diwali) has no DTSTART']
+    };
+    for (const [problem, [ics, message]] of Object.entries(damaged)) {
+        test(`throws on ${problem}`, () => {
+            assert.throws(() => parseIcsDays(ics), { message });
+        });
+    }
+});
+
+describe('POST /api/admin/calendar/import', () => {
+    let app;
+    before(async () => { app = await startTestApp(); });
+    after(() => app.stop());
+
+    const importIcs = (ics) => app.call('POST', '/admin/calendar/import', app.tokens.admin, { ics });
+
+    const entries = async () => (await app.pool.query("SELECT TO_CHAR(date, 'YYYY-MM-DD') as date, title FROM school_calendar ORDER BY date")).rows;
+
+    test('imports the days of a valid file', async () => {
+        const res = await importIcs(calendar(...event('20261020', 'Diwali', '20261022')));
+        assert.equal(res.status, 200, JSON.stringify(res.data));
+        assert.equal(res.data.imported, 2);
+        assert.deepEqual(await entries(), [
+            { date: '2026-10-20', title: 'Diwali' },
+            { date: '2026-10-21', title: 'Diwali' }
+        ]);
+    });
+
+    test('a damaged file is refused and nothing is imported', async () => {
+        for (const ics of [
+            calendar('DTSTART;VALUE=DATE:20261101', 'END:VEVENT'),
+            calendar(...event('20261101', 'Holiday'), ...event('20261340', 'Diwali'))
+        ]) {
+            const res = await importIcs(ics);
+            assert.equal(res.status, 400, JSON.stringify(res.data));
+            assert.match(res.data.error, /^Not a valid \.ics file: /);
+        }
+        assert.equal((await entries()).length, 2);
+    });
+});
@@ -0,0 +1,28 @@
+/**
+ * QR CHECK-IN
+ *
+ * Opening a check-in session and scanning its code
+ * (see controllers/checkInController.js).
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers');
+
+let app;
+before(async () => { app = await startTestApp(); });
+after(() => app.stop());
+
+describe('requests without a body', () => {
+    test('opening a session asks for a class', async () => {
+        const res = await app.call('POST', '/teacher/check-in-sessions', app.tokens.teacher1);
+        assert.equal(res.status, 400, JSON.stringify(res.data));
+        assert.equal(res.data.error, 'Choose a class');
+    });
+
+    test('checking in asks for a check-in code', async () => {
+        const res = await app.call('POST', '/student/check-in', app.tokens.student1);
+        assert.equal(res.status, 400, JSON.stringify(res.data));
+        assert.equal(res.data.error, 'This is not a check-in QR code');
+    });
+});
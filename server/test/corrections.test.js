@@ -0,0 +1,73 @@
+/**
+ * ATTENDANCE CORRECTION REQUESTS
+ *
+ * The teacher's decision on a student's request
+ * (see controllers/correctionController.js).
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers');
+
+let app;
+before(async () => { app = await startTestApp(); });
+after(() => app.stop());
+
+let nextDay = 0;
+// An ABSENT mark of student 1 on a past day, and their request to make it PRESENT
+const requestCorrection = async () => {
+    nextDay++;
+    const day = await app.pool.query(`SELECT TO_CHAR(CURRENT_DATE - $1::int, 'YYYY-MM-DD') as date`, [nextDay]);
+    const date = day.rows[0].date;
+    await app.pool.query("INSERT INTO attendance (student_id, date, status) VALUES (1, $1, 'ABSENT')", [date]);
+
+    const res = await app.call('POST', '/student/corrections', app.tokens.student1, {
+        date, requested_status: 'PRESENT', comment: 'I was there'
+    });
+    assert.equal(res.status, 201, JSON.stringify(res.data));
+    const created = await app.pool.query('SELECT id FROM attendance_corrections WHERE student_id = 1 AND date = $1', [date]);
+    return created.rows[0].id;
+};
+
+const correction = async (id) => (await app.pool.query('SELECT status, review_note FROM attendance_corrections WHERE id = $1', [id])).rows[0];
+
+describe('accepting and rejecting', () => {
+    test('accept works without a request body', async () => {
+        const id = await requestCorrection();
+        const res = await app.call('POST', `/teacher/corrections/${id}/accept`, app.tokens.teacher1);
+        assert.equal(res.status, 200, JSON.stringify(res.data));
+        assert.deepEqual(await correction(id), { status: 'ACCEPTED', review_note: null });
+    });
+
+    test('accept saves the note', async () => {
+        const id = await requestCorrection();
+        const res = await app.call('POST', `/teacher/corrections/${id}/accept`, app.tokens.teacher1, { note: ' Sorry, my mistake ' });
+        assert.equal(res.status, 200, JSON.stringify(res.data));
+        assert.deepEqual(await correction(id), { status: 'ACCEPTED', review_note: 'Sorry, my mistake' });
+    });
+
+    test('reject without a request body asks for a reason', async () => {
+        const id = await requestCorrection();
+        const res = await app.call('POST', `/teacher/corrections/${id}/reject`, app.tokens.teacher1);
+        assert.equal(res.status, 400);
+        assert.equal(res.data.error, 'Please give the student a reason');
+        assert.equal((await correction(id)).status, 'PENDING');
+    });
+
+    test('reject saves the reason', async () => {
+        const id = await requestCorrection();
+        const res = await app.call('POST', `/teacher/corrections/${id}/reject`, app.tokens.teacher1, { note: 'You were not in class' });
+        assert.equal(res.status, 200, JSON.stringify(res.data));
+        assert.deepEqual(await correction(id), { status: 'REJECTED', review_note: 'You were not in class' });
+    });
+
+    for (const action of ['accept', 'reject']) {
+        test(`${action} refuses a note that isn't text`, async () => {
+            const id = await requestCorrection();
+            const res = await app.call('POST', `/teacher/corrections/${id}/${action}`, app.tokens.teacher1, { note: 42 });
+            assert.equal(res.status, 400);
+            assert.equal(res.data.error, 'The note must be text');
+            assert.equal((await correction(id)).status, 'PENDING');
+        });
+    }
+});
@@ -0,0 +1,190 @@
+/**
+ * TEST HELPERS
+ *
+ * Every test file runs the real app against its own throw-away database:
+ * PGlite (PostgreSQL compiled to WebAssembly, running in the test process)
+ * with database.sql loaded, reached through the normal pg pool over a local
+ * socket. No PostgreSQL server or .env file is needed.
+ *
+ * PGlite runs one transaction at a time: transactions sent in parallel
+ * wait for each other instead of overlapping.
+ *
+ * FIXTURES (password "password" for every account):
+ * - admin@test.com            ADMIN
+ * - teacher1@test.com         TEACHER, assigned to class 1 (10th-A)
+ * - teacher2@test.com         TEACHER, assigned to class 2 (10th-B)
+ * - student1@test.com         STUDENT id 1, class 1, roll 1
+ * - student2@test.com         STUDENT id 2, class 2, roll 1
+ * - guardian@test.com         GUARDIAN of student 1
+ * The current academic year (ACADEMIC_YEAR) runs from 120 days ago to 240
+ * days from now.
+ *
+ * USAGE:
+ * const { startTestApp } = require('./helpers');
+ * let app;
+ * before(async () => { app = await startTestApp(); });
+ * after(() => app.stop());
+ *
+ * const res = await app.call('GET', '/teacher/dashboard', app.tokens.teacher1);
+ * // res = { status: 200, data: {...}, headers }
+ *
+ * Require other server modules after startTestApp(): db.js reads the
+ * connection settings it sets once, when first loaded.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PGlite } = require('@electric-sql/pglite');
+const { PGLiteSocketServer } = require('@electric-sql/pglite-socket');
+const bcrypt = require('bcryptjs');
+
+const PASSWORD = 'password';
+
+// Name of the current academic year of the fixtures (its dates are relative to today)
+const ACADEMIC_YEAR = '2026-2027';
+
+// Fixed ids, so tests can refer to the fixture accounts
+const USER_IDS = {
+    admin: '00000000-0000-4000-8000-000000000001',
+    teacher1: '00000000-0000-4000-8000-000000000002',
+    teacher2: '00000000-0000-4000-8000-000000000003',
+    student1: '00000000-0000-4000-8000-000000000004',
+    student2: '00000000-0000-4000-8000-000000000005',
+    guardian: '00000000-0000-4000-8000-000000000006'
+};
+
+const seedSql = (hash) => `
+    INSERT INTO users (id, email, password_hash, role) VALUES
+        ('${USER_IDS.admin}', 'admin@test.com', '${hash}', 'ADMIN'),
+        ('${USER_IDS.teacher1}', 'teacher1@test.com', '${hash}', 'TEACHER'),
+        ('${USER_IDS.teacher2}', 'teacher2@test.com', '${hash}', 'TEACHER'),
+        ('${USER_IDS.student1}', 'student1@test.com', '${hash}', 'STUDENT'),
+        ('${USER_IDS.student2}', 'student2@test.com', '${hash}', 'STUDENT'),
+        ('${USER_IDS.guardian}', 'guardian@test.com', '${hash}', 'GUARDIAN');
+    INSERT INTO admins (user_id, name) VALUES ('${USER_IDS.admin}', 'Admin');
+    INSERT INTO teachers (user_id, name) VALUES
+        ('${USER_IDS.teacher1}', 'Teacher One'),
+        ('${USER_IDS.teacher2}', 'Teacher Two');
+    INSERT INTO academic_years (name, start_date, end_date, is_current)
+        VALUES ('${ACADEMIC_YEAR}', CURRENT_DATE - 120, CURRENT_DATE + 240, TRUE);
+    INSERT INTO classes (grade, section, academic_year, name) VALUES
+        ('10th', 'A', '${ACADEMIC_YEAR}', '10th-A'),
+        ('10th', 'B', '${ACADEMIC_YEAR}', '10th-B');
+    INSERT INTO teacher_classes (teacher_id, class_id) VALUES (1, 1), (2, 2);
+    INSERT INTO students (user_id, name, class_id, roll_no, student_id_code) VALUES
+        ('${USER_IDS.student1}', 'Student One', 1, 1, 'STD001'),
+        ('${USER_IDS.student2}', 'Student Two', 2, 1, 'STD002');
+    INSERT INTO enrollments (student_id, academic_year_id, class_id, roll_no) VALUES (1, 1, 1, 1), (2, 1, 2, 1);
+    INSERT INTO guardians (user_id, name) VALUES ('${USER_IDS.guardian}', 'Guardian One');
+    INSERT INTO guardian_students (guardian_id, student_id) VALUES (1, 1);
+`;
+
+// Extended query protocol messages (Parse, Bind, Describe, Execute, Close),
+// which pg sends for every query with parameters and ends with a Sync
+const QUERY_PARTS = new Set(['P', 'B', 'D', 'E', 'C'].map(c => c.charCodeAt(0)));
+
+/**
+ * The socket server hands every connection's messages to PGlite one at a
+ * time, and only keeps other connections out during a transaction. Two
+ * queries sent at the same moment outside a transaction could then mix
+ * (one connection's Bind after another's Parse). This makes a query that
+ * has started count as a transaction until its Sync, so the server waits
+ * for the rest of it.
+ *
+ * @param {PGlite} db
+ */
+const keepQueriesTogether = (db) => {
+    let queryUnfinished = false;
+    const execProtocolRawStream = db.execProtocolRawStream.bind(db);
+    db.execProtocolRawStream = (message, options) => {
+        queryUnfinished = QUERY_PARTS.has(message[0]);
+        return execProtocolRawStream(message, options);
+    };
+    const isInTransaction = db.isInTransaction.bind(db);
+    db.isInTransaction = () => queryUnfinished || isInTransaction();
+};
+
+/**
+ * Starts a database and the app, and logs in every fixture account
+ *
+ * @returns {Promise<object>} - { baseUrl, db, pool, tokens, userIds, call, login, stop }
+ */
+const startTestApp = async () => {
+    const db = new PGlite();
+    await db.exec(fs.readFileSync(path.join(__dirname, '..', 'database.sql'), 'utf8'));
+    await db.exec(seedSql(await bcrypt.hash(PASSWORD, 4)));
+
+    const socketServer = new PGLiteSocketServer({ db, host: '127.0.0.1', port: 0, maxConnections: 50 });
+    keepQueriesTogether(db);
+    await socketServer.start();
+
+    // Before db.js is loaded: the pool reads these once
+    Object.assign(process.env, {
+        DB_HOST: '127.0.0.1',
+        DB_PORT: String(socketServer.port),
+        DB_USER: 'postgres',
+        DB_PASSWORD: 'postgres',
+        DB_NAME: 'postgres',
+        NODE_ENV: 'test',
+        JWT_SECRET: 'test-secret',
+        MAIL_TRANSPORT: 'console'
+    });
+
+    const app = require('../index');
+    const pool = require('../db');
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+    /**
+     * Sends one API request
+     *
+     * @param {string} method - GET, POST, ...
+     * @param {string} url - path after /api, e.g. "/teacher/dashboard"
+     * @param {string} [token] - access token (none = not logged in)
+     * @param {object} [body] - JSON body
+     * @returns {Promise<{ status: number, data: any, headers: Headers }>}
+     */
+    const call = async (method, url, token, body) => {
+        const res = await fetch(baseUrl + url, {
+            method,
+            headers: {
+                ...(body !== undefined && { 'Content-Type': 'application/json' }),
+                ...(token && { Authorization: `Bearer ${token}` })
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+        const text = await res.text();
+        let data = text;
+        try {
+            data = JSON.parse(text);
+        } catch {
+            // not JSON (e.g. an attachment download)
+        }
+        return { status: res.status, data, headers: res.headers };
+    };
+
+    const login = async (email, password = PASSWORD) => {
+        const res = await call('POST', '/auth/login', null, { email, password });
+        if (res.status !== 200) throw new Error(`Login of ${email} failed: ${JSON.stringify(res.data)}`);
+        return res.data;
+    };
+
+    const tokens = {};
+    for (const name of Object.keys(USER_IDS)) {
+        tokens[name] = (await login(`${name}@test.com`)).token;
+    }
+
+    const stop = async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+        await pool.end();
+        await socketServer.stop();
+        await db.close();
+    };
+
+    return { baseUrl, db, pool, tokens, userIds: USER_IDS, call, login, stop };
+};
+
+module.exports = { startTestApp, PASSWORD, USER_IDS, ACADEMIC_YEAR };
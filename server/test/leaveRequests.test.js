@@ -0,0 +1,133 @@
+/**
+ * LEAVE REQUESTS
+ *
+ * Attachments (upload and download) and the teacher's decision
+ * (see controllers/leaveController.js).
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers');
+
+let app;
+before(async () => { app = await startTestApp(); });
+after(() => app.stop());
+
+const PDF = Buffer.from('%PDF-1.4 test');
+
+let nextDay = 0;
+// A leave request of student 1 with this attachment name, far enough ahead not to overlap another
+const requestLeave = async (attachmentName) => {
+    nextDay++;
+    const res = await app.call('POST', '/student/leave-requests', app.tokens.student1, {
+        from_date: `2099-03-${String(nextDay).padStart(2, '0')}`,
+        reason: 'Doctor appointment',
+        attachment: PDF.toString('base64'),
+        attachment_name: attachmentName
+    });
+    assert.equal(res.status, 201, JSON.stringify(res.data));
+    return res.data.id;
+};
+
+describe('leave request attachments', () => {
+    for (const name of ['note.pdf', 'Arztbrief_Müller.pdf', '医者の診断書.pdf']) {
+        test(`downloads keep the file name ${name}`, async () => {
+            const id = await requestLeave(name);
+
+            for (const [token, url] of [
+                [app.tokens.student1, `/student/leave-requests/${id}/attachment`],
+                [app.tokens.teacher1, `/teacher/leave-requests/${id}/attachment`]
+            ]) {
+                const res = await fetch(app.baseUrl + url, { headers: { Authorization: `Bearer ${token}` } });
+                assert.equal(res.status, 200);
+                assert.equal(res.headers.get('content-type'), 'application/pdf');
+                assert.equal(res.headers.get('x-content-type-options'), 'nosniff');
+                assert.deepEqual(Buffer.from(await res.arrayBuffer()), PDF);
+
+                const disposition = res.headers.get('content-disposition');
+                assert.match(disposition, /^attachment; filename="/);
+                // Names that don't fit in filename="..." come as filename*=UTF-8''...
+                const utf8Name = /filename\*=UTF-8''([^;]+)/.exec(disposition);
+                const plainName = /filename="([^"]*)"/.exec(disposition)[1];
+                assert.equal(utf8Name ? decodeURIComponent(utf8Name[1]) : plainName, name);
+            }
+        });
+    }
+
+    test('a file whose contents do not match its extension is refused', async () => {
+        const files = {
+            'note.pdf': Buffer.from('<html><script>alert(1)</script></html>'),
+            'scan.png': Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>'),
+            'photo.jpg': PDF
+        };
+        for (const [name, contents] of Object.entries(files)) {
+            const res = await app.call('POST', '/student/leave-requests', app.tokens.student1, {
+                from_date: '2099-04-01',
+                reason: 'Doctor appointment',
+                attachment: contents.toString('base64'),
+                attachment_name: name
+            });
+            assert.equal(res.status, 400, `${name}: ${JSON.stringify(res.data)}`);
+            assert.match(res.data.error, /is not really a \.(pdf|png|jpg) file/);
+        }
+    });
+
+    test('real images are accepted', async () => {
+        const images = {
+            'scan.png': Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]),
+            'photo.jpeg': Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0x10])
+        };
+        for (const [name, contents] of Object.entries(images)) {
+            nextDay++;
+            const res = await app.call('POST', '/student/leave-requests', app.tokens.student1, {
+                from_date: `2099-03-${String(nextDay).padStart(2, '0')}`,
+                reason: 'Doctor appointment',
+                attachment: contents.toString('base64'),
+                attachment_name: name
+            });
+            assert.equal(res.status, 201, `${name}: ${JSON.stringify(res.data)}`);
+        }
+    });
+
+    test('line breaks are removed from the file name when it is saved', async () => {
+        const id = await requestLeave('note\r\nX-Injected: 1.pdf');
+
+        const saved = await app.pool.query('SELECT attachment_name FROM leave_requests WHERE id = $1', [id]);
+        assert.equal(saved.rows[0].attachment_name, 'noteX-Injected: 1.pdf');
+
+        const res = await app.call('GET', `/student/leave-requests/${id}/attachment`, app.tokens.student1);
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('x-injected'), null);
+    });
+});
+
+describe('approving and rejecting', () => {
+    const decide = async (action, body) => {
+        const id = await requestLeave('note.pdf');
+        const res = await app.call('POST', `/teacher/leave-requests/${id}/${action}`, app.tokens.teacher1, body);
+        return { id, res };
+    };
+
+    const reviewNote = async (id) => (await app.pool.query('SELECT status, review_note FROM leave_requests WHERE id = $1', [id])).rows[0];
+
+    for (const action of ['approve', 'reject']) {
+        test(`${action} works without a request body`, async () => {
+            const { id, res } = await decide(action, undefined);
+            assert.equal(res.status, 200, JSON.stringify(res.data));
+            assert.equal((await reviewNote(id)).review_note, null);
+        });
+
+        test(`${action} saves the note`, async () => {
+            const { id, res } = await decide(action, { note: '  See you soon  ' });
+            assert.equal(res.status, 200, JSON.stringify(res.data));
+            assert.equal((await reviewNote(id)).review_note, 'See you soon');
+        });
+
+        test(`${action} refuses a note that isn't text`, async () => {
+            const { id, res } = await decide(action, { note: { text: 'hi' } });
+            assert.equal(res.status, 400);
+            assert.equal(res.data.error, 'The note must be text');
+            assert.equal((await reviewNote(id)).status, 'PENDING');
+        });
+    }
+});
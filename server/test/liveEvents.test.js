@@ -0,0 +1,238 @@
+/**
+ * LIVE UPDATE STREAM (GET /api/events)
+ *
+ * Opens real streams for several users and checks that an attendance
+ * change reaches exactly the teachers, students and guardians it concerns,
+ * and that a stream ends with the login it was opened with
+ * (see services/liveEvents.js).
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers');
+
+const WAIT_MS = 5000;
+
+let app;
+let today;
+// services/liveEvents.js (loaded after startTestApp: it uses the database pool)
+let publish;
+let publishAttendanceChange;
+let heartbeat;
+
+before(async () => {
+    app = await startTestApp();
+    ({ publish, publishAttendanceChange, heartbeat } = require('../services/liveEvents'));
+    const result = await app.pool.query("SELECT TO_CHAR(CURRENT_DATE, 'YYYY-MM-DD') as today");
+    today = result.rows[0].today;
+});
+after(() => app.stop());
+
+/**
+ * Opens GET /api/events and collects its messages
+ *
+ * @param {string} token - access token
+ * @returns {Promise<{ events: Array<{ type: string, data: object }>, waitFor: Function, ended: Promise, close: Function }>}
+ *     - ended resolves when the server closes the stream
+ */
+const openStream = async (token) => {
+    const controller = new AbortController();
+    const res = await fetch(`${app.baseUrl}/events`, {
+        headers: { Authorization: `Bearer ${token}` },
+        signal: controller.signal
+    });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /text\/event-stream/);
+
+    const events = [];
+    const waiting = [];
+    let buffer = '';
+
+    const checkWaiting = () => {
+        for (const waiter of [...waiting]) {
+            const found = events.find(waiter.match);
+            if (found) {
+                waiting.splice(waiting.indexOf(waiter), 1);
+                clearTimeout(waiter.timer);
+                waiter.resolve(found);
+            }
+        }
+    };
+
+    // Messages are separated by a blank line; lines starting with ":" are heartbeats
+    const ended = (async () => {
+        const decoder = new TextDecoder();
+        try {
+            for await (const chunk of res.body) {
+                buffer += decoder.decode(chunk, { stream: true });
+                let end;
+                while ((end = buffer.indexOf('\n\n')) !== -1) {
+                    const block = buffer.slice(0, end);
+                    buffer = buffer.slice(end + 2);
+                    const type = /^event: (.*)$/m.exec(block)?.[1];
+                    const data = /^data: (.*)$/m.exec(block)?.[1];
+                    if (type) events.push({ type, data: JSON.parse(data) });
+                }
+                checkWaiting();
+            }
+        } catch {
+            // aborted by close()
+        }
+    })();
+
+    /**
+     * @param {string} type - event name
+     * @param {Function} [where] - (data) => boolean
+     * @returns {Promise<object>} - the first matching event
+     */
+    const waitFor = (type, where = () => true) => new Promise((resolve, reject) => {
+        const waiter = { match: e => e.type === type && where(e.data), resolve };
+        waiter.timer = setTimeout(() => {
+            waiting.splice(waiting.indexOf(waiter), 1);
+            reject(new Error(`No "${type}" event within ${WAIT_MS}ms (got ${JSON.stringify(events)})`));
+        }, WAIT_MS);
+        waiting.push(waiter);
+        checkWaiting();
+    });
+
+    await waitFor('ready');
+    return { events, waitFor, ended, close: () => controller.abort() };
+};
+
+describe('GET /api/events', () => {
+    let streams;
+
+    before(async () => {
+        streams = {};
+        for (const name of ['admin', 'teacher1', 'teacher2', 'student1', 'student2', 'guardian']) {
+            streams[name] = await openStream(app.tokens[name]);
+        }
+    });
+    after(() => Object.values(streams).forEach(stream => stream.close()));
+
+    /**
+     * Sends a marker to every stream and waits until each has it. Messages
+     * arrive in order, so anything sent before the marker has arrived too.
+     */
+    let markers = 0;
+    const flush = async () => {
+        const id = ++markers;
+        publish('marker', { id }, { userIds: Object.values(app.userIds) });
+        await Promise.all(Object.values(streams).map(stream => stream.waitFor('marker', data => data.id === id)));
+    };
+
+    const attendanceEvents = (name) => streams[name].events.filter(e => e.type === 'attendance');
+
+    test('401 without a token', async () => {
+        const res = await app.call('GET', '/events', null);
+        assert.equal(res.status, 401);
+    });
+
+    test('an attendance change reaches the class teacher, the student, their guardian and admins only', async () => {
+        await publishAttendanceChange({ dates: [today], studentIds: [1] });
+        await flush();
+
+        for (const name of ['admin', 'teacher1', 'student1', 'guardian']) {
+            assert.deepEqual(attendanceEvents(name).map(e => e.data), [{ dates: [today], class_ids: [1] }], name);
+        }
+        for (const name of ['teacher2', 'student2']) {
+            assert.deepEqual(attendanceEvents(name), [], name);
+        }
+    });
+
+    test('marks saved on the attendance sheet are published to the same audience', async () => {
+        const before = Object.fromEntries(Object.keys(streams).map(name => [name, attendanceEvents(name).length]));
+
+        const res = await app.call('POST', '/teacher/attendance/bulk', app.tokens.teacher2, {
+            date: today,
+            allow_non_working_day: true,
+            records: [{ student_id: 2, status: 'PRESENT' }]
+        });
+        assert.equal(res.status, 200, JSON.stringify(res.data));
+
+        await streams.teacher2.waitFor('attendance', data => data.class_ids.includes(2));
+        await flush();
+
+        for (const name of ['admin', 'teacher2', 'student2']) {
+            assert.equal(attendanceEvents(name).length, before[name] + 1, name);
+            assert.deepEqual(attendanceEvents(name).at(-1).data, { dates: [today], class_ids: [2] }, name);
+        }
+        for (const name of ['teacher1', 'student1', 'guardian']) {
+            assert.equal(attendanceEvents(name).length, before[name], name);
+        }
+    });
+
+    test('a closed stream gets nothing more', async () => {
+        streams.student2.close();
+
+        // The server notices the closed connection shortly after
+        let sent;
+        for (let i = 0; i < 50; i++) {
+            sent = publish('marker', {}, { userIds: [app.userIds.student2] });
+            if (sent === 0) break;
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        assert.equal(sent, 0);
+    });
+});
+
+describe('streams end with their login', () => {
+    const jwt = require('jsonwebtoken');
+
+    // Resolves true if the server closes the stream within WAIT_MS
+    const endsSoon = (stream) => Promise.race([
+        stream.ended.then(() => true),
+        new Promise(resolve => setTimeout(() => resolve(false), WAIT_MS))
+    ]);
+
+    // The session id ("sid") inside an access token
+    const sessionOf = (token) => jwt.decode(token).sid;
+
+    test('a stream whose login is still valid stays open', async () => {
+        const stream = await openStream((await app.login('teacher1@test.com')).token);
+        try {
+            assert.equal(await heartbeat(), 0);
+            publish('marker', { id: 'still-open' }, { userIds: [app.userIds.teacher1] });
+            await stream.waitFor('marker', data => data.id === 'still-open');
+        } finally {
+            stream.close();
+        }
+    });
+
+    test('revoking the session ends the stream', async () => {
+        const { token } = await app.login('teacher1@test.com');
+        const stream = await openStream(token);
+
+        const revoke = await app.call('DELETE', `/auth/sessions/${sessionOf(token)}`, app.tokens.teacher1);
+        assert.equal(revoke.status, 200, JSON.stringify(revoke.data));
+
+        assert.equal(await heartbeat(), 1);
+        assert.equal(await endsSoon(stream), true);
+        assert.equal(publish('marker', {}, { userIds: [app.userIds.teacher1] }), 0);
+    });
+
+    test('disabling the account ends the stream', async () => {
+        const { token } = await app.login('student1@test.com');
+        const stream = await openStream(token);
+
+        const disable = await app.call('PATCH', `/admin/users/${app.userIds.student1}`, app.tokens.admin, { is_active: false });
+        assert.equal(disable.status, 200, JSON.stringify(disable.data));
+        try {
+            assert.equal(await heartbeat(), 1);
+            assert.equal(await endsSoon(stream), true);
+        } finally {
+            await app.call('PATCH', `/admin/users/${app.userIds.student1}`, app.tokens.admin, { is_active: true });
+        }
+    });
+
+    test('an expired access token ends the stream', async () => {
+        const { token } = await app.login('guardian@test.com');
+        const { id, role } = jwt.decode(token);
+        const shortLived = jwt.sign({ id, role, sid: sessionOf(token) }, process.env.JWT_SECRET, { expiresIn: 2 });
+        const stream = await openStream(shortLived);
+
+        await new Promise(resolve => setTimeout(resolve, 2100));
+        assert.equal(await heartbeat(), 1);
+        assert.equal(await endsSoon(stream), true);
+    });
+});
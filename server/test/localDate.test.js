@@ -0,0 +1,57 @@
+/**
+ * "TODAY" ON THE SERVER'S CALENDAR
+ *
+ * localDate() (utils/calendarHelpers.js) and the places that need today's
+ * date: check-in sessions and report ranges.
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers');
+const { localDate } = require('../utils/calendarHelpers');
+
+describe('localDate', () => {
+    // Node picks up a changed TZ straight away
+    const inTimeZone = (timeZone, fn) => {
+        const previous = process.env.TZ;
+        process.env.TZ = timeZone;
+        try {
+            return fn();
+        } finally {
+            if (previous === undefined) delete process.env.TZ;
+            else process.env.TZ = previous;
+        }
+    };
+
+    test('is the local date, not the UTC one', () => {
+        // 20:00 UTC on 12 February is 01:30 on 13 February in India
+        const evening = new Date('2026-02-12T20:00:00Z');
+        assert.equal(inTimeZone('Asia/Kolkata', () => localDate(evening)), '2026-02-13');
+        assert.equal(inTimeZone('America/New_York', () => localDate(evening)), '2026-02-12');
+        assert.equal(inTimeZone('UTC', () => localDate(evening)), '2026-02-12');
+    });
+
+    test('pads month and day', () => {
+        assert.equal(localDate(new Date(2026, 0, 5, 12)), '2026-01-05');
+    });
+});
+
+describe('today in the API', () => {
+    let app;
+    before(async () => { app = await startTestApp(); });
+    after(() => app.stop());
+
+    test('check-in sessions are opened for the local date', async () => {
+        const res = await app.call('POST', '/teacher/check-in-sessions', app.tokens.teacher1, { class_id: 1 });
+        assert.equal(res.status, 201, JSON.stringify(res.data));
+
+        const session = await app.pool.query("SELECT TO_CHAR(date, 'YYYY-MM-DD') as date FROM check_in_sessions WHERE id = $1", [res.data.id]);
+        assert.equal(session.rows[0].date, localDate());
+    });
+
+    test('reports run up to the local date', async () => {
+        const { getReportRange } = require('../utils/academicYearHelpers');
+        const found = await getReportRange(app.pool, {});
+        assert.equal(found.range.to, localDate());
+    });
+});
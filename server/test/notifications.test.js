@@ -0,0 +1,69 @@
+/**
+ * NOTIFICATIONS
+ *
+ * Marks changed on the attendance sheet (see markAttendanceBulk in
+ * controllers/teacherController.js and services/notificationService.js).
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers');
+
+let app;
+before(async () => { app = await startTestApp(); });
+after(() => app.stop());
+
+describe('attendance changed on the sheet', () => {
+    let localDate;
+    before(() => { ({ localDate } = require('../utils/calendarHelpers')); });
+
+    const daysAgo = (days) => {
+        const date = new Date();
+        date.setDate(date.getDate() - days);
+        return localDate(date);
+    };
+
+    const mark = async (token, date, records) => {
+        const res = await app.call('POST', '/teacher/attendance/bulk', token, { date, allow_non_working_day: true, records });
+        assert.equal(res.status, 200, JSON.stringify(res.data));
+    };
+
+    // Notifications of this type the user has, newest first
+    const changeNotifications = async (name) => {
+        const res = await app.call('GET', '/notifications', app.tokens[name]);
+        assert.equal(res.status, 200);
+        return res.data.filter(notification => notification.type === 'ATTENDANCE_CHANGED');
+    };
+
+    test('a new mark notifies nobody', async () => {
+        await mark(app.tokens.teacher1, daysAgo(3), [{ student_id: 1, status: 'ABSENT' }]);
+
+        for (const name of ['student1', 'guardian']) {
+            assert.deepEqual(await changeNotifications(name), [], name);
+        }
+    });
+
+    test('changing a saved mark notifies the student and their guardians', async () => {
+        const date = daysAgo(3);
+        await mark(app.tokens.teacher1, date, [{ student_id: 1, status: 'PRESENT' }]);
+
+        for (const name of ['student1', 'guardian']) {
+            const notifications = await changeNotifications(name);
+            assert.equal(notifications.length, 1, name);
+            assert.equal(notifications[0].title, 'Attendance changed');
+            assert.equal(notifications[0].message, `Student One, ${date}: Absent → Present`);
+        }
+        for (const name of ['student2', 'teacher1', 'admin']) {
+            assert.deepEqual(await changeNotifications(name), [], name);
+        }
+    });
+
+    test('saving the same mark again or only its arrival time notifies nobody', async () => {
+        const date = daysAgo(4);
+        await mark(app.tokens.teacher2, date, [{ student_id: 2, status: 'LATE', arrival_time: '09:10' }]);
+        await mark(app.tokens.teacher2, date, [{ student_id: 2, status: 'LATE', arrival_time: '09:10' }]);
+        await mark(app.tokens.teacher2, date, [{ student_id: 2, status: 'LATE', arrival_time: '09:20' }]);
+
+        assert.deepEqual(await changeNotifications('student2'), []);
+    });
+});
@@ -0,0 +1,523 @@
+/**
+ * ROUTE ACCESS MATRIX
+ *
+ * Every /api/teacher, /api/student, /api/guardian and /api/admin route,
+ * called:
+ * - without a token                          → 401
+ * - by every role that may not use it        → 403
+ * - by a role that may (with valid input)    → 2xx
+ * - by teacher 1 with class 2 (class_id=2, or a student, request, ... of
+ *   class 2)                                 → 403
+ *   (guardian routes: with a child that isn't linked → 403)
+ *
+ * Routes are tried in the order below against one database; each
+ * success case creates the records it needs (see the helpers further down).
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, ACADEMIC_YEAR } = require('./helpers');
+
+let app;
+let today;
+let pastDate;
+
+before(async () => {
+    app = await startTestApp();
+    const dates = await app.pool.query(
+        "SELECT TO_CHAR(CURRENT_DATE, 'YYYY-MM-DD') as today, TO_CHAR(CURRENT_DATE - 7, 'YYYY-MM-DD') as past"
+    );
+    today = dates.rows[0].today;
+    pastDate = dates.rows[0].past;
+
+    // A second class of teacher 1, for transfers
+    await app.pool.query("INSERT INTO classes (grade, section, academic_year, name) VALUES ('10th', 'C', $1, '10th-C')", [ACADEMIC_YEAR]);
+    await app.pool.query('INSERT INTO teacher_classes (teacher_id, class_id) VALUES (1, 3)');
+});
+
+after(() => app.stop());
+
+// Token of each role (teacher 1: class 1, guardian: of student 1)
+const TOKEN_OF_ROLE = { ADMIN: 'admin', TEACHER: 'teacher1', STUDENT: 'student1', GUARDIAN: 'guardian' };
+const ROLES = Object.keys(TOKEN_OF_ROLE);
+
+// ===================================================================
+// FIXTURES (inserted straight into the database)
+// ===================================================================
+
+let counter = 0;
+const unique = (prefix) => `${prefix}${++counter}`;
+
+const one = async (query, params) => (await app.pool.query(query, params)).rows[0];
+
+// A student without a login
+const addStudent = async (classId = 1) => (await one(
+    `INSERT INTO students (name, class_id, roll_no, student_id_code)
+     VALUES ($1, $2, (SELECT COALESCE(MAX(roll_no), 0) + 1 FROM students WHERE class_id = $2), $1)
+     RETURNING id`,
+    [unique('TEST'), classId]
+)).id;
+
+const addLeave = async (studentId, { attachment = false } = {}) => (await one(
+    `INSERT INTO leave_requests (student_id, from_date, to_date, reason, attachment_name, attachment_type, attachment)
+     VALUES ($1, CURRENT_DATE + 30 + $2::int, CURRENT_DATE + 30 + $2::int, 'Sick', $3, $4, $5)
+     RETURNING id`,
+    [studentId, ++counter, attachment ? 'note.pdf' : null, attachment ? 'application/pdf' : null, attachment ? Buffer.from('%PDF-1.4') : null]
+)).id;
+
+// An ABSENT mark on a past day and a pending request to make it PRESENT
+const addCorrection = async (studentId) => {
+    const date = await one(`SELECT TO_CHAR(CURRENT_DATE - 10 - $1::int, 'YYYY-MM-DD') as date`, [++counter]);
+    await app.pool.query("INSERT INTO attendance (student_id, date, status) VALUES ($1, $2, 'ABSENT')", [studentId, date.date]);
+    return (await one(
+        `INSERT INTO attendance_corrections (student_id, date, current_status, requested_status, comment)
+         VALUES ($1, $2, 'ABSENT', 'PRESENT', 'I was there') RETURNING id`,
+        [studentId, date.date]
+    )).id;
+};
+
+const addAbsenceNote = async (studentId) => (await one(
+    "INSERT INTO absence_notes (student_id, guardian_id, from_date, to_date, reason) VALUES ($1, 1, CURRENT_DATE, CURRENT_DATE, 'Fever') RETURNING id",
+    [studentId]
+)).id;
+
+const addCheckInSession = async (classId) => (await one(
+    "INSERT INTO check_in_sessions (class_id, date, secret, closes_at) VALUES ($1, CURRENT_DATE, 'secret', NOW() + INTERVAL '10 minutes') RETURNING id",
+    [classId]
+)).id;
+
+const addUser = async (role = 'TEACHER') => (await one(
+    "INSERT INTO users (id, email, password_hash, role) VALUES (gen_random_uuid(), $1, 'x', $2) RETURNING id",
+    [`${unique('user')}@test.com`, role]
+)).id;
+
+const addClass = async () => {
+    const section = unique('S');
+    return (await one(
+        "INSERT INTO classes (grade, section, academic_year, name) VALUES ('9th', $1, $2, $3) RETURNING id",
+        [section, ACADEMIC_YEAR, `9th-${section}`]
+    )).id;
+};
+
+const addSubject = async () => (await one('INSERT INTO subjects (name) VALUES ($1) RETURNING id', [unique('Subject ')])).id;
+
+const addPeriod = async () => (await one(
+    'INSERT INTO periods (class_id, day_of_week, period_no, subject_id) VALUES (1, 7, $1, $2) RETURNING id',
+    [++counter, await addSubject()]
+)).id;
+
+const addCalendarDay = async () => (await one(
+    "INSERT INTO school_calendar (date, day_type, title) VALUES (CURRENT_DATE + 100 + $1::int, 'HOLIDAY', 'Test') RETURNING id",
+    [++counter]
+)).id;
+
+// start: "YYYY-06-01" (its year names it, e.g. "2080-2081", so use each year once)
+const addAcademicYear = async (start, end) => {
+    const startYear = parseInt(start);
+    return (await one(
+        'INSERT INTO academic_years (name, start_date, end_date) VALUES ($1, $2, $3) RETURNING id',
+        [`${startYear}-${startYear + 1}`, start, end]
+    )).id;
+};
+
+const base64 = (text) => Buffer.from(text).toString('base64');
+
+// ===================================================================
+// THE ROUTES
+// ===================================================================
+// path:      used for the 401/403 cases (ids don't matter there)
+// roles:     who may call it
+// ok:        () => ({ path, body }) a request that should succeed (default: path, no body)
+// otherClass: () => ({ path, body }) teacher 1 reaching into class 2 (default: path + class_id=2)
+
+const TEACHER = ['TEACHER', 'ADMIN'];
+const STUDENT = ['STUDENT'];
+const GUARDIAN = ['GUARDIAN'];
+const ADMIN = ['ADMIN'];
+
+const routes = [
+    // Teacher portal
+    { method: 'GET', path: '/teacher/dashboard', roles: TEACHER },
+    { method: 'GET', path: '/teacher/classes', roles: TEACHER },
+    { method: 'GET', path: '/teacher/periods', roles: TEACHER, ok: () => ({ path: `/teacher/periods?class_id=1&date=${today}` }) },
+    { method: 'GET', path: '/teacher/calendar-day', roles: TEACHER, ok: () => ({ path: `/teacher/calendar-day?date=${today}` }) },
+    {
+        method: 'POST', path: '/teacher/students/create', roles: TEACHER,
+        ok: () => ({ body: { name: 'New Student', email: `${unique('new')}@test.com`, password: 'password1', class_id: 1, roll_no: 90 + counter } }),
+        otherClass: () => ({ body: { name: 'New Student', email: `${unique('new')}@test.com`, password: 'password1', class_id: 2, roll_no: 90 } })
+    },
+    {
+        method: 'POST', path: '/teacher/students/import', roles: TEACHER,
+        ok: () => ({ body: { filename: 'class.csv', file: base64(`name,email,roll_no\nImported,${unique('imp')}@test.com,80\n`), class_id: 1, dry_run: true } }),
+        otherClass: () => ({ body: { filename: 'class.csv', file: base64('name,email,roll_no\nImported,imp@test.com,80\n'), class_id: 2, dry_run: true } })
+    },
+    { method: 'GET', path: '/teacher/students', roles: TEACHER },
+    {
+        method: 'GET', path: '/teacher/students/1', roles: TEACHER,
+        otherClass: () => ({ path: '/teacher/students/2' })
+    },
+    {
+        method: 'PATCH', path: '/teacher/students/1', roles: TEACHER,
+        ok: async () => ({ path: `/teacher/students/${await addStudent()}`, body: { name: 'Renamed' } }),
+        otherClass: () => ({ path: '/teacher/students/2', body: { name: 'Renamed' } })
+    },
+    {
+        method: 'POST', path: '/teacher/students/1/transfer', roles: TEACHER,
+        ok: async () => ({ path: `/teacher/students/${await addStudent()}/transfer`, body: { class_id: 3 } }),
+        otherClass: () => ({ path: '/teacher/students/2/transfer', body: { class_id: 1 } })
+    },
+    {
+        method: 'POST', path: '/teacher/students/1/deactivate', roles: TEACHER,
+        ok: async () => ({ path: `/teacher/students/${await addStudent()}/deactivate` }),
+        otherClass: () => ({ path: '/teacher/students/2/deactivate' })
+    },
+    {
+        method: 'POST', path: '/teacher/students/1/reactivate', roles: TEACHER,
+        ok: async () => {
+            const id = await addStudent();
+            await app.pool.query('UPDATE students SET is_active = FALSE, deactivated_at = NOW() WHERE id = $1', [id]);
+            return { path: `/teacher/students/${id}/reactivate` };
+        },
+        otherClass: async () => {
+            const id = await addStudent(2);
+            await app.pool.query('UPDATE students SET is_active = FALSE, deactivated_at = NOW() WHERE id = $1', [id]);
+            return { path: `/teacher/students/${id}/reactivate` };
+        }
+    },
+    {
+        method: 'DELETE', path: '/teacher/students/1', roles: TEACHER,
+        ok: async () => ({ path: `/teacher/students/${await addStudent()}` }),
+        otherClass: async () => ({ path: `/teacher/students/${await addStudent(2)}` })
+    },
+    {
+        method: 'POST', path: '/teacher/students/1/guardians', roles: TEACHER,
+        ok: async () => ({ path: `/teacher/students/${await addStudent()}/guardians`, body: { email: 'guardian@test.com' } }),
+        otherClass: () => ({ path: '/teacher/students/2/guardians', body: { email: 'guardian@test.com' } })
+    },
+    {
+        method: 'DELETE', path: '/teacher/students/1/guardians/1', roles: TEACHER,
+        ok: async () => {
+            const id = await addStudent();
+            await app.pool.query('INSERT INTO guardian_students (guardian_id, student_id) VALUES (1, $1)', [id]);
+            return { path: `/teacher/students/${id}/guardians/1` };
+        },
+        otherClass: async () => {
+            const id = await addStudent(2);
+            await app.pool.query('INSERT INTO guardian_students (guardian_id, student_id) VALUES (1, $1)', [id]);
+            return { path: `/teacher/students/${id}/guardians/1` };
+        }
+    },
+    {
+        method: 'POST', path: '/teacher/absence-notes/1/acknowledge', roles: TEACHER,
+        ok: async () => ({ path: `/teacher/absence-notes/${await addAbsenceNote(1)}/acknowledge` }),
+        otherClass: async () => ({ path: `/teacher/absence-notes/${await addAbsenceNote(2)}/acknowledge` })
+    },
+    { method: 'GET', path: '/teacher/leave-requests', roles: TEACHER },
+    {
+        method: 'GET', path: '/teacher/leave-requests/1/attachment', roles: TEACHER,
+        ok: async () => ({ path: `/teacher/leave-requests/${await addLeave(1, { attachment: true })}/attachment` }),
+        otherClass: async () => ({ path: `/teacher/leave-requests/${await addLeave(2, { attachment: true })}/attachment` })
+    },
+    {
+        method: 'POST', path: '/teacher/leave-requests/1/approve', roles: TEACHER,
+        ok: async () => ({ path: `/teacher/leave-requests/${await addLeave(await addStudent())}/approve`, body: {} }),
+        otherClass: async () => ({ path: `/teacher/leave-requests/${await addLeave(2)}/approve`, body: {} })
+    },
+    {
+        method: 'POST', path: '/teacher/leave-requests/1/reject', roles: TEACHER,
+        ok: async () => ({ path: `/teacher/leave-requests/${await addLeave(1)}/reject`, body: { note: 'No' } }),
+        otherClass: async () => ({ path: `/teacher/leave-requests/${await addLeave(2)}/reject`, body: { note: 'No' } })
+    },
+    { method: 'GET', path: '/teacher/corrections', roles: TEACHER },
+    {
+        method: 'POST', path: '/teacher/corrections/1/accept', roles: TEACHER,
+        ok: async () => ({ path: `/teacher/corrections/${await addCorrection(await addStudent())}/accept`, body: {} }),
+        otherClass: async () => ({ path: `/teacher/corrections/${await addCorrection(2)}/accept`, body: {} })
+    },
+    {
+        method: 'POST', path: '/teacher/corrections/1/reject', roles: TEACHER,
+        ok: async () => ({ path: `/teacher/corrections/${await addCorrection(await addStudent())}/reject`, body: { note: 'No' } }),
+        otherClass: async () => ({ path: `/teacher/corrections/${await addCorrection(2)}/reject`, body: { note: 'No' } })
+    },
+    { method: 'GET', path: '/teacher/attendance-sheet', roles: TEACHER, ok: () => ({ path: `/teacher/attendance-sheet?date=${today}&class_id=1` }) },
+    {
+        method: 'POST', path: '/teacher/attendance/bulk', roles: TEACHER,
+        ok: () => ({ body: { date: today, allow_non_working_day: true, records: [{ student_id: 1, status: 'PRESENT' }] } }),
+        otherClass: () => ({ body: { date: today, allow_non_working_day: true, records: [{ student_id: 2, status: 'PRESENT' }] } })
+    },
+    {
+        method: 'POST', path: '/teacher/check-in-sessions', roles: TEACHER,
+        ok: () => ({ body: { class_id: 1 } }),
+        otherClass: () => ({ body: { class_id: 2 } })
+    },
+    {
+        method: 'GET', path: '/teacher/check-in-sessions/1', roles: TEACHER,
+        ok: async () => ({ path: `/teacher/check-in-sessions/${await addCheckInSession(1)}` }),
+        otherClass: async () => ({ path: `/teacher/check-in-sessions/${await addCheckInSession(2)}` })
+    },
+    {
+        method: 'POST', path: '/teacher/check-in-sessions/1/close', roles: TEACHER,
+        ok: async () => ({ path: `/teacher/check-in-sessions/${await addCheckInSession(1)}/close` }),
+        otherClass: async () => ({ path: `/teacher/check-in-sessions/${await addCheckInSession(2)}/close` })
+    },
+    { method: 'GET', path: '/teacher/attendance/locks', roles: TEACHER, ok: () => ({ path: `/teacher/attendance/locks?date=${today}` }) },
+    {
+        method: 'POST', path: '/teacher/attendance/reopen', roles: ADMIN,
+        ok: async () => {
+            await app.pool.query(
+                "INSERT INTO attendance_submissions (class_id, date, locks_at) VALUES (1, $1, NOW() - INTERVAL '1 hour')",
+                [pastDate]
+            );
+            return { body: { class_id: 1, date: pastDate, reason: 'Marked on the wrong date' } };
+        }
+    },
+    {
+        method: 'GET', path: '/teacher/attendance/history', roles: TEACHER,
+        ok: () => ({ path: `/teacher/attendance/history?student_id=1&date=${today}` }),
+        otherClass: () => ({ path: `/teacher/attendance/history?student_id=2&date=${today}` })
+    },
+    { method: 'GET', path: '/teacher/low-attendance', roles: TEACHER },
+    { method: 'GET', path: '/teacher/monthly-report', roles: TEACHER, ok: () => ({ path: `/teacher/monthly-report?month=${Number(today.slice(5, 7))}&year=${today.slice(0, 4)}` }) },
+    { method: 'GET', path: '/teacher/subject-report', roles: TEACHER, ok: () => ({ path: `/teacher/subject-report?month=${Number(today.slice(5, 7))}&year=${today.slice(0, 4)}` }) },
+    { method: 'GET', path: '/teacher/academic-years', roles: TEACHER, otherClass: null },
+
+    // Student portal
+    { method: 'GET', path: '/student/dashboard', roles: STUDENT },
+    { method: 'GET', path: '/student/calendar', roles: STUDENT },
+    {
+        method: 'POST', path: '/student/check-in', roles: STUDENT,
+        ok: async () => {
+            const opened = await app.call('POST', '/teacher/check-in-sessions', app.tokens.teacher1, { class_id: 1 });
+            const session = await app.call('GET', `/teacher/check-in-sessions/${opened.data.id}`, app.tokens.teacher1);
+            return { body: { code: session.data.code } };
+        }
+    },
+    { method: 'GET', path: '/student/corrections', roles: STUDENT },
+    {
+        method: 'POST', path: '/student/corrections', roles: STUDENT,
+        ok: async () => {
+            await app.pool.query(
+                "INSERT INTO attendance (student_id, date, status) VALUES (1, $1, 'ABSENT') ON CONFLICT DO NOTHING",
+                [pastDate]
+            );
+            return { body: { date: pastDate, requested_status: 'PRESENT', comment: 'I was there' } };
+        }
+    },
+    { method: 'GET', path: '/student/leave-requests', roles: STUDENT },
+    {
+        method: 'POST', path: '/student/leave-requests', roles: STUDENT,
+        ok: () => ({ body: { from_date: '2099-01-05', reason: 'Family wedding' } })
+    },
+    {
+        method: 'DELETE', path: '/student/leave-requests/1', roles: STUDENT,
+        ok: async () => ({ path: `/student/leave-requests/${await addLeave(1)}` })
+    },
+    {
+        method: 'GET', path: '/student/leave-requests/1/attachment', roles: STUDENT,
+        ok: async () => ({ path: `/student/leave-requests/${await addLeave(1, { attachment: true })}/attachment` })
+    },
+
+    // Guardian portal (other "class": student 2, who isn't linked)
+    { method: 'GET', path: '/guardian/children', roles: GUARDIAN },
+    { method: 'GET', path: '/guardian/children/1/dashboard', roles: GUARDIAN, otherClass: () => ({ path: '/guardian/children/2/dashboard' }) },
+    { method: 'GET', path: '/guardian/children/1/calendar', roles: GUARDIAN, otherClass: () => ({ path: '/guardian/children/2/calendar' }) },
+    { method: 'GET', path: '/guardian/children/1/absence-notes', roles: GUARDIAN, otherClass: () => ({ path: '/guardian/children/2/absence-notes' }) },
+    {
+        method: 'POST', path: '/guardian/children/1/absence-notes', roles: GUARDIAN,
+        ok: () => ({ body: { from_date: today, reason: 'Fever' } }),
+        otherClass: () => ({ path: '/guardian/children/2/absence-notes', body: { from_date: today, reason: 'Fever' } })
+    },
+    { method: 'GET', path: '/guardian/children/1/leave-requests', roles: GUARDIAN, otherClass: () => ({ path: '/guardian/children/2/leave-requests' }) },
+    {
+        method: 'POST', path: '/guardian/children/1/leave-requests', roles: GUARDIAN,
+        ok: () => ({ body: { from_date: '2099-02-05', reason: 'Family wedding' } }),
+        otherClass: () => ({ path: '/guardian/children/2/leave-requests', body: { from_date: '2099-02-05', reason: 'Family wedding' } })
+    },
+    {
+        method: 'DELETE', path: '/guardian/children/1/leave-requests/1', roles: GUARDIAN,
+        ok: async () => ({ path: `/guardian/children/1/leave-requests/${await addLeave(1)}` }),
+        otherClass: async () => ({ path: `/guardian/children/2/leave-requests/${await addLeave(2)}` })
+    },
+    {
+        method: 'GET', path: '/guardian/children/1/leave-requests/1/attachment', roles: GUARDIAN,
+        ok: async () => ({ path: `/guardian/children/1/leave-requests/${await addLeave(1, { attachment: true })}/attachment` }),
+        otherClass: async () => ({ path: `/guardian/children/2/leave-requests/${await addLeave(2, { attachment: true })}/attachment` })
+    },
+
+    // Admin console
+    { method: 'GET', path: '/admin/users', roles: ADMIN },
+    {
+        method: 'POST', path: '/admin/users', roles: ADMIN,
+        ok: () => ({ body: { name: 'New Admin', email: `${unique('admin')}@test.com`, password: 'password1', role: 'ADMIN' } })
+    },
+    {
+        method: 'PATCH', path: `/admin/users/${'0'.repeat(8)}-0000-4000-8000-000000000099`, roles: ADMIN,
+        ok: async () => ({ path: `/admin/users/${await addUser()}`, body: { is_active: false } })
+    },
+    {
+        method: 'POST', path: '/admin/users/1/password', roles: ADMIN,
+        ok: async () => ({ path: `/admin/users/${await addUser()}/password`, body: { password: 'password1' } })
+    },
+    {
+        method: 'POST', path: '/admin/users/1/unlock', roles: ADMIN,
+        ok: async () => ({ path: `/admin/users/${await addUser()}/unlock` })
+    },
+    { method: 'GET', path: '/admin/login-attempts', roles: ADMIN },
+    { method: 'GET', path: '/admin/audit-log', roles: ADMIN },
+    { method: 'GET', path: '/admin/classes', roles: ADMIN },
+    { method: 'POST', path: '/admin/classes', roles: ADMIN, ok: () => ({ body: { grade: '8th', section: unique('X') } }) },
+    {
+        method: 'PATCH', path: '/admin/classes/1', roles: ADMIN,
+        ok: async () => ({ path: `/admin/classes/${await addClass()}`, body: { class_teacher_id: 1 } })
+    },
+    {
+        method: 'DELETE', path: '/admin/classes/1', roles: ADMIN,
+        ok: async () => ({ path: `/admin/classes/${await addClass()}` })
+    },
+    {
+        method: 'POST', path: '/admin/classes/1/teachers', roles: ADMIN,
+        ok: async () => ({ path: `/admin/classes/${await addClass()}/teachers`, body: { teacher_id: 2 } })
+    },
+    {
+        method: 'DELETE', path: '/admin/classes/1/teachers/1', roles: ADMIN,
+        ok: async () => {
+            const id = await addClass();
+            await app.pool.query('INSERT INTO teacher_classes (teacher_id, class_id) VALUES (2, $1)', [id]);
+            return { path: `/admin/classes/${id}/teachers/2` };
+        }
+    },
+    { method: 'GET', path: '/admin/subjects', roles: ADMIN },
+    { method: 'POST', path: '/admin/subjects', roles: ADMIN, ok: () => ({ body: { name: unique('Subject ') } }) },
+    {
+        method: 'DELETE', path: '/admin/subjects/1', roles: ADMIN,
+        ok: async () => ({ path: `/admin/subjects/${await addSubject()}` })
+    },
+    { method: 'GET', path: '/admin/periods', roles: ADMIN, ok: () => ({ path: '/admin/periods?class_id=1' }) },
+    {
+        method: 'POST', path: '/admin/periods', roles: ADMIN,
+        ok: async () => ({ body: { class_id: 1, day_of_week: 6, period_no: ++counter, subject_id: await addSubject() } })
+    },
+    {
+        method: 'PATCH', path: '/admin/periods/1', roles: ADMIN,
+        ok: async () => ({ path: `/admin/periods/${await addPeriod()}`, body: { start_time: '09:00', end_time: '09:45' } })
+    },
+    {
+        method: 'DELETE', path: '/admin/periods/1', roles: ADMIN,
+        ok: async () => ({ path: `/admin/periods/${await addPeriod()}` })
+    },
+    { method: 'GET', path: '/admin/attendance-weights', roles: ADMIN },
+    { method: 'PATCH', path: '/admin/attendance-weights/LATE', roles: ADMIN, ok: () => ({ body: { weight: 0.5 } }) },
+    { method: 'GET', path: '/admin/calendar', roles: ADMIN, ok: () => ({ path: `/admin/calendar?from=${today}&to=${today}` }) },
+    {
+        method: 'POST', path: '/admin/calendar', roles: ADMIN,
+        ok: () => ({ body: { date: '2099-12-25', day_type: 'HOLIDAY', title: 'Christmas' } })
+    },
+    {
+        method: 'POST', path: '/admin/calendar/import', roles: ADMIN,
+        ok: () => ({ body: { ics: 'BEGIN:VCALENDAR\r\nBEGIN:VEVENT\r\nDTSTART;VALUE=DATE:20990101\r\nSUMMARY:New Year\r\nEND:VEVENT\r\nEND:VCALENDAR\r\n' } })
+    },
+    {
+        method: 'PATCH', path: '/admin/calendar/1', roles: ADMIN,
+        ok: async () => ({ path: `/admin/calendar/${await addCalendarDay()}`, body: { title: 'Renamed' } })
+    },
+    {
+        method: 'DELETE', path: '/admin/calendar/1', roles: ADMIN,
+        ok: async () => ({ path: `/admin/calendar/${await addCalendarDay()}` })
+    },
+    { method: 'GET', path: '/admin/academic-years', roles: ADMIN },
+    { method: 'POST', path: '/admin/academic-years', roles: ADMIN, ok: () => ({ body: { name: '2090-2091' } }) },
+    {
+        method: 'PATCH', path: '/admin/academic-years/1', roles: ADMIN,
+        ok: async () => ({ path: `/admin/academic-years/${await addAcademicYear('2080-06-01', '2081-05-31')}`, body: { end_date: '2081-05-20' } })
+    },
+    {
+        method: 'DELETE', path: '/admin/academic-years/1', roles: ADMIN,
+        ok: async () => ({ path: `/admin/academic-years/${await addAcademicYear('2082-06-01', '2083-05-31')}` })
+    },
+    {
+        method: 'POST', path: '/admin/academic-years/1/terms', roles: ADMIN,
+        ok: async () => ({
+            path: `/admin/academic-years/${await addAcademicYear('2084-06-01', '2085-05-31')}/terms`,
+            body: { name: 'Term 1', start_date: '2084-06-01', end_date: '2084-10-31' }
+        })
+    },
+    {
+        method: 'DELETE', path: '/admin/terms/1', roles: ADMIN,
+        ok: async () => {
+            const yearId = await addAcademicYear('2086-06-01', '2087-05-31');
+            const term = await one(
+                "INSERT INTO terms (academic_year_id, name, start_date, end_date) VALUES ($1, 'Term 1', '2086-06-01', '2086-10-31') RETURNING id",
+                [yearId]
+            );
+            return { path: `/admin/terms/${term.id}` };
+        }
+    },
+    {
+        method: 'GET', path: '/admin/rollover', roles: ADMIN,
+        ok: async () => ({ path: `/admin/rollover?from_year_id=1&to_year_id=${await addAcademicYear('2088-06-01', '2089-05-31')}` })
+    },
+    {
+        method: 'POST', path: '/admin/rollover', roles: ADMIN,
+        ok: async () => {
+            // An ending year of its own, so the fixture classes stay where they are
+            const fromId = await addAcademicYear('2000-06-01', '2001-05-31');
+            const toId = await addAcademicYear('2001-06-01', '2002-05-31');
+            const fromYear = await one('SELECT name FROM academic_years WHERE id = $1', [fromId]);
+            const classRow = await one(
+                "INSERT INTO classes (grade, section, academic_year, name) VALUES ('12th', 'A', $1, '12th-A old') RETURNING id",
+                [fromYear.name]
+            );
+            await addStudent(classRow.id);
+            return {
+                body: {
+                    from_year_id: fromId,
+                    to_year_id: toId,
+                    make_current: false,
+                    classes: [{ from_class_id: classRow.id, action: 'GRADUATE' }]
+                }
+            };
+        }
+    }
+];
+
+// Appends class_id=2 to a path's query string
+const withOtherClass = (path) => `${path}${path.includes('?') ? '&' : '?'}class_id=2`;
+
+for (const route of routes) {
+    describe(`${route.method} /api${route.path}`, () => {
+        test('401 without a token', async () => {
+            const res = await app.call(route.method, route.path, null);
+            assert.equal(res.status, 401);
+        });
+
+        for (const role of ROLES.filter(r => !route.roles.includes(r))) {
+            test(`403 for ${role}`, async () => {
+                const res = await app.call(route.method, route.path, app.tokens[TOKEN_OF_ROLE[role]], route.method === 'GET' ? undefined : {});
+                assert.equal(res.status, 403, JSON.stringify(res.data));
+            });
+        }
+
+        const role = route.roles[0];
+        test(`2xx for ${role}`, async () => {
+            const request = { path: route.path, ...(route.ok ? await route.ok() : {}) };
+            const res = await app.call(route.method, request.path, app.tokens[TOKEN_OF_ROLE[role]], request.body);
+            assert.ok(res.status >= 200 && res.status < 300, `${res.status} ${JSON.stringify(res.data)}`);
+        });
+
+        if (route.roles.includes('TEACHER') && route.otherClass !== null) {
+            test('403 for a teacher using a class they are not assigned to', async () => {
+                const request = route.otherClass ? { path: route.path, ...await route.otherClass() } : { path: withOtherClass(route.path) };
+                const res = await app.call(route.method, request.path, app.tokens.teacher1, request.body);
+                assert.equal(res.status, 403, JSON.stringify(res.data));
+            });
+        }
+
+        if (route.roles.includes('GUARDIAN') && route.otherClass) {
+            test('403 for a guardian with a child that is not theirs', async () => {
+                const request = { path: route.path, ...await route.otherClass() };
+                const res = await app.call(route.method, request.path, app.tokens.guardian, request.body);
+                assert.equal(res.status, 403, JSON.stringify(res.data));
+            });
+        }
+    });
+}
@@ -0,0 +1,101 @@
+/**
+ * SPREADSHEET PARSER
+ *
+ * Reading uploaded .xlsx files (utils/spreadsheetParser.js), including
+ * damaged and oversized ones.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { parseXlsx } = require('../utils/spreadsheetParser');
+
+/**
+ * Packs files into a ZIP archive (deflated), like Excel saves an .xlsx
+ *
+ * @param {Object<string, string|Buffer>} files - path → contents
+ * @returns {Buffer}
+ */
+const zip = (files) => {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const [name, contents] of Object.entries(files)) {
+        const nameBytes = Buffer.from(name);
+        const data = zlib.deflateRawSync(Buffer.from(contents));
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(8, 8);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt16LE(nameBytes.length, 26);
+        locals.push(local, nameBytes, data);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt16LE(nameBytes.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, nameBytes);
+
+        offset += local.length + nameBytes.length + data.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Object.keys(files).length, 8);
+    end.writeUInt16LE(Object.keys(files).length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, directory, end]);
+};
+
+const SHEET = '<worksheet><sheetData>'
+    + '<row r="1"><c r="A1" t="inlineStr"><is><t>name</t></is></c><c r="B1" t="inlineStr"><is><t>roll_no</t></is></c></row>'
+    + '<row r="2"><c r="A2" t="inlineStr"><is><t>Jane Smith</t></is></c><c r="B2"><v>25</v></c></row>'
+    + '</sheetData></worksheet>';
+
+describe('parseXlsx', () => {
+    test('reads the first worksheet', () => {
+        assert.deepEqual(parseXlsx(zip({ 'xl/worksheets/sheet1.xml': SHEET })), [['name', 'roll_no'], ['Jane Smith', '25']]);
+    });
+
+    test('a truncated file is reported as damaged', () => {
+        const file = zip({ 'xl/worksheets/sheet1.xml': SHEET });
+
+        // Cut off at the end: the end record is gone
+        for (const length of [40, file.length - 10]) {
+            assert.throws(() => parseXlsx(file.subarray(0, length)), { message: 'Not an .xlsx file' }, `${length} bytes`);
+        }
+        // Bytes lost before the end record: its offsets now point past the end
+        for (const kept of [0, 20, 60]) {
+            const truncated = Buffer.concat([file.subarray(0, kept), file.subarray(-22)]);
+            assert.throws(() => parseXlsx(truncated), { message: 'Damaged .xlsx file' }, `${kept} bytes + end record`);
+        }
+    });
+
+    test('offsets pointing past the end of the file are reported as damaged', () => {
+        const file = zip({ 'xl/worksheets/sheet1.xml': SHEET });
+
+        const badDirectory = Buffer.from(file);
+        badDirectory.writeUInt32LE(file.length + 100, file.length - 6);
+        assert.throws(() => parseXlsx(badDirectory), { message: 'Damaged .xlsx file' });
+
+        const badLocal = Buffer.from(file);
+        const central = badLocal.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+        badLocal.writeUInt32LE(file.length - 10, central + 42);
+        assert.throws(() => parseXlsx(badLocal), { message: 'Damaged .xlsx file' });
+    });
+
+    test('a small file that unpacks to more than 5 MB is refused', () => {
+        const sheet = `<worksheet><sheetData>${' '.repeat(20 * 1024 * 1024)}</sheetData></worksheet>`;
+        const file = zip({ 'xl/worksheets/sheet1.xml': sheet });
+        assert.ok(file.length < 100 * 1024);
+
+        assert.throws(() => parseXlsx(file), { message: 'The .xlsx file is too large (more than 5 MB unpacked)' });
+    });
+});
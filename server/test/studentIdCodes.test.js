@@ -0,0 +1,209 @@
+/**
+ * STUDENT ID CODES
+ *
+ * formatStudentIdCode (STUDENT_ID_FORMAT tokens), generateStudentIdCode
+ * under many students added at the same moment, and the
+ * repair-student-ids.js script.
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { startTestApp } = require('./helpers');
+
+const SERVER_DIR = path.join(__dirname, '..');
+const HELPERS_PATH = require.resolve('../utils/studentHelpers');
+
+// Default STUDENT_ID_FORMAT "STD{seq:3}"
+const DEFAULT_CODE = /^STD\d{3,}$/;
+
+// One app for the whole file (the pool in db.js is shared by everything loaded)
+let app;
+before(async () => { app = await startTestApp(); });
+after(() => app.stop());
+
+/**
+ * Loads a fresh copy of utils/studentHelpers.js with this STUDENT_ID_FORMAT
+ * (it is read once, when the module loads). The app keeps its own copy.
+ */
+const loadWithFormat = (format) => {
+    const cached = require.cache[HELPERS_PATH];
+    delete require.cache[HELPERS_PATH];
+    const previous = process.env.STUDENT_ID_FORMAT;
+    process.env.STUDENT_ID_FORMAT = format;
+    try {
+        return require(HELPERS_PATH);
+    } finally {
+        if (previous === undefined) delete process.env.STUDENT_ID_FORMAT;
+        else process.env.STUDENT_ID_FORMAT = previous;
+        if (cached) require.cache[HELPERS_PATH] = cached;
+        else delete require.cache[HELPERS_PATH];
+    }
+};
+
+describe('formatStudentIdCode', () => {
+    test('pads {seq:n} to n digits and grows past it', () => {
+        const { formatStudentIdCode } = loadWithFormat('STD{seq:3}');
+        assert.equal(formatStudentIdCode(7), 'STD007');
+        assert.equal(formatStudentIdCode(999), 'STD999');
+        assert.equal(formatStudentIdCode(1000), 'STD1000');
+    });
+
+    test('{seq} without a width is not padded', () => {
+        const { formatStudentIdCode } = loadWithFormat('S-{seq}');
+        assert.equal(formatStudentIdCode(42), 'S-42');
+    });
+
+    test('fills in {year} and {class} from the class', () => {
+        const { formatStudentIdCode } = loadWithFormat('{year}-{class}-{seq:4}');
+        assert.equal(formatStudentIdCode(1, { name: '10th-A', academic_year: '2025-2026' }), '2025-10THA-0001');
+        assert.equal(formatStudentIdCode(12, {}), '--0012');
+    });
+
+    test('a format without {seq} is refused when the server starts', () => {
+        assert.throws(() => loadWithFormat('{year}-{class}'), /must contain \{seq\}/);
+    });
+});
+
+describe('generateStudentIdCode', () => {
+    const allCodes = async () => (await app.pool.query('SELECT student_id_code FROM students')).rows.map(row => row.student_id_code);
+
+    // PGlite runs one transaction at a time, so these overlap in the pool
+    // and the request queue but not inside the database. On PostgreSQL
+    // nextval() keeps them apart as well.
+    test('students added in parallel transactions all get different codes', async () => {
+        const { generateStudentIdCode } = require('../utils/studentHelpers');
+        const COUNT = 10;
+
+        const created = await Promise.all(Array.from({ length: COUNT }, async (_, i) => {
+            const client = await app.pool.connect();
+            try {
+                await client.query('BEGIN');
+                const code = await generateStudentIdCode(client, 1);
+                await client.query(
+                    'INSERT INTO students (name, class_id, roll_no, student_id_code) VALUES ($1, 1, $2, $3)',
+                    [`Parallel ${i}`, 100 + i, code]
+                );
+                await client.query('COMMIT');
+                return code;
+            } catch (err) {
+                await client.query('ROLLBACK');
+                throw err;
+            } finally {
+                client.release();
+            }
+        }));
+
+        assert.equal(new Set(created).size, COUNT);
+        created.forEach(code => assert.match(code, DEFAULT_CODE));
+    });
+
+    test('students created through the API at the same moment all get different codes', async () => {
+        const COUNT = 15;
+        const responses = await Promise.all(Array.from({ length: COUNT }, (_, i) => app.call(
+            'POST', '/teacher/students/create', app.tokens.teacher1,
+            { name: `Api ${i}`, email: `api${i}@test.com`, password: 'password1', class_id: 1, roll_no: 200 + i }
+        )));
+        responses.forEach(res => assert.equal(res.status, 201, JSON.stringify(res.data)));
+
+        const codes = responses.map(res => res.data.studentIdCode);
+        assert.equal(new Set(codes).size, COUNT);
+        codes.forEach(code => assert.match(code, DEFAULT_CODE));
+
+        const stored = await allCodes();
+        assert.equal(new Set(stored).size, stored.length);
+    });
+
+    test('skips codes that are already taken', async () => {
+        const { generateStudentIdCode, formatStudentIdCode } = require('../utils/studentHelpers');
+        const next = await app.pool.query("SELECT last_value + 1 as next FROM student_id_seq");
+        const takenCode = formatStudentIdCode(parseInt(next.rows[0].next));
+        await app.pool.query(
+            "INSERT INTO students (name, class_id, roll_no, student_id_code) VALUES ('By Hand', 1, 300, $1)",
+            [takenCode]
+        );
+
+        const client = await app.pool.connect();
+        try {
+            const code = await generateStudentIdCode(client, 1);
+            assert.notEqual(code, takenCode);
+            assert.match(code, DEFAULT_CODE);
+        } finally {
+            client.release();
+        }
+    });
+});
+
+describe('repair-student-ids.js', () => {
+    before(async () => {
+        // A database from before the UNIQUE constraint: duplicate and missing codes
+        await app.pool.query('ALTER TABLE students DROP CONSTRAINT students_student_id_code_key');
+        await app.pool.query(`
+            INSERT INTO students (name, class_id, roll_no, student_id_code) VALUES
+                ('Duplicate A', 1, 10, 'STD001'),
+                ('Duplicate B', 2, 10, 'STD002'),
+                ('No Code', 1, 11, NULL),
+                ('Gap After', 1, 12, 'STD500')
+        `);
+    });
+
+    // Runs the script as its own process, against the test database
+    const runScript = async (...args) => {
+        const { stdout } = await promisify(execFile)('node', ['repair-student-ids.js', ...args], {
+            cwd: SERVER_DIR,
+            env: process.env,
+            timeout: 30000
+        });
+        return stdout;
+    };
+
+    const studentCodes = async () => (await app.pool.query('SELECT id, name, student_id_code FROM students ORDER BY id')).rows;
+
+    test('without --apply it only reports', async () => {
+        const before = await studentCodes();
+        const output = await runScript();
+
+        assert.match(output, /STD001 is used by 2 students/);
+        assert.match(output, /STD002 is used by 2 students/);
+        assert.match(output, /1 students have no code/);
+        assert.match(output, /Run with --apply/);
+        assert.deepEqual(await studentCodes(), before);
+    });
+
+    test('--apply gives duplicates and students without a code new codes', async () => {
+        const output = await runScript('--apply');
+        assert.match(output, /3 students given a new code/);
+
+        const rows = await studentCodes();
+        const codes = rows.map(row => row.student_id_code);
+        assert.equal(new Set(codes).size, codes.length);
+        codes.forEach(code => assert.match(code, DEFAULT_CODE));
+
+        // The student added first keeps the code, new codes come after the highest one
+        assert.equal(rows.find(row => row.name === 'Student One').student_id_code, 'STD001');
+        assert.equal(rows.find(row => row.name === 'Student Two').student_id_code, 'STD002');
+        assert.equal(rows.find(row => row.name === 'Gap After').student_id_code, 'STD500');
+        for (const name of ['Duplicate A', 'Duplicate B', 'No Code']) {
+            const number = parseInt(rows.find(row => row.name === name).student_id_code.slice(3));
+            assert.ok(number > 500, `${name} got ${number}`);
+        }
+
+        const audit = await app.pool.query("SELECT COUNT(*)::int as count FROM audit_log WHERE after_value->>'source' = 'repair-student-ids'");
+        assert.equal(audit.rows[0].count, 3);
+    });
+
+    test('--renumber numbers every student 1, 2, 3... in the order they were added', async () => {
+        await runScript('--renumber');
+
+        const rows = await studentCodes();
+        rows.forEach((row, i) => assert.equal(row.student_id_code, `STD${String(i + 1).padStart(3, '0')}`));
+
+        // New students continue after them
+        const res = await app.call('POST', '/teacher/students/create', app.tokens.teacher1,
+            { name: 'After Renumber', email: 'after@test.com', password: 'password1', class_id: 1, roll_no: 50 });
+        assert.equal(res.status, 201, JSON.stringify(res.data));
+        assert.equal(res.data.studentIdCode, `STD${String(rows.length + 1).padStart(3, '0')}`);
+    });
+});
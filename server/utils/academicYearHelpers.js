@@ -0,0 +1,115 @@
+/**
+ * ACADEMIC YEAR HELPERS
+ *
+ * Shared by class creation, the academic year admin endpoints and every
+ * attendance report (which cover one academic year, term or month).
+ */
+
+const { defaultAcademicYearDates } = require('./classHelpers');
+const { localDate } = require('./calendarHelpers');
+
+/**
+ * Makes sure an academic year exists, creating it with the default dates
+ * if not. The first year ever created becomes the current one.
+ *
+ * @param {object} db - pool or transaction client
+ * @param {string} name - e.g. "2025-2026"
+ * @returns {Promise<void>}
+ */
+const ensureAcademicYear = async (db, name) => {
+    const { start_date, end_date } = defaultAcademicYearDates(name);
+    await db.query(
+        `INSERT INTO academic_years (name, start_date, end_date, is_current)
+         VALUES ($1, $2, $3, NOT EXISTS (SELECT 1 FROM academic_years WHERE is_current))
+         ON CONFLICT (name) DO NOTHING`,
+        [name, start_date, end_date]
+    );
+};
+
+/**
+ * Works out which dates (and which academic year's classes) a report covers,
+ * from the query string:
+ *
+ * - ?term_id=2                  → that term
+ * - ?academic_year_id=1         → that whole academic year
+ * - ?month=2&year=2026          → that month (classes of the academic year it falls in)
+ * - nothing                     → the current academic year
+ *
+ * Days after today are never included ("to" stops at today).
+ *
+ * @param {object} db - pool or transaction client
+ * @param {object} query - req.query
+ * @returns {Promise<{ range?: object|null, status?: number, error?: string }>}
+ *   range: { academic_year_id, academic_year, term, from, to } - null if no academic year exists yet
+ *
+ * EXAMPLE:
+ * const found = await getReportRange(pool, req.query);
+ * if (found.error) return res.status(found.status).json({ error: found.error });
+ */
+const getReportRange = async (db, query) => {
+    const { term_id, academic_year_id, month, year } = query;
+    const today = localDate();
+    let row;
+    let from;
+    let to;
+
+    if (term_id) {
+        const result = await db.query(
+            `SELECT ay.id, ay.name, t.name as term,
+                    TO_CHAR(t.start_date, 'YYYY-MM-DD') as start_date, TO_CHAR(t.end_date, 'YYYY-MM-DD') as end_date
+             FROM terms t JOIN academic_years ay ON t.academic_year_id = ay.id
+             WHERE t.id = $1`,
+            [parseInt(term_id) || 0]
+        );
+        row = result.rows[0];
+        if (!row) return { status: 404, error: 'Term not found' };
+    } else if (academic_year_id) {
+        const result = await db.query(
+            `SELECT id, name, NULL as term,
+                    TO_CHAR(start_date, 'YYYY-MM-DD') as start_date, TO_CHAR(end_date, 'YYYY-MM-DD') as end_date
+             FROM academic_years WHERE id = $1`,
+            [parseInt(academic_year_id) || 0]
+        );
+        row = result.rows[0];
+        if (!row) return { status: 404, error: 'Academic year not found' };
+    } else if (month || year) {
+        if (!(parseInt(month) >= 1 && parseInt(month) <= 12) || !/^\d{4}$/.test(year)) {
+            return { status: 400, error: 'Invalid month or year' };
+        }
+        from = `${year}-${String(month).padStart(2, '0')}-01`;
+        to = new Date(Date.UTC(year, month, 0)).toISOString().split('T')[0];
+
+        // The academic year the month starts in, or the current one if none
+        const result = await db.query(
+            `SELECT id, name, NULL as term FROM academic_years
+             ORDER BY ($1::date BETWEEN start_date AND end_date) DESC, is_current DESC
+             LIMIT 1`,
+            [from]
+        );
+        row = result.rows[0];
+        if (!row) return { range: null };
+    } else {
+        const result = await db.query(
+            `SELECT id, name, NULL as term,
+                    TO_CHAR(start_date, 'YYYY-MM-DD') as start_date, TO_CHAR(end_date, 'YYYY-MM-DD') as end_date
+             FROM academic_years WHERE is_current`
+        );
+        row = result.rows[0];
+        if (!row) return { range: null };
+    }
+
+    from = from || row.start_date;
+    to = to || row.end_date;
+
+    return {
+        range: {
+            academic_year_id: row.id,
+            academic_year: row.name,
+            term: row.term,
+            from,
+            to: to < today ? to : today
+        }
+    };
+};
+
+module.exports = { ensureAcademicYear, getReportRange };
@@ -0,0 +1,240 @@
+/**
+ * ATTENDANCE HELPERS
+ *
+ * Saving attendance marks. The attendance sheet (teacherController.js:
+ * markAttendanceBulk) and approved leave requests (leaveController.js)
+ * write marks the same way: one upsert per student, and every new or
+ * changed mark goes to the audit log. Lecture marks and QR check-in
+ * sessions (checkInController.js) look up their timetable period here.
+ *
+ * Locking a class's register (attendance_submissions in database.sql):
+ * the first save from the attendance sheet submits a class and date, and
+ * ATTENDANCE_LOCK_HOURS later the sheet can no longer change it until an
+ * admin reopens it (attendanceLockController.js). Approved leave and
+ * accepted corrections are reviewed one student at a time and are still
+ * saved on locked days.
+ */
+
+const pool = require('../db');
+const { logAudit, attendanceEntityId } = require('../services/auditService');
+const { isoWeekday } = require('./calendarHelpers');
+
+// Values of the attendance_status enum (see database.sql)
+const ATTENDANCE_STATUSES = ['PRESENT', 'ABSENT', 'LATE', 'EXCUSED', 'HALF_DAY', 'MEDICAL', 'HOLIDAY'];
+
+// How long a submitted register can still be changed from the attendance sheet
+const ATTENDANCE_LOCK_HOURS = Number(process.env.ATTENDANCE_LOCK_HOURS || 48);
+
+if (!Number.isInteger(ATTENDANCE_LOCK_HOURS) || ATTENDANCE_LOCK_HOURS < 1) {
+    throw new Error('ATTENDANCE_LOCK_HOURS must be a whole number of hours (at least 1)');
+}
+
+/**
+ * Loads a timetable period for an attendance request and checks that
+ * the user may take attendance for its class on that date
+ *
+ * @param {object} req - request (uses assignedClasses / seesWholeSchool)
+ * @param {number} periodId - periods.id
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<{ period?: object, status?: number, error?: string }>}
+ */
+const findPeriodForAttendance = async (req, periodId, date) => {
+    const result = await pool.query('SELECT id, class_id, day_of_week FROM periods WHERE id = $1', [periodId]);
+    const period = result.rows[0];
+
+    if (!period) {
+        return { status: 404, error: 'Period not found' };
+    }
+    if (!req.seesWholeSchool && !req.assignedClasses.includes(period.class_id)) {
+        return { status: 403, error: 'You are not assigned to this class' };
+    }
+    if (period.day_of_week !== isoWeekday(date)) {
+        return { status: 400, error: 'This period is not on the timetable for that day' };
+    }
+    return { period };
+};
+
+/**
+ * Audit log value of an attendance mark, e.g. { status: "LATE", arrival_time: "09:20" }
+ *
+ * @param {string} status
+ * @param {string|null} arrivalTime - "HH:MM", only for LATE
+ * @returns {object}
+ */
+const auditValue = (status, arrivalTime) => (arrivalTime ? { status, arrival_time: arrivalTime } : { status });
+
+// "HALF_DAY" → "Half day"
+const statusLabel = (status) => status.charAt(0) + status.slice(1).toLowerCase().replace('_', ' ');
+
+/**
+ * Saves the marks of several students for one date (and optionally one
+ * lecture period). Run it inside a transaction (BEGIN ... COMMIT), so the
+ * marks and their audit log entries are saved together.
+ *
+ * Validation (statuses, class access, working day) is up to the caller.
+ *
+ * @param {object} client - transaction client
+ * @param {object} req - Express request (the actor for the audit log)
+ * @param {object} marks
+ * @param {string} marks.date - YYYY-MM-DD
+ * @param {number|null} [marks.periodId] - periods.id for lecture marks, null for a whole-day mark
+ * @param {Array<{ student_id: number, status: string, arrival_time?: string }>} marks.records
+ * @returns {Promise<{ saved: number, changed: Array<{ student_id: number, before: string, after: string }> }>}
+ *     - how many marks were new or changed, and the statuses of the marks
+ *       that already existed and were changed
+ *
+ * POSTGRESQL UPSERT:
+ * ON CONFLICT ... DO UPDATE is PostgreSQL's UPSERT syntax
+ * If record exists (same student_id + date, and same period for lecture marks), update it
+ * Otherwise, insert new record
+ * The WHERE after ON CONFLICT picks the matching partial unique index (see database.sql)
+ *
+ * (MySQL uses: ON DUPLICATE KEY UPDATE instead)
+ */
+const saveAttendanceMarks = async (client, req, { date, periodId = null, records }) => {
+    // Current statuses, so the audit log can record "before" values
+    const existingQuery = `
+        SELECT student_id, status, TO_CHAR(arrival_time, 'HH24:MI') as arrival_time FROM attendance
+        WHERE date = $1 AND student_id = ANY($2::int[]) AND period_id IS NOT DISTINCT FROM $3::int
+        FOR UPDATE
+    `;
+    const existingResult = await client.query(existingQuery, [date, records.map(record => record.student_id), periodId]);
+    const previous = {};
+    existingResult.rows.forEach(row => { previous[row.student_id] = row; });
+
+    let saved = 0;
+    const changed = [];
+    for (const record of records) {
+        const before = previous[record.student_id];
+        // Only LATE marks keep an arrival time
+        const arrivalTime = record.status === 'LATE' && record.arrival_time ? record.arrival_time.slice(0, 5) : null;
+        if (before && before.status === record.status && before.arrival_time === arrivalTime) {
+            continue;  // Nothing changed → nothing to save or log
+        }
+
+        // CONFLICT columns + WHERE must match one of the unique indexes in schema
+        const query = periodId
+            ? `
+                INSERT INTO attendance (student_id, date, status, arrival_time, period_id)
+                VALUES ($1, $2, $3, $4, $5)
+                ON CONFLICT (student_id, date, period_id) WHERE period_id IS NOT NULL
+                DO UPDATE SET status = EXCLUDED.status, arrival_time = EXCLUDED.arrival_time, version = attendance.version + 1
+            `
+            : `
+                INSERT INTO attendance (student_id, date, status, arrival_time)
+                VALUES ($1, $2, $3, $4)
+                ON CONFLICT (student_id, date) WHERE period_id IS NULL
+                DO UPDATE SET status = EXCLUDED.status, arrival_time = EXCLUDED.arrival_time, version = attendance.version + 1
+            `;
+        // EXCLUDED.status refers to the value we tried to INSERT; every change bumps the version
+        const values = [record.student_id, date, record.status, arrivalTime];
+        if (periodId) values.push(periodId);
+        await client.query(query, values);
+
+        await logAudit(client, req, {
+            action: before ? 'ATTENDANCE_CHANGED' : 'ATTENDANCE_MARKED',
+            entityType: 'attendance',
+            entityId: attendanceEntityId(record.student_id, date, periodId),
+            before: before ? auditValue(before.status, before.arrival_time) : null,
+            after: auditValue(record.status, arrivalTime)
+        });
+        saved++;
+        if (before && before.status !== record.status) {
+            changed.push({ student_id: record.student_id, before: before.status, after: record.status });
+        }
+    }
+
+    return { saved, changed };
+};
+
+/**
+ * Finds marks that were changed by someone else since the sheet was
+ * loaded. Each record may carry the version of the mark the teacher saw
+ * ("version": 3, or null if it wasn't marked yet); records without one
+ * are not checked. A changed mark only conflicts if it now differs from
+ * what the record would save.
+ *
+ * Run it inside the saving transaction, before saveAttendanceMarks: the
+ * marks are locked (FOR UPDATE) so they can't change in between.
+ *
+ * @param {object} client - transaction client
+ * @param {object} marks - { date, periodId, records } as for saveAttendanceMarks
+ * @returns {Promise<Array<{ student_id: number, name: string, status: string, arrival_time: string|null,
+ *     version: number, requested_status: string }>>} - the current (server) mark of each conflict
+ */
+const findAttendanceConflicts = async (client, { date, periodId = null, records }) => {
+    const checked = records.filter(record => record.version !== undefined);
+    if (checked.length === 0) return [];
+
+    const query = `
+        SELECT a.student_id, s.name, a.status, TO_CHAR(a.arrival_time, 'HH24:MI') as arrival_time, a.version
+        FROM attendance a
+        JOIN students s ON a.student_id = s.id
+        WHERE a.date = $1 AND a.student_id = ANY($2::int[]) AND a.period_id IS NOT DISTINCT FROM $3::int
+        FOR UPDATE OF a
+    `;
+    const result = await client.query(query, [date, checked.map(record => record.student_id), periodId]);
+    const current = {};
+    result.rows.forEach(row => { current[row.student_id] = row; });
+
+    const conflicts = [];
+    for (const record of checked) {
+        const mark = current[record.student_id];
+        if (!mark || mark.version === record.version) continue;
+        const arrivalTime = record.status === 'LATE' && record.arrival_time ? record.arrival_time.slice(0, 5) : null;
+        if (mark.status === record.status && mark.arrival_time === arrivalTime) continue;  // same result either way
+        conflicts.push({ ...mark, requested_status: record.status });
+    }
+    return conflicts;
+};
+
+/**
+ * Submits the registers of some classes for one date and returns the
+ * ones that are locked. Run it inside the transaction that saves the
+ * marks, and roll back if anything is returned (that also undoes the
+ * submissions made here).
+ *
+ * A register not submitted before is submitted now by the logged-in user
+ * and locks ATTENDANCE_LOCK_HOURS later. The rows are locked (FOR UPDATE),
+ * so an admin can't reopen a day while it is being saved.
+ *
+ * @param {object} client - transaction client
+ * @param {object} req - Express request (req.user submits)
+ * @param {object} days
+ * @param {string} days.date - YYYY-MM-DD
+ * @param {number[]} days.classIds - classes.id of every class being marked
+ * @returns {Promise<Array<{ class_id: number, class_name: string, submitted_by_name: string, locks_at: Date }>>}
+ */
+const submitAttendanceDays = async (client, req, { date, classIds }) => {
+    const submitQuery = `
+        INSERT INTO attendance_submissions (class_id, date, submitted_by, locks_at)
+        SELECT class_id, $2, $3, NOW() + make_interval(hours => $4::int)
+        FROM UNNEST($1::int[]) AS class_id
+        ON CONFLICT (class_id, date) DO NOTHING
+    `;
+    await client.query(submitQuery, [classIds, date, req.user.id, ATTENDANCE_LOCK_HOURS]);
+
+    const lockedQuery = `
+        SELECT
+            sub.class_id,
+            c.name as class_name,
+            COALESCE(t.name, a.name, u.email) as submitted_by_name,
+            sub.locks_at,
+            sub.locks_at <= NOW() as locked
+        FROM attendance_submissions sub
+        JOIN classes c ON sub.class_id = c.id
+        LEFT JOIN users u ON sub.submitted_by = u.id
+        LEFT JOIN teachers t ON t.user_id = u.id
+        LEFT JOIN admins a ON a.user_id = u.id
+        WHERE sub.class_id = ANY($1::int[]) AND sub.date = $2
+        ORDER BY c.name
+        FOR UPDATE OF sub
+    `;
+    const result = await client.query(lockedQuery, [classIds, date]);
+    return result.rows.filter(row => row.locked);
+};
+
+module.exports = {
+    ATTENDANCE_STATUSES, ATTENDANCE_LOCK_HOURS, auditValue, findPeriodForAttendance, findAttendanceConflicts,
+    saveAttendanceMarks, statusLabel, submitAttendanceDays
+};
@@ -0,0 +1,133 @@
+/**
+ * CALENDAR HELPERS
+ *
+ * Which days are school days, from the school_calendar table and the
+ * weekly off days. Used by the attendance sheet (to warn before marking
+ * a holiday) and by the reports (to count expected school days).
+ *
+ * A date is a working day when:
+ * - school_calendar has a WORKING, EXAM or HALF_DAY row for it, or
+ * - it has no row and is not a weekly off day
+ */
+
+// ISO weekdays (1 = Monday … 7 = Sunday) without school. "6,7" = Saturday and Sunday
+const WEEKLY_OFF_DAYS = (process.env.WEEKLY_OFF_DAYS || '6,7')
+    .split(',')
+    .map(day => parseInt(day))
+    .filter(day => day >= 1 && day <= 7);
+
+// Below this attendance percentage a student is a defaulter
+const LOW_ATTENDANCE_PERCENT = 75;
+
+/**
+ * Today's date on the server's calendar, e.g. "2026-02-13". Not
+ * toISOString(), which gives the UTC date: in India that is still
+ * yesterday until 05:30.
+ *
+ * @param {Date} [date] - defaults to now
+ * @returns {string}
+ */
+const localDate = (date = new Date()) => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+].join('-');
+
+/**
+ * ISO weekday of a YYYY-MM-DD date (1 = Monday … 7 = Sunday)
+ *
+ * @param {string} date - e.g. "2026-02-13"
+ * @returns {number}
+ */
+const isoWeekday = (date) => new Date(`${date}T00:00:00Z`).getUTCDay() || 7;
+
+/**
+ * What kind of day a date is for the whole school
+ *
+ * @param {object} db - pool or transaction client
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<{ date: string, day_type: string, title: string|null, is_working: boolean }>}
+ *   day_type is WORKING, HOLIDAY, EXAM, HALF_DAY or WEEKEND
+ */
+const getDayInfo = async (db, date) => {
+    const result = await db.query('SELECT day_type, title FROM school_calendar WHERE date = $1', [date]);
+    const entry = result.rows[0];
+
+    if (entry) {
+        return { date, day_type: entry.day_type, title: entry.title, is_working: entry.day_type !== 'HOLIDAY' };
+    }
+    if (WEEKLY_OFF_DAYS.includes(isoWeekday(date))) {
+        return { date, day_type: 'WEEKEND', title: null, is_working: false };
+    }
+    return { date, day_type: 'WORKING', title: null, is_working: true };
+};
+
+/**
+ * SQL subquery listing the working days between two dates (one "date" column).
+ * Like classScope, it pushes its values onto the caller's params array.
+ *
+ * @param {Array} params - query parameters so far (modified)
+ * @param {string|null} from - first day, YYYY-MM-DD (null = the first day any attendance was taken)
+ * @param {string} to - last day, YYYY-MM-DD (nothing is returned if before "from")
+ * @returns {string} - e.g. "SELECT d::date as date FROM generate_series(...) ..."
+ *
+ * EXAMPLE:
+ * const params = [];
+ * const query = `SELECT COUNT(*) FROM (${workingDaysSql(params, '2026-02-01', '2026-02-28')}) wd`;
+ */
+const workingDaysSql = (params, from, to) => {
+    params.push(from, to, WEEKLY_OFF_DAYS);
+    const fromParam = params.length - 2;
+    const toParam = params.length - 1;
+    const offDaysParam = params.length;
+
+    // generate_series: one row per day; ISODOW: 1 = Monday … 7 = Sunday
+    return `
+        SELECT d::date as date
+        FROM generate_series(
+            COALESCE($${fromParam}::date, (SELECT MIN(date) FROM attendance)),
+            $${toParam}::date,
+            INTERVAL '1 day'
+        ) d
+        LEFT JOIN school_calendar sc ON sc.date = d::date
+        WHERE CASE
+            WHEN sc.day_type IS NOT NULL THEN sc.day_type <> 'HOLIDAY'
+            ELSE NOT (EXTRACT(ISODOW FROM d)::int = ANY($${offDaysParam}::int[]))
+        END
+    `;
+};
+
+/**
+ * SQL subquery with each student's attendance totals over a date range:
+ * (student_id, total_days, present_days). Pushes its values onto params.
+ *
+ * - total_days: working days from the student's first mark onwards, minus
+ *   days whose status has no weight (EXCUSED, ...). A working day nobody
+ *   marked counts as missed, except today (it may not be marked yet).
+ * - present_days: sum of the status weights (a LATE day adds 0.5)
+ *
+ * Marks on holidays and weekly off days are ignored.
+ *
+ * @param {Array} params - query parameters so far (modified)
+ * @param {string|null} from - first day, YYYY-MM-DD (null = since attendance began)
+ * @param {string} to - last day, YYYY-MM-DD
+ * @returns {string}
+ *
+ * EXAMPLE:
+ * LEFT JOIN (${attendanceTotalsSql(params, null, today)}) t ON t.student_id = s.id
+ */
+const attendanceTotalsSql = (params, from, to) => `
+    SELECT
+        fm.student_id,
+        COUNT(wd.date) FILTER (
+            WHERE w.weight IS NOT NULL OR (a.status IS NULL AND wd.date < CURRENT_DATE)
+        ) as total_days,
+        COALESCE(SUM(w.weight), 0) as present_days
+    FROM (SELECT student_id, MIN(date) as first_date FROM attendance GROUP BY student_id) fm
+    JOIN (${workingDaysSql(params, from, to)}) wd ON wd.date >= fm.first_date
+    LEFT JOIN daily_attendance a ON a.student_id = fm.student_id AND a.date = wd.date
+    LEFT JOIN attendance_status_weights w ON w.status = a.status
+    GROUP BY fm.student_id
+`;
+
+module.exports = { WEEKLY_OFF_DAYS, LOW_ATTENDANCE_PERCENT, localDate, isoWeekday, getDayInfo, workingDaysSql, attendanceTotalsSql };
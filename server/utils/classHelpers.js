@@ -0,0 +1,81 @@
+/**
+ * CLASS HELPERS
+ * 
+ * Naming rules for the classes table and academic years, shared by the
+ * admin class management endpoints (and matching migrations/008_classes.sql).
+ */
+
+// Month (1-12) in which a new academic year starts. June → "2025-2026" runs June 2025 - May 2026
+const ACADEMIC_YEAR_START_MONTH = parseInt(process.env.ACADEMIC_YEAR_START_MONTH) || 6;
+
+// Highest grade taught. Students in it graduate at the year-end rollover
+const FINAL_GRADE = parseInt(process.env.FINAL_GRADE) || 12;
+
+/**
+ * @param {Date} [date] - defaults to today
+ * @returns {string} - e.g. "2025-2026"
+ */
+const currentAcademicYear = (date = new Date()) => {
+    const year = date.getFullYear();
+    const startYear = date.getMonth() + 1 >= ACADEMIC_YEAR_START_MONTH ? year : year - 1;
+    return `${startYear}-${startYear + 1}`;
+};
+
+/**
+ * Default first and last day of an academic year, from ACADEMIC_YEAR_START_MONTH
+ * 
+ * @param {string} name - e.g. "2025-2026"
+ * @returns {{ start_date: string, end_date: string }} - e.g. { start_date: "2025-06-01", end_date: "2026-05-31" }
+ */
+const defaultAcademicYearDates = (name) => {
+    const startYear = parseInt(name.split('-')[0]);
+    const start = new Date(Date.UTC(startYear, ACADEMIC_YEAR_START_MONTH - 1, 1));
+    const end = new Date(Date.UTC(startYear + 1, ACADEMIC_YEAR_START_MONTH - 1, 0));  // day 0 = last day of the month before
+    return {
+        start_date: start.toISOString().split('T')[0],
+        end_date: end.toISOString().split('T')[0]
+    };
+};
+
+/**
+ * Tidies user input so "10TH" / " 10th " / "a" are stored the same way
+ * 
+ * @param {string} grade - e.g. "10TH"
+ * @param {string} [section] - e.g. "a"
+ * @returns {{ grade: string, section: string, name: string }} - e.g. { grade: "10th", section: "A", name: "10th-A" }
+ */
+const normalizeClass = (grade, section = '') => {
+    const cleanGrade = String(grade).trim().replace(/\s+/g, ' ').replace(/(\d+)(st|nd|rd|th)$/i, (match, number, suffix) => number + suffix.toLowerCase());
+    const cleanSection = String(section || '').trim().toUpperCase();
+    return {
+        grade: cleanGrade,
+        section: cleanSection,
+        name: cleanSection ? `${cleanGrade}-${cleanSection}` : cleanGrade
+    };
+};
+
+/**
+ * 1 → "1st", 2 → "2nd", 11 → "11th", 23 → "23rd"
+ */
+const ordinal = (number) => {
+    const teen = number % 100 >= 11 && number % 100 <= 13;
+    const suffix = teen ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[number % 10] || 'th');
+    return `${number}${suffix}`;
+};
+
+/**
+ * The grade students move up to at the end of the year
+ * 
+ * @param {string} grade - e.g. "10th"
+ * @returns {string|null} - e.g. "11th"; "GRADUATE" after FINAL_GRADE; null if the grade has no number (e.g. "Nursery")
+ */
+const nextGrade = (grade) => {
+    const match = /(\d+)(st|nd|rd|th)?$/i.exec(grade);
+    if (!match) return null;
+
+    const number = parseInt(match[1]);
+    if (number >= FINAL_GRADE) return 'GRADUATE';
+    return grade.slice(0, match.index) + (match[2] ? ordinal(number + 1) : String(number + 1));
+};
+
+module.exports = { currentAcademicYear, defaultAcademicYearDates, normalizeClass, nextGrade };
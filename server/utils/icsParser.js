@@ -0,0 +1,114 @@
+/**
+ * ICS PARSER
+ *
+ * Reads the all-day events out of an iCalendar (.ics) file, e.g. a
+ * public-holiday calendar exported from Google Calendar or Outlook.
+ * Only what the school calendar import needs is understood:
+ * VEVENT blocks with DTSTART, DTEND and SUMMARY.
+ *
+ * EXAMPLE INPUT:
+ * BEGIN:VEVENT
+ * DTSTART;VALUE=DATE:20261020
+ * DTEND;VALUE=DATE:20261022
+ * SUMMARY:Diwali
+ * END:VEVENT
+ *
+ * OUTPUT:
+ * [{ date: "2026-10-20", title: "Diwali" }, { date: "2026-10-21", title: "Diwali" }]
+ *
+ * A damaged file (an event without a readable DTSTART, END:VEVENT without
+ * BEGIN:VEVENT, ...) throws an Error whose message can be shown to the
+ * admin as it is.
+ */
+
+// Longest event expanded into single days (a whole summer vacation fits)
+const MAX_EVENT_DAYS = 120;
+
+/**
+ * "20261020" or "20261020T090000Z" → "2026-10-20" (null if unreadable
+ * or not a real date, e.g. "20261340")
+ */
+const parseIcsDate = (value) => {
+    const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec((value || '').trim());
+    if (!match) return null;
+
+    const date = `${match[1]}-${match[2]}-${match[3]}`;
+    const d = new Date(`${date}T00:00:00Z`);
+    return !isNaN(d) && d.toISOString().startsWith(date) ? date : null;
+};
+
+/**
+ * The day after a YYYY-MM-DD date
+ */
+const nextDay = (date) => {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + 1);
+    return d.toISOString().split('T')[0];
+};
+
+/**
+ * Un-escapes ICS text ("Diwali\, Day 1" → "Diwali, Day 1")
+ */
+const unescapeText = (text) => text.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+
+/**
+ * @param {string} ics - contents of an .ics file
+ * @returns {Array<{ date: string, title: string|null }>} - one entry per day, in file order
+ * @throws {Error} - damaged file (message is safe to show)
+ */
+const parseIcsDays = (ics) => {
+    // Long lines are "folded": continuation lines start with a space or tab
+    const lines = String(ics).replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+
+    const days = [];
+    let event = null;
+    let eventCount = 0;
+
+    for (const line of lines) {
+        if (line === 'BEGIN:VEVENT') {
+            if (event) throw new Error(`Event ${eventCount} has no END:VEVENT`);
+            event = {};
+            eventCount++;
+            continue;
+        }
+        if (line === 'END:VEVENT') {
+            if (!event) throw new Error(`END:VEVENT without BEGIN:VEVENT after event ${eventCount}`);
+
+            // "Event 3 (Diwali)" in error messages
+            const name = `Event ${eventCount}${event.SUMMARY ? ` (${unescapeText(event.SUMMARY)})` : ''}`;
+            const start = parseIcsDate(event.DTSTART);
+            if (!start) {
+                throw new Error(event.DTSTART
+                    ? `${name} has an invalid DTSTART "${event.DTSTART}"`
+                    : `${name} has no DTSTART`);
+            }
+            // DTEND is exclusive; a one-day event may have no DTEND at all
+            const end = event.DTEND ? parseIcsDate(event.DTEND) : null;
+            if (event.DTEND && !end) {
+                throw new Error(`${name} has an invalid DTEND "${event.DTEND}"`);
+            }
+
+            let date = start;
+            let count = 0;
+            do {
+                days.push({ date, title: event.SUMMARY ? unescapeText(event.SUMMARY) : null });
+                date = nextDay(date);
+                count++;
+            } while (end && date < end && count < MAX_EVENT_DAYS);
+            event = null;
+            continue;
+        }
+        if (!event) continue;
+
+        // "DTSTART;VALUE=DATE:20261020" → name "DTSTART", value "20261020"
+        const colon = line.indexOf(':');
+        if (colon === -1) continue;
+        const name = line.slice(0, colon).split(';')[0].toUpperCase();
+        event[name] = line.slice(colon + 1);
+    }
+
+    if (event) throw new Error(`Event ${eventCount} has no END:VEVENT`);
+    return days;
+};
+
+module.exports = { parseIcsDays };
@@ -0,0 +1,284 @@
+/**
+ * SPREADSHEET PARSER
+ *
+ * Reads the rows of an uploaded .csv or .xlsx file (bulk student import).
+ * Only what the import needs is understood: plain cell values of the
+ * first worksheet. Formulas are read as their last calculated value.
+ *
+ * An .xlsx file is a ZIP archive of XML files:
+ * - xl/workbook.xml (+ xl/_rels/workbook.xml.rels) → which file is the first sheet
+ * - xl/worksheets/sheet1.xml → the cells, e.g. <c r="B2" t="s"><v>3</v></c>
+ * - xl/sharedStrings.xml → the text of "t=s" cells (the 4th <si> for <v>3</v>)
+ * The ZIP is read with Node's built-in zlib, so no extra package is needed.
+ *
+ * OUTPUT (both formats):
+ * [["name", "email", "roll_no"], ["Jane Smith", "jane@school.com", "25"], ...]
+ */
+
+const zlib = require('zlib');
+
+// Rows after this one are ignored (a stray cell at row 1,000,000 won't fill memory)
+const MAX_ROWS = 10000;
+
+// Largest file inside an .xlsx that is unpacked: a class roster is far smaller,
+// and a "zip bomb" (a tiny upload that inflates to gigabytes) stops here
+const MAX_XLSX_ENTRY_BYTES = 5 * 1024 * 1024;
+
+// ZIP record signatures (little-endian)
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+/**
+ * Splits CSV text into rows of cells (RFC 4180: "quoted, cells" and "" for a quote).
+ * A header line with more semicolons than commas is read as semicolon-separated
+ * (what Excel saves in many European locales).
+ *
+ * @param {string} text - file contents
+ * @returns {string[][]}
+ */
+const parseCsv = (text) => {
+    const input = text.replace(/^\uFEFF/, '');  // byte order mark added by Excel
+    const firstLine = input.split(/\r?\n/, 1)[0];
+    const delimiter = (firstLine.split(';').length > firstLine.split(',').length) ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows;
+};
+
+/**
+ * Lists the files of a ZIP archive and returns a reader for them
+ *
+ * @param {Buffer} buffer - the whole archive
+ * @returns {(name: string) => string|null} - file contents as UTF-8 text (null if missing)
+ */
+const openZip = (buffer) => {
+    // The end-of-central-directory record is in the last 64 KB (after an optional comment)
+    let end = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+        if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) {
+        throw new Error('Not an .xlsx file');
+    }
+
+    // Offsets come from the file itself: a truncated or edited file may point past its end
+    const inFile = (position, length) => position + length <= buffer.length;
+    if (!inFile(end, 22)) {
+        throw new Error('Damaged .xlsx file');
+    }
+
+    const entries = new Map();
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+
+    for (let i = 0; i < count; i++) {
+        if (!inFile(offset, 46) || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+            throw new Error('Damaged .xlsx file');
+        }
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        if (!inFile(offset + 46, nameLength)) {
+            throw new Error('Damaged .xlsx file');
+        }
+        entries.set(buffer.toString('utf8', offset + 46, offset + 46 + nameLength), {
+            method: buffer.readUInt16LE(offset + 10),
+            compressedSize: buffer.readUInt32LE(offset + 20),
+            localOffset: buffer.readUInt32LE(offset + 42)
+        });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return (name) => {
+        const entry = entries.get(name);
+        if (!entry) return null;
+
+        const local = entry.localOffset;
+        if (!inFile(local, 30) || buffer.readUInt32LE(local) !== LOCAL_FILE_HEADER) {
+            throw new Error('Damaged .xlsx file');
+        }
+        const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+        if (!inFile(start, entry.compressedSize)) {
+            throw new Error('Damaged .xlsx file');
+        }
+        const data = buffer.subarray(start, start + entry.compressedSize);
+
+        // 0 = stored as is, 8 = deflate (the only two methods Excel uses)
+        if (entry.method === 0) return data.toString('utf8');
+        if (entry.method !== 8) {
+            throw new Error('Unsupported .xlsx compression');
+        }
+
+        let inflated;
+        try {
+            inflated = zlib.inflateRawSync(data, { maxOutputLength: MAX_XLSX_ENTRY_BYTES });
+        } catch (err) {
+            if (err.code === 'ERR_BUFFER_TOO_LARGE') {
+                throw new Error(`The .xlsx file is too large (more than ${MAX_XLSX_ENTRY_BYTES / 1024 / 1024} MB unpacked)`);
+            }
+            throw new Error('Damaged .xlsx file');
+        }
+        return inflated.toString('utf8');
+    };
+};
+
+/**
+ * "&lt;b&gt; &amp; &#233;" → "<b> & é"
+ */
+const decodeXml = (text) => text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+/**
+ * All the text inside an XML fragment's <t> elements (rich text has several)
+ */
+const textOf = (xml) => {
+    let text = '';
+    for (const match of xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)) {
+        text += decodeXml(match[1]);
+    }
+    return text;
+};
+
+/**
+ * "AB12" → 27 (zero-based column index of a cell reference)
+ */
+const columnIndex = (ref) => {
+    const letters = /^[A-Z]+/.exec(ref)[0];
+    let index = 0;
+    for (const letter of letters) {
+        index = index * 26 + (letter.charCodeAt(0) - 64);
+    }
+    return index - 1;
+};
+
+/**
+ * Reads the first worksheet of an .xlsx file
+ *
+ * @param {Buffer} buffer - file contents
+ * @returns {string[][]}
+ */
+const parseXlsx = (buffer) => {
+    const readFile = openZip(buffer);
+
+    // Which file holds the first sheet (usually xl/worksheets/sheet1.xml)
+    let sheetPath = 'xl/worksheets/sheet1.xml';
+    const workbook = readFile('xl/workbook.xml');
+    const rels = readFile('xl/_rels/workbook.xml.rels');
+    const firstSheet = workbook && /<sheet\b[^>]*\br:id="([^"]+)"/.exec(workbook);
+    if (firstSheet && rels) {
+        const rel = new RegExp(`<Relationship\\b[^>]*\\bId="${firstSheet[1]}"[^>]*>`).exec(rels);
+        const target = rel && /\bTarget="([^"]+)"/.exec(rel[0]);
+        if (target) {
+            sheetPath = target[1].startsWith('/') ? target[1].slice(1) : `xl/${target[1]}`;
+        }
+    }
+
+    const sheet = readFile(sheetPath);
+    if (!sheet) {
+        throw new Error('The .xlsx file has no worksheet');
+    }
+
+    const sharedStringsXml = readFile('xl/sharedStrings.xml') || '';
+    const sharedStrings = [...sharedStringsXml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(match => textOf(match[1]));
+
+    const rows = [];
+    for (const rowMatch of sheet.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+        const row = [];
+        const cells = rowMatch[2] || '';
+
+        // <c r="B2" t="s"><v>3</v></c>, <c r="C2" t="inlineStr"><is><t>text</t></is></c> or <c r="D2"/>
+        for (const cellMatch of cells.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+            const attributes = cellMatch[1];
+            const body = cellMatch[2] || '';
+            const ref = /\br="([A-Z]+\d+)"/.exec(attributes);
+            const type = (/\bt="([^"]+)"/.exec(attributes) || [])[1];
+            const value = /<v>([\s\S]*?)<\/v>/.exec(body);
+
+            let text = '';
+            if (type === 's') {
+                text = value ? (sharedStrings[parseInt(value[1])] || '') : '';
+            } else if (type === 'inlineStr') {
+                text = textOf(body);
+            } else if (value) {
+                text = decodeXml(value[1]);
+            }
+
+            const index = ref ? columnIndex(ref[1]) : row.length;
+            while (row.length < index) row.push('');
+            row[index] = text;
+        }
+
+        // Empty rows are usually left out of the file: keep row numbers as Excel shows them
+        const rowNumber = /\br="(\d+)"/.exec(rowMatch[1]);
+        const rowIndex = rowNumber ? parseInt(rowNumber[1]) - 1 : rows.length;
+        if (rowIndex >= MAX_ROWS) break;
+        while (rows.length < rowIndex) rows.push([]);
+        rows[rowIndex] = row;
+    }
+
+    return rows;
+};
+
+/**
+ * Reads an uploaded spreadsheet by its file extension
+ *
+ * @param {string} filename - e.g. "10th-A.xlsx"
+ * @param {Buffer} buffer - file contents
+ * @returns {string[][]}
+ * @throws {Error} - unknown file type or unreadable file (message is safe to show)
+ */
+const parseSpreadsheet = (filename, buffer) => {
+    const extension = (filename || '').toLowerCase().split('.').pop();
+
+    if (extension === 'csv') return parseCsv(buffer.toString('utf8'));
+    if (extension === 'xlsx') return parseXlsx(buffer);
+    throw new Error('Upload a .csv or .xlsx file');
+};
+
+module.exports = { parseCsv, parseXlsx, parseSpreadsheet };
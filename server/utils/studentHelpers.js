@@ -0,0 +1,164 @@
+/**
+ * STUDENT HELPERS
+ * 
+ * Small queries shared by every code path that creates or changes a student
+ * (teacher "Add Student" form, bulk import, invitation acceptance, edit and transfer).
+ * 
+ * All functions take a transaction client (from pool.connect())
+ * so they run inside the caller's BEGIN ... COMMIT block.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Checks whether a roll number is already used in a class
+ * (deactivated students keep theirs)
+ * 
+ * The class row is locked (FOR UPDATE) until the caller's COMMIT, so two
+ * requests can't both see a roll number as free and then both take it.
+ * 
+ * @param {object} client - pg client inside a transaction
+ * @param {number} classId - classes.id
+ * @param {number} rollNo - e.g. 25
+ * @param {number} [exceptStudentId] - students.id to ignore (the student being edited)
+ * @returns {Promise<boolean>} - true if another student already has it
+ */
+const isRollNumberTaken = async (client, classId, rollNo, exceptStudentId = null) => {
+    await client.query('SELECT id FROM classes WHERE id = $1 FOR UPDATE', [classId]);
+
+    const rollQuery = `
+        SELECT 1 FROM students 
+        WHERE class_id = $1 AND roll_no = $2 AND id IS DISTINCT FROM $3::int
+    `;
+    const rollResult = await client.query(rollQuery, [classId, rollNo, exceptStudentId]);
+    return rollResult.rows.length > 0;
+};
+
+/**
+ * The first roll number after the highest one used in a class
+ * 
+ * @param {object} client - pg client inside a transaction
+ * @param {number} classId - classes.id
+ * @returns {Promise<number>} - e.g. 33 for a class whose last roll number is 32
+ */
+const nextRollNumber = async (client, classId) => {
+    await client.query('SELECT id FROM classes WHERE id = $1 FOR UPDATE', [classId]);
+
+    const maxResult = await client.query('SELECT COALESCE(MAX(roll_no), 0) + 1 as next FROM students WHERE class_id = $1', [classId]);
+    return parseInt(maxResult.rows[0].next);
+};
+
+// Shape of student ID codes. Tokens:
+//   {seq} or {seq:4} - the next number of the student_id_seq sequence (zero-padded to 4 digits)
+//   {year}           - first year of the class's academic year, e.g. "2025"
+//   {class}          - class name without separators, e.g. "10THA"
+// "STD{seq:3}" → STD001, STD002 ... (after STD999 comes STD1000)
+// "{year}-{class}-{seq:4}" → 2025-10THA-0001
+const STUDENT_ID_FORMAT = process.env.STUDENT_ID_FORMAT || 'STD{seq:3}';
+
+// Without the sequence number two students could get the same code
+if (!/\{seq(:\d+)?\}/.test(STUDENT_ID_FORMAT)) {
+    throw new Error(`STUDENT_ID_FORMAT "${STUDENT_ID_FORMAT}" must contain {seq}`);
+}
+
+/**
+ * Fills in STUDENT_ID_FORMAT
+ * 
+ * @param {number} seq - number from student_id_seq, e.g. 26
+ * @param {object} [classInfo] - { name, academic_year } of the student's class (for {class} and {year})
+ * @returns {string} - e.g. "STD026"
+ */
+const formatStudentIdCode = (seq, classInfo = {}) => STUDENT_ID_FORMAT
+    .replace(/\{year\}/g, (classInfo.academic_year || '').slice(0, 4))
+    .replace(/\{class\}/g, (classInfo.name || '').toUpperCase().replace(/[^A-Z0-9]/g, ''))
+    .replace(/\{seq(?::(\d+))?\}/g, (_, width) => String(seq).padStart(parseInt(width) || 0, '0'));
+
+/**
+ * Generates the next student ID code (STD001, STD002, STD003...)
+ * 
+ * The number comes from the student_id_seq sequence: every call gets a
+ * different number, even from two requests at the same moment, and a
+ * number is never handed out twice (so deleting a student can't make the
+ * next code clash with an existing one). A transaction that rolls back
+ * still uses up its number, so gaps are normal (repair-student-ids.js
+ * can close them).
+ * 
+ * @param {object} client - pg client inside a transaction
+ * @param {number|null} [classId] - classes.id, for the {class} and {year} tokens
+ * @returns {Promise<string>} - e.g. "STD026"
+ */
+const generateStudentIdCode = async (client, classId = null) => {
+    let classInfo = {};
+    if (classId && /\{(year|class)\}/.test(STUDENT_ID_FORMAT)) {
+        const classResult = await client.query('SELECT name, academic_year FROM classes WHERE id = $1', [classId]);
+        classInfo = classResult.rows[0] || {};
+    }
+
+    // Codes handed out before (e.g. under an older format or by hand) are skipped
+    for (;;) {
+        const seqResult = await client.query("SELECT nextval('student_id_seq') AS seq");
+        const studentIdCode = formatStudentIdCode(seqResult.rows[0].seq, classInfo);
+
+        const takenResult = await client.query('SELECT 1 FROM students WHERE student_id_code = $1', [studentIdCode]);
+        if (takenResult.rows.length === 0) return studentIdCode;
+    }
+};
+
+/**
+ * Creates a student: login account (users), profile (students) and
+ * enrollment in the class's academic year. The caller checks the email
+ * and roll number first (isRollNumberTaken) and writes the audit entry.
+ * 
+ * @param {object} client - pg client inside a transaction
+ * @param {object} student - { name, email, passwordHash, classId, rollNo, mustChangePassword }
+ * @returns {Promise<{ id: number, studentIdCode: string }>} - students.id and e.g. "STD025"
+ */
+const insertStudent = async (client, { name, email, passwordHash, classId, rollNo, mustChangePassword }) => {
+    const userId = uuidv4();
+
+    // must_change_password: the student has to replace a password someone else chose on first login
+    const insertUserQuery = `
+        INSERT INTO users (id, email, password_hash, role, must_change_password) 
+        VALUES ($1, $2, $3, 'STUDENT', $4)
+    `;
+    await client.query(insertUserQuery, [userId, email, passwordHash, mustChangePassword === true]);
+
+    // Generate student ID code (STD001, STD002, STD003...)
+    const studentIdCode = await generateStudentIdCode(client, classId);
+
+    const insertStudentQuery = `
+        INSERT INTO students (user_id, name, class_id, roll_no, student_id_code) 
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING id
+    `;
+    const studentResult = await client.query(insertStudentQuery, [userId, name, classId, rollNo, studentIdCode]);
+    const id = studentResult.rows[0].id;
+    await enrollStudent(client, id, classId, rollNo);
+
+    return { id, studentIdCode };
+};
+
+/**
+ * Records a student's class for the academic year of that class
+ * (enrollments table), replacing any earlier class of the same year
+ * 
+ * @param {object} client - pg client inside a transaction
+ * @param {number} studentId - students.id
+ * @param {number} classId - classes.id
+ * @param {number|null} rollNo - e.g. 25
+ * @returns {Promise<void>}
+ */
+const enrollStudent = async (client, studentId, classId, rollNo) => {
+    const enrollQuery = `
+        INSERT INTO enrollments (student_id, academic_year_id, class_id, roll_no)
+        SELECT $1, ay.id, c.id, $3
+        FROM classes c
+        JOIN academic_years ay ON ay.name = c.academic_year
+        WHERE c.id = $2
+        ON CONFLICT (student_id, academic_year_id)
+        DO UPDATE SET class_id = EXCLUDED.class_id, roll_no = EXCLUDED.roll_no, status = 'ACTIVE'
+    `;
+    await client.query(enrollQuery, [studentId, classId, rollNo]);
+};
+
+module.exports = { isRollNumberTaken, nextRollNumber, formatStudentIdCode, generateStudentIdCode, insertStudent, enrollStudent };
@@ -0,0 +1,74 @@
+/**
+ * TOKEN HELPERS
+ * 
+ * Two kinds of tokens are used after login:
+ * 
+ * 1. ACCESS TOKEN (JWT, short-lived - 15 minutes by default)
+ *    Sent with every API request in the Authorization header.
+ *    Contains { id, role, name, sid } where sid is the session ID.
+ * 
+ * 2. REFRESH TOKEN (random string, long-lived - 30 days by default)
+ *    Only sent to POST /api/auth/refresh to get a new access token.
+ *    Stored HASHED in the sessions table, so a database leak
+ *    does not leak usable tokens.
+ * 
+ * Configure with ACCESS_TOKEN_TTL (e.g. "15m") and REFRESH_TOKEN_DAYS (e.g. 30) in .env
+ * 
+ * Also: temporary passwords and the signed codes of QR check-in.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+/**
+ * @param {object} payload - { id, role, name, sid }
+ * @returns {string} - signed JWT access token
+ */
+const createAccessToken = (payload) => jwt.sign(
+    payload,
+    process.env.JWT_SECRET || 'secret123',
+    { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+/**
+ * @returns {string} - 64 random bytes, URL-safe
+ */
+const generateRefreshToken = () => crypto.randomBytes(64).toString('base64url');
+
+/**
+ * @param {string} token - raw refresh token
+ * @returns {string} - hex SHA-256 hash (what gets stored in the database)
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * @returns {Date} - when a refresh token issued now should expire
+ */
+const refreshTokenExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * First password of an account a teacher creates (changed on first login)
+ * 
+ * @returns {string} - 10 random letters and digits, e.g. "k3VZq9XbT2"
+ */
+const generateTemporaryPassword = () => crypto.randomBytes(8).toString('base64url').slice(0, 10);
+
+/**
+ * Code in the QR shown during a check-in session (see checkInController.js).
+ * The signature proves the server made it for that session and step:
+ * students can't make one up without the session's secret.
+ * 
+ * @param {number} sessionId - check_in_sessions.id
+ * @param {number} step - which QR of the session (it changes every few seconds)
+ * @param {string} secret - check_in_sessions.secret
+ * @returns {string} - e.g. "12.118204455.Vd3k9XbT2q0LmWz8rA5ncQ"
+ */
+const checkInCode = (sessionId, step, secret) => {
+    const signature = crypto.createHmac('sha256', secret).update(`${sessionId}.${step}`).digest('base64url');
+    return `${sessionId}.${step}.${signature.slice(0, 22)}`;
+};
+
+module.exports = { createAccessToken, generateRefreshToken, hashToken, refreshTokenExpiry, generateTemporaryPassword, checkInCode };